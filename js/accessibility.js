@@ -97,12 +97,19 @@ class ScreenReaderAnnouncer {
   }
 
   /**
-   * Announce load complete
+   * Announce load complete, by the track's tagged title and artist when it has them
+   * @param {string} filename
+   * @param {number} duration - Seconds
+   * @param {{title?: string|null, artist?: string|null}|null} [tags] - Tags read from the file
    */
-  announceLoadComplete(filename, duration) {
+  announceLoadComplete(filename, duration, tags = null) {
     const minutes = Math.floor(duration / 60);
     const seconds = Math.floor(duration % 60);
-    this.announce(`${filename} loaded, duration ${minutes}:${seconds.toString().padStart(2, '0')}`);
+    let name = filename;
+    if (tags?.title) {
+      name = tags.artist ? `${tags.title} by ${tags.artist}` : tags.title;
+    }
+    this.announce(`${name} loaded, duration ${minutes}:${seconds.toString().padStart(2, '0')}`);
   }
 
   /**
@@ -121,6 +128,77 @@ class ScreenReaderAnnouncer {
     const percentage = Math.round((currentTime / duration) * 100);
     this.announce(`${percentage}% - ${minutes}:${seconds.toString().padStart(2, '0')}`);
   }
+
+  /**
+   * Announce playback speed change
+   */
+  announcePlaybackRate(rate) {
+    this.announce(`Speed ${rate}x`);
+  }
+
+  /**
+   * Announce a shuttle speed (negative plays backwards)
+   */
+  announceShuttle(speed) {
+    this.announce(`${speed < 0 ? 'Reverse' : 'Forward'} ${Math.abs(speed)}x`);
+  }
+
+  /**
+   * Announce a loop start (A) marked before its end
+   */
+  announceLoopStart(time) {
+    this.announce(`Loop start ${formatClock(time)}`);
+  }
+
+  /**
+   * Announce the A–B loop region (null when looping stops)
+   */
+  announceLoopRegion(region) {
+    this.announce(region ? `Looping ${formatClock(region.start)} to ${formatClock(region.end)}` : 'Loop off');
+  }
+
+  /**
+   * Announce the channel mode and balance
+   */
+  announceChannelRouting(mode, balance) {
+    const side = balance < 0 ? 'left' : 'right';
+    const position = balance === 0 ? 'centered' : `${Math.round(Math.abs(balance) * 100)}% ${side}`;
+    this.announce(`Channels ${CHANNEL_MODE_LABELS[mode] ?? mode}, balance ${position}`);
+  }
+
+  /**
+   * Announce a marker that was added or jumped to
+   */
+  announceMarker(marker, added = false) {
+    this.announce(`${added ? 'Added marker' : 'Marker'} ${marker.name} at ${formatClock(marker.time)}`);
+  }
+
+  /**
+   * Announce a saved position the loaded track can resume from
+   */
+  announceResumeOffer(time) {
+    this.announce(`Resume from ${formatClock(time)} available`);
+  }
+}
+
+// Spoken names of the channel modes (see channel-routing.js)
+const CHANNEL_MODE_LABELS = {
+  stereo: 'stereo',
+  left: 'left only',
+  right: 'right only',
+  mono: 'mono',
+  mid: 'mid only',
+  side: 'side only',
+  karaoke: 'center cancelled'
+};
+
+/**
+ * Format seconds as m:ss for announcements
+ */
+function formatClock(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
 
 /**
@@ -130,14 +208,24 @@ export class KeyboardNavigationManager {
   constructor() {
     this.handlers = new Map();
     this.isEnabled = true;
+    // ✅ NEW: K held down - { combined } once J or L was pressed with it (slow motion)
+    this.shuttleHold = null;
   }
 
   /**
    * Initialize keyboard navigation
-   * @param {Object} callbacks - Object with play, pause, seek, volumeUp, volumeDown callbacks
+   * @param {Object} callbacks - Object with play, pause, seek, volumeUp, volumeDown, speedUp, speedDown,
+   *   setLoopStart, setLoopEnd, clearLoopRegion, addMarker, previousMarker, nextMarker, nextChannelMode,
+   *   previousChannelMode, balanceLeft, balanceRight, shuttleForward, shuttleReverse, slowForward,
+   *   slowReverse, shuttleStop (returns whether it stopped playback), stepForward and stepBackward callbacks
+   * @param {Object} [options]
+   * @param {EventTarget} [options.target=document] - Element to listen on
+   * @param {Function} [options.shouldHandle] - Return false to ignore an event (e.g. it belongs to another player)
    */
-  initialize(callbacks) {
+  initialize(callbacks, { target = document, shouldHandle = null } = {}) {
     this.callbacks = callbacks;
+    this.target = target;
+    this.shouldHandle = shouldHandle;
     this.setupKeyboardListeners();
   }
 
@@ -145,35 +233,82 @@ export class KeyboardNavigationManager {
    * Setup keyboard event listeners
    */
   setupKeyboardListeners() {
-    document.addEventListener('keydown', (e) => {
+    this.keydownHandler = (e) => {
       if (!this.isEnabled) return;
+      if (this.shouldHandle && !this.shouldHandle(e)) return;
 
-      // Ignore if user is typing in an input
-      if (e.target.matches('input, textarea, select')) {
+      // Ignore if user is typing in an input (composed path reaches inputs inside shadow roots)
+      const origin = e.composedPath?.()[0] ?? e.target;
+      if (origin.matches?.('input, textarea, select')) {
         return;
       }
 
       switch (e.key) {
         case ' ':
-        case 'k':
-          // Space or K: Play/Pause
+          // Space: Play/Pause
           e.preventDefault();
           e.stopPropagation(); // ✅ FIX: Prevent multiple handlers from firing
           this.callbacks?.togglePlayPause?.();
           break;
 
+        case 'k':
+          // K: Stop playing (shuttle included); tapped while paused, it plays (on release)
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.repeat) break;
+          this.shuttleHold = { combined: !!this.callbacks?.shuttleStop?.() };
+          break;
+
+        case 'l':
+        case 'j': {
+          // L / J: Shuttle forward / backward, faster with each press (K held: slow motion)
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.repeat) break;
+          const forward = e.key === 'l';
+          if (this.shuttleHold) {
+            this.shuttleHold.combined = true;
+            this.callbacks?.[forward ? 'slowForward' : 'slowReverse']?.();
+          } else {
+            this.callbacks?.[forward ? 'shuttleForward' : 'shuttleReverse']?.();
+          }
+          break;
+        }
+
+        case '.':
+          // . : Step forward one unit (10 ms, a frame or a beat)
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.stepForward?.();
+          break;
+
+        case ',':
+          // , : Step back one unit
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.stepBackward?.();
+          break;
+
         case 'ArrowLeft':
-          // Left arrow: Seek backward 5s
+          // Left arrow: Seek backward 5s (Shift: previous marker)
           e.preventDefault();
           e.stopPropagation(); // ✅ FIX: Prevent multiple handlers from firing
-          this.callbacks?.seekBackward?.(5);
+          if (e.shiftKey) {
+            this.callbacks?.previousMarker?.();
+          } else {
+            this.callbacks?.seekBackward?.(5);
+          }
           break;
 
         case 'ArrowRight':
-          // Right arrow: Seek forward 5s
+          // Right arrow: Seek forward 5s (Shift: next marker)
           e.preventDefault();
           e.stopPropagation(); // ✅ FIX: Prevent multiple handlers from firing
-          this.callbacks?.seekForward?.(5);
+          if (e.shiftKey) {
+            this.callbacks?.nextMarker?.();
+          } else {
+            this.callbacks?.seekForward?.(5);
+          }
           break;
 
         case 'ArrowUp':
@@ -197,6 +332,13 @@ export class KeyboardNavigationManager {
           this.callbacks?.toggleMute?.();
           break;
 
+        case 'M':
+          // Shift + M: Marker at the playhead
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.addMarker?.();
+          break;
+
         case '0':
         case 'Home':
           // 0 or Home: Jump to start
@@ -212,6 +354,69 @@ export class KeyboardNavigationManager {
           this.callbacks?.seekToEnd?.();
           break;
 
+        case '>':
+          // Shift + . : Faster
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.speedUp?.(0.25);
+          break;
+
+        case '<':
+          // Shift + , : Slower
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.speedDown?.(0.25);
+          break;
+
+        case '[':
+          // [ : Loop start (A) at the playhead
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.setLoopStart?.();
+          break;
+
+        case ']':
+          // ] : Loop end (B) at the playhead
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.setLoopEnd?.();
+          break;
+
+        case '\\':
+          // \ : Stop looping
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.clearLoopRegion?.();
+          break;
+
+        case 'c':
+          // C: Next channel mode (stereo, left, right, mono, mid, side, karaoke)
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.nextChannelMode?.();
+          break;
+
+        case 'C':
+          // Shift + C: Previous channel mode
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.previousChannelMode?.();
+          break;
+
+        case '{':
+          // Shift + [ : Balance towards the left
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.balanceLeft?.(0.1);
+          break;
+
+        case '}':
+          // Shift + ] : Balance towards the right
+          e.preventDefault();
+          e.stopPropagation();
+          this.callbacks?.balanceRight?.(0.1);
+          break;
+
         case 'f':
           // F: Toggle fullscreen (if supported)
           e.preventDefault();
@@ -219,7 +424,26 @@ export class KeyboardNavigationManager {
           this.callbacks?.toggleFullscreen?.();
           break;
       }
-    });
+    };
+    this.target.addEventListener('keydown', this.keydownHandler);
+
+    // ✅ NEW: Releasing K (or J/L while K is held) ends slow motion; a lone tap of K while paused plays
+    this.keyupHandler = (e) => {
+      const hold = this.shuttleHold;
+      if (!hold || !this.isEnabled) return;
+
+      if (e.key === 'k') {
+        this.shuttleHold = null;
+        if (hold.combined) {
+          this.callbacks?.shuttleStop?.();
+        } else {
+          this.callbacks?.togglePlayPause?.();
+        }
+      } else if (e.key === 'l' || e.key === 'j') {
+        this.callbacks?.shuttleStop?.();
+      }
+    };
+    this.target.addEventListener('keyup', this.keyupHandler);
   }
 
   /**
@@ -235,6 +459,24 @@ export class KeyboardNavigationManager {
   disable() {
     this.isEnabled = false;
   }
+
+  /**
+   * Remove the keydown and keyup listeners and drop the callbacks
+   */
+  dispose() {
+    this.disable();
+    if (this.keydownHandler) {
+      this.target.removeEventListener('keydown', this.keydownHandler);
+      this.keydownHandler = null;
+    }
+    if (this.keyupHandler) {
+      this.target.removeEventListener('keyup', this.keyupHandler);
+      this.keyupHandler = null;
+    }
+    this.shuttleHold = null;
+    this.callbacks = null;
+    this.shouldHandle = null;
+  }
 }
 
 /**
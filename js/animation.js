@@ -1,17 +1,31 @@
 import { CONFIG, easeInOutCubic } from './utils.js';
 import { getAudioState, setPlayhead } from './audio-state.js';
-import { renderState, RenderComponents, needsRedraw } from './render-state.js';
+import { RenderComponents } from './render-state.js';
 import { frameStart, markOperationStart, markOperationEnd } from './performance-monitor.js';
-import { getCurrentTime } from './audio-playback.js';
 import { isPlayheadAnimating } from './waveform-draw.js';
-import { stateManager } from './audio-state-adapter.js';
+import { defaultScope } from './player-scope.js';
 
-export function createAnimationLoop(drawCallback, visualState) {
+/**
+ * Create the per-frame animation callback for one player
+ * @param {Function} drawCallback - Redraws the canvas
+ * @param {Object} visualState - Transition/drag state shared with interaction.js
+ * @param {PlayerScope} [scope] - Player whose state drives the loop (defaults to the shared scope)
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onTrackEnd] - Called once when playback stops at the end of the track
+ *   (after the `ended` event), e.g. to advance a playlist
+ * @returns {Function} rAF callback; call its `stop()` to cancel the pending frame and end the loop
+ */
+export function createAnimationLoop(drawCallback, visualState, scope = defaultScope, callbacks = {}) {
+  const { renderState } = scope;
   let lastTimestamp = null;
   let lastDrawTime = 0;
   const frameInterval = 1000 / CONFIG.TARGET_FPS;
+  let frameId = null;
+  let stopped = false;
 
   function animate(timestamp) {
+    if (stopped) return;
+
     try {
       // Mark frame start for FPS tracking
       frameStart();
@@ -22,31 +36,32 @@ export function createAnimationLoop(drawCallback, visualState) {
 
       // Frame rate limiting
       if (timestamp - lastDrawTime < frameInterval) {
-        requestAnimationFrame(animate);
+        frameId = requestAnimationFrame(animate);
         return;
       }
       lastDrawTime = timestamp;
 
       // Get current audio state
-      const audioState = getAudioState();
+      const audioState = getAudioState(scope.stateManager);
 
       // Handle end-of-file behavior first
-      handleEndOfFile(timestamp, visualState, audioState);
+      handleEndOfFile(timestamp, visualState, audioState, scope, callbacks);
 
       // Handle transitions
-      updateTransitions(timestamp, visualState, audioState);
+      updateTransitions(timestamp, visualState, audioState, scope);
+      updateTrackTransition(timestamp, visualState, scope);
       
       // Handle playback
-      updatePlayback(delta, timestamp, visualState, audioState);
+      updatePlayback(delta, timestamp, visualState, audioState, scope);
 
       // Draw only when we have audio loaded AND something is dirty
       if (audioState.waveform && audioState.audioBuffer) {
         // Mark playhead dirty if animation is running (BEFORE needsRedraw check)
-        if (isPlayheadAnimating()) {
+        if (isPlayheadAnimating(scope)) {
           renderState.markDirty(RenderComponents.PLAYHEAD);
         }
         
-        const shouldRedraw = needsRedraw();
+        const shouldRedraw = renderState.needsRedraw();
         if (shouldRedraw) {
           // Measure render time
           markOperationStart('render');
@@ -62,15 +77,24 @@ export function createAnimationLoop(drawCallback, visualState) {
       console.error('🚨 Animation loop error:', error);
     }
 
-    requestAnimationFrame(animate);
+    frameId = requestAnimationFrame(animate);
   }
 
+  animate.stop = () => {
+    stopped = true;
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+  };
+
   return animate;
 }
 
 // ✅ NEW: Handle end-of-file behavior with smooth transitions
-function handleEndOfFile(timestamp, visualState, audioState) {
+function handleEndOfFile(timestamp, visualState, audioState, scope, callbacks) {
   if (!audioState.audioBuffer) return;
+  const { renderState } = scope;
   
   const actualDuration = audioState.audioBuffer.duration;
   const isAtEnd = audioState.currentPlayhead >= (actualDuration - 0.1);
@@ -88,16 +112,19 @@ function handleEndOfFile(timestamp, visualState, audioState) {
       visualState.transitionStartTime = timestamp;
       visualState.lastStateChange = timestamp;
     }
+    
+    // ✅ NEW: Let the player move on (playlist auto-advance)
+    callbacks.onTrackEnd?.();
   }
   
   // Handle the end-of-file reset animation
   if (visualState.isEndOfFileReset) {
     const resetElapsed = timestamp - visualState.endOfFileResetStartTime;
-    const resetDuration = CONFIG.TRANSITION_DURATION * 0.8; // Slightly shorter than full transition
+    const resetDuration = scope.visual.TRANSITION_DURATION * 0.8; // Slightly shorter than full transition
     
     // Reset playhead to 0 after a brief delay (but before transition completes)
     if (resetElapsed >= resetDuration * 0.3 && audioState.currentPlayhead > 0.1) {
-      setPlayhead(0);
+      setPlayhead(0, scope.stateManager);
       renderState.markDirty(RenderComponents.PLAYHEAD);
       renderState.markDirty(RenderComponents.TIME_DISPLAY);
     }
@@ -110,10 +137,11 @@ function handleEndOfFile(timestamp, visualState, audioState) {
   }
 }
 
-function updateTransitions(timestamp, visualState, audioState) {
+function updateTransitions(timestamp, visualState, audioState, scope) {
+  const { renderState } = scope;
   if (visualState.isTransitioning) {
     const elapsed = timestamp - visualState.transitionStartTime;
-    const progress = Math.min(elapsed / CONFIG.TRANSITION_DURATION, 1);
+    const progress = Math.min(elapsed / scope.visual.TRANSITION_DURATION, 1);
     
     const actualDuration = audioState.audioBuffer ? audioState.audioBuffer.duration : 0;
     
@@ -166,7 +194,18 @@ function updateTransitions(timestamp, visualState, audioState) {
   }
 }
 
-function updatePlayback(delta, timestamp, visualState, audioState) {
+// ✅ NEW: Keep redrawing while the ring morphs from the previous track after a gapless switch
+function updateTrackTransition(timestamp, visualState, scope) {
+  const transition = visualState.trackTransition;
+  if (!transition) return;
+
+  scope.renderState.markDirty(RenderComponents.WAVEFORM);
+  if (timestamp - transition.startTime >= transition.length) {
+    visualState.trackTransition = null;
+  }
+}
+
+function updatePlayback(delta, timestamp, visualState, audioState, scope) {
   const playbackJustStarted = audioState.isPlaying && !visualState.wasPlaying;
   const playbackJustStopped = !audioState.isPlaying && visualState.wasPlaying;
   
@@ -181,7 +220,7 @@ function updatePlayback(delta, timestamp, visualState, audioState) {
     
     if (visualState.animationProgress < 1 && !visualState.isTransitioning && !currentlyDragging) {
       visualState.isTransitioning = true;
-      visualState.transitionStartTime = timestamp - (visualState.animationProgress * CONFIG.TRANSITION_DURATION);
+      visualState.transitionStartTime = timestamp - (visualState.animationProgress * scope.visual.TRANSITION_DURATION);
       visualState.lastStateChange = timestamp;
     }
   }
@@ -200,11 +239,11 @@ function updatePlayback(delta, timestamp, visualState, audioState) {
   
   // Update playhead position during playback
   if (audioState.isPlaying) {
-    const currentTime = getCurrentTime();
+    const currentTime = scope.playback.getCurrentTime();
     if (Math.abs(currentTime - audioState.currentPlayhead) > 0.016) { // ~1 frame tolerance
-      setPlayhead(currentTime);
-      renderState.markDirty(RenderComponents.PLAYHEAD);
-      renderState.markDirty(RenderComponents.TIME_DISPLAY);
+      setPlayhead(currentTime, scope.stateManager);
+      scope.renderState.markDirty(RenderComponents.PLAYHEAD);
+      scope.renderState.markDirty(RenderComponents.TIME_DISPLAY);
     }
   }
   
@@ -20,11 +20,11 @@ export class AudioContextManager {
 
   /**
    * Get the singleton AudioContext instance
-   * Creates a new context if one doesn't exist
+   * Creates a new context if one doesn't exist (or the last one was closed)
    * @returns {AudioContext} The shared AudioContext instance
    */
   static getContext() {
-    if (!this.#context) {
+    if (!this.#context || this.#context.state === 'closed') {
       this.#context = new (window.AudioContext || window.webkitAudioContext)();
       system('AudioContext created', 'info');
     }
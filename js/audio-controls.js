@@ -1,15 +1,25 @@
-import { getAudioState, setPlayhead, setPlayingState } from './audio-state.js';
-import { playAudio, pauseAudio, seekTo, getCurrentTime, isAudioPlaying, isScrubbingActive, setVolume as audioSetVolume } from './audio-playback.js';
+import { getAudioState, setAudioBuffer, setPlayhead, setPlayingState } from './audio-state.js';
 import { CONFIG } from './utils.js';
 import { AudioValidation, ValidationError, safeExecute, withValidation, TypeValidator } from './validation.js';
 import { audio, system } from './logger.js';
+import { PlayerEvents } from './event-emitter.js';
+import { defaultScope } from './player-scope.js';
+import { RenderComponents } from './render-state.js';
+import { validateLoopRegion } from './loop-region.js';
+import { validateChannelMode } from './channel-routing.js';
+import { restoreEqSettings, copyEqSettings } from './equalizer.js';
+import { validateShuttleSpeed } from './shuttle.js';
+
+// Every control takes an optional trailing PlayerScope so each player drives
+// its own playback; without one they act on the shared default scope.
 
 // ✅ ENHANCED: Toggle play/pause with comprehensive validation
-export async function togglePlayPause() {
+export async function togglePlayPause(scope = defaultScope) {
   try {
     console.log('🎵 togglePlayPause called');
     audio('🎵 togglePlayPause called', 'info');
-    const audioState = getAudioState();
+    const { stateManager: sm, playback, events } = scope;
+    const audioState = getAudioState(sm);
     
     console.log('📊 Audio state:', {
       hasAudioState: !!audioState,
@@ -51,32 +61,33 @@ export async function togglePlayPause() {
       console.log('⏸️ Currently playing - will pause');
       // Pause
       // ✅ FIX: Set state BEFORE pausing to prevent race condition
-      setPlayingState(false);
+      setPlayingState(false, sm);
       console.log('✅ State set to false');
-      const pauseResult = safeExecute(() => pauseAudio(), false, 'pauseAudio');
+      const pauseResult = safeExecute(() => playback.pause(), false, 'pauseAudio');
       if (pauseResult !== false) {
         audio('Paused', 'info');
         console.log('✅ Paused successfully');
+        events.emit(PlayerEvents.PAUSE);
         return false;
       } else {
         audio('Failed to pause audio', 'error');
         console.log('❌ Pause failed');
         // Restore state if pause failed
-        setPlayingState(true);
+        setPlayingState(true, sm);
         return false;
       }
     } else {
       console.log('▶️ Currently paused - will play');
       // Play
       // ✅ FIX: Set state BEFORE playing to prevent race condition
-      setPlayingState(true);
+      setPlayingState(true, sm);
       console.log('✅ State set to true');
       
       // ✅ NEW: Validate playhead before playing
       const validatedPlayhead = AudioValidation.validatePlayhead(audioState.currentPlayhead, 'play position');
       
       const success = await safeExecute(
-        () => playAudio(validatedPlayhead), 
+        () => playback.play(validatedPlayhead), 
         false, 
         'playAudio'
       );
@@ -84,12 +95,13 @@ export async function togglePlayPause() {
       if (success) {
         audio('Playing', 'info');
         console.log('✅ Playing successfully');
+        events.emit(PlayerEvents.PLAY);
         return true;
       } else {
         audio('Failed to start playback', 'error');
         console.log('❌ Play failed');
         // Restore state if play failed
-        setPlayingState(false);
+        setPlayingState(false, sm);
         return false;
       }
     }
@@ -101,8 +113,9 @@ export async function togglePlayPause() {
 
 // ✅ ENHANCED: Seek to position with comprehensive validation
 export const seekToPosition = withValidation(
-  function(normalizedPosition) {
-    const audioState = getAudioState();
+  function(normalizedPosition, scope = defaultScope) {
+    const { stateManager: sm, playback, events } = scope;
+    const audioState = getAudioState(sm);
     if (!audioState || typeof audioState !== 'object') {
       system('Invalid audio state object in seekToPosition', 'error', audioState);
       return false;
@@ -116,24 +129,29 @@ export const seekToPosition = withValidation(
     // Calculate time position
     const timePosition = normalizedPosition * audioState.duration;
     
-    // Update playhead state
-    setPlayhead(timePosition);
-    
     // If scrubbing is active, don't interfere
-    if (isScrubbingActive()) {
+    if (playback.isScrubbing()) {
+      setPlayhead(timePosition, sm);
       audio('Seek blocked - scrubbing is active', 'debug');
       return false;
     }
     
+    events.emit(PlayerEvents.SEEKING, { targetTime: timePosition, position: normalizedPosition });
+    
+    // Update playhead state
+    setPlayhead(timePosition, sm);
+    
     // Perform actual seek
     const success = safeExecute(
-      () => seekTo(timePosition),
+      () => playback.seekTo(timePosition),
       false,
       'seekTo'
     );
     
     if (success) {
       audio(`Seeked to position: ${(normalizedPosition * 100).toFixed(1)}%`, 'debug');
+      events.emit(PlayerEvents.SEEKED, { position: normalizedPosition });
+      events.emit(PlayerEvents.TIME_UPDATE);
       return true;
     } else {
       audio('Seek operation failed', 'warn');
@@ -151,18 +169,18 @@ export const seekToPosition = withValidation(
 
 // ✅ ENHANCED: Relative seek with validation
 export const seekRelative = withValidation(
-  function(offsetSeconds) {
-    const audioState = getAudioState();
+  function(offsetSeconds, scope = defaultScope) {
+    const audioState = getAudioState(scope.stateManager);
     if (!audioState || !audioState.audioBuffer) {
       audio('No audio loaded for relative seek', 'warn');
       return false;
     }
     
-    const currentTime = getCurrentTime();
+    const currentTime = scope.playback.getCurrentTime();
     const newTime = Math.max(0, Math.min(audioState.duration, currentTime + offsetSeconds));
     const normalizedPosition = audioState.duration > 0 ? newTime / audioState.duration : 0;
     
-    return seekToPosition(normalizedPosition);
+    return seekToPosition(normalizedPosition, scope);
   },
   [
     // Parameter validators  
@@ -174,28 +192,64 @@ export const seekRelative = withValidation(
 );
 
 // ✅ ENHANCED: Update playhead from audio with validation
-export function updatePlayheadFromAudio() {
+export function updatePlayheadFromAudio(scope = defaultScope) {
   try {
-    const audioState = getAudioState();
+    const { stateManager: sm, playback, events } = scope;
+    let audioState = getAudioState(sm);
     
     // Don't update playhead from audio during scrubbing
-    if (isScrubbingActive()) {
+    if (playback.isScrubbing()) {
       return false;
     }
     
     if (!audioState.isPlaying || !audioState.audioBuffer) return false;
     
-    const currentTime = getCurrentTime();
+    // ✅ NEW: Gapless playback - the queued track has started, so it becomes the loaded one
+    const transition = playback.advanceQueued();
+    if (transition) {
+      const { track, crossfade } = transition;
+      setAudioBuffer(track.audioBuffer, track.waveform, track.globalMaxAmp, sm, null);
+      setPlayingState(true, sm);
+      events.emit(PlayerEvents.TRACK_CHANGE, { crossfade });
+      audioState = getAudioState(sm);
+    }
+    
+    // A–B loop: media elements are sent back to A here (buffer sources loop by themselves)
+    playback.wrapMediaElementLoop();
+    
+    const currentTime = playback.getCurrentTime();
     if (TypeValidator.isNumber(currentTime, { min: 0, allowInfinite: false })) {
-      setPlayhead(currentTime);
+      setPlayhead(currentTime, sm);
       
       // ✅ SIMPLE: Just stop playback at end, let animation.js handle the reset
-      if (currentTime >= audioState.duration - 0.1) {
-        setPlayingState(false);
-        pauseAudio();
+      // (a loop region never reaches the end - a loop ending there wraps instead,
+      // and a queued next track takes over by itself; shuttling backwards heads away from it)
+      const isReversing = audioState.shuttle < 0;
+      if (!audioState.loopRegion && !isReversing && !playback.getQueuedTrack() && currentTime >= audioState.duration - 0.1) {
+        setPlayingState(false, sm);
+        playback.pause();
         audio('Playback completed, stopping playback', 'info');
+        events.emit(PlayerEvents.TIME_UPDATE);
+        events.emit(PlayerEvents.ENDED);
         return true; // Signal that playback ended
       }
+      
+      // Shuttling backwards stops at the start of the track (and ends the shuttle)
+      if (!audioState.loopRegion && isReversing && currentTime <= 0.1) {
+        setPlayingState(false, sm);
+        playback.pause();
+        audio('Reverse playback reached the start, stopping playback', 'info');
+        events.emit(PlayerEvents.TIME_UPDATE);
+        events.emit(PlayerEvents.PAUSE);
+        return false;
+      }
+      
+      // Throttle timeupdate (rAF runs far faster than listeners need)
+      const now = performance.now();
+      if (now - scope.lastTimeUpdateEmit >= CONFIG.TIME_UPDATE_INTERVAL) {
+        scope.lastTimeUpdateEmit = now;
+        events.emit(PlayerEvents.TIME_UPDATE);
+      }
     } else {
       audio('Invalid current time from audio context', 'warn', currentTime);
     }
@@ -209,10 +263,11 @@ export function updatePlayheadFromAudio() {
 
 // ✅ NEW: Set volume with validation
 export const setVolume = withValidation(
-  function(volume) {
+  function(volume, scope = defaultScope) {
     const clampedVolume = Math.max(0, Math.min(1, volume));
-    audioSetVolume(clampedVolume);
+    scope.playback.setVolume(clampedVolume);
     audio(`Volume set to ${(clampedVolume * 100).toFixed(0)}%`, 'info');
+    scope.events.emit(PlayerEvents.VOLUME_CHANGE, { volume: clampedVolume });
     return clampedVolume;
   },
   [
@@ -222,4 +277,113 @@ export const setVolume = withValidation(
   // Return validator
   (result) => TypeValidator.isNumber(result, { min: 0, max: 1 }),
   'setVolume'
-);
\ No newline at end of file
+);
+// ✅ NEW: Set playback speed with validation
+export const setPlaybackRate = withValidation(
+  function(rate, preservePitch = true, scope = defaultScope) {
+    const clampedRate = Math.max(CONFIG.PLAYBACK_RATE_MIN, Math.min(CONFIG.PLAYBACK_RATE_MAX, rate));
+    scope.playback.setPlaybackRate(clampedRate, preservePitch);
+    audio(`Playback rate set to ${clampedRate}x`, 'info', { preservePitch });
+    scope.events.emit(PlayerEvents.RATE_CHANGE, { playbackRate: clampedRate, preservePitch });
+    return clampedRate;
+  },
+  [
+    // Parameter validators
+    (rate) => TypeValidator.isNumber(rate, { min: CONFIG.PLAYBACK_RATE_MIN, max: CONFIG.PLAYBACK_RATE_MAX }), // rate
+    (preservePitch) => typeof preservePitch === 'boolean' // preservePitch
+  ],
+  // Return validator
+  (result) => TypeValidator.isNumber(result, { min: CONFIG.PLAYBACK_RATE_MIN, max: CONFIG.PLAYBACK_RATE_MAX }),
+  'setPlaybackRate'
+);
+
+// ✅ NEW: Shuttle at a signed speed (null goes back to the playback rate) with validation
+export const setShuttle = withValidation(
+  function(speed, scope = defaultScope) {
+    if (speed !== null) {
+      validateShuttleSpeed(speed);
+    }
+    if (!scope.playback.setShuttle(speed)) {
+      throw new ValidationError('Reverse playback needs decoded audio', 'speed', speed, 'positive number');
+    }
+    audio(speed === null ? 'Shuttle ended' : `Shuttle at ${speed}x`, 'info');
+    scope.events.emit(PlayerEvents.SHUTTLE_CHANGE, { shuttle: speed });
+    return speed;
+  },
+  [
+    // Parameter validators
+    (speed) => speed === null || TypeValidator.isNumber(speed) // speed
+  ],
+  // Return validator
+  null,
+  'setShuttle'
+);
+
+// ✅ NEW: Route the channels (mode + balance) with validation
+export const setChannelRouting = withValidation(
+  function(mode, balance, scope = defaultScope) {
+    validateChannelMode(mode);
+    scope.playback.setChannelRouting(mode, balance);
+    scope.renderState.markDirty(RenderComponents.WAVEFORM);
+    audio(`Channel routing set to ${mode}`, 'info', { balance });
+    scope.events.emit(PlayerEvents.CHANNEL_CHANGE, { channelMode: mode, balance });
+    return { mode, balance };
+  },
+  [
+    // Parameter validators
+    (mode) => TypeValidator.isString(mode), // mode
+    (balance) => TypeValidator.isNumber(balance, { min: -1, max: 1 }) // balance
+  ],
+  // Return validator
+  (result) => TypeValidator.isObject(result),
+  'setChannelRouting'
+);
+
+// ✅ NEW: Apply equalizer settings ({ bypass, bands }) with validation
+export const setEqualizer = withValidation(
+  function(settings, scope = defaultScope) {
+    const equalizer = restoreEqSettings(settings.bands, settings.bypass ?? false);
+    scope.playback.setEqualizer(equalizer);
+    audio(`Equalizer ${equalizer.bypass ? 'bypassed' : 'updated'}`, 'info');
+    scope.events.emit(PlayerEvents.EQ_CHANGE, { equalizer: copyEqSettings(equalizer) });
+    return equalizer;
+  },
+  [
+    // Parameter validators
+    (settings) => TypeValidator.isObject(settings) // settings
+  ],
+  // Return validator
+  (result) => TypeValidator.isObject(result),
+  'setEqualizer'
+);
+
+// ✅ NEW: Set the A–B loop region with validation
+export const setLoopRegion = withValidation(
+  function(start, end, scope = defaultScope) {
+    const region = validateLoopRegion(start, end, getAudioState(scope.stateManager).duration);
+    scope.playback.setLoopRegion(region);
+    scope.renderState.markDirty(RenderComponents.WAVEFORM);
+    audio(`Loop region set to ${start.toFixed(2)}s - ${end.toFixed(2)}s`, 'info');
+    scope.events.emit(PlayerEvents.LOOP_REGION_CHANGE, { loopRegion: { ...region } });
+    return region;
+  },
+  [
+    // Parameter validators
+    (start) => TypeValidator.isNumber(start, { min: 0 }), // start
+    (end) => TypeValidator.isNumber(end, { min: 0 }) // end
+  ],
+  // Return validator
+  (result) => TypeValidator.isObject(result),
+  'setLoopRegion'
+);
+
+// ✅ NEW: Stop looping the A–B region
+export function clearLoopRegion(scope = defaultScope) {
+  if (!getAudioState(scope.stateManager).loopRegion) return false;
+  
+  scope.playback.setLoopRegion(null);
+  scope.renderState.markDirty(RenderComponents.WAVEFORM);
+  audio('Loop region cleared', 'info');
+  scope.events.emit(PlayerEvents.LOOP_REGION_CHANGE, { loopRegion: null });
+  return true;
+}
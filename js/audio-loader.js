@@ -1,30 +1,49 @@
-import { clearCache } from './waveform-data.js';
-import { showError, showLoading, hideLoading } from './error-ui.js';
+import { showError, showLoading, hideLoading, setLoadingProgress } from './error-ui.js';
 import { AudioContextManager, createAudioBuffer, decodeAudioData } from './audio-context-manager.js';
 import { disposeAudio } from './memory-manager.js';
+import { defaultScope } from './player-scope.js';
 import { markOperationStart, markOperationEnd } from './performance-monitor.js';
 import { AudioUrlUtils, toDirectUrl, sanitizeUrl } from './audio-url-utils.js';
+import { getPcmContainer, decodePcmAudio } from './pcm-decoder.js';
+import { sniffAudioFormat, sniffBlobFormat, compareFormats } from './format-sniffer.js';
+import { readTags } from './tag-reader.js';
+import { AudioLoadError, LoadErrorCodes } from './source-loader.js';
+import { describeUrlSource } from './event-emitter.js';
 import logger, { file as fileLog } from './logger.js';
 
-// Basic audio file loading function
-async function loadAudioFile(file) {
-  console.log('🎵 Loading audio file with Web Audio API...');
+// Basic audio file loading function (File or Blob)
+// `options.pcm` decodes headerless raw PCM with that layout (see pcm-decoder.js)
+export async function loadAudioFile(file, { pcm = null } = {}) {
   showLoading('Decoding audio file...');
   
+  // ✅ NEW: Raw PCM has no header for the browser to read
+  if (pcm) {
+    console.log('🎵 Decoding raw PCM with the built-in decoder...');
+    try {
+      return decodePcmAudio(await file.arrayBuffer(), pcm);
+    } catch (error) {
+      throw new Error(`Failed to decode raw PCM: ${error.message}`, { cause: error });
+    }
+  }
+  
+  console.log('🎵 Loading audio file with Web Audio API...');
+  const arrayBuffer = await file.arrayBuffer();
+  const container = getPcmContainer(arrayBuffer);
   try {
     markOperationStart('audio-decode');
-    const arrayBuffer = await file.arrayBuffer();
     
     // Use temporary context for one-time decoding
-    const audioBuffer = await AudioContextManager.withTemporaryContext(async (context) => {
-      return await context.decodeAudioData(arrayBuffer);
-    });
+    const audioBuffer = await decodeWithPcmFallback(arrayBuffer, (bytes) =>
+      AudioContextManager.withTemporaryContext(context => context.decodeAudioData(bytes))
+    );
     
     const decodeTime = markOperationEnd('audio-decode');
     console.log(`✅ Audio file decoded successfully in ${decodeTime.toFixed(2)}ms`);
     return audioBuffer;
   } catch (error) {
-    console.error('❌ Direct audio decoding failed:', error);
+    if (container) {
+      throw new Error(`Failed to decode audio file: ${error.message}`, { cause: error });
+    }
     
     // Fallback: Try using HTML Audio element for M4A and other formats
     console.log('🔄 Attempting fallback decoding using HTMLAudioElement...');
@@ -34,11 +53,63 @@ async function loadAudioFile(file) {
       return audioBuffer;
     } catch (fallbackError) {
       console.error('❌ Fallback decoding also failed:', fallbackError);
-      throw new Error(`Failed to decode audio file: ${error.message}`);
+      throw new Error(
+        `Failed to decode audio file: ${error.message} (this browser cannot decode the format, and it is not uncompressed WAV or AIFF)`,
+        { cause: error }
+      );
     }
   }
 }
 
+/**
+ * Decode with the browser, then in JS for uncompressed WAV/AIFF it refuses
+ * (64-bit float, RF64, AIFF outside Safari) - shared by file, URL and media element loads
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {function(ArrayBuffer): Promise<AudioBuffer>} [decode] - Browser decoding (the shared context by default)
+ * @returns {Promise<AudioBuffer>}
+ * @throws {Error} The browser's error for other formats, else the built-in decoder's
+ */
+async function decodeWithPcmFallback(arrayBuffer, decode = decodeAudioData) {
+  const container = getPcmContainer(arrayBuffer);
+  // decodeAudioData detaches the bytes it is given - keep a copy for the built-in decoder
+  const bytes = container ? arrayBuffer.slice(0) : null;
+  try {
+    return await decode(arrayBuffer);
+  } catch (error) {
+    console.error('❌ Direct audio decoding failed:', error);
+    if (!container) throw error;
+  }
+  
+  console.log(`🔄 Attempting built-in ${container} decoding...`);
+  try {
+    const audioBuffer = decodePcmAudio(bytes);
+    console.log('✅ Built-in decoding successful!');
+    return audioBuffer;
+  } catch (pcmError) {
+    console.error('❌ Built-in decoding also failed:', pcmError);
+    throw pcmError;
+  }
+}
+
+/**
+ * Decode the audio a URL load fetched
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {string} url - For the error message
+ * @returns {Promise<AudioBuffer>}
+ * @throws {AudioLoadError} DECODE_FAILED when neither the browser nor the built-in decoder can read it
+ */
+async function decodeFetchedAudio(arrayBuffer, url) {
+  try {
+    return await decodeWithPcmFallback(arrayBuffer);
+  } catch (error) {
+    const { name } = describeUrlSource(url);
+    const reason = error?.name === 'PcmDecodeError'
+      ? error.message
+      : 'this browser cannot decode the format, and it is not uncompressed WAV or AIFF';
+    throw new AudioLoadError(`Could not decode "${name}": ${reason}`, LoadErrorCodes.DECODE_FAILED, error);
+  }
+}
+
 // Fallback audio loading using HTML Audio element
 async function loadAudioFileWithHTMLAudio(file) {
   return new Promise((resolve, reject) => {
@@ -55,31 +126,13 @@ async function loadAudioFileWithHTMLAudio(file) {
         // Read the file as array buffer
         const arrayBuffer = await file.arrayBuffer();
         
-        // Try decoding with the main context (not temporary)
-        try {
-          const audioBuffer = await context.decodeAudioData(arrayBuffer);
-          URL.revokeObjectURL(url);
-          audio.pause();
-          audio.src = '';
-          resolve(audioBuffer);
-        } catch (decodeError) {
-          // If still failing, create a synthetic audio buffer based on duration
-          console.warn('⚠️ Could not decode, creating synthetic buffer');
-          const duration = audio.duration || 30;
-          const sampleRate = context.sampleRate || 44100;
-          const numberOfChannels = 2;
-          const length = Math.floor(duration * sampleRate);
-          
-          const audioBuffer = context.createBuffer(numberOfChannels, length, sampleRate);
-          
-          URL.revokeObjectURL(url);
-          audio.pause();
-          audio.src = '';
-          
-          // Note: This buffer will have silence, but it allows the player to show
-          console.warn('⚠️ Using synthetic buffer - waveform will be empty');
-          resolve(audioBuffer);
-        }
+        // Try decoding with the main context (not temporary). A failure rejects:
+        // a silent buffer would only show a flat waveform with no explanation
+        const audioBuffer = await context.decodeAudioData(arrayBuffer);
+        URL.revokeObjectURL(url);
+        audio.pause();
+        audio.src = '';
+        resolve(audioBuffer);
       } catch (error) {
         URL.revokeObjectURL(url);
         audio.pause();
@@ -100,7 +153,7 @@ async function loadAudioFileWithHTMLAudio(file) {
 }
 
 // Extract waveform data from AudioBuffer
-function extractWaveformData(audioBuffer) {
+export function extractWaveformData(audioBuffer) {
   console.log('🔄 Extracting waveform data...');
   
   markOperationStart('waveform-extract');
@@ -113,7 +166,7 @@ function extractWaveformData(audioBuffer) {
 }
 
 // Calculate global maximum amplitude
-function calculateGlobalMaxAmplitude(waveformData) {
+export function calculateGlobalMaxAmplitude(waveformData) {
   console.log('📈 Calculating global maximum amplitude...');
   
   let maxAmp = 0;
@@ -129,11 +182,12 @@ function calculateGlobalMaxAmplitude(waveformData) {
 }
 
 // Enhanced file format detection with comprehensive audio format support
-function getFileFormat(file) {
-  const extension = file.name.split('.').pop()?.toLowerCase();
+// Accepts anything with a `name` and/or `type` (File, Blob, or { name, type })
+export function getFileFormat(file) {
+  const extension = file.name?.includes('.') ? file.name.split('.').pop().toLowerCase() : undefined;
   const mimeType = file.type?.toLowerCase();
   
-  console.log(`🔍 Detecting format for: ${file.name}`);
+  console.log(`🔍 Detecting format for: ${file.name || '(unnamed)'}`);
   console.log(`   - Extension: ${extension}`);
   console.log(`   - MIME type: ${mimeType}`);
   
@@ -152,6 +206,12 @@ function getFileFormat(file) {
     // WAV formats
     'wav': 'WAV',
     'wave': 'WAV',
+    'rf64': 'WAV',
+    
+    // AIFF formats
+    'aif': 'AIFF',
+    'aiff': 'AIFF',
+    'aifc': 'AIFF',
     
     // M4A/AAC formats
     'm4a': 'M4A (AAC)',
@@ -164,6 +224,9 @@ function getFileFormat(file) {
     // WebM formats
     'webm': 'WebM Audio',
     
+    // Core Audio Format
+    'caf': 'CAF',
+    
     // Other formats
     'wma': 'WMA',
     'amr': 'AMR',
@@ -191,6 +254,10 @@ function getFileFormat(file) {
     'audio/x-wav': 'WAV',
     'audio/vnd.wave': 'WAV',
     
+    // AIFF variants
+    'audio/aiff': 'AIFF',
+    'audio/x-aiff': 'AIFF',
+    
     // M4A/AAC variants
     'audio/mp4': 'M4A (AAC)',
     'audio/aac': 'AAC',
@@ -204,6 +271,9 @@ function getFileFormat(file) {
     // WebM
     'audio/webm': 'WebM Audio',
     
+    // CAF
+    'audio/x-caf': 'CAF',
+    
     // Other formats
     'audio/x-ms-wma': 'WMA',
     'audio/amr': 'AMR'
@@ -221,6 +291,7 @@ function getFileFormat(file) {
     if (mimeType.includes('vorbis')) return 'OGG Vorbis';
     if (mimeType.includes('mpeg') || mimeType.includes('mp3')) return 'MP3';
     if (mimeType.includes('wav') || mimeType.includes('wave')) return 'WAV';
+    if (mimeType.includes('aiff')) return 'AIFF';
     if (mimeType.includes('mp4') || mimeType.includes('aac') || mimeType.includes('m4a')) return 'M4A (AAC)';
     if (mimeType.includes('flac')) return 'FLAC';
     if (mimeType.includes('webm')) return 'WebM Audio';
@@ -234,21 +305,98 @@ function getFileFormat(file) {
   return 'Unknown Format';
 }
 
+/**
+ * @typedef {Object} DetectedFormat
+ * @property {string} format - What the bytes are, or the claimed format when they are not recognised
+ * @property {string} claimed - getFileFormat() of the name and MIME type
+ * @property {string|null} sniffed - Format identified from the leading bytes
+ * @property {import('./format-sniffer.js').FormatMismatch|null} mismatch - Set when claimed and sniffed disagree
+ */
+
+/**
+ * Detect a File or Blob's format from its leading bytes, falling back to its
+ * name and MIME type. A name or type that disagrees with the bytes is logged.
+ * @param {Blob} blob
+ * @param {{name?: string, type?: string}} [claimedFrom=blob] - Name and MIME type to check against
+ * @returns {Promise<DetectedFormat>}
+ */
+export async function detectFileFormat(blob, claimedFrom = blob) {
+  const claimed = getFileFormat(claimedFrom);
+  let sniffed = null;
+  try {
+    sniffed = (await sniffBlobFormat(blob))?.format ?? null;
+  } catch (error) {
+    fileLog('⚠️ Loader: Could not read the file header', 'warn', { error: error.message });
+  }
+  return resolveDetectedFormat(claimed, sniffed, claimedFrom.name || '(unnamed)');
+}
+
+/**
+ * Detect fetched audio's format from its bytes, checked against the URL's extension
+ * @param {string} url
+ * @param {ArrayBuffer} arrayBuffer - Read before decoding, which may detach it
+ * @returns {DetectedFormat}
+ */
+export function detectFetchedFormat(url, arrayBuffer) {
+  let name = '';
+  try {
+    name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+  } catch {
+    // Leave the claim unknown
+  }
+  const sniffed = sniffAudioFormat(arrayBuffer)?.format ?? null;
+  return resolveDetectedFormat(getFileFormat({ name }), sniffed, url.substring(0, 100));
+}
+
+/**
+ * Read a track's tags (title, artist, artwork, ReplayGain, chapters...) before it is decoded.
+ * Tags that cannot be read leave the track untagged rather than failing the load.
+ * @param {Blob|ArrayBuffer} data - A File or Blob is read only where its tags are
+ * @returns {Promise<import('./tag-reader.js').TrackTags|null>}
+ */
+export async function readAudioTags(data) {
+  try {
+    const tags = await readTags(data);
+    if (tags) {
+      fileLog('🏷️ Loader: Read tags', 'info', { formats: tags.formats, title: tags.title, artist: tags.artist });
+    }
+    return tags;
+  } catch (error) {
+    fileLog('⚠️ Loader: Could not read the tags', 'warn', { error: error.message });
+    return null;
+  }
+}
+
+function resolveDetectedFormat(claimed, sniffed, label) {
+  const mismatch = compareFormats(claimed, sniffed);
+  if (mismatch) {
+    fileLog(`⚠️ Loader: ${label} is ${mismatch.actual}, not ${mismatch.claimed} as its name or type says`, 'warn', mismatch);
+  }
+  return { format: sniffed ?? claimed, claimed, sniffed, mismatch };
+}
+
 // Main file selection handler - Enhanced with Opus support
-export async function handleFileSelect(event) {
+// `scope` is the player whose previous audio gets disposed (defaults to the shared scope);
+// aborting `signal` while the file decodes rejects with an AbortError and disposes nothing
+export async function handleFileSelect(event, scope = defaultScope, { signal = undefined } = {}) {
   const file = event.target.files[0];
   if (!file) return null;
 
-  const detectedFormat = getFileFormat(file);
+  const { format: detectedFormat, mismatch } = await detectFileFormat(file);
+  const tags = await readAudioTags(file);
   console.log(`🎵 Loading file: ${file.name}`);
   console.log(`📋 Detected format: ${detectedFormat}`);
 
-  // Dispose of previous audio to free memory
-  await disposeAudio();
-  clearCache();
-
   try {
     const audioBuffer = await loadAudioFile(file);
+    // A cancelled load leaves the previous audio playing
+    if (signal?.aborted) {
+      throw signal.reason ?? new DOMException('File load cancelled', 'AbortError');
+    }
+
+    // Dispose of previous audio only once the new file decoded
+    await disposeAudio(scope);
+
     const waveform = extractWaveformData(audioBuffer);
     const globalMaxAmp = calculateGlobalMaxAmplitude(waveform);
 
@@ -260,9 +408,12 @@ export async function handleFileSelect(event) {
     console.log(`   - Global Max Amplitude: ${globalMaxAmp.toFixed(6)}`);
 
     hideLoading();
-    return { audioBuffer, waveform, globalMaxAmp };
+    return { audioBuffer, waveform, globalMaxAmp, fileName: file.name, format: detectedFormat, formatMismatch: mismatch, tags };
     
   } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
     console.error('❌ Error loading audio file:', error);
     
     // Show styled error to user
@@ -272,24 +423,111 @@ export async function handleFileSelect(event) {
     });
     
     // Log supported formats
-    console.info('ℹ️ Supported formats: MP3, WAV, OGG/Vorbis, Opus, M4A/AAC, FLAC, WebM Audio');
+    console.info('ℹ️ Supported formats: MP3, WAV, AIFF, OGG/Vorbis, Opus, M4A/AAC, FLAC, WebM Audio');
     
     return null;
   }
 }
 
+/**
+ * Download a URL's body, reporting bytes as they arrive
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request (rejects with the signal's reason, an AbortError by default)
+ * @param {function(number, number|null): void} [options.onProgress] - `(loaded, total)` after each chunk;
+ *   total is null when the server sends no usable Content-Length (e.g. compressed responses)
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} For HTTP errors
+ */
+export async function fetchAudioData(url, { signal = undefined, onProgress = null } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  const length = Number(response.headers?.get('Content-Length'));
+  const encoded = response.headers?.get('Content-Encoding');
+  // A compressed body's Content-Length counts compressed bytes, not the ones read here
+  const total = length > 0 && !encoded ? length : null;
+  
+  if (!response.body?.getReader) {
+    const arrayBuffer = await response.arrayBuffer();
+    onProgress?.(arrayBuffer.byteLength, total ?? arrayBuffer.byteLength);
+    return arrayBuffer;
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress?.(0, total);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress?.(loaded, total);
+  }
+  
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+}
+
+/**
+ * Error a cancelled load rejects with
+ * @param {AbortSignal} signal
+ * @returns {Error} The signal's reason when it is an Error, else an AbortError
+ */
+function getAbortError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new DOMException('URL load cancelled', 'AbortError');
+}
+
 /**
  * Load audio from a URL with fallback to placeholder waveform
+ * The previous audio is disposed once the new source is ready, so a cancelled
+ * or failed load leaves it in place.
  * @param {string} url - The URL to load audio from (supports direct links, Dropbox, etc.)
- * @returns {Promise<{audioBuffer?: AudioBuffer, waveform: Float32Array, globalMaxAmp?: number, isUrlLoaded: boolean, fileName?: string, audioElement?: HTMLAudioElement}>}
+ * @param {PlayerScope} [scope] - Player whose previous audio is disposed (defaults to the shared scope)
+ * @param {Object} [options]
+ * @param {HTMLMediaElement} [options.mediaElement] - Page element already playing `url`; it is
+ *   returned as `audioElement` instead of a hidden `<audio>`, and its src is never touched
+ * @param {AbortSignal} [options.signal] - Cancels the load: the download stops, hidden elements
+ *   are emptied and the promise rejects with an AbortError (the signal's reason)
+ * @param {function(number, number|null): void} [options.onProgress] - `(loaded, total)` bytes of the
+ *   waveform download (shown in the loading overlay too)
+ * @param {Function} [options.onCancel] - Shows a Cancel button on the loading overlay that calls it
+ * @returns {Promise<{audioBuffer?: AudioBuffer, waveform: Float32Array, globalMaxAmp?: number, isUrlLoaded: boolean, fileName?: string, audioElement?: HTMLMediaElement}>}
+ *   `waveform` is null when the audio could not be fetched (the caller draws a placeholder)
+ * @throws {AudioLoadError} DECODE_FAILED when the audio was fetched but neither the browser
+ *   nor the built-in WAV/AIFF decoder can read it
  */
-export async function loadAudioFromUrl(url) {
+export async function loadAudioFromUrl(url, scope = defaultScope, { mediaElement = null, signal = undefined, onProgress = null, onCancel = null } = {}) {
   try {
     fileLog('🔗 Loader: Loading from URL', 'info', { url: url.substring(0, 100) });
+    if (signal?.aborted) throw getAbortError(signal);
     
-    // Dispose of previous audio to free memory
-    await disposeAudio();
-    clearCache();
+    const download = {
+      signal,
+      onProgress: (loaded, total) => {
+        setLoadingProgress(loaded, total);
+        onProgress?.(loaded, total);
+      }
+    };
+    const loadingOptions = { progress: true, onCancel };
+    
+    // ✅ NEW: Follow the page's own <audio>/<video> instead of creating one.
+    // The page already plays this source, so its blob:/data: URLs are allowed too.
+    if (mediaElement) {
+      showLoading('Loading audio from media element...', loadingOptions);
+      const result = await loadWaveformForMediaElement(mediaElement, url, download);
+      if (signal?.aborted) throw getAbortError(signal);
+      await disposeAudio(scope);
+      return result;
+    }
     
     // Sanitize and validate URL
     const sanitizedUrl = sanitizeUrl(url);
@@ -307,7 +545,7 @@ export async function loadAudioFromUrl(url) {
     fileLog('🌐 Loader: Fetching audio from URL');
     
     // Show loading state
-    showLoading('Loading audio from URL...');
+    showLoading('Loading audio from URL...', loadingOptions);
     
     // Create HTML audio element for playback
     const audio = document.createElement('audio');
@@ -321,8 +559,40 @@ export async function loadAudioFromUrl(url) {
       console.log('⚠️ CrossOrigin not supported, continuing without it');
     }
     
-    return new Promise((resolve, reject) => {
+    return new Promise((resolvePromise, rejectPromise) => {
       let waveformExtracted = false;
+      let settled = false;
+      const elements = [audio];
+      
+      // Only the first outcome counts: after a cancel, late element events and downloads are ignored
+      const onAbort = () => {
+        elements.forEach(element => {
+          element.oncanplaythrough = null;
+          element.onerror = null;
+          element.removeAttribute?.('src');
+          element.load?.();
+        });
+        hideLoading();
+        fileLog('🛑 Loader: URL load cancelled', 'info', { url: url.substring(0, 100) });
+        reject(getAbortError(signal));
+      };
+      const settle = (finish) => (value) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        finish(value);
+      };
+      // Dispose of previous audio only now that the new source is ready
+      const resolve = settle(async (result) => {
+        try {
+          await disposeAudio(scope);
+          resolvePromise(result);
+        } catch (error) {
+          rejectPromise(error);
+        }
+      });
+      const reject = settle(rejectPromise);
+      signal?.addEventListener('abort', onAbort, { once: true });
       
       audio.oncanplaythrough = async () => {
         // Only extract waveform once
@@ -341,16 +611,13 @@ export async function loadAudioFromUrl(url) {
             // Fetch audio data for waveform analysis
             console.log('🌐 Fetching audio data for waveform analysis...');
             
-            const response = await fetch(directUrl);
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const arrayBuffer = await response.arrayBuffer();
+            const arrayBuffer = await fetchAudioData(directUrl, download);
             console.log('📊 Audio data fetched, size:', arrayBuffer.byteLength);
+            const detected = detectFetchedFormat(directUrl, arrayBuffer);
+            const tags = await readAudioTags(arrayBuffer);
             
             // Decode the audio data
-            const audioBuffer = await decodeAudioData(arrayBuffer);
+            const audioBuffer = await decodeFetchedAudio(arrayBuffer, url);
             console.log('🎵 Audio decoded successfully:', {
               duration: audioBuffer.duration,
               channels: audioBuffer.numberOfChannels,
@@ -380,10 +647,16 @@ export async function loadAudioFromUrl(url) {
               waveform: realWaveform,
               globalMaxAmp: maxAmp,
               isUrlLoaded: true,
-              audioElement: audio
+              audioElement: audio,
+              format: detected.format,
+              formatMismatch: detected.mismatch,
+              tags
             });
             
           } catch (webAudioError) {
+            if (settled) return;
+            // The bytes arrived but nothing can decode them - a placeholder would play silence
+            if (webAudioError?.code === LoadErrorCodes.DECODE_FAILED) throw webAudioError;
             console.warn('⚠️ Could not extract real waveform, will use placeholder:', webAudioError.message);
             
             // Return placeholder result - let caller generate waveform
@@ -414,6 +687,7 @@ export async function loadAudioFromUrl(url) {
         const fallbackAudio = document.createElement('audio');
         fallbackAudio.style.display = 'none';
         fallbackAudio.preload = 'metadata';
+        elements.push(fallbackAudio);
         
         fallbackAudio.oncanplaythrough = async () => {
           try {
@@ -423,9 +697,10 @@ export async function loadAudioFromUrl(url) {
             try {
               console.log('🎵 Attempting real waveform extraction with fallback method...');
               
-              const response = await fetch(directUrl);
-              const arrayBuffer = await response.arrayBuffer();
-              const audioBuffer = await decodeAudioData(arrayBuffer);
+              const arrayBuffer = await fetchAudioData(directUrl, download);
+              const detected = detectFetchedFormat(directUrl, arrayBuffer);
+              const tags = await readAudioTags(arrayBuffer);
+              const audioBuffer = await decodeFetchedAudio(arrayBuffer, url);
               
               const channelData = audioBuffer.getChannelData(0);
               const realWaveform = new Float32Array(channelData);
@@ -442,11 +717,16 @@ export async function loadAudioFromUrl(url) {
                 waveform: realWaveform,
                 globalMaxAmp: maxAmp,
                 isUrlLoaded: true,
-                audioElement: fallbackAudio
+                audioElement: fallbackAudio,
+                format: detected.format,
+                formatMismatch: detected.mismatch,
+                tags
               });
               return;
               
             } catch (realWaveformError) {
+              if (settled) return;
+              if (realWaveformError?.code === LoadErrorCodes.DECODE_FAILED) throw realWaveformError;
               console.warn('⚠️ Fallback real waveform extraction failed, using placeholder:', realWaveformError.message);
             }
             
@@ -479,6 +759,7 @@ export async function loadAudioFromUrl(url) {
             const lastResortAudio = document.createElement('audio');
             lastResortAudio.style.display = 'none';
             lastResortAudio.preload = 'metadata';
+            elements.push(lastResortAudio);
             
             lastResortAudio.oncanplaythrough = async () => {
               try {
@@ -546,12 +827,101 @@ export async function loadAudioFromUrl(url) {
     });
     
   } catch (error) {
-    console.error('❌ Failed to load audio from URL:', error);
     hideLoading();
+    // A cancelled load is not an error worth showing
+    if (error?.name === 'AbortError') {
+      fileLog('🛑 Loader: URL load cancelled', 'info', { url: url.substring(0, 100) });
+      throw error;
+    }
+    console.error('❌ Failed to load audio from URL:', error);
     showError(error, {
       dismissible: true,
       autoDismiss: 8000
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Decode the waveform for a page-owned media element
+ * Only the waveform is fetched - the element keeps streaming on its own.
+ * Falls back to a placeholder (sized from the element's duration) when the
+ * audio cannot be fetched, e.g. without CORS headers.
+ * @param {HTMLMediaElement} mediaElement
+ * @param {string} url - The element's current source
+ * @param {Object} download - fetchAudioData() options (signal and progress)
+ * @returns {Promise<Object>} Same shape as loadAudioFromUrl()
+ * @throws {AudioLoadError} DECODE_FAILED when the fetched audio cannot be decoded
+ */
+async function loadWaveformForMediaElement(mediaElement, url, download) {
+  try {
+    const arrayBuffer = await fetchAudioData(url, download);
+    const detected = detectFetchedFormat(url, arrayBuffer);
+    const tags = await readAudioTags(arrayBuffer);
+    const audioBuffer = await decodeFetchedAudio(arrayBuffer, url);
+    const waveform = new Float32Array(audioBuffer.getChannelData(0));
+    
+    let maxAmp = 0;
+    for (let i = 0; i < waveform.length; i++) {
+      maxAmp = Math.max(maxAmp, Math.abs(waveform[i]));
+    }
+    
+    fileLog('✅ Loader: Decoded waveform for media element', 'info', { duration: audioBuffer.duration });
+    hideLoading();
+    return {
+      audioBuffer,
+      waveform,
+      globalMaxAmp: maxAmp,
+      isUrlLoaded: true,
+      audioElement: mediaElement,
+      format: detected.format,
+      formatMismatch: detected.mismatch,
+      tags
+    };
+  } catch (error) {
+    if (error?.name === 'AbortError' || error?.code === LoadErrorCodes.DECODE_FAILED) throw error;
+    fileLog('⚠️ Loader: Could not fetch media element source, using placeholder', 'warn', { error: error.message });
+  }
+  
+  const duration = await waitForMediaDuration(mediaElement);
+  hideLoading();
+  return {
+    waveform: null, // Signal that placeholder is needed
+    globalMaxAmp: 0.7,
+    isUrlLoaded: true,
+    audioElement: mediaElement,
+    duration
+  };
+}
+
+/**
+ * Resolve with the element's duration once its metadata is known
+ * @param {HTMLMediaElement} mediaElement
+ * @returns {Promise<number>} Duration in seconds (30 if the element never reports one)
+ * @throws {Error} If the element fails to load
+ */
+function waitForMediaDuration(mediaElement) {
+  const knownDuration = () => (Number.isFinite(mediaElement.duration) && mediaElement.duration > 0 ? mediaElement.duration : null);
+  if (knownDuration() || mediaElement.readyState >= 1) {
+    return Promise.resolve(knownDuration() || 30);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onMetadata = () => {
+      detach();
+      resolve(knownDuration() || 30);
+    };
+    const onError = () => {
+      detach();
+      reject(new Error(`Failed to load audio from media element: ${mediaElement.currentSrc || mediaElement.src}`));
+    };
+    const detach = () => {
+      mediaElement.removeEventListener('loadedmetadata', onMetadata);
+      mediaElement.removeEventListener('error', onError);
+    };
+    
+    // Listeners rather than on* handlers - the page may use those itself
+    mediaElement.addEventListener('loadedmetadata', onMetadata);
+    mediaElement.addEventListener('error', onError);
+  });
+}
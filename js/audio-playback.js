@@ -1,775 +1,1683 @@
-import { setPlayhead, setPlayingState, getAudioState } from './audio-state.js';
+/**
+ * Audio Playback
+ *
+ * Playback graph for one player: buffer sources, scrub source and gain nodes
+ * on the shared AudioContext, or a streaming <audio> element for URL audio.
+ * Both pass through the channel routing and the equalizer; a streaming element
+ * only when the browser lets its samples into the graph (see #routeMediaElement()).
+ * Decoded audio can also play backwards (setShuttle()) from a reversed copy.
+ *
+ * Every SpiralWaveformPlayer owns an AudioPlayback instance, so several
+ * players can run on one page without sharing playhead, gain or scrub state.
+ * The function exports below drive a default instance bound to the shared
+ * StateManager for the legacy single-player code paths.
+ *
+ * @module audio-playback
+ */
+
+import { setPlayhead, setPlayingState, getAudioState, stateManager } from './audio-state.js';
 import { audio, system } from './logger.js';
 import { scrubStateAdapter } from './interaction-state-adapter.js'; // ✅ NEW: Use centralized interaction state
+import { playbackEvents, PlayerEvents } from './event-emitter.js';
+import { AudioContextManager } from './audio-context-manager.js';
+import { wrapLoopTime } from './loop-region.js';
+import { scheduleCrossfade } from './crossfade.js';
+import { createReversedBuffer } from './shuttle.js';
+import { ChannelRouter, ChannelModes } from './channel-routing.js';
+import { Equalizer, createEqSettings } from './equalizer.js';
+import { CONFIG } from './utils.js';
+
+// Media elements stop themselves at the very end, so a loop ending there wraps this much earlier
+const MEDIA_LOOP_END_MARGIN = 0.1;
+
+// Media element volume ramps are stepped from a timer this often (ms)
+const MEDIA_FADE_STEP = 4;
+
+// Scrub audio level relative to the volume (slightly quieter than playback)
+const SCRUB_LEVEL = 0.7;
 
-let audioContext = null;
-let audioSource = null;
-let scrubSource = null;
-let gainNode = null;
-let scrubGainNode = null;
-let startTime = 0;
-let pauseTime = 0;
-let startOffset = 0;
-let isInitialized = false;
+// An element can only ever get one MediaElementAudioSourceNode, so it is kept for reuse
+const mediaSources = new WeakMap();
+
+/**
+ * Whether a media element's samples can go through the Web Audio graph
+ * Cross-origin audio fetched without CORS plays as silence once it is routed.
+ * @param {HTMLMediaElement} element
+ * @returns {boolean}
+ */
+function canRouteMediaElement(element) {
+  const src = element.currentSrc || element.src;
+  if (!src) return false;
+  if (element.crossOrigin || /^(blob|data):/.test(src)) return true;
+  try {
+    return new URL(src, window.location.href).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
 
 // ✅ MIGRATION NOTE: ScrubState class removed - now using scrubStateAdapter from interaction-state-adapter.js
 // This consolidates all interaction state (scrubbing, dragging) in StateManager
 
-// State management for preventing race conditions
-let initializationPromise = null;
-let resumePromise = null;
-let isInitializing = false;
+/**
+ * AudioPlayback - Per-player playback graph on the shared AudioContext
+ */
+export class AudioPlayback {
+  #stateManager;
+  #scrubState;
+  #events;
 
-export async function initializeAudio() {
-  // ✅ IMPROVED: Prevent concurrent initialization
-  if (isInitializing || isInitialized) {
-    if (initializationPromise) {
-      return await initializationPromise;
-    }
-    if (isInitialized) {
-      return;
-    }
+  #audioContext = null;
+  #audioSource = null;
+  #scrubSource = null;
+  #gainNode = null;
+  #scrubGainNode = null;
+  // ✅ NEW: Channel routing stage - sources and scrub audio pass through it into #gainNode
+  #router = null;
+  // ✅ NEW: Equalizer between the routing stage and the level node
+  #equalizer = null;
+  // ✅ NEW: Per-track level (loudness normalization) between the equalizer and #gainNode
+  #levelNode = null;
+  // Linear gain of each decoded track (setTrackGain); tracks without one play at 1
+  #trackGains = new WeakMap();
+  // ✅ NEW: Reversed copy of each decoded track, made the first time it plays backwards
+  #reversedBuffers = new WeakMap();
+  #startTime = 0;
+  #pauseTime = 0;
+  #startOffset = 0;
+  #isInitialized = false;
+
+  // State management for preventing race conditions
+  #initializationPromise = null;
+  #resumePromise = null;
+  #isInitializing = false;
+
+  #currentBuffer = null;
+  // Each buffer source plays through its own gain (into #gainNode) so tracks can crossfade
+  #sourceGain = null;
+  // Next track, scheduled to start where the current one ends (queueNext)
+  #queued = null;
+  // Previous track's source while it finishes its crossfade
+  #fadingOut = null;
+  #mediaElement = null;
+  // Page-owned element (attachMedia): followed, never paused on switch, rewound or emptied
+  #mediaElementExternal = false;
+  // The owned element's MediaElementAudioSourceNode while it plays through the graph
+  #mediaSource = null;
+  // ✅ NEW: Transport fades - sources start and stop through a gain ramp this long (seconds)
+  #fadeDuration = CONFIG.TRANSPORT_FADE_DURATION;
+  // Volume ramp running on the owned media element: { timer, resolve }
+  #mediaFade = null;
+  // Seek waiting for the owned element to fade out before it jumps: { element, time }
+  #mediaSeek = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {StateManager} [options.stateManager] - Audio state store (defaults to the shared singleton)
+   * @param {ScrubStateAdapter} [options.scrubState] - Scrub state adapter bound to the same store
+   * @param {EventEmitter} [options.events] - Bus that transport events are published on
+   */
+  constructor({
+    stateManager: sm = stateManager,
+    scrubState = scrubStateAdapter,
+    events = playbackEvents
+  } = {}) {
+    this.#stateManager = sm;
+    this.#scrubState = scrubState;
+    this.#events = events;
   }
 
-  isInitializing = true;
-  
-  initializationPromise = (async () => {
-    try {
-      audio('🎵 Audio: Creating audio context');
-      
-      // ✅ IMPROVED: Better state checking and cleanup
-      if (audioContext && audioContext.state === 'closed') {
-        audio('🔄 Audio: Cleaning up closed audio context');
-        audioContext = null;
-        gainNode = null;
-        scrubGainNode = null;
-        isInitialized = false;
-      }
-      
-      if (!audioContext) {
-        try {
-          audioContext = new (window.AudioContext || window.webkitAudioContext)();
-          
-          // ✅ IMPROVED: Add error event listeners with null check
-          if (audioContext) {
-            audioContext.addEventListener('statechange', () => {
-              if (audioContext && audioContext.state) {
-                audio(`🔄 Audio: Context state → ${audioContext.state}`);
-              }
-            });
-            
-            gainNode = audioContext.createGain();
-            gainNode.connect(audioContext.destination);
-            
+  async initialize() {
+    // ✅ IMPROVED: Prevent concurrent initialization
+    if (this.#isInitializing || this.#isInitialized) {
+      if (this.#initializationPromise) {
+        return await this.#initializationPromise;
+      }
+      if (this.#isInitialized) {
+        return;
+      }
+    }
+
+    this.#isInitializing = true;
+
+    this.#initializationPromise = (async () => {
+      try {
+        audio('🎵 Audio: Connecting to shared audio context');
+
+        // ✅ IMPROVED: Better state checking and cleanup
+        if (this.#audioContext && this.#audioContext.state === 'closed') {
+          audio('🔄 Audio: Cleaning up closed audio context');
+          this.#audioContext = null;
+          this.#gainNode = null;
+          this.#scrubGainNode = null;
+          this.#router = null;
+          this.#equalizer = null;
+          this.#levelNode = null;
+          this.#mediaSource = null;
+          this.#isInitialized = false;
+        }
+
+        if (!this.#audioContext) {
+          try {
+            const context = AudioContextManager.getContext();
+
+            if (!context) {
+              throw new Error('AudioContext creation returned null');
+            }
+
+            this.#gainNode = context.createGain();
+            this.#gainNode.connect(context.destination);
+
+            this.#levelNode = context.createGain();
+            this.#levelNode.gain.value = this.#getTrackGain(this.#currentBuffer);
+            this.#levelNode.connect(this.#gainNode);
+
+            this.#equalizer = new Equalizer(context);
+            this.#equalizer.connect(this.#levelNode);
+
+            this.#router = new ChannelRouter(context);
+            this.#router.connect(this.#equalizer.input);
+
             // ✅ NEW: Create scrub gain node
-            scrubGainNode = audioContext.createGain();
-            scrubGainNode.connect(audioContext.destination);
-            scrubGainNode.gain.value = 0.7; // Slightly quieter for scrubbing
-            
-            audio('✅ Audio: Context created', 'info', { sampleRate: audioContext.sampleRate });
-          } else {
-            throw new Error('AudioContext creation returned null');
+            this.#scrubGainNode = context.createGain();
+            this.#scrubGainNode.connect(this.#router.input);
+
+            this.#audioContext = context;
+            this.#router.setRouting(...this.#getChannelRouting());
+            this.#equalizer.set(this.#getEqSettings());
+            this.#routeMediaElement();
+            this.#applyVolume(this.#stateManager.get('audio.volume') ?? 1);
+
+            audio('✅ Audio: Playback graph created', 'info', { sampleRate: context.sampleRate });
+          } catch (error) {
+            system('❌ Audio: Failed to create AudioContext', 'error', error);
+            this.#audioContext = null;
+            this.#gainNode = null;
+            this.#scrubGainNode = null;
+            this.#router = null;
+            this.#equalizer = null;
+            this.#levelNode = null;
+            return false;
           }
-        } catch (error) {
-          system('❌ Audio: Failed to create AudioContext', 'error', error);
-          audioContext = null;
+        }
+
+        if (this.#audioContext && this.#audioContext.state) {
+          audio(`🎵 Audio: Context state is ${this.#audioContext.state}`);
+        } else {
+          system('❌ Audio: Context is null or has no state', 'error');
           return false;
         }
+
+        this.#isInitialized = true;
+        audio('✅ Audio: Initialization complete');
+      } catch (error) {
+        system('❌ Audio: Initialization failed', 'error', error);
+        this.#isInitialized = false;
+        throw error;
+      } finally {
+        this.#isInitializing = false;
       }
-      
-      if (audioContext && audioContext.state) {
-        audio(`🎵 Audio: Context state is ${audioContext.state}`);
-      } else {
-        system('❌ Audio: Context is null or has no state', 'error');
-        return false;
+    })();
+
+    return await this.#initializationPromise;
+  }
+
+  async #ensureAudioContextRunning() {
+    const audioContext = this.#audioContext;
+
+    // ✅ IMPROVED: Better state checking and race condition prevention
+    if (!audioContext) {
+      throw new Error('Audio context not initialized');
+    }
+
+    // ✅ IMPROVED: Check if audioContext has state property
+    if (!audioContext.state) {
+      throw new Error('Audio context has no state property');
+    }
+
+    // ✅ IMPROVED: Handle all possible states
+    if (audioContext.state === 'closed') {
+      throw new Error('Audio context is closed and cannot be resumed');
+    }
+
+    if (audioContext.state === 'suspended') {
+      // ✅ IMPROVED: Prevent concurrent resume operations
+      if (this.#resumePromise) {
+        return await this.#resumePromise;
       }
-      
-      isInitialized = true;
-      audio('✅ Audio: Initialization complete');
-    } catch (error) {
-      system('❌ Audio: Initialization failed', 'error', error);
-      isInitialized = false;
-      throw error;
-    } finally {
-      isInitializing = false;
+
+      audio('🔄 Audio: Resuming suspended context');
+      this.#resumePromise = audioContext.resume().then(() => {
+        audio('✅ Audio: Context resumed');
+        this.#resumePromise = null;
+      }).catch((error) => {
+        system('❌ Audio: Failed to resume context', 'error', error);
+        this.#resumePromise = null;
+        throw error;
+      });
+
+      return await this.#resumePromise;
     }
-  })();
-  
-  return await initializationPromise;
-}
 
-async function ensureAudioContextRunning() {
-  // ✅ IMPROVED: Better state checking and race condition prevention
-  if (!audioContext) {
-    throw new Error('Audio context not initialized');
-  }
-  
-  // ✅ IMPROVED: Check if audioContext has state property
-  if (!audioContext.state) {
-    throw new Error('Audio context has no state property');
-  }
-  
-  // ✅ IMPROVED: Handle all possible states
-  if (audioContext.state === 'closed') {
-    throw new Error('Audio context is closed and cannot be resumed');
-  }
-  
-  if (audioContext.state === 'suspended') {
-    // ✅ IMPROVED: Prevent concurrent resume operations
-    if (resumePromise) {
-      return await resumePromise;
-    }
-    
-    audio('🔄 Audio: Resuming suspended context');
-    resumePromise = audioContext.resume().then(() => {
-      audio('✅ Audio: Context resumed');
-      resumePromise = null;
-    }).catch((error) => {
-      system('❌ Audio: Failed to resume context', 'error', error);
-      resumePromise = null;
-      throw error;
-    });
-    
-    return await resumePromise;
-  }
-  
-  // ✅ IMPROVED: Handle 'running' and other states
-  if (audioContext.state === 'running') {
-    return; // Already running, nothing to do
+    // ✅ IMPROVED: Handle 'running' and other states
+    if (audioContext.state === 'running') {
+      return; // Already running, nothing to do
+    }
+
+    // ✅ NEW: Log unexpected states
+    system(`⚠️ Audio: Unexpected context state: ${audioContext.state}`, 'warn');
   }
-  
-  // ✅ NEW: Log unexpected states
-  system(`⚠️ Audio: Unexpected context state: ${audioContext.state}`, 'warn');
-}
 
-export async function loadAudioForPlayback(audioBuffer) {
-  // ✅ IMPROVED: Better validation and error handling
-  if (!audioBuffer) {
-    throw new Error('No audio buffer provided');
+  async load(audioBuffer) {
+    // ✅ IMPROVED: Better validation and error handling
+    if (!audioBuffer) {
+      throw new Error('No audio buffer provided');
+    }
+
+    try {
+      if (!this.#isInitialized || this.#audioContext?.state === 'closed') {
+        this.#isInitialized = false;
+        await this.initialize();
+      }
+
+      await this.#ensureAudioContextRunning();
+
+      this.stop();
+      this.#endShuttle();
+
+      this.#currentBuffer = audioBuffer;
+      this.#scheduleTrackLevel();
+
+      audio('🎵 Audio: Buffer loaded for playback', 'info', {
+        duration: audioBuffer.duration.toFixed(2),
+        channels: audioBuffer.numberOfChannels
+      });
+    } catch (error) {
+      system('❌ Audio: Failed to load for playback', 'error', error);
+      throw error;
+    }
   }
-  
-  try {
-    if (!isInitialized) {
-      await initializeAudio();
-    }
-    
-    await ensureAudioContextRunning();
-    
-    stopAudio();
-    
-    window.currentAudioBuffer = audioBuffer;
-    
-    audio('🎵 Audio: Buffer loaded for playback', 'info', { 
-      duration: audioBuffer.duration.toFixed(2),
-      channels: audioBuffer.numberOfChannels 
-    });
-  } catch (error) {
-    system('❌ Audio: Failed to load for playback', 'error', error);
-    throw error;
+
+  /**
+   * Use a streaming media element for playback instead of the decoded buffer
+   * The previous element (if different and owned by the player) is paused.
+   * @param {HTMLMediaElement|null} element
+   * @param {Object} [options]
+   * @param {boolean} [options.external=false] - The page owns the element: its volume and
+   *   speed are left as they are, and stop()/releaseMediaElement() only let go of it
+   */
+  setMediaElement(element, { external = false } = {}) {
+    if (this.#mediaElement !== element) {
+      this.#cancelMediaFade();
+      this.#mediaSeek = null;
+    }
+    if (this.#mediaElement && this.#mediaElement !== element && !this.#mediaElementExternal) {
+      this.#mediaElement.pause();
+    }
+    this.#mediaElement = element || null;
+    this.#mediaElementExternal = !!(element && external);
+
+    if (this.#mediaElement && !this.#mediaElementExternal) {
+      this.#mediaElement.volume = Math.max(0, Math.min(1, this.#stateManager.get('audio.volume') ?? 1));
+      this.#applyPlaybackRate(this.#getPlaybackRate(), this.#stateManager.get('audio.preservePitch') ?? true);
+    }
+    this.#routeMediaElement();
   }
-}
 
-export async function playAudio(startTimeSeconds = 0) {
-  // ✅ NEW: Detect if we should use URL audio (streaming) or buffer audio (decoded)
-  // URL audio takes priority - use it if available regardless of Web Audio initialization state
-  if (window.urlAudioElement) {
-    audio('🎵 Using URL audio playback (streaming mode)');
-    return playUrlAudio(startTimeSeconds);
-  }
-  
-  // ✅ IMPROVED: Better validation and error handling
-  if (!isInitialized || !window.currentAudioBuffer) {
-    audio('Audio not initialized or no buffer loaded', 'warn');
-    return false;
+  /**
+   * @returns {HTMLMediaElement|null} Streaming element, if URL audio is loaded
+   */
+  getMediaElement() {
+    return this.#mediaElement;
   }
-  
-  // ✅ IMPROVED: Validate start time
-  if (startTimeSeconds < 0) {
-    startTimeSeconds = 0;
+
+  /**
+   * @returns {boolean} Whether the streaming element belongs to the page (see setMediaElement)
+   */
+  isMediaElementExternal() {
+    return this.#mediaElementExternal;
   }
-  
-  if (startTimeSeconds > window.currentAudioBuffer.duration) {
-    audio(`Start time exceeds buffer duration, resetting to 0`, 'warn', {
-      startTime: startTimeSeconds,
-      duration: window.currentAudioBuffer.duration
-    });
-    startTimeSeconds = 0;
+
+  /**
+   * @returns {boolean} Whether the streaming element plays through the channel routing
+   *   and equalizer. Page-owned elements and cross-origin audio without CORS play directly.
+   */
+  isMediaElementRouted() {
+    return !!this.#mediaSource;
   }
 
-  try {
-    await ensureAudioContextRunning();
-    
-    stopAudio();
-    
-    // ✅ IMPROVED: Better error handling for source creation
-    if (!audioContext || audioContext.state === 'closed') {
-      throw new Error('Audio context is not available');
-    }
-    
-    // Create new source
-    audioSource = audioContext.createBufferSource();
-    audioSource.buffer = window.currentAudioBuffer;
-    audioSource.connect(gainNode);
-    
-    // ✅ IMPROVED: Add error event handler
-    audioSource.addEventListener('error', (event) => {
-      system('❌ Audio: Source error', 'error', event);
-      stopAudio();
-    });
-    
-    startOffset = startTimeSeconds;
-    const now = audioContext.currentTime;
-    audioSource.start(0, startTimeSeconds);
-    startTime = now;
-    pauseTime = 0;
-    
-    audio(`▶️ Audio: Playing from ${startTimeSeconds.toFixed(2)}s`);
-    return true;
-  } catch (error) {
-    system('❌ Audio: Play failed', 'error', error);
-    stopAudio();
-    return false;
+  /**
+   * Stop the streaming element and drop its source so the browser can free it
+   * A page-owned element is only detached - it keeps its source and position.
+   */
+  releaseMediaElement() {
+    const element = this.#mediaElement;
+    if (!element) return;
+
+    this.#cancelMediaFade();
+    this.#mediaElement = null;
+    this.#routeMediaElement();
+    if (this.#mediaElementExternal) {
+      this.#mediaElementExternal = false;
+      return;
+    }
+
+    element.pause();
+    element.src = '';
+    element.load();
   }
-}
 
-// ✅ NEW: Handle URL audio playback (MediaElement approach like WaveSurfer)
-async function playUrlAudio(startTimeSeconds = 0) {
-  try {
-    const audioElement = window.urlAudioElement;
-    if (!audioElement) {
-      system('No URL audio element available', 'warn');
+  async play(startTimeSeconds = 0) {
+    // ✅ NEW: Detect if we should use URL audio (streaming) or buffer audio (decoded)
+    // URL audio takes priority - use it if available regardless of Web Audio initialization state
+    if (this.#mediaElement) {
+      audio('🎵 Using URL audio playback (streaming mode)');
+      return this.#playUrlAudio(startTimeSeconds);
+    }
+
+    // ✅ IMPROVED: Better validation and error handling
+    if (!this.#isInitialized || !this.#currentBuffer) {
+      audio('Audio not initialized or no buffer loaded', 'warn');
       return false;
     }
-    
-    // Validate start time
+
+    // ✅ IMPROVED: Validate start time
     if (startTimeSeconds < 0) {
       startTimeSeconds = 0;
     }
-    
-    if (startTimeSeconds > audioElement.duration) {
-      system(`Start time exceeds audio duration, resetting to 0`, 'warn', {
+
+    if (startTimeSeconds > this.#currentBuffer.duration) {
+      audio(`Start time exceeds buffer duration, resetting to 0`, 'warn', {
         startTime: startTimeSeconds,
-        duration: audioElement.duration
+        duration: this.#currentBuffer.duration
       });
       startTimeSeconds = 0;
     }
-    
-    // Set current time and play
-    audioElement.currentTime = startTimeSeconds;
-    
-    // Note: setPlayingState() should be called by the caller before calling playAudio()
-    // This ensures state is set synchronously before async playback starts
-    
-    const playPromise = audioElement.play();
-    if (playPromise !== undefined) {
-      await playPromise;
-    }
-    
-    audio(`Playing URL audio from ${startTimeSeconds.toFixed(2)}s`);
-    return true;
-    
-  } catch (error) {
-    system('Failed to play URL audio', 'error', error);
-    return false;
-  }
-}
 
-export function pauseAudio() {
-  // ✅ NEW: Handle URL audio pause
-  if (window.urlAudioElement && !window.urlAudioElement.paused) {
-    window.urlAudioElement.pause();
-    audio(`⏸️ Audio: URL audio paused at ${window.urlAudioElement.currentTime.toFixed(2)}s`);
-    return;
-  }
-  
-  // Handle buffer audio
-  if (audioSource) {
-    const currentTime = getCurrentTime();
-    audioSource.stop();
-    audioSource = null;
-    pauseTime = currentTime;
-    audio(`⏸️ Audio: Paused at ${pauseTime.toFixed(2)}s`);
+    // A start at or past B begins the loop from A (playing backwards: at or before A begins it from B)
+    const loopRegion = this.#getLoopRegion();
+    const speed = this.#getSpeed();
+    const reverse = speed < 0;
+    if (loopRegion && !reverse && startTimeSeconds >= loopRegion.end) {
+      startTimeSeconds = loopRegion.start;
+    } else if (loopRegion && reverse && startTimeSeconds <= loopRegion.start) {
+      startTimeSeconds = loopRegion.end;
+    }
+
+    try {
+      await this.#ensureAudioContextRunning();
+
+      this.stop();
+
+      // ✅ IMPROVED: Better error handling for source creation
+      if (!this.#audioContext || this.#audioContext.state === 'closed') {
+        throw new Error('Audio context is not available');
+      }
+
+      // Create new source
+      const sourceGain = this.#audioContext.createGain();
+      sourceGain.connect(this.#router.input);
+      const source = this.#audioContext.createBufferSource();
+      source.buffer = reverse ? this.#getReversedBuffer(this.#currentBuffer) : this.#currentBuffer;
+      source.playbackRate.value = Math.abs(speed);
+      this.#applyLoopRegion(source, loopRegion);
+      source.connect(sourceGain);
+
+      // ✅ IMPROVED: Add error event handler
+      source.addEventListener('error', (event) => {
+        system('❌ Audio: Source error', 'error', event);
+        this.stop();
+      });
+
+      this.#audioSource = source;
+      this.#sourceGain = sourceGain;
+      this.#startOffset = startTimeSeconds;
+      const now = this.#audioContext.currentTime;
+      // Fade in (stop() above is fading the previous source out over the same span - a crossfade on seek)
+      if (this.#fadeDuration > 0) {
+        sourceGain.gain.setValueAtTime(0, now);
+        sourceGain.gain.linearRampToValueAtTime(1, now + this.#fadeDuration);
+      }
+      // The reversed copy runs from the end of the track
+      source.start(0, reverse ? this.#currentBuffer.duration - startTimeSeconds : startTimeSeconds);
+      this.#startTime = now;
+      this.#pauseTime = 0;
+
+      audio(`▶️ Audio: Playing from ${startTimeSeconds.toFixed(2)}s`, 'info', reverse ? { speed } : undefined);
+      return true;
+    } catch (error) {
+      system('❌ Audio: Play failed', 'error', error);
+      this.stop();
+      return false;
+    }
   }
-}
 
-export function stopAudio() {
-  // ✅ IMPROVED: Clean up scrubbing state when stopping audio
-  if (scrubStateAdapter.isActive()) {
-    audio('🛑 Audio: Stopping while scrubbing - cleaning up');
-    scrubStateAdapter.reset();
+  // ✅ NEW: Handle URL audio playback (MediaElement approach like WaveSurfer)
+  async #playUrlAudio(startTimeSeconds = 0) {
+    try {
+      const audioElement = this.#mediaElement;
+      if (!audioElement) {
+        system('No URL audio element available', 'warn');
+        return false;
+      }
+
+      // Validate start time
+      if (startTimeSeconds < 0) {
+        startTimeSeconds = 0;
+      }
+
+      if (startTimeSeconds > audioElement.duration) {
+        system(`Start time exceeds audio duration, resetting to 0`, 'warn', {
+          startTime: startTimeSeconds,
+          duration: audioElement.duration
+        });
+        startTimeSeconds = 0;
+      }
+
+      const loopRegion = this.#getLoopRegion();
+      if (loopRegion && startTimeSeconds >= loopRegion.end) {
+        startTimeSeconds = loopRegion.start;
+      }
+
+      // A routed element is only heard while the context runs
+      if (this.#mediaSource) {
+        await this.#ensureAudioContextRunning();
+      }
+
+      // Set current time and play (silent until it starts, then faded in)
+      this.#mediaSeek = null;
+      audioElement.currentTime = startTimeSeconds;
+      this.#prepareMediaFadeIn();
+
+      // Note: setPlayingState() should be called by the caller before calling play()
+      // This ensures state is set synchronously before async playback starts
+
+      const playPromise = audioElement.play();
+      if (playPromise !== undefined) {
+        await playPromise;
+      }
+      this.#fadeMediaElement(1);
+
+      audio(`Playing URL audio from ${startTimeSeconds.toFixed(2)}s`);
+      return true;
+
+    } catch (error) {
+      system('Failed to play URL audio', 'error', error);
+      return false;
+    }
   }
 
-  // Handle URL audio
-  if (window.urlAudioElement) {
-    window.urlAudioElement.pause();
-    window.urlAudioElement.currentTime = 0;
-    audio('🛑 Audio: URL audio stopped');
-    return;
+  pause() {
+    // ✅ NEW: Handle URL audio pause (an owned element fades out first)
+    if (this.#mediaElement && !this.#mediaElement.paused) {
+      const element = this.#mediaElement;
+      if (this.#mediaElementExternal || !(this.#fadeDuration > 0)) {
+        element.pause();
+      } else {
+        this.#fadeMediaElement(0).then(finished => {
+          if (finished) element.pause();
+        });
+      }
+      audio(`⏸️ Audio: URL audio paused at ${element.currentTime.toFixed(2)}s`);
+      this.#endShuttle();
+      return;
+    }
+
+    // Handle buffer audio (the source fades out)
+    if (this.#audioSource) {
+      const currentTime = this.getCurrentTime();
+      this.#cancelTransition();
+      this.#releaseSource(this.#audioSource, this.#sourceGain);
+      this.#audioSource = null;
+      this.#sourceGain = null;
+      this.#pauseTime = currentTime;
+      audio(`⏸️ Audio: Paused at ${this.#pauseTime.toFixed(2)}s`);
+    }
+    // Pausing ends the shuttle
+    this.#endShuttle();
   }
 
-  // Handle buffer audio
-  if (audioSource) {
-    try {
-      audioSource.stop();
+  stop() {
+    // ✅ IMPROVED: Clean up scrubbing state when stopping audio
+    if (this.#scrubState.isActive()) {
+      audio('🛑 Audio: Stopping while scrubbing - cleaning up');
+      this.#scrubState.reset();
+    }
+
+    // Handle URL audio (a page-owned element keeps its position - the page decides when to rewind it)
+    if (this.#mediaElement) {
+      if (!this.#mediaElementExternal) {
+        const element = this.#mediaElement;
+        if (element.paused) {
+          element.currentTime = 0;
+        } else {
+          this.#fadeMediaElement(0).then(finished => {
+            if (!finished) return;
+            element.pause();
+            element.currentTime = 0;
+          });
+        }
+        audio('🛑 Audio: URL audio stopped');
+      }
+      return;
+    }
+
+    // Handle buffer audio (the source fades out)
+    this.#cancelTransition();
+    if (this.#audioSource) {
+      this.#releaseSource(this.#audioSource, this.#sourceGain);
+      this.#audioSource = null;
+      this.#sourceGain = null;
       audio('🛑 Audio: Source stopped');
-    } catch (error) {
-      system('⚠️ Audio: Error stopping source', 'warn', error);
     }
-    audioSource = null;
+
+    if (this.#scrubSource) {
+      try {
+        this.#scrubSource.stop();
+      } catch (error) {
+        system('⚠️ Audio: Error stopping scrub source', 'warn', error);
+      }
+      this.#scrubSource = null;
+    }
+
+    this.#startTime = 0;
+    this.#pauseTime = 0;
+    this.#startOffset = 0;
   }
-  
-  if (scrubSource) {
+
+  // ✅ IMPROVED: Robust scrubbing with centralized state management
+  startScrubbing(position) {
+    // ✅ NEW: Validate inputs
+    if (typeof position !== 'number' || !isFinite(position)) {
+      console.warn('⚠️ Invalid scrubbing position, using 0');
+      position = 0;
+    }
+
+    position = Math.max(0, Math.min(1, position));
+    // Scrubbing takes over from the shuttle (playback resumes at the playback rate)
+    this.#endShuttle();
+
+    // ✅ NEW: Handle URL audio scrubbing
+    if (this.#mediaElement) {
+      const wasPlaying = this.#startUrlScrubbing(position);
+      if (this.#scrubState.isActive()) {
+        this.#events.emit(PlayerEvents.SCRUB_START, { position, wasPlaying });
+      }
+      return wasPlaying;
+    }
+
+    // ✅ IMPROVED: Check for audio buffer
+    const hasBufferAudio = this.#isInitialized && this.#currentBuffer;
+
+    if (!hasBufferAudio) {
+      console.warn('⚠️ Cannot start scrubbing - no audio loaded');
+      return false;
+    }
+
+    // ✅ IMPROVED: Check audioContext availability for buffer audio
+    if (!this.#audioContext || this.#audioContext.state === 'closed') {
+      console.warn('⚠️ Cannot start scrubbing - audio context not available');
+      return false;
+    }
+
+    // Stop normal playback (fading it out) and remember state
+    const wasPlaying = this.isPlaying();
+    this.#cancelTransition();
+    if (this.#audioSource) {
+      this.#releaseSource(this.#audioSource, this.#sourceGain);
+      this.#audioSource = null;
+      this.#sourceGain = null;
+    }
+
+    // ✅ IMPROVED: Use centralized state management
+    this.#scrubState.startScrubbing(position, wasPlaying);
+
+    // ✅ IMPROVED: Only create scrub audio source if we were playing
+    if (wasPlaying) {
+      try {
+        const scrubSource = this.#audioContext.createBufferSource();
+        scrubSource.buffer = this.#currentBuffer;
+        scrubSource.connect(this.#scrubGainNode);
+        scrubSource.loop = true; // Enable looping for smooth scrubbing
+
+        // ✅ IMPROVED: Add error handling for scrub source
+        scrubSource.addEventListener('ended', () => {
+          audio('🎚️ Audio: Scrub source ended');
+          this.#scrubSource = null;
+          this.#scrubState.setHasAudioSource(false);
+        });
+
+        scrubSource.addEventListener('error', (event) => {
+          system('❌ Audio: Scrub source error', 'error', event);
+          this.#scrubSource = null;
+          this.#scrubState.setHasAudioSource(false);
+        });
+
+        // Start scrubbing from the specified position
+        const startTime = position * this.#currentBuffer.duration;
+        scrubSource.start(0, startTime);
+        scrubSource.playbackRate.value = 0; // Start paused
+
+        this.#scrubSource = scrubSource;
+        this.#scrubState.setHasAudioSource(true);
+        audio(`🎚️ Audio: Scrubbing started`, 'info', { position: (position * 100).toFixed(1) + '%' });
+      } catch (error) {
+        system('❌ Audio: Failed to create scrub source', 'error', error);
+        this.#scrubSource = null;
+        this.#scrubState.setHasAudioSource(false);
+      }
+    } else {
+      audio(`🎚️ Audio: Silent scrubbing started`, 'info', { position: (position * 100).toFixed(1) + '%' });
+    }
+
+    this.#events.emit(PlayerEvents.SCRUB_START, { position, wasPlaying });
+    return wasPlaying;
+  }
+
+  // ✅ NEW: Handle URL audio scrubbing (simplified approach)
+  #startUrlScrubbing(position) {
     try {
-      scrubSource.stop();
+      const audioElement = this.#mediaElement;
+      if (!audioElement || !audioElement.duration) {
+        audio('Cannot scrub URL audio - no duration available', 'warn');
+        return false;
+      }
+
+      // ✅ FIX: Use StateManager's isPlaying state instead of audioElement.paused
+      // audioElement.paused might not be accurate at load time
+      const audioState = getAudioState(this.#stateManager);
+      const wasPlaying = audioState.isPlaying;
+
+      // Pause the HTML audio element during scrub
+      if (!audioElement.paused) {
+        audioElement.pause();
+      }
+
+      // Set initial position
+      const targetTime = position * audioElement.duration;
+      audioElement.currentTime = targetTime;
+
+      // Use the same scrub state system for consistency
+      this.#scrubState.startScrubbing(position, wasPlaying);
+
+      audio('Started URL audio scrubbing', 'debug', {
+        position,
+        targetTime: targetTime.toFixed(3),
+        wasPlaying
+      });
+
+      return wasPlaying;
+
     } catch (error) {
-      system('⚠️ Audio: Error stopping scrub source', 'warn', error);
+      system('Failed to start URL audio scrubbing', 'error', error);
+      return false;
     }
-    scrubSource = null;
   }
-  
-  startTime = 0;
-  pauseTime = 0;
-  startOffset = 0;
-}
 
-// ✅ IMPROVED: Robust scrubbing with centralized state management
-export function startScrubbing(position) {
-  // ✅ NEW: Validate inputs
-  if (typeof position !== 'number' || !isFinite(position)) {
-    console.warn('⚠️ Invalid scrubbing position, using 0');
-    position = 0;
-  }
-  
-  position = Math.max(0, Math.min(1, position));
-  
-  // ✅ NEW: Handle URL audio scrubbing
-  if (window.urlAudioElement) {
-    return startUrlScrubbing(position);
-  }
-  
-  // ✅ IMPROVED: Check for audio buffer
-  const hasBufferAudio = isInitialized && window.currentAudioBuffer;
-  
-  if (!hasBufferAudio) {
-    console.warn('⚠️ Cannot start scrubbing - no audio loaded');
-    return false;
-  }
-  
-  // ✅ IMPROVED: Check audioContext availability for buffer audio
-  if (!audioContext || audioContext.state === 'closed') {
-    console.warn('⚠️ Cannot start scrubbing - audio context not available');
-    return false;
+  // ✅ IMPROVED: Scrubbing update with state validation
+  updateScrubbing(velocity, position) {
+    // ✅ NEW: Validate inputs
+    if (typeof velocity !== 'number' || !isFinite(velocity)) {
+      velocity = 0;
+    }
+
+    if (typeof position !== 'number' || !isFinite(position)) {
+      console.warn('⚠️ Invalid scrubbing position in update');
+      return false;
+    }
+
+    // ✅ NEW: Handle URL audio scrubbing
+    if (this.#mediaElement) {
+      return this.#updateUrlScrubbing(position);
+    }
+
+    // ✅ IMPROVED: Check audioContext availability for buffer audio
+    if (!this.#audioContext || this.#audioContext.state === 'closed') {
+      audio('Cannot update scrubbing - audio context not available', 'warn');
+      return false;
+    }
+
+    // ✅ IMPROVED: Use centralized state validation
+    if (!this.#scrubState.updateScrubbing(position, velocity)) {
+      return false;
+    }
+
+    // ✅ IMPROVED: Only update audio scrubbing if we have a scrub source
+    if (this.#scrubSource && this.#scrubState.getState().hasAudioSource) {
+      try {
+        // Convert velocity to playback rate
+        const maxRate = 4;
+        const minRate = -4;
+
+        let playbackRate = velocity * 20;
+        playbackRate = Math.max(minRate, Math.min(maxRate, playbackRate));
+
+        // Smooth rate changes to avoid audio artifacts
+        const smoothingTime = 0.02;
+        this.#scrubSource.playbackRate.setTargetAtTime(
+          playbackRate,
+          this.#audioContext.currentTime,
+          smoothingTime
+        );
+      } catch (error) {
+        audio('Error updating scrub playback rate', 'warn', error);
+        // Don't fail the entire operation for playback rate errors
+      }
+    }
+
+    // ✅ ALWAYS: Update visual playhead position regardless of audio
+    if (this.#currentBuffer) {
+      try {
+        const timeSeconds = position * this.#currentBuffer.duration;
+        setPlayhead(timeSeconds, this.#stateManager);
+      } catch (error) {
+        audio('Error updating playhead position', 'warn', error);
+      }
+    }
+
+    return true;
   }
-  
-  // Stop normal playback and remember state
-  const wasPlaying = isAudioPlaying();
-  if (audioSource) {
+
+  // ✅ NEW: Handle URL audio scrubbing updates
+  #updateUrlScrubbing(position) {
     try {
-      audioSource.stop();
+      const audioElement = this.#mediaElement;
+      if (!audioElement || !audioElement.duration) {
+        return false;
+      }
+
+      const targetTime = position * audioElement.duration;
+
+      // ✅ SIMPLIFIED: Just update position silently
+      // HTML audio elements don't handle rapid currentTime updates well
+      // For smooth scrubbing audio, we'd need Web Audio API with decoded buffer
+      audioElement.currentTime = targetTime;
+
+      // ✅ CRITICAL: Update StateManager so subscriber fires and dirty flags mark
+      setPlayhead(targetTime, this.#stateManager);
+
+      // Update scrub state
+      this.#scrubState.updateScrubbing(position);
+
+      return true;
+
     } catch (error) {
-      console.warn('⚠️ Error stopping audio source for scrubbing:', error);
+      system('Failed to update URL audio scrubbing', 'error', error);
+      return false;
     }
-    audioSource = null;
   }
-  
-  // ✅ IMPROVED: Use centralized state management
-  scrubStateAdapter.startScrubbing(position, wasPlaying);
-  
-  // ✅ IMPROVED: Only create scrub audio source if we were playing
-  if (wasPlaying) {
-    try {
-      scrubSource = audioContext.createBufferSource();
-      scrubSource.buffer = window.currentAudioBuffer;
-      scrubSource.connect(scrubGainNode);
-      scrubSource.loop = true; // Enable looping for smooth scrubbing
-      
-      // ✅ IMPROVED: Add error handling for scrub source
-      scrubSource.addEventListener('ended', () => {
-        audio('🎚️ Audio: Scrub source ended');
-        scrubSource = null;
-        scrubStateAdapter.setHasAudioSource(false);
+
+  // ✅ IMPROVED: Stop scrubbing with comprehensive state management
+  stopScrubbing(finalPosition, shouldResumePlaying = null) {
+    // ✅ NEW: Validate final position
+    if (typeof finalPosition !== 'number' || !isFinite(finalPosition)) {
+      audio('Invalid final position for stopScrubbing, using current state', 'warn');
+      finalPosition = this.#scrubState.getState().currentPosition;
+    }
+
+    // ✅ IMPROVED: Use centralized state management
+    const scrubResult = this.#scrubState.stopScrubbing(finalPosition, shouldResumePlaying);
+
+    if (!scrubResult.wasPlaying && shouldResumePlaying === null) {
+      // If we weren't playing and no explicit resume instruction, don't resume
+      scrubResult.shouldResume = false;
+    }
+
+    // ✅ IMPROVED: Clean up scrub source with error handling
+    if (this.#scrubSource) {
+      try {
+        this.#scrubSource.stop();
+      } catch (error) {
+        system('⚠️ Audio: Error stopping scrub source', 'warn', error);
+      }
+      this.#scrubSource = null;
+
+      if (scrubResult.wasPlaying) {
+        audio(`🎚️ Audio: Scrubbing stopped`, 'info', { position: (scrubResult.finalPosition * 100).toFixed(1) + '%' });
+      } else {
+        audio(`🎚️ Audio: Silent scrubbing stopped`, 'info', { position: (scrubResult.finalPosition * 100).toFixed(1) + '%' });
+      }
+    }
+
+    // ✅ NEW: Handle URL audio scrubbing
+    if (this.#mediaElement) {
+      this.#stopUrlScrubbing(scrubResult);
+      this.#events.emit(PlayerEvents.SCRUB_END, {
+        position: scrubResult.finalPosition,
+        resumed: !!scrubResult.shouldResume
       });
-      
-      scrubSource.addEventListener('error', (event) => {
-        system('❌ Audio: Scrub source error', 'error', event);
-        scrubSource = null;
-        scrubStateAdapter.setHasAudioSource(false);
+      return scrubResult;
+    }
+
+    // ✅ ALWAYS: Update visual position before resuming (buffer audio)
+    if (this.#currentBuffer) {
+      try {
+        const finalTimeSeconds = scrubResult.finalPosition * this.#currentBuffer.duration;
+        setPlayhead(finalTimeSeconds, this.#stateManager);
+
+        // Resume normal playback if requested
+        if (scrubResult.shouldResume) {
+          audio(`🔄 Audio: Resuming playback`, 'info', { from: finalTimeSeconds.toFixed(2) + 's' });
+          // ✅ FIX: Set state before resuming playback
+          setPlayingState(true, this.#stateManager);
+          this.play(finalTimeSeconds);
+        } else {
+          // Update pause position (not resuming playback)
+          this.#pauseTime = finalTimeSeconds;
+          this.#startOffset = this.#pauseTime;
+          // ✅ FIX: Ensure state is paused
+          setPlayingState(false, this.#stateManager);
+        }
+      } catch (error) {
+        system('❌ Audio: Error in stopScrubbing cleanup', 'error', error);
+      }
+    }
+
+    this.#events.emit(PlayerEvents.SCRUB_END, {
+      position: scrubResult.finalPosition,
+      resumed: !!scrubResult.shouldResume
+    });
+    return scrubResult;
+  }
+
+  // ✅ FIX: Reuse the scrub result from stopScrubbing() - the scrub state has
+  // already been reset by then, so asking for it again always said "don't resume"
+  #stopUrlScrubbing(scrubResult) {
+    try {
+      const audioElement = this.#mediaElement;
+      if (!audioElement) {
+        return;
+      }
+
+      // Set final position
+      const targetTime = scrubResult.finalPosition * audioElement.duration;
+      audioElement.currentTime = targetTime;
+
+      // Update StateManager playhead
+      setPlayhead(targetTime, this.#stateManager);
+
+      // Resume playback if needed
+      if (scrubResult.shouldResume) {
+        this.#prepareMediaFadeIn();
+        audioElement.play().then(() => this.#fadeMediaElement(1)).catch(error => {
+          system('Failed to resume URL audio after scrubbing', 'error', error);
+        });
+        // ✅ CRITICAL: Sync UI state when resuming
+        setPlayingState(true, this.#stateManager);
+      }
+
+      audio('Stopped URL audio scrubbing', 'debug', {
+        finalPosition: scrubResult.finalPosition,
+        targetTime: targetTime.toFixed(3),
+        shouldResume: scrubResult.shouldResume
       });
-      
-      // Start scrubbing from the specified position
-      const startTime = position * window.currentAudioBuffer.duration;
-      scrubSource.start(0, startTime);
-      scrubSource.playbackRate.value = 0; // Start paused
-      
-      scrubStateAdapter.setHasAudioSource(true);
-      audio(`🎚️ Audio: Scrubbing started`, 'info', { position: (position * 100).toFixed(1) + '%' });
+
     } catch (error) {
-      system('❌ Audio: Failed to create scrub source', 'error', error);
-      scrubSource = null;
-      scrubStateAdapter.setHasAudioSource(false);
+      system('Failed to stop URL audio scrubbing', 'error', error);
     }
-  } else {
-    audio(`🎚️ Audio: Silent scrubbing started`, 'info', { position: (position * 100).toFixed(1) + '%' });
   }
-  
-  return wasPlaying;
-}
 
-// ✅ NEW: Handle URL audio scrubbing (simplified approach)
-function startUrlScrubbing(position) {
-  try {
-    const audioElement = window.urlAudioElement;
-    if (!audioElement || !audioElement.duration) {
-      audio('Cannot scrub URL audio - no duration available', 'warn');
+  // ✅ IMPROVED: Check scrubbing state using centralized management
+  isScrubbing() {
+    return this.#scrubState.isActive();
+  }
+
+  // ✅ NEW: Get detailed scrubbing state for debugging
+  getScrubState() {
+    return this.#scrubState.getState();
+  }
+
+  getCurrentTime() {
+    // ✅ NEW: Handle URL audio time
+    if (this.#mediaElement) {
+      // A seek still fading out already reports where it is going
+      return this.#mediaSeek?.time ?? (this.#mediaElement.currentTime || 0);
+    }
+
+    // Handle buffer audio
+    if (!this.#audioSource || !this.#audioSource.buffer || !this.#startTime) {
+      return this.#pauseTime || 0;
+    }
+
+    // The source advances playbackRate seconds of audio per second of context time (backwards when shuttling in reverse)
+    const speed = this.#getSpeed();
+    const elapsed = (this.#audioContext.currentTime - this.#startTime) * speed;
+    // Past B the source has looped back to A (loopStart/loopEnd)
+    const currentTime = wrapLoopTime(this.#startOffset + elapsed, this.#getLoopRegion(), Math.sign(speed));
+
+    return Math.max(0, Math.min(currentTime, this.#audioSource.buffer.duration));
+  }
+
+  isPlaying() {
+    // ✅ NEW: Handle URL audio playing state
+    if (this.#mediaElement) {
+      return !this.#mediaElement.paused;
+    }
+
+    // Handle buffer audio
+    return this.#audioSource !== null && this.#startTime > 0;
+  }
+
+  /**
+   * @param {number} timeSeconds
+   * @returns {boolean} Whether the seek was applied (false while scrubbing)
+   */
+  seekTo(timeSeconds) {
+    // ✅ IMPROVED: Don't seek during scrubbing using centralized state
+    if (this.#scrubState.isActive()) {
+      audio('Seek blocked - scrubbing is active', 'debug');
       return false;
     }
-    
-    // ✅ FIX: Use StateManager's isPlaying state instead of audioElement.paused
-    // audioElement.paused might not be accurate at load time
-    const audioState = getAudioState();
-    const wasPlaying = audioState.isPlaying;
-    
-    // Pause the HTML audio element during scrub
-    if (!audioElement.paused) {
-      audioElement.pause();
-    }
-    
-    // Set initial position
-    const targetTime = position * audioElement.duration;
-    audioElement.currentTime = targetTime;
-    
-    // Use the same scrub state system for consistency
-    scrubStateAdapter.startScrubbing(position, wasPlaying);
-    
-    audio('Started URL audio scrubbing', 'debug', {
-      position,
-      targetTime: targetTime.toFixed(3),
-      wasPlaying
+
+    // Handle URL audio
+    if (this.#mediaElement) {
+      // No need to restart playback for URL audio - it continues playing, faded out
+      // at the old position and back in from the new one
+      const element = this.#mediaElement;
+      if (element.paused || this.#mediaElementExternal || !(this.#fadeDuration > 0)) {
+        this.#mediaSeek = null;
+        element.currentTime = timeSeconds;
+        return true;
+      }
+      const seek = this.#mediaSeek = { element, time: timeSeconds };
+      this.#fadeMediaElement(0).then(finished => {
+        // A newer seek or play() took over
+        if (this.#mediaSeek !== seek) return;
+        this.#mediaSeek = null;
+        element.currentTime = timeSeconds;
+        // Cut short by a pause or stop: that takes it from here
+        if (finished) this.#fadeMediaElement(1);
+      });
+      return true;
+    }
+
+    // Handle buffer audio (play() crossfades from the old source to the new one)
+    const wasPlaying = this.isPlaying();
+
+    if (wasPlaying) {
+      this.stop();
+      // ✅ FIX: State is already true, but ensure it before playback
+      setPlayingState(true, this.#stateManager);
+      this.play(timeSeconds);
+    } else {
+      this.#pauseTime = timeSeconds;
+      this.#startOffset = timeSeconds;
+      // ✅ FIX: Ensure state is paused
+      setPlayingState(false, this.#stateManager);
+    }
+    return true;
+  }
+
+  /**
+   * Length of the gain ramps that start and stop playback
+   * Buffer sources fade in on play and out on pause/stop/scrub, and a seek crossfades
+   * the old source into the new one; an owned media element ramps its volume instead.
+   * @param {number} seconds - 0 switches fades off (already validated)
+   */
+  setFadeDuration(seconds) {
+    this.#fadeDuration = seconds;
+  }
+
+  /**
+   * @returns {number} Transport fade length in seconds
+   */
+  getFadeDuration() {
+    return this.#fadeDuration;
+  }
+
+  setVolume(volume) {
+    const clampedVolume = Math.max(0, Math.min(1, volume));
+    this.#stateManager.set('audio.volume', clampedVolume);
+    this.#applyVolume(clampedVolume);
+  }
+
+  /**
+   * Change the playback speed of the buffer source or media element
+   * The rate is stored before the element is touched, so getCurrentTime() stays
+   * continuous: a playing buffer source is re-based at the current position.
+   * @param {number} rate - Speed multiplier (1 = normal)
+   * @param {boolean} [preservePitch=true] - Keep the pitch when the speed changes.
+   *   Media elements support this; AudioBufferSourceNode always shifts the pitch with the speed.
+   */
+  setPlaybackRate(rate, preservePitch = true) {
+    // A shuttle speed overrides the rate until it ends (#endShuttle() applies the rate then)
+    if (this.getShuttle() !== null) {
+      this.#stateManager.batch({
+        'audio.playbackRate': rate,
+        'audio.preservePitch': preservePitch
+      });
+      return;
+    }
+
+    const wasPlayingBuffer = !this.#mediaElement && this.#audioSource && this.#startTime > 0;
+    const position = wasPlayingBuffer ? this.getCurrentTime() : 0;
+
+    this.#stateManager.batch({
+      'audio.playbackRate': rate,
+      'audio.preservePitch': preservePitch
     });
-    
-    return wasPlaying;
-    
-  } catch (error) {
-    system('Failed to start URL audio scrubbing', 'error', error);
-    return false;
+
+    if (wasPlayingBuffer) {
+      // The queued track was timed for the old speed - the player queues it again
+      this.cancelQueued();
+      this.#startOffset = position;
+      this.#startTime = this.#audioContext.currentTime;
+    }
+    this.#applyPlaybackRate(rate, preservePitch);
   }
-}
 
-// ✅ IMPROVED: Scrubbing update with state validation
-export function updateScrubbing(velocity, position) {
-  // ✅ NEW: Validate inputs
-  if (typeof velocity !== 'number' || !isFinite(velocity)) {
-    velocity = 0;
+  /**
+   * Shuttle: play at a signed speed instead of the playback rate until playback
+   * pauses, scrubbing starts or another track loads (then the rate applies again).
+   * Backwards, a decoded track plays from a reversed copy of its buffer; a playing
+   * source is restarted from the current position when the direction flips, or
+   * re-based like setPlaybackRate() otherwise. Playback is not started.
+   * @param {number|null} speed - Speed multiplier, negative for reverse (already validated); null ends the shuttle
+   * @returns {boolean} Whether the speed was applied (reverse needs decoded audio)
+   */
+  setShuttle(speed) {
+    if (speed < 0 && this.#mediaElement) {
+      audio('Reverse playback needs decoded audio', 'warn');
+      return false;
+    }
+
+    const wasPlayingBuffer = !this.#mediaElement && this.#audioSource && this.#startTime > 0;
+    const position = wasPlayingBuffer ? this.getCurrentTime() : 0;
+    const wasReverse = this.#getSpeed() < 0;
+
+    this.#stateManager.set('audio.shuttle', speed);
+    const newSpeed = this.#getSpeed();
+
+    if (wasPlayingBuffer) {
+      // The queued track was timed for the old speed (and is never queued playing backwards)
+      this.cancelQueued();
+      this.#startOffset = position;
+      this.#startTime = this.#audioContext.currentTime;
+      if (wasReverse !== newSpeed < 0) {
+        // The other direction plays the other copy of the buffer
+        this.play(position);
+        return true;
+      }
+    }
+    this.#applyPlaybackRate(Math.abs(newSpeed), this.#stateManager.get('audio.preservePitch') ?? true);
+    return true;
   }
-  
-  if (typeof position !== 'number' || !isFinite(position)) {
-    console.warn('⚠️ Invalid scrubbing position in update');
-    return false;
+
+  /**
+   * @returns {number|null} Signed shuttle speed, or null when playing at the playback rate
+   */
+  getShuttle() {
+    return this.#stateManager.get('audio.shuttle') ?? null;
   }
-  
-  // ✅ NEW: Handle URL audio scrubbing
-  if (window.urlAudioElement) {
-    return updateUrlScrubbing(position);
+
+  /**
+   * Route the channels of the audio (see channel-routing.js)
+   * The change glides over CONFIG.CHANNEL_ROUTING_RAMP, so it can be made while playing.
+   * Streamed URL audio is only routed while isMediaElementRouted() is true.
+   * @param {string} mode - One of ChannelModes (already validated)
+   * @param {number} balance - -1 (left) to 1 (right)
+   */
+  setChannelRouting(mode, balance) {
+    this.#stateManager.batch({
+      'audio.channelMode': mode,
+      'audio.balance': balance
+    });
+    this.#router?.setRouting(mode, balance);
   }
-  
-  // ✅ IMPROVED: Check audioContext availability for buffer audio
-  if (!audioContext || audioContext.state === 'closed') {
-    audio('Cannot update scrubbing - audio context not available', 'warn');
-    return false;
+
+  /**
+   * Apply equalizer settings (see equalizer.js)
+   * Like the channel routing, this reaches streamed URL audio only while it is routed.
+   * @param {import('./equalizer.js').EqSettings} settings - Already validated
+   */
+  setEqualizer(settings) {
+    this.#stateManager.set('audio.eq', settings);
+    this.#equalizer?.set(settings);
   }
-  
-  // ✅ IMPROVED: Use centralized state validation
-  if (!scrubStateAdapter.updateScrubbing(position, velocity)) {
-    return false;
+
+  /**
+   * @returns {import('./equalizer.js').EqSettings} Current equalizer settings
+   */
+  getEqualizer() {
+    return this.#getEqSettings();
   }
-  
-  // ✅ IMPROVED: Only update audio scrubbing if we have a scrub source
-  if (scrubSource && scrubStateAdapter.getState().hasAudioSource) {
-    try {
-      // Convert velocity to playback rate
-      const maxRate = 4;
-      const minRate = -4;
-      
-      let playbackRate = velocity * 20;
-      playbackRate = Math.max(minRate, Math.min(maxRate, playbackRate));
-      
-      // Smooth rate changes to avoid audio artifacts
-      const smoothingTime = 0.02;
-      scrubSource.playbackRate.setTargetAtTime(
-        playbackRate, 
-        audioContext.currentTime, 
-        smoothingTime
-      );
-    } catch (error) {
-      audio('Error updating scrub playback rate', 'warn', error);
-      // Don't fail the entire operation for playback rate errors
+
+  /**
+   * Equalizer gain at each frequency
+   * @param {Float32Array} frequencies - Hz
+   * @returns {Float32Array} dB (all 0 before the graph exists)
+   */
+  getEqResponse(frequencies) {
+    return this.#equalizer?.getFrequencyResponse(frequencies) ?? new Float32Array(frequencies.length);
+  }
+
+  /**
+   * Set the level a decoded track plays at (loudness normalization)
+   * The current track glides to it; a queued track gets it when it takes over,
+   * ramping across the crossfade. Like the equalizer, this reaches streamed URL
+   * audio only while it is routed.
+   * @param {AudioBuffer} audioBuffer
+   * @param {number} gain - Linear, already validated
+   */
+  setTrackGain(audioBuffer, gain) {
+    this.#trackGains.set(audioBuffer, gain);
+    if (audioBuffer === this.#currentBuffer || audioBuffer === this.#queued?.track.audioBuffer) {
+      this.#scheduleTrackLevel();
     }
   }
-  
-  // ✅ ALWAYS: Update visual playhead position regardless of audio
-  if (window.currentAudioBuffer) {
-    try {
-      const timeSeconds = position * window.currentAudioBuffer.duration;
-      setPlayhead(timeSeconds);
-    } catch (error) {
-      audio('Error updating playhead position', 'warn', error);
+
+  /**
+   * @param {AudioBuffer} audioBuffer
+   * @returns {number} Linear gain the track plays at
+   */
+  getTrackGain(audioBuffer) {
+    return this.#getTrackGain(audioBuffer);
+  }
+
+  /**
+   * Loop playback between two points (A–B), or stop looping with null
+   * Buffer audio loops seamlessly through the source's loopStart/loopEnd; media
+   * elements are sent back to A by wrapMediaElementLoop() on every frame.
+   * A playing buffer source is re-based so getCurrentTime() stays continuous,
+   * and restarted at A if it is already past the new B.
+   * @param {{start: number, end: number}|null} region - Seconds, already validated against the track
+   */
+  setLoopRegion(region) {
+    const wasPlayingBuffer = !this.#mediaElement && this.#audioSource && this.#startTime > 0;
+    const position = wasPlayingBuffer ? this.getCurrentTime() : 0;
+
+    this.#stateManager.set('audio.loopRegion', region ? { start: region.start, end: region.end } : null);
+
+    if (!wasPlayingBuffer) return;
+
+    // A looping track never reaches the queued one
+    if (region) {
+      this.cancelQueued();
     }
+    const reverse = this.#getSpeed() < 0;
+    if (region && !reverse && position >= region.end) {
+      this.play(region.start);
+      return;
+    }
+    if (region && reverse && position <= region.start) {
+      this.play(region.end);
+      return;
+    }
+    this.#startOffset = position;
+    this.#startTime = this.#audioContext.currentTime;
+    this.#applyLoopRegion(this.#audioSource, region);
   }
-  
-  return true;
-}
 
-// ✅ NEW: Handle URL audio scrubbing updates
-function updateUrlScrubbing(position) {
-  try {
-    const audioElement = window.urlAudioElement;
-    if (!audioElement || !audioElement.duration) {
+  /**
+   * Schedule the next track to start sample-accurately where the current one ends
+   * Only for buffer audio playing forwards without a loop region. With a crossfade the
+   * next track starts that much earlier and the two sources' gains ramp in
+   * opposite directions; the fade is shortened to fit the time that is left
+   * and the length of the next track. Replaces any earlier queued track.
+   * @param {Object} track - Decoded track ({audioBuffer, ...}); handed back by advanceQueued()
+   * @param {Object} [options]
+   * @param {number} [options.crossfade=0] - Overlap in seconds of real time
+   * @param {string} [options.curve] - One of CrossfadeCurves
+   * @returns {boolean} Whether the track was scheduled
+   */
+  queueNext(track, { crossfade = 0, curve } = {}) {
+    const buffer = track?.audioBuffer;
+    if (!buffer || this.#mediaElement || !this.isPlaying() || this.#scrubState.isActive() || this.#getLoopRegion()) {
       return false;
     }
-    
-    const targetTime = position * audioElement.duration;
-    const scrubState = scrubStateAdapter.getState();
-    
-    // ✅ SIMPLIFIED: Just update position silently
-    // HTML audio elements don't handle rapid currentTime updates well
-    // For smooth scrubbing audio, we'd need Web Audio API with decoded buffer
-    audioElement.currentTime = targetTime;
-    
-    // ✅ CRITICAL: Update StateManager so subscriber fires and dirty flags mark
-    setPlayhead(targetTime);
-    
-    // Update scrub state
-    scrubStateAdapter.updateScrubbing(position);
-    
+
+    this.cancelQueued();
+
+    const context = this.#audioContext;
+    const rate = this.#getSpeed();
+    if (rate < 0) return false;
+    const endAt = this.#startTime + (this.#currentBuffer.duration - this.#startOffset) / rate;
+    if (endAt <= context.currentTime) return false;
+
+    const fade = Math.max(0, Math.min(crossfade, endAt - context.currentTime, buffer.duration / rate));
+    const startAt = endAt - fade;
+
+    const gain = context.createGain();
+    gain.connect(this.#router.input);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    source.connect(gain);
+    scheduleCrossfade(this.#sourceGain.gain, gain.gain, startAt, fade, curve);
+    source.start(startAt, 0);
+
+    this.#queued = { track, source, gain, startAt, fade };
+    this.#scheduleTrackLevel();
+    audio('⏭️ Audio: Next track queued', 'info', { startsIn: (startAt - context.currentTime).toFixed(2) + 's', crossfade: fade.toFixed(2) + 's' });
     return true;
-    
-  } catch (error) {
-    system('Failed to update URL audio scrubbing', 'error', error);
-    return false;
   }
-}
 
-// ✅ IMPROVED: Stop scrubbing with comprehensive state management
-export function stopScrubbing(finalPosition, shouldResumePlaying = null) {
-  // ✅ NEW: Validate final position
-  if (typeof finalPosition !== 'number' || !isFinite(finalPosition)) {
-    audio('Invalid final position for stopScrubbing, using current state', 'warn');
-    finalPosition = scrubStateAdapter.getState().currentPosition;
-  }
-  
-  // ✅ IMPROVED: Use centralized state management
-  const scrubResult = scrubStateAdapter.stopScrubbing(finalPosition, shouldResumePlaying);
-  
-  if (!scrubResult.wasPlaying && shouldResumePlaying === null) {
-    // If we weren't playing and no explicit resume instruction, don't resume
-    scrubResult.shouldResume = false;
-  }
-  
-  // ✅ IMPROVED: Clean up scrub source with error handling
-  if (scrubSource) {
+  /**
+   * @returns {Object|null} The track passed to queueNext() that has not started yet
+   */
+  getQueuedTrack() {
+    return this.#queued?.track ?? null;
+  }
+
+  /**
+   * Unschedule the queued track and undo the current track's fade-out
+   * @returns {boolean} Whether a track was queued
+   */
+  cancelQueued() {
+    const queued = this.#queued;
+    if (!queued) return false;
+
+    this.#queued = null;
+    this.#releaseSource(queued.source, queued.gain);
+    if (this.#sourceGain) {
+      this.#rampGain(this.#sourceGain.gain, 1);
+    }
+    this.#scheduleTrackLevel();
+    audio('⏭️ Audio: Queued track cancelled', 'debug');
+    return true;
+  }
+
+  /**
+   * Make the queued track current once it has started playing
+   * Call once per frame. The previous source finishes its fade-out by itself.
+   * @returns {{track: Object, crossfade: number}|null} The track that took over and the
+   *   length of its fade-in in seconds, or null
+   */
+  advanceQueued() {
+    const queued = this.#queued;
+    if (!queued || this.#audioContext.currentTime < queued.startAt) return null;
+
+    this.#queued = null;
+    this.#stopFadingOut();
+    const fading = { source: this.#audioSource, gain: this.#sourceGain };
+    fading.source.addEventListener('ended', () => {
+      if (this.#fadingOut === fading) {
+        this.#stopFadingOut();
+      }
+    });
+    this.#fadingOut = fading;
+
+    this.#audioSource = queued.source;
+    this.#sourceGain = queued.gain;
+    this.#currentBuffer = queued.track.audioBuffer;
+    this.#startTime = queued.startAt;
+    this.#startOffset = 0;
+    this.#pauseTime = 0;
+
+    audio('⏭️ Audio: Queued track started', 'info', { duration: this.#currentBuffer.duration.toFixed(2) });
+    return { track: queued.track, crossfade: queued.fade };
+  }
+
+  // Drop the queued track and cut a fading-out one short (playback is being stopped or moved)
+  #cancelTransition() {
+    this.cancelQueued();
+    this.#stopFadingOut();
+  }
+
+  #stopFadingOut() {
+    if (!this.#fadingOut) return;
+    this.#releaseSource(this.#fadingOut.source, this.#fadingOut.gain);
+    this.#fadingOut = null;
+  }
+
+  // Fade a source out and stop it at the end of the fade; its gain is disconnected once it is silent
+  #releaseSource(source, gain) {
+    const fade = this.#fadeDuration;
+    if (fade > 0) {
+      this.#rampGain(gain.gain, 0, fade);
+    }
     try {
-      scrubSource.stop();
+      source.stop(this.#audioContext.currentTime + fade);
     } catch (error) {
-      system('⚠️ Audio: Error stopping scrub source', 'warn', error);
+      // Already ended
     }
-    scrubSource = null;
-    
-    if (scrubResult.wasPlaying) {
-      audio(`🎚️ Audio: Scrubbing stopped`, 'info', { position: (scrubResult.finalPosition * 100).toFixed(1) + '%' });
+    if (fade > 0) {
+      setTimeout(() => gain.disconnect(), fade * 1000 + MEDIA_FADE_STEP);
     } else {
-      audio(`🎚️ Audio: Silent scrubbing stopped`, 'info', { position: (scrubResult.finalPosition * 100).toFixed(1) + '%' });
+      gain.disconnect();
     }
   }
-  
-  // ✅ NEW: Handle URL audio scrubbing
-  if (window.urlAudioElement) {
-    return stopUrlScrubbing(finalPosition, shouldResumePlaying);
+
+  // Ramp a gain from wherever it is now (possibly mid-fade) to `value`
+  #rampGain(param, value, duration = this.#fadeDuration) {
+    const now = this.#audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    if (duration > 0) {
+      param.setValueAtTime(param.value, now);
+      param.linearRampToValueAtTime(value, now + duration);
+    } else {
+      param.value = value;
+    }
   }
-  
-  // ✅ ALWAYS: Update visual position before resuming (buffer audio)
-  if (window.currentAudioBuffer) {
-    try {
-      const finalTimeSeconds = scrubResult.finalPosition * window.currentAudioBuffer.duration;
-      setPlayhead(finalTimeSeconds);
-      
-      // Resume normal playback if requested
-      if (scrubResult.shouldResume) {
-        audio(`🔄 Audio: Resuming playback`, 'info', { from: finalTimeSeconds.toFixed(2) + 's' });
-        // ✅ FIX: Set state before resuming playback
-        setPlayingState(true);
-        playAudio(finalTimeSeconds);
-      } else {
-        // Update pause position (not resuming playback)
-        pauseTime = finalTimeSeconds;
-        startOffset = pauseTime;
-        // ✅ FIX: Ensure state is paused
-        setPlayingState(false);
+
+  #getTrackGain(audioBuffer) {
+    return (audioBuffer && this.#trackGains.get(audioBuffer)) ?? 1;
+  }
+
+  // Glide to the current track's level, then (if a track is queued) over to the
+  // queued track's level across its crossfade - or in one step where it starts
+  #scheduleTrackLevel() {
+    if (!this.#levelNode) return;
+
+    const param = this.#levelNode.gain;
+    const level = this.#getTrackGain(this.#currentBuffer);
+    this.#rampGain(param, level, CONFIG.LOUDNESS_GAIN_RAMP);
+
+    const queued = this.#queued;
+    if (!queued) return;
+    const next = this.#getTrackGain(queued.track.audioBuffer);
+    const startAt = Math.max(queued.startAt, this.#audioContext.currentTime + CONFIG.LOUDNESS_GAIN_RAMP);
+    if (queued.fade > 0) {
+      param.setValueAtTime(level, startAt);
+      param.linearRampToValueAtTime(next, Math.max(startAt, queued.startAt + queued.fade));
+    } else {
+      param.setValueAtTime(next, startAt);
+    }
+  }
+
+  // ✅ NEW: Owned media elements have no gain node, so their volume is ramped from a timer.
+  // Page-owned elements (attachMedia) are left alone - their volume belongs to the page.
+
+  // Silence the element before it starts so #fadeMediaElement(1) can bring it in
+  #prepareMediaFadeIn() {
+    if (this.#mediaElementExternal || !(this.#fadeDuration > 0)) return;
+    this.#cancelMediaFade();
+    this.#mediaElement.volume = 0;
+  }
+
+  /**
+   * Ramp the owned element's volume from where it is to `level` × the player volume
+   * @param {number} level - 0 (silent) or 1 (full player volume)
+   * @returns {Promise<boolean>} Whether the ramp finished (false when another one replaced it)
+   */
+  #fadeMediaElement(level) {
+    const element = this.#mediaElement;
+    this.#cancelMediaFade();
+    const target = () => level * Math.max(0, Math.min(1, this.#stateManager.get('audio.volume') ?? 1));
+
+    if (!element || this.#mediaElementExternal || !(this.#fadeDuration > 0)) {
+      if (element && !this.#mediaElementExternal) element.volume = target();
+      return Promise.resolve(true);
+    }
+
+    const from = element.volume;
+    const startedAt = performance.now();
+    const duration = this.#fadeDuration * 1000;
+    return new Promise(resolve => {
+      const step = () => {
+        const progress = Math.min(1, (performance.now() - startedAt) / duration);
+        // The target is read every step so a volume change during the ramp is followed
+        element.volume = from + (target() - from) * progress;
+        if (progress < 1) {
+          this.#mediaFade = { timer: setTimeout(step, MEDIA_FADE_STEP), resolve };
+          return;
+        }
+        this.#mediaFade = null;
+        resolve(true);
+      };
+      step();
+    });
+  }
+
+  #cancelMediaFade() {
+    if (!this.#mediaFade) return;
+    clearTimeout(this.#mediaFade.timer);
+    this.#mediaFade.resolve(false);
+    this.#mediaFade = null;
+  }
+
+  /**
+   * Send a playing media element that reached B back to A
+   * Buffer sources loop by themselves; call this once per frame for the element path.
+   * @returns {boolean} Whether the element was moved
+   */
+  wrapMediaElementLoop() {
+    const element = this.#mediaElement;
+    const region = this.#getLoopRegion();
+    if (!element || !region || element.paused || this.#scrubState.isActive()) return false;
+
+    const end = Math.min(region.end, (element.duration || Infinity) - MEDIA_LOOP_END_MARGIN);
+    if ((element.currentTime || 0) < end) return false;
+
+    element.currentTime = region.start;
+    audio('🔁 Audio: Loop region wrapped', 'debug', { from: end.toFixed(2), to: region.start.toFixed(2) });
+    return true;
+  }
+
+  #getLoopRegion() {
+    return this.#stateManager.get('audio.loopRegion') ?? null;
+  }
+
+  #applyLoopRegion(source, region) {
+    source.loop = !!region;
+    if (region) {
+      // The reversed copy holds B to A at duration - B to duration - A
+      const reverse = source.buffer === this.#reversedBuffers.get(this.#currentBuffer);
+      const duration = this.#currentBuffer.duration;
+      source.loopStart = reverse ? duration - region.end : region.start;
+      source.loopEnd = reverse ? duration - region.start : region.end;
+    }
+  }
+
+  #getPlaybackRate() {
+    return this.#stateManager.get('audio.playbackRate') ?? 1;
+  }
+
+  // Signed speed the audio plays at: the shuttle's, or else the playback rate
+  #getSpeed() {
+    return this.getShuttle() ?? this.#getPlaybackRate();
+  }
+
+  #getReversedBuffer(audioBuffer) {
+    let reversed = this.#reversedBuffers.get(audioBuffer);
+    if (!reversed) {
+      reversed = createReversedBuffer(this.#audioContext, audioBuffer);
+      this.#reversedBuffers.set(audioBuffer, reversed);
+    }
+    return reversed;
+  }
+
+  // Back to the playback rate once the source has been let go (pause, scrub, load),
+  // announced as a shuttlechange
+  #endShuttle() {
+    if (this.getShuttle() === null) return;
+
+    this.#stateManager.set('audio.shuttle', null);
+    this.#applyPlaybackRate(this.#getPlaybackRate(), this.#stateManager.get('audio.preservePitch') ?? true);
+    this.#events.emit(PlayerEvents.SHUTTLE_CHANGE, { shuttle: null });
+  }
+
+  #getChannelRouting() {
+    return [
+      this.#stateManager.get('audio.channelMode') ?? ChannelModes.STEREO,
+      this.#stateManager.get('audio.balance') ?? 0
+    ];
+  }
+
+  #getEqSettings() {
+    return this.#stateManager.get('audio.eq') ?? createEqSettings();
+  }
+
+  /**
+   * Send the owned media element through the routing stage, or take the graph off it
+   * The element keeps carrying the volume and its fades, so #gainNode is held at
+   * unity while it is routed. Anything that cannot be routed plays directly as before.
+   */
+  #routeMediaElement() {
+    const element = this.#mediaElement;
+    if (this.#mediaSource && mediaSources.get(element) !== this.#mediaSource) {
+      this.#mediaSource.disconnect();
+      this.#mediaSource = null;
+    }
+
+    if (!this.#mediaSource && element && !this.#mediaElementExternal && this.#router && canRouteMediaElement(element)) {
+      try {
+        const source = mediaSources.get(element) ?? this.#audioContext.createMediaElementSource(element);
+        mediaSources.set(element, source);
+        source.connect(this.#router.input);
+        this.#mediaSource = source;
+        audio('🎛️ Audio: Streaming element routed through the playback graph');
+      } catch (error) {
+        audio('⚠️ Audio: Streaming element plays outside the playback graph', 'warn', error);
       }
+    }
+
+    if (this.#gainNode) {
+      this.#gainNode.gain.value = this.#mediaSource ? 1 : (this.#stateManager.get('audio.volume') ?? 1);
+    }
+  }
+
+  #applyPlaybackRate(rate, preservePitch) {
+    // Handle URL audio
+    if (this.#mediaElement) {
+      this.#mediaElement.playbackRate = rate;
+      // Older engines only know the prefixed names
+      ['preservesPitch', 'mozPreservesPitch', 'webkitPreservesPitch'].forEach(property => {
+        if (property === 'preservesPitch' || property in this.#mediaElement) {
+          this.#mediaElement[property] = preservePitch;
+        }
+      });
+      return;
+    }
+
+    // Handle buffer audio
+    if (this.#audioSource) {
+      this.#audioSource.playbackRate.value = rate;
+    }
+  }
+
+  #applyVolume(volume) {
+    // Handle URL audio (a running fade picks the new volume up by itself)
+    if (this.#mediaElement && !this.#mediaFade) {
+      this.#mediaElement.volume = volume;
+    }
+
+    // Handle buffer audio (a routed element already carries the volume)
+    if (this.#gainNode) {
+      this.#gainNode.gain.value = this.#mediaSource ? 1 : volume;
+    }
+    // Scrub audio goes through #gainNode (via the router), which already applies the volume
+    if (this.#scrubGainNode) {
+      this.#scrubGainNode.gain.value = SCRUB_LEVEL;
+    }
+  }
+
+  /**
+   * Stop playback and disconnect this player's nodes
+   * The shared AudioContext stays open for other players.
+   */
+  dispose() {
+    // ✅ NEW: Clean up scrubbing state first
+    if (this.#scrubState.isActive()) {
+      audio('Cleaning up active scrubbing state', 'debug');
+      this.#scrubState.reset();
+    }
+
+    this.stop();
+    this.releaseMediaElement();
+
+    [this.#gainNode, this.#levelNode, this.#scrubGainNode].forEach(node => {
+      try {
+        node?.disconnect();
+      } catch (error) {
+        audio('Error disconnecting gain node', 'warn', error);
+      }
+    });
+    try {
+      this.#router?.disconnect();
+      this.#equalizer?.disconnect();
     } catch (error) {
-      system('❌ Audio: Error in stopScrubbing cleanup', 'error', error);
+      audio('Error disconnecting channel router or equalizer', 'warn', error);
     }
+
+    // ✅ IMPROVED: Reset all state variables
+    this.#initializationPromise = null;
+    this.#resumePromise = null;
+    this.#isInitializing = false;
+    this.#isInitialized = false;
+    this.#audioContext = null;
+    this.#gainNode = null;
+    this.#scrubGainNode = null;
+    this.#router = null;
+    this.#equalizer = null;
+    this.#levelNode = null;
+    this.#currentBuffer = null;
+
+    audio('Audio playback disposed', 'debug');
   }
-  
-  return scrubResult;
 }
 
-// ✅ IMPROVED: Check scrubbing state using centralized management
-export function isScrubbingActive() {
-  return scrubStateAdapter.isActive();
+/**
+ * Default playback instance for the shared (single-player) state
+ */
+export const audioPlayback = new AudioPlayback();
+
+export async function initializeAudio() {
+  return audioPlayback.initialize();
 }
 
-// ✅ NEW: Get detailed scrubbing state for debugging
-export function getScrubState() {
-  return scrubStateAdapter.getState();
+export async function loadAudioForPlayback(audioBuffer) {
+  return audioPlayback.load(audioBuffer);
 }
 
-// ✅ NEW: Handle URL audio scrubbing stop
-function stopUrlScrubbing(finalPosition, shouldResumePlaying = null) {
-  try {
-    const audioElement = window.urlAudioElement;
-    if (!audioElement) {
-      return { finalPosition: 0, shouldResume: false };
-    }
-    
-    // Get scrub state before resetting
-    const scrubResult = scrubStateAdapter.stopScrubbing(finalPosition, shouldResumePlaying);
-    
-    // Set final position
-    const targetTime = finalPosition * audioElement.duration;
-    audioElement.currentTime = targetTime;
-    
-    // Update StateManager playhead
-    setPlayhead(targetTime);
-    
-    // Resume playback if needed
-    if (scrubResult.shouldResume) {
-      audioElement.play().catch(error => {
-        system('Failed to resume URL audio after scrubbing', 'error', error);
-      });
-      // ✅ CRITICAL: Sync UI state when resuming
-      setPlayingState(true);
-    }
-    
-    audio('Stopped URL audio scrubbing', 'debug', {
-      finalPosition,
-      targetTime: targetTime.toFixed(3),
-      shouldResume: scrubResult.shouldResume
-    });
-    
-    return scrubResult;
-    
-  } catch (error) {
-    system('Failed to stop URL audio scrubbing', 'error', error);
-    return { finalPosition: 0, shouldResume: false };
-  }
+export async function playAudio(startTimeSeconds = 0) {
+  return audioPlayback.play(startTimeSeconds);
+}
+
+export function pauseAudio() {
+  return audioPlayback.pause();
+}
+
+export function stopAudio() {
+  return audioPlayback.stop();
+}
+
+export function startScrubbing(position) {
+  return audioPlayback.startScrubbing(position);
+}
+
+export function updateScrubbing(velocity, position) {
+  return audioPlayback.updateScrubbing(velocity, position);
+}
+
+export function stopScrubbing(finalPosition, shouldResumePlaying = null) {
+  return audioPlayback.stopScrubbing(finalPosition, shouldResumePlaying);
+}
+
+export function isScrubbingActive() {
+  return audioPlayback.isScrubbing();
+}
+
+export function getScrubState() {
+  return audioPlayback.getScrubState();
 }
 
 export function getCurrentTime() {
-  // ✅ NEW: Handle URL audio time
-  if (window.urlAudioElement) {
-    return window.urlAudioElement.currentTime || 0;
-  }
-  
-  // Handle buffer audio
-  if (!audioSource || !audioSource.buffer || !startTime) {
-    const fallbackTime = pauseTime || 0;
-    return fallbackTime;
-  }
-  
-  const elapsed = audioContext.currentTime - startTime;
-  const currentTime = startOffset + elapsed;
-  
-  return Math.max(0, Math.min(currentTime, audioSource.buffer.duration));
+  return audioPlayback.getCurrentTime();
 }
 
 export function isAudioPlaying() {
-  // ✅ NEW: Handle URL audio playing state
-  if (window.urlAudioElement) {
-    return !window.urlAudioElement.paused;
-  }
-  
-  // Handle buffer audio
-  return audioSource !== null && startTime > 0;
+  return audioPlayback.isPlaying();
 }
 
 export function seekTo(timeSeconds) {
-  // ✅ IMPROVED: Don't seek during scrubbing using centralized state
-  if (scrubStateAdapter.isActive()) {
-    audio('Seek blocked - scrubbing is active', 'debug');
-    return;
-  }
-  
-  // Handle URL audio
-  if (window.urlAudioElement) {
-    const wasPlaying = !window.urlAudioElement.paused;
-    window.urlAudioElement.currentTime = timeSeconds;
-    // No need to restart playback for URL audio - it continues playing
-    return;
-  }
-  
-  // Handle buffer audio
-  const wasPlaying = isAudioPlaying();
-  
-  if (wasPlaying) {
-    stopAudio();
-    // ✅ FIX: State is already true, but ensure it before playback
-    setPlayingState(true);
-    playAudio(timeSeconds);
-  } else {
-    pauseTime = timeSeconds;
-    startOffset = timeSeconds;
-    // ✅ FIX: Ensure state is paused
-    setPlayingState(false);
-  }
+  return audioPlayback.seekTo(timeSeconds);
 }
 
 export function setVolume(volume) {
-  // Handle URL audio
-  if (window.urlAudioElement) {
-    window.urlAudioElement.volume = Math.max(0, Math.min(1, volume));
-  }
-  
-  // Handle buffer audio
-  if (gainNode) {
-    gainNode.gain.value = Math.max(0, Math.min(1, volume));
-  }
-  if (scrubGainNode) {
-    scrubGainNode.gain.value = Math.max(0, Math.min(1, volume * 0.7));
-  }
+  return audioPlayback.setVolume(volume);
 }
 
-// ✅ IMPROVED: Enhanced cleanup function with scrubbing state reset
+// ✅ IMPROVED: Enhanced cleanup function - disposes the default instance and closes the shared context
 export function cleanupAudio() {
-  // ✅ NEW: Clean up scrubbing state first
-  if (scrubStateAdapter.isActive()) {
-    audio('Cleaning up active scrubbing state', 'debug');
-    scrubStateAdapter.reset();
-  }
-  
-  stopAudio();
-  
-  // ✅ IMPROVED: Reset all state variables
-  initializationPromise = null;
-  resumePromise = null;
-  isInitializing = false;
-  isInitialized = false;
-  
-  if (audioContext && audioContext.state !== 'closed') {
-    try {
-      audioContext.close();
-    } catch (error) {
-      audio('Error closing audio context', 'warn', error);
-    }
-  }
-  
-  audioContext = null;
-  gainNode = null;
-  scrubGainNode = null;
-  
+  audioPlayback.dispose();
+
+  AudioContextManager.dispose();
+
   audio('Audio cleanup completed', 'debug');
 }
 
 // Add cleanup listener
 if (typeof window !== 'undefined') {
   window.addEventListener('beforeunload', cleanupAudio);
-}
\ No newline at end of file
+}
@@ -17,18 +17,37 @@ import { stateManager } from './state-manager.js';
 // Note: We don't import render-state here to avoid issues in test environment
 // Instead, subscriptions are initialized from main.js after all modules load
 
+/**
+ * Legacy URL audio element for the shared StateManager only
+ * Player instances own their media element and never touch window globals.
+ * @param {StateManager} sm
+ * @returns {HTMLAudioElement|null}
+ */
+function legacyUrlAudioElement(sm) {
+  if (sm !== stateManager || typeof window === 'undefined') return null;
+  return window.urlAudioElement || null;
+}
+
 /**
  * Get audio state object (backward compatible)
  * Maps StateManager state to old audio-state.js format
+ * @param {StateManager} [sm] - State store to read (defaults to the shared singleton)
  */
-export function getAudioState() {
+export function getAudioState(sm = stateManager) {
   return {
-    audioBuffer: stateManager.get('audio.buffer'),
-    waveform: stateManager.get('audio.waveform'),
-    globalMaxAmp: stateManager.get('audio.maxAmplitude'),
-    currentPlayhead: stateManager.get('audio.currentTime'),
-    isPlaying: stateManager.get('audio.isPlaying'),
-    duration: stateManager.get('audio.duration')
+    audioBuffer: sm.get('audio.buffer'),
+    waveform: sm.get('audio.waveform'),
+    globalMaxAmp: sm.get('audio.maxAmplitude'),
+    currentPlayhead: sm.get('audio.currentTime'),
+    isPlaying: sm.get('audio.isPlaying'),
+    duration: sm.get('audio.duration'),
+    volume: sm.get('audio.volume'),
+    playbackRate: sm.get('audio.playbackRate') ?? 1,
+    preservePitch: sm.get('audio.preservePitch') ?? true,
+    shuttle: sm.get('audio.shuttle') ?? null,
+    channelMode: sm.get('audio.channelMode') ?? 'stereo',
+    balance: sm.get('audio.balance') ?? 0,
+    loopRegion: sm.get('audio.loopRegion') ?? null
   };
 }
 
@@ -37,8 +56,10 @@ export function getAudioState() {
  * @param {AudioBuffer|null} buffer - The audio buffer
  * @param {Float32Array|null} waveform - The waveform data
  * @param {number} maxAmp - Maximum amplitude in waveform
+ * @param {StateManager} [sm] - State store to update (defaults to the shared singleton)
+ * @param {HTMLMediaElement|null} [mediaElement] - Streaming element whose duration wins over the buffer's
  */
-export function setAudioBuffer(buffer, waveform, maxAmp) {
+export function setAudioBuffer(buffer, waveform, maxAmp, sm = stateManager, mediaElement = legacyUrlAudioElement(sm)) {
   console.log('🔧 setAudioBuffer called with:', {
     hasBuffer: !!buffer,
     bufferDuration: buffer ? buffer.duration : 'N/A',
@@ -56,72 +77,81 @@ export function setAudioBuffer(buffer, waveform, maxAmp) {
     'audio.waveform': waveform,
     'audio.maxAmplitude': maxAmp,
     'audio.currentTime': 0,
-    'audio.isPlaying': false
+    'audio.isPlaying': false,
+    'audio.loopRegion': null
   };
   
   // For URL-loaded audio, use the HTML audio element duration if available
-  if (window.urlAudioElement && window.urlAudioElement.duration) {
-    updates['audio.duration'] = window.urlAudioElement.duration;
+  if (mediaElement && mediaElement.duration) {
+    updates['audio.duration'] = mediaElement.duration;
   } else {
     updates['audio.duration'] = buffer ? buffer.duration : 0;
   }
   
   // Batch update to avoid multiple notifications
-  stateManager.batch(updates);
+  sm.batch(updates);
 }
 
 /**
  * Set playhead position
  * @param {number} time - Time in seconds
+ * @param {StateManager} [sm] - State store to update (defaults to the shared singleton)
  */
-export function setPlayhead(time) {
-  const duration = stateManager.get('audio.duration');
+export function setPlayhead(time, sm = stateManager) {
+  const duration = sm.get('audio.duration');
   const newTime = Math.max(0, Math.min(time, duration));
-  stateManager.set('audio.currentTime', newTime);
+  sm.set('audio.currentTime', newTime);
 }
 
 /**
  * Set playing state
  * @param {boolean} playing - Whether audio is playing
+ * @param {StateManager} [sm] - State store to update (defaults to the shared singleton)
  */
-export function setPlayingState(playing) {
+export function setPlayingState(playing, sm = stateManager) {
   console.log('🔧 setPlayingState called with:', playing);
-  stateManager.set('audio.isPlaying', playing);
-  console.log('✅ StateManager updated, new value:', stateManager.get('audio.isPlaying'));
+  sm.set('audio.isPlaying', playing);
+  console.log('✅ StateManager updated, new value:', sm.get('audio.isPlaying'));
 }
 
 /**
  * Reset audio state to defaults
+ * @param {StateManager} [sm] - State store to reset (defaults to the shared singleton)
  */
-export function resetAudioState() {
+export function resetAudioState(sm = stateManager) {
   // Batch reset all audio properties
-  stateManager.batch({
+  sm.batch({
     'audio.buffer': null,
     'audio.waveform': null,
     'audio.maxAmplitude': 1,
     'audio.currentTime': 0,
     'audio.isPlaying': false,
-    'audio.duration': 0
+    'audio.duration': 0,
+    'audio.shuttle': null,
+    'audio.loopRegion': null
   });
 }
 
 /**
  * Dispose of audio state and release all memory references
  * Call this before loading new audio to ensure proper cleanup
+ * @param {StateManager} [sm] - State store to dispose (defaults to the shared singleton)
  */
-export function disposeAudioState() {
+export function disposeAudioState(sm = stateManager) {
   // Reset audio state
-  stateManager.batch({
+  sm.batch({
     'audio.buffer': null,
     'audio.waveform': null,
     'audio.maxAmplitude': 1,
     'audio.currentTime': 0,
     'audio.isPlaying': false,
-    'audio.duration': 0
+    'audio.duration': 0,
+    'audio.shuttle': null,
+    'audio.loopRegion': null
   });
   
-  // Clear URL audio element if exists
-  if (window.urlAudioElement) {
+  // Clear legacy URL audio element if exists (shared state only)
+  if (legacyUrlAudioElement(sm)) {
     window.urlAudioElement.pause();
     window.urlAudioElement.src = '';
     window.urlAudioElement.load();
@@ -142,7 +142,11 @@ export function initializeCanvas() {
       throw new CanvasError('Failed to create canvas element', 'CANVAS_CREATION_FAILED');
     }
     
-    canvas.id = 'waveCanvas';
+    canvas.className = 'wave-canvas';
+    // Only the first canvas on the page gets the legacy id - ids must stay unique
+    if (!document.getElementById('waveCanvas')) {
+      canvas.id = 'waveCanvas';
+    }
     canvas.tabIndex = 0; // Make canvas focusable for accessibility/touch
 
     // ✅ IMPROVED: Better context acquisition with fallbacks
@@ -0,0 +1,221 @@
+/**
+ * Channel Routing
+ *
+ * A 2×2 gain matrix between the sources and the volume gain, for listening
+ * to parts of a stereo mix: both channels with a balance, one channel on
+ * both speakers, a mono fold-down, the mid (center) or side (difference)
+ * signal, and a center-cancel "karaoke" mode - the side signal with the
+ * centered low end put back, so vocals drop out but the bass and kick stay.
+ *
+ * Every output row is scaled by the balance afterwards, so the balance pans
+ * any of the modes. Mono sources are upmixed to two equal channels first
+ * (their side signal is silence).
+ *
+ * @module channel-routing
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * Which channels reach the speakers
+ */
+export const ChannelModes = Object.freeze({
+  STEREO: 'stereo',   // L → left, R → right
+  LEFT: 'left',       // L on both speakers
+  RIGHT: 'right',     // R on both speakers
+  MONO: 'mono',       // (L + R) at -3 dB on both speakers
+  MID: 'mid',         // (L + R) / 2 on both speakers
+  SIDE: 'side',       // (L - R) / 2 on both speakers
+  KARAOKE: 'karaoke'  // (L - R) / 2 plus the mid below CONFIG.KARAOKE_BASS_CUTOFF
+});
+
+// Rows are the output channels, columns the input channels: [[L→L, R→L], [L→R, R→R]]
+const MATRICES = Object.freeze({
+  [ChannelModes.STEREO]: [[1, 0], [0, 1]],
+  [ChannelModes.LEFT]: [[1, 0], [1, 0]],
+  [ChannelModes.RIGHT]: [[0, 1], [0, 1]],
+  [ChannelModes.MONO]: [[Math.SQRT1_2, Math.SQRT1_2], [Math.SQRT1_2, Math.SQRT1_2]],
+  [ChannelModes.MID]: [[0.5, 0.5], [0.5, 0.5]],
+  [ChannelModes.SIDE]: [[0.5, -0.5], [0.5, -0.5]],
+  [ChannelModes.KARAOKE]: [[0.5, -0.5], [0.5, -0.5]]
+});
+
+/**
+ * Validate a channel mode
+ * @param {string} mode
+ * @throws {ValidationError}
+ */
+export function validateChannelMode(mode) {
+  if (!Object.values(ChannelModes).includes(mode)) {
+    throw new ValidationError(`channelMode must be one of: ${Object.values(ChannelModes).join(', ')}`, 'channelMode', mode, 'ChannelModes');
+  }
+}
+
+/**
+ * Validate a balance
+ * @param {number} balance - -1 (left only) to 1 (right only)
+ * @throws {ValidationError}
+ */
+export function validateBalance(balance) {
+  if (!TypeValidator.isNumber(balance, { min: -1, max: 1 })) {
+    throw new ValidationError('balance must be a number between -1 and 1', 'balance', balance, 'number');
+  }
+}
+
+/**
+ * Gains of the left and right outputs for a balance
+ * The side being panned towards stays at full level; the other one is turned down.
+ * @param {number} balance - -1 to 1
+ * @returns {[number, number]}
+ */
+export function getBalanceGains(balance) {
+  return [Math.min(1, 1 - balance), Math.min(1, 1 + balance)];
+}
+
+/**
+ * Routing matrix for a mode, with the balance applied
+ * @param {string} mode - One of ChannelModes
+ * @param {number} [balance=0]
+ * @returns {number[][]} [[L→L, R→L], [L→R, R→R]]
+ */
+export function getChannelMatrix(mode, balance = 0) {
+  const gains = getBalanceGains(balance);
+  return MATRICES[mode].map((row, output) => row.map(gain => gain * gains[output]));
+}
+
+/**
+ * Whether a routing leaves the signal as it is
+ * @param {string} mode
+ * @param {number} balance
+ * @returns {boolean}
+ */
+export function isDefaultRouting(mode, balance) {
+  return mode === ChannelModes.STEREO && balance === 0;
+}
+
+/**
+ * Samples to draw for a routing: the louder of the two output channels at each sample
+ * The low end karaoke keeps is not included.
+ * @param {AudioBuffer} audioBuffer
+ * @param {string} mode - One of ChannelModes
+ * @param {number} balance
+ * @returns {{samples: Float32Array, maxAmp: number}}
+ */
+export function mixChannels(audioBuffer, mode, balance) {
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+  const [[ll, rl], [lr, rr]] = getChannelMatrix(mode, balance);
+
+  const samples = new Float32Array(left.length);
+  let maxAmp = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const outLeft = Math.abs(left[i] * ll + right[i] * rl);
+    const outRight = Math.abs(left[i] * lr + right[i] * rr);
+    const value = outLeft > outRight ? outLeft : outRight;
+    samples[i] = value;
+    if (value > maxAmp) maxAmp = value;
+  }
+  return { samples, maxAmp };
+}
+
+/**
+ * ChannelRouter - The routing stage of one player's playback graph
+ *
+ * input (upmix to stereo) → splitter → four matrix gains → merger (output)
+ *                                    ↘ mid → lowpass → two bass gains ↗
+ */
+export class ChannelRouter {
+  #context;
+  #input;
+  #splitter;
+  #merger;
+  #matrix;
+  #bassSum;
+  #bassFilter;
+  #bass;
+
+  /**
+   * @param {BaseAudioContext} context
+   */
+  constructor(context) {
+    this.#context = context;
+
+    // Mono sources are copied to both channels, surround sources folded down
+    this.#input = context.createGain();
+    this.#input.channelCount = 2;
+    this.#input.channelCountMode = 'explicit';
+    this.#input.channelInterpretation = 'speakers';
+
+    this.#splitter = context.createChannelSplitter(2);
+    this.#merger = context.createChannelMerger(2);
+    this.#input.connect(this.#splitter);
+
+    this.#matrix = [0, 1].map(output => [0, 1].map(input => {
+      const gain = context.createGain();
+      gain.gain.value = MATRICES[ChannelModes.STEREO][output][input];
+      this.#splitter.connect(gain, input);
+      gain.connect(this.#merger, 0, output);
+      return gain;
+    }));
+
+    // Karaoke's low end: the mid signal through a lowpass, silent in every other mode
+    this.#bassSum = context.createGain();
+    this.#bassSum.gain.value = 0.5;
+    this.#bassFilter = context.createBiquadFilter();
+    this.#bassFilter.type = 'lowpass';
+    this.#bassFilter.frequency.value = CONFIG.KARAOKE_BASS_CUTOFF;
+    this.#splitter.connect(this.#bassSum, 0);
+    this.#splitter.connect(this.#bassSum, 1);
+    this.#bassSum.connect(this.#bassFilter);
+    this.#bass = [0, 1].map(output => {
+      const gain = context.createGain();
+      gain.gain.value = 0;
+      this.#bassFilter.connect(gain);
+      gain.connect(this.#merger, 0, output);
+      return gain;
+    });
+  }
+
+  /**
+   * Node the sources connect to
+   * @returns {AudioNode}
+   */
+  get input() {
+    return this.#input;
+  }
+
+  /**
+   * @param {AudioNode} destination
+   */
+  connect(destination) {
+    this.#merger.connect(destination);
+  }
+
+  /**
+   * Glide the matrix to a mode and balance (CONFIG.CHANNEL_ROUTING_RAMP seconds)
+   * @param {string} mode - One of ChannelModes
+   * @param {number} balance - -1 to 1
+   */
+  setRouting(mode, balance) {
+    const matrix = getChannelMatrix(mode, balance);
+    const bass = getBalanceGains(balance).map(gain => (mode === ChannelModes.KARAOKE ? gain : 0));
+
+    matrix.forEach((row, output) => row.forEach((value, input) => {
+      this.#glide(this.#matrix[output][input].gain, value);
+    }));
+    bass.forEach((value, output) => this.#glide(this.#bass[output].gain, value));
+  }
+
+  disconnect() {
+    [this.#input, this.#splitter, this.#bassSum, this.#bassFilter, this.#merger, ...this.#matrix.flat(), ...this.#bass]
+      .forEach(node => node.disconnect());
+  }
+
+  #glide(param, value) {
+    const now = this.#context.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + CONFIG.CHANNEL_ROUTING_RAMP);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Crossfade
+ *
+ * Gain automation for handing playback from one track to the next, and the
+ * length of the short transport fades (play/pause/seek/stop) AudioPlayback
+ * applies to every source. The
+ * outgoing and incoming buffer sources each play through their own GainNode,
+ * so a crossfade is two opposite ramps over the same span of context time:
+ * - linear: the gains always add up to 1 (loudness dips a little mid-fade)
+ * - equal-power: cos/sin curves whose squares add up to 1 (steady loudness
+ *   for unrelated material, the usual choice for DJ mixes)
+ * A zero-length crossfade is a plain gapless join.
+ *
+ * @module crossfade
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * Shape of the fade
+ */
+export const CrossfadeCurves = Object.freeze({
+  LINEAR: 'linear',
+  EQUAL_POWER: 'equal-power'
+});
+
+// Points in an equal-power curve (setValueCurveAtTime interpolates between them)
+const EQUAL_POWER_STEPS = 64;
+
+/**
+ * @typedef {Object} CrossfadeSettings
+ * @property {number} duration - Overlap between tracks in seconds (0 = gapless join)
+ * @property {string} curve - One of CrossfadeCurves
+ */
+
+/**
+ * Validate crossfade settings (missing fields keep their defaults)
+ * @param {Object} settings
+ * @param {number} [settings.duration=0]
+ * @param {string} [settings.curve='linear']
+ * @returns {CrossfadeSettings}
+ * @throws {ValidationError}
+ */
+export function validateCrossfade(settings) {
+  if (!TypeValidator.isObject(settings)) {
+    throw new ValidationError('crossfade must be an object', 'crossfade', settings, 'object');
+  }
+
+  const { duration = 0, curve = CrossfadeCurves.LINEAR } = settings;
+  if (!TypeValidator.isNumber(duration, { min: 0, max: CONFIG.CROSSFADE_MAX_DURATION })) {
+    throw new ValidationError(`crossfade duration must be a number between 0 and ${CONFIG.CROSSFADE_MAX_DURATION}`, 'duration', duration, 'number');
+  }
+  if (!Object.values(CrossfadeCurves).includes(curve)) {
+    throw new ValidationError(`crossfade curve must be one of: ${Object.values(CrossfadeCurves).join(', ')}`, 'curve', curve, 'CrossfadeCurves');
+  }
+  return { duration, curve };
+}
+
+/**
+ * Validate the transport fade length (see AudioPlayback#setFadeDuration())
+ * @param {number} seconds - 0 switches fades off
+ * @throws {ValidationError}
+ */
+export function validateFadeDuration(seconds) {
+  if (!TypeValidator.isNumber(seconds, { min: 0, max: CONFIG.TRANSPORT_FADE_MAX_DURATION })) {
+    throw new ValidationError(`fadeDuration must be a number between 0 and ${CONFIG.TRANSPORT_FADE_MAX_DURATION}`, 'fadeDuration', seconds, 'number');
+  }
+}
+
+/**
+ * Equal-power gain curve
+ * @param {boolean} fadeIn - Rise from 0 to 1 (true) or fall from 1 to 0
+ * @param {number} [steps=EQUAL_POWER_STEPS]
+ * @returns {Float32Array}
+ */
+export function createEqualPowerCurve(fadeIn, steps = EQUAL_POWER_STEPS) {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const angle = (i / (steps - 1)) * Math.PI / 2;
+    curve[i] = fadeIn ? Math.sin(angle) : Math.cos(angle);
+  }
+  return curve;
+}
+
+/**
+ * Schedule a crossfade on two gain params
+ * @param {AudioParam} outgoing - Gain of the track that is ending (ramps 1 → 0)
+ * @param {AudioParam} incoming - Gain of the track that is starting (ramps 0 → 1)
+ * @param {number} startAt - Context time the fade begins
+ * @param {number} duration - Context seconds
+ * @param {string} [curve='linear'] - One of CrossfadeCurves
+ */
+export function scheduleCrossfade(outgoing, incoming, startAt, duration, curve = CrossfadeCurves.LINEAR) {
+  if (!(duration > 0)) return;
+
+  if (curve === CrossfadeCurves.EQUAL_POWER) {
+    outgoing.setValueCurveAtTime(createEqualPowerCurve(false), startAt, duration);
+    incoming.setValueCurveAtTime(createEqualPowerCurve(true), startAt, duration);
+    return;
+  }
+
+  outgoing.setValueAtTime(1, startAt);
+  outgoing.linearRampToValueAtTime(0, startAt + duration);
+  incoming.setValueAtTime(0, startAt);
+  incoming.linearRampToValueAtTime(1, startAt + duration);
+}
@@ -0,0 +1,313 @@
+/**
+ * Equalizer
+ *
+ * A parametric EQ between the channel routing and the volume gain: a chain
+ * of BiquadFilterNodes - high-pass, low shelf, four peaking bands, high
+ * shelf and low-pass - with fixed band ids and types. Bands can be switched
+ * off (the two pass filters start off) and the whole chain bypassed; both
+ * take the filters out of the signal path instead of flattening them.
+ *
+ * Settings are plain data (`{ bypass, bands }`) so they can live in the
+ * StateManager, be saved with SettingsManager and be stored as presets.
+ *
+ * @module equalizer
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * @typedef {Object} EqBand
+ * @property {string} id - One of the ids in EQ_BANDS
+ * @property {string} type - BiquadFilterNode type (fixed per band)
+ * @property {number} frequency - Hz
+ * @property {number} gain - dB (shelves and peaking bands only)
+ * @property {number} Q - Bandwidth of peaking bands, resonance of the pass filters
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} EqSettings
+ * @property {boolean} bypass - Take every filter out of the signal path
+ * @property {EqBand[]} bands - In signal order
+ */
+
+/**
+ * The bands in signal order, with their default settings
+ */
+export const EQ_BANDS = Object.freeze([
+  { id: 'highpass', type: 'highpass', frequency: 30, gain: 0, Q: 0.71, enabled: false },
+  { id: 'low', type: 'lowshelf', frequency: 100, gain: 0, Q: 0.71, enabled: true },
+  { id: 'low-mid', type: 'peaking', frequency: 250, gain: 0, Q: 1, enabled: true },
+  { id: 'mid', type: 'peaking', frequency: 1000, gain: 0, Q: 1, enabled: true },
+  { id: 'high-mid', type: 'peaking', frequency: 2500, gain: 0, Q: 1, enabled: true },
+  { id: 'presence', type: 'peaking', frequency: 6000, gain: 0, Q: 1, enabled: true },
+  { id: 'high', type: 'highshelf', frequency: 10000, gain: 0, Q: 0.71, enabled: true },
+  { id: 'lowpass', type: 'lowpass', frequency: 18000, gain: 0, Q: 0.71, enabled: false }
+].map(band => Object.freeze(band)));
+
+/**
+ * Built-in presets
+ */
+export const EqPresets = Object.freeze({
+  FLAT: 'flat',
+  BASS_BOOST: 'bass-boost',
+  TREBLE_BOOST: 'treble-boost',
+  VOCAL: 'vocal',
+  LOUDNESS: 'loudness',
+  RUMBLE_CUT: 'rumble-cut',
+  TELEPHONE: 'telephone'
+});
+
+// Changes each built-in preset makes to the default bands
+const PRESET_BANDS = Object.freeze({
+  [EqPresets.FLAT]: {},
+  [EqPresets.BASS_BOOST]: { low: { gain: 6 }, 'low-mid': { gain: 2 } },
+  [EqPresets.TREBLE_BOOST]: { presence: { gain: 2 }, high: { gain: 6 } },
+  [EqPresets.VOCAL]: { highpass: { frequency: 100, enabled: true }, 'low-mid': { gain: -3 }, 'high-mid': { gain: 3 }, presence: { gain: 2 } },
+  [EqPresets.LOUDNESS]: { low: { gain: 5 }, mid: { gain: -2 }, high: { gain: 4 } },
+  [EqPresets.RUMBLE_CUT]: { highpass: { frequency: 60, enabled: true } },
+  [EqPresets.TELEPHONE]: { highpass: { frequency: 300, enabled: true }, 'high-mid': { gain: 4 }, lowpass: { frequency: 3400, enabled: true } }
+});
+
+// Types whose gain the filter ignores
+const GAINLESS_TYPES = ['highpass', 'lowpass'];
+
+// Longest user preset name
+const MAX_PRESET_NAME_LENGTH = 40;
+
+/**
+ * @param {string} type - BiquadFilterNode type
+ * @returns {boolean} Whether the band has a gain
+ */
+export function hasGain(type) {
+  return !GAINLESS_TYPES.includes(type);
+}
+
+/**
+ * Default settings: every band flat, the pass filters off, not bypassed
+ * @returns {EqSettings}
+ */
+export function createEqSettings() {
+  return { bypass: false, bands: EQ_BANDS.map(band => ({ ...band })) };
+}
+
+/**
+ * Copy settings so callers cannot change the ones in use
+ * @param {EqSettings} settings
+ * @returns {EqSettings}
+ */
+export function copyEqSettings(settings) {
+  return { bypass: settings.bypass, bands: settings.bands.map(band => ({ ...band })) };
+}
+
+/**
+ * Validate changes to one band
+ * @param {string} id - Band id
+ * @param {{frequency?: number, gain?: number, Q?: number, enabled?: boolean}} changes
+ * @throws {ValidationError}
+ */
+export function validateEqBand(id, changes) {
+  if (!EQ_BANDS.some(band => band.id === id)) {
+    throw new ValidationError(`EQ band must be one of: ${EQ_BANDS.map(band => band.id).join(', ')}`, 'band', id, 'string');
+  }
+  if (!TypeValidator.isObject(changes)) {
+    throw new ValidationError('EQ band changes must be an object', 'changes', changes, 'object');
+  }
+
+  const { frequency, gain, Q, enabled } = changes;
+  const { EQ_MIN_FREQUENCY: minFrequency, EQ_MAX_FREQUENCY: maxFrequency, EQ_MAX_GAIN: maxGain } = CONFIG;
+  if (frequency !== undefined && !TypeValidator.isNumber(frequency, { min: minFrequency, max: maxFrequency })) {
+    throw new ValidationError(`EQ frequency must be a number between ${minFrequency} and ${maxFrequency}`, 'frequency', frequency, 'number');
+  }
+  if (gain !== undefined && !TypeValidator.isNumber(gain, { min: -maxGain, max: maxGain })) {
+    throw new ValidationError(`EQ gain must be a number between ${-maxGain} and ${maxGain} dB`, 'gain', gain, 'number');
+  }
+  if (Q !== undefined && !TypeValidator.isNumber(Q, { min: CONFIG.EQ_MIN_Q, max: CONFIG.EQ_MAX_Q })) {
+    throw new ValidationError(`EQ Q must be a number between ${CONFIG.EQ_MIN_Q} and ${CONFIG.EQ_MAX_Q}`, 'Q', Q, 'number');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new ValidationError('EQ band enabled must be true or false', 'enabled', enabled, 'boolean');
+  }
+}
+
+/**
+ * Apply validated changes to one band
+ * @param {EqSettings} settings
+ * @param {string} id
+ * @param {Object} changes - Checked with validateEqBand()
+ * @returns {EqSettings} New settings (the argument is not modified)
+ */
+export function updateEqBand(settings, id, changes) {
+  const { frequency, gain, Q, enabled } = changes;
+  return {
+    ...settings,
+    bands: settings.bands.map(band => (band.id !== id ? band : {
+      ...band,
+      ...(frequency !== undefined && { frequency }),
+      ...(gain !== undefined && { gain }),
+      ...(Q !== undefined && { Q }),
+      ...(enabled !== undefined && { enabled })
+    }))
+  };
+}
+
+/**
+ * Read saved or preset bands onto the defaults
+ * Bands left out keep their defaults; a band's type always comes from EQ_BANDS.
+ * @param {Array<{id: string, frequency?: number, gain?: number, Q?: number, enabled?: boolean}>} bands
+ * @param {boolean} [bypass=false]
+ * @returns {EqSettings}
+ * @throws {ValidationError} For an unknown band or an out-of-range value
+ */
+export function restoreEqSettings(bands, bypass = false) {
+  if (!TypeValidator.isArray(bands)) {
+    throw new ValidationError('EQ bands must be an array', 'bands', bands, 'Array');
+  }
+  if (typeof bypass !== 'boolean') {
+    throw new ValidationError('EQ bypass must be true or false', 'bypass', bypass, 'boolean');
+  }
+
+  return bands.reduce((settings, band) => {
+    if (!TypeValidator.isObject(band)) {
+      throw new ValidationError('Each EQ band must be an object with an id', 'bands', band, 'object');
+    }
+    const { id, frequency, gain, Q, enabled } = band;
+    const changes = { frequency, gain, Q, enabled };
+    validateEqBand(id, changes);
+    return updateEqBand(settings, id, changes);
+  }, { ...createEqSettings(), bypass });
+}
+
+/**
+ * Settings for a built-in preset (bypass off)
+ * @param {string} name - One of EqPresets
+ * @returns {EqSettings|null} Null for names that are not built in
+ */
+export function getBuiltInEqPreset(name) {
+  const changes = Object.hasOwn(PRESET_BANDS, name) ? PRESET_BANDS[name] : null;
+  if (!changes) return null;
+  return restoreEqSettings(Object.entries(changes).map(([id, band]) => ({ id, ...band })));
+}
+
+/**
+ * Validate a name to save a user preset under
+ * @param {string} name
+ * @throws {ValidationError} For empty or overlong names and built-in preset names
+ */
+export function validateEqPresetName(name) {
+  if (!TypeValidator.isString(name, { minLength: 1, maxLength: MAX_PRESET_NAME_LENGTH }) || !name.trim()) {
+    throw new ValidationError(`EQ preset name must be 1 to ${MAX_PRESET_NAME_LENGTH} characters`, 'name', name, 'string');
+  }
+  if (Object.values(EqPresets).includes(name)) {
+    throw new ValidationError(`"${name}" is a built-in EQ preset`, 'name', name, 'string');
+  }
+}
+
+/**
+ * Log-spaced frequencies across the EQ range, for drawing the response curve
+ * @param {number} [points=CONFIG.EQ_CURVE_POINTS]
+ * @returns {Float32Array} Hz
+ */
+export function getEqCurveFrequencies(points = CONFIG.EQ_CURVE_POINTS) {
+  const min = Math.log10(CONFIG.EQ_MIN_FREQUENCY);
+  const max = Math.log10(CONFIG.EQ_MAX_FREQUENCY);
+  return Float32Array.from({ length: points }, (_, i) => 10 ** (min + (max - min) * i / (points - 1)));
+}
+
+/**
+ * Equalizer - The EQ stage of one player's playback graph
+ *
+ * input → enabled filters in band order → output (input → output when bypassed)
+ */
+export class Equalizer {
+  #input;
+  #output;
+  #filters;
+  #settings = createEqSettings();
+
+  /**
+   * @param {BaseAudioContext} context
+   */
+  constructor(context) {
+    this.#input = context.createGain();
+    this.#output = context.createGain();
+    this.#filters = new Map(EQ_BANDS.map(band => {
+      const filter = context.createBiquadFilter();
+      filter.type = band.type;
+      return [band.id, filter];
+    }));
+    this.set(this.#settings);
+  }
+
+  /**
+   * Node the routing stage connects to
+   * @returns {AudioNode}
+   */
+  get input() {
+    return this.#input;
+  }
+
+  /**
+   * @param {AudioNode} destination
+   */
+  connect(destination) {
+    this.#output.connect(destination);
+  }
+
+  /**
+   * Apply settings, rewiring the chain only when bands are switched on or off
+   * @param {EqSettings} settings - Already validated
+   */
+  set(settings) {
+    const previous = this.#settings;
+    settings.bands.forEach(band => {
+      const filter = this.#filters.get(band.id);
+      filter.frequency.value = band.frequency;
+      filter.gain.value = band.gain;
+      filter.Q.value = band.Q;
+    });
+    this.#settings = settings;
+
+    const chain = (eq) => (eq.bypass ? '' : eq.bands.filter(band => band.enabled).map(band => band.id).join());
+    if (previous === settings || chain(previous) !== chain(settings)) {
+      this.#wire();
+    }
+  }
+
+  /**
+   * Gain of the whole chain at each frequency, from BiquadFilterNode#getFrequencyResponse()
+   * @param {Float32Array} frequencies - Hz
+   * @returns {Float32Array} dB (all 0 while bypassed)
+   */
+  getFrequencyResponse(frequencies) {
+    const response = new Float32Array(frequencies.length);
+    if (this.#settings.bypass) return response;
+
+    const magnitude = new Float32Array(frequencies.length);
+    const phase = new Float32Array(frequencies.length);
+    this.#settings.bands.filter(band => band.enabled).forEach(band => {
+      this.#filters.get(band.id).getFrequencyResponse(frequencies, magnitude, phase);
+      magnitude.forEach((value, i) => {
+        response[i] += 20 * Math.log10(Math.max(value, 1e-6));
+      });
+    });
+    return response;
+  }
+
+  disconnect() {
+    [this.#input, this.#output, ...this.#filters.values()].forEach(node => node.disconnect());
+  }
+
+  #wire() {
+    [this.#input, ...this.#filters.values()].forEach(node => node.disconnect());
+
+    const chain = this.#settings.bypass
+      ? []
+      : this.#settings.bands.filter(band => band.enabled).map(band => this.#filters.get(band.id));
+    [this.#input, ...chain].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    }).connect(this.#output);
+  }
+}
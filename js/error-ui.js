@@ -218,8 +218,11 @@ export class ErrorUI {
   /**
    * Show loading state
    * @param {string} message - Loading message (default: "Loading...")
+   * @param {Object} [options]
+   * @param {boolean} [options.progress=false] - Show a progress bar (filled by setLoadingProgress())
+   * @param {Function} [options.onCancel] - Show a Cancel button that calls it (the loading state is hidden too)
    */
-  static showLoading(message = 'Loading...') {
+  static showLoading(message = 'Loading...', { progress = false, onCancel = null } = {}) {
     this.initialize();
 
     this.#loadingElement.innerHTML = `
@@ -229,10 +232,59 @@ export class ErrorUI {
       </div>
     `;
 
+    const card = this.#loadingElement.firstElementChild;
+    if (progress) {
+      // Indeterminate until the first setLoadingProgress() with a known total
+      const track = document.createElement('div');
+      track.className = 'loading-progress indeterminate';
+      track.setAttribute('role', 'progressbar');
+      track.setAttribute('aria-label', message);
+      track.setAttribute('aria-valuemin', '0');
+      track.setAttribute('aria-valuemax', '100');
+      const bar = document.createElement('div');
+      bar.className = 'loading-progress-bar';
+      track.appendChild(bar);
+      const text = document.createElement('div');
+      text.className = 'loading-progress-text';
+      card.append(track, text);
+    }
+    if (onCancel) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'loading-cancel-btn';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => {
+        this.hideLoading();
+        onCancel();
+      });
+      card.appendChild(cancelBtn);
+    }
+
     this.#loadingElement.classList.remove('hidden');
     system(`Loading state shown: ${message}`, 'debug');
   }
 
+  /**
+   * Update the loading progress bar (no-op unless showLoading() was given `progress`)
+   * @param {number} loaded - Bytes received
+   * @param {number|null} total - Expected bytes (null or 0 when unknown - the bar stays indeterminate)
+   */
+  static setLoadingProgress(loaded, total) {
+    const track = this.#loadingElement?.querySelector('.loading-progress');
+    if (!track) return;
+
+    const text = this.#loadingElement.querySelector('.loading-progress-text');
+    const megabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+    if (total > 0) {
+      const percent = Math.min(100, Math.round(loaded / total * 100));
+      track.classList.remove('indeterminate');
+      track.setAttribute('aria-valuenow', String(percent));
+      track.firstElementChild.style.width = `${percent}%`;
+      text.textContent = `${megabytes(loaded)} of ${megabytes(total)} MB (${percent}%)`;
+    } else {
+      text.textContent = `${megabytes(loaded)} MB`;
+    }
+  }
+
   /**
    * Hide loading state
    */
@@ -253,6 +305,21 @@ export class ErrorUI {
     }
   }
 
+  /**
+   * Remove the overlay, loading element, toast and injected styles from the page
+   * (the next notification creates them again)
+   */
+  static dispose() {
+    this.#overlayElement?.remove();
+    this.#loadingElement?.remove();
+    this.#currentToast?.remove();
+    document.getElementById('error-ui-styles')?.remove();
+    this.#overlayElement = null;
+    this.#loadingElement = null;
+    this.#currentToast = null;
+    system('ErrorUI disposed', 'debug');
+  }
+
   /**
    * Show a toast notification
    * @private
@@ -465,6 +532,52 @@ export class ErrorUI {
         font-size: 16px;
       }
 
+      .loading-progress {
+        width: 240px;
+        height: 6px;
+        margin: 16px auto 8px;
+        background: ${COLOR_THEME.BUTTON_BG};
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .loading-progress-bar {
+        width: 0;
+        height: 100%;
+        background: ${COLOR_THEME.INFO};
+        transition: width 0.2s ease-out;
+      }
+
+      .loading-progress.indeterminate .loading-progress-bar {
+        width: 30%;
+        animation: loadingSlide 1.2s ease-in-out infinite;
+      }
+
+      @keyframes loadingSlide {
+        from { transform: translateX(-100%); }
+        to { transform: translateX(340%); }
+      }
+
+      .loading-progress-text {
+        color: ${COLOR_THEME.TEXT_SECONDARY};
+        font-size: 13px;
+        min-height: 1em;
+      }
+
+      .loading-cancel-btn {
+        margin-top: 16px;
+        padding: 6px 16px;
+        background: ${COLOR_THEME.BUTTON_BG};
+        color: ${COLOR_THEME.TEXT_PRIMARY};
+        border: 1px solid ${COLOR_THEME.BUTTON_BORDER};
+        border-radius: 6px;
+        cursor: pointer;
+      }
+
+      .loading-cancel-btn:hover {
+        background: ${COLOR_THEME.BUTTON_HOVER};
+      }
+
       /* Toast Notifications */
       .toast {
         position: fixed;
@@ -578,10 +691,18 @@ export function showInfo(message, duration) {
   return ErrorUI.showInfo(message, duration);
 }
 
-export function showLoading(message) {
-  return ErrorUI.showLoading(message);
+export function showLoading(message, options) {
+  return ErrorUI.showLoading(message, options);
+}
+
+export function setLoadingProgress(loaded, total) {
+  return ErrorUI.setLoadingProgress(loaded, total);
 }
 
 export function hideLoading() {
   return ErrorUI.hideLoading();
 }
+
+export function disposeErrorUI() {
+  return ErrorUI.dispose();
+}
@@ -0,0 +1,246 @@
+/**
+ * Event Emitter
+ *
+ * Small typed event emitter behind the public `on/off/once` API of
+ * SpiralWaveformPlayer. Only event names declared up front can be
+ * subscribed to or emitted, so typos fail loudly instead of silently
+ * never firing.
+ *
+ * Two layers use it:
+ * - `playbackEvents`: internal bus that audio-controls.js, audio-playback.js
+ *   and file-handler.js publish raw transport events to
+ * - The player instance, which forwards bus events to its own emitter
+ *   and enriches them with currentTime, duration and source
+ *
+ * @module event-emitter
+ */
+
+import { TypeValidator, ValidationError } from './validation.js';
+import { system } from './logger.js';
+
+/**
+ * Events emitted by SpiralWaveformPlayer
+ */
+export const PlayerEvents = Object.freeze({
+  LOAD_START: 'loadstart',
+  LOADED: 'loaded',
+  LOAD_PROGRESS: 'loadprogress', // Bytes of a URL's audio downloaded so far
+  LOAD_ABORT: 'loadabort', // A URL load was cancelled (cancelLoad(), its signal, or a newer load)
+  PLAY: 'play',
+  PAUSE: 'pause',
+  ENDED: 'ended',
+  TIME_UPDATE: 'timeupdate',
+  SEEKING: 'seeking',
+  SEEKED: 'seeked',
+  SCRUB_START: 'scrubstart',
+  SCRUB_END: 'scrubend',
+  VOLUME_CHANGE: 'volumechange',
+  RATE_CHANGE: 'ratechange',
+  SHUTTLE_CHANGE: 'shuttlechange', // J/K/L shuttle speed changed or ended (back to the playback rate)
+  CHANNEL_CHANGE: 'channelchange', // Channel mode or balance changed
+  EQ_CHANGE: 'eqchange', // Equalizer band, bypass or preset changed
+  LOUDNESS_CHANGE: 'loudnesschange', // A track was measured, or the normalization settings changed
+  LOOP_REGION_CHANGE: 'loopregionchange', // A–B loop set, moved or cleared
+  PLAYLIST_CHANGE: 'playlistchange', // Queue edited, current item changed, repeat/shuffle toggled
+  TRACK_CHANGE: 'trackchange', // The queued next track took over without a gap (instead of 'ended')
+  MARKERS_CHANGE: 'markerschange', // Marker added, edited or removed, or another track's markers loaded
+  RESUME_AVAILABLE: 'resumeavailable', // The loaded track has a saved position (resume: 'prompt')
+  PREVIOUS_TRACK: 'previoustrack', // Media session / media key "previous" (after rewinding to the start)
+  NEXT_TRACK: 'nexttrack',         // Media session / media key "next"
+  ERROR: 'error'
+});
+
+/**
+ * @typedef {Object} SourceDescription
+ * @property {'file'|'url'|'blob'|'arraybuffer'|'audiobuffer'|'peaks'} kind - Where the audio came from
+ * @property {string} name - File name, last URL path segment or the `name` load option
+ * @property {string} [url] - Original URL (URL sources only)
+ * @property {number} [size] - Size in bytes (file, blob and ArrayBuffer sources)
+ * @property {string} [mimeType] - MIME type (file, blob and ArrayBuffer sources)
+ */
+
+/**
+ * @typedef {Object} PlayerEventPayload
+ * @property {string} type - Event name (one of PlayerEvents)
+ * @property {number} currentTime - Playhead position in seconds
+ * @property {number} duration - Track duration in seconds
+ * @property {SourceDescription|null} source - Currently loaded source
+ * @property {number} timestamp - performance.now() when the event was emitted
+ */
+
+/**
+ * EventEmitter - Map of event name to listener list
+ */
+export class EventEmitter {
+  #listeners = new Map();
+  #allowedEvents = null;
+
+  /**
+   * @param {string[]|null} allowedEvents - Event names this emitter accepts (null = any)
+   */
+  constructor(allowedEvents = null) {
+    if (allowedEvents) {
+      this.#allowedEvents = new Set(allowedEvents);
+    }
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    this.#assertEventType(type);
+
+    if (!TypeValidator.isFunction(listener)) {
+      throw new ValidationError(`Listener for "${type}" must be a function`, 'listener', listener, 'function');
+    }
+
+    if (!this.#listeners.has(type)) {
+      this.#listeners.set(type, []);
+    }
+    this.#listeners.get(type).push(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener previously passed to on() or once()
+   * @returns {boolean} Whether a listener was removed
+   */
+  off(type, listener) {
+    this.#assertEventType(type);
+
+    const listeners = this.#listeners.get(type);
+    if (!listeners) return false;
+
+    const index = listeners.findIndex(entry => entry === listener || entry.original === listener);
+    if (index === -1) return false;
+
+    listeners.splice(index, 1);
+    if (listeners.length === 0) {
+      this.#listeners.delete(type);
+    }
+    return true;
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} type - Event name
+   * @param {Function} listener - Called once with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  once(type, listener) {
+    if (!TypeValidator.isFunction(listener)) {
+      throw new ValidationError(`Listener for "${type}" must be a function`, 'listener', listener, 'function');
+    }
+
+    const wrapper = (payload) => {
+      this.off(type, wrapper);
+      listener(payload);
+    };
+    wrapper.original = listener;
+
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Emit an event to all current listeners
+   * A throwing listener is logged and does not stop the others.
+   * @param {string} type - Event name
+   * @param {Object} payload - Event payload
+   * @returns {number} Number of listeners called
+   */
+  emit(type, payload = {}) {
+    this.#assertEventType(type);
+
+    const listeners = this.#listeners.get(type);
+    if (!listeners || listeners.length === 0) return 0;
+
+    // Copy so listeners can unsubscribe while we iterate
+    const snapshot = [...listeners];
+    snapshot.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        system(`Error in "${type}" event listener`, 'error', error);
+      }
+    });
+
+    return snapshot.length;
+  }
+
+  /**
+   * Count listeners for an event (or all events)
+   * @param {string} [type] - Event name
+   * @returns {number}
+   */
+  listenerCount(type) {
+    if (type === undefined) {
+      let total = 0;
+      this.#listeners.forEach(listeners => { total += listeners.length; });
+      return total;
+    }
+    return this.#listeners.get(type)?.length || 0;
+  }
+
+  /**
+   * Remove all listeners for an event (or all events)
+   * @param {string} [type] - Event name
+   */
+  removeAllListeners(type) {
+    if (type === undefined) {
+      this.#listeners.clear();
+    } else {
+      this.#listeners.delete(type);
+    }
+  }
+
+  #assertEventType(type) {
+    if (!TypeValidator.isString(type, { minLength: 1 })) {
+      throw new ValidationError('Event type must be a non-empty string', 'eventType', type, 'string');
+    }
+    if (this.#allowedEvents && !this.#allowedEvents.has(type)) {
+      throw new ValidationError(`Unknown event "${type}"`, 'eventType', type, [...this.#allowedEvents].join('|'));
+    }
+  }
+}
+
+/**
+ * Internal bus for raw transport events
+ * Payloads here carry only event-specific detail; the player adds the rest.
+ */
+export const playbackEvents = new EventEmitter(Object.values(PlayerEvents));
+
+/**
+ * Describe a File/Blob for event payloads
+ * @param {File|Blob} file
+ * @returns {SourceDescription}
+ */
+export function describeFileSource(file) {
+  return {
+    kind: 'file',
+    name: file?.name || 'Untitled',
+    size: file?.size,
+    mimeType: file?.type || ''
+  };
+}
+
+/**
+ * Describe a URL for event payloads
+ * @param {string} url
+ * @returns {SourceDescription}
+ */
+export function describeUrlSource(url) {
+  let name = url;
+  try {
+    const { pathname } = new URL(url, typeof window !== 'undefined' ? window.location.href : undefined);
+    name = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || url);
+  } catch (e) {
+    // Not a parseable URL - fall back to the raw string
+  }
+  return { kind: 'url', name, url };
+}
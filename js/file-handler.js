@@ -1,12 +1,15 @@
 import { handleFileSelect } from './audio-loader.js';
 import { setAudioBuffer, resetAudioState } from './audio-state.js';
-import { loadAudioForPlayback } from './audio-playback.js';
 import { resetPlayheadAnimation } from './waveform-draw.js';
 import { UIValidation, InteractionValidation, FileValidation, ValidationError, validateAll } from './validation.js';
 import { file, system } from './logger.js';
+import { PlayerEvents, describeFileSource } from './event-emitter.js';
+import { defaultScope } from './player-scope.js';
+import { sanitizeUrl } from './audio-url-utils.js';
 
 // ✅ ENHANCED: File input setup with comprehensive validation
-export function setupFileInput(container, onFileLoaded = null) {
+// `scope` is the player the selected file is loaded into (defaults to the shared scope)
+export function setupFileInput(container, onFileLoaded = null, scope = defaultScope, { onSelect = null } = {}) {
   try {
     // ✅ NEW: Validate input parameters
     validateAll([
@@ -16,8 +19,12 @@ export function setupFileInput(container, onFileLoaded = null) {
     
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = 'audio/*,.mp3,.wav,.ogg,.oga,.opus,.m4a,.aac,.flac,.webm,.mp4';
-    fileInput.id = 'fileInput';
+    fileInput.accept = 'audio/*,.mp3,.wav,.rf64,.aif,.aiff,.aifc,.caf,.ogg,.oga,.opus,.m4a,.aac,.flac,.webm,.mp4';
+    fileInput.className = 'file-input';
+    // Only the first input on the page gets the legacy id - ids must stay unique
+    if (!document.getElementById('fileInput')) {
+      fileInput.id = 'fileInput';
+    }
     
     // ✅ NEW: Validate file input creation
     if (!fileInput || fileInput.type !== 'file') {
@@ -25,10 +32,7 @@ export function setupFileInput(container, onFileLoaded = null) {
     }
     
     container.appendChild(fileInput);
-
-    fileInput.addEventListener('change', async (event) => {
-      await handleFileLoad(event, onFileLoaded);
-    });
+    attachFileInput(fileInput, onFileLoaded, scope, { onSelect });
 
     file('File input created and attached successfully', 'info');
     return fileInput;
@@ -39,8 +43,40 @@ export function setupFileInput(container, onFileLoaded = null) {
   }
 }
 
+// ✅ NEW: Wire an existing <input type="file"> (e.g. one supplied by the host page)
+// With `onSelect`, the chosen file is handed to it to load instead (a player's loadFile(),
+// so the pick takes part in its latest-load-wins cancellation)
+// Returns a function that removes the listener again
+export function attachFileInput(fileInput, onFileLoaded = null, scope = defaultScope, { onSelect = null } = {}) {
+  if (!(fileInput instanceof HTMLInputElement) || fileInput.type !== 'file') {
+    throw new ValidationError('File input must be an <input type="file">', 'fileInput', fileInput, 'HTMLInputElement');
+  }
+  if (onFileLoaded !== null) {
+    InteractionValidation.validateCallback(onFileLoaded, 'onFileLoaded callback');
+  }
+  if (onSelect !== null) {
+    InteractionValidation.validateCallback(onSelect, 'onSelect callback');
+  }
+
+  const onChange = async (event) => {
+    if (onSelect) {
+      const [selectedFile] = event.target?.files ?? [];
+      if (selectedFile) {
+        await onSelect(selectedFile);
+      }
+      return;
+    }
+    await handleFileLoad(event, onFileLoaded, scope);
+  };
+  fileInput.addEventListener('change', onChange);
+
+  return () => fileInput.removeEventListener('change', onChange);
+}
+
 // ✅ ENHANCED: File loading with comprehensive validation
-export async function handleFileLoad(event, callback = null) {
+// Aborting `signal` before the decoded file is committed rejects with the signal's reason
+// and leaves the loaded track alone (no error event, no state reset)
+export async function handleFileLoad(event, callback = null, scope = defaultScope, { signal = undefined } = {}) {
   try {
     // ✅ FIXED: Validate file event (not interaction event)
     InteractionValidation.validateFileEvent(event, 'file load event');
@@ -56,12 +92,16 @@ export async function handleFileLoad(event, callback = null) {
     
     const selectedFile = event.target.files[0];
     
-    // ✅ NEW: Validate the selected file
-    FileValidation.validateAudioFile(selectedFile, 'selected audio file');
+    // ✅ NEW: Validate the selected file (its leading bytes count, not just its name)
+    await FileValidation.validateAudioFileContent(selectedFile, 'selected audio file');
     
     file(`File selected: ${selectedFile.name} (${(selectedFile.size / 1024 / 1024).toFixed(2)}MB)`, 'info');
+    scope.events.emit(PlayerEvents.LOAD_START, { source: describeFileSource(selectedFile) });
     
-    const result = await handleFileSelect(event);
+    const result = await handleFileSelect(event, scope, { signal });
+    if (signal?.aborted) {
+      throw signal.reason ?? new DOMException('File load cancelled', 'AbortError');
+    }
     
     if (!result) {
       throw new ValidationError('File processing returned null result', 'fileProcessing', result);
@@ -77,13 +117,13 @@ export async function handleFileLoad(event, callback = null) {
     file('File processing completed successfully', 'info');
     
     // Update centralized audio state FIRST
-    setAudioBuffer(result.audioBuffer, result.waveform, result.globalMaxAmp);
+    setAudioBuffer(result.audioBuffer, result.waveform, result.globalMaxAmp, scope.stateManager);
     
     // THEN load audio for playback
-    await loadAudioForPlayback(result.audioBuffer);
+    await scope.playback.load(result.audioBuffer);
       
     // Reset animations
-    resetPlayheadAnimation();
+    resetPlayheadAnimation(scope);
     
     file('Audio file loaded and ready for playback', 'info');
     
@@ -123,8 +163,135 @@ export async function handleFileLoad(event, callback = null) {
     return result;
     
   } catch (error) {
+    if (error?.name === 'AbortError') {
+      file('File load cancelled', 'info');
+      throw error;
+    }
     file('File loading failed', 'error', error);
-    resetAudioState();
+    resetAudioState(scope.stateManager);
+    scope.events.emit(PlayerEvents.ERROR, { error });
     throw error;
   }
-}
\ No newline at end of file
+}
+// ✅ NEW: Drag-and-drop and paste loading
+
+/**
+ * Audio sources carried by a drop (`dataTransfer`) or a paste (`clipboardData`)
+ * Files win over text: a dragged file can carry its name or path as text too.
+ * Links come from text/uri-list, or else plain text, one http(s) URL per line.
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {{files: File[], urls: string[]}} In the order they were given
+ */
+export function getTransferredSources(dataTransfer) {
+  if (!dataTransfer) {
+    return { files: [], urls: [] };
+  }
+
+  let files = Array.from(dataTransfer.files ?? []);
+  // Some clipboards only expose pasted blobs through items
+  if (files.length === 0) {
+    files = Array.from(dataTransfer.items ?? [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.getAsFile())
+      .filter(Boolean);
+  }
+  if (files.length > 0) {
+    return { files, urls: [] };
+  }
+
+  const text = dataTransfer.getData('text/uri-list') || dataTransfer.getData('text/plain') || '';
+  const urls = text.split(/\r?\n/)
+    .map(line => line.trim())
+    // uri-list comment lines start with #
+    .filter(line => line && !line.startsWith('#'))
+    .filter(line => {
+      try {
+        sanitizeUrl(line);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  return { files: [], urls };
+}
+
+/**
+ * Run dropped or pasted files through FileValidation.validateAudioFileContent()
+ * @param {File[]} files
+ * @returns {Promise<{accepted: File[], rejected: ValidationError[]}>} Both in the files' order
+ */
+export async function validateAudioFiles(files) {
+  const accepted = [];
+  const rejected = [];
+  for (const audioFile of files) {
+    try {
+      accepted.push(await FileValidation.validateAudioFileContent(audioFile, `audio file "${audioFile.name}"`));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      rejected.push(error);
+    }
+  }
+  return { accepted, rejected };
+}
+
+/**
+ * Make an element a drop target for audio files and links
+ * It has the `drop-target` class while something that could be dropped is over it.
+ * @param {HTMLElement} target
+ * @param {function({files: File[], urls: string[]}): void} onDrop - Receives getTransferredSources() of the drop
+ * @returns {Function} Removes the listeners again
+ */
+export function attachDropZone(target, onDrop) {
+  UIValidation.validateContainer(target);
+  InteractionValidation.validateCallback(onDrop, 'onDrop callback');
+
+  // dragenter/dragleave fire for every child the pointer crosses
+  let depth = 0;
+  const accepts = (event) => {
+    const types = Array.from(event.dataTransfer?.types ?? []);
+    return types.some(type => type === 'Files' || type === 'text/uri-list' || type === 'text/plain');
+  };
+  const setActive = (active) => {
+    target.classList.toggle('drop-target', active);
+  };
+
+  const onDragEnter = (event) => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    depth++;
+    setActive(true);
+  };
+  const onDragOver = (event) => {
+    if (!accepts(event)) return;
+    // Without this the browser opens the dropped file itself
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+  const onDragLeave = (event) => {
+    if (!accepts(event)) return;
+    depth = Math.max(0, depth - 1);
+    if (depth === 0) setActive(false);
+  };
+  const onDropEvent = (event) => {
+    if (!accepts(event)) return;
+    event.preventDefault();
+    depth = 0;
+    setActive(false);
+    const sources = getTransferredSources(event.dataTransfer);
+    file('Sources dropped', 'info', { files: sources.files.length, urls: sources.urls.length });
+    onDrop(sources);
+  };
+
+  target.addEventListener('dragenter', onDragEnter);
+  target.addEventListener('dragover', onDragOver);
+  target.addEventListener('dragleave', onDragLeave);
+  target.addEventListener('drop', onDropEvent);
+
+  return () => {
+    target.removeEventListener('dragenter', onDragEnter);
+    target.removeEventListener('dragover', onDragOver);
+    target.removeEventListener('dragleave', onDragLeave);
+    target.removeEventListener('drop', onDropEvent);
+    setActive(false);
+  };
+}
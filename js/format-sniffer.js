@@ -0,0 +1,178 @@
+/**
+ * Format Sniffer
+ *
+ * Identifies audio formats from their leading bytes, so renamed and
+ * extensionless files (and URLs that say nothing about their content) are
+ * recognised, and a name or MIME type that disagrees with the bytes can be
+ * reported.
+ *
+ * Signatures: RIFF/RF64/BW64 WAVE, FORM AIFF/AIFC, ID3 tags and MPEG frame
+ * sync (MP1/MP2/MP3), ADTS AAC, OggS (Vorbis, Opus or FLAC inside), fLaC,
+ * ISO BMFF `ftyp` (M4A/MP4/3GP), EBML (WebM/Matroska) and CAF.
+ *
+ * @module format-sniffer
+ */
+
+/**
+ * Leading bytes read from a file to identify it
+ */
+export const SNIFF_LENGTH = 512;
+
+/**
+ * What each signature identifies. `format` uses getFileFormat()'s labels;
+ * formats sharing a `family` (container) do not count as mismatches.
+ */
+export const SniffedFormats = Object.freeze({
+  WAV: Object.freeze({ format: 'WAV', mimeType: 'audio/wav', family: 'wav' }),
+  AIFF: Object.freeze({ format: 'AIFF', mimeType: 'audio/aiff', family: 'aiff' }),
+  MP3: Object.freeze({ format: 'MP3', mimeType: 'audio/mpeg', family: 'mpeg' }),
+  MP2: Object.freeze({ format: 'MP2', mimeType: 'audio/mpeg', family: 'mpeg' }),
+  MP1: Object.freeze({ format: 'MP1', mimeType: 'audio/mpeg', family: 'mpeg' }),
+  AAC: Object.freeze({ format: 'AAC', mimeType: 'audio/aac', family: 'aac' }),
+  OGG_VORBIS: Object.freeze({ format: 'OGG Vorbis', mimeType: 'audio/ogg', family: 'ogg' }),
+  OGG_OPUS: Object.freeze({ format: 'Opus', mimeType: 'audio/ogg', family: 'ogg' }),
+  OGG_FLAC: Object.freeze({ format: 'OGG FLAC', mimeType: 'audio/ogg', family: 'ogg' }),
+  OGG: Object.freeze({ format: 'OGG', mimeType: 'audio/ogg', family: 'ogg' }),
+  FLAC: Object.freeze({ format: 'FLAC', mimeType: 'audio/flac', family: 'flac' }),
+  M4A: Object.freeze({ format: 'M4A (AAC)', mimeType: 'audio/mp4', family: 'mp4' }),
+  MP4: Object.freeze({ format: 'MP4 Audio', mimeType: 'audio/mp4', family: 'mp4' }),
+  THREE_GP: Object.freeze({ format: '3GP Audio', mimeType: 'audio/3gpp', family: 'mp4' }),
+  WEBM: Object.freeze({ format: 'WebM Audio', mimeType: 'audio/webm', family: 'matroska' }),
+  MATROSKA: Object.freeze({ format: 'Matroska', mimeType: 'audio/x-matroska', family: 'matroska' }),
+  CAF: Object.freeze({ format: 'CAF', mimeType: 'audio/x-caf', family: 'caf' })
+});
+
+// Family of each label getFileFormat() reports from a name or MIME type
+const CLAIMED_FAMILIES = Object.freeze({
+  'WAV': 'wav',
+  'AIFF': 'aiff',
+  'MP3': 'mpeg',
+  'AAC': 'aac',
+  'OGG': 'ogg',
+  'OGG Audio': 'ogg',
+  'OGG Vorbis': 'ogg',
+  'Opus': 'ogg',
+  'FLAC': 'flac',
+  'M4A (AAC)': 'mp4',
+  'MP4 Audio': 'mp4',
+  '3GP Audio': 'mp4',
+  'WebM Audio': 'matroska',
+  'CAF': 'caf'
+});
+
+// ISO BMFF major brands of audio-only files
+const M4A_BRANDS = ['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '];
+
+/**
+ * @typedef {Object} FormatMismatch
+ * @property {string} claimed - Format the name or MIME type suggests
+ * @property {string} actual - Format the bytes are
+ */
+
+/**
+ * Identify audio from its leading bytes
+ * @param {ArrayBuffer|ArrayBufferView} data - At least the first few hundred bytes
+ * @returns {{format: string, mimeType: string, family: string}|null} One of SniffedFormats, or null when unrecognised
+ */
+export function sniffAudioFormat(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+
+  const tagLength = getId3Length(bytes);
+  if (tagLength > 0) {
+    // An ID3v2 tag almost always fronts MP3; look past it when the bytes reach
+    return (tagLength < bytes.length && sniffAudioFormat(bytes.subarray(tagLength))) || SniffedFormats.MP3;
+  }
+
+  const id = readAscii(bytes, 0, 4);
+  const form = readAscii(bytes, 8, 4);
+
+  if ((id === 'RIFF' || id === 'RF64' || id === 'BW64') && form === 'WAVE') return SniffedFormats.WAV;
+  if (id === 'FORM' && (form === 'AIFF' || form === 'AIFC')) return SniffedFormats.AIFF;
+  if (id === 'fLaC') return SniffedFormats.FLAC;
+  if (id === 'OggS') return sniffOgg(bytes);
+  if (id === 'caff') return SniffedFormats.CAF;
+  if (readAscii(bytes, 4, 4) === 'ftyp') return sniffIsoBrand(form);
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    // The EBML header's DocType says which
+    return readAscii(bytes, 0, Math.min(bytes.length, 64)).includes('webm') ? SniffedFormats.WEBM : SniffedFormats.MATROSKA;
+  }
+  return sniffMpegFrame(bytes);
+}
+
+/**
+ * Identify a File or Blob from its leading bytes
+ * @param {Blob} blob
+ * @returns {Promise<{format: string, mimeType: string, family: string}|null>}
+ */
+export async function sniffBlobFormat(blob) {
+  const head = new Uint8Array(await blob.slice(0, SNIFF_LENGTH).arrayBuffer());
+
+  // Large tags (cover art) run past the first read: read again after them
+  const tagLength = getId3Length(head);
+  if (tagLength >= head.length && tagLength < blob.size) {
+    const after = new Uint8Array(await blob.slice(tagLength, tagLength + SNIFF_LENGTH).arrayBuffer());
+    return sniffAudioFormat(after) || SniffedFormats.MP3;
+  }
+  return sniffAudioFormat(head);
+}
+
+/**
+ * Compare the format a name or MIME type claims with the one the bytes show
+ * @param {string|null} claimed - getFileFormat() label ('Unknown Format' when there is nothing to go on)
+ * @param {string|null} actual - sniffAudioFormat() format label (null when unrecognised)
+ * @returns {FormatMismatch|null} null when they agree or either side is unknown
+ */
+export function compareFormats(claimed, actual) {
+  const claimedFamily = CLAIMED_FAMILIES[claimed];
+  const actualFamily = Object.values(SniffedFormats).find(entry => entry.format === actual)?.family;
+  if (!claimedFamily || !actualFamily || claimedFamily === actualFamily) return null;
+  return { claimed, actual };
+}
+
+function readAscii(bytes, offset, length) {
+  if (bytes.length < offset + length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+// Bytes an ID3v2 tag at the start takes (0 without one); the size is syncsafe (7 bits a byte)
+function getId3Length(bytes) {
+  if (readAscii(bytes, 0, 3) !== 'ID3' || bytes.length < 10) return 0;
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  const hasFooter = (bytes[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// The first packet (after the segment table) names the codec
+function sniffOgg(bytes) {
+  const segments = bytes[26];
+  const packet = 27 + (segments ?? 0);
+  if (readAscii(bytes, packet, 7) === '\x01vorbis') return SniffedFormats.OGG_VORBIS;
+  if (readAscii(bytes, packet, 8) === 'OpusHead') return SniffedFormats.OGG_OPUS;
+  if (readAscii(bytes, packet, 5) === '\x7fFLAC') return SniffedFormats.OGG_FLAC;
+  return SniffedFormats.OGG;
+}
+
+function sniffIsoBrand(brand) {
+  if (M4A_BRANDS.includes(brand)) return SniffedFormats.M4A;
+  if (brand.startsWith('3g')) return SniffedFormats.THREE_GP;
+  return SniffedFormats.MP4;
+}
+
+// An MPEG audio or ADTS frame header at the very start
+function sniffMpegFrame(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xff || (bytes[1] & 0xe0) !== 0xe0) return null;
+
+  const version = (bytes[1] >> 3) & 0x03;
+  const layer = (bytes[1] >> 1) & 0x03;
+  if (layer === 0) {
+    // ADTS: 12 sync bits, layer 00 and a valid sampling frequency index
+    return (bytes[1] & 0xf6) === 0xf0 && ((bytes[2] >> 2) & 0x0f) < 13 ? SniffedFormats.AAC : null;
+  }
+
+  const bitrateIndex = bytes[2] >> 4;
+  const sampleRateIndex = (bytes[2] >> 2) & 0x03;
+  if (version === 1 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+  return [null, SniffedFormats.MP3, SniffedFormats.MP2, SniffedFormats.MP1][layer];
+}
@@ -11,12 +11,16 @@ import { stateManager } from './state-manager.js';
  * Wraps StateManager to provide the same API as the old ScrubState class
  */
 export class ScrubStateAdapter {
-  constructor() {
+  /**
+   * @param {StateManager} [sm] - State store to keep scrub state in (defaults to the shared singleton)
+   */
+  constructor(sm = stateManager) {
     // No local state - everything goes through StateManager
+    this.stateManager = sm;
   }
 
   reset() {
-    stateManager.batch({
+    this.stateManager.batch({
       'interaction.isScrubbing': false,
       'interaction.wasPlaying': false,
       'interaction.scrubStartTime': 0,
@@ -28,7 +32,7 @@ export class ScrubStateAdapter {
   }
 
   startScrubbing(position, wasPlaying) {
-    const isScrubbing = stateManager.get('interaction.isScrubbing');
+    const isScrubbing = this.stateManager.get('interaction.isScrubbing');
     
     if (isScrubbing) {
       console.warn('Scrubbing already active, stopping previous session');
@@ -36,7 +40,7 @@ export class ScrubStateAdapter {
     }
     
     const now = performance.now();
-    stateManager.batch({
+    this.stateManager.batch({
       'interaction.isScrubbing': true,
       'interaction.wasPlaying': wasPlaying,
       'interaction.scrubStartTime': now,
@@ -48,7 +52,7 @@ export class ScrubStateAdapter {
   }
 
   updateScrubbing(position, velocity = 0) {
-    const isScrubbing = stateManager.get('interaction.isScrubbing');
+    const isScrubbing = this.stateManager.get('interaction.isScrubbing');
     
     if (!isScrubbing) {
       console.warn('⚠️ Attempted to update scrubbing when not active');
@@ -58,7 +62,7 @@ export class ScrubStateAdapter {
     const clampedPosition = Math.max(0, Math.min(1, position));
     const now = performance.now();
     
-    stateManager.batch({
+    this.stateManager.batch({
       'interaction.scrubPosition': clampedPosition,
       'interaction.lastScrubTime': now,
       'interaction.lastUpdateTime': now
@@ -68,15 +72,15 @@ export class ScrubStateAdapter {
   }
 
   stopScrubbing(finalPosition, shouldResume = false) {
-    const isScrubbing = stateManager.get('interaction.isScrubbing');
+    const isScrubbing = this.stateManager.get('interaction.isScrubbing');
     
     if (!isScrubbing) {
       console.warn('⚠️ Attempted to stop scrubbing when not active');
       return { wasPlaying: false, finalPosition: 0 };
     }
 
-    const wasPlaying = stateManager.get('interaction.wasPlaying');
-    const currentPosition = stateManager.get('interaction.scrubPosition');
+    const wasPlaying = this.stateManager.get('interaction.wasPlaying');
+    const currentPosition = this.stateManager.get('interaction.scrubPosition');
     
     const result = {
       wasPlaying,
@@ -89,21 +93,21 @@ export class ScrubStateAdapter {
   }
 
   setHasAudioSource(hasSource) {
-    stateManager.set('interaction.hasAudioSource', hasSource);
+    this.stateManager.set('interaction.hasAudioSource', hasSource);
   }
 
   isActive() {
-    return stateManager.get('interaction.isScrubbing');
+    return this.stateManager.get('interaction.isScrubbing');
   }
 
   getState() {
     return {
-      isScrubbing: stateManager.get('interaction.isScrubbing'),
-      wasPlaying: stateManager.get('interaction.wasPlaying'),
-      startPosition: stateManager.get('interaction.scrubPosition'), // Note: using scrubPosition as startPosition
-      currentPosition: stateManager.get('interaction.scrubPosition'),
-      hasAudioSource: stateManager.get('interaction.hasAudioSource'),
-      lastUpdateTime: stateManager.get('interaction.lastUpdateTime')
+      isScrubbing: this.stateManager.get('interaction.isScrubbing'),
+      wasPlaying: this.stateManager.get('interaction.wasPlaying'),
+      startPosition: this.stateManager.get('interaction.scrubPosition'), // Note: using scrubPosition as startPosition
+      currentPosition: this.stateManager.get('interaction.scrubPosition'),
+      hasAudioSource: this.stateManager.get('interaction.hasAudioSource'),
+      lastUpdateTime: this.stateManager.get('interaction.lastUpdateTime')
     };
   }
 }
@@ -115,9 +119,11 @@ export const scrubStateAdapter = new ScrubStateAdapter();
 
 /**
  * Helper functions for drag state management
+ * Each takes an optional trailing StateManager so several players can keep
+ * their drag state apart; it defaults to the shared singleton.
  */
-export function startDragging(startAngle, startPlayhead, wasPlaying) {
-  stateManager.batch({
+export function startDragging(startAngle, startPlayhead, wasPlaying, sm = stateManager) {
+  sm.batch({
     'interaction.isDragging': true,
     'interaction.dragStartAngle': startAngle,
     'interaction.dragStartPlayhead': startPlayhead,
@@ -126,15 +132,15 @@ export function startDragging(startAngle, startPlayhead, wasPlaying) {
   });
 }
 
-export function updateDragging(currentPosition, currentAngle) {
-  const isDragging = stateManager.get('interaction.isDragging');
+export function updateDragging(currentPosition, currentAngle, sm = stateManager) {
+  const isDragging = sm.get('interaction.isDragging');
   
   if (!isDragging) {
     console.warn('⚠️ Attempted to update dragging when not active');
     return false;
   }
 
-  stateManager.batch({
+  sm.batch({
     'interaction.dragCurrentPosition': currentPosition,
     'interaction.lastUpdateTime': performance.now()
   });
@@ -142,8 +148,8 @@ export function updateDragging(currentPosition, currentAngle) {
   return true;
 }
 
-export function stopDragging() {
-  const isDragging = stateManager.get('interaction.isDragging');
+export function stopDragging(sm = stateManager) {
+  const isDragging = sm.get('interaction.isDragging');
   
   if (!isDragging) {
     return {
@@ -153,12 +159,12 @@ export function stopDragging() {
     };
   }
 
-  const wasPlaying = stateManager.get('interaction.wasPlaying');
-  const finalAngle = stateManager.get('interaction.dragStartAngle');
-  const finalPlayhead = stateManager.get('interaction.dragStartPlayhead');
+  const wasPlaying = sm.get('interaction.wasPlaying');
+  const finalAngle = sm.get('interaction.dragStartAngle');
+  const finalPlayhead = sm.get('interaction.dragStartPlayhead');
   
   // Reset drag state
-  stateManager.batch({
+  sm.batch({
     'interaction.isDragging': false,
     'interaction.dragStartPosition': null,
     'interaction.dragCurrentPosition': null,
@@ -176,36 +182,36 @@ export function stopDragging() {
 /**
  * Get current drag state
  */
-export function getDragState() {
+export function getDragState(sm = stateManager) {
   return {
-    isDragging: stateManager.get('interaction.isDragging'),
-    dragStartPosition: stateManager.get('interaction.dragStartPosition'),
-    dragCurrentPosition: stateManager.get('interaction.dragCurrentPosition'),
-    dragStartAngle: stateManager.get('interaction.dragStartAngle'),
-    dragStartPlayhead: stateManager.get('interaction.dragStartPlayhead'),
-    wasPlaying: stateManager.get('interaction.wasPlaying')
+    isDragging: sm.get('interaction.isDragging'),
+    dragStartPosition: sm.get('interaction.dragStartPosition'),
+    dragCurrentPosition: sm.get('interaction.dragCurrentPosition'),
+    dragStartAngle: sm.get('interaction.dragStartAngle'),
+    dragStartPlayhead: sm.get('interaction.dragStartPlayhead'),
+    wasPlaying: sm.get('interaction.wasPlaying')
   };
 }
 
 /**
  * Check if currently dragging
  */
-export function isDragging() {
-  return stateManager.get('interaction.isDragging');
+export function isDragging(sm = stateManager) {
+  return sm.get('interaction.isDragging');
 }
 
 /**
  * Get the entire interaction state
  */
-export function getInteractionState() {
-  return stateManager.get('interaction');
+export function getInteractionState(sm = stateManager) {
+  return sm.get('interaction');
 }
 
 /**
  * Reset interaction state to defaults
  */
-export function resetInteractionState() {
-  stateManager.batch({
+export function resetInteractionState(sm = stateManager) {
+  sm.batch({
     'interaction.isDragging': false,
     'interaction.dragStartPosition': null,
     'interaction.dragCurrentPosition': null,
@@ -226,21 +232,22 @@ export function resetInteractionState() {
 /**
  * Subscribe to interaction state changes
  */
-export function subscribeToInteractionState(path, callback) {
-  return stateManager.subscribe(`interaction.${path}`, callback);
+export function subscribeToInteractionState(path, callback, sm = stateManager) {
+  return sm.subscribe(`interaction.${path}`, callback);
 }
 
 /**
  * Sync interaction state with scrubbing state (for backward compatibility)
  */
-export function syncInteractionWithScrubState(visualState) {
-  const scrubState = scrubStateAdapter.getState();
-  const dragState = getDragState();
+export function syncInteractionWithScrubState(visualState, scrubAdapter = scrubStateAdapter) {
+  const sm = scrubAdapter.stateManager;
+  const scrubState = scrubAdapter.getState();
+  const dragState = getDragState(sm);
   
   // Ensure interaction state matches audio scrubbing state
   if (scrubState.isScrubbing && !dragState.isDragging) {
     console.warn('⚠️ Scrubbing active but interaction not dragging - syncing states');
-    startDragging(null, scrubState.currentPosition, scrubState.wasPlaying);
+    startDragging(null, scrubState.currentPosition, scrubState.wasPlaying, sm);
     
     // Sync with visualState if provided (for backward compatibility)
     if (visualState) {
@@ -249,7 +256,7 @@ export function syncInteractionWithScrubState(visualState) {
     }
   } else if (!scrubState.isScrubbing && dragState.isDragging) {
     console.warn('⚠️ Interaction dragging but scrubbing not active - cleaning up');
-    stopDragging();
+    stopDragging(sm);
     
     // Sync with visualState if provided
     if (visualState) {
@@ -1,18 +1,20 @@
 import { CONFIG } from './utils.js';
 import { getAudioState } from './audio-state.js';
-import { startScrubbing, updateScrubbing, stopScrubbing, isAudioPlaying, isScrubbingActive, getScrubState } from './audio-playback.js';
 import { InteractionValidation, CanvasValidation, ValidationError, TypeValidator, safeExecute, ensureType } from './validation.js';
 import { interaction, system } from './logger.js';
 import { CanvasCoordinates, getCanvasCoordinates, toPolarCoordinates, calculateDistance, calculateAngle } from './canvas-math.js';
-import { renderState, RenderComponents } from './render-state.js';
+import { RenderComponents } from './render-state.js';
 import { syncInteractionWithScrubState, stopDragging as cleanupDragStateAdapter, startDragging as startDraggingStateManager } from './interaction-state-adapter.js';
+import { defaultScope } from './player-scope.js';
+import { getRingView, ringFractionToTime } from './loop-region.js';
+import { snapToMarker } from './markers.js';
 
 // ✅ MIGRATION NOTE: syncInteractionWithScrubState and cleanupDragState now come from interaction-state-adapter.js
 // This ensures interaction state is managed through StateManager
 
 // Helper function for backward compatibility with visualState parameter
-function cleanupDragState(state) {
-  cleanupDragStateAdapter();
+function cleanupDragState(state, scope) {
+  cleanupDragStateAdapter(scope.stateManager);
   // Also update the passed visualState object for backward compatibility
   state.isDragging = false;
   state.dragCurrentPosition = undefined;
@@ -25,7 +27,12 @@ function cleanupDragState(state) {
   state.lastStateChange = performance.now();
 }
 
-export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {}) {
+/**
+ * Wire mouse and touch handling for one player's canvas
+ * @param {PlayerScope} [scope] - Player whose playback is scrubbed (defaults to the shared scope)
+ * @returns {Function} Removes every listener this added to the canvas
+ */
+export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {}, scope = defaultScope) {
   try {
     // ✅ NEW: Comprehensive input validation
     CanvasValidation.validateCanvas(canvas, 'setupInteraction canvas');
@@ -61,6 +68,24 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
         system('Invalid onSeek callback, skipping', 'warn', error);
       }
     }
+    
+    if (audioCallbacks.onLoopRegion) {
+      try {
+        InteractionValidation.validateCallback(audioCallbacks.onLoopRegion, 'onLoopRegion callback');
+        validCallbacks.onLoopRegion = audioCallbacks.onLoopRegion;
+      } catch (error) {
+        system('Invalid onLoopRegion callback, skipping', 'warn', error);
+      }
+    }
+    
+    if (audioCallbacks.onAddMarker) {
+      try {
+        InteractionValidation.validateCallback(audioCallbacks.onAddMarker, 'onAddMarker callback');
+        validCallbacks.onAddMarker = audioCallbacks.onAddMarker;
+      } catch (error) {
+        system('Invalid onAddMarker callback, skipping', 'warn', error);
+      }
+    }
 
     // ✅ NEW: Add touch-specific state tracking with validation
     let touchStartTime = 0;
@@ -70,36 +95,37 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
     
     // ✅ NEW: Validated event handlers
     const safeHandleMouseDown = (e) => safeExecute(
-      () => handleMouseDown(e, canvas, state, drawCallback, validCallbacks),
+      () => handleMouseDown(e, canvas, state, drawCallback, validCallbacks, scope),
       null,
       'mousedown handler'
     );
     
     const safeHandleMouseMove = (e) => safeExecute(
-      () => handleMouseMove(e, canvas, state, drawCallback, validCallbacks),
+      () => handleMouseMove(e, canvas, state, drawCallback, validCallbacks, scope),
       null,
       'mousemove handler'
     );
     
     const safeHandleMouseUp = (e) => safeExecute(
-      () => handleMouseUp(e, canvas, state, drawCallback, validCallbacks),
+      () => handleMouseUp(e, canvas, state, drawCallback, validCallbacks, scope),
       null,
       'mouseup handler'
     );
     
     const safeHandleMouseLeave = () => safeExecute(
-      () => handleMouseLeave(state, drawCallback),
+      () => handleMouseLeave(state, drawCallback, scope),
       null,
       'mouseleave handler'
     );
     
-    canvas.addEventListener('mousedown', safeHandleMouseDown);
-    canvas.addEventListener('mousemove', safeHandleMouseMove);
-    canvas.addEventListener('mouseup', safeHandleMouseUp);
-    canvas.addEventListener('mouseleave', safeHandleMouseLeave);
+    const safeHandleContextMenu = (e) => safeExecute(
+      () => handleContextMenu(e, canvas, state, validCallbacks, scope),
+      null,
+      'contextmenu handler'
+    );
     
     // ✅ IMPROVED: Enhanced touch support with better state tracking and validation
-    canvas.addEventListener('touchstart', (e) => {
+    const handleTouchStart = (e) => {
       try {
         e.preventDefault();
         
@@ -128,13 +154,13 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
       } catch (error) {
         system('Error in touchstart handler', 'error', error);
       }
-    });
+    };
   
   // ✅ ADD: Touch event throttling for better performance
   let lastTouchTime = 0;
   const touchThrottle = 16; // ~60fps
   
-  canvas.addEventListener('touchmove', (e) => {
+  const handleTouchMove = (e) => {
     e.preventDefault();
     
     const now = performance.now();
@@ -147,11 +173,11 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
         clientX: touch.clientX,
         clientY: touch.clientY
       });
-      handleMouseMove(mouseEvent, canvas, state, drawCallback, audioCallbacks);
+      handleMouseMove(mouseEvent, canvas, state, drawCallback, audioCallbacks, scope);
     }
-  });
+  };
   
-  canvas.addEventListener('touchend', (e) => {
+  const handleTouchEnd = (e) => {
     e.preventDefault();
     
     // ✅ IMPROVED: Handle both dragging and non-dragging touch end events
@@ -163,10 +189,10 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
           clientX: touch.clientX,
           clientY: touch.clientY
         });
-        handleMouseUp(mouseEvent, canvas, state, drawCallback, audioCallbacks);
+        handleMouseUp(mouseEvent, canvas, state, drawCallback, audioCallbacks, scope);
       } else {
         // Fallback if no touch coordinates available
-        handleMouseUp(e, canvas, state, drawCallback, audioCallbacks);
+        handleMouseUp(e, canvas, state, drawCallback, audioCallbacks, scope);
       }
     } else {
       // ✅ IMPROVED: Handle touch end when not dragging (tap events) with better detection
@@ -238,22 +264,39 @@ export function setupInteraction(canvas, state, drawCallback, audioCallbacks = {
         touchStartPosition = null;
       }
     }
-  });
+  };
   
   // ✅ NEW: Handle touch cancel events (e.g., when user scrolls or app loses focus)
-  canvas.addEventListener('touchcancel', (e) => {
+  const handleTouchCancel = (e) => {
     e.preventDefault();
     
     // Clean up any ongoing drag operation
     if (state.isDragging) {
       interaction('🚫 Interaction: Touch cancelled - cleaning up');
-      handleMouseLeave(state, drawCallback);
+      handleMouseLeave(state, drawCallback, scope);
     }
     
     // Reset touch tracking state
     touchStartTime = 0;
     touchStartPosition = null;
-  });
+  };
+  
+  const listeners = {
+    mousedown: safeHandleMouseDown,
+    mousemove: safeHandleMouseMove,
+    mouseup: safeHandleMouseUp,
+    mouseleave: safeHandleMouseLeave,
+    contextmenu: safeHandleContextMenu,
+    touchstart: handleTouchStart,
+    touchmove: handleTouchMove,
+    touchend: handleTouchEnd,
+    touchcancel: handleTouchCancel
+  };
+  Object.entries(listeners).forEach(([type, handler]) => canvas.addEventListener(type, handler));
+  
+  return () => {
+    Object.entries(listeners).forEach(([type, handler]) => canvas.removeEventListener(type, handler));
+  };
   
   } catch (error) {
     system('Error in setupInteraction', 'error', error);
@@ -266,9 +309,62 @@ function calculateAngleFromMouse(x, y, cx, cy) {
   return calculateAngle(x, y, cx, cy);
 }
 
-function handleMouseDown(event, canvas, state, drawCallback, audioCallbacks) {
+// ✅ NEW: Track time under the pointer in whichever view (full file or focus window) is showing.
+// Uses the angle the ring is drawn at (clockwise from 12 o'clock), not the scrub-drag angle above.
+// With `snap`, a time close to a marker (a small fraction of a turn in this view) lands on it.
+function timeAtPoint(x, y, cx, cy, state, scope, snap = false) {
+  const fraction = ((Math.atan2(y - cy, x - cx) + Math.PI / 2) / (Math.PI * 2) + 1) % 1;
+  const view = getRingView({ ...state, ...getAudioState(scope.stateManager) }, scope.visual);
+  const time = ringFractionToTime(fraction, view);
+  if (!snap) return time;
+
+  const turnSeconds = view.duration * (1 - view.progress) + view.windowDuration * view.progress;
+  return snapToMarker(time, state.markers, CONFIG.MARKER_SNAP_DISTANCE * turnSeconds);
+}
+
+// ✅ NEW: Snap a scrub-drag position (0-1, one turn = the whole track) onto a nearby marker.
+// Holding Alt drags freely.
+function snapDragPosition(position, event, state, scope) {
+  const duration = scope.stateManager.get('audio.duration');
+  if (event.altKey || !state.markers?.length || !(duration > 0)) return position;
+  return snapToMarker(position * duration, state.markers, CONFIG.MARKER_SNAP_DISTANCE * duration) / duration;
+}
+
+// ✅ NEW: Shift-drag along the ring selects an A–B loop region (drawn live as state.loopSelection)
+function startLoopSelection(x, y, cx, cy, state, drawCallback, scope, snap = true) {
+  if (!(getAudioState(scope.stateManager).duration > 0)) return;
+
+  const anchor = timeAtPoint(x, y, cx, cy, state, scope, snap);
+  state.loopSelection = { anchor, start: anchor, end: anchor };
+  scope.renderState.markDirty(RenderComponents.WAVEFORM);
+  interaction('🔁 Interaction: Loop selection started', 'info', { at: anchor.toFixed(2) + 's' });
+  drawCallback();
+}
+
+function updateLoopSelection(x, y, cx, cy, state, drawCallback, scope, snap = true) {
+  const { anchor } = state.loopSelection;
+  const time = timeAtPoint(x, y, cx, cy, state, scope, snap);
+  state.loopSelection = { anchor, start: Math.min(anchor, time), end: Math.max(anchor, time) };
+  scope.renderState.markDirty(RenderComponents.WAVEFORM);
+  drawCallback();
+}
+
+function finishLoopSelection(state, drawCallback, audioCallbacks, scope, commit = true) {
+  const { start, end } = state.loopSelection;
+  state.loopSelection = null;
+  scope.renderState.markDirty(RenderComponents.WAVEFORM);
+
+  // A shift-click without a drag selects nothing
+  if (commit && end - start >= CONFIG.LOOP_REGION_MIN_DURATION && audioCallbacks.onLoopRegion) {
+    interaction('🔁 Interaction: Loop selection finished', 'info', { start: start.toFixed(2) + 's', end: end.toFixed(2) + 's' });
+    audioCallbacks.onLoopRegion(start, end);
+  }
+  drawCallback();
+}
+
+function handleMouseDown(event, canvas, state, drawCallback, audioCallbacks, scope) {
   // ✅ NEW: Sync states before starting new interaction
-  syncInteractionWithScrubState(state);
+  syncInteractionWithScrubState(state, scope.scrubState);
   
   const { x, y } = getCanvasCoordinates(event, canvas);
   
@@ -302,16 +398,21 @@ function handleMouseDown(event, canvas, state, drawCallback, audioCallbacks) {
     const waveformOuterRadius = waveformInnerRadius + maxWaveformThickness;
     
     if (distance >= waveformInnerRadius && distance <= waveformOuterRadius) {
-      const audioState = getAudioState();
+      if (event.shiftKey) {
+        startLoopSelection(x, y, cx, cy, state, drawCallback, scope, !event.altKey);
+        return;
+      }
+      
+      const audioState = getAudioState(scope.stateManager);
       const currentPlayhead = audioState.duration > 0 ? 
         audioState.currentPlayhead / audioState.duration : 0;
       
       // ✅ IMPROVED: Start scrubbing with better error handling
       try {
-        const wasPlaying = startScrubbing(currentPlayhead);
+        const wasPlaying = scope.playback.startScrubbing(currentPlayhead);
         
         // ✅ IMPROVED: Validate scrubbing started successfully
-        if (!isScrubbingActive()) {
+        if (!scope.playback.isScrubbing()) {
           system('❌ Interaction: Failed to start scrubbing', 'error');
           return;
         }
@@ -329,11 +430,11 @@ function handleMouseDown(event, canvas, state, drawCallback, audioCallbacks) {
         state.lastStateChange = performance.now();
         // ✅ NEW: Update StateManager's drag state so subscribers fire (marks all dirty)
         const initialMouseAngle = calculateAngleFromMouse(x, y, cx, cy);
-        startDraggingStateManager(initialMouseAngle, currentPlayhead, wasPlaying);
+        startDraggingStateManager(initialMouseAngle, currentPlayhead, wasPlaying, scope.stateManager);
         
         // Mark components dirty when dragging starts
-        renderState.markDirty(RenderComponents.PLAYHEAD);
-        renderState.markDirty(RenderComponents.UI);
+        scope.renderState.markDirty(RenderComponents.PLAYHEAD);
+        scope.renderState.markDirty(RenderComponents.UI);
         
         // Force transition to focus view if not already there
         if (state.animationProgress < 1 && !state.isTransitioning) {
@@ -351,19 +452,26 @@ function handleMouseDown(event, canvas, state, drawCallback, audioCallbacks) {
         drawCallback();
       } catch (error) {
         system('❌ Interaction: Error starting scrubbing', 'error', error);
-        cleanupDragState(state);
+        cleanupDragState(state, scope);
       }
     }
   }
 }
 
-function handleMouseMove(event, canvas, state, drawCallback, audioCallbacks = {}) {
+function handleMouseMove(event, canvas, state, drawCallback, audioCallbacks = {}, scope) {
+  if (state.loopSelection) {
+    const { x, y } = getCanvasCoordinates(event, canvas);
+    const dpr = window.devicePixelRatio || 1;
+    updateLoopSelection(x, y, canvas.width / dpr / 2, canvas.height / dpr / 2, state, drawCallback, scope, !event.altKey);
+    return;
+  }
+  
   // ✅ NEW: Validate state consistency before processing
   if (!state.isDragging) return;
   
-  if (!isScrubbingActive()) {
+  if (!scope.playback.isScrubbing()) {
     interaction('⚠️ Interaction: Inconsistent state - dragging without scrubbing', 'warn');
-    cleanupDragState(state);
+    cleanupDragState(state, scope);
     drawCallback();
     return;
   }
@@ -390,6 +498,7 @@ function handleMouseMove(event, canvas, state, drawCallback, audioCallbacks = {}
   const deltaPosition = deltaAngle / (Math.PI * 2);
   let newPosition = state.dragStartPlayhead + deltaPosition;
   newPosition = Math.max(0, Math.min(1, newPosition));
+  newPosition = snapDragPosition(newPosition, event, state, scope);
   
   // ✅ IMPROVED: Calculate velocity for scrubbing with validation
   const now = performance.now();
@@ -401,7 +510,7 @@ function handleMouseMove(event, canvas, state, drawCallback, audioCallbacks = {}
     
     // ✅ IMPROVED: Update scrubbing with error handling
     try {
-      const success = updateScrubbing(velocity, newPosition);
+      const success = scope.playback.updateScrubbing(velocity, newPosition);
       if (!success) {
         interaction('⚠️ Interaction: Scrub update failed', 'warn');
         return;
@@ -422,13 +531,18 @@ function handleMouseMove(event, canvas, state, drawCallback, audioCallbacks = {}
   drawCallback();
 }
 
-function handleMouseUp(event, canvas, state, drawCallback, audioCallbacks = {}) {
+function handleMouseUp(event, canvas, state, drawCallback, audioCallbacks = {}, scope) {
+  if (state.loopSelection) {
+    finishLoopSelection(state, drawCallback, audioCallbacks, scope);
+    return;
+  }
+  
   if (!state.isDragging) return;
   
   // ✅ NEW: Validate scrubbing state before finishing
-  if (!isScrubbingActive()) {
+  if (!scope.playback.isScrubbing()) {
     interaction('⚠️ Interaction: MouseUp without active scrubbing', 'warn');
-    cleanupDragState(state);
+    cleanupDragState(state, scope);
     drawCallback();
     return;
   }
@@ -454,10 +568,11 @@ function handleMouseUp(event, canvas, state, drawCallback, audioCallbacks = {})
   const deltaPosition = deltaAngle / (Math.PI * 2);
   let finalPosition = state.dragStartPlayhead + deltaPosition;
   finalPosition = Math.max(0, Math.min(1, finalPosition));
+  finalPosition = snapDragPosition(finalPosition, event, state, scope);
   
   // ✅ IMPROVED: Stop scrubbing with error handling
   try {
-    const scrubResult = stopScrubbing(finalPosition, state.dragWasPlaying);
+    const scrubResult = scope.playback.stopScrubbing(finalPosition, state.dragWasPlaying);
     interaction(`🖱️ Interaction: Drag completed`, 'info', { 
       position: (scrubResult.finalPosition * 100).toFixed(1) + '%',
       resuming: scrubResult.shouldResume 
@@ -468,14 +583,42 @@ function handleMouseUp(event, canvas, state, drawCallback, audioCallbacks = {})
   }
   
   // ✅ IMPROVED: Clean up drag state using centralized function
-  cleanupDragState(state);
+  cleanupDragState(state, scope);
   
   setTimeout(() => {
     drawCallback();
   }, 10);
 }
 
-function handleMouseLeave(state, drawCallback) {
+// ✅ NEW: Right-click (or long-press context action) on the ring adds a marker at the time under the pointer
+function handleContextMenu(event, canvas, state, audioCallbacks, scope) {
+  if (!audioCallbacks.onAddMarker || !(scope.stateManager.get('audio.duration') > 0)) return;
+
+  const { x, y } = getCanvasCoordinates(event, canvas);
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.width / dpr;
+  const height = canvas.height / dpr;
+  const cx = width / 2;
+  const cy = height / 2;
+
+  const buttonRadius = Math.min(width, height) * CONFIG.BUTTON_RADIUS_RATIO;
+  const waveformInnerRadius = buttonRadius + Math.min(width, height) * CONFIG.WAVEFORM_GAP_RATIO;
+  const waveformOuterRadius = waveformInnerRadius + Math.min(width, height) * CONFIG.WAVEFORM_THICKNESS_RATIO;
+  const distance = calculateDistance(x, y, cx, cy);
+  if (distance < waveformInnerRadius || distance > waveformOuterRadius) return;
+
+  event.preventDefault();
+  const time = timeAtPoint(x, y, cx, cy, state, scope);
+  interaction('📍 Interaction: Marker requested', 'info', { at: time.toFixed(2) + 's' });
+  audioCallbacks.onAddMarker(time);
+}
+
+function handleMouseLeave(state, drawCallback, scope) {
+  // Leaving the canvas abandons a loop selection
+  if (state.loopSelection) {
+    finishLoopSelection(state, drawCallback, {}, scope, false);
+  }
+  
   if (state.isDragging) {
     interaction('🖱️ Interaction: Mouse left canvas - stopping drag');
     
@@ -483,14 +626,14 @@ function handleMouseLeave(state, drawCallback) {
     const finalPosition = state.dragCurrentPosition || state.dragStartPlayhead || 0;
     
     try {
-      const scrubResult = stopScrubbing(finalPosition, state.dragWasPlaying);
+      const scrubResult = scope.playback.stopScrubbing(finalPosition, state.dragWasPlaying);
       interaction(`🖱️ Interaction: Drag ended`, 'info', { position: (scrubResult.finalPosition * 100).toFixed(1) + '%' });
     } catch (error) {
       system('❌ Interaction: Error on mouse leave', 'error', error);
     }
     
     // ✅ IMPROVED: Clean up drag state using centralized function
-    cleanupDragState(state);
+    cleanupDragState(state, scope);
     
     drawCallback();
   }
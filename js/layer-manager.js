@@ -29,7 +29,8 @@ export const Layers = {
 /**
  * Manages OffscreenCanvas layers for optimized rendering
  */
-class LayerManager {
+export class LayerManager {
+  #renderState;
   #layers = [];
   #layerContexts = [];
   #enabled = false;
@@ -45,7 +46,12 @@ class LayerManager {
     lastCompositeTime: 0
   };
 
-  constructor() {
+  /**
+   * @param {RenderState} [renderStateInstance] - Dirty flags that drive redraws (defaults to the shared singleton)
+   */
+  constructor(renderStateInstance = renderState) {
+    this.#renderState = renderStateInstance;
+
     // Check if OffscreenCanvas is supported
     // TEMPORARY: Disable layers for debugging
     this.#enabled = false; // typeof OffscreenCanvas !== 'undefined';
@@ -157,8 +163,8 @@ class LayerManager {
   needsWaveformRedraw() {
     if (!this.#enabled) return false;
 
-    return renderState.isDirty(RenderComponents.WAVEFORM) || 
-           renderState.isDirty(RenderComponents.FULL);
+    return this.#renderState.isDirty(RenderComponents.WAVEFORM) || 
+           this.#renderState.isDirty(RenderComponents.FULL);
   }
 
   /**
@@ -167,11 +173,11 @@ class LayerManager {
   needsPlayheadRedraw() {
     if (!this.#enabled) return false;
 
-    return renderState.isDirty(RenderComponents.PLAYHEAD) ||
-           renderState.isDirty(RenderComponents.TIME_DISPLAY) ||
-           renderState.isDirty(RenderComponents.PLAY_BUTTON) ||
-           renderState.isDirty(RenderComponents.UI) ||
-           renderState.isDirty(RenderComponents.FULL);
+    return this.#renderState.isDirty(RenderComponents.PLAYHEAD) ||
+           this.#renderState.isDirty(RenderComponents.TIME_DISPLAY) ||
+           this.#renderState.isDirty(RenderComponents.PLAY_BUTTON) ||
+           this.#renderState.isDirty(RenderComponents.UI) ||
+           this.#renderState.isDirty(RenderComponents.FULL);
   }
 
   /**
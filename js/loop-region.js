@@ -0,0 +1,124 @@
+/**
+ * Loop Region
+ *
+ * A–B loop helpers shared by playback, interaction and drawing: validating
+ * a region against the loaded track, wrapping a running position back into
+ * it, and converting between track times and fractions of the ring.
+ *
+ * The ring shows either the whole file (full view) or WINDOW_DURATION
+ * seconds starting at the playhead (focus view), and blends between the two
+ * while transitioning - so the same time sits at a different angle in each.
+ * A ring fraction of 0 is 12 o'clock, 1 is a full turn clockwise.
+ *
+ * @module loop-region
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * @typedef {Object} LoopRegion
+ * @property {number} start - Loop start (A) in seconds
+ * @property {number} end - Loop end (B) in seconds
+ */
+
+/**
+ * @typedef {Object} RingView
+ * @property {number} duration - Track length in seconds
+ * @property {number} playheadTime - Playhead in seconds (start of the focus window)
+ * @property {number} windowDuration - Seconds shown by the focus view
+ * @property {number} progress - 0 = full view, 1 = focus view
+ */
+
+/**
+ * Validate an A–B region against a track
+ * @param {number} start - Seconds
+ * @param {number} end - Seconds
+ * @param {number} duration - Track length in seconds
+ * @returns {LoopRegion}
+ * @throws {ValidationError}
+ */
+export function validateLoopRegion(start, end, duration) {
+  if (!(duration > 0)) {
+    throw new ValidationError('A loop region needs a loaded track', 'loopRegion', { start, end }, 'LoopRegion');
+  }
+  if (!TypeValidator.isNumber(start, { min: 0, max: duration })) {
+    throw new ValidationError(`loop start must be a number between 0 and ${duration}`, 'start', start, 'number');
+  }
+  if (!TypeValidator.isNumber(end, { min: 0, max: duration })) {
+    throw new ValidationError(`loop end must be a number between 0 and ${duration}`, 'end', end, 'number');
+  }
+  if (end - start < CONFIG.LOOP_REGION_MIN_DURATION) {
+    throw new ValidationError(`loop end must be at least ${CONFIG.LOOP_REGION_MIN_DURATION}s after its start`, 'end', end, 'number');
+  }
+  return { start, end };
+}
+
+/**
+ * Map a position that ran past B back into the loop (or, playing backwards, past A)
+ * @param {number} time - Seconds
+ * @param {LoopRegion|null} region
+ * @param {number} [direction=1] - -1 while playing backwards
+ * @returns {number}
+ */
+export function wrapLoopTime(time, region, direction = 1) {
+  if (!region) return time;
+  if (direction < 0) {
+    // Playing backwards, the region is left at A and wraps to B
+    if (time >= region.start) return time;
+    return region.end - (region.start - time) % (region.end - region.start);
+  }
+  if (time < region.end) return time;
+  return region.start + (time - region.start) % (region.end - region.start);
+}
+
+/**
+ * Describe what the ring currently shows (mirrors the view choice in waveform-draw.js)
+ * @param {Object} state - Visual state merged with getAudioState()
+ * @param {Object} visual - The player's visual config
+ * @returns {RingView}
+ */
+export function getRingView(state, visual) {
+  let progress;
+  if (state.animationProgress > 0 || state.isTransitioning) {
+    progress = state.animationProgress || 0;
+  } else {
+    progress = !state.isPlaying && (!state.currentPlayhead || state.currentPlayhead <= 0.001) ? 0 : 1;
+  }
+
+  return {
+    duration: state.duration || 0,
+    playheadTime: state.currentPlayhead || 0,
+    windowDuration: visual.WINDOW_DURATION,
+    progress
+  };
+}
+
+/**
+ * Where a track time falls on the ring (clamped to the visible turn)
+ * @param {number} time - Seconds
+ * @param {RingView} view
+ * @returns {number} 0-1
+ */
+export function timeToRingFraction(time, view) {
+  const clamp = (value) => Math.max(0, Math.min(1, value));
+  const full = view.duration > 0 ? clamp(time / view.duration) : 0;
+  const focus = clamp((time - view.playheadTime) / view.windowDuration);
+  return full * (1 - view.progress) + focus * view.progress;
+}
+
+/**
+ * Track time under a point on the ring
+ * @param {number} fraction - 0-1
+ * @param {RingView} view
+ * @returns {number} Seconds, clamped to the track
+ */
+export function ringFractionToTime(fraction, view) {
+  if (!(view.duration > 0)) return 0;
+
+  // Inverse of the (unclamped) blend in timeToRingFraction
+  const { duration, playheadTime, windowDuration, progress } = view;
+  const time = (fraction + progress * playheadTime / windowDuration) /
+    ((1 - progress) / duration + progress / windowDuration);
+  return Math.max(0, Math.min(duration, time));
+}
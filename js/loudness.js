@@ -0,0 +1,387 @@
+/**
+ * Loudness
+ *
+ * Integrated loudness (ITU-R BS.1770-4, in LUFS) and true peak (dBTP) of a
+ * decoded track, and the gain that brings it to a target loudness without
+ * pushing its true peak over a ceiling.
+ *
+ * Loudness: each channel is K-weighted (a high shelf and a high-pass, with
+ * coefficients derived for the buffer's sample rate), the mean square is taken
+ * over 400 ms blocks overlapping by 75%, and the blocks are gated - absolutely
+ * at -70 LUFS, then relatively at 10 LU below the loudness of what is left.
+ *
+ * True peak: the signal is oversampled 4× with a windowed-sinc interpolator.
+ * To keep long tracks affordable this is a heuristic: only the stretches next
+ * to a sample within 3 dB of the highest peak found so far are interpolated.
+ * Content near Nyquist can overshoot its samples by more than that, so the
+ * true peak can read low for such material (never high).
+ *
+ * measureLoudnessAsync() does the same work in slices, yielding to the event
+ * loop between them, so an hour-long track does not freeze the page.
+ *
+ * Silence measures as `null` (not -Infinity) so results survive JSON.
+ *
+ * @module loudness
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * @typedef {Object} LoudnessMeasurement
+ * @property {number|null} integrated - LUFS (null for silence)
+ * @property {number|null} truePeak - dBTP (null for silence)
+ */
+
+/**
+ * @typedef {Object} NormalizationSettings
+ * @property {boolean} enabled - Apply the gain
+ * @property {number} target - LUFS the tracks are brought to
+ * @property {number} ceiling - dBTP no true peak may exceed after the gain
+ */
+
+/**
+ * Normalization used until it is configured
+ */
+export const NormalizationDefaults = Object.freeze({
+  enabled: false,
+  target: -16,
+  ceiling: -1
+});
+
+// BS.1770 block length and step (seconds), and the gates
+const BLOCK_DURATION = 0.4;
+const BLOCK_STEP = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Surround channels count 1.41× (+1.5 dB); the LFE of a 5.1 buffer is left out
+const SURROUND_WEIGHT = 1.41;
+
+// True-peak interpolation: oversampling factor and taps either side of the point
+const OVERSAMPLING = 4;
+const INTERPOLATION_TAPS = 8;
+// Only pairs of samples within 3 dB of the highest peak so far are interpolated (a
+// heuristic: overshoots near Nyquist can be larger, see the module notes)
+const CANDIDATE_RATIO = Math.SQRT1_2;
+
+// Samples of a channel processed between yields of measureLoudnessAsync()
+const SLICE_LENGTH = 1 << 20;
+
+/**
+ * Validate normalization changes
+ * @param {{enabled?: boolean, target?: number, ceiling?: number}} settings
+ * @throws {ValidationError}
+ */
+export function validateNormalization(settings) {
+  if (!TypeValidator.isObject(settings)) {
+    throw new ValidationError('normalization must be an object', 'normalization', settings, 'object');
+  }
+
+  const { enabled, target, ceiling } = settings;
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new ValidationError('normalization.enabled must be true or false', 'normalization.enabled', enabled, 'boolean');
+  }
+  const { LOUDNESS_TARGET_MIN: minTarget, LOUDNESS_TARGET_MAX: maxTarget, LOUDNESS_CEILING_MIN: minCeiling } = CONFIG;
+  if (target !== undefined && !TypeValidator.isNumber(target, { min: minTarget, max: maxTarget })) {
+    throw new ValidationError(`normalization.target must be between ${minTarget} and ${maxTarget} LUFS`, 'normalization.target', target, 'number');
+  }
+  if (ceiling !== undefined && !TypeValidator.isNumber(ceiling, { min: minCeiling, max: 0 })) {
+    throw new ValidationError(`normalization.ceiling must be between ${minCeiling} and 0 dBTP`, 'normalization.ceiling', ceiling, 'number');
+  }
+}
+
+/**
+ * Apply changes to normalization settings
+ * @param {NormalizationSettings} settings
+ * @param {{enabled?: boolean, target?: number, ceiling?: number}} changes - Unset fields keep their value
+ * @returns {NormalizationSettings} New settings
+ * @throws {ValidationError}
+ */
+export function updateNormalization(settings, changes) {
+  validateNormalization(changes);
+  const { enabled = settings.enabled, target = settings.target, ceiling = settings.ceiling } = changes;
+  return { enabled, target, ceiling };
+}
+
+/**
+ * Whether a value is a measurement (e.g. one read back from the settings)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLoudnessMeasurement(value) {
+  const isLevel = (level) => level === null || TypeValidator.isNumber(level);
+  return TypeValidator.isObject(value) && isLevel(value.integrated) && isLevel(value.truePeak);
+}
+
+/**
+ * Measure a decoded track in one go
+ * @param {AudioBuffer} audioBuffer
+ * @returns {LoudnessMeasurement}
+ */
+export function measureLoudness(audioBuffer) {
+  const steps = measureSteps(audioBuffer);
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Measure a decoded track without blocking: the work runs in slices of
+ * SLICE_LENGTH samples with a macrotask (nextTask()) between them
+ * @param {AudioBuffer} audioBuffer
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops measuring (rejects with the signal's reason)
+ * @returns {Promise<LoudnessMeasurement>}
+ */
+export async function measureLoudnessAsync(audioBuffer, { signal = undefined } = {}) {
+  const steps = measureSteps(audioBuffer);
+  let step = steps.next();
+  while (!step.done) {
+    await nextTask();
+    if (signal?.aborted) {
+      throw signal.reason ?? new DOMException('Loudness measurement cancelled', 'AbortError');
+    }
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Gain that brings a track to the target, limited by the true-peak ceiling
+ * and by CONFIG.LOUDNESS_MAX_BOOST (so near-silent recordings are not blown up)
+ * @param {LoudnessMeasurement|null} loudness
+ * @param {NormalizationSettings} settings
+ * @returns {number} dB (0 when the track could not be measured or is silent)
+ */
+export function getNormalizationGain(loudness, { target, ceiling }) {
+  if (loudness?.integrated === null || loudness?.integrated === undefined) return 0;
+
+  let gain = target - loudness.integrated;
+  if (loudness.truePeak !== null) {
+    gain = Math.min(gain, ceiling - loudness.truePeak);
+  }
+  return Math.min(gain, CONFIG.LOUDNESS_MAX_BOOST);
+}
+
+/**
+ * @param {number} db
+ * @returns {number} Linear gain
+ */
+export function dbToGain(db) {
+  return 10 ** (db / 20);
+}
+
+/**
+ * Channel weights for a channel count (L, R, C count 1)
+ */
+function getChannelWeights(count) {
+  const weights = new Array(count).fill(1);
+  if (count === 6) {
+    // L, R, C, LFE, Ls, Rs
+    weights[3] = 0;
+    weights[4] = weights[5] = SURROUND_WEIGHT;
+  } else if (count === 5) {
+    // L, R, C, Ls, Rs
+    weights[3] = weights[4] = SURROUND_WEIGHT;
+  }
+  return weights;
+}
+
+/**
+ * K-weighting biquads for a sample rate: the head-related high shelf, then the RLB high-pass
+ * @returns {Array<{b: number[], a: number[]}>}
+ */
+function getKWeightingFilters(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  return [shelf, highpass];
+}
+
+/**
+ * Resolve on a new macrotask, letting input and rendering in. A message is used over
+ * setTimeout(0), which browsers clamp to 4 ms once nested (seconds over a long track).
+ */
+function nextTask() {
+  if (typeof MessageChannel === 'undefined') {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return new Promise(resolve => {
+    const { port1, port2 } = new MessageChannel();
+    port1.onmessage = () => {
+      port1.close();
+      resolve();
+    };
+    port2.postMessage(null);
+  });
+}
+
+/**
+ * Both measurements; yields between slices of the work (see measureLoudness()/measureLoudnessAsync())
+ * @returns {Generator<void, LoudnessMeasurement>}
+ */
+function* measureSteps(audioBuffer) {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const integrated = yield* measureIntegratedLoudness(channels, audioBuffer.sampleRate);
+  const truePeak = yield* measureTruePeak(channels);
+  return { integrated, truePeak };
+}
+
+/**
+ * Sum of the K-weighted squares of a channel over consecutive 100 ms segments
+ */
+function* getSegmentEnergies(samples, filters, segmentLength) {
+  const [{ b: [b0, b1, b2], a: [a1, a2] }, { a: [c1, c2] }] = filters;
+  const energies = new Float64Array(Math.ceil(samples.length / segmentLength));
+  const segmentsPerSlice = Math.max(1, Math.floor(SLICE_LENGTH / segmentLength));
+  // Direct form I state of both filters
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+
+  for (let segment = 0; segment < energies.length; segment++) {
+    if (segment > 0 && segment % segmentsPerSlice === 0) yield;
+    const end = Math.min(samples.length, (segment + 1) * segmentLength);
+    let energy = 0;
+    for (let i = segment * segmentLength; i < end; i++) {
+      const x = samples[i];
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      // The high-pass numerator is [1, -2, 1]
+      const z = y - 2 * y1 + y2 - c1 * z1 - c2 * z2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+      energy += z * z;
+    }
+    energies[segment] = energy;
+  }
+  return energies;
+}
+
+/**
+ * Gated integrated loudness in LUFS, or null for silence
+ */
+function* measureIntegratedLoudness(channels, sampleRate) {
+  const length = channels[0]?.length ?? 0;
+  if (length === 0) return null;
+
+  const segmentLength = Math.round(sampleRate * BLOCK_STEP);
+  const segmentsPerBlock = Math.round(BLOCK_DURATION / BLOCK_STEP);
+  const filters = getKWeightingFilters(sampleRate);
+  const weights = getChannelWeights(channels.length);
+  const energies = [];
+  for (const samples of channels) {
+    energies.push(yield* getSegmentEnergies(samples, filters, segmentLength));
+  }
+
+  // Weighted mean square of every block; a track shorter than one block is one block
+  const blockCount = Math.max(1, energies[0].length - segmentsPerBlock + 1);
+  const blockLength = Math.min(length, segmentLength * segmentsPerBlock);
+  const powers = new Float64Array(blockCount);
+  for (let block = 0; block < blockCount; block++) {
+    let power = 0;
+    energies.forEach((segments, channel) => {
+      if (weights[channel] === 0) return;
+      let sum = 0;
+      for (let s = block; s < Math.min(block + segmentsPerBlock, segments.length); s++) {
+        sum += segments[s];
+      }
+      power += weights[channel] * sum / blockLength;
+    });
+    powers[block] = power;
+  }
+
+  const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+  const gatedMean = (threshold) => {
+    let sum = 0;
+    let count = 0;
+    powers.forEach(power => {
+      if (power > 0 && toLoudness(power) > threshold) {
+        sum += power;
+        count++;
+      }
+    });
+    return count > 0 ? sum / count : 0;
+  };
+
+  const absolute = gatedMean(ABSOLUTE_GATE);
+  if (absolute === 0) return null;
+  const relative = gatedMean(toLoudness(absolute) + RELATIVE_GATE);
+  return relative > 0 ? toLoudness(relative) : null;
+}
+
+/**
+ * Interpolation taps for each fractional phase (1/4, 2/4, 3/4), Hann-windowed sinc
+ */
+function getInterpolationKernels() {
+  return Array.from({ length: OVERSAMPLING - 1 }, (_, p) => {
+    const fraction = (p + 1) / OVERSAMPLING;
+    return Float64Array.from({ length: INTERPOLATION_TAPS * 2 }, (_, k) => {
+      const t = k - INTERPOLATION_TAPS + 1 - fraction;
+      const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 + 0.5 * Math.cos(Math.PI * t / INTERPOLATION_TAPS);
+      return sinc * window;
+    });
+  });
+}
+
+/**
+ * True peak in dBTP, or null for silence
+ */
+function* measureTruePeak(channels) {
+  let samplePeak = 0;
+  for (const samples of channels) {
+    for (let start = 0; start < samples.length; start += SLICE_LENGTH) {
+      const end = Math.min(samples.length, start + SLICE_LENGTH);
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > samplePeak) samplePeak = value;
+      }
+      yield;
+    }
+  }
+  if (samplePeak === 0) return null;
+
+  const kernels = getInterpolationKernels();
+  const width = INTERPOLATION_TAPS * 2;
+  let peak = samplePeak;
+  for (const samples of channels) {
+    const length = samples.length;
+    for (let i = 0; i < length - 1; i++) {
+      if (i > 0 && i % SLICE_LENGTH === 0) yield;
+      const threshold = peak * CANDIDATE_RATIO;
+      if (Math.abs(samples[i]) < threshold && Math.abs(samples[i + 1]) < threshold) continue;
+
+      // Points between samples i and i + 1, from the taps around them (tap 0 is sample
+      // i - INTERPOLATION_TAPS + 1); taps past either end count as silence
+      const first = i - INTERPOLATION_TAPS + 1;
+      const from = Math.max(0, -first);
+      const to = Math.min(width, length - first);
+      for (let p = 0; p < kernels.length; p++) {
+        const kernel = kernels[p];
+        let value = 0;
+        for (let k = from; k < to; k++) {
+          value += samples[first + k] * kernel[k];
+        }
+        value = Math.abs(value);
+        if (value > peak) peak = value;
+      }
+    }
+  }
+  return 20 * Math.log10(peak);
+}
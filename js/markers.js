@@ -0,0 +1,337 @@
+/**
+ * Markers
+ *
+ * Named, colored cue points on the loaded track: the list behind the
+ * player's addMarker()/nextMarker() API, the key markers are saved under,
+ * snapping a dragged time onto a nearby marker, and import/export as JSON
+ * or as an Audacity label track (tab-separated `start end label` lines).
+ *
+ * Markers belong to one track. The player saves them per track - keyed by
+ * name and duration - and swaps the list whenever another track loads. A
+ * track without saved markers starts with its tagged chapters, if it has any.
+ *
+ * @module markers
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+import { file as fileLog } from './logger.js';
+
+/**
+ * Text formats for importMarkers()/exportMarkers()
+ */
+export const MarkerFormats = Object.freeze({
+  JSON: 'json',         // [{ "time": 12.5, "name": "Drop", "color": "#ff7043" }]
+  AUDACITY: 'audacity'  // Audacity label track: "12.500000\t12.500000\tDrop"
+});
+
+// Longest marker name
+const MAX_NAME_LENGTH = 100;
+
+// previous() skips a marker the playhead has only just passed, so repeated presses keep stepping back
+const PREVIOUS_MARKER_GRACE = 0.5;
+
+/**
+ * @typedef {Object} Marker
+ * @property {number} id - Unique within the list
+ * @property {number} time - Seconds into the track
+ * @property {string} name
+ * @property {string} color - CSS color of its tick and label
+ */
+
+/**
+ * Key a track's markers are saved under
+ * @param {string} name - Track name
+ * @param {number} duration - Seconds
+ * @returns {string}
+ */
+export function getTrackKey(name, duration) {
+  return `${name || 'Untitled'}|${duration.toFixed(2)}`;
+}
+
+/**
+ * Validate the time, name and color of a marker
+ * @param {Object} fields
+ * @param {number} [fields.time]
+ * @param {string} [fields.name]
+ * @param {string} [fields.color]
+ * @param {number} duration - Track length in seconds
+ * @throws {ValidationError}
+ */
+export function validateMarkerFields({ time, name, color }, duration) {
+  if (time !== undefined && !TypeValidator.isNumber(time, { min: 0, max: duration })) {
+    throw new ValidationError(`marker time must be a number between 0 and ${duration}`, 'time', time, 'number');
+  }
+  if (name !== undefined && !TypeValidator.isString(name, { maxLength: MAX_NAME_LENGTH })) {
+    throw new ValidationError(`marker name must be a string of at most ${MAX_NAME_LENGTH} characters`, 'name', name, 'string');
+  }
+  if (color !== undefined && !TypeValidator.isColor(color)) {
+    throw new ValidationError('marker color must be a CSS color', 'color', color, 'string');
+  }
+}
+
+/**
+ * Markers for the chapters a file's tags list (see tag-reader.js)
+ * Chapters past the end of the track are dropped and long titles are cut short.
+ * @param {Array<{start: number, title: string|null}>|null} chapters
+ * @param {number} duration - Track length in seconds
+ * @returns {Array<{time: number, name?: string}>}
+ */
+export function chaptersToMarkers(chapters, duration) {
+  return (chapters || [])
+    .filter(chapter => chapter.start <= duration)
+    .map(({ start, title }) => (title ? { time: start, name: title.slice(0, MAX_NAME_LENGTH) } : { time: start }));
+}
+
+/**
+ * Move a time onto the closest marker within `tolerance` seconds
+ * @param {number} time - Seconds
+ * @param {Marker[]|null} markers
+ * @param {number} tolerance - Seconds
+ * @returns {number} The marker's time, or `time` when none is close enough
+ */
+export function snapToMarker(time, markers, tolerance) {
+  let snapped = time;
+  let closest = tolerance;
+  (markers || []).forEach(marker => {
+    const distance = Math.abs(marker.time - time);
+    if (distance <= closest) {
+      closest = distance;
+      snapped = marker.time;
+    }
+  });
+  return snapped;
+}
+
+/**
+ * Write markers as text
+ * @param {Marker[]} markers
+ * @param {string} [format='json'] - One of MarkerFormats
+ * @returns {string}
+ * @throws {ValidationError} For an unknown format
+ */
+export function serializeMarkers(markers, format = MarkerFormats.JSON) {
+  if (format === MarkerFormats.JSON) {
+    return JSON.stringify(markers.map(({ time, name, color }) => ({ time, name, color })), null, 2);
+  }
+  if (format === MarkerFormats.AUDACITY) {
+    // Point labels: start and end are the same time
+    return markers
+      .map(({ time, name }) => `${time.toFixed(6)}\t${time.toFixed(6)}\t${name.replace(/[\t\r\n]+/g, ' ')}\n`)
+      .join('');
+  }
+  throw new ValidationError(`marker format must be one of: ${Object.values(MarkerFormats).join(', ')}`, 'format', format, 'MarkerFormats');
+}
+
+/**
+ * Read markers written by serializeMarkers() or exported from Audacity
+ * Range labels become a marker at their start; Audacity's spectral selection
+ * lines (starting with a backslash) are skipped.
+ * @param {string} text
+ * @param {string} [format] - One of MarkerFormats (JSON when the text starts with `[`, otherwise Audacity)
+ * @returns {Array<{time: number, name: string, color?: string}>} Not yet validated against a track
+ * @throws {ValidationError} For text that is not in the format
+ */
+export function parseMarkers(text, format) {
+  if (!TypeValidator.isString(text)) {
+    throw new ValidationError('markers must be imported from text', 'text', text, 'string');
+  }
+  format ??= text.trimStart().startsWith('[') ? MarkerFormats.JSON : MarkerFormats.AUDACITY;
+
+  if (format === MarkerFormats.JSON) {
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Markers are not valid JSON: ${error.message}`, 'text', text, 'json');
+    }
+    if (!TypeValidator.isArray(entries) || !entries.every(entry => TypeValidator.isObject(entry))) {
+      throw new ValidationError('Marker JSON must be an array of { time, name, color } objects', 'text', text, 'json');
+    }
+    return entries.map(({ time, name, color }) => ({ time, name: name ?? '', ...(color !== undefined && { color }) }));
+  }
+
+  if (format === MarkerFormats.AUDACITY) {
+    return text.split(/\r?\n/)
+      .filter(line => line.trim() && !line.startsWith('\\'))
+      .map((line, i) => {
+        const [start, , name = ''] = line.split('\t');
+        const time = Number(start);
+        if (start === undefined || start.trim() === '' || !Number.isFinite(time)) {
+          throw new ValidationError(`Label line ${i + 1} does not start with a time`, 'text', line, 'audacity');
+        }
+        return { time, name: name.trim() };
+      });
+  }
+
+  throw new ValidationError(`marker format must be one of: ${Object.values(MarkerFormats).join(', ')}`, 'format', format, 'MarkerFormats');
+}
+
+/**
+ * MarkerList - The loaded track's markers, kept in time order
+ */
+export class MarkerList {
+  #markers = [];
+  #duration = 0;
+  #nextId = 1;
+
+  /**
+   * @returns {number} Number of markers
+   */
+  get length() {
+    return this.#markers.length;
+  }
+
+  /**
+   * @returns {number} Length of the track the markers belong to (seconds)
+   */
+  get duration() {
+    return this.#duration;
+  }
+
+  /**
+   * @returns {Marker[]} Copies, in time order
+   */
+  getAll() {
+    return this.#markers.map(marker => ({ ...marker }));
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Marker|null}
+   */
+  get(id) {
+    const marker = this.#markers.find(m => m.id === id);
+    return marker ? { ...marker } : null;
+  }
+
+  /**
+   * Switch to another track's markers
+   * @param {number} duration - Track length in seconds (0 when nothing is loaded)
+   * @param {Array<{time: number, name?: string, color?: string}>} [markers=[]] - Saved or imported markers
+   * @throws {ValidationError} For a malformed marker (nothing is changed)
+   */
+  reset(duration, markers = []) {
+    const entries = this.#validateAll(markers, duration);
+    this.#duration = duration;
+    this.#markers = [];
+    entries.forEach(entry => this.#insert(entry));
+  }
+
+  /**
+   * Add a marker
+   * @param {number} time - Seconds
+   * @param {Object} [options]
+   * @param {string} [options.name] - Defaults to "Marker N"
+   * @param {string} [options.color=CONFIG.MARKER_COLOR]
+   * @returns {Marker}
+   * @throws {ValidationError}
+   */
+  add(time, { name, color } = {}) {
+    validateMarkerFields({ time: time ?? NaN, name, color }, this.#duration);
+    const marker = this.#insert({ time, name, color });
+    fileLog('📍 Markers: Added', 'info', { time: time.toFixed(2), name: marker.name });
+    return { ...marker };
+  }
+
+  /**
+   * Add several markers at once (all are validated before any is added)
+   * @param {Array<{time: number, name?: string, color?: string}>} markers
+   * @returns {Marker[]} The new markers
+   * @throws {ValidationError}
+   */
+  addAll(markers) {
+    return this.#validateAll(markers, this.#duration).map(entry => ({ ...this.#insert(entry) }));
+  }
+
+  /**
+   * Move, rename or recolor a marker
+   * @param {number} id
+   * @param {{time?: number, name?: string, color?: string}} changes
+   * @returns {Marker|null} The updated marker (null for an unknown id)
+   * @throws {ValidationError}
+   */
+  update(id, changes) {
+    const marker = this.#markers.find(m => m.id === id);
+    if (!marker) return null;
+    if (!TypeValidator.isObject(changes)) {
+      throw new ValidationError('marker changes must be an object', 'changes', changes, 'object');
+    }
+
+    const { time, name, color } = changes;
+    validateMarkerFields({ time, name, color }, this.#duration);
+    if (time !== undefined) marker.time = time;
+    if (name !== undefined) marker.name = name;
+    if (color !== undefined) marker.color = color;
+    this.#markers.sort((a, b) => a.time - b.time);
+    return { ...marker };
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean} Whether a marker was removed
+   */
+  remove(id) {
+    const index = this.#markers.findIndex(m => m.id === id);
+    if (index === -1) return false;
+    this.#markers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Remove every marker (the track stays)
+   */
+  clear() {
+    this.#markers = [];
+  }
+
+  /**
+   * First marker after a time
+   * @param {number} time - Seconds
+   * @returns {Marker|null}
+   */
+  next(time) {
+    const marker = this.#markers.find(m => m.time > time + 0.01);
+    return marker ? { ...marker } : null;
+  }
+
+  /**
+   * Last marker before a time (ignoring one passed less than half a second ago)
+   * @param {number} time - Seconds
+   * @returns {Marker|null}
+   */
+  previous(time) {
+    const marker = this.#markers.findLast(m => m.time < time - PREVIOUS_MARKER_GRACE);
+    return marker ? { ...marker } : null;
+  }
+
+  /**
+   * Saved form (ids are not kept)
+   * @returns {Array<{time: number, name: string, color: string}>}
+   */
+  toJSON() {
+    return this.#markers.map(({ time, name, color }) => ({ time, name, color }));
+  }
+
+  #validateAll(markers, duration) {
+    if (!TypeValidator.isArray(markers)) {
+      throw new ValidationError('markers must be an array', 'markers', markers, 'Array');
+    }
+    return markers.map(entry => {
+      if (!TypeValidator.isObject(entry)) {
+        throw new ValidationError('Each marker must be an object with a time', 'markers', entry, 'object');
+      }
+      const { time, name, color } = entry;
+      validateMarkerFields({ time: time ?? NaN, name, color }, duration);
+      return { time, name, color };
+    });
+  }
+
+  #insert({ time, name, color }) {
+    const id = this.#nextId++;
+    const marker = { id, time, name: name ?? `Marker ${this.#markers.length + 1}`, color: color ?? CONFIG.MARKER_COLOR };
+    const index = this.#markers.findIndex(m => m.time > time);
+    this.#markers.splice(index === -1 ? this.#markers.length : index, 0, marker);
+    return marker;
+  }
+}
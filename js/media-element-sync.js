@@ -0,0 +1,204 @@
+/**
+ * Media Element Sync
+ *
+ * Lets a player follow an `<audio>` or `<video>` element that belongs to the
+ * page instead of streaming through a hidden element of its own. The player
+ * still drives the element - play/pause, seeks and scrubbing go through
+ * audio-playback.js, which writes straight into it - while this module
+ * listens to the element so changes made elsewhere (native controls, page
+ * scripts) reach the player's state and events.
+ *
+ * The element is never emptied, rewound or removed by the player; detaching
+ * or destroying the player only removes these listeners.
+ *
+ * @module media-element-sync
+ */
+
+import { getAudioState, setPlayhead, setPlayingState } from './audio-state.js';
+import { ValidationError } from './validation.js';
+import { PlayerEvents } from './event-emitter.js';
+import { audio } from './logger.js';
+
+/**
+ * Seconds the element must move before a `seeked` counts as the page's own seek
+ * (player seeks update the playhead first, so they land inside this window)
+ */
+export const EXTERNAL_SEEK_TOLERANCE = 0.25;
+
+/**
+ * Validate an element to follow
+ * @param {HTMLMediaElement} element
+ * @param {string} [field='media'] - Name used in the error
+ * @returns {HTMLMediaElement} The same element
+ * @throws {ValidationError}
+ */
+export function validateMediaElement(element, field = 'media') {
+  if (typeof HTMLMediaElement === 'undefined' || !(element instanceof HTMLMediaElement)) {
+    throw new ValidationError(`${field} must be an <audio> or <video> element`, field, element, 'HTMLMediaElement');
+  }
+  return element;
+}
+
+/**
+ * MediaElementFollower - Mirrors a page-owned media element into a player scope
+ */
+export class MediaElementFollower {
+  #scope;
+  #element;
+  #callbacks;
+  #source = '';
+  #listeners = [];
+
+  /**
+   * @param {PlayerScope} scope - Player whose state and events follow the element
+   * @param {HTMLMediaElement} element
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onSourceChange] - Called with the new source (or '') when the page swaps it
+   */
+  constructor(scope, element, callbacks = {}) {
+    this.#scope = scope;
+    this.#element = validateMediaElement(element);
+    this.#callbacks = callbacks;
+  }
+
+  /**
+   * @returns {HTMLMediaElement} The followed element
+   */
+  get element() {
+    return this.#element;
+  }
+
+  /**
+   * @returns {string} The element's current source ('' when it has none)
+   */
+  get source() {
+    return this.#element.currentSrc || this.#element.src || '';
+  }
+
+  /**
+   * @returns {boolean} Whether the element's listeners are installed
+   */
+  get isFollowing() {
+    return this.#listeners.length > 0;
+  }
+
+  /**
+   * Install the element listeners
+   */
+  start() {
+    if (this.isFollowing) return;
+
+    this.#source = this.source;
+    const handlers = {
+      play: () => this.#onPlay(),
+      pause: () => this.#onPause(),
+      seeked: () => this.#onSeeked(),
+      ended: () => this.#onEnded(),
+      ratechange: () => this.#onRateChange(),
+      loadstart: () => this.#onSourceMaybeChanged(),
+      emptied: () => this.#onSourceMaybeChanged()
+    };
+    Object.entries(handlers).forEach(([type, handler]) => {
+      this.#element.addEventListener(type, handler);
+      this.#listeners.push(() => this.#element.removeEventListener(type, handler));
+    });
+    audio('🔗 MediaElement: Following', 'info', { source: this.#source });
+  }
+
+  /**
+   * Remove the element listeners (the element itself is left alone)
+   */
+  stop() {
+    if (!this.isFollowing) return;
+
+    this.#listeners.forEach(remove => remove());
+    this.#listeners = [];
+    audio('🔗 MediaElement: Stopped following', 'info');
+  }
+
+  /**
+   * Copy the element's position, speed and paused state into the player
+   * (after a load, when the element may already be playing)
+   */
+  sync() {
+    const { stateManager, events } = this.#scope;
+    const { audioBuffer } = getAudioState(stateManager);
+    if (!audioBuffer) return;
+
+    this.#onRateChange();
+    setPlayhead(this.#element.currentTime || 0, stateManager);
+    if (!this.#element.paused && !this.#element.ended) {
+      setPlayingState(true, stateManager);
+      events.emit(PlayerEvents.PLAY);
+    }
+    events.emit(PlayerEvents.TIME_UPDATE);
+  }
+
+  #onPlay() {
+    const { stateManager, playback, events } = this.#scope;
+    const { isPlaying, audioBuffer } = getAudioState(stateManager);
+    // Player-started playback has already set the state
+    if (isPlaying || !audioBuffer || playback.isScrubbing()) return;
+
+    setPlayhead(this.#element.currentTime || 0, stateManager);
+    setPlayingState(true, stateManager);
+    events.emit(PlayerEvents.PLAY);
+  }
+
+  #onPause() {
+    const { stateManager, playback, events } = this.#scope;
+    // Scrubbing pauses the element itself; `ended` reports the end of the track
+    if (playback.isScrubbing() || this.#element.ended) return;
+    if (!getAudioState(stateManager).isPlaying) return;
+
+    setPlayingState(false, stateManager);
+    setPlayhead(this.#element.currentTime || 0, stateManager);
+    events.emit(PlayerEvents.PAUSE);
+  }
+
+  #onSeeked() {
+    const { stateManager, playback, events } = this.#scope;
+    if (playback.isScrubbing()) return;
+
+    const { audioBuffer, duration, currentPlayhead } = getAudioState(stateManager);
+    const time = this.#element.currentTime || 0;
+    if (!audioBuffer || Math.abs(time - (currentPlayhead || 0)) <= EXTERNAL_SEEK_TOLERANCE) return;
+
+    setPlayhead(time, stateManager);
+    events.emit(PlayerEvents.SEEKED, { position: duration > 0 ? Math.min(1, time / duration) : 0 });
+    events.emit(PlayerEvents.TIME_UPDATE);
+  }
+
+  #onEnded() {
+    const { stateManager, events } = this.#scope;
+    const { isPlaying, duration } = getAudioState(stateManager);
+    // The animation loop may have caught the end first
+    if (!isPlaying) return;
+
+    setPlayingState(false, stateManager);
+    setPlayhead(duration, stateManager);
+    events.emit(PlayerEvents.TIME_UPDATE);
+    events.emit(PlayerEvents.ENDED);
+  }
+
+  #onRateChange() {
+    const { stateManager, playback, events } = this.#scope;
+    const { playbackRate, preservePitch, shuttle } = getAudioState(stateManager);
+    const rate = this.#element.playbackRate;
+    const pitch = this.#element.preservesPitch ?? true;
+    // Player-set speeds are stored before the element changes (a shuttle speed is not the playback rate)
+    if (!(rate > 0) || shuttle !== null || (rate === playbackRate && pitch === preservePitch)) return;
+
+    playback.setPlaybackRate(rate, pitch);
+    events.emit(PlayerEvents.RATE_CHANGE, { playbackRate: rate, preservePitch: pitch });
+  }
+
+  #onSourceMaybeChanged() {
+    const source = this.source;
+    if (source === this.#source) return;
+
+    this.#source = source;
+    audio('🔗 MediaElement: Source changed', 'info', { source });
+    this.#callbacks.onSourceChange?.(source);
+  }
+}
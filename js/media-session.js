@@ -0,0 +1,259 @@
+/**
+ * Media Session
+ *
+ * Connects a player to `navigator.mediaSession` so hardware media keys and
+ * the OS lock-screen / notification controls drive it, even from a
+ * background tab. Publishes the track metadata, `playbackState` and
+ * position state, and routes the session actions into audio-controls.js.
+ *
+ * The session belongs to the page, not to a player, so one
+ * MediaSessionController owns it at a time: the player that last started
+ * playing, or the first one created. Releasing (or destroying) the owner
+ * clears the handlers and metadata.
+ *
+ * Browsers without the API get a controller that does nothing.
+ *
+ * @module media-session
+ */
+
+import { togglePlayPause, seekToPosition, seekRelative } from './audio-controls.js';
+import { getAudioState } from './audio-state.js';
+import { TypeValidator, ValidationError } from './validation.js';
+import { audio } from './logger.js';
+
+/**
+ * Session actions the player handles
+ */
+export const MediaSessionActions = Object.freeze({
+  PLAY: 'play',
+  PAUSE: 'pause',
+  SEEK_BACKWARD: 'seekbackward',
+  SEEK_FORWARD: 'seekforward',
+  SEEK_TO: 'seekto',
+  PREVIOUS_TRACK: 'previoustrack',
+  NEXT_TRACK: 'nexttrack'
+});
+
+/**
+ * Seconds skipped by seekbackward/seekforward when the OS does not say
+ */
+export const DEFAULT_SEEK_OFFSET = 10;
+
+/**
+ * @typedef {Object} TrackMetadata
+ * @property {string} [title]
+ * @property {string} [artist]
+ * @property {string} [album]
+ * @property {Array<{src: string, sizes?: string, type?: string}>} [artwork]
+ */
+
+/**
+ * @returns {boolean} Whether the browser exposes navigator.mediaSession
+ */
+export function isMediaSessionSupported() {
+  return typeof navigator !== 'undefined' && !!navigator.mediaSession;
+}
+
+/**
+ * Validate track metadata
+ * @param {TrackMetadata} metadata
+ * @returns {TrackMetadata} The same object
+ * @throws {ValidationError}
+ */
+export function validateTrackMetadata(metadata) {
+  if (!TypeValidator.isObject(metadata)) {
+    throw new ValidationError('metadata must be an object', 'metadata', metadata, 'object');
+  }
+
+  ['title', 'artist', 'album'].forEach(field => {
+    if (metadata[field] !== undefined && !TypeValidator.isString(metadata[field])) {
+      throw new ValidationError(`metadata.${field} must be a string`, `metadata.${field}`, metadata[field], 'string');
+    }
+  });
+
+  if (metadata.artwork !== undefined) {
+    const validArtwork = TypeValidator.isArray(metadata.artwork) &&
+      metadata.artwork.every(image => TypeValidator.isString(image?.src, { minLength: 1 }));
+    if (!validArtwork) {
+      throw new ValidationError('metadata.artwork must be an array of { src, sizes?, type? }', 'metadata.artwork', metadata.artwork, 'MediaImage[]');
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * MediaSessionController - One player's link to navigator.mediaSession
+ */
+export class MediaSessionController {
+  // Controller currently publishing to navigator.mediaSession
+  static #owner = null;
+
+  #scope;
+  #callbacks;
+  #metadata = {};
+
+  /**
+   * @param {PlayerScope} scope - Player whose playback the session actions drive
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onPreviousTrack] - Called after previoustrack rewinds to the start
+   * @param {Function} [callbacks.onNextTrack] - Called for nexttrack
+   */
+  constructor(scope, callbacks = {}) {
+    this.#scope = scope;
+    this.#callbacks = callbacks;
+  }
+
+  /**
+   * @returns {MediaSessionController|null} Controller that owns the session
+   */
+  static getOwner() {
+    return MediaSessionController.#owner;
+  }
+
+  /**
+   * @returns {boolean} Whether this controller owns the session
+   */
+  get isOwner() {
+    return MediaSessionController.#owner === this;
+  }
+
+  /**
+   * Take over the session: install the action handlers and publish this player's state
+   */
+  claim() {
+    if (!isMediaSessionSupported() || this.isOwner) return;
+
+    MediaSessionController.#owner = this;
+    Object.values(MediaSessionActions).forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, (details) => this.#handleAction(action, details));
+      } catch (error) {
+        // Older browsers throw for actions they do not know
+        audio(`Media session action "${action}" not supported`, 'debug', error);
+      }
+    });
+    audio('🎛️ MediaSession: Claimed', 'info');
+
+    this.#publishMetadata();
+    this.update();
+  }
+
+  /**
+   * Give the session up (if owned): clear the handlers, metadata and state
+   */
+  release() {
+    if (!this.isOwner) return;
+
+    MediaSessionController.#owner = null;
+    Object.values(MediaSessionActions).forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, null);
+      } catch (error) {
+        audio(`Media session action "${action}" not supported`, 'debug', error);
+      }
+    });
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+    this.#setPositionState();
+    audio('🎛️ MediaSession: Released', 'info');
+  }
+
+  /**
+   * Replace the track metadata (published straight away if this controller owns the session)
+   * @param {TrackMetadata} metadata
+   * @throws {ValidationError}
+   */
+  setMetadata(metadata) {
+    this.#metadata = { ...validateTrackMetadata(metadata) };
+    if (this.isOwner) {
+      this.#publishMetadata();
+    }
+  }
+
+  /**
+   * @returns {TrackMetadata} Copy of the current metadata
+   */
+  getMetadata() {
+    return { ...this.#metadata };
+  }
+
+  /**
+   * Publish playbackState and the position state from the player's audio state
+   */
+  update() {
+    if (!this.isOwner) return;
+
+    const { isPlaying, audioBuffer, duration, currentPlayhead, playbackRate } = getAudioState(this.#scope.stateManager);
+    navigator.mediaSession.playbackState = audioBuffer ? (isPlaying ? 'playing' : 'paused') : 'none';
+
+    if (audioBuffer && duration > 0) {
+      this.#setPositionState({
+        duration,
+        playbackRate,
+        position: Math.max(0, Math.min(duration, currentPlayhead || 0))
+      });
+    } else {
+      this.#setPositionState();
+    }
+  }
+
+  #publishMetadata() {
+    if (typeof MediaMetadata === 'undefined') return;
+
+    const { title = '', artist = '', album = '', artwork = [] } = this.#metadata;
+    navigator.mediaSession.metadata = new MediaMetadata({ title, artist, album, artwork });
+  }
+
+  #setPositionState(state) {
+    if (typeof navigator.mediaSession.setPositionState !== 'function') return;
+
+    try {
+      // No argument clears the position state
+      navigator.mediaSession.setPositionState(state);
+    } catch (error) {
+      audio('Media session rejected position state', 'warn', { state, error });
+    }
+  }
+
+  #handleAction(action, details = {}) {
+    const scope = this.#scope;
+    const { isPlaying, duration } = getAudioState(scope.stateManager);
+    audio(`🎛️ MediaSession: ${action}`, 'info', details);
+
+    switch (action) {
+      case MediaSessionActions.PLAY:
+      case MediaSessionActions.PAUSE:
+        // The play/pause events that follow publish the new playbackState
+        if (isPlaying === (action === MediaSessionActions.PAUSE)) {
+          togglePlayPause(scope);
+        }
+        return;
+
+      case MediaSessionActions.SEEK_BACKWARD:
+        seekRelative(-(details.seekOffset || DEFAULT_SEEK_OFFSET), scope);
+        break;
+
+      case MediaSessionActions.SEEK_FORWARD:
+        seekRelative(details.seekOffset || DEFAULT_SEEK_OFFSET, scope);
+        break;
+
+      case MediaSessionActions.SEEK_TO:
+        if (duration > 0 && TypeValidator.isNumber(details.seekTime)) {
+          seekToPosition(Math.max(0, Math.min(1, details.seekTime / duration)), scope);
+        }
+        break;
+
+      case MediaSessionActions.PREVIOUS_TRACK:
+        seekToPosition(0, scope);
+        this.#callbacks.onPreviousTrack?.();
+        break;
+
+      case MediaSessionActions.NEXT_TRACK:
+        this.#callbacks.onNextTrack?.();
+        break;
+    }
+
+    this.update();
+  }
+}
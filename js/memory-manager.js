@@ -13,6 +13,7 @@ import { renderState } from './render-state.js';
 import { TrigCache } from './trig-cache.js';
 import { layerManager } from './layer-manager.js';
 import { disposeAudioState } from './audio-state.js';
+import { defaultScope } from './player-scope.js';
 import { system } from './logger.js';
 
 /**
@@ -37,21 +38,23 @@ export class MemoryManager {
   /**
    * Dispose of audio-related resources only
    * Call this when loading a new audio file
+   * @param {PlayerScope} [scope] - Player to dispose (defaults to the shared scope)
    * @returns {Promise<void>}
    */
-  static async disposeAudio() {
+  static async disposeAudio(scope = defaultScope) {
     system('Disposing audio resources...', 'info');
     
     try {
       // Clear audio state and buffer references
-      disposeAudioState();
+      disposeAudioState(scope.stateManager);
+      scope.playback.releaseMediaElement();
       
       // Clear render state
-      renderState.reset();
+      scope.renderState.reset();
       
       // Clear layer cache (forces waveform re-render)
-      layerManager.clearLayer(0); // Waveform layer
-      layerManager.clearLayer(1); // Playhead layer
+      scope.layerManager.clearLayer(0); // Waveform layer
+      scope.layerManager.clearLayer(1); // Playhead layer
       
       // Note: We don't dispose AudioContext as it may be reused
       
@@ -244,8 +247,8 @@ export class MemoryManager {
 }
 
 // Convenience exports
-export function disposeAudio() {
-  return MemoryManager.disposeAudio();
+export function disposeAudio(scope = defaultScope) {
+  return MemoryManager.disposeAudio(scope);
 }
 
 export function disposeAll() {
@@ -0,0 +1,471 @@
+/**
+ * PCM Decoder
+ *
+ * Pure-JS decoder for uncompressed audio, used when the browser's
+ * decodeAudioData() gives up (64-bit float or RF64 WAVs, AIFF outside Safari)
+ * and for headerless raw PCM, which has no header for the browser to read.
+ *
+ * Containers:
+ * - WAV: PCM 8-bit (unsigned) and 16/24/32-bit integer, 32/64-bit float,
+ *   WAVE_FORMAT_EXTENSIBLE, and RF64/BW64 for files past 4 GB
+ * - AIFF / AIFF-C: big-endian integer, plus the `sowt`, `raw `, `in24`,
+ *   `in32` and `fl32`/`fl64` AIFF-C types
+ * - Raw PCM: the caller supplies the layout (see RawPcmOptions)
+ *
+ * Compressed encodings inside these containers (µ-law, ADPCM, MP3 in WAV...)
+ * are rejected with a PcmDecodeError naming the encoding.
+ *
+ * @module pcm-decoder
+ */
+
+import { createAudioBuffer } from './audio-context-manager.js';
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * How stored samples are encoded
+ */
+export const PcmSampleFormats = Object.freeze({
+  INT: 'int',     // Signed (two's complement)
+  UINT: 'uint',   // Unsigned, offset by half the range (8-bit WAV)
+  FLOAT: 'float'  // IEEE 754
+});
+
+/**
+ * Bit depths each sample format can be read at
+ */
+const BIT_DEPTHS = Object.freeze({
+  [PcmSampleFormats.INT]: [8, 16, 24, 32],
+  [PcmSampleFormats.UINT]: [8, 16, 24, 32],
+  [PcmSampleFormats.FLOAT]: [32, 64]
+});
+
+// WAVE_FORMAT_* tags
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Compressed WAV encodings worth naming in the error
+const WAVE_FORMAT_NAMES = Object.freeze({
+  0x0002: 'Microsoft ADPCM',
+  0x0006: 'A-law',
+  0x0007: 'µ-law',
+  0x0011: 'IMA ADPCM',
+  0x0031: 'GSM 6.10',
+  0x0050: 'MPEG',
+  0x0055: 'MP3'
+});
+
+// AIFF-C compression types this decoder reads (AIFF is always 'NONE')
+const AIFC_ENCODINGS = Object.freeze({
+  NONE: { sampleFormat: PcmSampleFormats.INT, littleEndian: false },
+  twos: { sampleFormat: PcmSampleFormats.INT, littleEndian: false },
+  sowt: { sampleFormat: PcmSampleFormats.INT, littleEndian: true },
+  'raw ': { sampleFormat: PcmSampleFormats.UINT, littleEndian: false },
+  in24: { sampleFormat: PcmSampleFormats.INT, littleEndian: false, bitDepth: 24 },
+  in32: { sampleFormat: PcmSampleFormats.INT, littleEndian: false, bitDepth: 32 },
+  fl32: { sampleFormat: PcmSampleFormats.FLOAT, littleEndian: false, bitDepth: 32 },
+  FL32: { sampleFormat: PcmSampleFormats.FLOAT, littleEndian: false, bitDepth: 32 },
+  fl64: { sampleFormat: PcmSampleFormats.FLOAT, littleEndian: false, bitDepth: 64 },
+  FL64: { sampleFormat: PcmSampleFormats.FLOAT, littleEndian: false, bitDepth: 64 }
+});
+
+// Chunk size RF64/BW64 write when the real size is in the ds64 chunk
+const RF64_SIZE_IN_DS64 = 0xffffffff;
+
+/**
+ * Error thrown when bytes cannot be decoded as uncompressed audio
+ */
+export class PcmDecodeError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} container - 'WAV', 'RF64', 'BW64', 'AIFF', 'AIFF-C' or 'raw'
+   */
+  constructor(message, container) {
+    super(message);
+    this.name = 'PcmDecodeError';
+    this.container = container;
+  }
+}
+
+/**
+ * @typedef {Object} RawPcmOptions
+ * @property {number} sampleRate - Hz
+ * @property {number} channels - Interleaved channel count
+ * @property {number} [bitDepth=16] - Bits per sample (8/16/24/32, or 32/64 for float)
+ * @property {string} [sampleFormat='int'] - One of PcmSampleFormats
+ * @property {boolean} [littleEndian=true]
+ * @property {number} [offset=0] - Bytes to skip before the first sample (e.g. an unknown header)
+ */
+
+/**
+ * @typedef {Object} PcmLayout
+ * @property {string} container - 'WAV', 'RF64', 'BW64', 'AIFF', 'AIFF-C' or 'raw'
+ * @property {number} sampleRate - Hz
+ * @property {number} channels
+ * @property {number} bitDepth - Bits each sample is stored in
+ * @property {string} sampleFormat - One of PcmSampleFormats
+ * @property {boolean} littleEndian
+ * @property {number} dataOffset - Byte offset of the first sample
+ * @property {number} frames - Sample frames present in the data
+ */
+
+/**
+ * Which container the bytes start with
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {'WAV'|'RF64'|'BW64'|'AIFF'|'AIFF-C'|null}
+ */
+export function getPcmContainer(data) {
+  const view = toDataView(data);
+  if (view.byteLength < 12) return null;
+
+  const id = readFourCC(view, 0);
+  const form = readFourCC(view, 8);
+  if (form === 'WAVE') {
+    if (id === 'RIFF') return 'WAV';
+    if (id === 'RF64' || id === 'BW64') return id;
+  }
+  if (id === 'FORM') {
+    if (form === 'AIFF') return 'AIFF';
+    if (form === 'AIFC') return 'AIFF-C';
+  }
+  return null;
+}
+
+/**
+ * Validate raw PCM options
+ * @param {RawPcmOptions} options
+ * @throws {ValidationError}
+ */
+export function validateRawPcmOptions(options) {
+  if (!TypeValidator.isObject(options)) {
+    throw new ValidationError('pcm must be an object', 'pcm', options, 'object');
+  }
+
+  const {
+    sampleRate,
+    channels,
+    bitDepth = 16,
+    sampleFormat = PcmSampleFormats.INT,
+    littleEndian = true,
+    offset = 0
+  } = options;
+  const { PCM_MIN_SAMPLE_RATE: minRate, PCM_MAX_SAMPLE_RATE: maxRate, PCM_MAX_CHANNELS: maxChannels } = CONFIG;
+
+  if (!TypeValidator.isNumber(sampleRate, { min: minRate, max: maxRate })) {
+    throw new ValidationError(`pcm.sampleRate must be between ${minRate} and ${maxRate} Hz`, 'pcm.sampleRate', sampleRate, 'number');
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > maxChannels) {
+    throw new ValidationError(`pcm.channels must be a whole number from 1 to ${maxChannels}`, 'pcm.channels', channels, 'number');
+  }
+  if (!Object.values(PcmSampleFormats).includes(sampleFormat)) {
+    throw new ValidationError(`Unknown pcm.sampleFormat "${sampleFormat}"`, 'pcm.sampleFormat', sampleFormat, Object.values(PcmSampleFormats).join('|'));
+  }
+  if (!BIT_DEPTHS[sampleFormat].includes(bitDepth)) {
+    const depths = BIT_DEPTHS[sampleFormat].join(', ');
+    throw new ValidationError(`pcm.bitDepth must be ${depths} for ${sampleFormat} samples`, 'pcm.bitDepth', bitDepth, 'number');
+  }
+  if (typeof littleEndian !== 'boolean') {
+    throw new ValidationError('pcm.littleEndian must be a boolean', 'pcm.littleEndian', littleEndian, 'boolean');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('pcm.offset must be a whole number of bytes', 'pcm.offset', offset, 'number');
+  }
+}
+
+/**
+ * Read the sample layout of a WAV, RF64 or BW64 file
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {PcmLayout}
+ * @throws {PcmDecodeError}
+ */
+export function parseWav(data) {
+  const view = toDataView(data);
+  const container = getPcmContainer(view);
+  if (container !== 'WAV' && container !== 'RF64' && container !== 'BW64') {
+    throw new PcmDecodeError('Not a WAV file (no RIFF/WAVE header)', 'WAV');
+  }
+
+  let format = null;
+  let dataChunk = null;
+  let ds64DataSize = null;
+
+  for (const chunk of readChunks(view, 12, true)) {
+    if (chunk.id === 'ds64' && chunk.size >= 16) {
+      ds64DataSize = readUint64(view, chunk.offset + 8, true);
+    } else if (chunk.id === 'fmt ') {
+      format = readWavFormat(view, chunk, container);
+    } else if (chunk.id === 'data') {
+      const size = chunk.size === RF64_SIZE_IN_DS64 && ds64DataSize !== null ? ds64DataSize : chunk.size;
+      // Recorders that stopped early leave the size at 0 or 0xFFFFFFFF: read to the end
+      const available = view.byteLength - chunk.offset;
+      dataChunk = { offset: chunk.offset, size: size === 0 || size === RF64_SIZE_IN_DS64 ? available : Math.min(size, available) };
+      chunk.size = dataChunk.size;
+    }
+  }
+
+  if (!format) {
+    throw new PcmDecodeError(`${container} file has no fmt chunk`, container);
+  }
+  if (!dataChunk) {
+    throw new PcmDecodeError(`${container} file has no data chunk`, container);
+  }
+
+  const frameSize = format.channels * format.bitDepth / 8;
+  return { ...format, container, littleEndian: true, dataOffset: dataChunk.offset, frames: Math.floor(dataChunk.size / frameSize) };
+}
+
+/**
+ * Read the sample layout of an AIFF or AIFF-C file
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {PcmLayout}
+ * @throws {PcmDecodeError}
+ */
+export function parseAiff(data) {
+  const view = toDataView(data);
+  const container = getPcmContainer(view);
+  if (container !== 'AIFF' && container !== 'AIFF-C') {
+    throw new PcmDecodeError('Not an AIFF file (no FORM/AIFF header)', 'AIFF');
+  }
+
+  let common = null;
+  let sound = null;
+
+  for (const chunk of readChunks(view, 12, false)) {
+    if (chunk.id === 'COMM' && chunk.size >= 18) {
+      common = readAiffCommon(view, chunk, container);
+    } else if (chunk.id === 'SSND' && chunk.size >= 8) {
+      const start = chunk.offset + 8 + view.getUint32(chunk.offset, false);
+      sound = { offset: start, size: Math.max(0, Math.min(chunk.offset + chunk.size, view.byteLength) - start) };
+    }
+  }
+
+  if (!common) {
+    throw new PcmDecodeError(`${container} file has no COMM chunk`, container);
+  }
+  if (!sound) {
+    throw new PcmDecodeError(`${container} file has no SSND chunk`, container);
+  }
+
+  const { frames, ...layout } = common;
+  const frameSize = layout.channels * layout.bitDepth / 8;
+  return { ...layout, container, dataOffset: sound.offset, frames: Math.min(frames, Math.floor(sound.size / frameSize)) };
+}
+
+/**
+ * Layout of headerless raw PCM
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @param {RawPcmOptions} options
+ * @returns {PcmLayout}
+ * @throws {ValidationError}
+ */
+export function getRawPcmLayout(data, options) {
+  validateRawPcmOptions(options);
+  const { sampleRate, channels, bitDepth = 16, sampleFormat = PcmSampleFormats.INT, littleEndian = true, offset = 0 } = options;
+  const frameSize = channels * bitDepth / 8;
+  const frames = Math.floor(Math.max(0, toDataView(data).byteLength - offset) / frameSize);
+  return { container: 'raw', sampleRate, channels, bitDepth, sampleFormat, littleEndian, dataOffset: offset, frames };
+}
+
+/**
+ * Decode uncompressed audio to one Float32Array per channel (-1 to 1)
+ * @param {ArrayBuffer|ArrayBufferView} data - WAV/AIFF file, or raw samples with `pcm`
+ * @param {RawPcmOptions|null} [pcm] - Treat the bytes as headerless raw PCM with this layout
+ * @returns {{layout: PcmLayout, channelData: Float32Array[]}}
+ * @throws {PcmDecodeError|ValidationError}
+ */
+export function decodePcm(data, pcm = null) {
+  const view = toDataView(data);
+  const container = pcm ? 'raw' : getPcmContainer(view);
+
+  let layout;
+  if (container === 'raw') {
+    layout = getRawPcmLayout(view, pcm);
+  } else if (container === 'AIFF' || container === 'AIFF-C') {
+    layout = parseAiff(view);
+  } else if (container) {
+    layout = parseWav(view);
+  } else {
+    throw new PcmDecodeError('Not a WAV or AIFF file; headerless raw PCM needs its sample rate and channels', 'raw');
+  }
+
+  if (layout.frames === 0) {
+    throw new PcmDecodeError(`${layout.container} file contains no samples`, layout.container);
+  }
+
+  return { layout, channelData: readSamples(view, layout) };
+}
+
+/**
+ * Decode uncompressed audio into an AudioBuffer on the shared context
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @param {RawPcmOptions|null} [pcm] - Treat the bytes as headerless raw PCM with this layout
+ * @returns {AudioBuffer}
+ * @throws {PcmDecodeError|ValidationError}
+ */
+export function decodePcmAudio(data, pcm = null) {
+  const { layout, channelData } = decodePcm(data, pcm);
+
+  const audioBuffer = createAudioBuffer(layout.channels, layout.frames, layout.sampleRate);
+  channelData.forEach((samples, channel) => audioBuffer.copyToChannel(samples, channel));
+  return audioBuffer;
+}
+
+function toDataView(data) {
+  if (data instanceof DataView) return data;
+  if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return new DataView(data);
+}
+
+function readFourCC(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
+
+function readUint64(view, offset, littleEndian) {
+  const low = view.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+  const high = view.getUint32(offset + (littleEndian ? 4 : 0), littleEndian);
+  return high * 2 ** 32 + low;
+}
+
+// IEEE 754 80-bit extended float (the AIFF sample rate)
+function readExtended(view, offset) {
+  const signAndExponent = view.getUint16(offset, false);
+  const mantissa = view.getUint32(offset + 2, false) * 2 ** 32 + view.getUint32(offset + 6, false);
+  const exponent = signAndExponent & 0x7fff;
+  if (exponent === 0 && mantissa === 0) return 0;
+  const value = mantissa * 2 ** (exponent - 16383 - 63);
+  return signAndExponent & 0x8000 ? -value : value;
+}
+
+// Chunks after the 12-byte header; bodies are padded to an even length.
+// The loop reads `chunk.size` after each yield, so a caller may shorten it.
+function* readChunks(view, start, littleEndian) {
+  let offset = start;
+  while (offset + 8 <= view.byteLength) {
+    const chunk = { id: readFourCC(view, offset), size: view.getUint32(offset + 4, littleEndian), offset: offset + 8 };
+    yield chunk;
+    offset = chunk.offset + chunk.size + (chunk.size % 2);
+  }
+}
+
+function readWavFormat(view, chunk, container) {
+  if (chunk.size < 16) {
+    throw new PcmDecodeError(`${container} fmt chunk is too short`, container);
+  }
+
+  const { offset } = chunk;
+  let formatTag = view.getUint16(offset, true);
+  const channels = view.getUint16(offset + 2, true);
+  const sampleRate = view.getUint32(offset + 4, true);
+  const blockAlign = view.getUint16(offset + 12, true);
+  const bitsPerSample = view.getUint16(offset + 14, true);
+
+  // WAVE_FORMAT_EXTENSIBLE: the real tag is the first two bytes of the SubFormat GUID
+  if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunk.size >= 40) {
+    formatTag = view.getUint16(offset + 24, true);
+  }
+  if (formatTag !== WAVE_FORMAT_PCM && formatTag !== WAVE_FORMAT_IEEE_FLOAT) {
+    const name = WAVE_FORMAT_NAMES[formatTag] || `format 0x${formatTag.toString(16).padStart(4, '0')}`;
+    throw new PcmDecodeError(`${container} uses ${name} compression, which the built-in decoder does not support`, container);
+  }
+
+  // Samples sit left-justified in containers of blockAlign / channels bytes (e.g. 20 bits in 3 bytes)
+  const bitDepth = channels > 0 && blockAlign % channels === 0 && blockAlign > 0
+    ? blockAlign / channels * 8
+    : Math.ceil(bitsPerSample / 8) * 8;
+  const sampleFormat = formatTag === WAVE_FORMAT_IEEE_FLOAT
+    ? PcmSampleFormats.FLOAT
+    : (bitDepth === 8 ? PcmSampleFormats.UINT : PcmSampleFormats.INT);
+
+  return checkLayout({ sampleRate, channels, bitDepth, sampleFormat }, container);
+}
+
+function readAiffCommon(view, chunk, container) {
+  const { offset } = chunk;
+  const channels = view.getInt16(offset, false);
+  const frames = view.getUint32(offset + 2, false);
+  const sampleSize = view.getInt16(offset + 6, false);
+  const sampleRate = readExtended(view, offset + 8);
+
+  const compression = container === 'AIFF-C' && chunk.size >= 22 ? readFourCC(view, offset + 18) : 'NONE';
+  const encoding = AIFC_ENCODINGS[compression];
+  if (!encoding) {
+    throw new PcmDecodeError(`${container} uses '${compression.trim()}' compression, which the built-in decoder does not support`, container);
+  }
+
+  // Integer samples sit left-justified in whole bytes (e.g. 12 bits in 2 bytes)
+  const bitDepth = encoding.bitDepth ?? Math.ceil(sampleSize / 8) * 8;
+  const layout = checkLayout({ sampleRate, channels, bitDepth, sampleFormat: encoding.sampleFormat }, container);
+  return { ...layout, littleEndian: encoding.littleEndian, frames };
+}
+
+function checkLayout(layout, container) {
+  const { sampleRate, channels, bitDepth, sampleFormat } = layout;
+  const { PCM_MIN_SAMPLE_RATE: minRate, PCM_MAX_SAMPLE_RATE: maxRate, PCM_MAX_CHANNELS: maxChannels } = CONFIG;
+
+  if (!(channels >= 1 && channels <= maxChannels)) {
+    throw new PcmDecodeError(`${container} has ${channels} channels; the player supports 1 to ${maxChannels}`, container);
+  }
+  if (!(sampleRate >= minRate && sampleRate <= maxRate)) {
+    throw new PcmDecodeError(`${container} sample rate ${sampleRate} Hz is outside ${minRate}-${maxRate} Hz`, container);
+  }
+  if (!BIT_DEPTHS[sampleFormat].includes(bitDepth)) {
+    throw new PcmDecodeError(`${container} uses ${bitDepth}-bit ${sampleFormat} samples, which the built-in decoder does not support`, container);
+  }
+  return layout;
+}
+
+// Reads one sample at a byte offset as -1 to 1
+function getSampleReader(view, { bitDepth, sampleFormat, littleEndian }) {
+  const scale = 2 ** (bitDepth - 1);
+
+  if (sampleFormat === PcmSampleFormats.FLOAT) {
+    return bitDepth === 64
+      ? (offset) => view.getFloat64(offset, littleEndian)
+      : (offset) => view.getFloat32(offset, littleEndian);
+  }
+
+  let readUnsigned;
+  switch (bitDepth) {
+    case 8:
+      readUnsigned = (offset) => view.getUint8(offset);
+      break;
+    case 16:
+      readUnsigned = (offset) => view.getUint16(offset, littleEndian);
+      break;
+    case 24:
+      readUnsigned = littleEndian
+        ? (offset) => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16)
+        : (offset) => (view.getUint8(offset) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset + 2);
+      break;
+    default:
+      readUnsigned = (offset) => view.getUint32(offset, littleEndian);
+  }
+
+  if (sampleFormat === PcmSampleFormats.UINT) {
+    return (offset) => (readUnsigned(offset) - scale) / scale;
+  }
+  // Two's complement: values at or above half the range are negative
+  return (offset) => {
+    const value = readUnsigned(offset);
+    return (value >= scale ? value - 2 * scale : value) / scale;
+  };
+}
+
+function readSamples(view, layout) {
+  const { channels, frames, bitDepth, dataOffset } = layout;
+  const bytesPerSample = bitDepth / 8;
+  const frameSize = channels * bytesPerSample;
+  const read = getSampleReader(view, layout);
+
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let frame = 0; frame < frames; frame++) {
+    const frameOffset = dataOffset + frame * frameSize;
+    for (let channel = 0; channel < channels; channel++) {
+      channelData[channel][frame] = read(frameOffset + channel * bytesPerSample);
+    }
+  }
+  return channelData;
+}
@@ -0,0 +1,82 @@
+/**
+ * Player Scope
+ *
+ * Bundles everything that used to be a page-wide singleton but really
+ * belongs to one player: audio/interaction state, render dirty flags,
+ * canvas layers, the playback graph, the transport event bus and the
+ * visual settings (see visual-config.js).
+ *
+ * `defaultScope` wraps the existing singletons, so module functions called
+ * without a scope keep behaving exactly as before. Each SpiralWaveformPlayer
+ * creates its own scope with createPlayerScope() and passes it down.
+ *
+ * Only the shared AudioContext (AudioContextManager) stays global.
+ *
+ * @module player-scope
+ */
+
+import { StateManager, stateManager } from './state-manager.js';
+import { RenderState, renderState } from './render-state.js';
+import { LayerManager, layerManager } from './layer-manager.js';
+import { ScrubStateAdapter, scrubStateAdapter } from './interaction-state-adapter.js';
+import { AudioPlayback, audioPlayback } from './audio-playback.js';
+import { EventEmitter, PlayerEvents, playbackEvents } from './event-emitter.js';
+import { createVisualConfig } from './visual-config.js';
+import { CONFIG } from './utils.js';
+
+/**
+ * PlayerScope - Per-player state, rendering and playback
+ */
+export class PlayerScope {
+  /**
+   * @param {Object} [parts] - Existing instances to reuse (anything omitted is created fresh)
+   * @param {StateManager} [parts.stateManager]
+   * @param {RenderState} [parts.renderState]
+   * @param {LayerManager} [parts.layerManager]
+   * @param {ScrubStateAdapter} [parts.scrubState]
+   * @param {EventEmitter} [parts.events]
+   * @param {AudioPlayback} [parts.playback]
+   * @param {Object} [parts.visual] - Geometry and look (defaults to a copy of the CONFIG values)
+   */
+  constructor(parts = {}) {
+    this.stateManager = parts.stateManager || new StateManager();
+    this.renderState = parts.renderState || new RenderState();
+    this.layerManager = parts.layerManager || new LayerManager(this.renderState);
+    this.scrubState = parts.scrubState || new ScrubStateAdapter(this.stateManager);
+    this.events = parts.events || new EventEmitter(Object.values(PlayerEvents));
+    this.playback = parts.playback || new AudioPlayback({
+      stateManager: this.stateManager,
+      scrubState: this.scrubState,
+      events: this.events
+    });
+
+    this.visual = parts.visual || createVisualConfig();
+
+    // Throttle timestamp for timeupdate events
+    this.lastTimeUpdateEmit = 0;
+  }
+}
+
+/**
+ * Scope backed by the module singletons (legacy single-player behaviour)
+ */
+export const defaultScope = new PlayerScope({
+  stateManager,
+  renderState,
+  layerManager,
+  scrubState: scrubStateAdapter,
+  events: playbackEvents,
+  playback: audioPlayback,
+  // Live view of CONFIG so runtime edits still reach the legacy player
+  visual: CONFIG
+});
+
+/**
+ * Create an isolated scope for a new player instance
+ * @param {Object} [options]
+ * @param {Object} [options.visual] - Visual config from createVisualConfig()
+ * @returns {PlayerScope}
+ */
+export function createPlayerScope({ visual } = {}) {
+  return new PlayerScope({ visual });
+}
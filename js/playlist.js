@@ -0,0 +1,430 @@
+/**
+ * Playlist
+ *
+ * Queue of tracks behind the player's enqueue()/next()/previous() API:
+ * the items, which one is current, the repeat mode and the shuffle order,
+ * plus decoding an item into the same result load() produces so the next
+ * track can be prepared in the background while the current one plays.
+ *
+ * Items are URLs or in-memory File/Blob objects. Only URL items can be
+ * persisted - files picked by the user cannot be reopened after a reload -
+ * so toJSON() leaves them out.
+ *
+ * @module playlist
+ */
+
+import { loadSource, AudioLoadError, LoadErrorCodes } from './source-loader.js';
+import { describeUrlSource } from './event-emitter.js';
+import { sanitizeUrl, toDirectUrl } from './audio-url-utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+import { file as fileLog } from './logger.js';
+
+/**
+ * What happens after the last item (or, for ONE, after every item)
+ */
+export const RepeatModes = Object.freeze({
+  OFF: 'off', // Stop after the last item
+  ONE: 'one', // Replay the current item when it ends
+  ALL: 'all'  // Wrap around to the first item
+});
+
+/**
+ * @typedef {Object} PlaylistItem
+ * @property {number} id - Unique within the playlist
+ * @property {'url'|'file'} kind
+ * @property {string} name - Display name
+ * @property {string} [url] - Absolute URL (URL items)
+ * @property {File|Blob} [file] - Audio data (file items)
+ */
+
+/**
+ * @typedef {Object} PlaylistSnapshot
+ * @property {PlaylistItem[]} items - In queue order
+ * @property {number} currentIndex - Index of the current item (-1 when none)
+ * @property {string} repeat - One of RepeatModes
+ * @property {boolean} shuffle
+ */
+
+/**
+ * Turn an enqueued value into a playlist item
+ * @param {string|File|Blob} source - URL (relative URLs resolve against the page) or audio data
+ * @param {number} id
+ * @returns {PlaylistItem}
+ * @throws {ValidationError}
+ */
+export function createPlaylistItem(source, id) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return { id, kind: 'file', name: source.name || 'Untitled', file: source };
+  }
+  if (TypeValidator.isString(source, { minLength: 1 })) {
+    const url = sanitizeUrl(new URL(source.trim(), window.location.href).href);
+    return { id, kind: 'url', name: describeUrlSource(url).name, url };
+  }
+  throw new ValidationError('Playlist items must be URLs or File/Blob objects', 'source', source, 'string|File|Blob');
+}
+
+/**
+ * Describe an item for event payloads
+ * @param {PlaylistItem} item
+ * @returns {import('./event-emitter.js').SourceDescription}
+ */
+export function describePlaylistItem(item) {
+  if (item.kind === 'url') {
+    return describeUrlSource(item.url);
+  }
+  return { kind: 'file', name: item.name, size: item.file.size, mimeType: item.file.type || '' };
+}
+
+/**
+ * @param {AbortSignal} signal
+ * @returns {Error} The signal's reason when it is an Error, else an AbortError
+ */
+function getAbortError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new DOMException('Playlist download cancelled', 'AbortError');
+}
+
+/**
+ * Fetch (for URLs) and decode an item
+ * @param {PlaylistItem} item
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the download (rejects with the signal's reason, an AbortError by default)
+ * @returns {Promise<{audioBuffer: AudioBuffer, waveform: Float32Array, globalMaxAmp: number, fileName: string, info: Object}>}
+ * @throws {AudioLoadError}
+ */
+export async function decodePlaylistItem(item, { signal = undefined } = {}) {
+  if (item.kind === 'file') {
+    return loadSource(item.file, { name: item.name });
+  }
+
+  let response;
+  let bytes;
+  try {
+    response = await fetch(toDirectUrl(item.url), { signal });
+    if (response.ok) {
+      bytes = await response.arrayBuffer();
+    }
+  } catch (error) {
+    if (signal?.aborted) throw getAbortError(signal);
+    throw new AudioLoadError(`Could not download "${item.name}"`, LoadErrorCodes.FETCH_FAILED, error);
+  }
+  if (!response.ok) {
+    throw new AudioLoadError(`Could not download "${item.name}" (HTTP ${response.status})`, LoadErrorCodes.FETCH_FAILED);
+  }
+  if (signal?.aborted) throw getAbortError(signal);
+
+  return loadSource(bytes, { name: item.name, mimeType: response.headers?.get('content-type') || '' });
+}
+
+/**
+ * Playlist - Ordered items, a current position, repeat mode and shuffle order
+ */
+export class Playlist {
+  #items = [];
+  #currentIndex = -1;
+  #repeat = RepeatModes.OFF;
+  #shuffle = false;
+  // Play order as item indices (identity order unless shuffling)
+  #order = [];
+  // Where the current item sat in #order after it was removed (-1 when not removed),
+  // so next/previous carry on from there instead of jumping to the top
+  #removedPosition = -1;
+  #nextId = 1;
+
+  /**
+   * @returns {number} Number of items
+   */
+  get length() {
+    return this.#items.length;
+  }
+
+  /**
+   * @returns {number} Index of the current item (-1 when none)
+   */
+  get currentIndex() {
+    return this.#currentIndex;
+  }
+
+  /**
+   * @returns {PlaylistItem|null}
+   */
+  get current() {
+    return this.#items[this.#currentIndex] ?? null;
+  }
+
+  /**
+   * @returns {boolean} Whether next/previous follow on from a place in the play order
+   * (the current item, or the slot the current item left when it was removed)
+   */
+  get hasPosition() {
+    return this.#currentIndex !== -1 || this.#removedPosition !== -1;
+  }
+
+  /**
+   * @returns {string} One of RepeatModes
+   */
+  get repeat() {
+    return this.#repeat;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get shuffle() {
+    return this.#shuffle;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {PlaylistItem|null}
+   */
+  getItem(index) {
+    return this.#items[index] ?? null;
+  }
+
+  /**
+   * @param {number} id - Item id
+   * @returns {number} Index of the item, or -1
+   */
+  indexOf(id) {
+    return this.#items.findIndex(item => item.id === id);
+  }
+
+  /**
+   * @returns {PlaylistSnapshot}
+   */
+  getSnapshot() {
+    return {
+      items: this.#items.map(item => ({ ...item })),
+      currentIndex: this.#currentIndex,
+      repeat: this.#repeat,
+      shuffle: this.#shuffle
+    };
+  }
+
+  /**
+   * Append items (all are validated before any is added)
+   * @param {Array<string|File|Blob>} sources
+   * @returns {PlaylistItem[]} The new items
+   * @throws {ValidationError}
+   */
+  add(sources) {
+    if (!TypeValidator.isArray(sources)) {
+      throw new ValidationError('Playlist sources must be an array', 'sources', sources, 'Array');
+    }
+
+    const items = sources.map((source, i) => createPlaylistItem(source, this.#nextId + i));
+    this.#nextId += items.length;
+    const firstIndex = this.#items.length;
+    this.#items.push(...items);
+
+    // Shuffled: new items go to random places after the current one
+    const added = items.map((item, i) => firstIndex + i);
+    if (this.#shuffle) {
+      added.forEach(index => {
+        const from = this.#nextPosition();
+        const at = from + Math.floor(Math.random() * (this.#order.length - from + 1));
+        this.#order.splice(at, 0, index);
+      });
+    } else {
+      this.#order.push(...added);
+    }
+
+    fileLog('📃 Playlist: Added items', 'info', { count: items.length, length: this.#items.length });
+    return items.map(item => ({ ...item }));
+  }
+
+  /**
+   * Remove one item
+   * @param {number} index
+   * @returns {PlaylistItem|null} The removed item (null for an unknown index)
+   */
+  remove(index) {
+    if (!this.#items[index]) return null;
+
+    const [item] = this.#items.splice(index, 1);
+    const position = this.#order.indexOf(index);
+    this.#order = this.#order
+      .filter(i => i !== index)
+      .map(i => (i > index ? i - 1 : i));
+
+    if (index === this.#currentIndex) {
+      this.#currentIndex = -1;
+      this.#removedPosition = position;
+    } else if (this.#removedPosition !== -1 && position < this.#removedPosition) {
+      this.#removedPosition--;
+    }
+    if (index < this.#currentIndex) {
+      this.#currentIndex--;
+    }
+    return item;
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.#items = [];
+    this.#order = [];
+    this.#currentIndex = -1;
+    this.#removedPosition = -1;
+  }
+
+  /**
+   * Make an item current
+   * @param {number} index - Item index, or -1 for none
+   * @throws {ValidationError} For an index outside the playlist
+   */
+  setCurrent(index) {
+    if (index !== -1 && !this.#items[index]) {
+      throw new ValidationError(`Playlist index must be between 0 and ${this.#items.length - 1}`, 'index', index, 'number');
+    }
+    this.#currentIndex = index;
+    this.#removedPosition = -1;
+  }
+
+  /**
+   * @param {string} mode - One of RepeatModes
+   * @throws {ValidationError}
+   */
+  setRepeat(mode) {
+    if (!Object.values(RepeatModes).includes(mode)) {
+      throw new ValidationError(`repeat must be one of: ${Object.values(RepeatModes).join(', ')}`, 'repeat', mode, 'RepeatModes');
+    }
+    this.#repeat = mode;
+  }
+
+  /**
+   * Turn shuffle on (a new random order that starts at the current item) or off
+   * @param {boolean} enabled
+   * @throws {ValidationError}
+   */
+  setShuffle(enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError('shuffle must be true or false', 'shuffle', enabled, 'boolean');
+    }
+    this.#shuffle = enabled;
+    this.#removedPosition = -1;
+    this.#order = enabled ? this.#shuffledOrder() : this.#items.map((item, i) => i);
+  }
+
+  /**
+   * Item to play after the current one
+   * @param {Object} [options]
+   * @param {boolean} [options.auto=false] - The current item ended by itself (RepeatModes.ONE replays it)
+   * @returns {number} Item index, or -1 at the end of the playlist
+   */
+  getNextIndex({ auto = false } = {}) {
+    if (this.#items.length === 0) return -1;
+    if (auto && this.#repeat === RepeatModes.ONE && this.#currentIndex !== -1) {
+      return this.#currentIndex;
+    }
+
+    const position = this.#nextPosition();
+    if (position < this.#order.length) {
+      return this.#order[position];
+    }
+    // A shuffled playlist repeats in the same order (toggle shuffle for a new one)
+    if (this.#repeat === RepeatModes.ALL) {
+      return this.#order[0];
+    }
+    return -1;
+  }
+
+  /**
+   * Item to play before the current one
+   * @returns {number} Item index, or -1 at the start of the playlist
+   */
+  getPreviousIndex() {
+    if (this.#items.length === 0) return -1;
+
+    // A removed current item leaves its successor in its slot
+    const position = this.#currentIndex === -1 ? this.#removedPosition : this.#order.indexOf(this.#currentIndex);
+    if (position > 0) {
+      return this.#order[position - 1];
+    }
+    if (position === 0 && this.#repeat === RepeatModes.ALL) {
+      return this.#order[this.#order.length - 1];
+    }
+    return -1;
+  }
+
+  /**
+   * Saved form for SettingsManager (URL items only)
+   * @returns {{items: Array<{url: string, name: string}>, currentIndex: number, repeat: string, shuffle: boolean}}
+   */
+  toJSON() {
+    const urlItems = this.#items.filter(item => item.kind === 'url');
+    return {
+      items: urlItems.map(({ url, name }) => ({ url, name })),
+      currentIndex: urlItems.indexOf(this.current),
+      repeat: this.#repeat,
+      shuffle: this.#shuffle
+    };
+  }
+
+  /**
+   * Replace the contents with a saved playlist
+   * @param {Object} saved - Output of toJSON()
+   * @throws {ValidationError} For a malformed playlist (nothing is changed)
+   */
+  restore(saved) {
+    if (!TypeValidator.isObject(saved) || !TypeValidator.isArray(saved.items)) {
+      throw new ValidationError('Saved playlist must be an object with an items array', 'playlist', saved, 'object');
+    }
+
+    const previous = {
+      items: this.#items,
+      order: this.#order,
+      currentIndex: this.#currentIndex,
+      removedPosition: this.#removedPosition,
+      repeat: this.#repeat,
+      shuffle: this.#shuffle
+    };
+    try {
+      this.clear();
+      this.add(saved.items.map(item => item?.url));
+      this.#items.forEach((item, i) => {
+        if (TypeValidator.isString(saved.items[i].name, { minLength: 1 })) item.name = saved.items[i].name;
+      });
+      if (saved.currentIndex !== undefined && saved.currentIndex !== -1) {
+        this.setCurrent(saved.currentIndex);
+      }
+      this.setRepeat(saved.repeat ?? RepeatModes.OFF);
+      this.setShuffle(saved.shuffle ?? false);
+    } catch (error) {
+      this.#items = previous.items;
+      this.#order = previous.order;
+      this.#currentIndex = previous.currentIndex;
+      this.#removedPosition = previous.removedPosition;
+      this.#repeat = previous.repeat;
+      this.#shuffle = previous.shuffle;
+      throw error;
+    }
+  }
+
+  /**
+   * Position in #order of the item after the current one
+   * (the removed current item's old slot, or the top when nothing was current)
+   * @returns {number}
+   */
+  #nextPosition() {
+    if (this.#currentIndex === -1) {
+      return Math.max(this.#removedPosition, 0);
+    }
+    return this.#order.indexOf(this.#currentIndex) + 1;
+  }
+
+  /**
+   * Random play order that starts with `first`
+   * @param {number} [first=this.#currentIndex] - Item to keep at the front (-1 for none)
+   * @returns {number[]}
+   */
+  #shuffledOrder(first = this.#currentIndex) {
+    const rest = this.#items.map((item, i) => i).filter(i => i !== first);
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    return first === -1 ? rest : [first, ...rest];
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Resume Position
+ *
+ * Where each track was left - playhead, speed, A–B loop and volume - saved
+ * per track so it can be picked up again. Streamed tracks are keyed by URL;
+ * local ones by a fingerprint of their decoded samples, so the same recording
+ * is recognized whatever the file is called or however it was opened.
+ *
+ * Positions near either end of a track are not worth keeping (the track was
+ * barely started, or finished). Entries expire after CONFIG.RESUME_EXPIRY_DAYS
+ * and only the CONFIG.RESUME_SAVED_TRACKS most recently played are kept.
+ *
+ * @module resume-position
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * What happens when a track with a saved position loads
+ */
+export const ResumeModes = Object.freeze({
+  PROMPT: 'prompt', // Offer "Resume from 42:10?" (resumeavailable)
+  AUTO: 'auto',     // Jump straight back
+  OFF: 'off'        // Neither save nor restore positions
+});
+
+/**
+ * @typedef {Object} ResumePosition
+ * @property {number} time - Playhead in seconds
+ * @property {number} duration - Track duration when it was saved (seconds)
+ * @property {number} playbackRate
+ * @property {{start: number, end: number}|null} loopRegion - A–B loop, seconds
+ * @property {number} volume - 0 to 1
+ * @property {number} savedAt - Date.now() when it was saved
+ */
+
+// Samples per channel that go into a fingerprint (evenly spaced across the track)
+const FINGERPRINT_SAMPLES = 4096;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} mode
+ * @throws {ValidationError}
+ */
+export function validateResumeMode(mode) {
+  if (!Object.values(ResumeModes).includes(mode)) {
+    throw new ValidationError(`Unknown resume mode "${mode}"`, 'resume', mode, Object.values(ResumeModes).join('|'));
+  }
+}
+
+/**
+ * Fingerprint of a decoded track: its length, rate and channel count, and a
+ * 32-bit FNV-1a hash of evenly spaced samples
+ * @param {AudioBuffer} audioBuffer
+ * @returns {string}
+ */
+export function getContentFingerprint(audioBuffer) {
+  const { length, sampleRate, numberOfChannels } = audioBuffer;
+  const step = Math.max(1, Math.floor(length / FINGERPRINT_SAMPLES));
+  const bits = new Uint32Array(1);
+  const sample = new Float32Array(bits.buffer);
+
+  let hash = 0x811c9dc5;
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i += step) {
+      sample[0] = data[i];
+      hash = Math.imul(hash ^ bits[0], 0x01000193) >>> 0;
+    }
+  }
+  return `pcm:${numberOfChannels}:${sampleRate}:${length}:${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Key a track's position is saved under
+ * @param {import('./event-emitter.js').SourceDescription|null} source - The loaded source
+ * @param {AudioBuffer} audioBuffer - Its decoded audio
+ * @returns {string|null} null for sources that cannot be recognized again (peaks-only tracks)
+ */
+export function getResumeKey(source, audioBuffer) {
+  if (source?.kind === 'url' && source.url) return `url:${source.url}`;
+  if (source?.kind === 'peaks' || typeof audioBuffer?.getChannelData !== 'function' || !(audioBuffer.length > 0)) {
+    return null;
+  }
+  return getContentFingerprint(audioBuffer);
+}
+
+/**
+ * Whether a position is worth keeping: past CONFIG.RESUME_MIN_POSITION and
+ * more than CONFIG.RESUME_END_MARGIN from the end
+ * @param {number} time - Seconds
+ * @param {number} duration - Seconds
+ * @returns {boolean}
+ */
+export function isResumable(time, duration) {
+  return time >= CONFIG.RESUME_MIN_POSITION && time <= duration - CONFIG.RESUME_END_MARGIN;
+}
+
+/**
+ * Whether a value is a saved position (e.g. one read back from the settings)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isResumePosition(value) {
+  if (!TypeValidator.isObject(value)) return false;
+
+  const { time, duration, playbackRate, loopRegion, volume, savedAt } = value;
+  const isRegion = loopRegion === null || (TypeValidator.isObject(loopRegion) &&
+    TypeValidator.isNumber(loopRegion.start, { min: 0 }) && TypeValidator.isNumber(loopRegion.end, { min: 0 }));
+  return TypeValidator.isNumber(time, { min: 0 }) &&
+    TypeValidator.isNumber(duration, { min: 0 }) &&
+    TypeValidator.isNumber(playbackRate, { min: CONFIG.PLAYBACK_RATE_MIN, max: CONFIG.PLAYBACK_RATE_MAX }) &&
+    TypeValidator.isNumber(volume, { min: 0, max: 1 }) &&
+    TypeValidator.isNumber(savedAt) &&
+    isRegion;
+}
+
+/**
+ * Saved position of a track, if it has one that is still valid for it
+ * @param {Object<string, ResumePosition>|null} saved - The `positions` setting
+ * @param {string} key
+ * @param {number} duration - The loaded track's duration (a track that changed length is not resumed)
+ * @param {number} [now=Date.now()]
+ * @returns {ResumePosition|null} Copy of the entry
+ */
+export function readResumePosition(saved, key, duration, now = Date.now()) {
+  const entry = saved && Object.hasOwn(saved, key) ? saved[key] : null;
+  if (!isResumePosition(entry) || now - entry.savedAt > CONFIG.RESUME_EXPIRY_DAYS * DAY) return null;
+  if (Math.abs(entry.duration - duration) > CONFIG.RESUME_DURATION_TOLERANCE || !isResumable(entry.time, duration)) {
+    return null;
+  }
+  return { ...entry, loopRegion: entry.loopRegion ? { ...entry.loopRegion } : null };
+}
+
+/**
+ * Save or remove a track's position, dropping expired entries and the least
+ * recently saved ones beyond CONFIG.RESUME_SAVED_TRACKS
+ * @param {Object<string, ResumePosition>|null} saved - The `positions` setting
+ * @param {string} key
+ * @param {ResumePosition|null} entry - null removes the track's position
+ * @param {number} [now=Date.now()]
+ * @returns {Object<string, ResumePosition>} New setting value
+ */
+export function storeResumePosition(saved, key, entry, now = Date.now()) {
+  const positions = {};
+  Object.entries(saved ?? {}).forEach(([savedKey, value]) => {
+    if (savedKey !== key && isResumePosition(value) && now - value.savedAt <= CONFIG.RESUME_EXPIRY_DAYS * DAY) {
+      positions[savedKey] = value;
+    }
+  });
+  // Re-inserting the key moves it to the end (most recent)
+  if (entry) {
+    positions[key] = entry;
+  }
+
+  const keys = Object.keys(positions);
+  keys.slice(0, Math.max(0, keys.length - CONFIG.RESUME_SAVED_TRACKS)).forEach(oldKey => delete positions[oldKey]);
+  return positions;
+}
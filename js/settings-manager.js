@@ -23,8 +23,26 @@ export class SettingsManager {
     version: this.VERSION,
     lastUrl: '',
     volume: 1.0,
+    playbackRate: 1.0,
+    preservePitch: true,
     lastFileName: '',
     theme: 'dark',
+    // Queued URLs, current item, repeat and shuffle (Playlist.toJSON())
+    playlist: null,
+    // Markers per track, keyed by getTrackKey() (most recently changed last)
+    markers: null,
+    // Equalizer bands and bypass ({ bypass, bands })
+    equalizer: null,
+    // User-saved equalizer presets: name → bands
+    eqPresets: null,
+    // Loudness normalization ({ enabled, target, ceiling })
+    normalization: null,
+    // Loudness measurements per track, keyed by getTrackKey() (most recently measured last)
+    loudness: null,
+    // Where each track was left, keyed by getResumeKey() (most recently saved last)
+    positions: null,
+    // What `,` and `.` step by ({ unit, fps, bpm })
+    step: null,
     // Add more settings as needed
   };
 
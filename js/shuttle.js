@@ -0,0 +1,165 @@
+/**
+ * Shuttle and Step
+ *
+ * NLE-style transport: J/K/L shuttle speeds (repeated presses ramp through
+ * SHUTTLE_SPEEDS either way, K+J/K+L play slow motion) and single steps by a
+ * configurable unit - CONFIG.STEP_MILLISECONDS, one video frame at a frame rate,
+ * or one beat at a known tempo.
+ *
+ * Reverse playback plays a reversed copy of the decoded buffer (see
+ * createReversedBuffer()), so it is only available for decoded audio.
+ *
+ * @module shuttle
+ */
+
+import { CONFIG } from './utils.js';
+import { TypeValidator, ValidationError } from './validation.js';
+
+/**
+ * Speeds repeated J/L presses step through (either direction)
+ */
+export const SHUTTLE_SPEEDS = Object.freeze([1, 2, 4]);
+
+/**
+ * What `,` and `.` step by
+ */
+export const StepUnits = Object.freeze({
+  MILLISECONDS: 'ms', // CONFIG.STEP_MILLISECONDS
+  FRAME: 'frame',     // 1 / fps
+  BEAT: 'beat'        // 60 / bpm
+});
+
+/**
+ * @typedef {Object} StepSettings
+ * @property {string} unit - One of StepUnits
+ * @property {number} fps - Frame rate used by the frame unit
+ * @property {number|null} bpm - Tempo used by the beat unit (null while unknown)
+ */
+
+/**
+ * Step settings used until they are configured
+ */
+export const StepDefaults = Object.freeze({
+  unit: StepUnits.MILLISECONDS,
+  fps: 30,
+  bpm: null
+});
+
+/**
+ * @param {number} speed - Signed shuttle speed (negative plays backwards)
+ * @throws {ValidationError}
+ */
+export function validateShuttleSpeed(speed) {
+  const { SHUTTLE_SLOW_SPEED: min, SHUTTLE_MAX_SPEED: max } = CONFIG;
+  if (!TypeValidator.isNumber(speed, { min: -max, max }) || Math.abs(speed) < min) {
+    throw new ValidationError(`Shuttle speed must be between ${min} and ${max} either way`, 'speed', speed, 'number');
+  }
+}
+
+/**
+ * Speed after another J (direction -1) or L (direction 1) press: 1× from a
+ * standstill, slow motion or the other direction, then up through SHUTTLE_SPEEDS
+ * @param {number|null} current - Signed speed now (null when not shuttling)
+ * @param {number} direction - 1 or -1
+ * @returns {number} Signed speed
+ */
+export function getNextShuttleSpeed(current, direction) {
+  const speed = Math.abs(current ?? 0);
+  if (Math.sign(current ?? 0) !== direction || speed < SHUTTLE_SPEEDS[0]) {
+    return direction * SHUTTLE_SPEEDS[0];
+  }
+  const next = SHUTTLE_SPEEDS.find(step => step > speed) ?? SHUTTLE_SPEEDS.at(-1);
+  return direction * next;
+}
+
+/**
+ * Validate step settings changes
+ * @param {{unit?: string, fps?: number, bpm?: number|null}} settings
+ * @throws {ValidationError}
+ */
+export function validateStepSettings(settings) {
+  if (!TypeValidator.isObject(settings)) {
+    throw new ValidationError('step must be an object', 'step', settings, 'object');
+  }
+
+  const { unit, fps, bpm } = settings;
+  if (unit !== undefined && !Object.values(StepUnits).includes(unit)) {
+    throw new ValidationError(`Unknown step unit "${unit}"`, 'step.unit', unit, Object.values(StepUnits).join('|'));
+  }
+  const { STEP_FPS_MAX: maxFps, STEP_BPM_MIN: minBpm, STEP_BPM_MAX: maxBpm } = CONFIG;
+  if (fps !== undefined && (!TypeValidator.isNumber(fps, { max: maxFps }) || !(fps > 0))) {
+    throw new ValidationError(`step.fps must be above 0 and at most ${maxFps}`, 'step.fps', fps, 'number');
+  }
+  if (bpm !== undefined && bpm !== null && !TypeValidator.isNumber(bpm, { min: minBpm, max: maxBpm })) {
+    throw new ValidationError(`step.bpm must be between ${minBpm} and ${maxBpm}`, 'step.bpm', bpm, 'number|null');
+  }
+}
+
+/**
+ * Apply changes to step settings
+ * @param {StepSettings} settings
+ * @param {{unit?: string, fps?: number, bpm?: number|null}} changes - Unset fields keep their value
+ * @returns {StepSettings} New settings
+ * @throws {ValidationError} Also for the beat unit without a tempo
+ */
+export function updateStepSettings(settings, changes) {
+  validateStepSettings(changes);
+  const { unit = settings.unit, fps = settings.fps, bpm = settings.bpm } = changes;
+  if (unit === StepUnits.BEAT && bpm === null) {
+    throw new ValidationError('Stepping by beats needs step.bpm', 'step.bpm', bpm, 'number');
+  }
+  return { unit, fps, bpm };
+}
+
+/**
+ * @param {StepSettings} settings
+ * @returns {number} Seconds one step moves
+ */
+export function getStepDuration({ unit, fps, bpm }) {
+  switch (unit) {
+    case StepUnits.FRAME:
+      return 1 / fps;
+    case StepUnits.BEAT:
+      return 60 / bpm;
+    default:
+      return CONFIG.STEP_MILLISECONDS / 1000;
+  }
+}
+
+/**
+ * Where a number of steps from a position lands, on the step grid (multiples of
+ * the step from the start of the track): a position between two grid points
+ * steps to the next one in the direction of travel
+ * @param {number} time - Seconds
+ * @param {number} steps - Negative steps back
+ * @param {StepSettings} settings
+ * @returns {number} Seconds (not clamped to the track)
+ */
+export function getStepTarget(time, steps, settings) {
+  const size = getStepDuration(settings);
+  const index = time / size;
+  // Positions a hair off the grid (float error) count as on it
+  const nearest = Math.round(index);
+  const base = Math.abs(index - nearest) < 1e-6 ? nearest : (steps > 0 ? Math.floor(index) : Math.ceil(index));
+  return (base + steps) * size;
+}
+
+/**
+ * Copy of a buffer with every channel back to front (sample i of the copy is
+ * sample length - 1 - i of the original)
+ * @param {BaseAudioContext} context - Creates the copy
+ * @param {AudioBuffer} audioBuffer
+ * @returns {AudioBuffer}
+ */
+export function createReversedBuffer(context, audioBuffer) {
+  const { numberOfChannels, length, sampleRate } = audioBuffer;
+  const reversed = context.createBuffer(numberOfChannels, length, sampleRate);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const samples = audioBuffer.getChannelData(channel);
+    const target = reversed.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      target[i] = samples[length - 1 - i];
+    }
+  }
+  return reversed;
+}
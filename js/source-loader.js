@@ -0,0 +1,272 @@
+/**
+ * Source Loader
+ *
+ * Turns in-memory audio into the `{ audioBuffer, waveform, globalMaxAmp }`
+ * result the player's file pipeline already consumes. Backs
+ * `SpiralWaveformPlayer.load(source, options)`.
+ *
+ * Supported sources:
+ * - `File` / `Blob`            - decoded like a picked file
+ * - `ArrayBuffer` / typed array - encoded audio bytes (the caller's buffer is not detached),
+ *   or headerless raw PCM with the `pcm` option
+ * - `AudioBuffer`              - used as-is
+ * - `{ peaks, duration }`      - precomputed peaks for display; playback is silent
+ *
+ * Live `MediaStream`s are rejected: they have no fixed duration to draw.
+ *
+ * Failures reject with an AudioLoadError whose `code` is one of
+ * LoadErrorCodes, or a ValidationError for malformed options.
+ *
+ * @module source-loader
+ */
+
+import { loadAudioFile, extractWaveformData, calculateGlobalMaxAmplitude, detectFileFormat, readAudioTags } from './audio-loader.js';
+import { createAudioBuffer } from './audio-context-manager.js';
+import { validateRawPcmOptions } from './pcm-decoder.js';
+import { hideLoading } from './error-ui.js';
+import { describeFileSource } from './event-emitter.js';
+import { TypeValidator, ValidationError } from './validation.js';
+import { CONFIG } from './utils.js';
+import { file as fileLog } from './logger.js';
+
+/**
+ * Highest sample rate of the silent buffer behind peaks-only tracks: it runs at the
+ * peaks' own rate, between the lowest rate every browser's AudioBuffer accepts and this
+ */
+export const PEAKS_SAMPLE_RATE = 8000;
+
+/**
+ * Reasons a load can fail
+ */
+export const LoadErrorCodes = Object.freeze({
+  UNSUPPORTED_SOURCE: 'UNSUPPORTED_SOURCE', // Not a type load() understands
+  EMPTY_SOURCE: 'EMPTY_SOURCE',             // Zero bytes / zero samples
+  DECODE_FAILED: 'DECODE_FAILED',           // The browser could not decode the audio
+  FETCH_FAILED: 'FETCH_FAILED',             // A queued URL could not be downloaded (playlist.js)
+  INVALID_PEAKS: 'INVALID_PEAKS'            // Peaks array or duration unusable
+});
+
+/**
+ * Error thrown when a source cannot be turned into a track
+ */
+export class AudioLoadError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code=LoadErrorCodes.DECODE_FAILED] - One of LoadErrorCodes
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, code = LoadErrorCodes.DECODE_FAILED, cause = undefined) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AudioLoadError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {Object} LoadOptions
+ * @property {string} [name] - Display name (defaults to the File name or the source kind)
+ * @property {string} [mimeType] - MIME type of ArrayBuffer/Blob bytes, used for format detection
+ * @property {string} [format] - Format label to report instead of the detected one
+ * @property {import('./pcm-decoder.js').RawPcmOptions} [pcm] - Decode File/Blob/ArrayBuffer bytes as
+ *   headerless raw PCM with this layout
+ */
+
+/**
+ * @typedef {Object} TrackInfo
+ * @property {number} duration - Seconds
+ * @property {number} channels - Channel count (1 for peaks)
+ * @property {number} sampleRate - Hz
+ * @property {string} format - e.g. 'MP3', 'WAV', 'AIFF', 'Raw PCM', 'PCM', 'Peaks'
+ * @property {string} name - Display name
+ * @property {import('./format-sniffer.js').FormatMismatch} [formatMismatch] - Present when the bytes are
+ *   a different format from the one the name or MIME type claims (`format` is what the bytes are)
+ * @property {import('./tag-reader.js').TrackTags} [tags] - Present when the file's tags say anything
+ *   (title, artist, artwork, ReplayGain, chapters...)
+ */
+
+/**
+ * Which kind of source a value is
+ * @param {*} source
+ * @returns {'file'|'blob'|'arraybuffer'|'audiobuffer'|'peaks'|null}
+ */
+export function getSourceKind(source) {
+  if (typeof File !== 'undefined' && source instanceof File) return 'file';
+  if (typeof Blob !== 'undefined' && source instanceof Blob) return 'blob';
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return 'arraybuffer';
+  if (TypeValidator.isAudioBuffer(source)) return 'audiobuffer';
+  if (TypeValidator.isObject(source) && 'peaks' in source) return 'peaks';
+  return null;
+}
+
+/**
+ * Describe a source for event payloads
+ * @param {*} source
+ * @param {LoadOptions} [options]
+ * @returns {import('./event-emitter.js').SourceDescription}
+ */
+export function describeSource(source, options = {}) {
+  const kind = getSourceKind(source);
+
+  if (kind === 'file' || kind === 'blob') {
+    const description = describeFileSource(source);
+    return {
+      ...description,
+      kind,
+      name: options.name || description.name,
+      mimeType: options.mimeType || description.mimeType
+    };
+  }
+
+  return {
+    kind: kind || 'unknown',
+    name: options.name || (kind ? `Untitled ${kind}` : 'Untitled'),
+    ...(kind === 'arraybuffer' ? { size: source.byteLength, mimeType: options.mimeType || '' } : {})
+  };
+}
+
+/**
+ * Load any supported source into a player-ready result
+ * @param {File|Blob|ArrayBuffer|ArrayBufferView|AudioBuffer|{peaks: ArrayLike<number>, duration: number}} source
+ * @param {LoadOptions} [options]
+ * @returns {Promise<{audioBuffer: AudioBuffer, waveform: Float32Array, globalMaxAmp: number, fileName: string, info: TrackInfo}>}
+ * @throws {AudioLoadError|ValidationError}
+ */
+export async function loadSource(source, options = {}) {
+  if (!TypeValidator.isObject(options)) {
+    throw new ValidationError('Load options must be an object', 'options', options, 'object');
+  }
+  if (options.pcm !== undefined) {
+    validateRawPcmOptions(options.pcm);
+  }
+
+  const kind = getSourceKind(source);
+  const { name } = describeSource(source, options);
+  fileLog('📥 SourceLoader: Loading source', 'info', { kind, name });
+
+  switch (kind) {
+    case 'file':
+    case 'blob':
+      return decodeBlob(source, name, options);
+
+    case 'arraybuffer': {
+      if (source.byteLength === 0) {
+        throw new AudioLoadError('ArrayBuffer is empty', LoadErrorCodes.EMPTY_SOURCE);
+      }
+      // Blob copies the bytes, so decoding never detaches the caller's buffer
+      const blob = new Blob([source], { type: options.mimeType || '' });
+      return decodeBlob(blob, name, options);
+    }
+
+    case 'audiobuffer':
+      return fromAudioBuffer(source, name, options.format || 'PCM');
+
+    case 'peaks':
+      return fromPeaks(source, name, options.format || 'Peaks');
+
+    default:
+      if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+        throw new AudioLoadError(
+          'MediaStream sources are not supported: a live stream has no fixed duration to draw',
+          LoadErrorCodes.UNSUPPORTED_SOURCE
+        );
+      }
+      throw new AudioLoadError(
+        'Unsupported source: expected File, Blob, ArrayBuffer, AudioBuffer or { peaks, duration }',
+        LoadErrorCodes.UNSUPPORTED_SOURCE
+      );
+  }
+}
+
+async function decodeBlob(blob, name, options) {
+  if (blob.size === 0) {
+    throw new AudioLoadError(`"${name}" is empty`, LoadErrorCodes.EMPTY_SOURCE);
+  }
+
+  // An explicit label wins; otherwise the bytes do, checked against the name and MIME type
+  let format = options.format || (options.pcm ? 'Raw PCM' : null);
+  let formatMismatch = null;
+  if (!format) {
+    ({ format, mismatch: formatMismatch } = await detectFileFormat(blob, { name, type: options.mimeType || blob.type }));
+  }
+  // Raw PCM has no container to hold tags
+  const tags = options.pcm ? null : await readAudioTags(blob);
+
+  let audioBuffer;
+  try {
+    audioBuffer = await loadAudioFile(blob, { pcm: options.pcm });
+  } catch (error) {
+    throw new AudioLoadError(`Could not decode "${name}" (${format})`, LoadErrorCodes.DECODE_FAILED, error);
+  } finally {
+    hideLoading();
+  }
+
+  return fromAudioBuffer(audioBuffer, name, format, { formatMismatch, tags });
+}
+
+function fromAudioBuffer(audioBuffer, name, format, { formatMismatch = null, tags = null } = {}) {
+  if (audioBuffer.length === 0) {
+    throw new AudioLoadError(`"${name}" contains no samples`, LoadErrorCodes.EMPTY_SOURCE);
+  }
+
+  const waveform = extractWaveformData(audioBuffer);
+  const globalMaxAmp = calculateGlobalMaxAmplitude(waveform);
+
+  return {
+    audioBuffer,
+    waveform,
+    globalMaxAmp,
+    fileName: name,
+    info: {
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels,
+      sampleRate: audioBuffer.sampleRate,
+      format,
+      name,
+      ...(formatMismatch ? { formatMismatch } : {}),
+      ...(tags ? { tags } : {})
+    }
+  };
+}
+
+function fromPeaks({ peaks, duration }, name, format) {
+  const isPeakArray = TypeValidator.isArray(peaks) || TypeValidator.isTypedArray(peaks);
+  if (!isPeakArray || peaks.length === 0) {
+    throw new AudioLoadError('peaks must be a non-empty array of numbers', LoadErrorCodes.INVALID_PEAKS);
+  }
+  if (!TypeValidator.isNumber(duration, { min: 0 }) || duration === 0) {
+    throw new AudioLoadError('peaks need a positive duration in seconds', LoadErrorCodes.INVALID_PEAKS);
+  }
+
+  // Silent buffer gives the transport a timeline; the waveform is the peaks held across it.
+  // Both are drawn and played at one rate - the peaks' own, so they are not upsampled
+  const sampleRate = Math.min(Math.max(Math.round(peaks.length / duration), CONFIG.PCM_MIN_SAMPLE_RATE), PEAKS_SAMPLE_RATE);
+  const length = Math.ceil(duration * sampleRate);
+  const audioBuffer = createAudioBuffer(1, length, sampleRate);
+  const waveform = new Float32Array(length);
+  const step = peaks.length / length;
+
+  let globalMaxAmp = 0;
+  for (let i = 0; i < length; i++) {
+    const peak = Math.abs(peaks[Math.floor(i * step)]);
+    if (!Number.isFinite(peak)) {
+      throw new AudioLoadError(`peaks[${Math.floor(i * step)}] is not a finite number`, LoadErrorCodes.INVALID_PEAKS);
+    }
+    waveform[i] = peak;
+    if (peak > globalMaxAmp) globalMaxAmp = peak;
+  }
+
+  return {
+    audioBuffer,
+    waveform,
+    // Keep silent tracks drawable
+    globalMaxAmp: globalMaxAmp || 1,
+    fileName: name,
+    info: {
+      duration: audioBuffer.duration,
+      channels: 1,
+      sampleRate: audioBuffer.sampleRate,
+      format,
+      name
+    }
+  };
+}
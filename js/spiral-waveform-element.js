@@ -0,0 +1,292 @@
+/**
+ * <spiral-waveform> Custom Element
+ *
+ * Wraps SpiralWaveformPlayer in a Web Component so the player can be
+ * embedded with plain HTML:
+ *
+ *   <script type="module" src="js/spiral-waveform-element.js"></script>
+ *   <spiral-waveform src="track.mp3" controls="minimal" start="12" loop></spiral-waveform>
+ *
+ * Attributes:
+ * - `src`      URL to load (changing it loads the new track)
+ * - `autoplay` Start playing once `src` has loaded (subject to browser autoplay policy)
+ * - `loop`     Restart from the beginning when playback ends
+ * - `start`    Seconds to seek to once `src` has loaded
+ * - `theme`    `auto` (default, follows the system), `dark` or `light`
+ * - `controls` `none` (default), `minimal` or `full` - see PlayerControls
+ *
+ * The player renders into an open shadow root with css/styles.css scoped
+ * to it. Every player event is re-dispatched on the element as a
+ * CustomEvent of the same name whose `detail` is the player's payload,
+ * and `currenttime`/`duration` are reflected as attributes on each event.
+ * Removing the element destroys its player; moving it elsewhere in the
+ * document keeps it.
+ *
+ * @module spiral-waveform-element
+ */
+
+import { SpiralWaveformPlayer, PlayerControls } from './spiral-waveform-player.js';
+import { PlayerEvents } from './event-emitter.js';
+import { ui, audio as audioLog } from './logger.js';
+
+export const SPIRAL_WAVEFORM_TAG = 'spiral-waveform';
+
+/**
+ * Values accepted by the `theme` attribute
+ */
+export const ElementThemes = Object.freeze({
+  AUTO: 'auto',
+  DARK: 'dark',
+  LIGHT: 'light'
+});
+
+/**
+ * Round seconds for attribute reflection
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatSeconds(seconds) {
+  return String(Math.round((seconds || 0) * 1000) / 1000);
+}
+
+export class SpiralWaveformElement extends HTMLElement {
+  static observedAttributes = ['src', 'loop', 'controls'];
+
+  // Stylesheet linked into every shadow root (reassign before elements are created to self-host it)
+  static stylesheetUrl = new URL('../css/styles.css', import.meta.url).href;
+
+  #player = null;
+  #container = null;
+  #unsubscribers = [];
+  #loadedSrc = null;
+  // Apply `start`/`autoplay` on the next 'loaded' (only loads started from `src`)
+  #applyOnLoad = false;
+
+  constructor() {
+    super();
+    const shadow = this.attachShadow({ mode: 'open' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = SpiralWaveformElement.stylesheetUrl;
+
+    this.#container = document.createElement('div');
+    this.#container.className = 'container';
+    this.#container.setAttribute('part', 'container');
+    this.#container.setAttribute('role', 'region');
+    this.#container.setAttribute('aria-label', 'Audio player');
+
+    shadow.append(stylesheet, this.#container);
+  }
+
+  connectedCallback() {
+    if (!this.#player) {
+      this.#createPlayer();
+    }
+  }
+
+  disconnectedCallback() {
+    // A move (removed and inserted again in the same task) keeps the player and its track
+    queueMicrotask(() => {
+      if (!this.isConnected) {
+        this.#destroyPlayer();
+      }
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Setting the same src again retries a load that failed (#loadSrc skips one that loaded)
+    if (!this.#player || (oldValue === newValue && name !== 'src')) return;
+
+    switch (name) {
+      case 'src':
+        this.#loadSrc();
+        break;
+      case 'loop':
+        this.#player.loop = newValue !== null;
+        break;
+      case 'controls':
+        // Controls are built once at init - rebuild the player around the current src
+        this.#destroyPlayer();
+        this.#createPlayer();
+        break;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reflected attributes
+  // ---------------------------------------------------------------------------
+
+  get src() {
+    return this.getAttribute('src') || '';
+  }
+
+  set src(value) {
+    this.setAttribute('src', value);
+  }
+
+  get autoplay() {
+    return this.hasAttribute('autoplay');
+  }
+
+  set autoplay(value) {
+    this.toggleAttribute('autoplay', !!value);
+  }
+
+  get loop() {
+    return this.hasAttribute('loop');
+  }
+
+  set loop(value) {
+    this.toggleAttribute('loop', !!value);
+  }
+
+  get start() {
+    const start = parseFloat(this.getAttribute('start'));
+    return Number.isFinite(start) && start > 0 ? start : 0;
+  }
+
+  set start(value) {
+    this.setAttribute('start', String(value));
+  }
+
+  get theme() {
+    const theme = this.getAttribute('theme');
+    return Object.values(ElementThemes).includes(theme) ? theme : ElementThemes.AUTO;
+  }
+
+  set theme(value) {
+    this.setAttribute('theme', value);
+  }
+
+  get controls() {
+    const controls = this.getAttribute('controls');
+    return Object.values(PlayerControls).includes(controls) ? controls : PlayerControls.NONE;
+  }
+
+  set controls(value) {
+    this.setAttribute('controls', value);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playback state
+  // ---------------------------------------------------------------------------
+
+  /** @returns {number} Playhead position in seconds */
+  get currentTime() {
+    return this.#player?.getCurrentTime() ?? 0;
+  }
+
+  /** @param {number} seconds - Seek target */
+  set currentTime(seconds) {
+    this.#player?.seekTo(Number(seconds));
+  }
+
+  /** @returns {number} Track duration in seconds */
+  get duration() {
+    return this.#player?.getDuration() ?? 0;
+  }
+
+  /** @returns {boolean} */
+  get paused() {
+    return !this.#player?.isPlaying();
+  }
+
+  /** @returns {SpiralWaveformPlayer|null} Underlying player (null while disconnected) */
+  get player() {
+    return this.#player;
+  }
+
+  /** @returns {Promise<void>} */
+  play() {
+    return this.#player ? this.#player.play() : Promise.resolve();
+  }
+
+  /** @returns {Promise<void>} */
+  pause() {
+    return this.#player ? this.#player.pause() : Promise.resolve();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  #createPlayer() {
+    ui('🧩 Element: Creating player', 'info', { src: this.src, controls: this.controls });
+
+    this.#player = new SpiralWaveformPlayer({
+      container: this.#container,
+      controls: this.controls,
+      loop: this.loop
+    });
+
+    this.#unsubscribers = Object.values(PlayerEvents).map(type =>
+      this.#player.on(type, (payload) => this.#redispatch(type, payload))
+    );
+
+    this.#loadSrc();
+  }
+
+  #destroyPlayer() {
+    if (!this.#player) return;
+
+    ui('🧩 Element: Tearing down player');
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+    this.#player.destroy();
+    this.#player = null;
+    this.#loadedSrc = null;
+    this.#applyOnLoad = false;
+    this.#container.replaceChildren();
+  }
+
+  async #loadSrc() {
+    const player = this.#player;
+    const src = this.src;
+    if (!src || src === this.#loadedSrc) return;
+
+    this.#loadedSrc = src;
+    await player.ready;
+
+    // Torn down or pointed elsewhere while the player was initializing
+    if (player !== this.#player || src !== this.src) return;
+
+    this.#applyOnLoad = true;
+    await player.loadFromUrl(src);
+    // Load failures surface as 'error' - don't apply start/autoplay to a later file load
+    const loaded = !this.#applyOnLoad;
+    this.#applyOnLoad = false;
+    // Failed or cancelled: forget it so setting the same src again retries
+    if (!loaded && this.#loadedSrc === src) {
+      this.#loadedSrc = null;
+    }
+  }
+
+  #redispatch(type, payload) {
+    this.setAttribute('currenttime', formatSeconds(payload.currentTime));
+    this.setAttribute('duration', formatSeconds(payload.duration));
+
+    this.dispatchEvent(new CustomEvent(type, { detail: payload }));
+
+    if (type === PlayerEvents.LOADED && this.#applyOnLoad) {
+      this.#applyOnLoad = false;
+      this.#applyLoadOptions();
+    }
+  }
+
+  #applyLoadOptions() {
+    const player = this.#player;
+
+    if (this.start > 0) {
+      player.seekTo(this.start);
+    }
+
+    if (this.autoplay) {
+      player.play().catch(error => audioLog('Autoplay failed', 'warn', error));
+    }
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(SPIRAL_WAVEFORM_TAG)) {
+  customElements.define(SPIRAL_WAVEFORM_TAG, SpiralWaveformElement);
+}
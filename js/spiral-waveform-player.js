@@ -1,41 +1,148 @@
-import { initializeAudio, loadAudioForPlayback, cleanupAudio, isScrubbingActive } from './audio-playback.js';
-import { togglePlayPause as audioTogglePlayPause, seekToPosition as audioSeekToPosition, seekRelative as audioSeekRelative, setVolume as audioSetVolume, updatePlayheadFromAudio } from './audio-controls.js';
+import { togglePlayPause as audioTogglePlayPause, seekToPosition as audioSeekToPosition, seekRelative as audioSeekRelative, setVolume as audioSetVolume, setPlaybackRate as audioSetPlaybackRate, setShuttle as audioSetShuttle, setChannelRouting as audioSetChannelRouting, setEqualizer as audioSetEqualizer, setLoopRegion as audioSetLoopRegion, clearLoopRegion as audioClearLoopRegion, updatePlayheadFromAudio } from './audio-controls.js';
 import { getAudioState, setAudioBuffer, resetAudioState } from './audio-state.js';
 import { loadAudioFromUrl } from './audio-loader.js';
 import { generatePlaceholderWaveform } from './waveform-data.js';
-import { createUI, setupKeyboardControls } from './ui-controls.js';
-import { setupFileInput, handleFileLoad } from './file-handler.js';
+import { createUI, setupKeyboardControls, resolveControls, validateDemoTracks, validateControlElements, createPlaylistUI, renderPlaylistUI, createMarkersUI, renderMarkersUI, createEqualizerUI, renderEqualizerUI, createTrackInfoUI, renderTrackInfoUI, createResumePromptUI, renderResumePromptUI, PlayerControls, DEFAULT_DEMO_TRACKS } from './ui-controls.js';
+import { setupFileInput, attachFileInput, handleFileLoad, attachDropZone, getTransferredSources, validateAudioFiles } from './file-handler.js';
 import { initializeCanvas, setupResponsiveCanvas } from './canvas-setup.js';
 import { setupInteraction } from './interaction.js';
 import { createAnimationLoop } from './animation.js';
-import { drawRadialWaveform, drawPlayPauseButton, resetPlayheadAnimation, layerManager } from './waveform-draw.js';
+import { drawRadialWaveform, drawPlayPauseButton, resetPlayheadAnimation, cleanupAnimations, layerManager } from './waveform-draw.js';
 import { CONFIG } from './utils.js';
-import { showError, hideLoading } from './error-ui.js';
-import { createAudioBuffer } from './audio-context-manager.js';
+import { showError, hideLoading, disposeErrorUI } from './error-ui.js';
+import { AudioContextManager, createAudioBuffer } from './audio-context-manager.js';
 import { SettingsManager, loadSettings, updateSetting } from './settings-manager.js';
 import { enablePerformanceMonitoring, printPerformanceReport, performanceMonitor } from './performance-monitor.js';
 import { performanceOverlay } from './performance-overlay.js';
 import { screenReaderAnnouncer, KeyboardNavigationManager, AriaManager } from './accessibility.js';
+import { EventEmitter, PlayerEvents, describeUrlSource, describeFileSource } from './event-emitter.js';
+import { createPlayerScope } from './player-scope.js';
+import { createVisualConfig, applyVisualConfig, copyVisualConfig } from './visual-config.js';
+import { MediaSessionController } from './media-session.js';
+import { MediaElementFollower, validateMediaElement } from './media-element-sync.js';
+import { validateLoopRegion } from './loop-region.js';
+import { Playlist, RepeatModes, decodePlaylistItem, describePlaylistItem } from './playlist.js';
+import { validateCrossfade, validateFadeDuration } from './crossfade.js';
+import { MarkerList, MarkerFormats, getTrackKey, serializeMarkers, parseMarkers, chaptersToMarkers } from './markers.js';
+import { getCoverArt } from './tag-reader.js';
+import { ChannelModes, validateChannelMode, validateBalance, isDefaultRouting, mixChannels } from './channel-routing.js';
+import { EqPresets, validateEqBand, updateEqBand, restoreEqSettings, copyEqSettings, getBuiltInEqPreset, validateEqPresetName, getEqCurveFrequencies } from './equalizer.js';
+import { NormalizationDefaults, updateNormalization, isLoudnessMeasurement, measureLoudnessAsync, getNormalizationGain, dbToGain } from './loudness.js';
+import { ResumeModes, validateResumeMode, getResumeKey, isResumable, readResumePosition, storeResumePosition } from './resume-position.js';
+import { StepDefaults, validateShuttleSpeed, getNextShuttleSpeed, updateStepSettings, getStepTarget } from './shuttle.js';
+import { RenderComponents } from './render-state.js';
+import { ValidationError, TypeValidator } from './validation.js';
+import { loadSource, describeSource } from './source-loader.js';
+import { disposeAudio } from './memory-manager.js';
 import logger, { system, audio as audioLog, ui, file as fileLog } from './logger.js';
 
+export { PlayerControls, ControlNames } from './ui-controls.js';
+export { VisualConfigKeys } from './visual-config.js';
+export { RepeatModes } from './playlist.js';
+export { CrossfadeCurves } from './crossfade.js';
+export { MarkerFormats } from './markers.js';
+export { ChannelModes } from './channel-routing.js';
+export { EqPresets, EQ_BANDS } from './equalizer.js';
+export { ResumeModes } from './resume-position.js';
+export { StepUnits } from './shuttle.js';
+
 export class SpiralWaveformPlayer {
+  // Live players, used for exclusive playback and keyboard routing
+  static #instances = new Set();
+  // Player that receives keyboard shortcuts pressed outside every player
+  static #activeInstance = null;
+
   /**
    * Load audio from a URL (supports direct links, Dropbox, etc.)
-   * Delegates to audio-loader.js and handles placeholder waveform generation if needed
+   * Delegates to audio-loader.js and handles placeholder waveform generation if needed.
+   * The download reports `loadprogress` and can be cancelled (the overlay's Cancel button,
+   * cancelLoad() or `signal`); any newer load cancels it too, and the track playing until
+   * then stays loaded.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels this load when aborted
+   * @returns {Promise<void>} Resolves once loaded, cancelled or failed (failures are shown, not thrown)
+   */
+  async loadFromUrl(url, { signal } = {}) {
+    return this._loadUrl(url, null, signal);
+  }
+
+  /**
+   * Cancel the load in progress, if any: a URL download stops, and a load() or playlist
+   * item still decoding is dropped. The track from before stays; a `loadabort` event fires.
+   * @returns {boolean} Whether a load was cancelled
+   */
+  cancelLoad() {
+    if (!this._loadController) return false;
+    this._loadController.abort();
+    this._loadController = null;
+    return true;
+  }
+
+  /**
+   * Start a load: cancels the one before it, so only the newest load commits
+   * @param {AbortSignal} [signal] - Caller's signal, forwarded to the returned controller
+   * @returns {AbortController} Pass to _isCurrentLoad() once the load has finished
+   */
+  _startLoad(signal = undefined) {
+    this.cancelLoad();
+    const load = new AbortController();
+    if (signal?.aborted) {
+      load.abort(signal.reason);
+    } else {
+      signal?.addEventListener('abort', () => load.abort(signal.reason), { once: true });
+    }
+    this._loadController = load;
+    return load;
+  }
+
+  /**
+   * @param {AbortController} load - From _startLoad()
+   * @returns {boolean} Whether the load may still commit (not cancelled or replaced)
    */
-  async loadFromUrl(url) {
+  _isCurrentLoad(load) {
+    return this._loadController === load && !load.signal.aborted && !this.destroyed;
+  }
+
+  /**
+   * Load a URL's waveform and stream it through a media element
+   * @param {string} url
+   * @param {HTMLMediaElement|null} [mediaElement] - Page element to follow instead of a hidden `<audio>`
+   * @param {AbortSignal} [signal] - Cancels the load
+   */
+  async _loadUrl(url, mediaElement = null, signal = undefined) {
+    const load = this._startLoad(signal);
+    const previousSource = this._source;
+    const source = describeUrlSource(url);
     try {
+      this._emit(PlayerEvents.LOAD_START, { source });
+      
       // Use centralized loader
-      const loaderResult = await loadAudioFromUrl(url);
+      const loaderResult = await loadAudioFromUrl(url, this.scope, {
+        mediaElement,
+        signal: load.signal,
+        onProgress: (loaded, total) => this._emit(PlayerEvents.LOAD_PROGRESS, { loaded, total }),
+        onCancel: () => this.cancelLoad()
+      });
+      
+      // Replaced by a newer load while the previous audio was being disposed
+      if (!this._isCurrentLoad(load)) {
+        if (!mediaElement) {
+          loaderResult.audioElement?.removeAttribute('src');
+        }
+        throw load.signal.reason ?? new DOMException('URL load replaced by a newer one', 'AbortError');
+      }
+      this._loadController = null;
       
-      // Store audio element on instance (not global)
-      this._urlAudioElement = loaderResult.audioElement;
+      // Stream through this player's own playback graph (not a global)
+      this.scope.playback.setMediaElement(loaderResult.audioElement || null, { external: !!mediaElement });
       
       // If waveform is null, need to generate placeholder
       let waveform = loaderResult.waveform;
       let audioBuffer = loaderResult.audioBuffer;
+      const isPlaceholder = !waveform;
       
-      if (!waveform) {
+      if (isPlaceholder) {
         // Generate placeholder waveform
         const duration = loaderResult.duration || 30;
         const sampleRate = 44100;
@@ -57,7 +164,10 @@ export class SpiralWaveformPlayer {
         audioBuffer,
         waveform,
         globalMaxAmp: loaderResult.globalMaxAmp || 0.7,
-        isUrlLoaded: true
+        isUrlLoaded: true,
+        // Synthetic samples: nothing to measure the loudness of
+        isPlaceholder,
+        mediaElement
       };
       
       // Use existing file loading system for visualization
@@ -66,14 +176,105 @@ export class SpiralWaveformPlayer {
       fileLog('✅ Player: URL audio loaded successfully');
       
     } catch (error) {
+      if (this._loadController === load) {
+        this._loadController = null;
+      }
+      if (error?.name === 'AbortError') {
+        fileLog('🛑 Player: URL load cancelled', 'info', { url: url.substring(0, 100) });
+        // The track from before stays loaded
+        if (this._source === source) {
+          this._source = previousSource;
+        }
+        if (!this.destroyed) {
+          this._emit(PlayerEvents.LOAD_ABORT, { source: previousSource, cancelled: source });
+        }
+        return;
+      }
       console.error('❌ Failed to load audio from URL:', error);
       this._showError(error);
     }
   }
+
+  /**
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.container=document.body] - Element the player is rendered into
+   * @param {boolean} [options.exclusive=false] - Pause every other player when this one starts playing
+   * @param {string|Object} [options.controls='full'] - A PlayerControls preset, or
+   *   `{ title, instructions, urlInput, lastLoaded, urlButton, demoTracks, fileInput, playlist }` flags
+   *   (anything left out is hidden)
+   * @param {Object} [options.elements] - Host page elements used instead of the built-in ones
+   * @param {HTMLInputElement} [options.elements.urlInput] - Text input holding the URL to load (Enter loads it)
+   * @param {HTMLElement} [options.elements.urlButton] - Clicking it loads the URL input's value
+   * @param {HTMLInputElement} [options.elements.fileInput] - `<input type="file">` whose selection is loaded
+   * @param {Array<{label: string, url: string}>} [options.demoTracks] - Buttons shown by the demoTracks control
+   * @param {boolean} [options.loop=false] - Restart from the beginning when playback ends
+   * @param {boolean} [options.mediaSession=true] - Publish to navigator.mediaSession (media keys, lock screen)
+   * @param {boolean} [options.gapless=true] - Start the next playlist item exactly where the current one ends
+   * @param {Object} [options.crossfade] - Overlap between playlist items (see setCrossfade())
+   * @param {number} [options.fadeDuration=CONFIG.TRANSPORT_FADE_DURATION] - Click-free fade on play, pause,
+   *   seek and stop in seconds (see setFadeDuration())
+   * @param {string} [options.channelMode='stereo'] - One of ChannelModes (see setChannelMode())
+   * @param {number} [options.balance=0] - -1 (left) to 1 (right) (see setBalance())
+   * @param {HTMLMediaElement} [options.media] - Page `<audio>`/`<video>` to follow instead of a hidden element
+   *   (same as calling attachMedia() once ready)
+   * @param {string} [options.resume='prompt'] - One of ResumeModes: offer, apply or ignore saved positions
+   * @param {Object} [options.step] - What `,` and `.` step by (see setStep())
+   * @param {boolean} [options.dropZone=true] - Load audio files and links dropped on the player or pasted
+   *   while it has focus (several files are queued on the playlist)
+   * @param {Object} [options.visual] - Per-player overrides of CONFIG geometry and look
+   *   (any of VisualConfigKeys, e.g. `{ NUM_POINTS: 800, WAVEFORM_COLORS: { INNER: '#ff7043' } }`)
+   * @throws {ValidationError} For malformed controls, elements, demoTracks, mediaSession, gapless,
+   *   crossfade, fadeDuration, channelMode, balance, media, resume, step, dropZone or visual settings
+   */
   constructor(options = {}) {
     system('🎵 Player: Initializing SpiralWaveformPlayer', 'info', { options });
+    this.controls = resolveControls(options.controls ?? PlayerControls.FULL);
+    this.elements = validateControlElements(options.elements ?? {});
+    this.demoTracks = validateDemoTracks(options.demoTracks ?? DEFAULT_DEMO_TRACKS);
+    const visual = createVisualConfig(options.visual ?? {});
+    if (options.mediaSession !== undefined && typeof options.mediaSession !== 'boolean') {
+      throw new ValidationError('mediaSession must be true or false', 'mediaSession', options.mediaSession, 'boolean');
+    }
+    if (options.gapless !== undefined && typeof options.gapless !== 'boolean') {
+      throw new ValidationError('gapless must be true or false', 'gapless', options.gapless, 'boolean');
+    }
+    const crossfade = validateCrossfade(options.crossfade ?? {});
+    const fadeDuration = options.fadeDuration ?? CONFIG.TRANSPORT_FADE_DURATION;
+    validateFadeDuration(fadeDuration);
+    const channelMode = options.channelMode ?? ChannelModes.STEREO;
+    const balance = options.balance ?? 0;
+    validateChannelMode(channelMode);
+    validateBalance(balance);
+    const normalization = updateNormalization(NormalizationDefaults, options.normalization ?? {});
+    const resume = options.resume ?? ResumeModes.PROMPT;
+    validateResumeMode(resume);
+    const step = updateStepSettings(StepDefaults, options.step ?? {});
+    if (options.dropZone !== undefined && typeof options.dropZone !== 'boolean') {
+      throw new ValidationError('dropZone must be true or false', 'dropZone', options.dropZone, 'boolean');
+    }
+    if (options.media !== undefined) {
+      validateMediaElement(options.media);
+    }
+    
     this.options = options;
     this.container = options.container || document.body;
+    this.loop = !!options.loop;
+    // Per-instance state, render flags, layers and playback graph
+    this.scope = createPlayerScope({ visual });
+    this.scope.playback.setFadeDuration(fadeDuration);
+    this.scope.playback.setChannelRouting(channelMode, balance);
+    // Hardware media keys and OS lock-screen controls (navigator.mediaSession)
+    // Track keys also step through the playlist when there is one
+    this.mediaSession = options.mediaSession === false ? null : new MediaSessionController(this.scope, {
+      onPreviousTrack: () => {
+        this._emit(PlayerEvents.PREVIOUS_TRACK);
+        if (this.playlist.length > 0) this.previous();
+      },
+      onNextTrack: () => {
+        this._emit(PlayerEvents.NEXT_TRACK);
+        if (this.playlist.length > 0) this.next();
+      }
+    });
     this.visualState = {
       isTransitioning: false,
       transitionStartTime: 0,
@@ -82,147 +283,301 @@ export class SpiralWaveformPlayer {
       isDragging: false,
       wasPlaying: false,
       isEndOfFileReset: false,
-      endOfFileResetStartTime: null
+      endOfFileResetStartTime: null,
+      // A–B region being shift-dragged on the ring (interaction.js)
+      loopSelection: null,
+      // Outgoing track the ring morphs away from after a gapless switch (waveform-draw.js)
+      trackTransition: null,
+      // Loaded track's markers, drawn on the ring and snapped to by drags (copy of this.markers)
+      markers: [],
+      // What the channel routing lets through, drawn instead of the first channel (see _updateRoutedWaveform())
+      routedWaveform: null
     };
+    // Loop start (A) marked before its end (B) - see setLoopPoint()
+    this._pendingLoopStart = null;
+    // Queue of tracks (enqueue/next/previous) and the next item decoding in the background
+    this.playlist = new Playlist();
+    this._preload = null;
+    this.playlistUI = null;
+    // Playlist item whose audio is loaded (null for tracks loaded some other way)
+    this._loadedItemId = null;
+    // Gapless playback: the preloaded item is scheduled right behind the playing one
+    this.gapless = options.gapless ?? true;
+    this.crossfade = crossfade;
+    this._queuedTrack = null;
+    // Named cue points on the loaded track, saved per track under _markersKey (see _loadMarkers())
+    this.markers = new MarkerList();
+    this._markersKey = null;
+    this.markersUI = null;
+    // Equalizer panel and the preset its bands came from (null once a band is edited)
+    this.equalizerUI = null;
+    this._eqPreset = null;
+    // Loudness normalization, and the loaded track's buffer and measurement (see _updateLoudness())
+    this.normalization = normalization;
+    this._loudness = null;
+    // Measurement of the loaded track still running (an AbortController)
+    this._measuring = null;
+    this.trackInfoUI = null;
+    // Per-track position memory: the loaded track's key, and the saved position on offer (see _loadResumePosition())
+    this.resume = resume;
+    this._resumeKey = null;
+    this._resumeOffer = null;
+    this._resumeOfferTimer = null;
+    this._lastPositionSave = 0;
+    this.resumePromptUI = null;
+    // Unit the `,` and `.` keys step by (see setStep())
+    this.stepSettings = step;
+    this.dropZone = options.dropZone ?? true;
     this.canvas = null;
     this.ctx = null;
     this.drawCallback = null;
     this.fileInput = null;
+    this.urlInput = null;
     this.ui = null;
-    this._init();
+    // Teardown for the canvas interaction listeners and the rAF loop (set by _init)
+    this._removeInteraction = null;
+    this._animationLoop = null;
+    // DOM this player created (removed on destroy) and listeners on host page elements (detached on destroy)
+    this._ownedElements = [];
+    this._elementListeners = [];
+    this._source = null;
+    // Tags read from the loaded track's file, and an object URL for its cover art (see _setTags())
+    this._tags = null;
+    this._artworkUrl = null;
+    // Page media element being followed (attachMedia), if any
+    this._mediaFollower = null;
+    // Load in progress - a newer load or cancelLoad() aborts it (see _startLoad())
+    this._loadController = null;
+    this.destroyed = false;
+    this._events = new EventEmitter(Object.values(PlayerEvents));
+    this._playbackEventUnsubscribers = this._forwardPlaybackEvents();
+    
+    SpiralWaveformPlayer.#instances.add(this);
+    SpiralWaveformPlayer.#activeInstance ??= this;
+    
+    // Resolves once the canvas and controls exist (initialization errors are shown, not thrown)
+    this.ready = this._init();
+  }
+
+  /**
+   * Players currently alive on the page
+   * @returns {SpiralWaveformPlayer[]}
+   */
+  static getInstances() {
+    return [...SpiralWaveformPlayer.#instances];
+  }
+
+  /**
+   * Subscribe to a player event
+   * @param {string} type - One of PlayerEvents ('play', 'timeupdate', ...)
+   * @param {Function} listener - Receives a PlayerEventPayload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    return this._events.on(type, listener);
+  }
+
+  /**
+   * Unsubscribe from a player event
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener passed to on() or once()
+   * @returns {boolean} Whether a listener was removed
+   */
+  off(type, listener) {
+    return this._events.off(type, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of a player event
+   * @param {string} type - Event name
+   * @param {Function} listener - Receives a PlayerEventPayload
+   * @returns {Function} Unsubscribe function
+   */
+  once(type, listener) {
+    return this._events.once(type, listener);
+  }
+
+  /**
+   * Re-emit transport events from this player's scope bus
+   * (published by audio-controls/audio-playback/file-handler)
+   * @returns {Function[]} Unsubscribe functions
+   */
+  _forwardPlaybackEvents() {
+    return Object.values(PlayerEvents).map(type =>
+      this.scope.events.on(type, (detail) => this._emit(type, detail))
+    );
+  }
+
+  /**
+   * Emit a player event with time, duration and source filled in
+   * @param {string} type - Event name
+   * @param {Object} detail - Event-specific fields
+   */
+  _emit(type, detail = {}) {
+    if (type === PlayerEvents.LOAD_START) {
+      // The track being replaced keeps its place
+      this._savePosition();
+      if (detail.source) {
+        this._source = detail.source;
+      }
+    }
+    
+    if (type === PlayerEvents.PLAY && this.options.exclusive) {
+      this._pauseOtherInstances();
+    }
+    
+    if (type === PlayerEvents.TRACK_CHANGE) {
+      this._onTrackChange(detail);
+    }
+    
+    this._syncMediaSession(type);
+    
+    const audioState = getAudioState(this.scope.stateManager);
+    this._events.emit(type, {
+      type,
+      currentTime: audioState.currentPlayhead || 0,
+      duration: audioState.duration || 0,
+      source: this._source,
+      timestamp: performance.now(),
+      ...detail
+    });
+    
+    this._trackPosition(type);
+    
+    if (type === PlayerEvents.ENDED && this.loop) {
+      this._restartLoop();
+    }
+  }
+
+  /**
+   * Keep navigator.mediaSession in step with this player's transport events
+   * @param {string} type - Player event being emitted
+   */
+  _syncMediaSession(type) {
+    if (!this.mediaSession) return;
+    
+    switch (type) {
+      case PlayerEvents.LOADED:
+      case PlayerEvents.TRACK_CHANGE:
+        // Each track starts with its tags (or just its name); setMetadata() can change them afterwards
+        this.mediaSession.setMetadata(this._getTagMetadata());
+        this.mediaSession.update();
+        break;
+      case PlayerEvents.PLAY:
+        this.mediaSession.claim();
+        this.mediaSession.update();
+        break;
+      case PlayerEvents.PAUSE:
+      case PlayerEvents.ENDED:
+      case PlayerEvents.SEEKED:
+      case PlayerEvents.RATE_CHANGE:
+        this.mediaSession.update();
+        break;
+    }
+  }
+
+  /**
+   * Jump back to the start and keep playing (loop mode)
+   */
+  _restartLoop() {
+    audioLog('🔁 Player: Looping back to start');
+    this.seekToPosition(0);
+    this.play().catch(error => audioLog('Failed to restart loop', 'warn', error));
   }
 
   async _init() {
     try {
       system('🎵 Player: Starting initialization');
-      await initializeAudio();
+      await this.scope.playback.initialize();
+      
+      // destroy() ran while the audio graph was starting - build nothing
+      if (!SpiralWaveformPlayer.#instances.has(this)) return;
       
       // Load saved settings
       const settings = loadSettings();
       system('📋 Player: Loaded settings', 'info', { hasUrl: !!settings.lastUrl, hasFile: !!settings.lastFileName, volume: settings.volume });
       
-      // Enhanced UI: add a URL input for Dropbox/direct links
-      this.ui = createUI(this.container);
-      const urlInput = document.createElement('input');
-      urlInput.type = 'text';
-      urlInput.placeholder = 'Paste audio URL (Dropbox, direct, etc.)';
-      urlInput.id = 'urlInput';
-      urlInput.className = 'url-input';
-      
-      // Restore last URL if available
-      if (settings.lastUrl) {
-        urlInput.value = settings.lastUrl;
-        ui('🔄 Player: Restored last URL', 'info', { url: settings.lastUrl.substring(0, 50) + '...' });
-      }
-      
-      this.container.appendChild(urlInput);
-      
-      // Show last loaded info with clear button
-      if (settings.lastFileName || settings.lastUrl) {
-        const lastLoadedInfo = document.createElement('div');
-        lastLoadedInfo.className = 'last-loaded-info';
-        
-        const infoText = document.createElement('div');
-        infoText.style.display = 'flex';
-        infoText.style.alignItems = 'center';
-        infoText.style.gap = 'var(--spacing-sm)';
-        infoText.innerHTML = `
-          <span class="last-loaded-label">Last loaded:</span>
-          <span class="last-loaded-value">${settings.lastFileName || 'URL: ' + settings.lastUrl.substring(0, 50) + '...'}</span>
-        `;
-        
-        const clearButton = document.createElement('button');
-        clearButton.textContent = '×';
-        clearButton.className = 'clear-settings-btn';
-        clearButton.title = 'Clear saved settings';
-        clearButton.addEventListener('click', () => {
-          if (confirm('Clear all saved settings (URL, volume, etc.)?')) {
-            SettingsManager.clear();
-            urlInput.value = '';
-            lastLoadedInfo.remove();
-            ui('🗑️ Player: Settings cleared by user');
-          }
-        });
-        
-        lastLoadedInfo.appendChild(infoText);
-        lastLoadedInfo.appendChild(clearButton);
-        this.container.appendChild(lastLoadedInfo);
-      }
-
-      const urlButton = document.createElement('button');
-      urlButton.textContent = 'Load from URL';
-      urlButton.className = 'url-button';
-      this.container.appendChild(urlButton);
-
-      // Save URL when loading
-      urlButton.addEventListener('click', async () => {
-        const url = urlInput.value.trim();
-        if (url) {
-          ui('🔗 Player: URL load requested', 'info', { url: url.substring(0, 50) + '...' });
-          updateSetting('lastUrl', url);
-          await this.loadFromUrl(url);
-        }
-      });
-      
-      // Also save URL on Enter key
-      urlInput.addEventListener('keypress', async (e) => {
-        if (e.key === 'Enter') {
-          const url = urlInput.value.trim();
-          if (url) {
-            ui('🔗 Player: URL load requested (Enter key)', 'info', { url: url.substring(0, 50) + '...' });
-            updateSetting('lastUrl', url);
-            await this.loadFromUrl(url);
-          }
+      // Restore the saved queue unless enqueue() ran first (a bad stored playlist is ignored, not fatal)
+      if (settings.playlist && this.playlist.length === 0) {
+        try {
+          this.playlist.restore(settings.playlist);
+          fileLog('📃 Player: Restored playlist', 'info', { length: this.playlist.length });
+        } catch (error) {
+          fileLog('Ignoring saved playlist', 'warn', error);
         }
-      });
+      }
       
-      // Add test file button
-      const testFileButton = document.createElement('button');
-      testFileButton.textContent = 'Load Test File';
-      testFileButton.className = 'test-file-button';
-      testFileButton.title = 'Load local test audio file';
-      this.container.appendChild(testFileButton);
-      
-      testFileButton.addEventListener('click', async () => {
-        const testFilePath = 'assets/test-audio/09. Machines in the Ruins.ogg';
-        // Convert relative path to absolute URL
-        const testFileUrl = new URL(testFilePath, window.location.origin).href;
-        ui('🎵 Player: Test file load requested', 'info', { url: testFileUrl });
-        urlInput.value = testFileUrl;
-        updateSetting('lastUrl', testFileUrl);
-        await this.loadFromUrl(testFileUrl);
-      });
+      this._createControls(settings);
       
-      this.fileInput = setupFileInput(this.container, this._onFileLoaded.bind(this));
       const canvasObj = initializeCanvas();
       this.canvas = canvasObj.canvas;
       this.ctx = canvasObj.ctx;
       this.container.appendChild(this.canvas);
       
+      if (this.controls.resumePrompt) {
+        this._createResumePromptUI();
+      }
+      
+      if (this.controls.equalizer) {
+        this._createEqualizerUI();
+      }
+      
+      if (this.controls.trackInfo) {
+        this._createTrackInfoUI();
+      }
+      
+      if (this.controls.playlist) {
+        this._createPlaylistUI();
+      }
+      
+      if (this.controls.markers) {
+        this._createMarkersUI();
+      }
+      
       // Initialize accessibility features
       this._initializeAccessibility();
       
+      // The first player takes the media session; later ones take it when they play
+      if (!MediaSessionController.getOwner()) {
+        this.mediaSession?.claim();
+      }
+      
       setupKeyboardControls({
         onPlayPause: this.togglePlayPause.bind(this),
         onSeekBackward: () => this.seekRelative(-5),
         onSeekForward: () => this.seekRelative(5)
       });
       this.drawCallback = this._draw.bind(this);
-      setupInteraction(this.canvas, this.visualState, this.drawCallback, {
+      this._removeInteraction = setupInteraction(this.canvas, this.visualState, this.drawCallback, {
         onPlayPause: this.togglePlayPause.bind(this),
-        onSeek: this.seekToPosition.bind(this)
-      });
+        onSeek: this.seekToPosition.bind(this),
+        onLoopRegion: (start, end) => this.setLoopRegion(start, end),
+        onAddMarker: (time) => screenReaderAnnouncer.announceMarker(this.addMarker(time), true)
+      }, this.scope);
 
       // ✅ Only call createAnimationLoop ONCE, then start it
-      const animate = createAnimationLoop(this._draw.bind(this), this.visualState);
-      animate(performance.now());
+      this._animationLoop = createAnimationLoop(this._draw.bind(this), this.visualState, this.scope, {
+        onTrackEnd: () => this._onTrackEnd()
+      });
+      this._animationLoop(performance.now());
       system('🎬 Player: Animation loop started');
 
-      window.addEventListener('resize', () => {
+      this._onResize = () => {
         ui('📐 Player: Window resized, updating canvas');
         setupResponsiveCanvas(this.canvas, this.ctx);
         this._draw();
-      });
+      };
+      window.addEventListener('resize', this._onResize);
+      
+      // Leaving the page keeps the track's place
+      this._onPageHide = () => this._savePosition();
+      window.addEventListener('pagehide', this._onPageHide);
+      
+      // Audio files and links dropped on the player, or pasted while it has the keyboard
+      if (this.dropZone) {
+        this._elementListeners.push(attachDropZone(this.container, sources => this._loadTransferred(sources)));
+        this._listen(document, 'paste', (e) => this._onPaste(e));
+      }
       
       // Restore saved volume
       if (settings.volume !== undefined) {
@@ -230,6 +585,51 @@ export class SpiralWaveformPlayer {
         audioLog('🔊 Player: Restored volume', 'info', { volume: settings.volume });
       }
       
+      // Restore saved speed (a bad stored value is ignored, not fatal)
+      if (settings.playbackRate !== undefined) {
+        try {
+          this.setPlaybackRate(settings.playbackRate, { preservePitch: settings.preservePitch });
+          audioLog('⏩ Player: Restored playback rate', 'info', { playbackRate: settings.playbackRate });
+        } catch (error) {
+          audioLog('Ignoring saved playback rate', 'warn', error);
+        }
+      }
+      
+      // Restore the saved equalizer (a bad stored value is ignored, not fatal)
+      if (settings.equalizer) {
+        try {
+          this._applyEqualizer(restoreEqSettings(settings.equalizer.bands, settings.equalizer.bypass));
+          audioLog('🎚️ Player: Restored equalizer', 'info', { bypass: settings.equalizer.bypass });
+        } catch (error) {
+          audioLog('Ignoring saved equalizer', 'warn', error);
+        }
+      }
+      
+      // Restore the saved normalization unless it was passed as an option (a bad stored value is ignored)
+      if (settings.normalization && this.options.normalization === undefined) {
+        try {
+          this.normalization = updateNormalization(NormalizationDefaults, settings.normalization);
+          this._applyNormalization();
+          audioLog('📏 Player: Restored loudness normalization', 'info', this.normalization);
+        } catch (error) {
+          audioLog('Ignoring saved loudness normalization', 'warn', error);
+        }
+      }
+      
+      // Restore the saved step unit unless it was passed as an option
+      if (settings.step && this.options.step === undefined) {
+        try {
+          this.stepSettings = updateStepSettings(StepDefaults, settings.step);
+        } catch (error) {
+          audioLog('Ignoring saved step unit', 'warn', error);
+        }
+      }
+      
+      // Load failures are shown like any URL load, so ready does not wait for it
+      if (this.options.media) {
+        this._followMedia(this.options.media);
+      }
+      
       system('✅ Player: Initialization complete');
     } catch (error) {
       system('❌ Player: Initialization failed', 'error', error);
@@ -238,193 +638,2455 @@ export class SpiralWaveformPlayer {
   }
 
   /**
-   * Initialize accessibility features
+   * Create the enabled built-in controls and wire any host page elements
+   * @param {Object} settings - Saved settings (last URL / file name)
    */
-  _initializeAccessibility() {
-    // Setup keyboard navigation
-    this.keyboardNav = new KeyboardNavigationManager();
-    this.keyboardNav.initialize({
-      togglePlayPause: () => this.togglePlayPause(),
-      seekBackward: (seconds) => this.seekRelative(-seconds),
-      seekForward: (seconds) => this.seekRelative(seconds),
-      volumeUp: (amount) => {
-        const audioState = getAudioState();
-        this.setVolume(Math.min(1, audioState.volume + amount));
-      },
-      volumeDown: (amount) => {
-        const audioState = getAudioState();
-        this.setVolume(Math.max(0, audioState.volume - amount));
-      },
-      seekTo: (position) => this.seekToPosition(position),
-      toggleMute: () => {
-        const audioState = getAudioState();
-        this.setVolume(audioState.volume > 0 ? 0 : 1);
-      }
-    });
-
-    // Update canvas ARIA attributes
-    const audioState = getAudioState();
-    AriaManager.updateCanvasAria(this.canvas, audioState);
+  _createControls(settings) {
+    const { controls, elements } = this;
+    const own = (element) => {
+      this.container.appendChild(element);
+      this._ownedElements.push(element);
+      return element;
+    };
     
-    // Make canvas focusable
-    this.canvas.setAttribute('tabindex', '0');
-  }
-
-  async _onFileLoaded(result) {
-    if (result) {
-      fileLog('📂 Player: File loaded', 'info', { 
-        fileName: result.fileName, 
-        isUrl: result.isUrlLoaded,
-        duration: result.audioBuffer?.duration,
-        channels: result.audioBuffer?.numberOfChannels,
-        samples: result.waveform?.length
-      });
-      
-      this._loggedMissingData = false; // Reset the logging flag
+    this.ui = createUI(this.container, { title: controls.title, instructions: controls.instructions });
+    this._ownedElements.push(...Object.values(this.ui).filter(Boolean));
+    
+    // URL input: the host's, or a built-in one for Dropbox/direct links
+    if (elements.urlInput) {
+      this.urlInput = elements.urlInput;
+    } else if (controls.urlInput) {
+      const urlInput = document.createElement('input');
+      urlInput.type = 'text';
+      urlInput.placeholder = 'Paste audio URL (Dropbox, direct, etc.)';
+      urlInput.className = 'url-input';
+      // Only the first player on the page gets the legacy id - ids must stay unique
+      if (!document.getElementById('urlInput')) {
+        urlInput.id = 'urlInput';
+      }
       
-      // Clear URL audio reference when loading a file (not URL)
-      if (!result.isUrlLoaded) {
-        if (this._urlAudioElement) {
-          this._urlAudioElement.pause();
-          this._urlAudioElement = null;
-          
-          // DEPRECATED: Sync window global for backwards compatibility
-          if (typeof window !== 'undefined') {
-            window.urlAudioElement = null;
-          }
-          
-          audioLog('🔄 Player: Cleared URL audio element for file load');
-        }
-      } else {
-        // Keep audio element on instance
-        audioLog('🎵 Player: URL audio element stored on player instance');
-        
-        // DEPRECATED: Sync window global for backwards compatibility
-        // TODO: Remove after audio-playback.js and audio-state-adapter.js are refactored
-        if (typeof window !== 'undefined') {
-          window.urlAudioElement = this._urlAudioElement;
-          if (!this._deprecationWarningShown) {
-            console.warn('⚠️ DEPRECATED: window.urlAudioElement is deprecated. Use player.getUrlAudioElement() instead.');
-            this._deprecationWarningShown = true;
-          }
-        }
+      // Restore last URL if available
+      if (settings.lastUrl) {
+        urlInput.value = settings.lastUrl;
+        ui('🔄 Player: Restored last URL', 'info', { url: settings.lastUrl.substring(0, 50) + '...' });
       }
       
-      setAudioBuffer(result.audioBuffer, result.waveform, result.globalMaxAmp);
-      await loadAudioForPlayback(result.audioBuffer);
-      resetPlayheadAnimation();
+      this.urlInput = own(urlInput);
+    }
+    
+    // Show last loaded info with clear button
+    if (controls.lastLoaded && (settings.lastFileName || settings.lastUrl)) {
+      const lastLoadedInfo = document.createElement('div');
+      lastLoadedInfo.className = 'last-loaded-info';
       
-      this.drawCallback();
+      const infoText = document.createElement('div');
+      infoText.style.display = 'flex';
+      infoText.style.alignItems = 'center';
+      infoText.style.gap = 'var(--spacing-sm)';
+      infoText.innerHTML = `
+        <span class="last-loaded-label">Last loaded:</span>
+        <span class="last-loaded-value">${settings.lastFileName || 'URL: ' + settings.lastUrl.substring(0, 50) + '...'}</span>
+      `;
       
-      // Announce loaded audio
-      const audioState = getAudioState();
-      if (result.fileName) {
-        screenReaderAnnouncer.announceLoadComplete(result.fileName, audioState.duration);
-      }
+      const clearButton = document.createElement('button');
+      clearButton.textContent = '×';
+      clearButton.className = 'clear-settings-btn';
+      clearButton.title = 'Clear saved settings';
+      clearButton.addEventListener('click', () => {
+        if (confirm('Clear all saved settings (URL, volume, etc.)?')) {
+          SettingsManager.clear();
+          if (this.urlInput) {
+            this.urlInput.value = '';
+          }
+          lastLoadedInfo.remove();
+          ui('🗑️ Player: Settings cleared by user');
+        }
+      });
       
-      fileLog('✅ Player: File ready for playback', 'info', { duration: audioState.duration });
+      lastLoadedInfo.appendChild(infoText);
+      lastLoadedInfo.appendChild(clearButton);
+      own(lastLoadedInfo);
     }
-  }
-
-  async loadFile(file) {
-    fileLog('📥 Player: Loading file', 'info', { name: file.name, size: file.size, type: file.type });
-    const event = { target: { files: [file] } };
-    await handleFileLoad(event, this._onFileLoaded.bind(this));
     
-    // Save filename
-    if (file && file.name) {
-      updateSetting('lastFileName', file.name);
-      fileLog('💾 Player: Saved filename', 'info', { fileName: file.name });
+    let urlButton = elements.urlButton || null;
+    if (!urlButton && controls.urlButton) {
+      urlButton = document.createElement('button');
+      urlButton.textContent = 'Load from URL';
+      urlButton.className = 'url-button';
+      own(urlButton);
     }
-  }
-
-  async togglePlayPause() {
-    const audioState = getAudioState();
-    
-    // Delegate to audio-controls.js for state management and playback
-    const wasPlaying = audioState.isPlaying;
-    const success = await audioTogglePlayPause();
     
-    // Handle accessibility announcements
-    if (success !== wasPlaying) {
-      const newState = getAudioState();
-      screenReaderAnnouncer.announcePlayState(newState.isPlaying, newState.currentPlayhead, newState.duration);
+    // Save URL when loading
+    if (urlButton) {
+      this._listen(urlButton, 'click', async () => {
+        const url = this.urlInput?.value.trim();
+        if (url) {
+          ui('🔗 Player: URL load requested', 'info', { url: url.substring(0, 50) + '...' });
+          updateSetting('lastUrl', url);
+          await this.loadFromUrl(url);
+        }
+      });
     }
     
-    // Update visual representation
-    this.drawCallback();
-    
-    // Update ARIA attributes
-    AriaManager.updateCanvasAria(this.canvas, getAudioState());
-  }
-
+    // Also save URL on Enter key
+    if (this.urlInput) {
+      this._listen(this.urlInput, 'keypress', async (e) => {
+        if (e.key === 'Enter') {
+          const url = this.urlInput.value.trim();
+          if (url) {
+            ui('🔗 Player: URL load requested (Enter key)', 'info', { url: url.substring(0, 50) + '...' });
+            updateSetting('lastUrl', url);
+            await this.loadFromUrl(url);
+          }
+        }
+      });
+    }
+    
+    // One button per configured demo track
+    if (controls.demoTracks) {
+      this.demoTracks.forEach(({ label, url }) => {
+        const demoButton = document.createElement('button');
+        demoButton.textContent = label;
+        demoButton.className = 'test-file-button';
+        demoButton.title = url;
+        own(demoButton);
+        
+        demoButton.addEventListener('click', async () => {
+          // Convert relative path to absolute URL
+          const trackUrl = new URL(url, window.location.origin).href;
+          ui('🎵 Player: Demo track load requested', 'info', { url: trackUrl });
+          if (this.urlInput) {
+            this.urlInput.value = trackUrl;
+          }
+          updateSetting('lastUrl', trackUrl);
+          await this.loadFromUrl(trackUrl);
+        });
+      });
+    }
+    
+    if (elements.fileInput) {
+      this.fileInput = elements.fileInput;
+      this._elementListeners.push(attachFileInput(this.fileInput, null, this.scope, { onSelect: this._onFileSelected.bind(this) }));
+    } else if (controls.fileInput) {
+      this.fileInput = setupFileInput(this.container, null, this.scope, { onSelect: this._onFileSelected.bind(this) });
+      this._ownedElements.push(this.fileInput);
+    }
+  }
+
+  /**
+   * Create the queue list below the canvas
+   */
+  _createPlaylistUI() {
+    this.playlistUI = createPlaylistUI();
+    this.container.appendChild(this.playlistUI.root);
+    this._ownedElements.push(this.playlistUI.root);
+    
+    // One listener for the toolbar and every list entry (entries are re-rendered on change)
+    this.playlistUI.root.addEventListener('click', (e) => {
+      const button = e.target.closest?.('[data-action]');
+      if (!button) return;
+      
+      const index = Number(button.dataset.index);
+      switch (button.dataset.action) {
+        case 'previous':
+          this.previous();
+          break;
+        case 'next':
+          this.next();
+          break;
+        case 'repeat': {
+          // off → all → one → off
+          const order = [RepeatModes.OFF, RepeatModes.ALL, RepeatModes.ONE];
+          this.setRepeat(order[(order.indexOf(this.playlist.repeat) + 1) % order.length]);
+          break;
+        }
+        case 'shuffle':
+          this.setShuffle(!this.playlist.shuffle);
+          break;
+        case 'play':
+          this.playItem(index);
+          break;
+        case 'remove':
+          this.dequeue(index);
+          break;
+      }
+    });
+    
+    renderPlaylistUI(this.playlistUI, this.playlist.getSnapshot());
+  }
+
+  /**
+   * Create the marker list below the canvas
+   */
+  _createMarkersUI() {
+    this.markersUI = createMarkersUI();
+    this.container.appendChild(this.markersUI.root);
+    this._ownedElements.push(this.markersUI.root);
+    
+    // Delegated listeners for the toolbar and every list entry (entries are re-rendered on change)
+    this.markersUI.root.addEventListener('click', (e) => {
+      const button = e.target.closest?.('[data-action]');
+      if (!button) return;
+      
+      const id = Number(button.closest('[data-id]')?.dataset.id);
+      switch (button.dataset.action) {
+        case 'add':
+          if (this.getDuration() > 0) {
+            screenReaderAnnouncer.announceMarker(this.addMarker(), true);
+          }
+          break;
+        case 'export-json':
+          this._downloadMarkers(MarkerFormats.JSON);
+          break;
+        case 'export-audacity':
+          this._downloadMarkers(MarkerFormats.AUDACITY);
+          break;
+        case 'import':
+          this.markersUI.fileInput.click();
+          break;
+        case 'seek': {
+          const marker = this.markers.get(id);
+          if (marker) this.seekTo(marker.time);
+          break;
+        }
+        case 'remove':
+          this.removeMarker(id);
+          break;
+      }
+    });
+    
+    // Name and color edits are applied when committed (blur/enter, or closing the color picker)
+    this.markersUI.root.addEventListener('change', async (e) => {
+      if (e.target === this.markersUI.fileInput) {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        try {
+          this.importMarkers(await file.text());
+        } catch (error) {
+          this._showError(error);
+        }
+        return;
+      }
+      
+      const field = e.target.dataset?.field;
+      const id = Number(e.target.closest?.('[data-id]')?.dataset.id);
+      if (!field) return;
+      try {
+        this.updateMarker(id, { [field]: e.target.value });
+      } catch (error) {
+        ui('Ignoring invalid marker edit', 'warn', error);
+        renderMarkersUI(this.markersUI, this.markers.getAll(), this.getDuration() > 0);
+      }
+    });
+    
+    renderMarkersUI(this.markersUI, this.markers.getAll(), this.getDuration() > 0);
+  }
+
+  /**
+   * Create the equalizer button and its panel below the canvas
+   */
+  _createEqualizerUI() {
+    this.equalizerUI = createEqualizerUI();
+    this.container.appendChild(this.equalizerUI.root);
+    this._ownedElements.push(this.equalizerUI.root);
+    
+    const { root, toggle, panel, presetName } = this.equalizerUI;
+    root.addEventListener('click', (e) => {
+      const button = e.target.closest?.('[data-action]');
+      if (!button) return;
+      
+      try {
+        switch (button.dataset.action) {
+          case 'toggle':
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+            toggle.classList.toggle('active', !panel.hidden);
+            break;
+          case 'save-preset':
+            this.saveEqPreset(presetName.value.trim());
+            presetName.value = '';
+            break;
+          case 'delete-preset':
+            if (this._eqPreset) this.deleteEqPreset(this._eqPreset);
+            break;
+        }
+      } catch (error) {
+        this._showError(error);
+      }
+    });
+    
+    // Sliders apply while they move; number fields and checkboxes when committed
+    const onEdit = (e) => {
+      const field = e.target.dataset?.field;
+      if (!field) return;
+      try {
+        if (field === 'bypass') {
+          this.setEqBypass(e.target.checked);
+        } else if (field === 'preset') {
+          if (e.target.value) this.applyEqPreset(e.target.value);
+        } else {
+          const value = field === 'enabled' ? e.target.checked : Number(e.target.value);
+          this.setEqBand(e.target.closest('[data-band]').dataset.band, { [field]: value });
+        }
+      } catch (error) {
+        ui('Ignoring invalid equalizer edit', 'warn', error);
+        this._renderEqualizerUI();
+      }
+    };
+    root.addEventListener('change', onEdit);
+    root.addEventListener('input', (e) => {
+      if (e.target.type === 'range') onEdit(e);
+    });
+    
+    this._renderEqualizerUI();
+  }
+
+  _renderEqualizerUI() {
+    if (!this.equalizerUI) return;
+    const frequencies = getEqCurveFrequencies();
+    renderEqualizerUI(this.equalizerUI, this.getEqualizer(), {
+      frequencies,
+      response: this.getEqResponse(frequencies),
+      presets: this.getEqPresets(),
+      preset: this._eqPreset
+    });
+  }
+
+  /**
+   * Create the "Resume from ...?" bar below the canvas
+   */
+  _createResumePromptUI() {
+    this.resumePromptUI = createResumePromptUI();
+    this.container.appendChild(this.resumePromptUI.root);
+    this._ownedElements.push(this.resumePromptUI.root);
+    
+    this.resumePromptUI.root.addEventListener('click', (e) => {
+      const action = e.target.closest?.('[data-action]')?.dataset.action;
+      if (action === 'resume') {
+        this.resumePosition();
+        if (!this.isPlaying()) {
+          this.play().catch(error => this._showError(error));
+        }
+      } else if (action === 'dismiss') {
+        this.dismissResume();
+      }
+    });
+  }
+
+  _renderResumePromptUI() {
+    if (this.resumePromptUI) {
+      renderResumePromptUI(this.resumePromptUI, this._resumeOffer);
+    }
+  }
+
+  /**
+   * Create the track info button and its panel below the canvas
+   */
+  _createTrackInfoUI() {
+    this.trackInfoUI = createTrackInfoUI();
+    this.container.appendChild(this.trackInfoUI.root);
+    this._ownedElements.push(this.trackInfoUI.root);
+    
+    const { root, toggle, panel } = this.trackInfoUI;
+    root.addEventListener('click', (e) => {
+      if (e.target.closest?.('[data-action="toggle"]')) {
+        panel.hidden = !panel.hidden;
+        toggle.setAttribute('aria-expanded', String(!panel.hidden));
+        toggle.classList.toggle('active', !panel.hidden);
+      }
+    });
+    root.addEventListener('change', (e) => {
+      const field = e.target.dataset?.field;
+      if (!field) return;
+      try {
+        this.setNormalization({ [field]: field === 'enabled' ? e.target.checked : Number(e.target.value) });
+      } catch (error) {
+        ui('Ignoring invalid normalization edit', 'warn', error);
+        this._renderTrackInfoUI();
+      }
+    });
+    
+    this._renderTrackInfoUI();
+  }
+
+  _renderTrackInfoUI() {
+    if (!this.trackInfoUI) return;
+    const audioBuffer = this._loudness?.audioBuffer;
+    const track = audioBuffer ? {
+      name: this._source?.name ?? '',
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels,
+      sampleRate: audioBuffer.sampleRate,
+      loudness: this.getLoudness(),
+      tags: this._tags,
+      artworkUrl: this._artworkUrl
+    } : null;
+    renderTrackInfoUI(this.trackInfoUI, track, this.normalization);
+  }
+
+  /**
+   * Add a listener that destroy() removes again (for elements that outlive the player)
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {Function} handler
+   */
+  _listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this._elementListeners.push(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * Initialize accessibility features
+   */
+  _initializeAccessibility() {
+    // Keyboard shortcuts go to the player that was last clicked or focused
+    this._onActivate = () => { SpiralWaveformPlayer.#activeInstance = this; };
+    this.container.addEventListener('pointerdown', this._onActivate);
+    this.container.addEventListener('focusin', this._onActivate);
+    
+    // Setup keyboard navigation
+    this.keyboardNav = new KeyboardNavigationManager();
+    this.keyboardNav.initialize({
+      togglePlayPause: () => this.togglePlayPause(),
+      seekBackward: (seconds) => this.seekRelative(-seconds),
+      seekForward: (seconds) => this.seekRelative(seconds),
+      volumeUp: (amount) => {
+        const audioState = getAudioState(this.scope.stateManager);
+        this.setVolume(Math.min(1, audioState.volume + amount));
+      },
+      volumeDown: (amount) => {
+        const audioState = getAudioState(this.scope.stateManager);
+        this.setVolume(Math.max(0, audioState.volume - amount));
+      },
+      seekTo: (position) => this.seekToPosition(position),
+      speedUp: (step) => this._stepPlaybackRate(step),
+      speedDown: (step) => this._stepPlaybackRate(-step),
+      shuttleForward: () => this._shuttleFromKeyboard(() => this.shuttleForward()),
+      shuttleReverse: () => this._shuttleFromKeyboard(() => this.shuttleReverse()),
+      slowForward: () => this._shuttleFromKeyboard(() => this.shuttle(CONFIG.SHUTTLE_SLOW_SPEED)),
+      slowReverse: () => this._shuttleFromKeyboard(() => this.shuttle(-CONFIG.SHUTTLE_SLOW_SPEED)),
+      shuttleStop: () => {
+        if (!this.isPlaying()) return false;
+        this.pause();
+        return true;
+      },
+      stepForward: () => this.stepForward(),
+      stepBackward: () => this.stepBackward(),
+      nextChannelMode: () => this._stepChannelMode(1),
+      previousChannelMode: () => this._stepChannelMode(-1),
+      balanceLeft: (step) => this._stepBalance(-step),
+      balanceRight: (step) => this._stepBalance(step),
+      setLoopStart: () => this._markLoopPoint('a'),
+      setLoopEnd: () => this._markLoopPoint('b'),
+      clearLoopRegion: () => {
+        if (this.getLoopRegion() || this._pendingLoopStart !== null) {
+          this.clearLoopRegion();
+          screenReaderAnnouncer.announceLoopRegion(null);
+        }
+      },
+      addMarker: () => {
+        if (this.getDuration() > 0) {
+          screenReaderAnnouncer.announceMarker(this.addMarker(), true);
+        }
+      },
+      previousMarker: () => {
+        const marker = this.previousMarker();
+        if (marker) screenReaderAnnouncer.announceMarker(marker);
+      },
+      nextMarker: () => {
+        const marker = this.nextMarker();
+        if (marker) screenReaderAnnouncer.announceMarker(marker);
+      },
+      toggleMute: () => {
+        const audioState = getAudioState(this.scope.stateManager);
+        this.setVolume(audioState.volume > 0 ? 0 : 1);
+      }
+    }, {
+      shouldHandle: (e) => this._ownsKeyboardEvent(e)
+    });
+
+    // Update canvas ARIA attributes
+    const audioState = getAudioState(this.scope.stateManager);
+    AriaManager.updateCanvasAria(this.canvas, audioState);
+    
+    // Make canvas focusable
+    this.canvas.setAttribute('tabindex', '0');
+  }
+
+  async _onFileLoaded(result) {
+    if (result) {
+      fileLog('📂 Player: File loaded', 'info', { 
+        fileName: result.fileName, 
+        isUrl: result.isUrlLoaded,
+        duration: result.audioBuffer?.duration,
+        channels: result.audioBuffer?.numberOfChannels,
+        samples: result.waveform?.length
+      });
+      
+      this._loggedMissingData = false; // Reset the logging flag
+      // Loop points belong to the previous track (setAudioBuffer clears the region itself)
+      this._pendingLoopStart = null;
+      this.visualState.trackTransition = null;
+      
+      // A track loaded some other way takes over from the playlist (no auto-advance after it)
+      if (!result.isPlaylistItem && this.playlist.hasPosition) {
+        this.playlist.setCurrent(-1);
+        this._onPlaylistChange();
+      }
+      this._loadedItemId = result.isPlaylistItem ? this.playlist.current?.id ?? null : null;
+      
+      const { playback, stateManager } = this.scope;
+      
+      // Any other source replaces the followed page element
+      if (this._mediaFollower && result.mediaElement !== this._mediaFollower.element) {
+        this._stopFollowingMedia();
+      }
+      
+      // Clear URL audio reference when loading a file (not URL)
+      if (!result.isUrlLoaded && playback.getMediaElement()) {
+        playback.releaseMediaElement();
+        audioLog('🔄 Player: Cleared URL audio element for file load');
+      }
+      
+      setAudioBuffer(result.audioBuffer, result.waveform, result.globalMaxAmp, stateManager, playback.getMediaElement());
+      await playback.load(result.audioBuffer);
+      resetPlayheadAnimation(this.scope);
+      const name = result.fileName || this._source?.name;
+      this._setTags(result.tags ?? result.info?.tags);
+      this._loadMarkers(name, this._tags?.chapters);
+      this.drawCallback();
+      
+      if (result.isPlaceholder) {
+        // Measuring made-up samples would cache a fake loudness and gain the real stream by it
+        this._measuring?.abort();
+        this._loudness = null;
+        this._applyNormalization();
+      } else if (!(await this._updateLoudness(result.audioBuffer, this._source))) {
+        // Another track loaded while this one was measured
+        return;
+      }
+      
+      // Announce loaded audio
+      const audioState = getAudioState(stateManager);
+      if (result.fileName || this._tags?.title) {
+        screenReaderAnnouncer.announceLoadComplete(result.fileName, audioState.duration, this._tags);
+      }
+      
+      fileLog('✅ Player: File ready for playback', 'info', { duration: audioState.duration });
+      
+      this._emit(PlayerEvents.LOADED, {
+        channels: result.audioBuffer?.numberOfChannels,
+        sampleRate: result.audioBuffer?.sampleRate,
+        // What the bytes are (null when nothing was read, e.g. a placeholder waveform)
+        format: result.format ?? result.info?.format ?? null,
+        formatMismatch: result.formatMismatch ?? result.info?.formatMismatch ?? null,
+        tags: this.getTags()
+      });
+      
+      // A followed page element keeps its own place
+      this._loadResumePosition(result.mediaElement ? null : getResumeKey(this._source, result.audioBuffer));
+      
+      // The page element may already be playing or positioned
+      if (result.mediaElement) {
+        this._mediaFollower?.sync();
+      }
+    }
+  }
+
+  /**
+   * Load audio from memory
+   * Unlike loadFile()/loadFromUrl(), failures reject instead of showing an error toast.
+   * A load started (or cancelLoad()) while this one decodes wins: this one then rejects
+   * with an AbortError and the track stays as it was.
+   * @param {File|Blob|ArrayBuffer|ArrayBufferView|AudioBuffer|{peaks: ArrayLike<number>, duration: number}} source
+   * @param {import('./source-loader.js').LoadOptions} [options] - `name`, `mimeType`, `format`, `pcm` (raw PCM layout)
+   * @returns {Promise<import('./source-loader.js').TrackInfo>} Duration, channels, sample rate, format, name and tags
+   * @throws {AudioLoadError|ValidationError|DOMException}
+   */
+  async load(source, options = {}) {
+    await this.ready;
+    const load = this._startLoad();
+    const previousSource = this._source;
+    const description = describeSource(source, options);
+    this._emit(PlayerEvents.LOAD_START, { source: description });
+    
+    try {
+      const result = await loadSource(source, options);
+      if (!this._isCurrentLoad(load)) {
+        throw load.signal.reason ?? new DOMException('Load replaced by a newer one', 'AbortError');
+      }
+      this._loadController = null;
+      
+      // Dispose of the previous track only once the new one decoded
+      await disposeAudio(this.scope);
+      await this._onFileLoaded(result);
+      
+      fileLog('✅ Player: Source loaded', 'info', result.info);
+      return result.info;
+    } catch (error) {
+      if (this._loadController === load) {
+        this._loadController = null;
+      }
+      if (error?.name === 'AbortError') {
+        fileLog('🛑 Player: Load cancelled', 'info', { name: description.name });
+        if (this._source === description) {
+          this._source = previousSource;
+        }
+        if (!this.destroyed) {
+          this._emit(PlayerEvents.LOAD_ABORT, { source: previousSource, cancelled: description });
+        }
+        throw error;
+      }
+      fileLog('❌ Player: Source load failed', 'error', error);
+      this._emit(PlayerEvents.ERROR, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Load what was dropped or pasted: one file or link replaces the track (as the file
+   * input and URL field do); several are added to the playlist in order and the first
+   * is played. Files that fail FileValidation.validateAudioFileContent() are reported and skipped.
+   * @param {{files: File[], urls: string[]}} sources - From getTransferredSources()
+   * @returns {Promise<boolean>} Whether anything was loaded
+   */
+  async _loadTransferred({ files, urls }) {
+    const { accepted, rejected } = await validateAudioFiles(files);
+    if (rejected.length > 0) {
+      this._showError(rejected[0]);
+    }
+    
+    const sources = [...accepted, ...urls];
+    if (sources.length === 0) {
+      if (rejected.length === 0) {
+        this._showError(new ValidationError('Nothing to load: drop audio files or an http(s) link', 'sources', null, 'File|URL'));
+      }
+      return false;
+    }
+    
+    try {
+      if (sources.length > 1) {
+        const [first] = this.enqueue(sources);
+        return await this.playItem(this.playlist.indexOf(first.id));
+      }
+      if (accepted.length === 1) {
+        await this.loadFile(accepted[0]);
+      } else {
+        if (this.urlInput) {
+          this.urlInput.value = urls[0];
+        }
+        updateSetting('lastUrl', urls[0]);
+        await this.loadFromUrl(urls[0]);
+      }
+      return true;
+    } catch (error) {
+      // Decoding errors were already shown by the loader
+      fileLog('❌ Player: Dropped audio failed to load', 'error', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Paste: audio blobs or http(s) links on the clipboard load like a drop.
+   * Pastes into text fields, and clipboards holding anything else, are left alone.
+   * @param {ClipboardEvent} e
+   */
+  _onPaste(e) {
+    if (!this._ownsKeyboardEvent(e)) return;
+    const target = e.composedPath?.()[0] ?? e.target;
+    if (target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+    
+    const sources = getTransferredSources(e.clipboardData);
+    if (sources.files.length === 0 && sources.urls.length === 0) return;
+    e.preventDefault();
+    fileLog('📋 Player: Sources pasted', 'info', { files: sources.files.length, urls: sources.urls.length });
+    this._loadTransferred(sources);
+  }
+
+  /**
+   * File input change: load the chosen file
+   * @param {File} file
+   */
+  async _onFileSelected(file) {
+    try {
+      await this.loadFile(file);
+    } catch (error) {
+      // Already reported by handleFileLoad() (error event) or the loader (error toast)
+      fileLog('❌ Player: Selected file failed to load', 'error', error);
+    }
+  }
+
+  /**
+   * Load a local file (the file input, drops and pastes go through here too).
+   * Like load(), a load started (or cancelLoad()) while this one decodes wins: this one
+   * then resolves without touching the track, and a `loadabort` event fires.
+   * @param {File} file
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When the file is not audio (decode failures are shown, not thrown)
+   */
+  async loadFile(file) {
+    fileLog('📥 Player: Loading file', 'info', { name: file.name, size: file.size, type: file.type });
+    const load = this._startLoad();
+    const previousSource = this._source;
+    // handleFileLoad() emits loadstart with the file's description
+    let source = null;
+    const stopWatching = this.scope.events.once(PlayerEvents.LOAD_START, (detail) => { source = detail.source; });
+    const event = { target: { files: [file] } };
+    
+    try {
+      await handleFileLoad(event, (result) => {
+        // Replaced while playback.load() settled
+        if (!this._isCurrentLoad(load)) return undefined;
+        this._loadController = null;
+        return this._onFileLoaded(result);
+      }, this.scope, { signal: load.signal });
+    } catch (error) {
+      if (error?.name !== 'AbortError') throw error;
+      fileLog('🛑 Player: File load cancelled', 'info', { name: file.name });
+      // The track from before stays loaded
+      if (source && this._source === source) {
+        this._source = previousSource;
+      }
+      if (!this.destroyed) {
+        this._emit(PlayerEvents.LOAD_ABORT, { source: previousSource, cancelled: source ?? describeFileSource(file) });
+      }
+      return;
+    } finally {
+      stopWatching();
+      if (this._loadController === load) {
+        this._loadController = null;
+      }
+    }
+    
+    // Save filename
+    if (file && file.name) {
+      updateSetting('lastFileName', file.name);
+      fileLog('💾 Player: Saved filename', 'info', { fileName: file.name });
+    }
+  }
+
+  /**
+   * Follow a page `<audio>` or `<video>` element instead of streaming through a hidden one.
+   * Its source is decoded for the waveform; play/pause, seeks and scrubbing drive the
+   * element, and its own controls drive the player. Swapping its src reloads the
+   * waveform. Loading any other source, detachMedia() or destroy() stop following it;
+   * the element itself is never paused, emptied or removed by that.
+   * @param {HTMLMediaElement} element
+   * @returns {Promise<void>} Resolves once the element's waveform is loaded (load errors are shown, not thrown)
+   * @throws {ValidationError} If element is not an HTMLMediaElement
+   */
+  async attachMedia(element) {
+    validateMediaElement(element);
+    await this.ready;
+    if (this.destroyed) return;
+    
+    await this._followMedia(element);
+  }
+
+  /**
+   * Stop following the attached media element and unload its waveform
+   * The element keeps playing if it was.
+   */
+  detachMedia() {
+    const element = this._mediaFollower?.element;
+    if (!element) return;
+    
+    this._stopFollowingMedia();
+    if (this.scope.playback.getMediaElement() === element) {
+      disposeAudio(this.scope).catch(error => system('❌ Player: Failed to release audio', 'error', error));
+      this._draw();
+    }
+  }
+
+  /**
+   * @returns {HTMLMediaElement|null} The page element this player follows
+   */
+  getMediaElement() {
+    return this._mediaFollower?.element ?? null;
+  }
+
+  /**
+   * @param {HTMLMediaElement} element
+   * @returns {Promise<void>}
+   */
+  async _followMedia(element) {
+    if (this._mediaFollower?.element === element) return;
+    this._stopFollowingMedia();
+    
+    this._mediaFollower = new MediaElementFollower(this.scope, element, {
+      onSourceChange: (source) => this._loadMediaSource(source)
+    });
+    this._mediaFollower.start();
+    await this._loadMediaSource(this._mediaFollower.source);
+  }
+
+  /**
+   * Load the followed element's current source (or clear the track when it has none)
+   * @param {string} source
+   * @returns {Promise<void>}
+   */
+  async _loadMediaSource(source) {
+    const element = this._mediaFollower?.element;
+    if (!element) return;
+    
+    if (!source) {
+      fileLog('🔗 Player: Media element has no source yet');
+      await disposeAudio(this.scope);
+      this._draw();
+      return;
+    }
+    
+    await this._loadUrl(source, element);
+  }
+
+  _stopFollowingMedia() {
+    this._mediaFollower?.stop();
+    this._mediaFollower = null;
+  }
+
+  async togglePlayPause() {
+    const audioState = getAudioState(this.scope.stateManager);
+    
+    // Delegate to audio-controls.js for state management and playback
+    const wasPlaying = audioState.isPlaying;
+    const success = await audioTogglePlayPause(this.scope);
+    
+    // Handle accessibility announcements
+    if (success !== wasPlaying) {
+      const newState = getAudioState(this.scope.stateManager);
+      screenReaderAnnouncer.announcePlayState(newState.isPlaying, newState.currentPlayhead, newState.duration);
+    }
+    
+    // Update visual representation
+    this.drawCallback();
+    
+    // Update ARIA attributes
+    AriaManager.updateCanvasAria(this.canvas, getAudioState(this.scope.stateManager));
+  }
+
+  /**
+   * Start playback if paused
+   * @returns {Promise<void>}
+   */
+  async play() {
+    if (!this.isPlaying()) {
+      await this.togglePlayPause();
+    }
+  }
+
+  /**
+   * Pause playback if playing
+   * @returns {Promise<void>}
+   */
+  async pause() {
+    if (this.isPlaying()) {
+      await this.togglePlayPause();
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether this player is currently playing
+   */
+  isPlaying() {
+    return !!getAudioState(this.scope.stateManager).isPlaying;
+  }
+
+  /**
+   * @returns {number} Playhead position in seconds
+   */
+  getCurrentTime() {
+    return getAudioState(this.scope.stateManager).currentPlayhead || 0;
+  }
+
+  /**
+   * @returns {number} Duration of the loaded track in seconds (0 when nothing is loaded)
+   */
+  getDuration() {
+    return getAudioState(this.scope.stateManager).duration || 0;
+  }
+
+  /**
+   * Seek to an absolute time
+   * @param {number} seconds - Target time, clamped to the track
+   */
+  seekTo(seconds) {
+    const duration = this.getDuration();
+    if (duration > 0 && Number.isFinite(seconds)) {
+      this.seekToPosition(Math.max(0, Math.min(1, seconds / duration)));
+    }
+  }
+
   seekToPosition(normalizedPosition) {
     // Delegate to audio-controls.js for state management and seeking
-    const success = audioSeekToPosition(normalizedPosition);
+    const success = audioSeekToPosition(normalizedPosition, this.scope);
+    
+    if (success) {
+      const audioState = getAudioState(this.scope.stateManager);
+      // Announce seek position
+      screenReaderAnnouncer.announceSeek(audioState.currentPlayhead, audioState.duration);
+      
+      // Update visual representation
+      this.drawCallback();
+      
+      // Update ARIA attributes
+      AriaManager.updateCanvasAria(this.canvas, audioState);
+    }
+  }
+
+  seekRelative(deltaSeconds) {
+    // Delegate to audio-controls.js for state management and seeking
+    const success = audioSeekRelative(deltaSeconds, this.scope);
+    
+    if (success) {
+      // Update visual representation
+      this.drawCallback();
+    }
+  }
+
+  /**
+   * Change visual settings live; the affected parts are redrawn on the next frame
+   * @param {Object} visual - Any of VisualConfigKeys (WAVEFORM_SHADOW / WAVEFORM_COLORS may be partial)
+   * @returns {Object} The player's full visual config after the change
+   * @throws {ValidationError} If any setting is invalid (nothing is changed)
+   */
+  configure(visual) {
+    const dirty = applyVisualConfig(this.scope.visual, visual);
+    dirty.forEach(component => this.scope.renderState.markDirty(component, 'configure'));
+    ui('🎨 Player: Visual config updated', 'info', { keys: Object.keys(visual), dirty });
+    return this.getVisualConfig();
+  }
+
+  /**
+   * Set the title/artist/album/artwork shown by the OS media controls.
+   * Each load resets it to the track's tags (or its name), so call this after loading.
+   * @param {import('./media-session.js').TrackMetadata} metadata
+   * @throws {ValidationError} For non-string fields or malformed artwork
+   */
+  setMetadata(metadata) {
+    this.mediaSession?.setMetadata(metadata);
+  }
+
+  /**
+   * @returns {import('./media-session.js').TrackMetadata} Current track metadata (empty with mediaSession: false)
+   */
+  getMetadata() {
+    return this.mediaSession?.getMetadata() ?? {};
+  }
+
+  /**
+   * Tags read from the loaded track's file before it was decoded: title, artist,
+   * album, track number, year, comment, artwork, ReplayGain and chapters
+   * (the artwork's `data` bytes are shared, not copied)
+   * @returns {import('./tag-reader.js').TrackTags|null} null when the track has none, or was not loaded from a file
+   */
+  getTags() {
+    const tags = this._tags;
+    if (!tags) return null;
+    return {
+      ...tags,
+      artwork: tags.artwork.map(picture => ({ ...picture })),
+      replayGain: tags.replayGain ? { ...tags.replayGain } : null,
+      chapters: tags.chapters.map(chapter => ({ ...chapter })),
+      formats: [...tags.formats]
+    };
+  }
+
+  /**
+   * Take over a newly loaded track's tags, and give its cover art a URL
+   * @param {import('./tag-reader.js').TrackTags|null} tags
+   */
+  _setTags(tags) {
+    if (this._artworkUrl) {
+      URL.revokeObjectURL(this._artworkUrl);
+      this._artworkUrl = null;
+    }
+    this._tags = tags ?? null;
+    
+    const cover = getCoverArt(this._tags);
+    if (cover) {
+      this._artworkUrl = URL.createObjectURL(new Blob([cover.data], { type: cover.mimeType }));
+    }
+  }
+
+  /**
+   * Media session metadata for the loaded track: its tags, falling back to its name
+   * @returns {import('./media-session.js').TrackMetadata}
+   */
+  _getTagMetadata() {
+    const tags = this._tags;
+    const cover = getCoverArt(tags);
+    return {
+      title: tags?.title || this._source?.name || '',
+      ...(tags?.artist ? { artist: tags.artist } : {}),
+      ...(tags?.album ? { album: tags.album } : {}),
+      ...(this._artworkUrl ? { artwork: [{ src: this._artworkUrl, ...(cover.mimeType ? { type: cover.mimeType } : {}) }] } : {})
+    };
+  }
+
+  /**
+   * @returns {Object} A copy of the player's visual config
+   */
+  getVisualConfig() {
+    return copyVisualConfig(this.scope.visual);
+  }
+
+  setVolume(volume) {
+    // Delegate to audio-controls.js for validation and volume setting
+    const actualVolume = audioSetVolume(volume, this.scope);
+    // Save volume setting
+    updateSetting('volume', actualVolume);
+  }
+
+  /**
+   * Change the playback speed and remember it for the next visit.
+   * Works for decoded and streamed audio; getCurrentTime() and the playhead follow the new speed.
+   * `preservePitch` applies to streamed (URL and attached media element) audio - decoded
+   * buffers play through an AudioBufferSourceNode, which always shifts the pitch with the speed.
+   * @param {number} rate - Speed multiplier between CONFIG.PLAYBACK_RATE_MIN and PLAYBACK_RATE_MAX (0.5-2)
+   * @param {Object} [options]
+   * @param {boolean} [options.preservePitch] - Keep the pitch (defaults to the current setting, initially true)
+   * @returns {number} The rate now in effect
+   * @throws {ValidationError} For a rate outside the range or a non-boolean preservePitch
+   */
+  setPlaybackRate(rate, { preservePitch } = {}) {
+    const { PLAYBACK_RATE_MIN: min, PLAYBACK_RATE_MAX: max } = CONFIG;
+    if (!TypeValidator.isNumber(rate, { min, max })) {
+      throw new ValidationError(`playbackRate must be a number between ${min} and ${max}`, 'playbackRate', rate, 'number');
+    }
+    if (preservePitch !== undefined && typeof preservePitch !== 'boolean') {
+      throw new ValidationError('preservePitch must be true or false', 'preservePitch', preservePitch, 'boolean');
+    }
+    
+    const pitch = preservePitch ?? getAudioState(this.scope.stateManager).preservePitch;
+    const actualRate = audioSetPlaybackRate(rate, pitch, this.scope);
+    // Save speed setting
+    updateSetting('playbackRate', actualRate);
+    updateSetting('preservePitch', pitch);
+    return actualRate;
+  }
+
+  /**
+   * Set how long play, pause, seek and stop fade, so no transport action clicks.
+   * Decoded audio ramps each source's gain, and a seek crossfades the old source into
+   * the new one; streamed URL audio ramps the element's volume. A page element followed
+   * with attachMedia() is never faded - its volume belongs to the page.
+   * @param {number} seconds - Up to CONFIG.TRANSPORT_FADE_MAX_DURATION (0 switches fades off)
+   * @returns {number} The fade length now in effect
+   * @throws {ValidationError}
+   */
+  setFadeDuration(seconds) {
+    validateFadeDuration(seconds);
+    this.scope.playback.setFadeDuration(seconds);
+    return seconds;
+  }
+
+  /**
+   * @returns {number} Transport fade length in seconds
+   */
+  getFadeDuration() {
+    return this.scope.playback.getFadeDuration();
+  }
+
+  /**
+   * @returns {number} Current playback speed multiplier
+   */
+  getPlaybackRate() {
+    return getAudioState(this.scope.stateManager).playbackRate;
+  }
+
+  /**
+   * Shuttle: play at a speed that overrides the playback rate until playback pauses
+   * (a negative speed plays backwards), starting playback if it is paused.
+   * Backwards playback needs decoded audio and stops at the start of the track.
+   * Keyboard: L / J shuttle forward / backward at 1×, 2× and 4× (each press is faster),
+   * K+L / K+J play slow motion while held, and K stops.
+   * @param {number} speed - CONFIG.SHUTTLE_SLOW_SPEED to CONFIG.SHUTTLE_MAX_SPEED (0.25-4) either way
+   * @returns {Promise<number>} The speed now in effect
+   * @throws {ValidationError} For speeds out of range, without a loaded track, or backwards on streamed audio
+   */
+  async shuttle(speed) {
+    validateShuttleSpeed(speed);
+    if (!(this.getDuration() > 0)) {
+      throw new ValidationError('Shuttle needs a loaded track', 'speed', speed, 'number');
+    }
+    
+    audioSetShuttle(speed, this.scope);
+    if (!this.isPlaying()) {
+      await this.play();
+    }
+    return speed;
+  }
+
+  /**
+   * Shuttle forward one step faster (as L does): 1× from a standstill or from
+   * playing backwards, then 2× and 4×
+   * @returns {Promise<number>} The speed now in effect
+   */
+  shuttleForward() {
+    return this.shuttle(getNextShuttleSpeed(this._getSignedSpeed(), 1));
+  }
+
+  /**
+   * Shuttle backward one step faster (as J does): -1×, -2×, -4×
+   * @returns {Promise<number>} The speed now in effect
+   * @throws {ValidationError} On streamed audio (see shuttle())
+   */
+  shuttleReverse() {
+    return this.shuttle(getNextShuttleSpeed(this._getSignedSpeed(), -1));
+  }
+
+  /**
+   * @returns {number|null} Signed shuttle speed, or null when not shuttling
+   */
+  getShuttle() {
+    return getAudioState(this.scope.stateManager).shuttle;
+  }
+
+  // Speed playback is moving at (a regular play counts as its playback rate), null when paused
+  _getSignedSpeed() {
+    return this.getShuttle() ?? (this.isPlaying() ? this.getPlaybackRate() : null);
+  }
+
+  _shuttleFromKeyboard(shuttle) {
+    shuttle().then(speed => {
+      screenReaderAnnouncer.announceShuttle(speed);
+    }).catch(error => {
+      ui('Ignoring shuttle key', 'warn', error);
+    });
+  }
+
+  /**
+   * Choose what a single step moves by: CONFIG.STEP_MILLISECONDS (`ms`, 10 ms),
+   * one video frame (`frame`, at `fps`) or one beat (`beat`, at `bpm`).
+   * Steps land on the unit's grid from the start of the track. Saved for the next visit.
+   * @param {{unit?: string, fps?: number, bpm?: number|null}} changes - Unset fields keep their value
+   * @returns {import('./shuttle.js').StepSettings} Copy of the settings now in effect
+   * @throws {ValidationError} For unknown units, fps outside 0-240, bpm outside 20-400,
+   *   or the beat unit without a bpm
+   */
+  setStep(changes) {
+    this.stepSettings = updateStepSettings(this.stepSettings, changes);
+    updateSetting('step', { ...this.stepSettings });
+    return { ...this.stepSettings };
+  }
+
+  /**
+   * @returns {import('./shuttle.js').StepSettings} Copy of the step settings
+   */
+  getStep() {
+    return { ...this.stepSettings };
+  }
+
+  /**
+   * Pause and move the playhead forward by steps of the step unit (the `.` key)
+   * @param {number} [count=1]
+   * @returns {Promise<number>} The new position in seconds
+   */
+  stepForward(count = 1) {
+    return this._step(count);
+  }
+
+  /**
+   * Pause and move the playhead back by steps of the step unit (the `,` key)
+   * @param {number} [count=1]
+   * @returns {Promise<number>} The new position in seconds
+   */
+  stepBackward(count = 1) {
+    return this._step(-count);
+  }
+
+  async _step(steps) {
+    if (!TypeValidator.isNumber(steps)) {
+      throw new ValidationError('step count must be a number', 'count', steps, 'number');
+    }
+    await this.pause();
+    
+    const time = Math.max(0, Math.min(this.getDuration(), getStepTarget(this.getCurrentTime(), steps, this.stepSettings)));
+    this.seekTo(time);
+    return time;
+  }
+
+  /**
+   * Choose which channels of a stereo track are heard: both (`stereo`), one of them on
+   * both speakers (`left`/`right`), a mono fold-down, the mid or side signal, or
+   * `karaoke` (center cancelled, bass kept). The ring draws what the mode lets through.
+   * Streamed URL audio is only routed when the browser lets it into the Web Audio graph
+   * (same-origin or CORS audio; see isMediaElementRouted() on the playback).
+   * @param {string} mode - One of ChannelModes
+   * @returns {string} The mode now in effect
+   * @throws {ValidationError}
+   */
+  setChannelMode(mode) {
+    validateChannelMode(mode);
+    audioSetChannelRouting(mode, this.getBalance(), this.scope);
+    return mode;
+  }
+
+  /**
+   * @returns {string} Current channel mode (one of ChannelModes)
+   */
+  getChannelMode() {
+    return getAudioState(this.scope.stateManager).channelMode;
+  }
+
+  /**
+   * Balance between the speakers, applied after the channel mode (it pans the mono modes)
+   * @param {number} balance - -1 (left only) to 1 (right only), 0 = centered
+   * @returns {number} The balance now in effect
+   * @throws {ValidationError}
+   */
+  setBalance(balance) {
+    validateBalance(balance);
+    audioSetChannelRouting(this.getChannelMode(), balance, this.scope);
+    return balance;
+  }
+
+  /**
+   * @returns {number} Current balance (-1 to 1)
+   */
+  getBalance() {
+    return getAudioState(this.scope.stateManager).balance;
+  }
+
+  /**
+   * Keyboard channel mode cycling (wraps around)
+   * @param {number} direction - 1 or -1
+   */
+  _stepChannelMode(direction) {
+    const modes = Object.values(ChannelModes);
+    const index = modes.indexOf(this.getChannelMode());
+    const mode = this.setChannelMode(modes[(index + direction + modes.length) % modes.length]);
+    screenReaderAnnouncer.announceChannelRouting(mode, this.getBalance());
+  }
+
+  /**
+   * Keyboard balance step, clamped to -1..1
+   * @param {number} delta
+   */
+  _stepBalance(delta) {
+    // Rounded so repeated steps land back on exactly 0
+    const balance = Math.round(Math.max(-1, Math.min(1, this.getBalance() + delta)) * 100) / 100;
+    if (balance === this.getBalance()) return;
+    
+    this.setBalance(balance);
+    screenReaderAnnouncer.announceChannelRouting(this.getChannelMode(), balance);
+  }
+
+  /**
+   * Keep visualState.routedWaveform in step with the loaded buffer and routing.
+   * Null for centered stereo and for streamed URL audio the routing does not reach.
+   * @param {Object} audioState - getAudioState() snapshot
+   */
+  _updateRoutedWaveform(audioState) {
+    const { audioBuffer, channelMode, balance } = audioState;
+    const routed = this.visualState.routedWaveform;
+    const { playback } = this.scope;
+    const unrouted = isDefaultRouting(channelMode, balance) || (!!playback.getMediaElement() && !playback.isMediaElementRouted());
+    
+    if (unrouted || !audioBuffer) {
+      if (routed) {
+        this.visualState.routedWaveform = null;
+        this.scope.renderState.markDirty(RenderComponents.WAVEFORM);
+      }
+      return;
+    }
+    if (routed?.audioBuffer === audioBuffer && routed.channelMode === channelMode && routed.balance === balance) return;
+    
+    const { samples, maxAmp } = mixChannels(audioBuffer, channelMode, balance);
+    // A silent result (e.g. the side signal of a mono track) keeps a usable scale
+    this.visualState.routedWaveform = { audioBuffer, channelMode, balance, samples, globalMaxAmp: maxAmp || 1 };
+    this.scope.renderState.markDirty(RenderComponents.WAVEFORM);
+  }
+
+  /**
+   * Change one equalizer band
+   * @param {string} id - Band id (see EQ_BANDS: highpass, low, low-mid, mid, high-mid, presence, high, lowpass)
+   * @param {Object} changes
+   * @param {number} [changes.frequency] - Hz (CONFIG.EQ_MIN_FREQUENCY to CONFIG.EQ_MAX_FREQUENCY)
+   * @param {number} [changes.gain] - dB (±CONFIG.EQ_MAX_GAIN; ignored by the pass filters)
+   * @param {number} [changes.Q] - CONFIG.EQ_MIN_Q to CONFIG.EQ_MAX_Q
+   * @param {boolean} [changes.enabled] - Take the band in or out of the chain
+   * @returns {import('./equalizer.js').EqBand} The band now in effect
+   * @throws {ValidationError}
+   */
+  setEqBand(id, changes) {
+    validateEqBand(id, changes);
+    const equalizer = this._applyEqualizer(updateEqBand(this.scope.playback.getEqualizer(), id, changes));
+    return { ...equalizer.bands.find(band => band.id === id) };
+  }
+
+  /**
+   * Take the whole equalizer out of the signal path, or put it back
+   * @param {boolean} bypass
+   * @returns {boolean} The bypass now in effect
+   * @throws {ValidationError}
+   */
+  setEqBypass(bypass) {
+    if (typeof bypass !== 'boolean') {
+      throw new ValidationError('bypass must be true or false', 'bypass', bypass, 'boolean');
+    }
+    this._applyEqualizer({ ...this.scope.playback.getEqualizer(), bypass }, { preset: this._eqPreset });
+    return bypass;
+  }
+
+  /**
+   * @returns {import('./equalizer.js').EqSettings} Copy of the bypass flag and every band, in signal order
+   */
+  getEqualizer() {
+    return copyEqSettings(this.scope.playback.getEqualizer());
+  }
+
+  /**
+   * Gain of the equalizer across the spectrum, from the filters' getFrequencyResponse()
+   * @param {Float32Array|number[]} [frequencies] - Hz (default: log-spaced points from 20 Hz to 20 kHz)
+   * @returns {Float32Array} dB at each frequency (all 0 while bypassed)
+   */
+  getEqResponse(frequencies = getEqCurveFrequencies()) {
+    return this.scope.playback.getEqResponse(Float32Array.from(frequencies));
+  }
+
+  /**
+   * Load a built-in (EqPresets) or saved preset's bands; the bypass is left as it is
+   * @param {string} name
+   * @returns {import('./equalizer.js').EqSettings} The settings now in effect
+   * @throws {ValidationError} For names that are neither built in nor saved
+   */
+  applyEqPreset(name) {
+    const saved = loadSettings().eqPresets;
+    const userBands = TypeValidator.isString(name) && saved && Object.hasOwn(saved, name) ? saved[name] : null;
+    const preset = getBuiltInEqPreset(name) ?? (userBands ? restoreEqSettings(userBands) : null);
+    if (!preset) {
+      throw new ValidationError(`Unknown EQ preset "${name}"`, 'name', name, 'string');
+    }
+    
+    const equalizer = this._applyEqualizer({ ...preset, bypass: this.scope.playback.getEqualizer().bypass }, { preset: name });
+    return copyEqSettings(equalizer);
+  }
+
+  /**
+   * Save the current bands as a preset, replacing a saved preset of the same name
+   * Saved presets are kept in the settings and shared by every player on the page.
+   * @param {string} name - Up to 40 characters, not a built-in preset name
+   * @returns {string} The name
+   * @throws {ValidationError}
+   */
+  saveEqPreset(name) {
+    validateEqPresetName(name);
+    const bands = this.scope.playback.getEqualizer().bands.map(({ id, frequency, gain, Q, enabled }) => ({ id, frequency, gain, Q, enabled }));
+    updateSetting('eqPresets', { ...loadSettings().eqPresets, [name]: bands });
+    
+    this._eqPreset = name;
+    this._renderEqualizerUI();
+    return name;
+  }
+
+  /**
+   * Delete a saved preset
+   * @param {string} name
+   * @returns {boolean} Whether a preset was deleted
+   */
+  deleteEqPreset(name) {
+    const saved = { ...loadSettings().eqPresets };
+    if (!Object.hasOwn(saved, name)) return false;
+    
+    delete saved[name];
+    updateSetting('eqPresets', saved);
+    if (this._eqPreset === name) {
+      this._eqPreset = null;
+    }
+    this._renderEqualizerUI();
+    return true;
+  }
+
+  /**
+   * @returns {{builtIn: string[], user: string[]}} Preset names (EqPresets values, then saved ones)
+   */
+  getEqPresets() {
+    return {
+      builtIn: Object.values(EqPresets),
+      user: Object.keys(loadSettings().eqPresets ?? {})
+    };
+  }
+
+  /**
+   * Apply, save and show equalizer settings
+   * @param {import('./equalizer.js').EqSettings} settings
+   * @param {Object} [options]
+   * @param {string|null} [options.preset=null] - Preset the bands came from
+   * @returns {import('./equalizer.js').EqSettings} The settings now in effect
+   */
+  _applyEqualizer(settings, { preset = null } = {}) {
+    const equalizer = audioSetEqualizer(settings, this.scope);
+    this._eqPreset = preset;
+    updateSetting('equalizer', copyEqSettings(equalizer));
+    this._renderEqualizerUI();
+    return equalizer;
+  }
+
+  /**
+   * Change loudness normalization: each track is brought toward `target` with
+   * no more gain than keeps its true peak at or under `ceiling`, and never more
+   * than CONFIG.LOUDNESS_MAX_BOOST dB. Unset fields keep their value.
+   * Tracks are measured (ITU-R BS.1770) when they load, whether or not this is enabled.
+   * @param {Object} changes
+   * @param {boolean} [changes.enabled] - Apply the gain
+   * @param {number} [changes.target] - LUFS (CONFIG.LOUDNESS_TARGET_MIN to CONFIG.LOUDNESS_TARGET_MAX), e.g. -16 or -23
+   * @param {number} [changes.ceiling] - dBTP (CONFIG.LOUDNESS_CEILING_MIN to 0)
+   * @returns {import('./loudness.js').NormalizationSettings} The settings now in effect
+   * @throws {ValidationError}
+   */
+  setNormalization(changes) {
+    this.normalization = updateNormalization(this.normalization, changes);
+    updateSetting('normalization', { ...this.normalization });
+    this._applyNormalization();
+    return this.getNormalization();
+  }
+
+  /**
+   * @returns {import('./loudness.js').NormalizationSettings} Copy of the normalization settings
+   */
+  getNormalization() {
+    return { ...this.normalization };
+  }
+
+  /**
+   * Loudness of the loaded track and the gain normalization gives it
+   * @returns {{integrated: number|null, truePeak: number|null, gain: number, applied: boolean}|null}
+   *   LUFS, dBTP (both null for silence) and dB, and whether normalization is on;
+   *   null when no track with samples is loaded
+   */
+  getLoudness() {
+    const measurement = this._loudness?.measurement;
+    if (!measurement) return null;
+    return {
+      integrated: measurement.integrated,
+      truePeak: measurement.truePeak,
+      gain: getNormalizationGain(measurement, this.normalization),
+      applied: this.normalization.enabled
+    };
+  }
+
+  /**
+   * Measure the track that just loaded and give it its gain
+   * @param {AudioBuffer} audioBuffer
+   * @param {import('./event-emitter.js').SourceDescription|null} source - Where it came from, for the key the measurement is saved under
+   * @returns {Promise<boolean>} false when another track replaced it while it was measured
+   */
+  async _updateLoudness(audioBuffer, source) {
+    // Unmeasured (no gain) until the measurement comes in; a newer track stops it
+    this._measuring?.abort();
+    const measuring = new AbortController();
+    this._measuring = measuring;
+    const loudness = { audioBuffer, measurement: null };
+    this._loudness = loudness;
+    
+    loudness.measurement = await this._measureLoudness(audioBuffer, source, measuring.signal);
+    if (this._loudness !== loudness || this.destroyed) return false;
+    this._measuring = null;
+    this._applyNormalization();
+    return true;
+  }
+
+  /**
+   * Measure a track, or read its measurement back from the settings
+   * Measurements are saved under the track's getResumeKey() (its URL, or a fingerprint of
+   * the decoded audio), so different files sharing a name and length are measured apart.
+   * The CONFIG.LOUDNESS_SAVED_TRACKS most recently measured tracks are kept.
+   * Measuring runs in slices (measureLoudnessAsync()), so long tracks do not block the page.
+   * @param {AudioBuffer} audioBuffer
+   * @param {import('./event-emitter.js').SourceDescription|null} source
+   * @param {AbortSignal} [signal] - Stops measuring (resolves null)
+   * @returns {Promise<import('./loudness.js').LoudnessMeasurement|null>} null when the buffer has no samples or measuring stopped
+   */
+  async _measureLoudness(audioBuffer, source, signal = undefined) {
+    if (typeof audioBuffer?.getChannelData !== 'function' || !(audioBuffer.length > 0)) return null;
+    
+    const name = source?.name;
+    const key = getResumeKey(source, audioBuffer);
+    const saved = { ...loadSettings().loudness };
+    if (key && isLoudnessMeasurement(saved[key])) {
+      const { integrated, truePeak } = saved[key];
+      return { integrated, truePeak };
+    }
+    
+    let measurement;
+    try {
+      measurement = await measureLoudnessAsync(audioBuffer, { signal });
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        audioLog('Loudness measurement failed', 'warn', error);
+      }
+      return null;
+    }
+    audioLog('📏 Player: Measured loudness', 'info', { name, ...measurement });
+    
+    if (key) {
+      // Re-inserting the key moves it to the end (most recent)
+      delete saved[key];
+      saved[key] = measurement;
+      const keys = Object.keys(saved);
+      keys.slice(0, Math.max(0, keys.length - CONFIG.LOUDNESS_SAVED_TRACKS)).forEach(oldKey => delete saved[oldKey]);
+      updateSetting('loudness', saved);
+    }
+    return measurement;
+  }
+
+  /**
+   * Linear gain normalization gives a track (1 while it is off or for unmeasured tracks)
+   * @param {import('./loudness.js').LoudnessMeasurement|null} measurement
+   * @returns {number}
+   */
+  _getNormalizationLevel(measurement) {
+    return this.normalization.enabled ? dbToGain(getNormalizationGain(measurement, this.normalization)) : 1;
+  }
+
+  /**
+   * Give the loaded and the queued track their gain, then show and announce it
+   */
+  _applyNormalization() {
+    const { playback } = this.scope;
+    [this._loudness, this._queuedTrack?.loudness].forEach(track => {
+      if (track) {
+        playback.setTrackGain(track.audioBuffer, this._getNormalizationLevel(track.measurement));
+      }
+    });
+    this._onLoudnessChange();
+  }
+
+  _onLoudnessChange() {
+    this._renderTrackInfoUI();
+    this._emit(PlayerEvents.LOUDNESS_CHANGE, { loudness: this.getLoudness(), normalization: this.getNormalization() });
+  }
+
+  /**
+   * Saved position of the loaded track: playhead, speed, A–B loop and volume
+   * Positions are saved per track (by URL, or by a fingerprint of the decoded
+   * audio for local sources) while it plays, when it pauses or seeks, and when
+   * another track loads or the page is left.
+   * @returns {import('./resume-position.js').ResumePosition|null} null when there is none or `resume` is 'off'
+   */
+  getSavedPosition() {
+    if (!this._resumeKey) return null;
+    return this._resumeOffer ? { ...this._resumeOffer } : readResumePosition(loadSettings().positions, this._resumeKey, this.getDuration());
+  }
+
+  /**
+   * Go back to where the loaded track was left (the position on offer, or else the saved one)
+   * Restores the volume, speed and A–B loop too; playback is not started.
+   * @returns {import('./resume-position.js').ResumePosition|null} The position restored, or null
+   */
+  resumePosition() {
+    const position = this.getSavedPosition();
+    this._clearResumeOffer();
+    if (!position) return null;
+    
+    this._applyResumePosition(position);
+    return position;
+  }
+
+  /**
+   * Turn the resume offer down: the track carries on from where it is,
+   * and its saved position is replaced as it plays
+   * @returns {boolean} Whether a position was on offer
+   */
+  dismissResume() {
+    if (!this._resumeOffer) return false;
+    this._clearResumeOffer();
+    audioLog('⏯️ Player: Resume offer dismissed');
+    return true;
+  }
+
+  /**
+   * Key the track that just loaded and offer its saved position (resumeavailable),
+   * or jump straight to it with `resume: 'auto'`
+   * @param {string|null} key - From getResumeKey() (null: the track's position is not remembered)
+   * @param {Object} [options]
+   * @param {boolean} [options.restore=true] - false for a track that took over gaplessly (it plays on from the start)
+   */
+  _loadResumePosition(key, { restore = true } = {}) {
+    this._clearResumeOffer();
+    this._resumeKey = this.resume === ResumeModes.OFF ? null : key;
+    this._lastPositionSave = 0;
+    if (!this._resumeKey || !restore) return;
+    
+    const position = readResumePosition(loadSettings().positions, this._resumeKey, this.getDuration());
+    if (!position) return;
+    
+    if (this.resume === ResumeModes.AUTO) {
+      this._applyResumePosition(position);
+      return;
+    }
+    
+    // Saving waits until the offer is answered, so the saved position survives a fresh start
+    this._resumeOffer = position;
+    this._resumeOfferTimer = setTimeout(() => this.dismissResume(), CONFIG.RESUME_PROMPT_DURATION);
+    this._renderResumePromptUI();
+    screenReaderAnnouncer.announceResumeOffer(position.time);
+    this._emit(PlayerEvents.RESUME_AVAILABLE, { position: { ...position } });
+  }
+
+  _clearResumeOffer() {
+    clearTimeout(this._resumeOfferTimer);
+    this._resumeOfferTimer = null;
+    if (!this._resumeOffer) return;
+    
+    this._resumeOffer = null;
+    this._renderResumePromptUI();
+  }
+
+  /**
+   * @param {import('./resume-position.js').ResumePosition} position
+   */
+  _applyResumePosition({ time, playbackRate, loopRegion, volume }) {
+    try {
+      this.setVolume(volume);
+      this.setPlaybackRate(playbackRate);
+      if (loopRegion) {
+        this.setLoopRegion(loopRegion.start, loopRegion.end);
+      }
+    } catch (error) {
+      audioLog('Ignoring part of the saved position', 'warn', error);
+    }
+    this.seekTo(time);
+    audioLog('⏯️ Player: Resumed saved position', 'info', { time });
+  }
+
+  /**
+   * Save the loaded track's position on the transport events that move it
+   * @param {string} type - Player event just emitted
+   */
+  _trackPosition(type) {
+    switch (type) {
+      case PlayerEvents.SEEKED:
+        // Picking a place answers the resume offer
+        this._clearResumeOffer();
+        this._savePosition();
+        break;
+      case PlayerEvents.PAUSE:
+      case PlayerEvents.ENDED:
+      case PlayerEvents.LOOP_REGION_CHANGE:
+        this._savePosition();
+        break;
+      case PlayerEvents.TIME_UPDATE:
+        if (this.isPlaying() && performance.now() - this._lastPositionSave >= CONFIG.RESUME_SAVE_INTERVAL) {
+          this._savePosition();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Store where the loaded track is, or forget it near either end (see isResumable())
+   * Nothing is saved while a resume offer is open.
+   */
+  _savePosition() {
+    if (!this._resumeKey || this._resumeOffer) return;
+    this._lastPositionSave = performance.now();
+    
+    const time = this.getCurrentTime();
+    const duration = this.getDuration();
+    if (!isResumable(time, duration)) {
+      this._forgetPosition();
+      return;
+    }
+    
+    const audioState = getAudioState(this.scope.stateManager);
+    updateSetting('positions', storeResumePosition(loadSettings().positions, this._resumeKey, {
+      time,
+      duration,
+      playbackRate: audioState.playbackRate ?? 1,
+      loopRegion: this.getLoopRegion(),
+      volume: audioState.volume ?? 1,
+      savedAt: Date.now()
+    }));
+  }
+
+  // Drop the loaded track's saved position (it was finished or restarted)
+  _forgetPosition() {
+    if (!this._resumeKey || this._resumeOffer) return;
+    const saved = loadSettings().positions;
+    if (saved && Object.hasOwn(saved, this._resumeKey)) {
+      updateSetting('positions', storeResumePosition(saved, this._resumeKey, null));
+    }
+  }
+
+  /**
+   * Keyboard speed step, clamped to the allowed range
+   * @param {number} delta
+   */
+  _stepPlaybackRate(delta) {
+    const { PLAYBACK_RATE_MIN: min, PLAYBACK_RATE_MAX: max } = CONFIG;
+    const rate = Math.max(min, Math.min(max, this.getPlaybackRate() + delta));
+    if (rate === this.getPlaybackRate()) return;
+    
+    this.setPlaybackRate(rate);
+    screenReaderAnnouncer.announcePlaybackRate(rate);
+  }
+
+  /**
+   * Loop playback between two points of the loaded track (A–B loop).
+   * Playback wraps from B back to A seamlessly until clearLoopRegion(); starting or
+   * seeking at or past B starts again at A. The region is drawn as an arc on the ring
+   * and cleared when another track loads. Users can also shift-drag along the ring
+   * or press `[` / `]` (see setLoopPoint()).
+   * @param {number} start - Loop start (A) in seconds
+   * @param {number} end - Loop end (B) in seconds, at least CONFIG.LOOP_REGION_MIN_DURATION after A
+   * @returns {{start: number, end: number}} The region now looping
+   * @throws {ValidationError} Without a loaded track, or for times outside it / in the wrong order
+   */
+  setLoopRegion(start, end) {
+    validateLoopRegion(start, end, this.getDuration());
     
-    if (success) {
-      const audioState = getAudioState();
-      // Announce seek position
-      screenReaderAnnouncer.announceSeek(audioState.currentPlayhead, audioState.duration);
-      
-      // Update visual representation
-      this.drawCallback();
-      
-      // Update ARIA attributes
-      AriaManager.updateCanvasAria(this.canvas, audioState);
+    this._pendingLoopStart = null;
+    const region = audioSetLoopRegion(start, end, this.scope);
+    this.drawCallback?.();
+    return { ...region };
+  }
+  
+  /**
+   * Stop looping (playback carries on from where it is)
+   */
+  clearLoopRegion() {
+    this._pendingLoopStart = null;
+    if (audioClearLoopRegion(this.scope)) {
+      this.drawCallback?.();
+    }
+  }
+  
+  /**
+   * @returns {{start: number, end: number}|null} The A–B region, or null when not looping
+   */
+  getLoopRegion() {
+    const { loopRegion } = getAudioState(this.scope.stateManager);
+    return loopRegion ? { ...loopRegion } : null;
+  }
+  
+  /**
+   * Mark one end of the loop, as the `[` and `]` keys do.
+   * Marking A moves the start of an existing region; with no region (or A past its end)
+   * A is remembered until B is marked. Marking B loops from A (or the start of the track).
+   * @param {'a'|'b'} point
+   * @param {number} [time] - Seconds (defaults to the playhead)
+   * @returns {{start: number, end: number}|null} The new region, or null while only A is
+   *   marked or when B does not come at least CONFIG.LOOP_REGION_MIN_DURATION after A
+   * @throws {ValidationError} For an unknown point or a time outside the track
+   */
+  setLoopPoint(point, time = this.getCurrentTime()) {
+    if (point !== 'a' && point !== 'b') {
+      throw new ValidationError("loop point must be 'a' or 'b'", 'point', point, "'a'|'b'");
+    }
+    const duration = this.getDuration();
+    if (!(duration > 0) || !TypeValidator.isNumber(time, { min: 0, max: duration })) {
+      throw new ValidationError(`loop point time must be a number between 0 and ${duration}`, 'time', time, 'number');
+    }
+    
+    const region = this.getLoopRegion();
+    const minDuration = CONFIG.LOOP_REGION_MIN_DURATION;
+    
+    if (point === 'a') {
+      if (region && region.end - time >= minDuration) {
+        return this.setLoopRegion(time, region.end);
+      }
+      // No end after it yet - hold A until B is marked
+      this.clearLoopRegion();
+      this._pendingLoopStart = time;
+      audioLog('🔁 Player: Loop start marked', 'info', { start: time });
+      return null;
+    }
+    
+    const start = region?.start ?? this._pendingLoopStart ?? 0;
+    if (time - start < minDuration) {
+      audioLog('Loop end must come after its start - ignored', 'warn', { start, end: time });
+      return null;
+    }
+    return this.setLoopRegion(start, time);
+  }
+  
+  /**
+   * Keyboard loop point at the playhead, announced for screen readers
+   * @param {'a'|'b'} point
+   */
+  _markLoopPoint(point) {
+    if (!(this.getDuration() > 0)) return;
+    
+    const region = this.setLoopPoint(point);
+    if (region) {
+      screenReaderAnnouncer.announceLoopRegion(region);
+    } else if (point === 'a') {
+      screenReaderAnnouncer.announceLoopStart(this._pendingLoopStart);
     }
   }
 
-  seekRelative(deltaSeconds) {
-    // Delegate to audio-controls.js for state management and seeking
-    const success = audioSeekRelative(deltaSeconds);
+  /**
+   * Add a named marker (cue point) to the loaded track.
+   * Markers are drawn as labelled ticks on the ring and saved per track (name + duration),
+   * so they come back when the same track is loaded again. Users can also press Shift+M or
+   * right-click the ring; Shift+← / Shift+→ jump between markers, and drags on the ring
+   * snap to a nearby marker (hold Alt to drag freely).
+   * @param {number} [time] - Seconds (defaults to the playhead)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Defaults to "Marker N"
+   * @param {string} [options.color] - CSS color (defaults to CONFIG.MARKER_COLOR)
+   * @returns {import('./markers.js').Marker}
+   * @throws {ValidationError} Without a loaded track, or for a time outside it
+   */
+  addMarker(time = this.getCurrentTime(), options = {}) {
+    this._assertMarkersTrack();
+    const marker = this.markers.add(time, options);
+    this._onMarkersChange();
+    return marker;
+  }
+  
+  /**
+   * Move, rename or recolor a marker
+   * @param {number} id
+   * @param {{time?: number, name?: string, color?: string}} changes
+   * @returns {import('./markers.js').Marker|null} The updated marker (null for an unknown id)
+   * @throws {ValidationError}
+   */
+  updateMarker(id, changes) {
+    const marker = this.markers.update(id, changes);
+    if (marker) this._onMarkersChange();
+    return marker;
+  }
+  
+  /**
+   * @param {number} id
+   * @returns {boolean} Whether a marker was removed
+   */
+  removeMarker(id) {
+    if (!this.markers.remove(id)) return false;
+    this._onMarkersChange();
+    return true;
+  }
+  
+  /**
+   * Remove every marker from the loaded track
+   */
+  clearMarkers() {
+    this.markers.clear();
+    this._onMarkersChange();
+  }
+  
+  /**
+   * @returns {import('./markers.js').Marker[]} The loaded track's markers, in time order
+   */
+  getMarkers() {
+    return this.markers.getAll();
+  }
+  
+  /**
+   * Seek to the first marker after the playhead
+   * @returns {import('./markers.js').Marker|null} The marker, or null when there is none
+   */
+  nextMarker() {
+    const marker = this.markers.next(this.getCurrentTime());
+    if (marker) this.seekTo(marker.time);
+    return marker;
+  }
+  
+  /**
+   * Seek to the marker before the playhead (one passed moments ago is skipped,
+   * so repeated presses keep stepping back)
+   * @returns {import('./markers.js').Marker|null} The marker, or null when there is none
+   */
+  previousMarker() {
+    const marker = this.markers.previous(this.getCurrentTime());
+    if (marker) this.seekTo(marker.time);
+    return marker;
+  }
+  
+  /**
+   * Write the loaded track's markers as text
+   * @param {string} [format='json'] - One of MarkerFormats ('audacity' writes a label track)
+   * @returns {string}
+   * @throws {ValidationError} For an unknown format
+   */
+  exportMarkers(format = MarkerFormats.JSON) {
+    return serializeMarkers(this.markers.getAll(), format);
+  }
+  
+  /**
+   * Add markers from JSON (as exportMarkers() writes it) or an Audacity label file
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.format] - One of MarkerFormats (detected from the text when omitted)
+   * @param {boolean} [options.replace=false] - Remove the existing markers first
+   * @returns {import('./markers.js').Marker[]} The imported markers
+   * @throws {ValidationError} Without a loaded track, for malformed text or times outside the track
+   *   (nothing is changed)
+   */
+  importMarkers(text, { format, replace = false } = {}) {
+    this._assertMarkersTrack();
+    const entries = parseMarkers(text, format);
     
-    if (success) {
-      // Update visual representation
-      this.drawCallback();
+    let added;
+    if (replace) {
+      this.markers.reset(this.getDuration(), entries);
+      added = this.markers.getAll();
+    } else {
+      added = this.markers.addAll(entries);
+    }
+    fileLog('📍 Player: Imported markers', 'info', { count: added.length, replace });
+    this._onMarkersChange();
+    return added;
+  }
+  
+  /**
+   * @throws {ValidationError} When no track is loaded
+   */
+  _assertMarkersTrack() {
+    const duration = this.getDuration();
+    if (!(duration > 0)) {
+      throw new ValidationError('Markers need a loaded track', 'duration', duration, 'number');
+    }
+  }
+  
+  /**
+   * Swap in the saved markers of the track that just loaded (a bad saved list is ignored)
+   * A track without saved markers starts with its tagged chapters; they are saved once edited.
+   * @param {string} name - Track name, part of the key the markers are saved under
+   * @param {import('./tag-reader.js').Chapter[]} [chapters] - Chapters from the track's tags
+   */
+  _loadMarkers(name, chapters = []) {
+    const duration = this.getDuration();
+    this._markersKey = duration > 0 ? getTrackKey(name, duration) : null;
+    const saved = this._markersKey ? loadSettings().markers?.[this._markersKey] : null;
+    
+    try {
+      this.markers.reset(duration, saved ?? chaptersToMarkers(chapters, duration));
+    } catch (error) {
+      fileLog('Ignoring saved markers', 'warn', error);
+      this.markers.reset(duration);
+    }
+    this._onMarkersChange({ save: false });
+  }
+  
+  /**
+   * Save, redraw and announce the markers
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Store them for the track (false when they were just loaded)
+   */
+  _onMarkersChange({ save = true } = {}) {
+    const markers = this.markers.getAll();
+    this.visualState.markers = markers;
+    if (save) {
+      this._saveMarkers();
+    }
+    
+    if (this.markersUI) {
+      renderMarkersUI(this.markersUI, markers, this.getDuration() > 0);
     }
+    this.scope.renderState.markDirty(RenderComponents.WAVEFORM);
+    this.drawCallback?.();
+    this._emit(PlayerEvents.MARKERS_CHANGE, { markers });
+  }
+  
+  /**
+   * Store the loaded track's markers, keeping the CONFIG.MARKER_SAVED_TRACKS most recently edited tracks
+   */
+  _saveMarkers() {
+    if (!this._markersKey) return;
+    
+    // Re-inserting the key moves it to the end (most recent)
+    const saved = { ...loadSettings().markers };
+    delete saved[this._markersKey];
+    if (this.markers.length > 0) {
+      saved[this._markersKey] = this.markers.toJSON();
+    }
+    const keys = Object.keys(saved);
+    keys.slice(0, Math.max(0, keys.length - CONFIG.MARKER_SAVED_TRACKS)).forEach(key => delete saved[key]);
+    updateSetting('markers', saved);
+  }
+  
+  /**
+   * Download the markers as a file (the marker list's export buttons)
+   * @param {string} format - One of MarkerFormats
+   */
+  _downloadMarkers(format) {
+    const json = format === MarkerFormats.JSON;
+    const blob = new Blob([this.exportMarkers(format)], { type: json ? 'application/json' : 'text/plain' });
+    const baseName = (this._source?.name || 'markers').replace(/\.[^.]+$/, '');
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${baseName}-markers.${json ? 'json' : 'txt'}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
   }
 
-  setVolume(volume) {
-    // Delegate to audio-controls.js for validation and volume setting
-    const actualVolume = audioSetVolume(volume);
-    // Save volume setting
-    updateSetting('volume', actualVolume);
+  /**
+   * Add tracks to the end of the playlist.
+   * Queued URLs are saved with the player settings and come back after a reload;
+   * files cannot be reopened by the page, so they only last until then.
+   * While a playlist item plays, the one after it is downloaded and decoded in the background.
+   * @param {string|File|Blob|Array<string|File|Blob>} sources - URLs (relative ones resolve against the page) or audio files
+   * @returns {import('./playlist.js').PlaylistItem[]} The new items
+   * @throws {ValidationError} For anything else, or a URL that is not http(s) (nothing is added)
+   */
+  enqueue(sources) {
+    const items = this.playlist.add(Array.isArray(sources) ? sources : [sources]);
+    this._onPlaylistChange();
+    return items;
+  }
+  
+  /**
+   * Remove one playlist item (a track that is playing keeps playing, and next/previous carry on from its place)
+   * @param {number} index
+   * @returns {boolean} Whether an item was removed
+   */
+  dequeue(index) {
+    if (!this.playlist.remove(index)) return false;
+    this._onPlaylistChange();
+    return true;
+  }
+  
+  /**
+   * Empty the playlist (the loaded track stays)
+   */
+  clearPlaylist() {
+    this.playlist.clear();
+    this._onPlaylistChange();
+  }
+  
+  /**
+   * Load a playlist item and start playing it
+   * @param {number} index
+   * @returns {Promise<boolean>} Whether it loaded (load errors are shown, not thrown)
+   * @throws {ValidationError} For an index outside the playlist
+   */
+  async playItem(index) {
+    if (!this.playlist.getItem(index)) {
+      throw new ValidationError(`Playlist index must be between 0 and ${this.playlist.length - 1}`, 'index', index, 'number');
+    }
+    return this._playPlaylistItem(index);
+  }
+  
+  /**
+   * Play the next playlist item (shuffle order when shuffling; wraps with repeat 'all')
+   * @returns {Promise<boolean>} Whether a track was loaded (false at the end of the playlist)
+   */
+  async next() {
+    const index = this.playlist.getNextIndex();
+    return index === -1 ? false : this._playPlaylistItem(index);
+  }
+  
+  /**
+   * Play the previous playlist item (wraps with repeat 'all')
+   * @returns {Promise<boolean>} Whether a track was loaded (false at the start of the playlist)
+   */
+  async previous() {
+    const index = this.playlist.getPreviousIndex();
+    return index === -1 ? false : this._playPlaylistItem(index);
+  }
+  
+  /**
+   * Choose what happens when a playlist item ends: stop after the last item ('off'),
+   * replay the item ('one') or start the playlist over ('all')
+   * @param {string} mode - One of RepeatModes
+   * @throws {ValidationError}
+   */
+  setRepeat(mode) {
+    this.playlist.setRepeat(mode);
+    this._onPlaylistChange();
+  }
+  
+  /**
+   * Play the playlist in a random order (starting from the current item) or in queue order
+   * @param {boolean} enabled
+   * @throws {ValidationError}
+   */
+  setShuffle(enabled) {
+    this.playlist.setShuffle(enabled);
+    this._onPlaylistChange();
+  }
+  
+  /**
+   * @returns {import('./playlist.js').PlaylistSnapshot} Items, current index, repeat mode and shuffle
+   */
+  getPlaylist() {
+    return this.playlist.getSnapshot();
+  }
+  
+  /**
+   * Overlap consecutive playlist items: the next one fades in while the current one fades out.
+   * A duration of 0 joins them back to back without a gap (unless created with `gapless: false`).
+   * @param {Object} crossfade
+   * @param {number} [crossfade.duration=0] - Seconds, up to CONFIG.CROSSFADE_MAX_DURATION
+   * @param {string} [crossfade.curve='linear'] - One of CrossfadeCurves ('equal-power' keeps the loudness steady)
+   * @returns {{duration: number, curve: string}} The settings now in effect
+   * @throws {ValidationError}
+   */
+  setCrossfade(crossfade) {
+    this.crossfade = validateCrossfade(crossfade);
+    // A track already queued is queued again with the new fade on the next frame
+    this.scope.playback.cancelQueued();
+    return { ...this.crossfade };
+  }
+  
+  /**
+   * @returns {{duration: number, curve: string}} Crossfade between playlist items
+   */
+  getCrossfade() {
+    return { ...this.crossfade };
+  }
+  
+  /**
+   * Save, redraw and announce the playlist, and keep the preloaded track current
+   */
+  _onPlaylistChange() {
+    updateSetting('playlist', this.playlist.toJSON());
+    
+    const snapshot = this.playlist.getSnapshot();
+    if (this.playlistUI) {
+      renderPlaylistUI(this.playlistUI, snapshot);
+    }
+    this._emit(PlayerEvents.PLAYLIST_CHANGE, { playlist: snapshot });
+    
+    if (this.playlist.hasPosition) {
+      this._preloadNext();
+    } else {
+      this._cancelPreload();
+    }
+    
+    // The queued track no longer comes next
+    if (this._queuedTrack && this._queuedTrack.id !== this._preload?.id) {
+      this.scope.playback.cancelQueued();
+      this._queuedTrack = null;
+    }
+  }
+  
+  /**
+   * Load a playlist item (the preloaded result when it is that item) and play it
+   * The item becomes current only once it decoded: a newer load, cancelLoad() or a failure
+   * leaves the playlist and the track from before as they were.
+   * @param {number} index
+   * @returns {Promise<boolean>} Whether it loaded
+   */
+  async _playPlaylistItem(index) {
+    await this.ready;
+    if (this.destroyed) return false;
+    const load = this._startLoad();
+    const previousSource = this._source;
+    
+    const item = this.playlist.getItem(index);
+    const source = describePlaylistItem(item);
+    // Take the preloaded track: it is ours from here, so a new preload must not cancel it
+    // (cancelling this load does)
+    const preload = this._preload?.id === item.id ? this._preload : null;
+    if (preload) {
+      this._preload = null;
+      load.signal.addEventListener('abort', () => preload.controller.abort(), { once: true });
+    }
+    this._emit(PlayerEvents.LOAD_START, { source });
+    
+    try {
+      const result = await (preload?.promise ?? decodePlaylistItem(item, { signal: load.signal }));
+      
+      // Another item or source was loaded, the load cancelled, the item removed
+      // or the player destroyed while this one decoded
+      const current = this.playlist.indexOf(item.id);
+      if (!this._isCurrentLoad(load) || current === -1) {
+        throw load.signal.reason ?? new DOMException('Playlist item load replaced or cancelled', 'AbortError');
+      }
+      this._loadController = null;
+      
+      this.playlist.setCurrent(current);
+      this._onPlaylistChange();
+      await disposeAudio(this.scope);
+      await this._onFileLoaded({ ...result, isPlaylistItem: true });
+      fileLog('📃 Player: Playing playlist item', 'info', { index: current, name: item.name });
+      
+      await this.play();
+      return true;
+    } catch (error) {
+      if (this._loadController === load) {
+        this._loadController = null;
+      }
+      // The track from before stays loaded
+      if (this._source === source) {
+        this._source = previousSource;
+      }
+      if (error?.name === 'AbortError') {
+        fileLog('🛑 Player: Playlist item load cancelled', 'info', { name: item.name });
+        if (!this.destroyed) {
+          this._emit(PlayerEvents.LOAD_ABORT, { source: previousSource, cancelled: source });
+        }
+        return false;
+      }
+      fileLog('❌ Player: Playlist item failed to load', 'error', error);
+      this._showError(error);
+      return false;
+    }
+  }
+  
+  /**
+   * Start decoding the item that follows the current one (no-op when it already is)
+   */
+  _preloadNext() {
+    const index = this.playlist.getNextIndex({ auto: true });
+    const item = this.playlist.getItem(index);
+    if (!item || index === this.playlist.currentIndex) {
+      this._cancelPreload();
+      return;
+    }
+    if (this._preload?.id === item.id) return;
+    
+    this._cancelPreload();
+    const controller = new AbortController();
+    const preload = {
+      id: item.id,
+      controller,
+      promise: decodePlaylistItem(item, { signal: controller.signal }),
+      result: null,
+      loudness: null
+    };
+    // Gapless playback queues the decoded track synchronously, from the animation frame,
+    // so it is measured here rather than there (a failed preload is reported when the item is actually played)
+    preload.promise.then(
+      async result => {
+        const measurement = await this._measureLoudness(result.audioBuffer, describePlaylistItem(item), controller.signal);
+        if (controller.signal.aborted) return;
+        preload.loudness = { audioBuffer: result.audioBuffer, measurement };
+        preload.result = result;
+      },
+      error => {
+        if (error?.name !== 'AbortError') {
+          fileLog('Playlist preload failed', 'warn', { name: item.name, error });
+        }
+      }
+    );
+    this._preload = preload;
+    fileLog('📃 Player: Preloading next item', 'info', { index, name: item.name });
+  }
+  
+  /**
+   * Drop the background preload, stopping its download and loudness measurement
+   */
+  _cancelPreload() {
+    this._preload?.controller.abort();
+    this._preload = null;
+  }
+  
+  /**
+   * Schedule the preloaded next item to start where the playing item ends (every frame while playing).
+   * Does nothing until it has decoded, while looping, or when the loaded track is not the current item.
+   */
+  _queueNextTrack() {
+    const preload = this._preload;
+    const { playback } = this.scope;
+    if (!this.gapless || this.loop || !preload?.result || playback.getQueuedTrack()) return;
+    if (this._loadedItemId === null || this._loadedItemId !== this.playlist.current?.id) return;
+    
+    const { duration: crossfade, curve } = this.crossfade;
+    const { loudness } = preload;
+    playback.setTrackGain(loudness.audioBuffer, this._getNormalizationLevel(loudness.measurement));
+    if (!playback.queueNext(preload.result, { crossfade, curve })) return;
+    
+    // Kept for the ring's transition from the outgoing waveform to the incoming one
+    const audioState = getAudioState(this.scope.stateManager);
+    const routed = this.visualState.routedWaveform;
+    this._queuedTrack = {
+      id: preload.id,
+      loudness,
+      tags: preload.result.info?.tags ?? null,
+      outgoing: {
+        waveform: routed?.samples ?? audioState.waveform,
+        globalMaxAmp: routed?.globalMaxAmp ?? audioState.globalMaxAmp,
+        duration: audioState.duration,
+        sampleRate: audioState.audioBuffer.sampleRate,
+        playbackRate: audioState.playbackRate
+      }
+    };
+  }
+  
+  /**
+   * The queued item took over (trackchange): make it current and start the ring's transition
+   * @param {Object} detail
+   * @param {number} detail.crossfade - Seconds both tracks played together
+   */
+  _onTrackChange({ crossfade }) {
+    const queued = this._queuedTrack;
+    this._queuedTrack = null;
+    if (!queued) return;
+    
+    const index = this.playlist.indexOf(queued.id);
+    const item = this.playlist.getItem(index);
+    if (!item) return;
+    
+    this.playlist.setCurrent(index);
+    this._loadedItemId = item.id;
+    this._source = describePlaylistItem(item);
+    this._pendingLoopStart = null;
+    // Before trackchange reaches the media session, which shows them
+    this._setTags(queued.tags);
+    this._loadMarkers(item.name, queued.tags?.chapters);
+    // Its gain already took over across the crossfade (AudioPlayback.queueNext())
+    this._measuring?.abort();
+    this._loudness = queued.loudness;
+    this._onLoudnessChange();
+    // The outgoing track played to its end; the new one starts from the top
+    this._forgetPosition();
+    this._loadResumePosition(getResumeKey(this._source, getAudioState(this.scope.stateManager).audioBuffer), { restore: false });
+    
+    // The outgoing track keeps playing under the fade-in, so the ring morphs for at least as long
+    const { outgoing } = queued;
+    this.visualState.trackTransition = {
+      ...outgoing,
+      position: Math.max(0, outgoing.duration - crossfade * outgoing.playbackRate),
+      startTime: performance.now(),
+      length: Math.max(this.scope.visual.TRANSITION_DURATION, crossfade * 1000)
+    };
+    
+    screenReaderAnnouncer.announceLoadComplete(item.name, this.getDuration(), queued.tags);
+    fileLog('⏭️ Player: Next playlist item started without a gap', 'info', { index, name: item.name, crossfade });
+    this._onPlaylistChange();
+  }
+  
+  /**
+   * End of track (animation loop): replay, advance or stop, following the repeat mode.
+   * Only continues a playlist whose item was playing (or was removed while playing);
+   * `loop: true` restarts on its own.
+   */
+  _onTrackEnd() {
+    if (this.loop || !this.playlist.hasPosition) return;
+    
+    const index = this.playlist.getNextIndex({ auto: true });
+    if (index === -1) {
+      audioLog('📃 Player: End of playlist');
+    } else if (index === this.playlist.currentIndex) {
+      this._restartLoop();
+    } else {
+      this._playPlaylistItem(index);
+    }
   }
 
-  cleanup() {
-    cleanupAudio();
-    resetAudioState();
+  /**
+   * Tear the player down completely: stop playback and the animation loop,
+   * remove every listener it added (window, document, container, canvas and
+   * host elements), release its buffers and remove the DOM it created.
+   * The last player to go also closes the shared AudioContext and removes the
+   * ErrorUI overlays. Safe to call more than once; the player is unusable afterwards.
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    system('🧹 Player: Destroying');
+
+    // Keep the track's place for the next visit
+    this._savePosition();
+    this._clearResumeOffer();
+    this.cancelLoad();
+    
+    this._playbackEventUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this._playbackEventUnsubscribers = [];
+    this._events.removeAllListeners();
+    this._animationLoop?.stop();
+    this._animationLoop = null;
+    this._removeInteraction?.();
+    this._removeInteraction = null;
+    if (this._onResize) {
+      window.removeEventListener('resize', this._onResize);
+      this._onResize = null;
+    }
+    if (this._onPageHide) {
+      window.removeEventListener('pagehide', this._onPageHide);
+      this._onPageHide = null;
+    }
+    if (this._onActivate) {
+      this.container.removeEventListener('pointerdown', this._onActivate);
+      this.container.removeEventListener('focusin', this._onActivate);
+      this._onActivate = null;
+    }
+    this.keyboardNav?.dispose();
+    this.keyboardNav = null;
+    // The queue stays saved for the next visit; drop the decoded next track
+    this._cancelPreload();
+    this._measuring?.abort();
+    this._queuedTrack = null;
+    // The page keeps its media element - only our listeners go
+    this._stopFollowingMedia();
+    this._setTags(null);
+    
+    // Buffers and the media element go first, then the audio graph
+    disposeAudio(this.scope).catch(error => system('❌ Player: Failed to release audio', 'error', error));
+    this.scope.playback.dispose();
+    resetAudioState(this.scope.stateManager);
+    cleanupAnimations(this.scope);
+    
+    SpiralWaveformPlayer.#instances.delete(this);
+    if (SpiralWaveformPlayer.#activeInstance === this) {
+      SpiralWaveformPlayer.#activeInstance = SpiralWaveformPlayer.#instances.values().next().value || null;
+    }
+    // Hand the OS media controls to the next player
+    if (this.mediaSession?.isOwner) {
+      this.mediaSession.release();
+      SpiralWaveformPlayer.#activeInstance?.mediaSession?.claim();
+    }
+    this.mediaSession = null;
+    // The AudioContext and ErrorUI overlays are shared - remove them with the last player
+    if (SpiralWaveformPlayer.#instances.size === 0) {
+      AudioContextManager.dispose();
+      disposeErrorUI();
+    }
+    
+    // Host page elements stay where they are - only our listeners go
+    this._elementListeners.forEach(detach => detach());
+    this._elementListeners = [];
+    this._ownedElements.forEach(element => element.remove());
+    this._ownedElements = [];
+    
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
-    if (this.fileInput && this.fileInput.parentNode) {
-      this.fileInput.parentNode.removeChild(this.fileInput);
-    }
     this.ui = null;
+    this.playlistUI = null;
+    this.markersUI = null;
+    this.equalizerUI = null;
+    this.trackInfoUI = null;
+    this.resumePromptUI = null;
     this.canvas = null;
     this.ctx = null;
     this.fileInput = null;
+    this.urlInput = null;
+    this.drawCallback = null;
+  }
+
+  /**
+   * @deprecated Use destroy()
+   */
+  cleanup() {
+    this.destroy();
   }
 
   _draw() {
-    const audioState = getAudioState();
+    // A resize or pending draw can still arrive during destroy() - skip it once the canvas is gone
+    if (!this.ctx) return;
+    
+    const audioState = getAudioState(this.scope.stateManager);
 
     // ✅ Update playhead from audio during playback (not scrubbing)
-    if (audioState.isPlaying && !isScrubbingActive()) {
-      updatePlayheadFromAudio();
+    if (audioState.isPlaying && !this.scope.playback.isScrubbing()) {
+      this._queueNextTrack();
+      updatePlayheadFromAudio(this.scope);
     }
 
     if (audioState.waveform && audioState.audioBuffer) {
-      const combinedState = { ...this.visualState, ...audioState };
+      this._updateRoutedWaveform(audioState);
+      const routed = this.visualState.routedWaveform;
+      const combinedState = { ...this.visualState, ...audioState, ...(routed && { globalMaxAmp: routed.globalMaxAmp }) };
       
       drawRadialWaveform(
         this.ctx,
         this.canvas,
-        audioState.waveform,
+        routed?.samples ?? audioState.waveform,
         audioState.duration > 0 ? audioState.currentPlayhead / audioState.duration : 0,
         audioState.isPlaying,
-        combinedState
+        combinedState,
+        this.scope
       );
       // Note: drawPlayPauseButton is called inside drawRadialWaveform
     } else {
@@ -462,6 +3124,8 @@ export class SpiralWaveformPlayer {
     // Hide any loading state
     hideLoading();
     
+    this._emit(PlayerEvents.ERROR, { error });
+    
     // Show styled error overlay
     showError(error, {
       dismissible: true,
@@ -477,14 +3141,43 @@ export class SpiralWaveformPlayer {
    * @returns {HTMLAudioElement|null}
    */
   getUrlAudioElement() {
-    return this._urlAudioElement || null;
+    return this.scope.playback.getMediaElement();
+  }
+
+  /**
+   * Pause every other playing instance (exclusive playback)
+   */
+  _pauseOtherInstances() {
+    SpiralWaveformPlayer.#instances.forEach(player => {
+      if (player !== this && player.isPlaying()) {
+        player.pause().catch(error => system('Failed to pause other player', 'warn', error));
+      }
+    });
+  }
+
+  /**
+   * Decide whether a keydown belongs to this player
+   * Keys pressed inside a player go to that player; keys pressed anywhere
+   * else go to the last player the user clicked or focused.
+   * Uses the composed path so players inside shadow roots are found too.
+   * @param {KeyboardEvent} e
+   * @returns {boolean}
+   */
+  _ownsKeyboardEvent(e) {
+    const origin = e.composedPath?.()[0] ?? e.target;
+    const target = origin instanceof Node ? origin : null;
+    const owner = target && [...SpiralWaveformPlayer.#instances].find(player =>
+      player.container !== document.body && player.container.contains(target)
+    );
+    return owner ? owner === this : SpiralWaveformPlayer.#activeInstance === this;
   }
 }
 
 // Export debug helpers for browser console
 if (typeof window !== 'undefined') {
-  window.getLayerStats = () => layerManager.getStats();
-  window.resetLayerStats = () => layerManager.resetStats();
+  const debugLayerManager = () => window._debugPlayerInstance?.scope.layerManager || layerManager;
+  window.getLayerStats = () => debugLayerManager().getStats();
+  window.resetLayerStats = () => debugLayerManager().resetStats();
   window.enablePerformanceMonitor = () => enablePerformanceMonitoring();
   window.printPerformanceReport = () => printPerformanceReport();
   window.getPerformanceReport = () => performanceMonitor.getReport();
@@ -16,6 +16,13 @@ const DEFAULT_STATE = {
     duration: 0,
     isPlaying: false,
     volume: 1.0,
+    playbackRate: 1.0,
+    preservePitch: true,
+    shuttle: null,
+    channelMode: 'stereo',
+    balance: 0,
+    eq: null,
+    loopRegion: null,
     isLoading: false,
     loadingProgress: 0,
     error: null
@@ -150,11 +157,6 @@ export class StateManager {
     
     // Initialize history with initial state
     this.#recordHistory();
-    
-    // Make available globally for debugging
-    if (typeof window !== 'undefined') {
-      window.__SPIRAL_STATE_MANAGER__ = this;
-    }
   }
   
   /**
@@ -642,6 +644,37 @@ export class StateManager {
       return null;
     });
     
+    this.validate('audio.playbackRate', (value) => {
+      if (typeof value !== 'number') return 'Must be a number';
+      if (value <= 0 || !isFinite(value)) return 'Must be a positive finite number';
+      return null;
+    });
+    
+    this.validate('audio.shuttle', (value) => {
+      if (value === null) return null;
+      if (typeof value !== 'number' || value === 0 || !isFinite(value)) return 'Must be null or a non-zero finite number';
+      return null;
+    });
+    
+    this.validate('audio.balance', (value) => {
+      if (typeof value !== 'number') return 'Must be a number';
+      if (!(value >= -1 && value <= 1)) return 'Must be between -1 and 1';
+      return null;
+    });
+    
+    this.validate('audio.eq', (value) => {
+      if (value === null) return null;
+      if (typeof value !== 'object' || !Array.isArray(value.bands)) return 'Must be null or { bypass, bands }';
+      return null;
+    });
+    
+    this.validate('audio.loopRegion', (value) => {
+      if (value === null) return null;
+      if (typeof value !== 'object') return 'Must be null or { start, end }';
+      if (!(value.start >= 0) || !(value.end > value.start)) return 'Must satisfy 0 <= start < end';
+      return null;
+    });
+    
     this.validate('audio.duration', (value) => {
       if (typeof value !== 'number') return 'Must be a number';
       if (value < 0) return 'Must be non-negative';
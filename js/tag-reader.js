@@ -0,0 +1,908 @@
+/**
+ * Tag Reader
+ *
+ * Reads what a file says about itself - title, artist, album, track number,
+ * year, comment, embedded artwork, ReplayGain and chapters - before it is
+ * decoded:
+ * - MP3 / AAC: ID3v2.2-2.4 (APIC pictures, TXXX ReplayGain, CHAP chapters),
+ *   and ID3v1 at the end of the file
+ * - Ogg Vorbis, Opus and Ogg FLAC: Vorbis comments (METADATA_BLOCK_PICTURE
+ *   artwork, CHAPTERxxx chapters, Opus R128 gains)
+ * - FLAC: VORBIS_COMMENT and PICTURE metadata blocks
+ * - M4A / MP4: iTunes-style `ilst` items and Nero `chpl` chapters
+ * - WAV: RIFF INFO lists, `id3 ` chunks, and cue points (labelled by `adtl`) as chapters
+ *
+ * Only the blocks, atoms and chunks that hold tags are read. Headers are walked
+ * to find them, so a large Blob is never read whole (an M4A's `moov` atom or a
+ * WAV's INFO list may well come after the audio).
+ *
+ * @module tag-reader
+ */
+
+import { CONFIG } from './utils.js';
+import { file as fileLog } from './logger.js';
+
+/**
+ * ID3 / FLAC picture types the player looks for (the rest are kept as they are)
+ */
+export const PictureTypes = Object.freeze({
+  OTHER: 0,
+  FRONT_COVER: 3,
+  BACK_COVER: 4
+});
+
+/**
+ * @typedef {Object} TagArtwork
+ * @property {Uint8Array} data - Image bytes
+ * @property {string} mimeType - e.g. 'image/jpeg' ('' when unknown)
+ * @property {string} description
+ * @property {number} pictureType - One of PictureTypes (or another ID3 picture type)
+ */
+
+/**
+ * @typedef {Object} ReplayGainTags
+ * @property {number|null} trackGain - dB
+ * @property {number|null} trackPeak - Linear (1 is full scale)
+ * @property {number|null} albumGain - dB
+ * @property {number|null} albumPeak - Linear
+ */
+
+/**
+ * @typedef {Object} Chapter
+ * @property {number} start - Seconds
+ * @property {number|null} end - Seconds (the next chapter's start when the file does not say)
+ * @property {string|null} title
+ */
+
+/**
+ * @typedef {Object} TrackTags
+ * @property {string|null} title
+ * @property {string|null} artist
+ * @property {string|null} album
+ * @property {number|null} trackNumber
+ * @property {number|null} trackTotal
+ * @property {number|null} year
+ * @property {string|null} comment
+ * @property {TagArtwork[]} artwork - In the order the file stores them
+ * @property {ReplayGainTags|null} replayGain
+ * @property {Chapter[]} chapters - In time order
+ * @property {string[]} formats - Tag formats found, e.g. ['ID3v2.4', 'ID3v1']
+ */
+
+// Text fields each tag format maps onto TrackTags ('track' is "3" or "3/12")
+const ID3_FIELDS = Object.freeze({
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'track', TRK: 'track',
+  TYER: 'year', TYE: 'year', TDRC: 'year'
+});
+
+const VORBIS_FIELDS = Object.freeze({
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  TRACKNUMBER: 'track',
+  TRACKTOTAL: 'trackTotal',
+  TOTALTRACKS: 'trackTotal',
+  DATE: 'year',
+  YEAR: 'year',
+  COMMENT: 'comment',
+  DESCRIPTION: 'comment'
+});
+
+const MP4_FIELDS = Object.freeze({
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  '©day': 'year',
+  '©cmt': 'comment'
+});
+
+const RIFF_INFO_FIELDS = Object.freeze({
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ITRK: 'track',
+  IPRT: 'track',
+  ICRD: 'year',
+  ICMT: 'comment'
+});
+
+// ID3 TXXX descriptions, Vorbis comment keys and MP4 freeform names (upper-cased)
+const REPLAY_GAIN_KEYS = Object.freeze({
+  REPLAYGAIN_TRACK_GAIN: 'trackGain',
+  REPLAYGAIN_TRACK_PEAK: 'trackPeak',
+  REPLAYGAIN_ALBUM_GAIN: 'albumGain',
+  REPLAYGAIN_ALBUM_PEAK: 'albumPeak'
+});
+
+// Opus R128 gains are relative to -23 LUFS; ReplayGain's reference is 5 dB louder
+const R128_TO_REPLAY_GAIN = 5;
+
+// FLAC metadata block types that hold tags
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+// A FLAC stream has a handful of blocks; more than this is a broken file
+const MAX_FLAC_BLOCKS = 128;
+
+// MP4 `data` atom types of `covr` images
+const MP4_IMAGE_TYPES = Object.freeze({ 13: 'image/jpeg', 14: 'image/png', 27: 'image/bmp' });
+
+const utf8 = new TextDecoder();
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Read a file's tags
+ * Malformed tags are skipped (with a warning) without losing the others.
+ * @param {Blob|ArrayBuffer|ArrayBufferView} data - The whole file
+ * @returns {Promise<TrackTags|null>} null when it has no tags the reader knows
+ */
+export async function readTags(data) {
+  const source = createByteSource(data);
+  const tags = createTags();
+
+  // An ID3v2 tag may front any of them (it belongs there only for MP3 and AAC)
+  const head = await source.read(0, 10);
+  const id3Length = readLatin1(head, 0, 3) === 'ID3' && head.length === 10
+    ? 10 + readSyncsafe(head, 6) + ((head[5] & 0x10) ? 10 : 0)
+    : 0;
+
+  const container = await source.read(id3Length, 12);
+  const id = readLatin1(container, 0, 4);
+  let isMpeg = false;
+
+  // The container's own tags come first; ID3 fills in what they leave out
+  if (id === 'fLaC') {
+    await readSafely('FLAC metadata', () => readFlacTags(source, id3Length + 4, tags));
+  } else if (id === 'OggS') {
+    await readSafely('Ogg header', () => readOggTags(source, id3Length, tags));
+  } else if (readLatin1(container, 4, 4) === 'ftyp') {
+    await readSafely('MP4 atom', () => readMp4Tags(source, id3Length, tags));
+  } else if (['RIFF', 'RF64', 'BW64'].includes(id) && readLatin1(container, 8, 4) === 'WAVE') {
+    await readSafely('RIFF chunk', () => readRiffTags(source, id3Length, tags));
+  } else {
+    isMpeg = true;
+  }
+
+  if (id3Length > 0 && id3Length <= CONFIG.TAG_MAX_SIZE) {
+    await readSafely('ID3v2 tag', async () => readId3v2(await source.read(0, id3Length), tags));
+  }
+  if (isMpeg) {
+    await readSafely('ID3v1 tag', () => readId3v1(source, tags));
+  }
+
+  return finishTags(tags);
+}
+
+/**
+ * The picture to show for a track: its front cover, or else the first picture
+ * @param {TrackTags|null} tags
+ * @returns {TagArtwork|null}
+ */
+export function getCoverArt(tags) {
+  const artwork = tags?.artwork ?? [];
+  return artwork.find(picture => picture.pictureType === PictureTypes.FRONT_COVER) ?? artwork[0] ?? null;
+}
+
+// Range reads over a Blob (sliced, so only those bytes are read) or bytes in memory
+function createByteSource(data) {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return {
+      size: data.size,
+      read: async (offset, length) => new Uint8Array(await data.slice(offset, offset + length).arrayBuffer())
+    };
+  }
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  return {
+    size: bytes.length,
+    read: async (offset, length) => bytes.subarray(offset, offset + length)
+  };
+}
+
+async function readSafely(label, read) {
+  try {
+    await read();
+  } catch (error) {
+    fileLog(`⚠️ Tags: Skipping a malformed ${label}`, 'warn', { error: error.message });
+  }
+}
+
+function createTags() {
+  return {
+    title: null,
+    artist: null,
+    album: null,
+    trackNumber: null,
+    trackTotal: null,
+    year: null,
+    comment: null,
+    artwork: [],
+    replayGain: null,
+    chapters: [],
+    formats: []
+  };
+}
+
+function finishTags(tags) {
+  const chapters = tags.chapters
+    .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0)
+    .sort((a, b) => a.start - b.start);
+  chapters.forEach((chapter, i) => {
+    if (chapter.end === null && chapters[i + 1]) {
+      chapter.end = chapters[i + 1].start;
+    }
+  });
+
+  const { title, artist, album, trackNumber, year, comment, artwork, replayGain } = tags;
+  const hasTags = [title, artist, album, trackNumber, year, comment, replayGain].some(value => value !== null) ||
+    artwork.length > 0 || chapters.length > 0;
+  return hasTags ? { ...tags, chapters } : null;
+}
+
+// ---- Setting fields (the first value found for a field wins) ----
+
+function addFormat(tags, format) {
+  if (!tags.formats.includes(format)) {
+    tags.formats.push(format);
+  }
+}
+
+function setField(tags, field, value) {
+  const text = String(value ?? '').replace(/\0[\s\S]*$/, '').trim();
+  if (!text) return;
+
+  switch (field) {
+    case 'track': {
+      const [number, total] = text.split('/');
+      setNumber(tags, 'trackNumber', parseInt(number, 10));
+      setNumber(tags, 'trackTotal', parseInt(total, 10));
+      break;
+    }
+    case 'trackTotal':
+      setNumber(tags, 'trackTotal', parseInt(text, 10));
+      break;
+    case 'year':
+      setNumber(tags, 'year', Number(/\d{4}/.exec(text)?.[0]));
+      break;
+    default:
+      if (tags[field] === null) {
+        tags[field] = text;
+      }
+  }
+}
+
+function setNumber(tags, field, value) {
+  if (Number.isInteger(value) && value > 0 && tags[field] === null) {
+    tags[field] = value;
+  }
+}
+
+function setReplayGain(tags, key, value) {
+  const number = parseFloat(value);
+  if (!key || !Number.isFinite(number)) return;
+  tags.replayGain ??= { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null };
+  if (tags.replayGain[key] === null) {
+    tags.replayGain[key] = number;
+  }
+}
+
+function addArtwork(tags, data, mimeType, description, pictureType) {
+  if (data.length === 0 || mimeType === '-->') return; // '-->' is an ID3 link, not an image
+
+  let type = mimeType.trim().toLowerCase();
+  if (type && !type.includes('/')) type = `image/${type}`;
+  if (type === 'image/jpg') type = 'image/jpeg';
+  if (!type) type = guessImageType(data);
+
+  // Copied: the file's bytes may be detached by decoding
+  tags.artwork.push({ data: data.slice(), mimeType: type, description: description.trim(), pictureType });
+}
+
+function guessImageType(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (readLatin1(data, 1, 3) === 'PNG') return 'image/png';
+  if (readLatin1(data, 0, 3) === 'GIF') return 'image/gif';
+  return '';
+}
+
+// ---- Bytes and text ----
+
+function view(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function readLatin1(bytes, offset = 0, length = bytes.length - offset) {
+  return fromCharCodes(bytes.subarray(offset, offset + length));
+}
+
+function fromCharCodes(codes) {
+  // In slices: spreading a large array overflows the call stack
+  let text = '';
+  for (let i = 0; i < codes.length; i += 8192) {
+    text += String.fromCharCode(...codes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+function decodeUtf16(bytes, littleEndian) {
+  const units = new Uint16Array(bytes.length >> 1);
+  const data = view(bytes);
+  for (let i = 0; i < units.length; i++) {
+    units[i] = data.getUint16(i * 2, littleEndian);
+  }
+  return fromCharCodes(units);
+}
+
+// UTF-8 when it is valid, else Latin-1 (RIFF INFO has no declared encoding)
+function decodeUnknownText(bytes) {
+  try {
+    return strictUtf8.decode(bytes);
+  } catch {
+    return readLatin1(bytes);
+  }
+}
+
+function readSyncsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+function readUint64(data, offset, littleEndian = false) {
+  const high = data.getUint32(offset + (littleEndian ? 4 : 0), littleEndian);
+  const low = data.getUint32(offset + (littleEndian ? 0 : 4), littleEndian);
+  return high * 2 ** 32 + low;
+}
+
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+// ---- ID3v2 ----
+
+function readId3v2(bytes, tags) {
+  const major = bytes[3];
+  const flags = bytes[5];
+  // ID3v2.2 compression was never defined, so such a tag cannot be read
+  if (major < 2 || major > 4 || (major === 2 && (flags & 0x40))) return;
+
+  let body = bytes.subarray(10, 10 + readSyncsafe(bytes, 6));
+  if ((flags & 0x80) && major < 4) {
+    body = removeUnsynchronisation(body);
+  }
+  if ((flags & 0x40) && major > 2) {
+    // Extended header: its size excludes the size field in 2.3, and is syncsafe and inclusive in 2.4
+    body = body.subarray(major === 3 ? 4 + view(body).getUint32(0) : readSyncsafe(body, 0));
+  }
+
+  for (const frame of readId3Frames(body, major)) {
+    readId3Frame(frame, major, tags);
+  }
+  addFormat(tags, `ID3v2.${major}`);
+}
+
+// 0xFF 0x00 was written for every 0xFF that could be mistaken for frame sync
+function removeUnsynchronisation(bytes) {
+  const result = [];
+  for (let i = 0; i < bytes.length; i++) {
+    result.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(result);
+}
+
+function* readId3Frames(body, major) {
+  const headerSize = major === 2 ? 6 : 10;
+  const idLength = major === 2 ? 3 : 4;
+  let offset = 0;
+
+  while (offset + headerSize <= body.length) {
+    const id = readLatin1(body, offset, idLength);
+    // Padding (or garbage) ends the frames
+    if (!/^[A-Z0-9]+$/.test(id)) return;
+
+    // 24-bit in 2.2, 32-bit in 2.3 and syncsafe in 2.4
+    let size;
+    if (major === 2) {
+      size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    } else {
+      size = major === 4 ? readSyncsafe(body, offset + 4) : view(body).getUint32(offset + 4);
+    }
+    const formatFlags = major === 2 ? 0 : body[offset + 9];
+    let data = body.subarray(offset + headerSize, offset + headerSize + size);
+    offset += headerSize + size;
+
+    if (major === 3) {
+      // Compressed or encrypted frames are skipped; a grouping byte precedes the data
+      if (formatFlags & 0xc0) continue;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    } else if (major === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x40) data = data.subarray(1);
+      if (formatFlags & 0x01) data = data.subarray(4); // Data length indicator
+      if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+    }
+    yield { id, data };
+  }
+}
+
+function readId3Frame({ id, data }, major, tags) {
+  if (data.length === 0) return;
+  const encoding = data[0];
+
+  if (ID3_FIELDS[id]) {
+    // 2.4 separates several values with NULs; the first is kept
+    setField(tags, ID3_FIELDS[id], decodeId3Text(data.subarray(1), encoding));
+  } else if (id === 'TXXX' || id === 'TXX') {
+    const { text: description, next } = readTerminated(data, 1, encoding);
+    setReplayGain(tags, REPLAY_GAIN_KEYS[description.toUpperCase()], decodeId3Text(data.subarray(next), encoding));
+  } else if (id === 'COMM' || id === 'COM') {
+    // After the encoding and a three-letter language; iTunes keeps its own data in described comments
+    const { text: description, next } = readTerminated(data, 4, encoding);
+    if (!description.startsWith('iTun')) {
+      setField(tags, 'comment', decodeId3Text(data.subarray(next), encoding));
+    }
+  } else if (id === 'APIC' || id === 'PIC') {
+    readId3Picture(id, data, encoding, tags);
+  } else if (id === 'CHAP' && major > 2) {
+    readId3Chapter(data, major, tags);
+  }
+}
+
+function decodeId3Text(bytes, encoding) {
+  switch (encoding) {
+    case 1: {
+      // UTF-16 with a byte order mark
+      const bigEndian = bytes[0] === 0xfe && bytes[1] === 0xff;
+      const hasBom = bigEndian || (bytes[0] === 0xff && bytes[1] === 0xfe);
+      return decodeUtf16(hasBom ? bytes.subarray(2) : bytes, !bigEndian);
+    }
+    case 2:
+      return decodeUtf16(bytes, false);
+    case 3:
+      return utf8.decode(bytes);
+    default:
+      return readLatin1(bytes);
+  }
+}
+
+// A NUL-terminated string; the terminator is two bytes, on a character boundary, in UTF-16
+function readTerminated(bytes, offset, encoding) {
+  const step = encoding === 1 || encoding === 2 ? 2 : 1;
+  let end = offset;
+  while (end + step <= bytes.length && !(bytes[end] === 0 && (step === 1 || bytes[end + 1] === 0))) {
+    end += step;
+  }
+  return { text: decodeId3Text(bytes.subarray(offset, end), encoding), next: Math.min(end + step, bytes.length) };
+}
+
+function readId3Picture(id, data, encoding, tags) {
+  let offset;
+  let mimeType;
+  if (id === 'PIC') {
+    // ID3v2.2 names a three-letter image format instead of a MIME type
+    const format = readLatin1(data, 1, 3).toLowerCase();
+    mimeType = format === '-->' ? format : `image/${format}`;
+    offset = 4;
+  } else {
+    const mime = readTerminated(data, 1, 0);
+    mimeType = mime.text;
+    offset = mime.next;
+  }
+  const pictureType = data[offset];
+  const { text: description, next } = readTerminated(data, offset + 1, encoding);
+  addArtwork(tags, data.subarray(next), mimeType, description, pictureType);
+}
+
+function readId3Chapter(data, major, tags) {
+  // Element ID, start and end (ms), start and end byte offsets, then the chapter's own frames
+  const { next } = readTerminated(data, 0, 0);
+  if (next + 16 > data.length) return;
+  const times = view(data);
+  const start = times.getUint32(next) / 1000;
+  const end = times.getUint32(next + 4) / 1000;
+
+  const chapterTags = createTags();
+  for (const frame of readId3Frames(data.subarray(next + 16), major)) {
+    readId3Frame(frame, major, chapterTags);
+  }
+  tags.chapters.push({ start, end: end > start ? end : null, title: chapterTags.title });
+}
+
+// ---- ID3v1 ----
+
+async function readId3v1(source, tags) {
+  if (source.size < 128) return;
+  const bytes = await source.read(source.size - 128, 128);
+  if (readLatin1(bytes, 0, 3) !== 'TAG') return;
+
+  const text = (offset, length) => readLatin1(bytes, offset, length);
+  // ID3v1.1 gives the comment's last two bytes to a zero and the track number
+  const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+  setField(tags, 'title', text(3, 30));
+  setField(tags, 'artist', text(33, 30));
+  setField(tags, 'album', text(63, 30));
+  setField(tags, 'year', text(93, 4));
+  setField(tags, 'comment', text(97, hasTrack ? 28 : 30));
+  if (hasTrack) {
+    setNumber(tags, 'trackNumber', bytes[126]);
+  }
+  addFormat(tags, hasTrack ? 'ID3v1.1' : 'ID3v1');
+}
+
+// ---- Vorbis comments and FLAC ----
+
+function readVorbisComment(bytes, tags) {
+  const data = view(bytes);
+  // Little-endian, unlike the rest of FLAC: vendor string, then `KEY=value` comments
+  let offset = 4 + data.getUint32(0, true);
+  const count = data.getUint32(offset, true);
+  offset += 4;
+
+  const r128 = {};
+  const chapters = new Map();
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = data.getUint32(offset, true);
+    const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+
+    if (VORBIS_FIELDS[key]) {
+      setField(tags, VORBIS_FIELDS[key], value);
+    } else if (REPLAY_GAIN_KEYS[key]) {
+      setReplayGain(tags, REPLAY_GAIN_KEYS[key], value);
+    } else if (key === 'R128_TRACK_GAIN' || key === 'R128_ALBUM_GAIN') {
+      r128[key] = value;
+    } else if (key === 'METADATA_BLOCK_PICTURE') {
+      readFlacPicture(Uint8Array.from(atob(value.trim()), char => char.charCodeAt(0)), tags);
+    } else {
+      // CHAPTER001=00:01:30.000 and CHAPTER001NAME=Verse
+      const chapter = /^CHAPTER(\d+)(NAME)?$/.exec(key);
+      if (chapter) {
+        const entry = chapters.get(chapter[1]) ?? { start: null, title: null };
+        if (chapter[2]) {
+          entry.title = value.trim() || null;
+        } else {
+          entry.start = parseChapterTime(value);
+        }
+        chapters.set(chapter[1], entry);
+      }
+    }
+  }
+
+  // Opus R128 gains are Q7.8 fixed point
+  if (r128.R128_TRACK_GAIN !== undefined) {
+    setReplayGain(tags, 'trackGain', Number(r128.R128_TRACK_GAIN) / 256 + R128_TO_REPLAY_GAIN);
+  }
+  if (r128.R128_ALBUM_GAIN !== undefined) {
+    setReplayGain(tags, 'albumGain', Number(r128.R128_ALBUM_GAIN) / 256 + R128_TO_REPLAY_GAIN);
+  }
+  chapters.forEach(({ start, title }) => {
+    if (start !== null) {
+      tags.chapters.push({ start, end: null, title });
+    }
+  });
+  addFormat(tags, 'Vorbis comment');
+}
+
+function parseChapterTime(text) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(text.trim());
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+function readFlacPicture(bytes, tags) {
+  // Big-endian: type, MIME type, description, width, height, depth, colours, then the image
+  const data = view(bytes);
+  const pictureType = data.getUint32(0);
+  const mimeLength = data.getUint32(4);
+  const mimeType = readLatin1(bytes, 8, mimeLength);
+  let offset = 8 + mimeLength;
+  const descriptionLength = data.getUint32(offset);
+  const description = utf8.decode(bytes.subarray(offset + 4, offset + 4 + descriptionLength));
+  offset += 4 + descriptionLength + 16;
+  const length = data.getUint32(offset);
+  addArtwork(tags, bytes.subarray(offset + 4, offset + 4 + length), mimeType, description, pictureType);
+}
+
+function readFlacBlock(type, body, tags) {
+  if (type === FLAC_VORBIS_COMMENT) {
+    readVorbisComment(body, tags);
+  } else if (type === FLAC_PICTURE) {
+    readFlacPicture(body, tags);
+    addFormat(tags, 'FLAC picture');
+  }
+}
+
+async function readFlacTags(source, offset, tags) {
+  for (let block = 0; block < MAX_FLAC_BLOCKS && offset + 4 <= source.size; block++) {
+    const header = await source.read(offset, 4);
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    if ((type === FLAC_VORBIS_COMMENT || type === FLAC_PICTURE) && length <= CONFIG.TAG_MAX_SIZE) {
+      readFlacBlock(type, await source.read(offset + 4, length), tags);
+    }
+    offset += 4 + length;
+    // The high bit marks the last metadata block
+    if (header[0] & 0x80) break;
+  }
+}
+
+// ---- Ogg ----
+
+async function readOggTags(source, offset, tags) {
+  const packets = readOggPackets(source, offset);
+  try {
+    const { value: first } = await packets.next();
+    if (!first) return;
+    const startsWith = (packet, text) => readLatin1(packet, 0, text.length) === text;
+
+    if (startsWith(first, '\x01vorbis') || startsWith(first, 'OpusHead')) {
+      // The comment header is the second packet
+      const { value: comment } = await packets.next();
+      if (comment && startsWith(comment, '\x03vorbis')) {
+        readVorbisComment(comment.subarray(7), tags);
+      } else if (comment && startsWith(comment, 'OpusTags')) {
+        readVorbisComment(comment.subarray(8), tags);
+      }
+    } else if (startsWith(first, '\x7fFLAC')) {
+      // FLAC's metadata blocks follow, one per packet
+      for await (const packet of packets) {
+        readFlacBlock(packet[0] & 0x7f, packet.subarray(4), tags);
+        if (packet[0] & 0x80) break;
+      }
+    }
+  } finally {
+    await packets.return();
+  }
+}
+
+// Packets of the first logical stream, joined across pages
+async function* readOggPackets(source, offset) {
+  let serial = null;
+  let chunks = [];
+  let bytesRead = 0;
+
+  while (offset + 27 <= source.size && bytesRead <= CONFIG.TAG_MAX_SIZE) {
+    const header = await source.read(offset, 27 + 255);
+    if (readLatin1(header, 0, 4) !== 'OggS') return;
+
+    const lacing = header.subarray(27, 27 + header[26]);
+    const bodyStart = offset + 27 + lacing.length;
+    const bodySize = lacing.reduce((sum, size) => sum + size, 0);
+    const pageSerial = view(header).getUint32(14, true);
+    offset = bodyStart + bodySize;
+
+    serial ??= pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = await source.read(bodyStart, bodySize);
+    bytesRead += bodySize;
+    let position = 0;
+    for (const size of lacing) {
+      chunks.push(body.subarray(position, position + size));
+      position += size;
+      // A lacing value under 255 ends the packet
+      if (size < 255) {
+        yield concatBytes(chunks);
+        chunks = [];
+      }
+    }
+  }
+}
+
+// ---- MP4 ----
+
+// Atoms between two offsets: `{ type, start, end }` of each one's contents
+async function* readAtoms(source, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const header = await source.read(offset, 16);
+    const data = view(header);
+    let size = data.getUint32(0);
+    let headerSize = 8;
+    if (size === 1 && header.length === 16) {
+      size = readUint64(data, 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      // Runs to the end
+      size = end - offset;
+    }
+    if (size < headerSize) return;
+
+    yield { type: readLatin1(header, 4, 4), start: offset + headerSize, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+async function findAtom(source, start, end, type) {
+  for await (const atom of readAtoms(source, start, end)) {
+    if (atom.type === type) return atom;
+  }
+  return null;
+}
+
+async function readAtomBody(source, atom) {
+  const size = atom.end - atom.start;
+  return size <= CONFIG.TAG_MAX_SIZE ? source.read(atom.start, size) : null;
+}
+
+async function readMp4Tags(source, offset, tags) {
+  const moov = await findAtom(source, offset, source.size, 'moov');
+  const udta = moov && await findAtom(source, moov.start, moov.end, 'udta');
+  if (!udta) return;
+
+  for await (const atom of readAtoms(source, udta.start, udta.end)) {
+    if (atom.type === 'meta') {
+      // ISO `meta` is a full box (version and flags before its children); QuickTime's is not
+      const firstChild = await source.read(atom.start + 4, 4);
+      const childrenStart = readLatin1(firstChild) === 'hdlr' ? atom.start : atom.start + 4;
+      const ilst = await findAtom(source, childrenStart, atom.end, 'ilst');
+      const body = ilst && await readAtomBody(source, ilst);
+      if (body) {
+        await readIlst(body, tags);
+      }
+    } else if (atom.type === 'chpl') {
+      const body = await readAtomBody(source, atom);
+      if (body) {
+        readNeroChapters(body, tags);
+      }
+    }
+  }
+}
+
+async function readIlst(bytes, tags) {
+  const source = createByteSource(bytes);
+  for await (const item of readAtoms(source, 0, bytes.length)) {
+    const values = [];
+    let name = null;
+    for await (const child of readAtoms(source, item.start, item.end)) {
+      const body = bytes.subarray(child.start, child.end);
+      if (child.type === 'data' && body.length >= 8) {
+        // Type (after a version byte), then a locale
+        values.push({ type: view(body).getUint32(0) & 0xffffff, value: body.subarray(8) });
+      } else if (child.type === 'name') {
+        name = utf8.decode(body.subarray(4));
+      }
+    }
+    readIlstItem(item.type, name, values, tags);
+  }
+  addFormat(tags, 'MP4');
+}
+
+function readIlstItem(type, name, values, tags) {
+  const [first] = values;
+  if (!first) return;
+
+  if (MP4_FIELDS[type]) {
+    setField(tags, MP4_FIELDS[type], utf8.decode(first.value));
+  } else if (type === 'trkn' && first.value.length >= 6) {
+    // Two reserved bytes, then the number and the total
+    const data = view(first.value);
+    setNumber(tags, 'trackNumber', data.getUint16(2));
+    setNumber(tags, 'trackTotal', data.getUint16(4));
+  } else if (type === 'covr') {
+    values.forEach(({ type: dataType, value }) => {
+      addArtwork(tags, value, MP4_IMAGE_TYPES[dataType] ?? '', '', PictureTypes.FRONT_COVER);
+    });
+  } else if (type === '----' && name) {
+    // Freeform `----:com.apple.iTunes:replaygain_track_gain`
+    setReplayGain(tags, REPLAY_GAIN_KEYS[name.toUpperCase()], utf8.decode(first.value));
+  }
+}
+
+function readNeroChapters(bytes, tags) {
+  // Version and flags (plus a reserved word in version 1), a count, then start (100 ns units) and title
+  const data = view(bytes);
+  let offset = bytes[0] === 1 ? 8 : 4;
+  const count = bytes[offset++];
+  for (let i = 0; i < count && offset + 9 <= bytes.length; i++) {
+    const start = readUint64(data, offset) / 1e7;
+    const length = bytes[offset + 8];
+    const title = utf8.decode(bytes.subarray(offset + 9, offset + 9 + length));
+    tags.chapters.push({ start, end: null, title: title || null });
+    offset += 9 + length;
+  }
+  addFormat(tags, 'Nero chapters');
+}
+
+// ---- RIFF (WAV) ----
+
+// Sub-chunks of a LIST body (after its type)
+function* readRiffSubChunks(bytes) {
+  const data = view(bytes);
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    const size = data.getUint32(offset + 4, true);
+    yield { id: readLatin1(bytes, offset, 4), body: bytes.subarray(offset + 8, offset + 8 + size) };
+    // Chunks are padded to an even length
+    offset += 8 + size + (size & 1);
+  }
+}
+
+async function readRiffTags(source, offset, tags) {
+  let sampleRate = null;
+  let dataSize = null;
+  let cuePoints = [];
+  const labels = new Map();
+
+  let position = offset + 12;
+  while (position + 8 <= source.size) {
+    const header = await source.read(position, 8);
+    const id = readLatin1(header, 0, 4);
+    let size = view(header).getUint32(4, true);
+    // RF64 keeps the real size of the samples in its ds64 chunk
+    if (id === 'data' && size === 0xffffffff && dataSize !== null) {
+      size = dataSize;
+    }
+    const start = position + 8;
+    position = start + size + (size & 1);
+
+    const isTagChunk = ['ds64', 'fmt ', 'LIST', 'id3 ', 'ID3 ', 'cue '].includes(id);
+    if (!isTagChunk || size > CONFIG.TAG_MAX_SIZE) continue;
+    const body = await source.read(start, size);
+    const data = view(body);
+
+    switch (id) {
+      case 'ds64':
+        dataSize = readUint64(data, 8, true);
+        break;
+      case 'fmt ':
+        sampleRate = data.getUint32(4, true);
+        break;
+      case 'LIST':
+        readRiffList(body, labels, tags);
+        break;
+      case 'id3 ':
+      case 'ID3 ':
+        readId3v2(body, tags);
+        break;
+      case 'cue ':
+        // Count, then 24-byte points: ID, position, chunk, chunk start, block start, sample offset
+        cuePoints = Array.from({ length: Math.min(data.getUint32(0, true), Math.floor((size - 4) / 24)) }, (_, i) => ({
+          id: data.getUint32(4 + i * 24, true),
+          sample: data.getUint32(4 + i * 24 + 20, true)
+        }));
+        break;
+    }
+  }
+
+  // Cue points are the WAV equivalent of chapters
+  if (sampleRate > 0 && cuePoints.length > 0) {
+    cuePoints.forEach(({ id, sample }) => {
+      tags.chapters.push({ start: sample / sampleRate, end: null, title: labels.get(id) ?? null });
+    });
+    addFormat(tags, 'RIFF cue');
+  }
+}
+
+function readRiffList(body, labels, tags) {
+  const type = readLatin1(body, 0, 4);
+  const text = (bytes) => decodeUnknownText(bytes).replace(/\0[\s\S]*$/, '');
+
+  if (type === 'INFO') {
+    for (const { id, body: value } of readRiffSubChunks(body.subarray(4))) {
+      if (RIFF_INFO_FIELDS[id]) {
+        setField(tags, RIFF_INFO_FIELDS[id], text(value));
+      }
+    }
+    addFormat(tags, 'RIFF INFO');
+  } else if (type === 'adtl') {
+    // Labels name cue points by ID
+    for (const { id, body: value } of readRiffSubChunks(body.subarray(4))) {
+      if (id === 'labl' && value.length > 4) {
+        labels.set(view(value).getUint32(0, true), text(value.subarray(4)).trim() || null);
+      }
+    }
+  }
+}
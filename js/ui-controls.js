@@ -1,17 +1,159 @@
 import { ui } from './logger.js';
+import { TypeValidator, UIValidation, ValidationError } from './validation.js';
+import { EQ_BANDS, hasGain } from './equalizer.js';
+import { CONFIG } from './utils.js';
 
-export function createUI(container) {
+/**
+ * Built-in control presets
+ */
+export const PlayerControls = Object.freeze({
+  NONE: 'none',       // Canvas only - drive the player through its API
+  MINIMAL: 'minimal', // Canvas and file input
+  FULL: 'full'        // Every built-in control
+});
+
+/**
+ * Individual built-in controls, in the order they are added to the container
+ */
+export const ControlNames = Object.freeze({
+  TITLE: 'title',
+  INSTRUCTIONS: 'instructions',
+  URL_INPUT: 'urlInput',
+  LAST_LOADED: 'lastLoaded',
+  URL_BUTTON: 'urlButton',
+  DEMO_TRACKS: 'demoTracks',
+  FILE_INPUT: 'fileInput',
+  RESUME_PROMPT: 'resumePrompt', // "Resume from 42:10?" bar below the canvas
+  EQUALIZER: 'equalizer', // EQ button below the canvas, opening the band panel over it
+  TRACK_INFO: 'trackInfo', // Info button below the canvas, opening the loudness panel over it
+  PLAYLIST: 'playlist', // Queue list below the canvas
+  MARKERS: 'markers'    // Marker list below the canvas
+});
+
+const PRESET_CONTROLS = {
+  [PlayerControls.NONE]: [],
+  [PlayerControls.MINIMAL]: [ControlNames.FILE_INPUT],
+  [PlayerControls.FULL]: Object.values(ControlNames)
+};
+
+/**
+ * Demo tracks offered by the full preset
+ */
+export const DEFAULT_DEMO_TRACKS = Object.freeze([
+  Object.freeze({ label: 'Load Test File', url: 'assets/test-audio/09. Machines in the Ruins.ogg' })
+]);
+
+/**
+ * Turn a `controls` option into a flag per control
+ * @param {string|Object} [controls='full'] - A PlayerControls preset, or `{ [ControlNames]: boolean }`
+ *   (controls left out of the object are hidden)
+ * @returns {Object<string, boolean>} One entry per ControlNames value
+ * @throws {ValidationError} For unknown presets, unknown control names or non-boolean flags
+ */
+export function resolveControls(controls = PlayerControls.FULL) {
+  const names = Object.values(ControlNames);
+
+  if (TypeValidator.isString(controls)) {
+    const enabled = PRESET_CONTROLS[controls];
+    if (!enabled) {
+      throw new ValidationError(`Unknown controls preset "${controls}"`, 'controls', controls, Object.values(PlayerControls).join('|'));
+    }
+    return Object.fromEntries(names.map(name => [name, enabled.includes(name)]));
+  }
+
+  if (!TypeValidator.isObject(controls)) {
+    throw new ValidationError('controls must be a preset name or an object of flags', 'controls', controls, 'string|object');
+  }
+
+  Object.entries(controls).forEach(([name, enabled]) => {
+    if (!names.includes(name)) {
+      throw new ValidationError(`Unknown control "${name}"`, 'controls', name, names.join('|'));
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new ValidationError(`Control "${name}" must be true or false`, `controls.${name}`, enabled, 'boolean');
+    }
+  });
+
+  return Object.fromEntries(names.map(name => [name, controls[name] === true]));
+}
+
+/**
+ * Validate a demo track list
+ * @param {Array<{label: string, url: string}>} tracks
+ * @returns {Array<{label: string, url: string}>} The same list
+ * @throws {ValidationError} If the list or any entry is malformed
+ */
+export function validateDemoTracks(tracks) {
+  if (!TypeValidator.isArray(tracks)) {
+    throw new ValidationError('demoTracks must be an array', 'demoTracks', tracks, 'array');
+  }
+
+  tracks.forEach((track, index) => {
+    if (!TypeValidator.isString(track?.label, { minLength: 1 }) || !TypeValidator.isString(track?.url, { minLength: 1 })) {
+      throw new ValidationError(`demoTracks[${index}] needs a non-empty label and url`, `demoTracks[${index}]`, track, '{ label: string, url: string }');
+    }
+  });
+
+  return tracks;
+}
+
+/**
+ * Validate user-supplied control elements
+ * @param {Object} elements - `{ urlInput?, urlButton?, fileInput? }`
+ * @returns {Object} The same object
+ * @throws {ValidationError} If an entry is not an element of the right kind
+ */
+export function validateControlElements(elements) {
+  if (!TypeValidator.isObject(elements)) {
+    throw new ValidationError('elements must be an object', 'elements', elements, 'object');
+  }
+
+  const { urlInput, urlButton, fileInput, ...unknown } = elements;
+  const unknownNames = Object.keys(unknown);
+  if (unknownNames.length > 0) {
+    throw new ValidationError(`Unknown control element "${unknownNames[0]}"`, 'elements', unknownNames[0], 'urlInput|urlButton|fileInput');
+  }
+
+  if (urlInput !== undefined) {
+    UIValidation.validateContainer(urlInput, 'elements.urlInput');
+  }
+  if (urlButton !== undefined) {
+    UIValidation.validateContainer(urlButton, 'elements.urlButton');
+  }
+  if (fileInput !== undefined && !(TypeValidator.isHTMLElement(fileInput, 'input') && fileInput.type === 'file')) {
+    throw new ValidationError('elements.fileInput must be an <input type="file">', 'elements.fileInput', fileInput, 'HTMLInputElement');
+  }
+
+  return elements;
+}
+
+/**
+ * Create the title and instructions
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {boolean} [options.title=true]
+ * @param {boolean} [options.instructions=true]
+ * @returns {{title: HTMLElement|null, instructions: HTMLElement|null}}
+ */
+export function createUI(container, { title: showTitle = true, instructions: showInstructions = true } = {}) {
   ui('🎨 UI: Creating UI elements');
-  
+
+  let title = null;
+  let instructions = null;
+
   // Create title
-  const title = document.createElement('h1');
-  title.textContent = 'Spiral Waveform Audio Player';
-  container.appendChild(title);
+  if (showTitle) {
+    title = document.createElement('h1');
+    title.textContent = 'Spiral Waveform Audio Player';
+    container.appendChild(title);
+  }
 
   // Create instructions
-  const instructions = document.createElement('p');
-  instructions.textContent = 'Click the center button to play/pause • Drag around the waveform to seek • Press spacebar for play/pause';
-  container.appendChild(instructions);
+  if (showInstructions) {
+    instructions = document.createElement('p');
+    instructions.textContent = 'Click the center button to play/pause • Drag around the waveform to seek • Press spacebar for play/pause';
+    container.appendChild(instructions);
+  }
 
   return {
     title,
@@ -19,7 +161,627 @@ export function createUI(container) {
   };
 }
 
+/**
+ * Labels shown on the playlist repeat button, per RepeatModes value
+ */
+const REPEAT_LABELS = Object.freeze({
+  off: 'Repeat: off',
+  one: 'Repeat: one',
+  all: 'Repeat: all'
+});
+
+/**
+ * Create the compact queue list shown below the canvas
+ * Buttons carry a `data-action` (previous, next, repeat, shuffle, play, remove) and
+ * list buttons a `data-index`, so the player handles every click with one listener.
+ * @returns {{root: HTMLElement, list: HTMLOListElement, repeatButton: HTMLButtonElement, shuffleButton: HTMLButtonElement}}
+ */
+export function createPlaylistUI() {
+  ui('📃 UI: Creating playlist');
+
+  const root = document.createElement('div');
+  root.className = 'playlist';
+  root.hidden = true;
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'playlist-toolbar';
+  const button = (action, text, title) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'playlist-button';
+    element.dataset.action = action;
+    element.textContent = text;
+    element.title = title;
+    element.setAttribute('aria-label', title);
+    toolbar.appendChild(element);
+    return element;
+  };
+  button('previous', '⏮', 'Previous track');
+  button('next', '⏭', 'Next track');
+  const repeatButton = button('repeat', '🔁', REPEAT_LABELS.off);
+  const shuffleButton = button('shuffle', '🔀', 'Shuffle');
+  shuffleButton.setAttribute('aria-pressed', 'false');
+
+  const list = document.createElement('ol');
+  list.className = 'playlist-items';
+  list.setAttribute('aria-label', 'Playlist');
+
+  root.appendChild(toolbar);
+  root.appendChild(list);
+  return { root, list, repeatButton, shuffleButton };
+}
+
+/**
+ * Show a playlist snapshot in the list created by createPlaylistUI()
+ * @param {{root: HTMLElement, list: HTMLOListElement, repeatButton: HTMLButtonElement, shuffleButton: HTMLButtonElement}} playlistUI
+ * @param {import('./playlist.js').PlaylistSnapshot} snapshot
+ */
+export function renderPlaylistUI(playlistUI, { items, currentIndex, repeat, shuffle }) {
+  const { root, list, repeatButton, shuffleButton } = playlistUI;
+  root.hidden = items.length === 0;
+
+  repeatButton.title = REPEAT_LABELS[repeat];
+  repeatButton.setAttribute('aria-label', REPEAT_LABELS[repeat]);
+  repeatButton.classList.toggle('active', repeat !== 'off');
+  shuffleButton.setAttribute('aria-pressed', String(shuffle));
+  shuffleButton.classList.toggle('active', shuffle);
+
+  list.replaceChildren(...items.map((item, index) => {
+    const entry = document.createElement('li');
+    entry.className = index === currentIndex ? 'playlist-item current' : 'playlist-item';
+    if (index === currentIndex) {
+      entry.setAttribute('aria-current', 'true');
+    }
+
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'playlist-item-name';
+    play.dataset.action = 'play';
+    play.dataset.index = String(index);
+    play.textContent = item.name;
+    play.title = item.url || item.name;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'playlist-item-remove';
+    remove.dataset.action = 'remove';
+    remove.dataset.index = String(index);
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${item.name}`);
+
+    entry.appendChild(play);
+    entry.appendChild(remove);
+    return entry;
+  }));
+}
+
+/**
+ * Create the marker list shown below the canvas
+ * Buttons carry a `data-action` (add, export-json, export-audacity, import, seek, remove) and
+ * list entries a `data-id`, so the player handles every click and edit with delegated listeners.
+ * @returns {{root: HTMLElement, list: HTMLOListElement, fileInput: HTMLInputElement}}
+ */
+export function createMarkersUI() {
+  ui('📍 UI: Creating marker list');
+
+  const root = document.createElement('div');
+  root.className = 'markers';
+  root.hidden = true;
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'markers-toolbar';
+  const button = (action, text, title) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'markers-button';
+    element.dataset.action = action;
+    element.textContent = text;
+    element.title = title;
+    element.setAttribute('aria-label', title);
+    toolbar.appendChild(element);
+    return element;
+  };
+  button('add', '📍 Add', 'Add marker at the playhead (Shift+M)');
+  button('export-json', 'JSON', 'Export markers as JSON');
+  button('export-audacity', 'Labels', 'Export markers as an Audacity label file');
+  button('import', 'Import', 'Import markers from JSON or an Audacity label file');
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,.txt,application/json,text/plain';
+  fileInput.hidden = true;
+  toolbar.appendChild(fileInput);
+
+  const list = document.createElement('ol');
+  list.className = 'markers-items';
+  list.setAttribute('aria-label', 'Markers');
+
+  root.appendChild(toolbar);
+  root.appendChild(list);
+  return { root, list, fileInput };
+}
+
+/**
+ * Format seconds as m:ss.s for the marker list (and the track info)
+ */
+function formatMarkerTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${secs}`;
+}
+
+/**
+ * Show the loaded track's markers in the list created by createMarkersUI()
+ * @param {{root: HTMLElement, list: HTMLOListElement}} markersUI
+ * @param {import('./markers.js').Marker[]} markers - In time order
+ * @param {boolean} hasTrack - Whether a track is loaded (the list is hidden without one)
+ */
+export function renderMarkersUI(markersUI, markers, hasTrack) {
+  const { root, list } = markersUI;
+  root.hidden = !hasTrack;
+
+  list.replaceChildren(...markers.map(marker => {
+    const entry = document.createElement('li');
+    entry.className = 'markers-item';
+    entry.dataset.id = String(marker.id);
+
+    const seek = document.createElement('button');
+    seek.type = 'button';
+    seek.className = 'markers-item-time';
+    seek.dataset.action = 'seek';
+    seek.textContent = formatMarkerTime(marker.time);
+    seek.setAttribute('aria-label', `Jump to ${marker.name}`);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'markers-item-name';
+    name.dataset.field = 'name';
+    name.value = marker.name;
+    name.maxLength = 100;
+    name.setAttribute('aria-label', 'Marker name');
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'markers-item-color';
+    color.dataset.field = 'color';
+    // <input type="color"> only takes #rrggbb
+    color.value = /^#[0-9a-f]{6}$/i.test(marker.color) ? marker.color : '#ffffff';
+    color.setAttribute('aria-label', `Color of ${marker.name}`);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'markers-item-remove';
+    remove.dataset.action = 'remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${marker.name}`);
+
+    entry.appendChild(seek);
+    entry.appendChild(name);
+    entry.appendChild(color);
+    entry.appendChild(remove);
+    return entry;
+  }));
+}
+
+// Band names shown in the equalizer panel
+const EQ_BAND_LABELS = Object.freeze({
+  highpass: 'High-pass',
+  low: 'Low shelf',
+  'low-mid': 'Low mid',
+  mid: 'Mid',
+  'high-mid': 'High mid',
+  presence: 'Presence',
+  high: 'High shelf',
+  lowpass: 'Low-pass'
+});
+
+// Smallest dB range the response curve shows either side of 0
+const EQ_CURVE_MIN_RANGE = 12;
+
+/**
+ * Create the equalizer: a toggle button and a panel that opens over the canvas
+ * The toggle and preset buttons carry a `data-action` (toggle, save-preset, delete-preset),
+ * inputs a `data-field` (bypass, preset, enabled, frequency, gain, Q) and band rows a
+ * `data-band`, so the player handles every click and edit with delegated listeners.
+ * @returns {{root: HTMLElement, toggle: HTMLButtonElement, panel: HTMLElement, curve: HTMLCanvasElement,
+ *   bypass: HTMLInputElement, presetSelect: HTMLSelectElement, presetName: HTMLInputElement,
+ *   deleteButton: HTMLButtonElement, bands: HTMLElement}}
+ */
+export function createEqualizerUI() {
+  ui('🎚️ UI: Creating equalizer');
+
+  const root = document.createElement('div');
+  root.className = 'equalizer';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'equalizer-toggle';
+  toggle.dataset.action = 'toggle';
+  toggle.textContent = '🎚️ EQ';
+  toggle.title = 'Equalizer';
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const panel = document.createElement('div');
+  panel.className = 'equalizer-panel';
+  panel.hidden = true;
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Equalizer');
+
+  const curve = document.createElement('canvas');
+  curve.className = 'equalizer-curve';
+  curve.width = 300;
+  curve.height = 100;
+  curve.setAttribute('role', 'img');
+  curve.setAttribute('aria-label', 'Equalizer frequency response');
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'equalizer-toolbar';
+
+  const bypassLabel = document.createElement('label');
+  const bypass = document.createElement('input');
+  bypass.type = 'checkbox';
+  bypass.dataset.field = 'bypass';
+  bypassLabel.appendChild(bypass);
+  bypassLabel.append(' Bypass');
+
+  const presetSelect = document.createElement('select');
+  presetSelect.dataset.field = 'preset';
+  presetSelect.setAttribute('aria-label', 'Equalizer preset');
+
+  const presetName = document.createElement('input');
+  presetName.type = 'text';
+  presetName.className = 'equalizer-preset-name';
+  presetName.placeholder = 'Preset name';
+  presetName.maxLength = 40;
+  presetName.setAttribute('aria-label', 'Name to save the preset under');
+
+  const button = (action, text, title) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'equalizer-button';
+    element.dataset.action = action;
+    element.textContent = text;
+    element.title = title;
+    element.setAttribute('aria-label', title);
+    return element;
+  };
+  const saveButton = button('save-preset', 'Save', 'Save the current bands as a preset');
+  const deleteButton = button('delete-preset', 'Delete', 'Delete the selected preset');
+
+  toolbar.append(bypassLabel, presetSelect, presetName, saveButton, deleteButton);
+
+  const bands = document.createElement('div');
+  bands.className = 'equalizer-bands';
+  EQ_BANDS.forEach(band => {
+    const label = EQ_BAND_LABELS[band.id];
+    const row = document.createElement('div');
+    row.className = 'equalizer-band';
+    row.dataset.band = band.id;
+
+    const input = (field, attributes, ariaLabel) => {
+      const element = document.createElement('input');
+      Object.assign(element, attributes);
+      element.dataset.field = field;
+      element.setAttribute('aria-label', `${label} ${ariaLabel}`);
+      row.appendChild(element);
+      return element;
+    };
+
+    input('enabled', { type: 'checkbox' }, 'on');
+    const name = document.createElement('span');
+    name.className = 'equalizer-band-name';
+    name.textContent = label;
+    row.appendChild(name);
+    input('frequency', { type: 'number', min: CONFIG.EQ_MIN_FREQUENCY, max: CONFIG.EQ_MAX_FREQUENCY, step: 1 }, 'frequency (Hz)');
+    const gain = input('gain', { type: 'range', min: -CONFIG.EQ_MAX_GAIN, max: CONFIG.EQ_MAX_GAIN, step: 0.5 }, 'gain (dB)');
+    gain.disabled = !hasGain(band.type);
+    input('Q', { type: 'number', min: CONFIG.EQ_MIN_Q, max: CONFIG.EQ_MAX_Q, step: 0.1 }, 'Q');
+    bands.appendChild(row);
+  });
+
+  panel.append(curve, toolbar, bands);
+  root.append(toggle, panel);
+  return { root, toggle, panel, curve, bypass, presetSelect, presetName, deleteButton, bands };
+}
+
+/**
+ * Show equalizer settings in the panel created by createEqualizerUI()
+ * @param {Object} equalizerUI
+ * @param {import('./equalizer.js').EqSettings} settings
+ * @param {Object} view
+ * @param {Float32Array} view.frequencies - Hz the curve is drawn through
+ * @param {Float32Array} view.response - dB at each frequency
+ * @param {{builtIn: string[], user: string[]}} view.presets
+ * @param {string|null} view.preset - Preset the bands came from (null once edited)
+ */
+export function renderEqualizerUI(equalizerUI, settings, { frequencies, response, presets, preset }) {
+  const { root, bypass, presetSelect, deleteButton, bands, curve } = equalizerUI;
+  root.classList.toggle('bypassed', settings.bypass);
+  bypass.checked = settings.bypass;
+
+  const option = (value, text) => {
+    const element = document.createElement('option');
+    element.value = value;
+    element.textContent = text;
+    return element;
+  };
+  const group = (label, names) => {
+    const element = document.createElement('optgroup');
+    element.label = label;
+    element.append(...names.map(name => option(name, name)));
+    return element;
+  };
+  presetSelect.replaceChildren(
+    option('', 'Custom'),
+    group('Built-in', presets.builtIn),
+    ...(presets.user.length > 0 ? [group('Saved', presets.user)] : [])
+  );
+  presetSelect.value = preset ?? '';
+  deleteButton.disabled = !presets.user.includes(preset);
+
+  settings.bands.forEach(band => {
+    const row = bands.querySelector(`[data-band="${band.id}"]`);
+    if (!row) return;
+    row.classList.toggle('off', !band.enabled);
+    row.querySelector('[data-field="enabled"]').checked = band.enabled;
+    ['frequency', 'gain', 'Q'].forEach(field => {
+      const input = row.querySelector(`[data-field="${field}"]`);
+      // Leave the field being typed in alone
+      if (input !== document.activeElement) {
+        input.value = String(band[field]);
+      }
+    });
+  });
+
+  drawEqualizerCurve(curve, frequencies, response);
+}
+
+/**
+ * Draw the response curve on a log frequency axis, with the 0 dB line
+ */
+function drawEqualizerCurve(canvas, frequencies, response) {
+  const ctx = canvas.getContext?.('2d');
+  if (!ctx || frequencies.length < 2) return;
+
+  const { width, height } = canvas;
+  const peak = response.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const range = Math.max(EQ_CURVE_MIN_RANGE, Math.ceil(peak));
+  const min = Math.log10(frequencies[0]);
+  const span = Math.log10(frequencies[frequencies.length - 1]) - min;
+  const x = (frequency) => (Math.log10(frequency) - min) / span * width;
+  const y = (db) => height / 2 - Math.max(-range, Math.min(range, db)) / range * (height / 2);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, height / 2);
+  ctx.lineTo(width, height / 2);
+  ctx.stroke();
+
+  ctx.strokeStyle = CONFIG.WAVEFORM_COLORS.INNER;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  frequencies.forEach((frequency, i) => {
+    ctx[i === 0 ? 'moveTo' : 'lineTo'](x(frequency), y(response[i]));
+  });
+  ctx.stroke();
+}
+
+/**
+ * Create the resume offer: a message with Resume and Start over buttons (hidden until offered)
+ * The buttons carry a `data-action` (resume, dismiss) for the player's delegated listener.
+ * @returns {{root: HTMLElement, message: HTMLElement}}
+ */
+export function createResumePromptUI() {
+  ui('⏯️ UI: Creating resume prompt');
+
+  const root = document.createElement('div');
+  root.className = 'resume-prompt';
+  root.hidden = true;
+  root.setAttribute('role', 'group');
+  root.setAttribute('aria-label', 'Resume playback');
+
+  const message = document.createElement('span');
+  message.className = 'resume-prompt-message';
+  root.appendChild(message);
+
+  [['resume', 'Resume'], ['dismiss', 'Start over']].forEach(([action, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'resume-prompt-button';
+    button.dataset.action = action;
+    button.textContent = text;
+    root.appendChild(button);
+  });
+  return { root, message };
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss from an hour on
+ */
+function formatClockTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  const secs = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Show or hide the resume offer created by createResumePromptUI()
+ * @param {{root: HTMLElement, message: HTMLElement}} resumePromptUI
+ * @param {import('./resume-position.js').ResumePosition|null} position - null hides the offer
+ */
+export function renderResumePromptUI(resumePromptUI, position) {
+  const { root, message } = resumePromptUI;
+  root.hidden = !position;
+  message.textContent = position ? `Resume from ${formatClockTime(position.time)}?` : '';
+}
+
+// Rows of the track info panel, in display order
+const TRACK_INFO_FIELDS = Object.freeze([
+  ['name', 'Name'],
+  ['title', 'Title'],
+  ['artist', 'Artist'],
+  ['album', 'Album'],
+  ['trackNumber', 'Track'],
+  ['year', 'Year'],
+  ['comment', 'Comment'],
+  ['duration', 'Duration'],
+  ['channels', 'Channels'],
+  ['sampleRate', 'Sample rate'],
+  ['integrated', 'Loudness'],
+  ['truePeak', 'True peak'],
+  ['gain', 'Normalization gain'],
+  ['replayGain', 'ReplayGain']
+]);
+
+/**
+ * Create the track info: a toggle button and a panel (over the canvas) with the loaded
+ * track's cover art, tags, details and loudness, and the normalization settings
+ * The toggle carries `data-action="toggle"` and the inputs a `data-field` (enabled,
+ * target, ceiling), so the player handles them with delegated listeners.
+ * @returns {{root: HTMLElement, toggle: HTMLButtonElement, panel: HTMLElement,
+ *   values: Object<string, HTMLElement>, enabled: HTMLInputElement, target: HTMLInputElement,
+ *   ceiling: HTMLInputElement}}
+ */
+export function createTrackInfoUI() {
+  ui('ℹ️ UI: Creating track info');
+
+  const root = document.createElement('div');
+  root.className = 'track-info';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'track-info-toggle';
+  toggle.dataset.action = 'toggle';
+  toggle.textContent = 'ℹ️ Info';
+  toggle.title = 'Track info, tags and loudness';
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const panel = document.createElement('div');
+  panel.className = 'track-info-panel';
+  panel.hidden = true;
+  panel.setAttribute('role', 'group');
+  panel.setAttribute('aria-label', 'Track info');
+
+  const artwork = document.createElement('img');
+  artwork.className = 'track-info-artwork';
+  artwork.alt = 'Cover art';
+  artwork.hidden = true;
+
+  const details = document.createElement('dl');
+  details.className = 'track-info-details';
+  const values = {};
+  TRACK_INFO_FIELDS.forEach(([key, label]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    values[key] = document.createElement('dd');
+    details.append(term, values[key]);
+  });
+
+  const settings = document.createElement('div');
+  settings.className = 'track-info-settings';
+  const field = (name, attributes, text) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    Object.assign(input, attributes);
+    input.dataset.field = name;
+    label.append(input, ` ${text}`);
+    settings.appendChild(label);
+    return input;
+  };
+  const enabled = field('enabled', { type: 'checkbox' }, 'Normalize loudness');
+  const target = field('target', { type: 'number', min: CONFIG.LOUDNESS_TARGET_MIN, max: CONFIG.LOUDNESS_TARGET_MAX, step: 1 }, 'LUFS target');
+  const ceiling = field('ceiling', { type: 'number', min: CONFIG.LOUDNESS_CEILING_MIN, max: 0, step: 0.5 }, 'dBTP ceiling');
+
+  panel.append(artwork, details, settings);
+  root.append(toggle, panel);
+  return { root, toggle, panel, artwork, values, enabled, target, ceiling };
+}
+
+/**
+ * Format a level for the track info panel (silence shows as -∞)
+ */
+function formatLevel(value, unit) {
+  return value === null ? `-∞ ${unit}` : `${value.toFixed(1)} ${unit}`;
+}
+
+/**
+ * Format ReplayGain tags for the track info panel
+ */
+function formatReplayGain(replayGain) {
+  const gains = [['trackGain', 'track'], ['albumGain', 'album']]
+    .filter(([key]) => replayGain?.[key] != null)
+    .map(([key, label]) => `${replayGain[key] >= 0 ? '+' : ''}${replayGain[key].toFixed(1)} dB ${label}`);
+  return gains.length > 0 ? gains.join(', ') : '—';
+}
+
+/**
+ * Show the loaded track and the normalization settings in the panel created by createTrackInfoUI()
+ * @param {Object} trackInfoUI
+ * @param {Object|null} track - null when nothing is loaded
+ * @param {string} track.name
+ * @param {number} track.duration - Seconds
+ * @param {number} track.channels
+ * @param {number} track.sampleRate - Hz
+ * @param {Object|null} track.loudness - Measurement and gain (null when the track has no samples to measure)
+ * @param {import('./tag-reader.js').TrackTags|null} [track.tags] - Tags read from the file
+ * @param {string|null} [track.artworkUrl] - URL of its cover art
+ * @param {import('./loudness.js').NormalizationSettings} normalization
+ */
+export function renderTrackInfoUI(trackInfoUI, track, normalization) {
+  const { root, artwork, values, enabled, target, ceiling } = trackInfoUI;
+  const loudness = track?.loudness ?? null;
+  const tags = track?.tags ?? null;
+  const trackNumber = tags?.trackNumber ? `${tags.trackNumber}${tags.trackTotal ? ` of ${tags.trackTotal}` : ''}` : null;
+  const text = {
+    name: track?.name || '—',
+    title: tags?.title || '—',
+    artist: tags?.artist || '—',
+    album: tags?.album || '—',
+    trackNumber: trackNumber || '—',
+    year: tags?.year ? String(tags.year) : '—',
+    comment: tags?.comment || '—',
+    duration: track ? formatMarkerTime(track.duration) : '—',
+    channels: track ? String(track.channels) : '—',
+    sampleRate: track ? `${(track.sampleRate / 1000).toFixed(1)} kHz` : '—',
+    integrated: loudness ? formatLevel(loudness.integrated, 'LUFS') : '—',
+    truePeak: loudness ? formatLevel(loudness.truePeak, 'dBTP') : '—',
+    gain: loudness ? `${loudness.gain >= 0 ? '+' : ''}${loudness.gain.toFixed(1)} dB${loudness.applied ? '' : ' (off)'}` : '—',
+    replayGain: formatReplayGain(tags?.replayGain)
+  };
+  Object.entries(text).forEach(([key, value]) => {
+    values[key].textContent = value;
+  });
+  // Long comments are cut off in the panel
+  values.comment.title = tags?.comment || '';
+
+  const artworkUrl = track?.artworkUrl ?? null;
+  artwork.hidden = !artworkUrl;
+  if (artworkUrl) {
+    if (artwork.getAttribute('src') !== artworkUrl) {
+      artwork.src = artworkUrl;
+    }
+  } else {
+    artwork.removeAttribute('src');
+  }
+
+  root.classList.toggle('normalized', normalization.enabled);
+  enabled.checked = normalization.enabled;
+  // Leave the field being typed in alone
+  [[target, normalization.target], [ceiling, normalization.ceiling]].forEach(([input, value]) => {
+    if (input !== document.activeElement) {
+      input.value = String(value);
+    }
+  });
+}
+
+/**
+ * Kept for API compatibility - registers no listeners, so there is nothing to tear down
+ * @deprecated Keyboard controls are handled by accessibility.js::KeyboardNavigationManager
+ */
 export function setupKeyboardControls(callbacks = {}) {
   // Keyboard controls are handled by accessibility.js::KeyboardNavigationManager
   ui('⌨️ UI: Keyboard controls handled by accessibility module');
-}
\ No newline at end of file
+}
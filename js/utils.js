@@ -31,6 +31,75 @@ export const CONFIG = {
   PLAYHEAD_ANIMATION_DURATION: 200,
   TIME_DISPLAY_ANIMATION_DURATION: 200,
   
+  // Minimum gap between player 'timeupdate' events (ms)
+  TIME_UPDATE_INTERVAL: 250,
+  
+  // Playback speed range
+  PLAYBACK_RATE_MIN: 0.5,
+  PLAYBACK_RATE_MAX: 2,
+  
+  // Gain ramp that starts and stops playback without a click (seconds, 0 = off)
+  TRANSPORT_FADE_DURATION: 0.015,
+  TRANSPORT_FADE_MAX_DURATION: 1,
+  
+  // Longest crossfade between playlist tracks (seconds)
+  CROSSFADE_MAX_DURATION: 12,
+  
+  // Shuttle (J/K/L) and single steps (, and .)
+  SHUTTLE_MAX_SPEED: 4,
+  SHUTTLE_SLOW_SPEED: 0.25, // K+J / K+L slow motion, and the slowest shuttle speed
+  STEP_MILLISECONDS: 10,
+  STEP_FPS_MAX: 240,
+  STEP_BPM_MIN: 20,
+  STEP_BPM_MAX: 400,
+  
+  // Built-in PCM decoder (WAV/AIFF/raw) limits, as AudioBuffer accepts them
+  PCM_MIN_SAMPLE_RATE: 3000,
+  PCM_MAX_SAMPLE_RATE: 768000,
+  PCM_MAX_CHANNELS: 32,
+  
+  // Tag reading
+  TAG_MAX_SIZE: 16 * 1024 * 1024, // Bytes - larger tags, atoms and chunks (e.g. huge artwork) are skipped
+  
+  // Channel routing
+  CHANNEL_ROUTING_RAMP: 0.02, // Seconds the matrix gains glide when the mode or balance changes
+  KARAOKE_BASS_CUTOFF: 120, // Hz - the centered low end kept under center-cancel
+  
+  // Equalizer band limits
+  EQ_MIN_FREQUENCY: 20,
+  EQ_MAX_FREQUENCY: 20000,
+  EQ_MAX_GAIN: 24, // dB either way
+  EQ_MIN_Q: 0.1,
+  EQ_MAX_Q: 18,
+  EQ_CURVE_POINTS: 200, // Frequencies the response curve is drawn through
+  
+  // Loudness normalization
+  LOUDNESS_TARGET_MIN: -40, // LUFS
+  LOUDNESS_TARGET_MAX: -5,
+  LOUDNESS_CEILING_MIN: -12, // dBTP
+  LOUDNESS_MAX_BOOST: 20, // dB - quiet tracks are never raised further than this
+  LOUDNESS_GAIN_RAMP: 0.05, // Seconds the gain glides when a track loads or the settings change
+  LOUDNESS_SAVED_TRACKS: 200, // Tracks whose measurements are kept in the settings (oldest dropped first)
+  
+  // Resume positions (per-track playhead memory)
+  RESUME_MIN_POSITION: 30, // Seconds - positions before this are not kept
+  RESUME_END_MARGIN: 15, // Seconds - positions this close to the end count as finished
+  RESUME_DURATION_TOLERANCE: 0.5, // Seconds a reloaded track's duration may differ by
+  RESUME_EXPIRY_DAYS: 30,
+  RESUME_SAVED_TRACKS: 100, // Tracks whose positions are kept in the settings (oldest dropped first)
+  RESUME_SAVE_INTERVAL: 5000, // Minimum gap between saves while playing (ms)
+  RESUME_PROMPT_DURATION: 15000, // How long "Resume from ...?" is offered (ms)
+  
+  // A–B loop regions
+  LOOP_REGION_MIN_DURATION: 0.1, // Shortest loop (seconds)
+  LOOP_REGION_COLOR: 'rgba(255, 213, 79, 0.28)',
+  LOOP_REGION_EDGE_COLOR: '#ffd54f',
+  
+  // Markers (cue points)
+  MARKER_COLOR: '#4fc3f7', // Default tick and label color
+  MARKER_SNAP_DISTANCE: 0.01, // Drags snap to a marker within this fraction of a turn
+  MARKER_SAVED_TRACKS: 50, // Tracks whose markers are kept in the settings (oldest dropped first)
+  
   // Waveform gradient darkening zones
   FADE_START_ANGLE: 0.68,
   FULL_DARK_START_ANGLE: 0.75,
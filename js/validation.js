@@ -1,6 +1,7 @@
 // ✅ Comprehensive type validation utilities for production safety
 import { system } from './logger.js';
 import { ValidationConfig } from './validation-config.js';
+import { sniffBlobFormat } from './format-sniffer.js';
 
 // ✅ NEW: Core type checking utilities
 export class TypeValidator {
@@ -386,19 +387,23 @@ export class FileValidation {
     return file;
   }
 
-  static validateAudioFile(file, context = 'audioFile') {
+  // `options.sniffed` is the format read from the file's bytes (see validateAudioFileContent()):
+  // when set, a missing or unknown extension and MIME type no longer reject the file
+  static validateAudioFile(file, context = 'audioFile', { sniffed = null } = {}) {
     this.validateFile(file, context);
     
     // Define supported audio formats
-    const supportedExtensions = ['mp3', 'wav', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac', 'webm', 'mp4'];
+    const supportedExtensions = ['mp3', 'wav', 'rf64', 'aif', 'aiff', 'aifc', 'caf', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac', 'webm', 'mp4'];
     const supportedMimeTypes = [
       'audio/mpeg', 'audio/mp3',           // MP3
       'audio/wav', 'audio/wave', 'audio/x-wav',  // WAV
+      'audio/aiff', 'audio/x-aiff',        // AIFF
       'audio/ogg', 'audio/vorbis',         // OGG Vorbis
       'audio/opus',                        // Opus
       'audio/mp4', 'audio/aac', 'audio/x-m4a',   // M4A/AAC
       'audio/flac', 'audio/x-flac',        // FLAC
       'audio/webm',                        // WebM
+      'audio/x-caf',                       // CAF
       'application/ogg'                    // Alternative OGG MIME type
     ];
     
@@ -411,8 +416,8 @@ export class FileValidation {
     const extension = file.name.split('.').pop()?.toLowerCase();
     const isValidExtension = extension && supportedExtensions.includes(extension);
     
-    if (!isValidMimeType && !isValidExtension) {
-      const supportedFormats = 'MP3, WAV, OGG/Vorbis, Opus, M4A, AAC, FLAC, WebM';
+    if (!sniffed && !isValidMimeType && !isValidExtension) {
+      const supportedFormats = 'MP3, WAV, AIFF, OGG/Vorbis, Opus, M4A, AAC, FLAC, WebM, CAF';
       throw new ValidationError(
         `Invalid ${context}: unsupported audio format. Supported formats: ${supportedFormats}`, 
         context, 
@@ -429,6 +434,20 @@ export class FileValidation {
     return file;
   }
 
+  // ✅ NEW: Like validateAudioFile(), but audio recognised from its leading bytes passes
+  // whatever its name or MIME type (renamed and extensionless files)
+  static async validateAudioFileContent(file, context = 'audioFile') {
+    this.validateFile(file, context);
+    
+    let sniffed = null;
+    try {
+      sniffed = (await sniffBlobFormat(file))?.format ?? null;
+    } catch (error) {
+      system(`Could not read the header of ${context}`, 'warn', error);
+    }
+    return this.validateAudioFile(file, context, { sniffed });
+  }
+
   static validateArrayBuffer(buffer, context = 'arrayBuffer') {
     if (!TypeValidator.isArrayBuffer(buffer)) {
       throw new ValidationError(`Invalid ${context}: must be an ArrayBuffer`, context, buffer, 'ArrayBuffer');
@@ -479,6 +498,103 @@ export class UIValidation {
   }
 }
 
+// ✅ NEW: Per-player visual overrides (see visual-config.js)
+const VISUAL_NUMBER_RULES = {
+  INNER_RADIUS_RATIO: { check: v => TypeValidator.isNumber(v, { min: 0, max: 0.5 }), expected: 'number between 0 and 0.5' },
+  MAX_THICKNESS_RATIO: { check: v => TypeValidator.isNumber(v, { min: 0, max: 0.5 }), expected: 'number between 0 and 0.5' },
+  WINDOW_DURATION: { check: v => TypeValidator.isNumber(v, { min: 0 }) && v > 0, expected: 'positive number of seconds' },
+  NUM_POINTS: { check: v => Number.isInteger(v) && v >= 2, expected: 'integer of at least 2' },
+  BOOST_MINIMUM_THRESHOLD: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }), expected: 'number between 0 and 1' },
+  BOOST_MAX_MULTIPLIER: { check: v => TypeValidator.isNumber(v, { min: 1 }), expected: 'number of at least 1' },
+  BOOST_LERP_SPEED: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }) && v > 0, expected: 'number above 0 and at most 1' },
+  BOOST_CHANGE_THRESHOLD: { check: v => TypeValidator.isNumber(v, { min: 0 }), expected: 'non-negative number' },
+  TRANSITION_DURATION: { check: v => TypeValidator.isNumber(v, { min: 0 }) && v > 0, expected: 'positive number of milliseconds' }
+};
+
+const WAVEFORM_SHADOW_RULES = {
+  START_ANGLE: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }), expected: 'fraction of a turn (0-1)' },
+  DEEP_START_ANGLE: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }), expected: 'fraction of a turn (0-1)' },
+  DEEPEST_ANGLE: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }), expected: 'fraction of a turn (0-1)' },
+  END_ANGLE: { check: v => TypeValidator.isNumber(v, { min: 0, max: 1 }), expected: 'fraction of a turn (0-1)' },
+  MAX_DARKENING: { check: v => TypeValidator.isNumber(v, { min: 0, max: 255 }), expected: 'number between 0 and 255' }
+};
+
+const WAVEFORM_COLOR_RULES = {
+  INNER: { check: v => TypeValidator.isColor(v), expected: 'color string' },
+  OUTER: { check: v => TypeValidator.isColor(v), expected: 'color string' }
+};
+
+const VISUAL_KEYS = [...Object.keys(VISUAL_NUMBER_RULES), 'WAVEFORM_SHADOW', 'WAVEFORM_COLORS'];
+
+export class VisualValidation {
+  /**
+   * Validate visual overrides (any subset of the overridable CONFIG keys;
+   * WAVEFORM_SHADOW and WAVEFORM_COLORS may be partial)
+   * @param {Object} visual
+   * @param {string} [context='visual']
+   * @returns {Object} The same object
+   * @throws {ValidationError}
+   */
+  static validateVisualConfig(visual, context = 'visual') {
+    if (!TypeValidator.isObject(visual)) {
+      throw new ValidationError(`Invalid ${context}: must be an object`, context, visual, 'object');
+    }
+
+    Object.entries(visual).forEach(([key, value]) => {
+      const field = `${context}.${key}`;
+      if (!VISUAL_KEYS.includes(key)) {
+        throw new ValidationError(`Unknown visual setting "${field}"`, field, value, VISUAL_KEYS.join('|'));
+      }
+
+      if (key === 'WAVEFORM_SHADOW' || key === 'WAVEFORM_COLORS') {
+        const rules = key === 'WAVEFORM_SHADOW' ? WAVEFORM_SHADOW_RULES : WAVEFORM_COLOR_RULES;
+        if (!TypeValidator.isObject(value)) {
+          throw new ValidationError(`Invalid ${field}: must be an object`, field, value, 'object');
+        }
+        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+          this.#checkRule(rules, nestedKey, nestedValue, `${field}.${nestedKey}`);
+        });
+        return;
+      }
+
+      this.#checkRule(VISUAL_NUMBER_RULES, key, value, field);
+    });
+
+    return visual;
+  }
+
+  /**
+   * Check that the waveform fits inside the canvas: inner radius plus the
+   * thickest waveform may not exceed half the canvas size
+   * @param {Object} visual - A complete visual config
+   * @param {string} [context='visual']
+   * @returns {Object} The same object
+   * @throws {ValidationError}
+   */
+  static validateVisualGeometry(visual, context = 'visual') {
+    const outerRatio = visual.INNER_RADIUS_RATIO + visual.MAX_THICKNESS_RATIO;
+    if (outerRatio > 0.5) {
+      throw new ValidationError(
+        `Invalid ${context}: INNER_RADIUS_RATIO + MAX_THICKNESS_RATIO must not exceed 0.5 (got ${outerRatio})`,
+        context,
+        { INNER_RADIUS_RATIO: visual.INNER_RADIUS_RATIO, MAX_THICKNESS_RATIO: visual.MAX_THICKNESS_RATIO },
+        'ratios summing to at most 0.5'
+      );
+    }
+    return visual;
+  }
+
+  static #checkRule(rules, key, value, field) {
+    const rule = rules[key];
+    if (!rule) {
+      throw new ValidationError(`Unknown visual setting "${field}"`, field, value, Object.keys(rules).join('|'));
+    }
+    if (!rule.check(value)) {
+      throw new ValidationError(`Invalid ${field}: must be a ${rule.expected}`, field, value, rule.expected);
+    }
+  }
+}
+
 // ✅ NEW: Enhanced runtime type checking utilities
 export function assertType(value, validator, context = 'value') {
   if (!validator(value)) {
@@ -0,0 +1,107 @@
+/**
+ * Visual Config
+ *
+ * Per-player overrides for the geometry and look that otherwise come from
+ * the module-level CONFIG in utils.js. Every PlayerScope carries a `visual`
+ * object with one value per VisualConfigKeys entry; drawing and animation
+ * code read those from the scope instead of CONFIG.
+ *
+ * `defaultScope.visual` is CONFIG itself, so code that edits CONFIG at
+ * runtime keeps affecting the legacy single player. Player scopes take a
+ * copy of the CONFIG values when they are created.
+ *
+ * Keys use the CONFIG names. WAVEFORM_SHADOW and WAVEFORM_COLORS may be
+ * given partially - the missing fields keep their current values.
+ *
+ * @module visual-config
+ */
+
+import { CONFIG } from './utils.js';
+import { RenderComponents } from './render-state.js';
+import { VisualValidation } from './validation.js';
+
+/**
+ * CONFIG keys a player can override
+ */
+export const VisualConfigKeys = Object.freeze([
+  'INNER_RADIUS_RATIO',
+  'MAX_THICKNESS_RATIO',
+  'WINDOW_DURATION',
+  'NUM_POINTS',
+  'BOOST_MINIMUM_THRESHOLD',
+  'BOOST_MAX_MULTIPLIER',
+  'BOOST_LERP_SPEED',
+  'BOOST_CHANGE_THRESHOLD',
+  'WAVEFORM_SHADOW',
+  'WAVEFORM_COLORS',
+  'TRANSITION_DURATION'
+]);
+
+const NESTED_KEYS = ['WAVEFORM_SHADOW', 'WAVEFORM_COLORS'];
+
+// Ring geometry also moves the playhead and the time display
+const GEOMETRY_COMPONENTS = [RenderComponents.WAVEFORM, RenderComponents.PLAYHEAD, RenderComponents.TIME_DISPLAY];
+
+// Render components to mark dirty when a key changes (TRANSITION_DURATION applies to the next transition)
+const DIRTY_COMPONENTS = {
+  INNER_RADIUS_RATIO: GEOMETRY_COMPONENTS,
+  MAX_THICKNESS_RATIO: GEOMETRY_COMPONENTS,
+  WINDOW_DURATION: [RenderComponents.WAVEFORM],
+  NUM_POINTS: [RenderComponents.WAVEFORM],
+  BOOST_MINIMUM_THRESHOLD: [RenderComponents.WAVEFORM],
+  BOOST_MAX_MULTIPLIER: [RenderComponents.WAVEFORM],
+  BOOST_LERP_SPEED: [RenderComponents.WAVEFORM],
+  BOOST_CHANGE_THRESHOLD: [RenderComponents.WAVEFORM],
+  WAVEFORM_SHADOW: [RenderComponents.WAVEFORM],
+  WAVEFORM_COLORS: [RenderComponents.WAVEFORM],
+  TRANSITION_DURATION: []
+};
+
+/**
+ * Copy the overridable values out of a config (nested objects are copied too)
+ * @param {Object} [source=CONFIG]
+ * @returns {Object}
+ */
+export function copyVisualConfig(source = CONFIG) {
+  return Object.fromEntries(VisualConfigKeys.map(key => [
+    key,
+    NESTED_KEYS.includes(key) ? { ...source[key] } : source[key]
+  ]));
+}
+
+/**
+ * Build a player's visual config from CONFIG plus overrides
+ * @param {Object} [overrides] - Any subset of VisualConfigKeys
+ * @returns {Object} One value per VisualConfigKeys entry
+ * @throws {ValidationError} For unknown keys, bad values or a ring that does not fit the canvas
+ */
+export function createVisualConfig(overrides = {}) {
+  const visual = copyVisualConfig(CONFIG);
+  applyVisualConfig(visual, overrides);
+  return visual;
+}
+
+/**
+ * Apply overrides to an existing visual config in place.
+ * Nothing changes if any override is invalid.
+ * @param {Object} visual - Config to update (a scope's `visual`)
+ * @param {Object} overrides - Any subset of VisualConfigKeys
+ * @returns {string[]} Render components that need redrawing
+ * @throws {ValidationError}
+ */
+export function applyVisualConfig(visual, overrides) {
+  VisualValidation.validateVisualConfig(overrides);
+
+  const next = { ...visual };
+  Object.entries(overrides).forEach(([key, value]) => {
+    next[key] = NESTED_KEYS.includes(key) ? { ...visual[key], ...value } : value;
+  });
+  VisualValidation.validateVisualGeometry(next);
+
+  const dirty = new Set();
+  Object.keys(overrides).forEach(key => {
+    visual[key] = next[key];
+    DIRTY_COMPONENTS[key].forEach(component => dirty.add(component));
+  });
+  return [...dirty];
+}
@@ -3,8 +3,9 @@ import { TypeValidator, AudioValidation, ValidationError, ensureType, safeParseN
 import { system, audio } from './logger.js';
 
 // Cache for performance optimization
-let cachedFullFileDownsampled = null;
-let cachedFullFileNumPoints = null;
+// Keyed by the channel data array so several players never see each other's
+// waveform; entries go away with their AudioBuffer.
+let fullFileCache = new WeakMap();
 
 // ✅ NEW: Add phantom padding to waveform data
 const PHANTOM_PADDING_SECONDS = 30;
@@ -70,35 +71,39 @@ export function getFullFileDownsampled(audioData, numPoints = CONFIG.NUM_POINTS,
   }
   
   // ✅ IMPROVED: Cache validation with better checks
-  const cacheValid = cachedFullFileDownsampled && 
-                    cachedFullFileNumPoints === numPoints &&
-                    cachedFullFileDownsampled.length === numPoints;
+  const cached = fullFileCache.get(audioData);
+  const cacheValid = cached && 
+                    cached.numPoints === numPoints &&
+                    cached.data.length === numPoints;
   
-  if (!cacheValid) {
-    try {
-      // ✅ CHANGED: Use original audio data without phantom padding for full view
-      cachedFullFileDownsampled = downsample(audioData, numPoints);
-      cachedFullFileNumPoints = numPoints;
-      
-      // ✅ NEW: Validate cache result
-      if (!cachedFullFileDownsampled || cachedFullFileDownsampled.length !== numPoints) {
-        console.warn('⚠️ getFullFileDownsampled: Cache result validation failed, creating fallback');
-        cachedFullFileDownsampled = new Array(numPoints).fill(0);
-      }
-      
-      console.log(`📊 Full file downsampled (no phantom): ${audioData.length} -> ${numPoints} points`);
-    } catch (error) {
-      console.error('❌ getFullFileDownsampled: Error during downsampling:', error);
-      cachedFullFileDownsampled = new Array(numPoints).fill(0);
+  if (cacheValid) {
+    return cached.data;
+  }
+  
+  let downsampled;
+  try {
+    // ✅ CHANGED: Use original audio data without phantom padding for full view
+    downsampled = downsample(audioData, numPoints);
+    
+    // ✅ NEW: Validate cache result
+    if (!downsampled || downsampled.length !== numPoints) {
+      console.warn('⚠️ getFullFileDownsampled: Cache result validation failed, creating fallback');
+      downsampled = new Array(numPoints).fill(0);
     }
+    
+    console.log(`📊 Full file downsampled (no phantom): ${audioData.length} -> ${numPoints} points`);
+  } catch (error) {
+    console.error('❌ getFullFileDownsampled: Error during downsampling:', error);
+    downsampled = new Array(numPoints).fill(0);
   }
   
-  return cachedFullFileDownsampled;
+  fullFileCache.set(audioData, { numPoints, data: downsampled });
+  
+  return downsampled;
 }
 
 export function clearCache() {
-  cachedFullFileDownsampled = null;
-  cachedFullFileNumPoints = null;
+  fullFileCache = new WeakMap();
 }
 
 // ✅ NEW: Utility function to validate phantom padding parameters
@@ -139,11 +144,11 @@ export function validatePhantomPaddingParams(waveform, playhead, actualDuration,
 }
 
 // ✅ IMPROVED: Robust phantom padding with comprehensive edge case handling
-export function prepareWindowData(waveform, playhead, actualDuration, sampleRate, paddingSeconds = PHANTOM_PADDING_SECONDS) {
+export function prepareWindowData(waveform, playhead, actualDuration, sampleRate, paddingSeconds = PHANTOM_PADDING_SECONDS, windowDuration = CONFIG.WINDOW_DURATION) {
   // ✅ NEW: Input validation to prevent edge case failures
   if (!waveform || waveform.length === 0) {
     console.warn('⚠️ prepareWindowData: Empty or invalid waveform provided');
-    return new Float32Array(Math.max(CONFIG.WINDOW_DURATION * sampleRate, 0));
+    return new Float32Array(Math.max(windowDuration * sampleRate, 0));
   }
   
   if (typeof playhead !== 'number' || !isFinite(playhead)) {
@@ -167,7 +172,7 @@ export function prepareWindowData(waveform, playhead, actualDuration, sampleRate
   }
 
   // ✅ NEW: Calculate window size with validation
-  const samplesPerWindow = Math.max(Math.floor(CONFIG.WINDOW_DURATION * sampleRate), 1);
+  const samplesPerWindow = Math.max(Math.floor(windowDuration * sampleRate), 1);
   
   // ✅ NEW: Clamp playhead to valid range
   playhead = Math.max(0, Math.min(1, playhead));
@@ -4,20 +4,11 @@ import {
   getFullFileDownsampled,
   prepareWindowData,
 } from "./waveform-data.js";
-import { renderState, RenderComponents } from './render-state.js';
+import { RenderComponents } from './render-state.js';
 import { sinRad, cosRad } from './trig-cache.js';
-import { 
-  layerManager, 
-  getWaveformContext, 
-  getPlayheadContext, 
-  compositeLayers,
-  clearWaveformLayer,
-  clearPlayheadLayer,
-  needsWaveformRedraw,
-  needsPlayheadRedraw,
-  isLayersEnabled,
-  Layers
-} from './layer-manager.js';
+import { getRingView, timeToRingFraction } from './loop-region.js';
+import { layerManager, Layers } from './layer-manager.js';
+import { defaultScope } from './player-scope.js';
 import { markOperationStart, markOperationEnd } from './performance-monitor.js';
 import { canvas as canvasLog, animation } from './logger.js';
 
@@ -50,8 +41,10 @@ if (!CanvasRenderingContext2D.prototype.roundRect) {
 
 /**
  * Helper function to calculate common drawing parameters
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} visual - The player's visual config (scope.visual)
  */
-function getDrawingParams(canvas) {
+function getDrawingParams(canvas, visual) {
   const dpr = window.devicePixelRatio || 1;
   
   // Get the CSS-rendered dimensions (what the user sees)
@@ -79,8 +72,8 @@ function getDrawingParams(canvas) {
     centerX,
     centerY,
     size,
-    innerRadius: size * CONFIG.INNER_RADIUS_RATIO,
-    maxThickness: size * CONFIG.MAX_THICKNESS_RATIO,
+    innerRadius: size * visual.INNER_RADIUS_RATIO,
+    maxThickness: size * visual.MAX_THICKNESS_RATIO,
     minThickness: size * CONFIG.MIN_THICKNESS_RATIO,
     buttonRadius: size * CONFIG.BUTTON_RADIUS_RATIO
   };
@@ -91,7 +84,7 @@ function getDrawingParams(canvas) {
  * Only redraws when audio changes
  */
 function drawWaveformLayer(ctx, canvas, waveform, playhead, state, params) {
-  const { centerX, centerY, innerRadius, maxThickness, minThickness } = params;
+  const { centerX, centerY, innerRadius, maxThickness, minThickness, animationState, visual } = params;
   
   // Clear the layer
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -101,7 +94,9 @@ function drawWaveformLayer(ctx, canvas, waveform, playhead, state, params) {
     waveform,
     playhead,
     false, // Pass false for isPlaying since waveform shape doesn't change
-    state
+    state,
+    animationState,
+    visual
   );
   
   if (!downsampled || downsampled.length === 0) {
@@ -115,7 +110,7 @@ function drawWaveformLayer(ctx, canvas, waveform, playhead, state, params) {
     centerY,
     innerRadius,
     maxThickness,
-    CONFIG.WAVEFORM_COLORS.INNER
+    visual.WAVEFORM_COLORS.INNER
   );
   
   // Use the beautiful gradient for the waveform
@@ -135,7 +130,8 @@ function drawWaveformLayer(ctx, canvas, waveform, playhead, state, params) {
     state.animationProgress || 0,
     waveform,
     playhead,
-    state
+    state,
+    visual.WAVEFORM_SHADOW
   );
   
   return true;
@@ -146,11 +142,15 @@ function drawWaveformLayer(ctx, canvas, waveform, playhead, state, params) {
  * Redraws every frame during playback
  */
 function drawPlayheadLayer(ctx, canvas, playhead, isPlaying, state, params) {
-  const { centerX, centerY, cssWidth, innerRadius, maxThickness, buttonRadius } = params;
+  const { centerX, centerY, cssWidth, innerRadius, maxThickness, buttonRadius, animationState, visual } = params;
   
   // Clear the layer
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   
+  // The loop arc and marker ticks move with the focus window, so they live on this layer
+  drawLoopRegion(ctx, centerX, centerY, innerRadius, maxThickness, state, visual);
+  drawMarkers(ctx, centerX, centerY, innerRadius, maxThickness, state, visual);
+  
   // Draw playhead indicator
   drawPlayhead(
     ctx,
@@ -161,7 +161,8 @@ function drawPlayheadLayer(ctx, canvas, playhead, isPlaying, state, params) {
     isPlaying,
     state.isDragging || false,
     state.animationProgress || 0,
-    playhead
+    playhead,
+    animationState
   );
   
   // Draw time display if needed
@@ -175,7 +176,8 @@ function drawPlayheadLayer(ctx, canvas, playhead, isPlaying, state, params) {
       maxThickness,
       currentTime,
       state.duration,
-      cssWidth
+      cssWidth,
+      animationState
     );
   }
   
@@ -185,6 +187,7 @@ function drawPlayheadLayer(ctx, canvas, playhead, isPlaying, state, params) {
 
 /**
  * Main drawing function with layer optimization
+ * @param {PlayerScope} [scope] - Player whose layers, dirty flags and animation state are used
  */
 export function drawRadialWaveform(
   ctx,
@@ -192,19 +195,23 @@ export function drawRadialWaveform(
   waveform,
   playhead,
   isPlaying,
-  state
+  state,
+  scope = defaultScope
 ) {
-  const params = getDrawingParams(canvas);
+  const { renderState, layerManager } = scope;
+  const params = getDrawingParams(canvas, scope.visual);
+  params.animationState = getAnimationState(scope);
+  params.visual = scope.visual;
   
   // Try to use layer-based rendering if available
-  if (isLayersEnabled()) {
+  if (layerManager.isEnabled()) {
     // Initialize layers if needed
     layerManager.initialize(canvas.width, canvas.height, params.dpr);
     
     // Render waveform layer only if dirty
-    if (needsWaveformRedraw()) {
+    if (layerManager.needsWaveformRedraw()) {
       canvasLog('🎨 Canvas: Redrawing waveform layer');
-      const waveformCtx = getWaveformContext();
+      const waveformCtx = layerManager.getLayerContext(Layers.WAVEFORM);
       if (waveformCtx) {
         markOperationStart('waveform-layer');
         const success = drawWaveformLayer(waveformCtx, canvas, waveform, playhead, state, params);
@@ -223,8 +230,8 @@ export function drawRadialWaveform(
     }
     
     // Render playhead layer only if dirty
-    if (needsPlayheadRedraw()) {
-      const playheadCtx = getPlayheadContext();
+    if (layerManager.needsPlayheadRedraw()) {
+      const playheadCtx = layerManager.getLayerContext(Layers.PLAYHEAD);
       if (playheadCtx) {
         markOperationStart('playhead-layer');
         drawPlayheadLayer(playheadCtx, canvas, playhead, isPlaying, state, params);
@@ -236,7 +243,7 @@ export function drawRadialWaveform(
     
     // Composite layers onto main canvas
     markOperationStart('composite-layers');
-    const success = compositeLayers(ctx);
+    const success = layerManager.composite(ctx);
     const compositeTime = markOperationEnd('composite-layers');
     animation('⚡ Canvas: Layers composited', 'debug', { time: compositeTime.toFixed(2) + 'ms' });
     
@@ -260,7 +267,7 @@ export function drawRadialWaveform(
  * Fallback rendering without layers (original implementation)
  */
 function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, params) {
-  const { centerX, centerY, cssWidth, innerRadius, maxThickness, minThickness, buttonRadius } = params;
+  const { centerX, centerY, cssWidth, innerRadius, maxThickness, minThickness, buttonRadius, animationState, visual } = params;
   
   // Clear canvas
   ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -270,7 +277,9 @@ function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, pa
     waveform,
     playhead,
     isPlaying,
-    state
+    state,
+    animationState,
+    visual
   );
   
   if (!downsampled || downsampled.length === 0) {
@@ -290,7 +299,7 @@ function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, pa
     centerY,
     innerRadius,
     maxThickness,
-    CONFIG.WAVEFORM_COLORS.INNER
+    visual.WAVEFORM_COLORS.INNER
   );
   
   ctx.fillStyle = gradient;
@@ -309,9 +318,14 @@ function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, pa
     state.animationProgress || 0,
     waveform,
     playhead,
-    state
+    state,
+    visual.WAVEFORM_SHADOW
   );
   
+  // Draw the A–B loop region and the markers over the waveform
+  drawLoopRegion(ctx, centerX, centerY, innerRadius, maxThickness, state, visual);
+  drawMarkers(ctx, centerX, centerY, innerRadius, maxThickness, state, visual);
+  
   // Draw playhead indicator
   drawPlayhead(
     ctx,
@@ -322,7 +336,8 @@ function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, pa
     isPlaying,
     state.isDragging || false,
     state.animationProgress || 0,
-    playhead
+    playhead,
+    animationState
   );
   
   // Draw time display if needed
@@ -336,7 +351,8 @@ function drawWithoutLayers(ctx, canvas, waveform, playhead, isPlaying, state, pa
       maxThickness,
       currentTime,
       state.duration,
-      cssWidth
+      cssWidth,
+      animationState
     );
   }
   
@@ -385,16 +401,25 @@ class AnimationState {
   }
 }
 
-// ✅ IMPROVED: Single animation state instance instead of scattered variables
-const animationState = new AnimationState();
+// ✅ IMPROVED: One animation state per player scope instead of scattered variables
+const animationStates = new WeakMap();
+
+function getAnimationState(scope) {
+  let animationState = animationStates.get(scope);
+  if (!animationState) {
+    animationState = new AnimationState();
+    animationStates.set(scope, animationState);
+  }
+  return animationState;
+}
 
 // ✅ IMPROVED: Constants moved to prevent redefinition
 const PLAYHEAD_ANIMATION_DURATION = CONFIG.PLAYHEAD_ANIMATION_DURATION;
 
-function getWaveformData(waveform, playhead, isPlaying, state) {
+function getWaveformData(waveform, playhead, isPlaying, state, animationState, visual) {
   let downsampled,
     maxAmp,
-    numPoints = CONFIG.NUM_POINTS;
+    numPoints = visual.NUM_POINTS;
 
   // ✅ TEMPORARY: Test with simple fallback data if missing
   if (!state || !state.audioBuffer || !waveform) {
@@ -418,7 +443,7 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
 
   if (state.animationProgress > 0 || state.isTransitioning) {
     // ✅ FULL VIEW: No phantom padding - just the actual audio file
-    const actualAudioData = state.audioBuffer.getChannelData(0);
+    const actualAudioData = state.routedWaveform?.samples ?? state.audioBuffer.getChannelData(0);
     
     const fullFileDownsampled = getFullFileDownsampled(
       actualAudioData,
@@ -431,7 +456,9 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
       waveform,
       playhead,
       state.audioBuffer.duration,
-      state.audioBuffer.sampleRate // ✅ PHANTOM: Only windowed view gets phantom padding
+      state.audioBuffer.sampleRate, // ✅ PHANTOM: Only windowed view gets phantom padding
+      undefined,
+      visual.WINDOW_DURATION
     );
     const windowDownsampled = downsample(windowData, numPoints);
 
@@ -450,7 +477,7 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
     (!state.currentPlayhead || state.currentPlayhead <= 0.001)
   ) {
     // ✅ FULL FILE VIEW: Show actual audio file without phantom padding
-    const actualAudioData = state.audioBuffer.getChannelData(0);
+    const actualAudioData = state.routedWaveform?.samples ?? state.audioBuffer.getChannelData(0);
     
     downsampled = getFullFileDownsampled(
       actualAudioData,
@@ -464,7 +491,9 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
       waveform,
       playhead,
       state.audioBuffer.duration,
-      state.audioBuffer.sampleRate // ✅ PHANTOM: Focus view uses phantom padding
+      state.audioBuffer.sampleRate, // ✅ PHANTOM: Focus view uses phantom padding
+      undefined,
+      visual.WINDOW_DURATION
     );
 
     let rawDownsampled = downsample(windowData, numPoints);
@@ -472,7 +501,7 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
 
     const ratio = rawMax / state.globalMaxAmp;
 
-    const minimumThreshold = CONFIG.BOOST_MINIMUM_THRESHOLD;
+    const minimumThreshold = visual.BOOST_MINIMUM_THRESHOLD;
 
     // ✅ IMPROVED: Use animation state for boost factors
     // Calculate new target boost factor
@@ -484,19 +513,19 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
     // Only update target if there's a significant change
     if (
       Math.abs(newBoostFactor - animationState.targetBoostFactor) >
-      CONFIG.BOOST_CHANGE_THRESHOLD
+      visual.BOOST_CHANGE_THRESHOLD
     ) {
-      animationState.targetBoostFactor = Math.min(newBoostFactor, CONFIG.BOOST_MAX_MULTIPLIER);
+      animationState.targetBoostFactor = Math.min(newBoostFactor, visual.BOOST_MAX_MULTIPLIER);
     }
 
-    const lerpSpeed = CONFIG.BOOST_LERP_SPEED;
+    const lerpSpeed = visual.BOOST_LERP_SPEED;
     animationState.currentBoostFactor += (animationState.targetBoostFactor - animationState.currentBoostFactor) * lerpSpeed;
 
     // Apply the smoothed boost factor
     downsampled = rawDownsampled.map((amp) => {
       return Math.min(
         amp * animationState.currentBoostFactor,
-        state.globalMaxAmp * CONFIG.BOOST_MAX_MULTIPLIER
+        state.globalMaxAmp * visual.BOOST_MAX_MULTIPLIER
       );
     });
 
@@ -505,9 +534,39 @@ function getWaveformData(waveform, playhead, isPlaying, state) {
     maxAmp = state.globalMaxAmp;
   }
 
+  // ✅ NEW: Gapless switch - morph from the outgoing track instead of snapping to the new one
+  if (state.trackTransition) {
+    downsampled = blendTrackTransition(downsampled, numPoints, state, visual);
+  }
+
   return { downsampled, maxAmp, numPoints };
 }
 
+// Mix the outgoing track's focus window into the incoming track's, fading it out
+// over the transition. The outgoing window keeps moving (it plays on through a
+// crossfade) and is rescaled to the incoming track's amplitude range.
+function blendTrackTransition(downsampled, numPoints, state, visual) {
+  const transition = state.trackTransition;
+  const elapsed = performance.now() - transition.startTime;
+  const progress = easeInOutCubic(Math.max(0, Math.min(1, elapsed / transition.length)));
+
+  const time = transition.position + (elapsed / 1000) * transition.playbackRate;
+  const windowData = prepareWindowData(
+    transition.waveform,
+    Math.min(1, time / transition.duration),
+    transition.duration,
+    transition.sampleRate,
+    undefined,
+    visual.WINDOW_DURATION
+  );
+  const outgoing = downsample(windowData, numPoints);
+  const scale = transition.globalMaxAmp > 0 ? state.globalMaxAmp / transition.globalMaxAmp : 1;
+
+  return downsampled.map((value, i) =>
+    (outgoing[i] || 0) * scale * (1 - progress) + value * progress
+  );
+}
+
 function createWaveformGradient(ctx, cx, cy, innerRadius, maxThickness, innerColor) {
   const outerRadius = innerRadius + maxThickness + 2; // Add 2 pixels
   const gradient = ctx.createRadialGradient(cx, cy, innerRadius, cx, cy, outerRadius);
@@ -534,7 +593,8 @@ function drawWaveformPath(
   animationProgress,
   waveform,
   playhead,
-  state
+  state,
+  shadowConfig
 ) {
   const playheadAngle = -Math.PI / 2;
   const waveformArcLength = Math.PI * 2;
@@ -591,7 +651,8 @@ function drawWaveformPath(
     maxThickness,
     minThickness,
     maxAmp,
-    animationProgress
+    animationProgress,
+    shadowConfig
   );
 
   ctx.restore();
@@ -607,13 +668,14 @@ function applyWaveformShadow(
   maxThickness,
   minThickness,
   maxAmp,
-  animationProgress
+  animationProgress,
+  shadowConfig
 ) {
   ctx.save();
   ctx.globalCompositeOperation = "multiply";
 
   // Create the shadow gradient using config values
-  const shadowGradient = createShadowGradient(ctx, cx, cy);
+  const shadowGradient = createShadowGradient(ctx, cx, cy, shadowConfig);
 
   // Clip to waveform shape
   ctx.beginPath();
@@ -644,12 +706,10 @@ function applyWaveformShadow(
 }
 
 // Simplified shadow gradient creation
-function createShadowGradient(ctx, cx, cy) {
+function createShadowGradient(ctx, cx, cy, shadow) {
   const gradient = ctx.createConicGradient(-Math.PI / 2, cx, cy);
 
-  // Use config values for all shadow parameters
-  const shadow = CONFIG.WAVEFORM_SHADOW;
-
+  // Shadow angles and depth come from the player's visual config
   for (let i = 0; i <= 100; i++) {
     const t = i / 100;
     let darkness = 0; // 0 = no darkening, 1 = full darkening
@@ -758,6 +818,85 @@ function drawWaveformClipPath(
   ctx.closePath();
 }
 
+/**
+ * Highlight the A–B loop region (or the one being shift-dragged) as an arc
+ * across the ring, at the angles the current full/focus view puts it
+ */
+function drawLoopRegion(ctx, cx, cy, innerRadius, maxThickness, state, visual) {
+  const region = state.loopSelection || state.loopRegion;
+  if (!region || !(state.duration > 0)) return;
+
+  const view = getRingView(state, visual);
+  const from = timeToRingFraction(region.start, view);
+  const to = timeToRingFraction(region.end, view);
+  // Entirely outside the focus window
+  if (to - from <= 0) return;
+
+  const startAngle = -Math.PI / 2 + from * Math.PI * 2;
+  const endAngle = -Math.PI / 2 + to * Math.PI * 2;
+  const outerRadius = innerRadius + maxThickness;
+
+  ctx.save();
+
+  // Translucent band across the waveform
+  ctx.beginPath();
+  ctx.arc(cx, cy, outerRadius, startAngle, endAngle);
+  ctx.arc(cx, cy, innerRadius, endAngle, startAngle, true);
+  ctx.closePath();
+  ctx.fillStyle = CONFIG.LOOP_REGION_COLOR;
+  ctx.fill();
+
+  // Solid rim just outside the ring (dashed while still being dragged)
+  ctx.beginPath();
+  ctx.arc(cx, cy, outerRadius + 4, startAngle, endAngle);
+  ctx.strokeStyle = CONFIG.LOOP_REGION_EDGE_COLOR;
+  ctx.lineWidth = 3;
+  if (state.loopSelection) {
+    ctx.setLineDash?.([6, 4]);
+  }
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+// ✅ NEW: Markers - a tick across the ring and the name just outside it, in the marker's color
+function drawMarkers(ctx, cx, cy, innerRadius, maxThickness, state, visual) {
+  if (!state.markers?.length || !(state.duration > 0)) return;
+
+  const view = getRingView(state, visual);
+  const outerRadius = innerRadius + maxThickness;
+  const labelRadius = outerRadius + 14;
+
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.font = `${Math.max(10, Math.round(outerRadius * 0.05))}px sans-serif`;
+  ctx.textBaseline = 'middle';
+
+  state.markers.forEach(marker => {
+    // The focus view only shows its window - markers outside it would pile up on its edges
+    const inWindow = marker.time >= view.playheadTime && marker.time <= view.playheadTime + view.windowDuration;
+    if (view.progress === 1 && !inWindow) return;
+
+    const angle = -Math.PI / 2 + timeToRingFraction(marker.time, view) * Math.PI * 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    ctx.strokeStyle = marker.color;
+    ctx.beginPath();
+    ctx.moveTo(cx + cos * (innerRadius - 2), cy + sin * (innerRadius - 2));
+    ctx.lineTo(cx + cos * (outerRadius + 8), cy + sin * (outerRadius + 8));
+    ctx.stroke();
+
+    if (marker.name) {
+      ctx.fillStyle = marker.color;
+      ctx.textAlign = cos >= 0 ? 'left' : 'right';
+      ctx.fillText(marker.name, cx + cos * labelRadius, cy + sin * labelRadius);
+    }
+  });
+
+  ctx.restore();
+}
+
 function drawPlayhead(
   ctx,
   cx,
@@ -767,7 +906,8 @@ function drawPlayhead(
   isPlaying,
   isDragging,
   animationProgress,
-  effectivePlayhead
+  effectivePlayhead,
+  animationState
 ) {
   // ✅ UPDATED: Enhanced visibility logic
   // Show playhead only when playing or actively dragging/scrubbing
@@ -869,7 +1009,8 @@ function drawPlayheadTime(
   maxThickness,
   currentTime,
   duration,
-  width // <-- add this parameter
+  width, // <-- add this parameter
+  animationState
 ) {
   // ✅ IMPROVED: Don't draw if time display animation is not active using animation state
   if (animationState.timeDisplayAnimationProgress <= 0) return;
@@ -924,18 +1065,20 @@ function formatTime(seconds) {
 }
 
 // ✅ IMPROVED: Export function to check if playhead is animating using animation state
-export function isPlayheadAnimating() {
+export function isPlayheadAnimating(scope = defaultScope) {
+  const animationState = getAnimationState(scope);
   return animationState.isPlayheadAnimatingFlag || animationState.isTimeDisplayAnimating;
 }
 
 // ✅ IMPROVED: Reset animation using centralized state management
-export function resetPlayheadAnimation() {
-  animationState.reset();
+export function resetPlayheadAnimation(scope = defaultScope) {
+  getAnimationState(scope).reset();
 }
 
 // ✅ NEW: Export cleanup function for proper memory management
-export function cleanupAnimations() {
-  animationState.cleanup();
+export function cleanupAnimations(scope = defaultScope) {
+  getAnimationState(scope).cleanup();
+  animationStates.delete(scope);
 }
 
 export function drawPlayPauseButton(ctx, cx, cy, radius, isPlaying) {
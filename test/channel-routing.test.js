@@ -0,0 +1,287 @@
+/**
+ * Tests for channel routing
+ * Testing the routing matrix, the router's node graph, AudioPlayback's routing stage
+ * and the player API, keyboard shortcuts and routed waveform
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ChannelModes,
+  ChannelRouter,
+  getChannelMatrix,
+  getBalanceGains,
+  mixChannels,
+  validateChannelMode,
+  validateBalance
+} from '../js/channel-routing.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+// Stereo buffer with the given channel samples
+const createStereoBuffer = (left, right, sampleRate = 8000) => {
+  const buffer = new AudioBuffer({ numberOfChannels: 2, length: left.length, sampleRate });
+  const channels = [Float32Array.from(left), Float32Array.from(right)];
+  buffer.getChannelData = (channel) => channels[channel];
+  return buffer;
+};
+
+describe('Channel routing', () => {
+  describe('routing matrix', () => {
+    it('should route each mode as documented', () => {
+      const k = Math.SQRT1_2;
+      expect(getChannelMatrix(ChannelModes.STEREO)).toEqual([[1, 0], [0, 1]]);
+      expect(getChannelMatrix(ChannelModes.LEFT)).toEqual([[1, 0], [1, 0]]);
+      expect(getChannelMatrix(ChannelModes.RIGHT)).toEqual([[0, 1], [0, 1]]);
+      expect(getChannelMatrix(ChannelModes.MONO)).toEqual([[k, k], [k, k]]);
+      expect(getChannelMatrix(ChannelModes.MID)).toEqual([[0.5, 0.5], [0.5, 0.5]]);
+      expect(getChannelMatrix(ChannelModes.SIDE)).toEqual([[0.5, -0.5], [0.5, -0.5]]);
+      expect(getChannelMatrix(ChannelModes.KARAOKE)).toEqual([[0.5, -0.5], [0.5, -0.5]]);
+    });
+
+    it('should turn the far side down for the balance, in every mode', () => {
+      expect(getBalanceGains(0)).toEqual([1, 1]);
+      expect(getBalanceGains(-0.25)).toEqual([1, 0.75]);
+      expect(getBalanceGains(1)).toEqual([0, 1]);
+
+      expect(getChannelMatrix(ChannelModes.STEREO, 0.5)).toEqual([[0.5, 0], [0, 1]]);
+      expect(getChannelMatrix(ChannelModes.MID, -1)).toEqual([[0.5, 0.5], [0, 0]]);
+    });
+
+    it('should validate modes and balances', () => {
+      expect(() => validateChannelMode('mono')).not.toThrow();
+      expect(() => validateChannelMode('surround')).toThrow(ValidationError);
+      expect(() => validateBalance(-1)).not.toThrow();
+      expect(() => validateBalance(1.5)).toThrow(ValidationError);
+      expect(() => validateBalance(NaN)).toThrow(ValidationError);
+    });
+
+    it('should mix the samples to draw as the louder output channel', () => {
+      const buffer = createStereoBuffer([0.8, 0.2, -0.4], [0.2, 0.2, 0.4]);
+
+      expect(Array.from(mixChannels(buffer, ChannelModes.RIGHT, 0).samples)).toEqual([
+        expect.closeTo(0.2), expect.closeTo(0.2), expect.closeTo(0.4)
+      ]);
+
+      const side = mixChannels(buffer, ChannelModes.SIDE, 0);
+      expect(Array.from(side.samples)).toEqual([expect.closeTo(0.3), 0, expect.closeTo(0.4)]);
+      expect(side.maxAmp).toBeCloseTo(0.4);
+
+      // Balance hard right: only R is heard
+      expect(mixChannels(buffer, ChannelModes.STEREO, 1).samples[0]).toBeCloseTo(0.2);
+    });
+
+    it('should treat a mono buffer as two equal channels', () => {
+      const buffer = new AudioBuffer({ numberOfChannels: 1, length: 3, sampleRate: 8000 });
+      const data = Float32Array.from([0.5, -0.5, 0.25]);
+      buffer.getChannelData = () => data;
+
+      expect(mixChannels(buffer, ChannelModes.SIDE, 0).maxAmp).toBe(0);
+      expect(mixChannels(buffer, ChannelModes.LEFT, 0).samples[1]).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('ChannelRouter', () => {
+    let context;
+    let router;
+
+    beforeEach(() => {
+      context = new FakeAudioContext();
+      router = new ChannelRouter(context);
+    });
+
+    const findGain = (output, input) => {
+      const splitter = router.input.connections[0];
+      return splitter.routes
+        .filter(({ destination, output: channel }) => channel === input && destination.kind === 'gain' && destination.gain.value !== 0.5)
+        .map(({ destination }) => destination)
+        .find(gain => gain.routes.some(({ input: mergerInput }) => mergerInput === output));
+    };
+
+    it('should upmix its input to stereo and split it through the matrix', () => {
+      expect(router.input.channelCount).toBe(2);
+      expect(router.input.channelCountMode).toBe('explicit');
+      expect(router.input.channelInterpretation).toBe('speakers');
+
+      const splitter = router.input.connections[0];
+      expect(splitter.kind).toBe('splitter');
+      // Four matrix gains plus both channels into the karaoke bass sum
+      expect(splitter.connections).toHaveLength(6);
+      expect(findGain(0, 0).gain.value).toBe(1);
+      expect(findGain(1, 0).gain.value).toBe(0);
+    });
+
+    it('should glide the gains to the new routing', () => {
+      const param = findGain(1, 0).gain;
+      const ramp = vi.spyOn(param, 'linearRampToValueAtTime');
+      context.currentTime = 2;
+
+      router.setRouting(ChannelModes.LEFT, 0);
+
+      expect(ramp).toHaveBeenCalledWith(1, 2 + CONFIG.CHANNEL_ROUTING_RAMP);
+      expect(findGain(0, 1).gain.value).toBe(0);
+    });
+
+    it('should only let the lowpassed mid through in karaoke mode', () => {
+      const filter = context.createBiquadFilter;
+      let biquad;
+      context.createBiquadFilter = () => (biquad = filter.call(context));
+      router = new ChannelRouter(context);
+      const bassGains = () => biquad.routes.map(({ destination }) => destination.gain.value);
+
+      expect(biquad.frequency.value).toBe(CONFIG.KARAOKE_BASS_CUTOFF);
+      expect(bassGains()).toEqual([0, 0]);
+
+      router.setRouting(ChannelModes.KARAOKE, 0.5);
+      expect(bassGains()).toEqual([0.5, 1]);
+
+      router.setRouting(ChannelModes.SIDE, 0);
+      expect(bassGains()).toEqual([0, 0]);
+    });
+  });
+
+  describe('AudioPlayback', () => {
+    let originalAudioContext;
+    let scope;
+
+    beforeEach(async () => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      AudioContextManager.getContext().currentTime = 1;
+    });
+
+    afterEach(async () => {
+      scope.playback.dispose();
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should play every source through the routing stage before the volume gain', async () => {
+      const context = AudioContextManager.getContext();
+      await scope.playback.load(new AudioBuffer({ numberOfChannels: 2, length: 8000, sampleRate: 8000 }));
+
+      await scope.playback.play(0);
+
+      const sourceGain = context.sources.at(-1).connections[0];
+      const routerInput = sourceGain.connections[0];
+      expect(routerInput.channelInterpretation).toBe('speakers');
+      expect(routerInput.connections[0].kind).toBe('splitter');
+    });
+
+    it('should keep the routing in state and apply it to a new graph', async () => {
+      scope.playback.setChannelRouting(ChannelModes.MONO, -0.5);
+
+      expect(scope.stateManager.get('audio.channelMode')).toBe('mono');
+      expect(scope.stateManager.get('audio.balance')).toBe(-0.5);
+
+      scope.playback.dispose();
+      await scope.playback.initialize();
+      expect(scope.stateManager.get('audio.channelMode')).toBe('mono');
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let originalAudioContext;
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    const press = (key) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    beforeEach(() => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(async () => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should set the mode and balance with channelchange events', async () => {
+      const player = await createPlayer();
+      const onChannelChange = vi.fn();
+      player.on('channelchange', onChannelChange);
+
+      expect(player.setChannelMode(ChannelModes.SIDE)).toBe('side');
+      expect(player.setBalance(0.3)).toBe(0.3);
+
+      expect(player.getChannelMode()).toBe('side');
+      expect(player.getBalance()).toBe(0.3);
+      expect(onChannelChange).toHaveBeenNthCalledWith(1, expect.objectContaining({ channelMode: 'side', balance: 0 }));
+      expect(onChannelChange).toHaveBeenNthCalledWith(2, expect.objectContaining({ channelMode: 'side', balance: 0.3 }));
+    });
+
+    it('should validate the API and the constructor options', async () => {
+      const player = await createPlayer({ channelMode: 'left', balance: -1 });
+
+      expect(player.getChannelMode()).toBe('left');
+      expect(player.getBalance()).toBe(-1);
+      expect(() => player.setChannelMode('center')).toThrow(ValidationError);
+      expect(() => player.setBalance(2)).toThrow(ValidationError);
+      expect(player.getChannelMode()).toBe('left');
+      expect(() => new SpiralWaveformPlayer({ container, controls: 'none', channelMode: 'quad' })).toThrow(ValidationError);
+      expect(() => new SpiralWaveformPlayer({ container, controls: 'none', balance: '0' })).toThrow(ValidationError);
+    });
+
+    it('should cycle modes with c / C and move the balance with { / }', async () => {
+      const player = await createPlayer();
+
+      press('c');
+      expect(player.getChannelMode()).toBe('left');
+      press('C');
+      press('C');
+      expect(player.getChannelMode()).toBe('karaoke');
+
+      press('}');
+      press('}');
+      press('}');
+      expect(player.getBalance()).toBe(0.3);
+      press('{');
+      press('{');
+      press('{');
+      expect(player.getBalance()).toBe(0);
+      for (let i = 0; i < 12; i++) press('{');
+      expect(player.getBalance()).toBe(-1);
+    });
+
+    it('should draw the routed channels instead of the first one', async () => {
+      const player = await createPlayer();
+      const buffer = createStereoBuffer([0.5, 0.5, 0.5, 0.5], [0.1, 0.2, 0.3, 0.4]);
+      await player.load(buffer, { name: 'mix.wav' });
+
+      player._draw();
+      expect(player.visualState.routedWaveform).toBeNull();
+
+      player.setChannelMode(ChannelModes.RIGHT);
+      player._draw();
+      const routed = player.visualState.routedWaveform;
+      expect(routed.samples[3]).toBeCloseTo(0.4);
+      expect(routed.globalMaxAmp).toBeCloseTo(0.4);
+
+      // Unchanged routing reuses the mix
+      player._draw();
+      expect(player.visualState.routedWaveform).toBe(routed);
+
+      player.setChannelMode(ChannelModes.STEREO);
+      player._draw();
+      expect(player.visualState.routedWaveform).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * Tests for the parametric equalizer
+ * Testing band validation and presets, the filter chain and its response, URL audio
+ * routed through the graph, and the player API, persistence and panel
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  Equalizer,
+  EQ_BANDS,
+  EqPresets,
+  createEqSettings,
+  validateEqBand,
+  updateEqBand,
+  restoreEqSettings,
+  getBuiltInEqPreset,
+  validateEqPresetName,
+  getEqCurveFrequencies
+} from '../js/equalizer.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext, FakeAudioNode } from './setup.js';
+
+// Plain object standing in for an <audio> element
+const createMediaElement = (src, crossOrigin = null) => ({
+  paused: true,
+  volume: 1,
+  currentTime: 0,
+  duration: 30,
+  playbackRate: 1,
+  src,
+  crossOrigin,
+  load() {},
+  async play() { this.paused = false; },
+  pause() { this.paused = true; }
+});
+
+describe('Equalizer', () => {
+  describe('settings', () => {
+    it('should start flat with the pass filters off', () => {
+      const settings = createEqSettings();
+
+      expect(settings.bypass).toBe(false);
+      expect(settings.bands.map(band => band.id)).toEqual(EQ_BANDS.map(band => band.id));
+      expect(settings.bands.every(band => band.gain === 0)).toBe(true);
+      expect(settings.bands.filter(band => !band.enabled).map(band => band.id)).toEqual(['highpass', 'lowpass']);
+    });
+
+    it('should validate band changes', () => {
+      expect(() => validateEqBand('mid', { gain: 6, Q: 2, frequency: 900, enabled: false })).not.toThrow();
+      expect(() => validateEqBand('ultra', { gain: 1 })).toThrow(ValidationError);
+      expect(() => validateEqBand('mid', null)).toThrow(ValidationError);
+      expect(() => validateEqBand('mid', { gain: CONFIG.EQ_MAX_GAIN + 1 })).toThrow(ValidationError);
+      expect(() => validateEqBand('mid', { frequency: 10 })).toThrow(ValidationError);
+      expect(() => validateEqBand('mid', { Q: 0 })).toThrow(ValidationError);
+      expect(() => validateEqBand('mid', { enabled: 'yes' })).toThrow(ValidationError);
+    });
+
+    it('should update one band without touching the others or the original', () => {
+      const settings = createEqSettings();
+      const updated = updateEqBand(settings, 'mid', { gain: -4 });
+
+      expect(updated.bands.find(band => band.id === 'mid')).toMatchObject({ gain: -4, frequency: 1000, type: 'peaking' });
+      expect(settings.bands.find(band => band.id === 'mid').gain).toBe(0);
+      expect(updated.bands.filter(band => band.gain !== 0)).toHaveLength(1);
+    });
+
+    it('should restore saved bands onto the defaults and reject bad ones', () => {
+      const restored = restoreEqSettings([{ id: 'low', gain: 3, type: 'highpass' }], true);
+
+      expect(restored.bypass).toBe(true);
+      expect(restored.bands.find(band => band.id === 'low')).toMatchObject({ gain: 3, type: 'lowshelf' });
+      expect(() => restoreEqSettings('flat')).toThrow(ValidationError);
+      expect(() => restoreEqSettings([{ id: 'low', gain: 99 }])).toThrow(ValidationError);
+      expect(() => restoreEqSettings([null])).toThrow(ValidationError);
+      expect(() => restoreEqSettings([], 'no')).toThrow(ValidationError);
+    });
+
+    it('should build the built-in presets', () => {
+      const bass = getBuiltInEqPreset(EqPresets.BASS_BOOST);
+      const telephone = getBuiltInEqPreset(EqPresets.TELEPHONE);
+
+      expect(bass.bands.find(band => band.id === 'low').gain).toBeGreaterThan(0);
+      expect(telephone.bands.find(band => band.id === 'lowpass')).toMatchObject({ enabled: true, frequency: 3400 });
+      expect(getBuiltInEqPreset(EqPresets.FLAT)).toEqual(createEqSettings());
+      expect(getBuiltInEqPreset('mine')).toBeNull();
+      expect(getBuiltInEqPreset('toString')).toBeNull();
+    });
+
+    it('should only accept user preset names that are free', () => {
+      expect(() => validateEqPresetName('Podcast')).not.toThrow();
+      expect(() => validateEqPresetName('  ')).toThrow(ValidationError);
+      expect(() => validateEqPresetName('x'.repeat(41))).toThrow(ValidationError);
+      expect(() => validateEqPresetName(EqPresets.VOCAL)).toThrow(ValidationError);
+    });
+
+    it('should space the curve frequencies logarithmically across the range', () => {
+      const frequencies = getEqCurveFrequencies(3);
+
+      expect(frequencies[0]).toBeCloseTo(CONFIG.EQ_MIN_FREQUENCY);
+      expect(frequencies[1]).toBeCloseTo(Math.sqrt(CONFIG.EQ_MIN_FREQUENCY * CONFIG.EQ_MAX_FREQUENCY), 0);
+      expect(frequencies[2]).toBeCloseTo(CONFIG.EQ_MAX_FREQUENCY, 0);
+      expect(getEqCurveFrequencies()).toHaveLength(CONFIG.EQ_CURVE_POINTS);
+    });
+  });
+
+  describe('filter chain', () => {
+    let context;
+    let equalizer;
+    let output;
+
+    // Kinds and types of the nodes from the input to the output
+    const walk = () => {
+      const path = [];
+      let node = equalizer.input.connections[0];
+      while (node && node.kind === 'biquad') {
+        path.push(node.type);
+        node = node.connections[0];
+      }
+      return { path, end: node };
+    };
+
+    beforeEach(() => {
+      context = new FakeAudioContext();
+      equalizer = new Equalizer(context);
+      output = new FakeAudioNode('volume');
+      equalizer.connect(output);
+    });
+
+    it('should chain the enabled filters in band order', () => {
+      const { path, end } = walk();
+
+      expect(path).toEqual(['lowshelf', 'peaking', 'peaking', 'peaking', 'peaking', 'highshelf']);
+      expect(end.connections).toEqual([output]);
+    });
+
+    it('should rewire when bands are switched and skip every filter when bypassed', () => {
+      let settings = updateEqBand(createEqSettings(), 'highpass', { enabled: true });
+      settings = updateEqBand(settings, 'mid', { enabled: false, gain: 5 });
+      equalizer.set(settings);
+
+      expect(walk().path).toEqual(['highpass', 'lowshelf', 'peaking', 'peaking', 'peaking', 'highshelf']);
+
+      equalizer.set({ ...settings, bypass: true });
+      const { path, end } = walk();
+      expect(path).toEqual([]);
+      expect(end.connections).toEqual([output]);
+    });
+
+    it('should add up the enabled bands in the frequency response', () => {
+      let settings = updateEqBand(createEqSettings(), 'low', { gain: 6 });
+      settings = updateEqBand(settings, 'mid', { gain: -2 });
+      settings = updateEqBand(settings, 'high', { gain: 3, enabled: false });
+      equalizer.set(settings);
+
+      const response = equalizer.getFrequencyResponse(Float32Array.of(100, 1000));
+      expect(response[0]).toBeCloseTo(4, 4);
+      expect(response[1]).toBeCloseTo(4, 4);
+
+      equalizer.set({ ...settings, bypass: true });
+      expect([...equalizer.getFrequencyResponse(Float32Array.of(100))]).toEqual([0]);
+    });
+  });
+
+  describe('AudioPlayback', () => {
+    let originalAudioContext;
+    let scope;
+    let context;
+
+    beforeEach(async () => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      context = AudioContextManager.getContext();
+    });
+
+    afterEach(async () => {
+      scope.playback.dispose();
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should keep the settings in state and apply them to a new graph', async () => {
+      const settings = updateEqBand(createEqSettings(), 'presence', { gain: 6 });
+      scope.playback.setEqualizer(settings);
+
+      expect(scope.stateManager.get('audio.eq')).toEqual(settings);
+      expect(scope.playback.getEqResponse(Float32Array.of(6000))[0]).toBeCloseTo(6, 4);
+
+      scope.playback.dispose();
+      await scope.playback.initialize();
+      expect(scope.playback.getEqResponse(Float32Array.of(6000))[0]).toBeCloseTo(6, 4);
+    });
+
+    it('should send CORS URL audio through the routing stage and hold the volume gain at unity', () => {
+      scope.playback.setVolume(0.5);
+      const element = createMediaElement('https://cdn.example.com/song.mp3', 'anonymous');
+
+      scope.playback.setMediaElement(element);
+
+      expect(scope.playback.isMediaElementRouted()).toBe(true);
+      expect(context.mediaSources).toHaveLength(1);
+      expect(context.mediaSources[0].connections[0].channelInterpretation).toBe('speakers');
+      // The element carries the volume (and its fades) itself
+      expect(element.volume).toBe(0.5);
+
+      scope.playback.releaseMediaElement();
+      expect(scope.playback.isMediaElementRouted()).toBe(false);
+      expect(context.mediaSources[0].connections).toEqual([]);
+    });
+
+    it('should reuse the source node when the same element is routed again', () => {
+      const element = createMediaElement('blob:https://example.com/1234');
+
+      scope.playback.setMediaElement(element);
+      scope.playback.setMediaElement(null);
+      scope.playback.setMediaElement(element);
+
+      expect(scope.playback.isMediaElementRouted()).toBe(true);
+      expect(context.mediaSources).toHaveLength(1);
+    });
+
+    it('should leave audio it cannot route playing directly', () => {
+      scope.playback.setMediaElement(createMediaElement('https://other.example.com/song.mp3'));
+      expect(scope.playback.isMediaElementRouted()).toBe(false);
+
+      scope.playback.setMediaElement(createMediaElement('blob:https://example.com/1'), { external: true });
+      expect(scope.playback.isMediaElementRouted()).toBe(false);
+
+      context.createMediaElementSource = () => { throw new Error('InvalidStateError'); };
+      scope.playback.setMediaElement(createMediaElement('blob:https://example.com/2'));
+      expect(scope.playback.isMediaElementRouted()).toBe(false);
+      expect(context.mediaSources).toHaveLength(0);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let originalAudioContext;
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    beforeEach(() => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(async () => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should set bands and bypass with eqchange events and save them', async () => {
+      const player = await createPlayer();
+      const onChange = vi.fn();
+      player.on('eqchange', onChange);
+
+      expect(player.setEqBand('low', { gain: 4, frequency: 80 })).toMatchObject({ id: 'low', gain: 4, frequency: 80 });
+      expect(player.setEqBypass(true)).toBe(true);
+
+      expect(player.getEqualizer().bypass).toBe(true);
+      expect(player.getEqResponse([100])[0]).toBe(0);
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange.mock.calls[0][0].equalizer.bands[1]).toMatchObject({ id: 'low', gain: 4 });
+      expect(SettingsManager.get('equalizer')).toMatchObject({ bypass: true });
+
+      player.setEqBypass(false);
+      expect(player.getEqResponse([100])[0]).toBeCloseTo(4, 4);
+    });
+
+    it('should validate the API and leave the settings alone on errors', async () => {
+      const player = await createPlayer();
+
+      expect(() => player.setEqBand('mid', { gain: 30 })).toThrow(ValidationError);
+      expect(() => player.setEqBypass('on')).toThrow(ValidationError);
+      expect(() => player.applyEqPreset('nope')).toThrow(ValidationError);
+      expect(() => player.saveEqPreset(EqPresets.FLAT)).toThrow(ValidationError);
+      expect(player.getEqualizer()).toEqual(createEqSettings());
+    });
+
+    it('should apply built-in presets and save, apply and delete user presets', async () => {
+      const player = await createPlayer();
+
+      player.applyEqPreset(EqPresets.BASS_BOOST);
+      expect(player.getEqualizer().bands.find(band => band.id === 'low').gain).toBe(6);
+
+      player.setEqBand('mid', { gain: -3 });
+      expect(player.saveEqPreset('Scooped')).toBe('Scooped');
+      player.applyEqPreset(EqPresets.FLAT);
+      expect(player.getEqPresets()).toEqual({ builtIn: Object.values(EqPresets), user: ['Scooped'] });
+
+      player.applyEqPreset('Scooped');
+      expect(player.getEqualizer().bands.find(band => band.id === 'mid').gain).toBe(-3);
+
+      expect(player.deleteEqPreset('Scooped')).toBe(true);
+      expect(player.deleteEqPreset('Scooped')).toBe(false);
+      expect(player.getEqPresets().user).toEqual([]);
+    });
+
+    it('should restore the saved equalizer and ignore a malformed one', async () => {
+      SettingsManager.update('equalizer', { bypass: false, bands: [{ id: 'high', gain: -6 }] });
+      const player = await createPlayer();
+      expect(player.getEqualizer().bands.find(band => band.id === 'high').gain).toBe(-6);
+
+      SettingsManager.update('equalizer', { bypass: false, bands: [{ id: 'high', gain: 'loud' }] });
+      const other = await createPlayer();
+      expect(other.getEqualizer()).toEqual(createEqSettings());
+    });
+
+    it('should drive the equalizer from its panel', async () => {
+      const player = await createPlayer({ controls: { equalizer: true } });
+      const { root, toggle, panel, bypass, presetSelect } = player.equalizerUI;
+      expect(panel.hidden).toBe(true);
+
+      toggle.click();
+      expect(panel.hidden).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+      const gain = root.querySelector('[data-band="mid"] [data-field="gain"]');
+      gain.value = '5';
+      gain.dispatchEvent(new Event('input', { bubbles: true }));
+      expect(player.getEqualizer().bands.find(band => band.id === 'mid').gain).toBe(5);
+
+      bypass.checked = true;
+      bypass.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(player.getEqualizer().bypass).toBe(true);
+
+      presetSelect.value = EqPresets.TREBLE_BOOST;
+      presetSelect.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(player.getEqualizer().bands.find(band => band.id === 'high').gain).toBe(6);
+      expect(presetSelect.value).toBe(EqPresets.TREBLE_BOOST);
+      expect(root.querySelector('[data-band="highpass"] [data-field="gain"]').disabled).toBe(true);
+    });
+  });
+});
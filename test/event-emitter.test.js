@@ -0,0 +1,169 @@
+/**
+ * Tests for event-emitter.js
+ * Testing the typed emitter behind SpiralWaveformPlayer's on/off/once API
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  EventEmitter,
+  PlayerEvents,
+  playbackEvents,
+  describeFileSource,
+  describeUrlSource
+} from '../js/event-emitter.js';
+import { ValidationError } from '../js/validation.js';
+import { setVolume } from '../js/audio-controls.js';
+
+describe('event-emitter.js - Typed Event Emitter', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter(Object.values(PlayerEvents));
+  });
+
+  describe('on() / emit()', () => {
+    it('should call listeners with the payload', () => {
+      const listener = vi.fn();
+      emitter.on('play', listener);
+
+      const count = emitter.emit('play', { currentTime: 3 });
+
+      expect(count).toBe(1);
+      expect(listener).toHaveBeenCalledWith({ currentTime: 3 });
+    });
+
+    it('should call listeners in subscription order', () => {
+      const calls = [];
+      emitter.on('pause', () => calls.push('first'));
+      emitter.on('pause', () => calls.push('second'));
+
+      emitter.emit('pause');
+
+      expect(calls).toEqual(['first', 'second']);
+    });
+
+    it('should return an unsubscribe function', () => {
+      const listener = vi.fn();
+      const unsubscribe = emitter.on('seeked', listener);
+
+      unsubscribe();
+      emitter.emit('seeked');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should keep calling other listeners when one throws', () => {
+      const good = vi.fn();
+      emitter.on('ended', () => { throw new Error('boom'); });
+      emitter.on('ended', good);
+
+      expect(() => emitter.emit('ended')).not.toThrow();
+      expect(good).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown event names', () => {
+      expect(() => emitter.on('plya', () => {})).toThrow(ValidationError);
+      expect(() => emitter.emit('plya')).toThrow(ValidationError);
+    });
+
+    it('should reject non-function listeners', () => {
+      expect(() => emitter.on('play', 'not a function')).toThrow(ValidationError);
+    });
+
+    it('should accept any event name when no list is given', () => {
+      const open = new EventEmitter();
+      const listener = vi.fn();
+      open.on('custom', listener);
+      open.emit('custom');
+      expect(listener).toHaveBeenCalled();
+    });
+  });
+
+  describe('off()', () => {
+    it('should remove a listener', () => {
+      const listener = vi.fn();
+      emitter.on('volumechange', listener);
+
+      expect(emitter.off('volumechange', listener)).toBe(true);
+      emitter.emit('volumechange');
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(emitter.listenerCount('volumechange')).toBe(0);
+    });
+
+    it('should return false for unknown listeners', () => {
+      expect(emitter.off('play', () => {})).toBe(false);
+    });
+  });
+
+  describe('once()', () => {
+    it('should fire only once', () => {
+      const listener = vi.fn();
+      emitter.once('loaded', listener);
+
+      emitter.emit('loaded', { duration: 10 });
+      emitter.emit('loaded', { duration: 20 });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ duration: 10 });
+    });
+
+    it('should be removable with off() using the original listener', () => {
+      const listener = vi.fn();
+      emitter.once('error', listener);
+
+      expect(emitter.off('error', listener)).toBe(true);
+      emitter.emit('error');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listenerCount() / removeAllListeners()', () => {
+    it('should count listeners per event and in total', () => {
+      emitter.on('play', () => {});
+      emitter.on('play', () => {});
+      emitter.on('pause', () => {});
+
+      expect(emitter.listenerCount('play')).toBe(2);
+      expect(emitter.listenerCount()).toBe(3);
+
+      emitter.removeAllListeners('play');
+      expect(emitter.listenerCount()).toBe(1);
+
+      emitter.removeAllListeners();
+      expect(emitter.listenerCount()).toBe(0);
+    });
+  });
+
+  describe('Source descriptions', () => {
+    it('should describe a file', () => {
+      const file = new File(['abc'], 'song.mp3', { type: 'audio/mpeg' });
+      expect(describeFileSource(file)).toEqual({
+        kind: 'file',
+        name: 'song.mp3',
+        size: 3,
+        mimeType: 'audio/mpeg'
+      });
+    });
+
+    it('should describe a URL using its last path segment', () => {
+      const source = describeUrlSource('https://example.com/audio/My%20Track.ogg?dl=1');
+      expect(source.kind).toBe('url');
+      expect(source.name).toBe('My Track.ogg');
+      expect(source.url).toBe('https://example.com/audio/My%20Track.ogg?dl=1');
+    });
+  });
+
+  describe('Integration - playback bus', () => {
+    it('should publish volumechange from audio-controls setVolume()', () => {
+      const listener = vi.fn();
+      const unsubscribe = playbackEvents.on(PlayerEvents.VOLUME_CHANGE, listener);
+
+      setVolume(0.5);
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith({ volume: 0.5 });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for drag-and-drop and paste loading
+ * Testing how sources are read from a DataTransfer, file validation, the drop
+ * zone's drag state, and how the player loads, queues or rejects what it is given
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ValidationError } from '../js/validation.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { getTransferredSources, validateAudioFiles, attachDropZone } from '../js/file-handler.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+const audioFile = (name, type = 'audio/wav') => new File(['RIFF'], name, { type });
+
+// Just enough of a DataTransfer: files and/or text by type
+const createTransfer = ({ files = [], items = [], data = {} } = {}) => ({
+  files,
+  items,
+  types: [...(files.length > 0 ? ['Files'] : []), ...Object.keys(data)],
+  dropEffect: 'none',
+  getData: (type) => data[type] ?? ''
+});
+
+const dispatchDrag = (target, type, transfer) => {
+  const event = new Event(type, { bubbles: true, cancelable: true });
+  event.dataTransfer = transfer;
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('Drag-and-drop and paste loading', () => {
+  describe('transferred sources', () => {
+    it('should read dropped files in order', () => {
+      const files = [audioFile('b.wav'), audioFile('a.mp3', 'audio/mpeg')];
+      // A dragged file can carry its name as text too - the file wins
+      expect(getTransferredSources(createTransfer({ files, data: { 'text/plain': 'b.wav' } }))).toEqual({ files, urls: [] });
+    });
+
+    it('should fall back to file items (pasted blobs)', () => {
+      const blob = audioFile('clip.webm', 'audio/webm');
+      const items = [{ kind: 'string', getAsFile: () => null }, { kind: 'file', getAsFile: () => blob }];
+      expect(getTransferredSources(createTransfer({ items })).files).toEqual([blob]);
+    });
+
+    it('should read http(s) links from a uri-list or plain text', () => {
+      const uriList = '# dragged from a page\r\nhttps://example.com/a.mp3\r\nfile:///home/a.mp3\r\nhttp://example.com/b.ogg';
+      expect(getTransferredSources(createTransfer({ data: { 'text/uri-list': uriList } })).urls)
+        .toEqual(['https://example.com/a.mp3', 'http://example.com/b.ogg']);
+      expect(getTransferredSources(createTransfer({ data: { 'text/plain': '  https://example.com/c.wav \n' } })).urls)
+        .toEqual(['https://example.com/c.wav']);
+      expect(getTransferredSources(createTransfer({ data: { 'text/plain': 'listen to https://example.com/c.wav' } })).urls).toEqual([]);
+      expect(getTransferredSources(null)).toEqual({ files: [], urls: [] });
+    });
+
+    it('should run files through the audio file checks', async () => {
+      const good = audioFile('song.flac', 'audio/flac');
+      const { accepted, rejected } = await validateAudioFiles([audioFile('notes.txt', 'text/plain'), good]);
+
+      expect(accepted).toEqual([good]);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0]).toBeInstanceOf(ValidationError);
+      expect(rejected[0].message).toContain('audio file "notes.txt"');
+    });
+  });
+
+  describe('attachDropZone', () => {
+    let zone;
+    let child;
+
+    beforeEach(() => {
+      zone = document.createElement('div');
+      child = document.createElement('canvas');
+      zone.appendChild(child);
+      document.body.appendChild(zone);
+    });
+
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should show the drop target while audio is dragged over it', () => {
+      const onDrop = vi.fn();
+      attachDropZone(zone, onDrop);
+      const transfer = createTransfer({ files: [audioFile('a.wav')] });
+
+      expect(dispatchDrag(zone, 'dragenter', transfer).defaultPrevented).toBe(true);
+      // Crossing into a child enters it before leaving the zone
+      dispatchDrag(child, 'dragenter', transfer);
+      dispatchDrag(zone, 'dragleave', transfer);
+      expect(zone.classList.contains('drop-target')).toBe(true);
+      expect(dispatchDrag(child, 'dragover', transfer).defaultPrevented).toBe(true);
+      expect(transfer.dropEffect).toBe('copy');
+
+      dispatchDrag(child, 'drop', transfer);
+      expect(zone.classList.contains('drop-target')).toBe(false);
+      expect(onDrop).toHaveBeenCalledWith({ files: transfer.files, urls: [] });
+    });
+
+    it('should ignore drags it cannot load and stop listening when removed', () => {
+      const onDrop = vi.fn();
+      const remove = attachDropZone(zone, onDrop);
+
+      const html = { ...createTransfer(), types: ['text/html'] };
+      expect(dispatchDrag(zone, 'dragover', html).defaultPrevented).toBe(false);
+      dispatchDrag(zone, 'drop', html);
+      expect(onDrop).not.toHaveBeenCalled();
+
+      dispatchDrag(zone, 'dragenter', createTransfer({ files: [audioFile('a.wav')] }));
+      remove();
+      expect(zone.classList.contains('drop-target')).toBe(false);
+      dispatchDrag(zone, 'drop', createTransfer({ files: [audioFile('a.wav')] }));
+      expect(onDrop).not.toHaveBeenCalled();
+    });
+
+    it('should validate its arguments', () => {
+      expect(() => attachDropZone(null, () => {})).toThrow(ValidationError);
+      expect(() => attachDropZone(zone, 'load')).toThrow(ValidationError);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const paste = (target, transfer) => {
+      const event = new Event('paste', { bubbles: true, cancelable: true });
+      event.clipboardData = transfer;
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      const store = new Map();
+      localStorage.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorage.setItem.mockImplementation((key, value) => store.set(key, String(value)));
+      localStorage.removeItem.mockImplementation(key => store.delete(key));
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should load a dropped file like the file input', async () => {
+      const player = await createPlayer();
+      const loadFile = vi.spyOn(player, 'loadFile').mockResolvedValue();
+      const file = audioFile('take.wav');
+
+      dispatchDrag(player.canvas, 'drop', createTransfer({ files: [file] }));
+      await flush();
+
+      expect(loadFile).toHaveBeenCalledWith(file);
+    });
+
+    it('should queue several dropped files in order and play the first', async () => {
+      const player = await createPlayer();
+      const playItem = vi.spyOn(player, 'playItem').mockResolvedValue(true);
+      player.enqueue('https://example.com/earlier.mp3');
+
+      dispatchDrag(container, 'drop', createTransfer({ files: [audioFile('one.wav'), audioFile('two.mp3', 'audio/mpeg')] }));
+      await flush();
+
+      expect(player.getPlaylist().items.map(item => item.name)).toEqual(['earlier.mp3', 'one.wav', 'two.mp3']);
+      expect(playItem).toHaveBeenCalledWith(1);
+    });
+
+    it('should report files that are not audio and load the rest', async () => {
+      const player = await createPlayer();
+      const loadFile = vi.spyOn(player, 'loadFile').mockResolvedValue();
+      const errors = [];
+      player.on('error', ({ error }) => errors.push(error));
+      const file = audioFile('take.wav');
+
+      dispatchDrag(container, 'drop', createTransfer({ files: [audioFile('cover.png', 'image/png'), file] }));
+      await flush();
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toBeInstanceOf(ValidationError);
+      expect(loadFile).toHaveBeenCalledWith(file);
+
+      // Nothing loadable at all
+      dispatchDrag(container, 'drop', createTransfer({ data: { 'text/plain': 'just some words' } }));
+      await flush();
+      expect(errors).toHaveLength(2);
+      expect(errors[1].message).toMatch(/Nothing to load/);
+    });
+
+    it('should load a dropped link and remember it', async () => {
+      const player = await createPlayer();
+      const loadFromUrl = vi.spyOn(player, 'loadFromUrl').mockResolvedValue();
+
+      dispatchDrag(container, 'drop', createTransfer({ data: { 'text/uri-list': 'https://example.com/set.mp3' } }));
+      await flush();
+
+      expect(loadFromUrl).toHaveBeenCalledWith('https://example.com/set.mp3');
+      expect(SettingsManager.get('lastUrl')).toBe('https://example.com/set.mp3');
+    });
+
+    it('should load pasted audio and links, but not pastes into text fields', async () => {
+      const player = await createPlayer();
+      const loadFile = vi.spyOn(player, 'loadFile').mockResolvedValue();
+      const loadFromUrl = vi.spyOn(player, 'loadFromUrl').mockResolvedValue();
+      const input = document.createElement('input');
+      container.appendChild(input);
+
+      const blob = audioFile('recording.webm', 'audio/webm');
+      expect(paste(player.canvas, createTransfer({ files: [blob] })).defaultPrevented).toBe(true);
+      expect(paste(input, createTransfer({ data: { 'text/plain': 'https://example.com/a.mp3' } })).defaultPrevented).toBe(false);
+      // Text that is not a link is left to the page
+      expect(paste(document.body, createTransfer({ data: { 'text/plain': 'hello' } })).defaultPrevented).toBe(false);
+      paste(document.body, createTransfer({ data: { 'text/plain': 'https://example.com/b.mp3' } }));
+      await flush();
+
+      expect(loadFile).toHaveBeenCalledWith(blob);
+      expect(loadFromUrl).toHaveBeenCalledTimes(1);
+      expect(loadFromUrl).toHaveBeenCalledWith('https://example.com/b.mp3');
+    });
+
+    it('should leave drops and pastes alone with dropZone: false', async () => {
+      const player = await createPlayer({ dropZone: false });
+      const loadFile = vi.spyOn(player, 'loadFile').mockResolvedValue();
+
+      const drop = dispatchDrag(container, 'drop', createTransfer({ files: [audioFile('take.wav')] }));
+      paste(document.body, createTransfer({ files: [audioFile('take.wav')] }));
+      await flush();
+
+      expect(drop.defaultPrevented).toBe(false);
+      expect(loadFile).not.toHaveBeenCalled();
+      expect(() => new SpiralWaveformPlayer({ container, dropZone: 'yes' })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for magic-byte format sniffing
+ * Testing the signatures sniffAudioFormat() recognises, reading past large ID3
+ * tags, mismatch reports, and how files and fetched URLs use the sniffed format
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SNIFF_LENGTH, SniffedFormats, sniffAudioFormat, sniffBlobFormat, compareFormats } from '../js/format-sniffer.js';
+import { FileValidation, ValidationError } from '../js/validation.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { loadSource } from '../js/source-loader.js';
+import { detectFileFormat, detectFetchedFormat } from '../js/audio-loader.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+// Leading bytes from strings (char codes) and numbers, padded to a realistic header length
+const header = (...parts) => {
+  const bytes = parts.flatMap(part => (typeof part === 'string' ? Array.from(part, char => char.charCodeAt(0)) : [part]));
+  return Uint8Array.from([...bytes, ...new Array(64).fill(0)]);
+};
+
+const WAV = header('RIFF', 36, 0, 0, 0, 'WAVEfmt ');
+const FLAC = header('fLaC', 0, 0, 0, 34);
+const MP3_FRAME = header(0xff, 0xfb, 0x90, 0x64);
+const oggPage = (packet) => header('OggS', 0, 2, ...new Array(20).fill(0), 1, packet.length, packet);
+
+// ID3v2 tag of `size` bytes (syncsafe) in front of `after`
+const withId3 = (size, after) => Uint8Array.from([
+  ...header('ID3', 4, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f).subarray(0, 10),
+  ...new Array(size).fill(0),
+  ...after
+]);
+
+// Decoded buffer with some signal (file loads reject silence)
+class SignalBuffer extends AudioBuffer {
+  getChannelData() {
+    return new Float32Array(this.length).fill(0.5);
+  }
+}
+
+describe('Format sniffing', () => {
+  describe('sniffAudioFormat', () => {
+    it.each([
+      ['WAV', WAV, SniffedFormats.WAV],
+      ['RF64', header('RF64', 0xff, 0xff, 0xff, 0xff, 'WAVE'), SniffedFormats.WAV],
+      ['AIFF', header('FORM', 0, 0, 0, 0, 'AIFF'), SniffedFormats.AIFF],
+      ['AIFF-C', header('FORM', 0, 0, 0, 0, 'AIFC'), SniffedFormats.AIFF],
+      ['an MP3 frame', MP3_FRAME, SniffedFormats.MP3],
+      ['an MP2 frame', header(0xff, 0xfd, 0x90, 0x64), SniffedFormats.MP2],
+      ['ADTS AAC', header(0xff, 0xf1, 0x50, 0x80), SniffedFormats.AAC],
+      ['Ogg Vorbis', oggPage('\x01vorbis'), SniffedFormats.OGG_VORBIS],
+      ['Ogg Opus', oggPage('OpusHead'), SniffedFormats.OGG_OPUS],
+      ['Ogg FLAC', oggPage('\x7fFLAC'), SniffedFormats.OGG_FLAC],
+      ['Ogg with another codec', oggPage('Speex   '), SniffedFormats.OGG],
+      ['FLAC', FLAC, SniffedFormats.FLAC],
+      ['M4A', header(0, 0, 0, 32, 'ftypM4A '), SniffedFormats.M4A],
+      ['MP4', header(0, 0, 0, 32, 'ftypisom'), SniffedFormats.MP4],
+      ['3GP', header(0, 0, 0, 32, 'ftyp3gp4'), SniffedFormats.THREE_GP],
+      ['WebM', header(0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84, 'webm'), SniffedFormats.WEBM],
+      ['Matroska', header(0x1a, 0x45, 0xdf, 0xa3, 0xa3, 0x42, 0x82, 0x88, 'matroska'), SniffedFormats.MATROSKA],
+      ['CAF', header('caff', 0, 1, 0, 0), SniffedFormats.CAF],
+      ['MP3 behind an ID3 tag', withId3(40, MP3_FRAME), SniffedFormats.MP3],
+      ['FLAC behind an ID3 tag', withId3(40, FLAC), SniffedFormats.FLAC]
+    ])('should recognise %s', (label, bytes, expected) => {
+      expect(sniffAudioFormat(bytes)).toBe(expected);
+    });
+
+    it('should not guess at anything else', () => {
+      expect(sniffAudioFormat(header(0x89, 'PNG\r\n'))).toBeNull();
+      expect(sniffAudioFormat(header('just some text'))).toBeNull();
+      // Frame sync with a reserved version, or a bad bitrate
+      expect(sniffAudioFormat(header(0xff, 0xeb, 0x90, 0x64))).toBeNull();
+      expect(sniffAudioFormat(header(0xff, 0xfb, 0xf0, 0x64))).toBeNull();
+      expect(sniffAudioFormat(new Uint8Array([0x52, 0x49]))).toBeNull();
+      expect(sniffAudioFormat(new ArrayBuffer(0))).toBeNull();
+    });
+
+    it('should assume MP3 when an ID3 tag runs past the bytes it has', () => {
+      expect(sniffAudioFormat(withId3(400, FLAC).subarray(0, 100))).toBe(SniffedFormats.MP3);
+    });
+  });
+
+  describe('sniffBlobFormat', () => {
+    it('should read past a tag larger than the first read', async () => {
+      const size = SNIFF_LENGTH * 4;
+      expect(await sniffBlobFormat(new Blob([withId3(size, FLAC)]))).toBe(SniffedFormats.FLAC);
+      expect(await sniffBlobFormat(new Blob([withId3(size, header('?'))]))).toBe(SniffedFormats.MP3);
+      expect(await sniffBlobFormat(new Blob([WAV]))).toBe(SniffedFormats.WAV);
+    });
+  });
+
+  describe('compareFormats', () => {
+    it('should report formats from different containers', () => {
+      expect(compareFormats('MP3', 'WAV')).toEqual({ claimed: 'MP3', actual: 'WAV' });
+      expect(compareFormats('M4A (AAC)', 'WebM Audio')).toEqual({ claimed: 'M4A (AAC)', actual: 'WebM Audio' });
+    });
+
+    it('should accept the same container under another label, or an unknown side', () => {
+      expect(compareFormats('OGG', 'Opus')).toBeNull();
+      expect(compareFormats('Opus', 'OGG Vorbis')).toBeNull();
+      expect(compareFormats('MP4 Audio', 'M4A (AAC)')).toBeNull();
+      expect(compareFormats('Unknown Format', 'WAV')).toBeNull();
+      expect(compareFormats('WAV', null)).toBeNull();
+    });
+  });
+
+  describe('files', () => {
+    it('should accept renamed and extensionless audio', async () => {
+      const extensionless = new File([WAV], 'take', { type: '' });
+      const renamed = new File([FLAC], 'mix.bin', { type: 'application/octet-stream' });
+
+      expect(() => FileValidation.validateAudioFile(extensionless)).toThrow(ValidationError);
+      await expect(FileValidation.validateAudioFileContent(extensionless)).resolves.toBe(extensionless);
+      await expect(FileValidation.validateAudioFileContent(renamed)).resolves.toBe(renamed);
+      await expect(FileValidation.validateAudioFileContent(new File(['hello'], 'notes.txt', { type: 'text/plain' })))
+        .rejects.toThrow('unsupported audio format');
+      await expect(FileValidation.validateAudioFileContent('take.wav')).rejects.toThrow(ValidationError);
+    });
+
+    it('should report the format the bytes are', async () => {
+      const misnamed = await detectFileFormat(new File([WAV], 'song.mp3', { type: 'audio/mpeg' }));
+      expect(misnamed).toEqual({ format: 'WAV', claimed: 'MP3', sniffed: 'WAV', mismatch: { claimed: 'MP3', actual: 'WAV' } });
+
+      const unread = await detectFileFormat(new File(['?'], 'song.ogg'));
+      expect(unread).toEqual({ format: 'OGG', claimed: 'OGG', sniffed: null, mismatch: null });
+    });
+
+    it('should report the sniffed format from loadSource()', async () => {
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockResolvedValue(new SignalBuffer({ numberOfChannels: 1, length: 100, sampleRate: 8000 }));
+
+      const { info } = await loadSource(new File([oggPage('OpusHead')], 'voice.m4a', { type: 'audio/mp4' }));
+      expect(info).toMatchObject({ format: 'Opus', formatMismatch: { claimed: 'M4A (AAC)', actual: 'Opus' } });
+
+      const bytes = await loadSource(FLAC.buffer, { name: 'render' });
+      expect(bytes.info.format).toBe('FLAC');
+      expect(bytes.info).not.toHaveProperty('formatMismatch');
+
+      // A caller's label is kept
+      expect((await loadSource(FLAC.buffer, { format: 'Master' })).info.format).toBe('Master');
+    });
+  });
+
+  describe('fetched URLs', () => {
+    it('should check the bytes against the URL\'s extension', () => {
+      expect(detectFetchedFormat('https://example.com/a/song.mp3?dl=1', oggPage('\x01vorbis').buffer))
+        .toMatchObject({ format: 'OGG Vorbis', mismatch: { claimed: 'MP3', actual: 'OGG Vorbis' } });
+      expect(detectFetchedFormat('https://example.com/stream', FLAC.buffer)).toMatchObject({ format: 'FLAC', claimed: 'Unknown Format', mismatch: null });
+      expect(detectFetchedFormat('https://example.com/track%201.wav', new ArrayBuffer(8))).toMatchObject({ format: 'WAV', sniffed: null });
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let player;
+
+    beforeEach(async () => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false });
+      await player.ready;
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockResolvedValue(new SignalBuffer({ numberOfChannels: 2, length: 8000, sampleRate: 8000 }));
+    });
+
+    afterEach(() => {
+      player.destroy();
+      document.body.innerHTML = '';
+    });
+
+    it('should load an extensionless file and report its format', async () => {
+      const loaded = vi.fn();
+      const errors = vi.fn();
+      player.on('loaded', loaded);
+      player.on('error', errors);
+
+      await player.loadFile(new File([WAV], 'take', { type: '' }));
+
+      expect(errors).not.toHaveBeenCalled();
+      expect(loaded.mock.calls[0][0]).toMatchObject({ format: 'WAV', formatMismatch: null, channels: 2 });
+    });
+
+    it('should pass mismatches on with the loaded event', async () => {
+      const loaded = vi.fn();
+      player.on('loaded', loaded);
+
+      await player.load(new File([MP3_FRAME], 'song.wav', { type: 'audio/wav' }));
+
+      expect(loaded.mock.calls[0][0]).toMatchObject({ format: 'MP3', formatMismatch: { claimed: 'WAV', actual: 'MP3' } });
+    });
+  });
+});
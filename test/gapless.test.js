@@ -0,0 +1,322 @@
+/**
+ * Tests for crossfade.js and gapless playlist playback
+ * Testing fade curves, sample-accurate scheduling of the next track and the player's track switch
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CrossfadeCurves,
+  validateCrossfade,
+  createEqualPowerCurve,
+  scheduleCrossfade
+} from '../js/crossfade.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer } from '../js/audio-state.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext, FakeAudioParam } from './setup.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Track URLs whose file name gives the decoded duration, e.g. /tracks/12.mp3
+const trackUrl = (seconds) => `https://example.com/tracks/${seconds}.mp3`;
+
+const respondWithTrack = (url) => Promise.resolve({
+  ok: true,
+  status: 200,
+  headers: new Headers({ 'content-type': 'audio/mpeg' }),
+  arrayBuffer: async () => new Uint8Array([Number(url.match(/(\d+)\.mp3$/)[1])]).buffer
+});
+
+const createTrack = (seconds) => ({
+  audioBuffer: new AudioBuffer({ numberOfChannels: 1, length: seconds * 8000, sampleRate: 8000 }),
+  waveform: new Float32Array(16),
+  globalMaxAmp: 1
+});
+
+describe('Gapless playback and crossfades', () => {
+  let originalAudioContext;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+  });
+
+  afterEach(async () => {
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('crossfade.js', () => {
+    it('should fill in defaults and reject malformed settings', () => {
+      expect(validateCrossfade({})).toEqual({ duration: 0, curve: CrossfadeCurves.LINEAR });
+      expect(validateCrossfade({ duration: 3, curve: 'equal-power' })).toEqual({ duration: 3, curve: 'equal-power' });
+      expect(() => validateCrossfade(3)).toThrow(ValidationError);
+      expect(() => validateCrossfade({ duration: -1 })).toThrow(ValidationError);
+      expect(() => validateCrossfade({ duration: CONFIG.CROSSFADE_MAX_DURATION + 1 })).toThrow(ValidationError);
+      expect(() => validateCrossfade({ curve: 'exponential' })).toThrow(ValidationError);
+    });
+
+    it('should build equal-power curves whose powers add up to 1', () => {
+      const fadeOut = createEqualPowerCurve(false);
+      const fadeIn = createEqualPowerCurve(true);
+
+      expect(fadeOut[0]).toBeCloseTo(1);
+      expect(fadeOut.at(-1)).toBeCloseTo(0);
+      expect(fadeIn[0]).toBeCloseTo(0);
+      expect(fadeIn.at(-1)).toBeCloseTo(1);
+      fadeIn.forEach((gain, i) => expect(gain ** 2 + fadeOut[i] ** 2).toBeCloseTo(1));
+    });
+
+    it('should ramp the two gains in opposite directions over the same span', () => {
+      const outgoing = new FakeAudioParam(1);
+      const incoming = new FakeAudioParam(1);
+
+      scheduleCrossfade(outgoing, incoming, 10, 2, CrossfadeCurves.LINEAR);
+
+      expect(outgoing.events).toEqual([['set', 1, 10], ['linear', 0, 12]]);
+      expect(incoming.events).toEqual([['set', 0, 10], ['linear', 1, 12]]);
+
+      const a = new FakeAudioParam(1);
+      const b = new FakeAudioParam(1);
+      scheduleCrossfade(a, b, 10, 2, CrossfadeCurves.EQUAL_POWER);
+      expect(a.events[0]).toEqual(['curve', createEqualPowerCurve(false), 10, 2]);
+      expect(b.events[0]).toEqual(['curve', createEqualPowerCurve(true), 10, 2]);
+    });
+  });
+
+  describe('AudioPlayback.queueNext()', () => {
+    let scope;
+    let context;
+
+    beforeEach(async () => {
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      // Only the crossfade automation is recorded here (transport fades: transport-fades.test.js)
+      scope.playback.setFadeDuration(0);
+      context = AudioContextManager.getContext();
+      // getCurrentTime() treats a start time of 0 as "not started"
+      context.currentTime = 1;
+      const { audioBuffer } = createTrack(20);
+      setAudioBuffer(audioBuffer, new Float32Array(16), 1, scope.stateManager, null);
+      await scope.playback.load(audioBuffer);
+    });
+
+    afterEach(() => {
+      scope.playback.dispose();
+    });
+
+    it('should start the next track exactly where the current one ends', async () => {
+      await scope.playback.play(5);
+      const track = createTrack(8);
+
+      expect(scope.playback.queueNext(track)).toBe(true);
+
+      const next = context.sources.at(-1);
+      expect(next.buffer).toBe(track.audioBuffer);
+      expect(next.startedAt).toBeCloseTo(1 + 15);
+      expect(next.offset).toBe(0);
+      expect(scope.playback.getQueuedTrack()).toBe(track);
+    });
+
+    it('should allow for the playback rate', async () => {
+      scope.stateManager.set('audio.playbackRate', 2);
+      await scope.playback.play(4);
+
+      scope.playback.queueNext(createTrack(8));
+
+      expect(context.sources.at(-1)).toMatchObject({ startedAt: 1 + 8, playbackRate: { value: 2 } });
+    });
+
+    it('should overlap the tracks by the crossfade through separate gains', async () => {
+      await scope.playback.play(5);
+      const current = context.sources.at(-1);
+
+      scope.playback.queueNext(createTrack(8), { crossfade: 3, curve: CrossfadeCurves.LINEAR });
+
+      const next = context.sources.at(-1);
+      expect(next.startedAt).toBeCloseTo(16 - 3);
+      expect(next.output).not.toBe(current.output);
+      expect(current.output.gain.events).toEqual([['set', 1, 13], ['linear', 0, 16]]);
+      expect(next.output.gain.events).toEqual([['set', 0, 13], ['linear', 1, 16]]);
+    });
+
+    it('should shorten the crossfade to the time that is left', async () => {
+      await scope.playback.play(18);
+
+      scope.playback.queueNext(createTrack(8), { crossfade: 5 });
+
+      expect(context.sources.at(-1).startedAt).toBeCloseTo(1);
+    });
+
+    it('should not queue while paused or looping an A–B region', async () => {
+      expect(scope.playback.queueNext(createTrack(8))).toBe(false);
+
+      await scope.playback.play(5);
+      scope.playback.setLoopRegion({ start: 2, end: 6 });
+      expect(scope.playback.queueNext(createTrack(8))).toBe(false);
+    });
+
+    it('should hand over to the queued track once it starts', async () => {
+      await scope.playback.play(5);
+      const previous = context.sources.at(-1);
+      const track = createTrack(8);
+      scope.playback.queueNext(track, { crossfade: 2 });
+
+      context.currentTime = 13.9;
+      expect(scope.playback.advanceQueued()).toBeNull();
+
+      context.currentTime = 14.5;
+      expect(scope.playback.advanceQueued()).toEqual({ track, crossfade: 2 });
+      expect(scope.playback.getQueuedTrack()).toBeNull();
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(0.5);
+      // The previous track plays out its fade-out
+      expect(previous.stopped).toBe(false);
+
+      scope.playback.pause();
+      expect(previous.stopped).toBe(true);
+      expect(previous.output.connected).toBe(false);
+    });
+
+    it('should cancel the queued track and undo the fade-out when playback moves', async () => {
+      await scope.playback.play(5);
+      const current = context.sources.at(-1);
+      scope.playback.queueNext(createTrack(8), { crossfade: 2 });
+      const next = context.sources.at(-1);
+
+      scope.playback.setPlaybackRate(1.5);
+
+      expect(next.stopped).toBe(true);
+      expect(next.output.connected).toBe(false);
+      expect(current.output.gain.value).toBe(1);
+      expect(current.output.gain.events.at(-1)).toEqual(['cancel', context.currentTime]);
+      expect(scope.playback.getQueuedTrack()).toBeNull();
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+    let originalFetch;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      player.ctx.roundRect ??= () => {};
+      return player;
+    };
+
+    // Play the first of two queued tracks and let the second one decode
+    const playFirstOfTwo = async (player) => {
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+      AudioContextManager.getContext().currentTime = 1;
+      await player.playItem(0);
+      await flush();
+    };
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn(respondWithTrack);
+      const store = new Map();
+      localStorage.getItem.mockImplementation(key => store.get(key) ?? null);
+      localStorage.setItem.mockImplementation((key, value) => store.set(key, String(value)));
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should switch to the next item without a gap, emitting trackchange instead of ended', async () => {
+      const player = await createPlayer({ crossfade: { duration: 2, curve: 'equal-power' } });
+      const context = AudioContextManager.getContext();
+      const onTrackChange = vi.fn();
+      const onEnded = vi.fn();
+      player.on('trackchange', onTrackChange);
+      player.on('ended', onEnded);
+      await playFirstOfTwo(player);
+
+      player._draw();
+      const next = context.sources.at(-1);
+      expect(next.buffer.duration).toBe(20);
+      expect(next.startedAt).toBeCloseTo(1 + 10 - 2);
+
+      context.currentTime = 10;
+      player._draw();
+
+      expect(onEnded).not.toHaveBeenCalled();
+      expect(onTrackChange).toHaveBeenCalledWith(expect.objectContaining({
+        crossfade: 2,
+        duration: 20,
+        source: expect.objectContaining({ name: '20.mp3' })
+      }));
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getCurrentTime()).toBeCloseTo(1);
+      expect(player.getPlaylist().currentIndex).toBe(1);
+      expect(player.visualState.trackTransition).toMatchObject({ duration: 10, position: 8, length: 2000 });
+    });
+
+    it('should morph the ring from the outgoing waveform and then let go of it', async () => {
+      const player = await createPlayer();
+      const context = AudioContextManager.getContext();
+      await playFirstOfTwo(player);
+      player._draw();
+      context.currentTime = 11;
+      player._draw();
+      const { trackTransition } = player.visualState;
+      expect(trackTransition.length).toBe(player.scope.visual.TRANSITION_DURATION);
+
+      player._animationLoop(trackTransition.startTime + trackTransition.length + 100);
+
+      expect(player.visualState.trackTransition).toBeNull();
+    });
+
+    it('should unqueue the next item when it stops being next', async () => {
+      const player = await createPlayer();
+      const context = AudioContextManager.getContext();
+      await playFirstOfTwo(player);
+      player._draw();
+      const next = context.sources.at(-1);
+
+      player.dequeue(1);
+
+      expect(next.stopped).toBe(true);
+      expect(player.scope.playback.getQueuedTrack()).toBeNull();
+    });
+
+    it('should leave the track to end normally with gapless: false', async () => {
+      const player = await createPlayer({ gapless: false });
+      await playFirstOfTwo(player);
+
+      player._draw();
+
+      expect(player.scope.playback.getQueuedTrack()).toBeNull();
+    });
+
+    it('should validate the crossfade and re-queue with a new one', async () => {
+      expect(() => new SpiralWaveformPlayer({ container, gapless: 'yes' })).toThrow(ValidationError);
+      expect(() => new SpiralWaveformPlayer({ container, crossfade: { duration: 60 } })).toThrow(ValidationError);
+
+      const player = await createPlayer();
+      const context = AudioContextManager.getContext();
+      await playFirstOfTwo(player);
+      player._draw();
+      expect(context.sources.at(-1).startedAt).toBeCloseTo(11);
+
+      expect(player.setCrossfade({ duration: 4 })).toEqual({ duration: 4, curve: 'linear' });
+      expect(player.scope.playback.getQueuedTrack()).toBeNull();
+      player._draw();
+
+      expect(context.sources.at(-1).startedAt).toBeCloseTo(7);
+      expect(player.getCrossfade()).toEqual({ duration: 4, curve: 'linear' });
+      expect(() => player.setCrossfade({ curve: 'fast' })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Tests for A–B loop regions
+ * Testing loop-region.js helpers, seamless wrapping on both playback paths,
+ * the player API, keyboard and shift-drag selection, and the arc on the ring
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  validateLoopRegion,
+  wrapLoopTime,
+  timeToRingFraction,
+  ringFractionToTime
+} from '../js/loop-region.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { setAudioBuffer, setPlayingState } from '../js/audio-state.js';
+import { updatePlayheadFromAudio } from '../js/audio-controls.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+describe('A–B loop regions', () => {
+  let originalAudioContext;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+  });
+
+  afterEach(async () => {
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('loop-region.js', () => {
+    it('should validate a region against the track', () => {
+      expect(validateLoopRegion(2, 5, 60)).toEqual({ start: 2, end: 5 });
+      expect(() => validateLoopRegion(2, 5, 0)).toThrow(ValidationError);
+      expect(() => validateLoopRegion(-1, 5, 60)).toThrow(ValidationError);
+      expect(() => validateLoopRegion(2, 61, 60)).toThrow(ValidationError);
+      expect(() => validateLoopRegion(5, 2, 60)).toThrow(ValidationError);
+      expect(() => validateLoopRegion(5, 5.05, 60)).toThrow(ValidationError);
+      expect(() => validateLoopRegion('2', 5, 60)).toThrow(ValidationError);
+    });
+
+    it('should wrap positions past B back into the loop', () => {
+      const region = { start: 10, end: 14 };
+
+      expect(wrapLoopTime(12, region)).toBe(12);
+      expect(wrapLoopTime(5, region)).toBe(5);
+      expect(wrapLoopTime(15, region)).toBe(11);
+      expect(wrapLoopTime(23, region)).toBe(11);
+      expect(wrapLoopTime(15, null)).toBe(15);
+    });
+
+    it('should map times to the ring in the full, focus and blended views', () => {
+      const full = { duration: 120, playheadTime: 60, windowDuration: 30, progress: 0 };
+      const focus = { ...full, progress: 1 };
+      const halfway = { ...full, progress: 0.5 };
+
+      expect(timeToRingFraction(30, full)).toBe(0.25);
+      expect(timeToRingFraction(75, focus)).toBe(0.5);
+      // Outside the focus window collapses onto its edges
+      expect(timeToRingFraction(30, focus)).toBe(0);
+      expect(timeToRingFraction(100, focus)).toBe(1);
+
+      [full, focus, halfway].forEach(view => {
+        expect(timeToRingFraction(ringFractionToTime(0.4, view), view)).toBeCloseTo(0.4);
+      });
+    });
+  });
+
+  describe('AudioPlayback buffer path', () => {
+    let scope;
+    let context;
+
+    beforeEach(async () => {
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      context = AudioContextManager.getContext();
+      // getCurrentTime() treats a start time of 0 as "not started"
+      context.currentTime = 1;
+      const buffer = new AudioBuffer({ numberOfChannels: 1, length: 44100 * 60, sampleRate: 44100 });
+      setAudioBuffer(buffer, new Float32Array(16), 1, scope.stateManager, null);
+      await scope.playback.load(buffer);
+    });
+
+    afterEach(() => {
+      scope.playback.dispose();
+    });
+
+    it('should loop the source between A and B and report the wrapped time', async () => {
+      scope.playback.setLoopRegion({ start: 10, end: 14 });
+
+      await scope.playback.play(8);
+      const source = context.sources.at(-1);
+      expect(source).toMatchObject({ loop: true, loopStart: 10, loopEnd: 14 });
+
+      context.currentTime += 7;
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(11);
+    });
+
+    it('should start at A when asked to play at or past B', async () => {
+      scope.playback.setLoopRegion({ start: 10, end: 14 });
+
+      await scope.playback.play(20);
+
+      expect(context.sources.at(-1).offset).toBe(10);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(10);
+    });
+
+    it('should keep the position continuous when the loop is cleared mid-play', async () => {
+      scope.playback.setLoopRegion({ start: 10, end: 14 });
+      await scope.playback.play(10);
+      context.currentTime += 5;
+
+      scope.playback.setLoopRegion(null);
+      expect(context.sources.at(-1).loop).toBe(false);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(11);
+
+      context.currentTime += 5;
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(16);
+    });
+
+    it('should jump back to A when the new loop ends before the playhead', async () => {
+      await scope.playback.play(30);
+      context.currentTime += 2;
+
+      scope.playback.setLoopRegion({ start: 5, end: 10 });
+      await vi.waitFor(() => expect(context.sources.at(-1).offset).toBe(5));
+
+      expect(context.sources.at(-1)).toMatchObject({ loop: true, loopStart: 5, loopEnd: 10 });
+    });
+  });
+
+  describe('AudioPlayback media element path', () => {
+    let scope;
+    let media;
+
+    beforeEach(() => {
+      scope = new PlayerScope();
+      media = document.createElement('audio');
+      Object.defineProperty(media, 'duration', { value: 12, configurable: true });
+      scope.playback.setMediaElement(media);
+      const buffer = new AudioBuffer({ numberOfChannels: 1, length: 8000 * 12, sampleRate: 8000 });
+      setAudioBuffer(buffer, new Float32Array(16), 1, scope.stateManager, media);
+      setPlayingState(true, scope.stateManager);
+      media.play();
+    });
+
+    it('should send the element from B back to A on the next frame', () => {
+      scope.playback.setLoopRegion({ start: 2, end: 5 });
+
+      media.currentTime = 4.5;
+      updatePlayheadFromAudio(scope);
+      expect(media.currentTime).toBe(4.5);
+
+      media.currentTime = 5.02;
+      updatePlayheadFromAudio(scope);
+      expect(media.currentTime).toBe(2);
+      expect(scope.stateManager.get('audio.currentTime')).toBe(2);
+    });
+
+    it('should wrap a loop that ends at the end of the track instead of ending', () => {
+      const onEnded = vi.fn();
+      scope.events.on('ended', onEnded);
+      scope.playback.setLoopRegion({ start: 8, end: 12 });
+
+      media.currentTime = 11.95;
+      updatePlayheadFromAudio(scope);
+
+      expect(media.currentTime).toBe(8);
+      expect(onEnded).not.toHaveBeenCalled();
+      expect(scope.stateManager.get('audio.isPlaying')).toBe(true);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async () => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false });
+      players.push(player);
+      await player.ready;
+      // The canvas mock has no roundRect (used for the time label once the playhead moves)
+      player.ctx.roundRect ??= () => {};
+      await player.load({ peaks: [0.5, 0.2, 0.8], duration: 60 });
+      return player;
+    };
+
+    const press = (key) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    beforeEach(() => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should set, report and clear the region with loopregionchange events', async () => {
+      const player = await createPlayer();
+      const onChange = vi.fn();
+      player.on('loopregionchange', onChange);
+
+      expect(player.setLoopRegion(10, 20)).toEqual({ start: 10, end: 20 });
+      expect(player.getLoopRegion()).toEqual({ start: 10, end: 20 });
+
+      player.clearLoopRegion();
+      player.clearLoopRegion();
+
+      expect(player.getLoopRegion()).toBeNull();
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange.mock.calls[0][0]).toMatchObject({ loopRegion: { start: 10, end: 20 } });
+      expect(onChange.mock.calls[1][0]).toMatchObject({ loopRegion: null });
+    });
+
+    it('should reject regions outside the track or in the wrong order', async () => {
+      const player = await createPlayer();
+
+      expect(() => player.setLoopRegion(10, 70)).toThrow(ValidationError);
+      expect(() => player.setLoopRegion(20, 10)).toThrow(ValidationError);
+      expect(() => player.setLoopPoint('c')).toThrow(ValidationError);
+      expect(() => player.setLoopPoint('a', -1)).toThrow(ValidationError);
+      expect(player.getLoopRegion()).toBeNull();
+    });
+
+    it('should mark A and B from the keyboard and clear with backslash', async () => {
+      const player = await createPlayer();
+
+      player.seekTo(12);
+      press('[');
+      expect(player.getLoopRegion()).toBeNull();
+
+      player.seekTo(18);
+      press(']');
+      expect(player.getLoopRegion()).toEqual({ start: 12, end: 18 });
+
+      // Moving A keeps B
+      player.seekTo(14);
+      press('[');
+      expect(player.getLoopRegion()).toEqual({ start: 14, end: 18 });
+
+      press('\\');
+      expect(player.getLoopRegion()).toBeNull();
+    });
+
+    it('should loop from the start of the track when only B is marked', async () => {
+      const player = await createPlayer();
+
+      expect(player.setLoopPoint('b', 8)).toEqual({ start: 0, end: 8 });
+      expect(player.setLoopPoint('b', 0.05)).toBeNull();
+    });
+
+    it('should select a region by shift-dragging along the ring', async () => {
+      const player = await createPlayer();
+      const canvas = player.canvas;
+      canvas.width = 400;
+      canvas.height = 400;
+      canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 400 });
+      // Point on the ring (radius 110 of 400px), clockwise from 12 o'clock
+      const at = (type, turn, shiftKey = true) => canvas.dispatchEvent(new MouseEvent(type, {
+        clientX: 200 + 110 * Math.sin(turn * Math.PI * 2),
+        clientY: 200 - 110 * Math.cos(turn * Math.PI * 2),
+        shiftKey
+      }));
+
+      at('mousedown', 0.5);
+      at('mousemove', 0.25);
+      expect(player.visualState.loopSelection).toMatchObject({ start: 15, end: 30 });
+      expect(player.getLoopRegion()).toBeNull();
+
+      at('mouseup', 0.25);
+
+      expect(player.getLoopRegion().start).toBeCloseTo(15);
+      expect(player.getLoopRegion().end).toBeCloseTo(30);
+      expect(player.visualState.loopSelection).toBeNull();
+      expect(player.scope.playback.isScrubbing()).toBe(false);
+    });
+
+    it('should draw the region as an arc in the full and focus views', async () => {
+      const player = await createPlayer();
+      player.canvas.width = 400;
+      player.canvas.height = 400;
+      const outerRadius = 400 * 0.15 + 400 * 0.25;
+      player.setLoopRegion(15, 30);
+
+      player.ctx.arc.mockClear();
+      player._draw();
+      expect(player.ctx.arc).toHaveBeenCalledWith(200, 200, outerRadius, 0, Math.PI / 2);
+
+      // Focus view: a 30s window starting at the playhead
+      player.seekTo(20);
+      player.visualState.animationProgress = 1;
+      player.ctx.arc.mockClear();
+      player._draw();
+      const [, , radius, start, end] = player.ctx.arc.mock.calls[0];
+      expect(radius).toBe(outerRadius);
+      expect(start).toBeCloseTo(-Math.PI / 2);
+      expect(end).toBeCloseTo(-Math.PI / 2 + (10 / 30) * Math.PI * 2);
+    });
+
+    it('should drop the region when another track loads', async () => {
+      const player = await createPlayer();
+      player.setLoopRegion(10, 20);
+      player.setLoopPoint('a', 30);
+
+      await player.load({ peaks: [0.5], duration: 40 });
+
+      expect(player.getLoopRegion()).toBeNull();
+      expect(player.setLoopPoint('b', 5)).toEqual({ start: 0, end: 5 });
+    });
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Tests for loudness normalization
+ * Testing the BS.1770 loudness and true-peak measurement, the normalization gain,
+ * the per-track level in the playback graph, and the player API, cache and panel
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  NormalizationDefaults,
+  validateNormalization,
+  updateNormalization,
+  isLoudnessMeasurement,
+  measureLoudness,
+  measureLoudnessAsync,
+  getNormalizationGain,
+  dbToGain
+} from '../js/loudness.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer, getAudioState } from '../js/audio-state.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { getResumeKey } from '../js/resume-position.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+// AudioBuffer (the setup file's stand-in) holding real samples
+class SampleBuffer extends AudioBuffer {
+  constructor(channels, sampleRate = 48000) {
+    super({ numberOfChannels: channels.length, length: channels[0].length, sampleRate });
+    this.channels = channels;
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+const sine = (amplitude, frequency, seconds, sampleRate = 48000, phase = 0) =>
+  Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate + phase));
+
+// -20 dBFS 1 kHz stereo tone: -20 LUFS by definition (EBU Tech 3341)
+const createTone = (amplitude = 0.1, seconds = 5) => {
+  const samples = sine(amplitude, 1000, seconds);
+  return new SampleBuffer([samples, samples]);
+};
+
+// The gain between the equalizer and the volume gain (the volume gain feeds the destination)
+const getLevelNode = (context) => {
+  const volume = context.gains.find(gain => gain.connections.includes(context.destination));
+  return context.gains.find(gain => gain.connections.includes(volume));
+};
+
+describe('Loudness', () => {
+  let originalAudioContext;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+  });
+
+  afterEach(async () => {
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('measurement', () => {
+    it('should measure the BS.1770 reference tones', () => {
+      expect(measureLoudness(createTone()).integrated).toBeCloseTo(-20, 1);
+      expect(measureLoudness(new SampleBuffer([sine(1, 997, 5)])).integrated).toBeCloseTo(-3.01, 1);
+      // The K-weighting filters are derived for the buffer's own sample rate
+      const tone = sine(0.1, 1000, 5, 44100);
+      expect(measureLoudness(new SampleBuffer([tone, tone], 44100)).integrated).toBeCloseTo(-20, 1);
+    });
+
+    it('should gate out silence', () => {
+      const tone = sine(0.1, 1000, 10);
+      tone.fill(0, 2 * 48000);
+
+      // Ungated, 8 s of silence would pull it down to -27 LUFS (only blocks straddling the end of the tone count)
+      expect(measureLoudness(new SampleBuffer([tone, tone])).integrated).toBeCloseTo(-20, 0);
+      expect(measureLoudness(new SampleBuffer([new Float32Array(48000)]))).toEqual({ integrated: null, truePeak: null });
+    });
+
+    it('should find peaks between the samples', () => {
+      // A quarter-rate sine sampled at 45° never lands on its crests: samples at -3 dBFS, true peak at 0 dBTP
+      const samples = sine(1, 12000, 1, 48000, Math.PI / 4);
+
+      const { truePeak } = measureLoudness(new SampleBuffer([samples]));
+
+      expect(truePeak).toBeGreaterThan(-0.5);
+      expect(truePeak).toBeLessThan(0.5);
+      expect(measureLoudness(createTone(0.5)).truePeak).toBeCloseTo(-6.02, 1);
+    });
+
+    it('should measure a track shorter than one block', () => {
+      const tone = sine(0.1, 1000, 0.2);
+      expect(measureLoudness(new SampleBuffer([tone, tone])).integrated).toBeCloseTo(-20, 0);
+    });
+
+    it('should find peaks at the very ends of the track', () => {
+      const samples = new Float32Array(4800);
+      samples[0] = 0.5;
+      samples[samples.length - 1] = -0.25;
+      expect(measureLoudness(new SampleBuffer([samples])).truePeak).toBeCloseTo(-6.02, 1);
+    });
+
+    it('should measure in slices, giving the same result, until stopped', async () => {
+      // Long enough for several slices
+      const tone = createTone(0.25, 25);
+      await expect(measureLoudnessAsync(tone)).resolves.toEqual(measureLoudness(tone));
+
+      const controller = new AbortController();
+      const measuring = measureLoudnessAsync(tone, { signal: controller.signal });
+      controller.abort();
+      await expect(measuring).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should recognize measurements read back from storage', () => {
+      expect(isLoudnessMeasurement({ integrated: -14.2, truePeak: -0.8 })).toBe(true);
+      expect(isLoudnessMeasurement({ integrated: null, truePeak: null })).toBe(true);
+      expect(isLoudnessMeasurement({ integrated: '-14' })).toBe(false);
+      expect(isLoudnessMeasurement(null)).toBe(false);
+    });
+  });
+
+  describe('normalization gain', () => {
+    const settings = { target: -16, ceiling: -1 };
+
+    it('should bring the track to the target', () => {
+      expect(getNormalizationGain({ integrated: -20, truePeak: -10 }, settings)).toBeCloseTo(4);
+      expect(getNormalizationGain({ integrated: -8, truePeak: -0.5 }, settings)).toBeCloseTo(-8);
+    });
+
+    it('should keep the true peak under the ceiling and limit the boost', () => {
+      expect(getNormalizationGain({ integrated: -20, truePeak: -3 }, settings)).toBeCloseTo(2);
+      expect(getNormalizationGain({ integrated: -60, truePeak: -40 }, settings)).toBe(CONFIG.LOUDNESS_MAX_BOOST);
+    });
+
+    it('should leave silent and unmeasured tracks alone', () => {
+      expect(getNormalizationGain({ integrated: null, truePeak: null }, settings)).toBe(0);
+      expect(getNormalizationGain(null, settings)).toBe(0);
+      expect(dbToGain(0)).toBe(1);
+      expect(dbToGain(-6)).toBeCloseTo(0.501, 3);
+    });
+
+    it('should validate and merge settings changes', () => {
+      expect(updateNormalization(NormalizationDefaults, { enabled: true, extra: 1 })).toEqual({ enabled: true, target: -16, ceiling: -1 });
+      expect(updateNormalization(NormalizationDefaults, { target: -23 }).target).toBe(-23);
+      expect(() => validateNormalization('on')).toThrow(ValidationError);
+      expect(() => validateNormalization({ enabled: 1 })).toThrow(ValidationError);
+      expect(() => validateNormalization({ target: CONFIG.LOUDNESS_TARGET_MAX + 1 })).toThrow(ValidationError);
+      expect(() => validateNormalization({ ceiling: 0.5 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('AudioPlayback track level', () => {
+    let scope;
+    let level;
+
+    const loadTrack = async (audioBuffer) => {
+      setAudioBuffer(audioBuffer, new Float32Array(16), 1, scope.stateManager, null);
+      await scope.playback.load(audioBuffer);
+    };
+
+    beforeEach(async () => {
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      scope.playback.setFadeDuration(0);
+      const context = AudioContextManager.getContext();
+      // getCurrentTime() treats a start time of 0 as "not started"
+      context.currentTime = 1;
+      level = getLevelNode(context).gain;
+    });
+
+    afterEach(() => {
+      scope.playback.dispose();
+    });
+
+    it('should glide to the level of each track as it loads', async () => {
+      const first = new AudioBuffer({ numberOfChannels: 1, length: 20 * 8000, sampleRate: 8000 });
+      const second = new AudioBuffer({ numberOfChannels: 1, length: 20 * 8000, sampleRate: 8000 });
+      scope.playback.setTrackGain(first, 0.5);
+
+      await loadTrack(first);
+      expect(level.events.at(-1)).toEqual(['linear', 0.5, 1 + CONFIG.LOUDNESS_GAIN_RAMP]);
+
+      scope.playback.setTrackGain(first, 0.25);
+      expect(level.events.at(-1)).toEqual(['linear', 0.25, 1 + CONFIG.LOUDNESS_GAIN_RAMP]);
+
+      await loadTrack(second);
+      expect(level.events.at(-1)).toEqual(['linear', 1, 1 + CONFIG.LOUDNESS_GAIN_RAMP]);
+      expect(scope.playback.getTrackGain(first)).toBe(0.25);
+    });
+
+    it('should hand over to the queued track\'s level across the crossfade', async () => {
+      const current = new AudioBuffer({ numberOfChannels: 1, length: 20 * 8000, sampleRate: 8000 });
+      const next = new AudioBuffer({ numberOfChannels: 1, length: 8 * 8000, sampleRate: 8000 });
+      scope.playback.setTrackGain(current, 0.5);
+      scope.playback.setTrackGain(next, 2);
+      await loadTrack(current);
+      await scope.playback.play(5);
+
+      scope.playback.queueNext({ audioBuffer: next }, { crossfade: 3 });
+      expect(level.events.slice(-2)).toEqual([['set', 0.5, 13], ['linear', 2, 16]]);
+
+      scope.playback.queueNext({ audioBuffer: next });
+      expect(level.events.at(-1)).toEqual(['set', 2, 16]);
+
+      scope.playback.cancelQueued();
+      expect(level.events.at(-1)).toEqual(['linear', 0.5, 1 + CONFIG.LOUDNESS_GAIN_RAMP]);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    const getLevel = () => getLevelNode(AudioContextManager.getContext()).gain.events.at(-1)?.[1];
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should measure each track as it loads and save the measurement', async () => {
+      const player = await createPlayer();
+      expect(player.getLoudness()).toBeNull();
+
+      const tone = createTone();
+      await player.load(tone, { name: 'tone.wav' });
+
+      const loudness = player.getLoudness();
+      expect(loudness.integrated).toBeCloseTo(-20, 1);
+      expect(loudness.truePeak).toBeCloseTo(-20, 1);
+      expect(loudness).toMatchObject({ applied: false });
+      expect(loudness.gain).toBeCloseTo(4, 1);
+      // Off by default: measured, not applied
+      expect(getLevel()).toBe(1);
+      expect(SettingsManager.get('loudness')[getResumeKey(null, tone)].integrated).toBeCloseTo(-20, 1);
+    });
+
+    it('should reuse a saved measurement instead of measuring again', async () => {
+      const tone = createTone();
+      SettingsManager.update('loudness', { [getResumeKey(null, tone)]: { integrated: -30, truePeak: -12 } });
+      const player = await createPlayer({ normalization: { enabled: true } });
+
+      await player.load(tone, { name: 'tone.wav' });
+
+      expect(player.getLoudness()).toEqual({ integrated: -30, truePeak: -12, gain: 11, applied: true });
+      expect(getLevel()).toBeCloseTo(dbToGain(11));
+    });
+
+    it('should measure different tracks with the same name and length apart', async () => {
+      const player = await createPlayer();
+
+      await player.load(createTone(0.1), { name: 'take1.wav' });
+      expect(player.getLoudness().integrated).toBeCloseTo(-20, 1);
+
+      await player.load(createTone(0.5), { name: 'take1.wav' });
+      expect(player.getLoudness().integrated).toBeCloseTo(-6.02, 1);
+      expect(Object.keys(SettingsManager.get('loudness'))).toHaveLength(2);
+    });
+
+    it('should not measure the placeholder waveform of a URL it could not fetch', async () => {
+      const player = await createPlayer({ normalization: { enabled: true } });
+      const originalFetch = global.fetch;
+      global.fetch = async () => { throw new Error('CORS'); };
+      // The loader's hidden <audio>, whose canplaythrough is fired by hand
+      let audioElement = null;
+      const createElement = Document.prototype.createElement;
+      vi.spyOn(document, 'createElement').mockImplementation(function (tag, ...rest) {
+        const element = createElement.call(document, tag, ...rest);
+        if (tag === 'audio') audioElement = element;
+        return element;
+      });
+
+      try {
+        const loading = player.loadFromUrl('https://example.com/blocked.mp3');
+        await vi.waitFor(() => expect(audioElement?.oncanplaythrough).toBeTypeOf('function'));
+        audioElement.oncanplaythrough();
+        await loading;
+      } finally {
+        global.fetch = originalFetch;
+      }
+
+      expect(player.getDuration()).toBe(30);
+      expect(player.getLoudness()).toBeNull();
+      expect(SettingsManager.get('loudness') ?? {}).toEqual({});
+      const { audioBuffer } = getAudioState(player.scope.stateManager);
+      expect(player.scope.playback.getTrackGain(audioBuffer)).toBe(1);
+    });
+
+    it('should apply, limit and save normalization changes with loudnesschange events', async () => {
+      const player = await createPlayer();
+      await player.load(createTone(0.5), { name: 'loud.wav' });
+      const onChange = vi.fn();
+      player.on('loudnesschange', onChange);
+
+      expect(player.setNormalization({ enabled: true })).toEqual({ enabled: true, target: -16, ceiling: -1 });
+      expect(getLevel()).toBeCloseTo(dbToGain(-16 + 6.02), 2);
+
+      // +1 dB would reach -5 LUFS, but the -8 dBTP ceiling leaves room for -2 dB only
+      player.setNormalization({ target: -5, ceiling: -8 });
+      expect(player.getLoudness().gain).toBeCloseTo(-1.98, 1);
+
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange.mock.calls[1][0]).toMatchObject({ type: 'loudnesschange', normalization: { target: -5, ceiling: -8 } });
+      expect(SettingsManager.get('normalization')).toEqual({ enabled: true, target: -5, ceiling: -8 });
+
+      expect(() => player.setNormalization({ target: -60 })).toThrow(ValidationError);
+      expect(player.getNormalization().target).toBe(-5);
+    });
+
+    it('should restore the saved normalization unless it is passed as an option', async () => {
+      SettingsManager.update('normalization', { enabled: true, target: -23, ceiling: -2 });
+      expect((await createPlayer()).getNormalization()).toEqual({ enabled: true, target: -23, ceiling: -2 });
+      expect((await createPlayer({ normalization: { target: -14 } })).getNormalization()).toEqual({ enabled: false, target: -14, ceiling: -1 });
+
+      SettingsManager.update('normalization', { enabled: 'yes' });
+      expect((await createPlayer()).getNormalization()).toEqual(NormalizationDefaults);
+      expect(() => new SpiralWaveformPlayer({ container, normalization: { ceiling: 3 } })).toThrow(ValidationError);
+    });
+
+    it('should show the track and drive normalization from its panel', async () => {
+      const player = await createPlayer({ controls: { trackInfo: true } });
+      const { toggle, panel, values, enabled, target } = player.trackInfoUI;
+      expect(values.integrated.textContent).toBe('—');
+
+      toggle.click();
+      expect(panel.hidden).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+      await player.load(createTone(), { name: 'tone.wav' });
+      expect(values.name.textContent).toBe('tone.wav');
+      expect(values.channels.textContent).toBe('2');
+      expect(values.sampleRate.textContent).toBe('48.0 kHz');
+      expect(values.integrated.textContent).toBe('-20.0 LUFS');
+      expect(values.gain.textContent).toBe('+4.0 dB (off)');
+
+      enabled.checked = true;
+      enabled.dispatchEvent(new Event('change', { bubbles: true }));
+      target.value = '-23';
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(player.getNormalization()).toMatchObject({ enabled: true, target: -23 });
+      expect(values.gain.textContent).toBe('-3.0 dB');
+
+      target.value = '-90';
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(player.getNormalization().target).toBe(-23);
+      expect(target.value).toBe('-23');
+    });
+  });
+});
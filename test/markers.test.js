@@ -0,0 +1,386 @@
+/**
+ * Tests for markers (named cue points)
+ * Testing markers.js (list, snapping, JSON/Audacity text), and the player API,
+ * per-track persistence, keyboard jumps, snapping drags and drawing on the ring
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MarkerList,
+  MarkerFormats,
+  getTrackKey,
+  snapToMarker,
+  serializeMarkers,
+  parseMarkers
+} from '../js/markers.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { CONFIG } from '../js/utils.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+describe('Markers', () => {
+  describe('MarkerList', () => {
+    let markers;
+
+    beforeEach(() => {
+      markers = new MarkerList();
+      markers.reset(60);
+    });
+
+    it('should keep markers in time order with default names and colors', () => {
+      markers.add(30);
+      markers.add(10, { name: 'Intro', color: '#ff7043' });
+
+      expect(markers.getAll()).toEqual([
+        { id: 2, time: 10, name: 'Intro', color: '#ff7043' },
+        { id: 1, time: 30, name: 'Marker 1', color: CONFIG.MARKER_COLOR }
+      ]);
+    });
+
+    it('should reject times outside the track and bad names or colors', () => {
+      expect(() => markers.add(61)).toThrow(ValidationError);
+      expect(() => markers.add(undefined)).toThrow(ValidationError);
+      expect(() => markers.add(5, { name: 'x'.repeat(101) })).toThrow(ValidationError);
+      expect(() => markers.add(5, { color: 42 })).toThrow(ValidationError);
+      expect(markers.length).toBe(0);
+    });
+
+    it('should move, rename and remove markers by id', () => {
+      const first = markers.add(10);
+      markers.add(20);
+
+      expect(markers.update(first.id, { time: 40, name: 'Outro' })).toMatchObject({ time: 40, name: 'Outro' });
+      expect(markers.getAll().map(m => m.time)).toEqual([20, 40]);
+      expect(markers.update(99, { name: 'Nope' })).toBeNull();
+
+      expect(markers.remove(first.id)).toBe(true);
+      expect(markers.remove(first.id)).toBe(false);
+      expect(markers.length).toBe(1);
+    });
+
+    it('should find the next marker and the previous one outside the grace period', () => {
+      markers.addAll([{ time: 10 }, { time: 20 }, { time: 30 }]);
+
+      expect(markers.next(10).time).toBe(20);
+      expect(markers.next(30)).toBeNull();
+      // Just past 20 - stepping back skips it
+      expect(markers.previous(20.2).time).toBe(10);
+      expect(markers.previous(25).time).toBe(20);
+      expect(markers.previous(10)).toBeNull();
+    });
+
+    it('should leave the list unchanged when a reset or addAll entry is invalid', () => {
+      markers.add(10);
+
+      expect(() => markers.reset(60, [{ time: 5 }, { time: 90 }])).toThrow(ValidationError);
+      expect(() => markers.addAll([{ time: 5 }, { name: 'no time' }])).toThrow(ValidationError);
+      expect(markers.getAll().map(m => m.time)).toEqual([10]);
+    });
+  });
+
+  describe('markers.js helpers', () => {
+    it('should key tracks by name and duration', () => {
+      expect(getTrackKey('song.mp3', 183.456)).toBe('song.mp3|183.46');
+      expect(getTrackKey('', 10)).toBe('Untitled|10.00');
+    });
+
+    it('should snap to the closest marker within the tolerance', () => {
+      const markers = [{ time: 10 }, { time: 10.8 }];
+
+      expect(snapToMarker(10.3, markers, 0.5)).toBe(10);
+      expect(snapToMarker(10.5, markers, 0.5)).toBe(10.8);
+      expect(snapToMarker(12, markers, 0.5)).toBe(12);
+      expect(snapToMarker(12, null, 0.5)).toBe(12);
+    });
+
+    it('should round-trip JSON and Audacity label text', () => {
+      const markers = [
+        { id: 1, time: 1.5, name: 'Verse', color: '#ff7043' },
+        { id: 2, time: 42.25, name: 'Drop\tzone', color: '#4fc3f7' }
+      ];
+
+      const json = serializeMarkers(markers, MarkerFormats.JSON);
+      expect(parseMarkers(json)).toEqual([
+        { time: 1.5, name: 'Verse', color: '#ff7043' },
+        { time: 42.25, name: 'Drop\tzone', color: '#4fc3f7' }
+      ]);
+
+      const labels = serializeMarkers(markers, MarkerFormats.AUDACITY);
+      expect(labels).toBe('1.500000\t1.500000\tVerse\n42.250000\t42.250000\tDrop zone\n');
+      expect(parseMarkers(labels)).toEqual([
+        { time: 1.5, name: 'Verse' },
+        { time: 42.25, name: 'Drop zone' }
+      ]);
+    });
+
+    it('should read Audacity range labels and skip spectral selection lines', () => {
+      const text = '3.000000\t8.000000\tChorus\r\n\\\t100.0\t2000.0\r\n9.5\t9.5\t\r\n';
+
+      expect(parseMarkers(text, MarkerFormats.AUDACITY)).toEqual([
+        { time: 3, name: 'Chorus' },
+        { time: 9.5, name: '' }
+      ]);
+    });
+
+    it('should reject malformed text and unknown formats', () => {
+      expect(() => parseMarkers('[{"time": 1')).toThrow(ValidationError);
+      expect(() => parseMarkers('[1, 2]')).toThrow(ValidationError);
+      expect(() => parseMarkers('intro\t1\tx')).toThrow(ValidationError);
+      expect(() => parseMarkers(null)).toThrow(ValidationError);
+      expect(() => serializeMarkers([], 'csv')).toThrow(ValidationError);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let originalAudioContext;
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      // The canvas mock has no roundRect (used for the time label once the playhead moves)
+      player.ctx.roundRect ??= () => {};
+      await player.load({ peaks: [0.5, 0.2, 0.8], duration: 60 }, { name: 'song.wav' });
+      return player;
+    };
+
+    const press = (key, init = {}) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...init }));
+
+    // Point on the ring (radius 110 of a 400px canvas), clockwise from 12 o'clock
+    const pointer = (player, type, turn, init = {}) => {
+      const canvas = player.canvas;
+      canvas.width = 400;
+      canvas.height = 400;
+      canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 400 });
+      const event = new MouseEvent(type, {
+        clientX: 200 + 110 * Math.sin(turn * Math.PI * 2),
+        clientY: 200 - 110 * Math.cos(turn * Math.PI * 2),
+        cancelable: true,
+        ...init
+      });
+      canvas.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(async () => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should add markers at the playhead with markerschange events', async () => {
+      const player = await createPlayer();
+      const onChange = vi.fn();
+      player.on('markerschange', onChange);
+
+      player.seekTo(12);
+      const marker = player.addMarker(undefined, { name: 'Hook' });
+
+      expect(marker).toMatchObject({ time: 12, name: 'Hook' });
+      expect(player.getMarkers()).toEqual([marker]);
+      expect(player.visualState.markers).toEqual([marker]);
+      expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ type: 'markerschange', markers: [marker] }));
+
+      player.updateMarker(marker.id, { color: '#ff0000' });
+      expect(player.getMarkers()[0].color).toBe('#ff0000');
+
+      expect(player.removeMarker(marker.id)).toBe(true);
+      expect(player.getMarkers()).toEqual([]);
+      expect(onChange).toHaveBeenCalledTimes(3);
+    });
+
+    it('should need a loaded track', async () => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false });
+      players.push(player);
+      await player.ready;
+
+      expect(() => player.addMarker(0)).toThrow(ValidationError);
+      expect(() => player.importMarkers('[]')).toThrow(ValidationError);
+    });
+
+    it('should save markers per track and restore them when the track loads again', async () => {
+      const player = await createPlayer();
+      player.addMarker(5, { name: 'Start' });
+      player.addMarker(50);
+
+      expect(SettingsManager.get('markers')).toEqual({
+        'song.wav|60.00': [
+          { time: 5, name: 'Start', color: CONFIG.MARKER_COLOR },
+          { time: 50, name: 'Marker 2', color: CONFIG.MARKER_COLOR }
+        ]
+      });
+
+      // Same name, different length: another track
+      await player.load({ peaks: [0.5], duration: 40 }, { name: 'song.wav' });
+      expect(player.getMarkers()).toEqual([]);
+      expect(player.visualState.markers).toEqual([]);
+
+      await player.load({ peaks: [0.5], duration: 60 }, { name: 'song.wav' });
+      expect(player.getMarkers().map(m => m.name)).toEqual(['Start', 'Marker 2']);
+
+      player.clearMarkers();
+      expect(SettingsManager.get('markers')).toEqual({});
+    });
+
+    it('should keep only the most recently edited tracks', async () => {
+      const saved = {};
+      for (let i = 0; i < CONFIG.MARKER_SAVED_TRACKS; i++) {
+        saved[`track${i}.wav|60.00`] = [{ time: 1, name: 'A', color: '#ffffff' }];
+      }
+      SettingsManager.update('markers', saved);
+
+      const player = await createPlayer();
+      player.addMarker(1);
+
+      const keys = Object.keys(SettingsManager.get('markers'));
+      expect(keys).toHaveLength(CONFIG.MARKER_SAVED_TRACKS);
+      expect(keys).not.toContain('track0.wav|60.00');
+      expect(keys[keys.length - 1]).toBe('song.wav|60.00');
+    });
+
+    it('should ignore a malformed saved list', async () => {
+      SettingsManager.update('markers', { 'song.wav|60.00': [{ time: 500 }] });
+
+      const player = await createPlayer();
+
+      expect(player.getMarkers()).toEqual([]);
+    });
+
+    it('should import and export JSON and Audacity labels', async () => {
+      const player = await createPlayer();
+      player.addMarker(2, { name: 'Intro' });
+
+      const added = player.importMarkers('10\t12\tVerse\n20\t20\tChorus\n');
+      expect(added.map(m => m.name)).toEqual(['Verse', 'Chorus']);
+      expect(player.exportMarkers(MarkerFormats.AUDACITY)).toBe(
+        '2.000000\t2.000000\tIntro\n10.000000\t10.000000\tVerse\n20.000000\t20.000000\tChorus\n'
+      );
+
+      const json = player.exportMarkers();
+      player.importMarkers('[{"time": 30, "name": "Only", "color": "#00ff00"}]', { replace: true });
+      expect(player.getMarkers()).toMatchObject([{ time: 30, name: 'Only', color: '#00ff00' }]);
+
+      // A marker past the end rejects the whole import
+      expect(() => player.importMarkers('[{"time": 5}, {"time": 61}]')).toThrow(ValidationError);
+      expect(player.getMarkers()).toHaveLength(1);
+
+      player.importMarkers(json, { format: MarkerFormats.JSON, replace: true });
+      expect(player.getMarkers().map(m => m.time)).toEqual([2, 10, 20]);
+    });
+
+    it('should add a marker with Shift+M and jump between markers with Shift+arrows', async () => {
+      const player = await createPlayer();
+      player.seekTo(10);
+      press('M', { shiftKey: true });
+      player.seekTo(40);
+      press('M', { shiftKey: true });
+      expect(player.getMarkers().map(m => m.time)).toEqual([10, 40]);
+
+      player.seekTo(0);
+      press('ArrowRight', { shiftKey: true });
+      expect(player.getCurrentTime()).toBeCloseTo(10);
+      press('ArrowRight', { shiftKey: true });
+      expect(player.getCurrentTime()).toBeCloseTo(40);
+      press('ArrowRight', { shiftKey: true });
+      expect(player.getCurrentTime()).toBeCloseTo(40);
+      press('ArrowLeft', { shiftKey: true });
+      expect(player.getCurrentTime()).toBeCloseTo(10);
+
+      // Plain arrows still seek by 5 seconds and m still mutes
+      press('ArrowRight');
+      expect(player.getCurrentTime()).toBeCloseTo(15);
+      press('m');
+      expect(player.getMarkers()).toHaveLength(2);
+    });
+
+    it('should add a marker where the ring is right-clicked', async () => {
+      const player = await createPlayer();
+
+      const event = pointer(player, 'contextmenu', 0.25);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(player.getMarkers()).toHaveLength(1);
+      expect(player.getMarkers()[0].time).toBeCloseTo(15);
+    });
+
+    it('should snap scrub drags to a nearby marker unless Alt is held', async () => {
+      const player = await createPlayer();
+      player.addMarker(15);
+
+      // Scrubbing turns the ring under the playhead: a quarter turn (and a bit, 15.3s)
+      // counterclockwise moves forward and ends on the marker
+      pointer(player, 'mousedown', 0);
+      pointer(player, 'mousemove', -0.255);
+      expect(player.visualState.dragCurrentPosition).toBeCloseTo(0.25);
+      pointer(player, 'mouseup', -0.255);
+      expect(player.getCurrentTime()).toBeCloseTo(15);
+
+      player.seekTo(0);
+      pointer(player, 'mousedown', 0);
+      pointer(player, 'mouseup', -0.255, { altKey: true });
+      expect(player.getCurrentTime()).toBeCloseTo(15.3);
+    });
+
+    it('should snap shift-drag loop selections to markers', async () => {
+      const player = await createPlayer();
+      player.addMarker(30);
+
+      pointer(player, 'mousedown', 0.25, { shiftKey: true });
+      pointer(player, 'mousemove', 0.505, { shiftKey: true });
+      pointer(player, 'mouseup', 0.505, { shiftKey: true });
+
+      expect(player.getLoopRegion().start).toBeCloseTo(15);
+      expect(player.getLoopRegion().end).toBe(30);
+    });
+
+    it('should draw each marker as a tick with its name', async () => {
+      const player = await createPlayer();
+      player.canvas.width = 400;
+      player.canvas.height = 400;
+      player.addMarker(15, { name: 'Drop', color: '#ff7043' });
+
+      player.ctx.fillText.mockClear();
+      player._draw();
+
+      const outerRadius = 400 * 0.15 + 400 * 0.25;
+      const [text, x, y] = player.ctx.fillText.mock.calls.find(([label]) => label === 'Drop');
+      expect(text).toBe('Drop');
+      expect(x).toBeCloseTo(200 + outerRadius + 14);
+      expect(y).toBeCloseTo(200);
+    });
+
+    it('should list markers in the markers control', async () => {
+      const player = await createPlayer({ controls: { markers: true } });
+      const root = player.markersUI.root;
+      expect(root.hidden).toBe(false);
+
+      root.querySelector('[data-action="add"]').click();
+      player.addMarker(30, { name: 'Bridge' });
+      expect(root.querySelectorAll('.markers-item')).toHaveLength(2);
+
+      const name = root.querySelectorAll('.markers-item-name')[1];
+      name.value = 'Solo';
+      name.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(player.getMarkers()[1].name).toBe('Solo');
+
+      root.querySelectorAll('[data-action="seek"]')[1].click();
+      expect(player.getCurrentTime()).toBeCloseTo(30);
+
+      root.querySelector('[data-action="remove"]').click();
+      expect(player.getMarkers().map(m => m.name)).toEqual(['Solo']);
+    });
+  });
+});
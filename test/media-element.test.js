@@ -0,0 +1,284 @@
+/**
+ * Tests for media-element-sync.js
+ * Testing a player that follows a page-owned <audio>/<video> element
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MediaElementFollower, validateMediaElement } from '../js/media-element-sync.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+const SAMPLE_RATE = 8000;
+const TRACK_SECONDS = 12;
+
+// Decodes anything to a constant track of TRACK_SECONDS
+class TrackAudioContext extends FakeAudioContext {
+  sampleRate = SAMPLE_RATE;
+
+  async decodeAudioData() {
+    const buffer = new AudioBuffer({ numberOfChannels: 1, length: SAMPLE_RATE * TRACK_SECONDS, sampleRate: SAMPLE_RATE });
+    buffer.getChannelData(0).fill(0.5);
+    return buffer;
+  }
+}
+
+/**
+ * <audio> with a known duration (happy-dom never loads media)
+ */
+function createMedia(src = 'https://example.com/song.mp3') {
+  const media = document.createElement('audio');
+  Object.defineProperty(media, 'duration', { value: TRACK_SECONDS, configurable: true });
+  media.src = src;
+  document.body.appendChild(media);
+  return media;
+}
+
+describe('media-element-sync.js - Following Page Media Elements', () => {
+  let originalAudioContext;
+  let originalFetch;
+  let fetched;
+  let fetchFails;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = TrackAudioContext;
+    originalFetch = globalThis.fetch;
+    fetched = [];
+    fetchFails = false;
+    globalThis.fetch = async (url) => {
+      fetched.push(url);
+      return fetchFails
+        ? { ok: false, status: 403, statusText: 'Forbidden' }
+        : { ok: true, arrayBuffer: async () => new ArrayBuffer(16) };
+    };
+  });
+
+  afterEach(() => {
+    window.AudioContext = originalAudioContext;
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('validateMediaElement()', () => {
+    it('should accept audio and video elements only', () => {
+      const video = document.createElement('video');
+
+      expect(validateMediaElement(video)).toBe(video);
+      expect(() => validateMediaElement(document.createElement('div'))).toThrow(ValidationError);
+      expect(() => validateMediaElement('#player')).toThrow(ValidationError);
+    });
+  });
+
+  describe('MediaElementFollower', () => {
+    it('should report a source swap once and stop listening after stop()', () => {
+      const media = createMedia();
+      const onSourceChange = vi.fn();
+      const follower = new MediaElementFollower(new PlayerScope(), media, { onSourceChange });
+      follower.start();
+
+      media.load();
+      expect(onSourceChange).not.toHaveBeenCalled();
+
+      media.src = 'https://example.com/other.mp3';
+      media.dispatchEvent(new Event('emptied'));
+      media.dispatchEvent(new Event('loadstart'));
+      expect(onSourceChange).toHaveBeenCalledTimes(1);
+      expect(onSourceChange).toHaveBeenCalledWith('https://example.com/other.mp3');
+
+      follower.stop();
+      media.src = 'https://example.com/third.mp3';
+      media.load();
+      expect(onSourceChange).toHaveBeenCalledTimes(1);
+      expect(follower.isFollowing).toBe(false);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      // The canvas mock has no roundRect (used for the time label once the playhead moves)
+      if (player.ctx) player.ctx.roundRect ??= () => {};
+      return player;
+    };
+
+    const attached = async (media = createMedia()) => {
+      const player = await createPlayer();
+      await player.attachMedia(media);
+      return { player, media };
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should decode the element source without creating its own <audio>', async () => {
+      const media = createMedia();
+      const createElement = vi.spyOn(document, 'createElement');
+
+      const { player } = await attached(media);
+
+      expect(fetched).toEqual(['https://example.com/song.mp3']);
+      expect(createElement).not.toHaveBeenCalledWith('audio');
+      expect(player.getMediaElement()).toBe(media);
+      expect(player.scope.playback.getMediaElement()).toBe(media);
+      expect(player.getDuration()).toBe(TRACK_SECONDS);
+    });
+
+    it('should fall back to a placeholder sized from the element when decoding fails', async () => {
+      fetchFails = true;
+
+      const { player } = await attached();
+
+      expect(player.getDuration()).toBeCloseTo(TRACK_SECONDS);
+      expect(player.scope.playback.getMediaElement()).not.toBeNull();
+    });
+
+    it('should drive play, pause, seeks and scrubbing into the element', async () => {
+      const { player, media } = await attached();
+
+      await player.play();
+      expect(media.paused).toBe(false);
+
+      player.seekToPosition(0.5);
+      expect(media.currentTime).toBeCloseTo(6);
+
+      await player.pause();
+      expect(media.paused).toBe(true);
+
+      player.scope.playback.startScrubbing(0.25);
+      expect(media.currentTime).toBeCloseTo(3);
+      player.scope.playback.stopScrubbing(0.75);
+      expect(media.currentTime).toBeCloseTo(9);
+    });
+
+    it('should emit a single event per transport change it starts', async () => {
+      const { player } = await attached();
+      const onPlay = vi.fn();
+      const onPause = vi.fn();
+      const onSeeked = vi.fn();
+      player.on('play', onPlay);
+      player.on('pause', onPause);
+      player.on('seeked', onSeeked);
+
+      await player.play();
+      player.seekTo(4);
+      await player.pause();
+
+      expect(onPlay).toHaveBeenCalledTimes(1);
+      expect(onSeeked).toHaveBeenCalledTimes(1);
+      expect(onPause).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow play, pause, seeks and the end from the element itself', async () => {
+      const { player, media } = await attached();
+      const onPlay = vi.fn();
+      const onPause = vi.fn();
+      const onSeeked = vi.fn();
+      const onEnded = vi.fn();
+      player.on('play', onPlay);
+      player.on('pause', onPause);
+      player.on('seeked', onSeeked);
+      player.on('ended', onEnded);
+
+      await media.play();
+      media.dispatchEvent(new Event('play'));
+      expect(player.isPlaying()).toBe(true);
+      expect(onPlay).toHaveBeenCalledTimes(1);
+
+      media.currentTime = 8;
+      media.dispatchEvent(new Event('seeked'));
+      expect(player.getCurrentTime()).toBe(8);
+      expect(onSeeked).toHaveBeenCalledWith(expect.objectContaining({ position: 8 / TRACK_SECONDS }));
+
+      media.pause();
+      expect(player.isPlaying()).toBe(false);
+      expect(onPause).toHaveBeenCalledTimes(1);
+
+      await media.play();
+      media.dispatchEvent(new Event('play'));
+      media.dispatchEvent(new Event('ended'));
+      expect(player.isPlaying()).toBe(false);
+      expect(onEnded).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pick up an element that is already playing', async () => {
+      const media = createMedia();
+      await media.play();
+      media.currentTime = 5;
+
+      const { player } = await attached(media);
+
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getCurrentTime()).toBe(5);
+    });
+
+    it('should reload the waveform when the page swaps the source', async () => {
+      const { player, media } = await attached();
+      const loaded = new Promise(resolve => player.once('loaded', resolve));
+
+      media.src = 'https://example.com/other.mp3';
+      media.load();
+      const event = await loaded;
+
+      expect(fetched).toEqual(['https://example.com/song.mp3', 'https://example.com/other.mp3']);
+      expect(event.source.name).toBe('other.mp3');
+      expect(player.scope.playback.getMediaElement()).toBe(media);
+    });
+
+    it('should follow the element given as the media option', async () => {
+      const media = createMedia();
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, media });
+      players.push(player);
+
+      await new Promise(resolve => player.once('loaded', resolve));
+
+      expect(player.getMediaElement()).toBe(media);
+      expect(() => new SpiralWaveformPlayer({ container, media: document.createElement('div') })).toThrow(ValidationError);
+      await expect(player.attachMedia(null)).rejects.toThrow(ValidationError);
+    });
+
+    it('should stop following when another source is loaded', async () => {
+      const { player, media } = await attached();
+
+      await player.load({ peaks: [0.5, 0.2], duration: 30 });
+      await media.play();
+      media.dispatchEvent(new Event('play'));
+
+      expect(player.getMediaElement()).toBeNull();
+      expect(player.scope.playback.getMediaElement()).toBeNull();
+      expect(player.isPlaying()).toBe(false);
+      expect(player.getDuration()).toBe(30);
+    });
+
+    it('should leave the element playing on detachMedia() and destroy()', async () => {
+      const { player, media } = await attached();
+      const other = await createPlayer();
+      await other.attachMedia(media);
+      await media.play();
+
+      player.detachMedia();
+      expect(player.getDuration()).toBe(0);
+
+      other.destroy();
+
+      expect(media.paused).toBe(false);
+      expect(media.src).toBe('https://example.com/song.mp3');
+      expect(media.isConnected).toBe(true);
+      expect(media.currentTime).toBe(0);
+    });
+  });
+});
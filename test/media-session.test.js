@@ -0,0 +1,258 @@
+/**
+ * Tests for media-session.js
+ * Testing navigator.mediaSession metadata, state and action routing
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MediaSessionController,
+  MediaSessionActions,
+  DEFAULT_SEEK_OFFSET,
+  validateTrackMetadata
+} from '../js/media-session.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+class FakeMediaSession {
+  constructor() {
+    this.handlers = new Map();
+    this.metadata = null;
+    this.playbackState = 'none';
+    this.positionStates = [];
+  }
+
+  setActionHandler(action, handler) {
+    if (handler) {
+      this.handlers.set(action, handler);
+    } else {
+      this.handlers.delete(action);
+    }
+  }
+
+  setPositionState(state) {
+    this.positionStates.push(state);
+  }
+
+  get lastPosition() {
+    return this.positionStates[this.positionStates.length - 1];
+  }
+}
+
+class FakeMediaMetadata {
+  constructor(init) {
+    Object.assign(this, init);
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('media-session.js - OS Media Controls', () => {
+  let session;
+  let originalAudioContext;
+
+  beforeEach(() => {
+    session = new FakeMediaSession();
+    Object.defineProperty(navigator, 'mediaSession', { value: session, configurable: true });
+    globalThis.MediaMetadata = FakeMediaMetadata;
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+  });
+
+  afterEach(() => {
+    MediaSessionController.getOwner()?.release();
+    delete navigator.mediaSession;
+    delete globalThis.MediaMetadata;
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('validateTrackMetadata()', () => {
+    it('should accept title, artist, album and artwork', () => {
+      const metadata = { title: 'Song', artist: 'Band', album: 'LP', artwork: [{ src: 'cover.jpg', sizes: '512x512' }] };
+      expect(validateTrackMetadata(metadata)).toBe(metadata);
+    });
+
+    it('should reject malformed metadata', () => {
+      expect(() => validateTrackMetadata('Song')).toThrow(ValidationError);
+      expect(() => validateTrackMetadata({ title: 42 })).toThrow(ValidationError);
+      expect(() => validateTrackMetadata({ artwork: 'cover.jpg' })).toThrow(ValidationError);
+      expect(() => validateTrackMetadata({ artwork: [{ sizes: '96x96' }] })).toThrow(ValidationError);
+    });
+  });
+
+  describe('MediaSessionController', () => {
+    it('should install every action handler when claimed and clear them on release', () => {
+      const controller = new MediaSessionController(new PlayerScope());
+
+      controller.claim();
+      expect([...session.handlers.keys()].sort()).toEqual(Object.values(MediaSessionActions).sort());
+      expect(session.playbackState).toBe('none');
+
+      controller.release();
+      expect(session.handlers.size).toBe(0);
+      expect(session.metadata).toBeNull();
+      expect(MediaSessionController.getOwner()).toBeNull();
+    });
+
+    it('should only publish metadata while it owns the session', () => {
+      const first = new MediaSessionController(new PlayerScope());
+      const second = new MediaSessionController(new PlayerScope());
+      first.claim();
+
+      second.setMetadata({ title: 'Second' });
+      expect(session.metadata.title).toBe('');
+
+      first.setMetadata({ title: 'First', artist: 'Band' });
+      expect(session.metadata).toMatchObject({ title: 'First', artist: 'Band', album: '', artwork: [] });
+
+      second.claim();
+      expect(session.metadata.title).toBe('Second');
+      expect(first.isOwner).toBe(false);
+    });
+
+    it('should do nothing without navigator.mediaSession', () => {
+      delete navigator.mediaSession;
+      const controller = new MediaSessionController(new PlayerScope());
+
+      controller.claim();
+
+      expect(controller.isOwner).toBe(false);
+    });
+  });
+
+  describe('SpiralWaveformPlayer integration', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should publish the track name, paused state and position after loading', async () => {
+      const player = await createPlayer();
+
+      await player.load({ peaks: [0.5, 0.2], duration: 60 }, { name: 'Demo Track' });
+
+      expect(session.metadata.title).toBe('Demo Track');
+      expect(session.playbackState).toBe('paused');
+      expect(session.lastPosition).toEqual({ duration: 60, playbackRate: 1, position: 0 });
+    });
+
+    it('should add artist and artwork through setMetadata()', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5], duration: 10 }, { name: 'Demo' });
+
+      player.setMetadata({ title: 'Demo', artist: 'Band', artwork: [{ src: 'cover.png' }] });
+
+      expect(session.metadata).toMatchObject({ title: 'Demo', artist: 'Band', artwork: [{ src: 'cover.png' }] });
+      expect(player.getMetadata().artist).toBe('Band');
+      expect(() => player.setMetadata({ artist: ['Band'] })).toThrow(ValidationError);
+    });
+
+    it('should route seek actions and keep the position state in sync', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5], duration: 100 });
+
+      session.handlers.get('seekto')({ action: 'seekto', seekTime: 40 });
+      expect(player.getCurrentTime()).toBeCloseTo(40);
+      expect(session.lastPosition.position).toBeCloseTo(40);
+
+      session.handlers.get('seekforward')({ action: 'seekforward' });
+      expect(player.getCurrentTime()).toBeCloseTo(40 + DEFAULT_SEEK_OFFSET);
+
+      session.handlers.get('seekbackward')({ action: 'seekbackward', seekOffset: 30 });
+      expect(player.getCurrentTime()).toBeCloseTo(20);
+    });
+
+    it('should publish the playback rate in the position state', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5], duration: 100 });
+
+      player.setPlaybackRate(1.5);
+
+      expect(session.lastPosition).toEqual({ duration: 100, playbackRate: 1.5, position: 0 });
+    });
+
+    it('should route play and pause into the transport', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5], duration: 100 });
+
+      session.handlers.get('play')({ action: 'play' });
+      await flush();
+      expect(player.isPlaying()).toBe(true);
+      expect(session.playbackState).toBe('playing');
+
+      session.handlers.get('play')({ action: 'play' });
+      await flush();
+      expect(player.isPlaying()).toBe(true);
+
+      session.handlers.get('pause')({ action: 'pause' });
+      await flush();
+      expect(player.isPlaying()).toBe(false);
+      expect(session.playbackState).toBe('paused');
+    });
+
+    it('should rewind on previoustrack and emit track events', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5], duration: 100 });
+      player.seekTo(50);
+      const onPrevious = vi.fn();
+      const onNext = vi.fn();
+      player.on('previoustrack', onPrevious);
+      player.on('nexttrack', onNext);
+
+      session.handlers.get('previoustrack')({ action: 'previoustrack' });
+      session.handlers.get('nexttrack')({ action: 'nexttrack' });
+
+      expect(player.getCurrentTime()).toBe(0);
+      expect(onPrevious).toHaveBeenCalledTimes(1);
+      expect(onNext).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give the session to the player that starts playing', async () => {
+      const first = await createPlayer();
+      const second = await createPlayer();
+      await second.load({ peaks: [0.5], duration: 30 }, { name: 'Second' });
+      expect(first.mediaSession.isOwner).toBe(true);
+
+      await second.play();
+
+      expect(second.mediaSession.isOwner).toBe(true);
+      expect(session.metadata.title).toBe('Second');
+    });
+
+    it('should hand the session on when its owner is destroyed', async () => {
+      const first = await createPlayer();
+      const second = await createPlayer();
+
+      first.destroy();
+
+      expect(second.mediaSession.isOwner).toBe(true);
+      expect(session.handlers.size).toBe(Object.values(MediaSessionActions).length);
+    });
+
+    it('should stay out of the session with mediaSession: false', async () => {
+      const player = await createPlayer({ mediaSession: false });
+
+      expect(player.mediaSession).toBeNull();
+      expect(session.handlers.size).toBe(0);
+      expect(() => new SpiralWaveformPlayer({ container, mediaSession: 'yes' })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,369 @@
+/**
+ * Tests for the built-in PCM decoder
+ * Testing WAV (PCM, float, WAVE_FORMAT_EXTENSIBLE, RF64), AIFF/AIFF-C and raw PCM
+ * decoding, the errors for what it cannot read, and the fallback from
+ * decodeAudioData when loading files and URLs
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  PcmSampleFormats,
+  PcmDecodeError,
+  getPcmContainer,
+  validateRawPcmOptions,
+  parseWav,
+  parseAiff,
+  decodePcm,
+  decodePcmAudio
+} from '../js/pcm-decoder.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { loadAudioFromUrl } from '../js/audio-loader.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { loadSource, AudioLoadError, LoadErrorCodes } from '../js/source-loader.js';
+import { ValidationError } from '../js/validation.js';
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const concat = (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => (bytes.set(part, offset), offset + part.length), 0);
+  return bytes;
+};
+
+// Writes with a DataView: writer(view) fills `length` bytes
+const bytesOf = (length, writer) => {
+  const bytes = new Uint8Array(length);
+  writer(new DataView(bytes.buffer));
+  return bytes;
+};
+
+const chunk = (id, body, { littleEndian = true, size = body.length } = {}) => concat(
+  ascii(id),
+  bytesOf(4, view => view.setUint32(0, size, littleEndian)),
+  body,
+  new Uint8Array(body.length % 2)
+);
+
+const wavFile = (chunks, id = 'RIFF') => {
+  const body = concat(ascii('WAVE'), ...chunks);
+  return concat(ascii(id), bytesOf(4, view => view.setUint32(0, id === 'RIFF' ? body.length : 0xffffffff, true)), body).buffer;
+};
+
+const fmtChunk = ({ tag = 1, channels = 1, sampleRate = 8000, bits = 16, blockAlign = channels * bits / 8, subFormat = null }) =>
+  chunk('fmt ', bytesOf(subFormat === null ? 16 : 40, view => {
+    view.setUint16(0, subFormat === null ? tag : 0xfffe, true);
+    view.setUint16(2, channels, true);
+    view.setUint32(4, sampleRate, true);
+    view.setUint32(8, sampleRate * blockAlign, true);
+    view.setUint16(12, blockAlign, true);
+    view.setUint16(14, bits, true);
+    if (subFormat !== null) {
+      view.setUint16(16, 22, true);
+      view.setUint16(18, bits, true);
+      view.setUint16(24, subFormat, true);
+    }
+  }));
+
+// Interleaved samples, each written by write(view, offset, value)
+const samples = (values, bytesPerSample, write) =>
+  bytesOf(values.length * bytesPerSample, view => values.forEach((value, i) => write(view, i * bytesPerSample, value)));
+
+const int16le = (values) => samples(values, 2, (view, offset, value) => view.setInt16(offset, value, true));
+
+// 80-bit extended float of a whole number (AIFF sample rates)
+const extended = (value) => bytesOf(10, view => {
+  const exponent = Math.floor(Math.log2(value));
+  view.setUint16(0, 16383 + exponent, false);
+  view.setUint32(2, value * 2 ** (31 - exponent), false);
+});
+
+const aiffFile = ({ channels = 1, frames, sampleSize = 16, sampleRate = 44100, compression = null, data }) => {
+  const common = concat(
+    bytesOf(8, view => {
+      view.setInt16(0, channels, false);
+      view.setUint32(2, frames, false);
+      view.setInt16(6, sampleSize, false);
+    }),
+    extended(sampleRate),
+    compression ? concat(ascii(compression), new Uint8Array(2)) : new Uint8Array(0)
+  );
+  const body = concat(
+    ascii(compression ? 'AIFC' : 'AIFF'),
+    chunk('COMM', common, { littleEndian: false }),
+    chunk('SSND', concat(new Uint8Array(8), data), { littleEndian: false })
+  );
+  return concat(ascii('FORM'), bytesOf(4, view => view.setUint32(0, body.length, false)), body).buffer;
+};
+
+const expectSamples = (actual, expected) => {
+  expect(Array.from(actual)).toHaveLength(expected.length);
+  expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 6));
+};
+
+// AudioBuffer stand-in that keeps what is copied into it
+class SampleBuffer {
+  constructor(numberOfChannels, length, sampleRate) {
+    Object.assign(this, { numberOfChannels, length, sampleRate, duration: length / sampleRate });
+    this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  copyToChannel(source, channel) {
+    this.channels[channel].set(source);
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+describe('PCM decoder', () => {
+  describe('WAV', () => {
+    it('should decode 16-bit stereo', () => {
+      const file = wavFile([fmtChunk({ channels: 2, sampleRate: 44100 }), chunk('data', int16le([16384, -32768, 32767, 0]))]);
+
+      expect(getPcmContainer(file)).toBe('WAV');
+      const { layout, channelData } = decodePcm(file);
+
+      expect(layout).toMatchObject({ container: 'WAV', sampleRate: 44100, channels: 2, bitDepth: 16, sampleFormat: 'int', frames: 2 });
+      expectSamples(channelData[0], [0.5, 32767 / 32768]);
+      expectSamples(channelData[1], [-1, 0]);
+    });
+
+    it.each([
+      ['8-bit unsigned', { bits: 8 }, samples([0, 128, 255], 1, (view, offset, value) => view.setUint8(offset, value)), [-1, 0, 127 / 128]],
+      ['24-bit', { bits: 24 }, samples([0x400000, -0x800000, -1], 3, (view, offset, value) => {
+        view.setUint16(offset, value & 0xffff, true);
+        view.setInt8(offset + 2, value >> 16);
+      }), [0.5, -1, -1 / 0x800000]],
+      ['32-bit', { bits: 32 }, samples([-0x40000000, 0x7fffffff], 4, (view, offset, value) => view.setInt32(offset, value, true)), [-0.5, 1]],
+      ['32-bit float', { tag: 3, bits: 32 }, samples([0.25, -1.5], 4, (view, offset, value) => view.setFloat32(offset, value, true)), [0.25, -1.5]],
+      ['64-bit float', { tag: 3, bits: 64 }, samples([0.1, -0.75], 8, (view, offset, value) => view.setFloat64(offset, value, true)), [0.1, -0.75]]
+    ])('should decode %s samples', (label, format, data, expected) => {
+      const { channelData } = decodePcm(wavFile([fmtChunk(format), chunk('data', data)]));
+      expectSamples(channelData[0], expected);
+    });
+
+    it('should read WAVE_FORMAT_EXTENSIBLE, including 24 bits in 32-bit containers', () => {
+      // Left-justified: the 24 valid bits are the top of each 32-bit word
+      const padded = samples([0x400000, -0x200000], 4, (view, offset, value) => view.setInt32(offset, value * 256, true));
+      const layout = parseWav(wavFile([fmtChunk({ bits: 32, subFormat: 1 }), chunk('data', padded)]));
+      expect(layout).toMatchObject({ bitDepth: 32, sampleFormat: 'int' });
+      expectSamples(decodePcm(wavFile([fmtChunk({ bits: 32, subFormat: 1 }), chunk('data', padded)])).channelData[0], [0.5, -0.25]);
+
+      const float = samples([0.5], 4, (view, offset, value) => view.setFloat32(offset, value, true));
+      expect(parseWav(wavFile([fmtChunk({ bits: 32, subFormat: 3 }), chunk('data', float)])).sampleFormat).toBe('float');
+
+      // Without a block size the container is the bits rounded up to whole bytes
+      expect(parseWav(wavFile([fmtChunk({ bits: 12, blockAlign: 0 }), chunk('data', new Uint8Array(4))])).bitDepth).toBe(16);
+    });
+
+    it('should take RF64/BW64 data sizes from the ds64 chunk', () => {
+      const data = int16le([1000, 2000, 3000, 4000]);
+      const ds64 = chunk('ds64', bytesOf(28, view => {
+        view.setUint32(8, 6, true); // dataSize (low 32 bits): three samples
+      }));
+
+      for (const id of ['RF64', 'BW64']) {
+        const file = wavFile([ds64, fmtChunk({}), chunk('data', data, { size: 0xffffffff })], id);
+        expect(getPcmContainer(file)).toBe(id);
+        expect(parseWav(file)).toMatchObject({ container: id, frames: 3 });
+      }
+    });
+
+    it('should skip other chunks and read unfinished files to the end', () => {
+      const data = int16le([100, 200, 300]);
+      // Odd-sized chunks are padded to an even length
+      const file = wavFile([chunk('LIST', ascii('INFOx')), fmtChunk({}), chunk('data', data, { size: 0 })]);
+      expect(parseWav(file).frames).toBe(3);
+
+      // A size past the end of a truncated file
+      expect(parseWav(wavFile([fmtChunk({}), chunk('data', data, { size: 1000 })])).frames).toBe(3);
+    });
+
+    it('should name compressed encodings it cannot read', () => {
+      const muLaw = wavFile([fmtChunk({ tag: 7, bits: 8 }), chunk('data', new Uint8Array(4))]);
+      expect(() => decodePcm(muLaw)).toThrow(PcmDecodeError);
+      expect(() => decodePcm(muLaw)).toThrow('WAV uses µ-law compression');
+      expect(() => decodePcm(wavFile([fmtChunk({ tag: 0x1234 }), chunk('data', new Uint8Array(4))]))).toThrow('format 0x1234');
+    });
+
+    it('should explain what is missing', () => {
+      expect(() => decodePcm(wavFile([chunk('data', int16le([1]))]))).toThrow('WAV file has no fmt chunk');
+      expect(() => decodePcm(wavFile([fmtChunk({})]))).toThrow('WAV file has no data chunk');
+      expect(() => decodePcm(wavFile([fmtChunk({}), chunk('data', new Uint8Array(0))]))).toThrow('contains no samples');
+      expect(() => decodePcm(wavFile([fmtChunk({ sampleRate: 1000 }), chunk('data', int16le([1]))]))).toThrow('outside 3000-768000 Hz');
+      expect(() => decodePcm(ascii('ID3 not audio').buffer)).toThrow('Not a WAV or AIFF file');
+    });
+  });
+
+  describe('AIFF', () => {
+    it('should decode big-endian AIFF with its extended-float sample rate', () => {
+      const data = samples([16384, -16384, -32768, 32767], 2, (view, offset, value) => view.setInt16(offset, value, false));
+      const file = aiffFile({ channels: 2, frames: 2, sampleRate: 48000, data });
+
+      expect(getPcmContainer(file)).toBe('AIFF');
+      const { layout, channelData } = decodePcm(file);
+
+      expect(layout).toMatchObject({ container: 'AIFF', sampleRate: 48000, channels: 2, bitDepth: 16, littleEndian: false, frames: 2 });
+      expectSamples(channelData[0], [0.5, -1]);
+      expectSamples(channelData[1], [-0.5, 32767 / 32768]);
+    });
+
+    it('should read the AIFF-C sample types', () => {
+      const sowt = aiffFile({ frames: 1, compression: 'sowt', data: int16le([-16384]) });
+      expectSamples(decodePcm(sowt).channelData[0], [-0.5]);
+
+      const fl32 = aiffFile({ frames: 2, sampleSize: 32, compression: 'fl32',
+        data: samples([0.75, -0.125], 4, (view, offset, value) => view.setFloat32(offset, value, false)) });
+      expect(parseAiff(fl32)).toMatchObject({ container: 'AIFF-C', sampleFormat: 'float', bitDepth: 32 });
+      expectSamples(decodePcm(fl32).channelData[0], [0.75, -0.125]);
+
+      // 12-bit samples sit in the top of 16-bit words
+      const twelve = aiffFile({ frames: 1, sampleSize: 12, data: samples([0x400 << 4], 2, (view, offset, value) => view.setInt16(offset, value, false)) });
+      expectSamples(decodePcm(twelve).channelData[0], [0.5]);
+    });
+
+    it('should keep to the frames the COMM chunk declares', () => {
+      expect(parseAiff(aiffFile({ frames: 2, data: int16le([1, 2, 3, 4]) })).frames).toBe(2);
+      expect(parseAiff(aiffFile({ frames: 10, data: int16le([1, 2, 3]) })).frames).toBe(3);
+    });
+
+    it('should reject compressed AIFF-C', () => {
+      expect(() => decodePcm(aiffFile({ frames: 1, compression: 'ulaw', data: new Uint8Array(2) })))
+        .toThrow("AIFF-C uses 'ulaw' compression, which the built-in decoder does not support");
+    });
+  });
+
+  describe('raw PCM', () => {
+    it('should decode headerless samples with the given layout', () => {
+      const data = concat(ascii('HDR!'), samples([0.5, -0.5, 0.25, 1], 4, (view, offset, value) => view.setFloat32(offset, value, false)));
+      const { layout, channelData } = decodePcm(data, {
+        sampleRate: 22050, channels: 2, bitDepth: 32, sampleFormat: PcmSampleFormats.FLOAT, littleEndian: false, offset: 4
+      });
+
+      expect(layout).toMatchObject({ container: 'raw', sampleRate: 22050, channels: 2, frames: 2 });
+      expectSamples(channelData[0], [0.5, 0.25]);
+      expectSamples(channelData[1], [-0.5, 1]);
+
+      // 16-bit little-endian signed by default; a partial frame at the end is dropped
+      expect(decodePcm(concat(int16le([8192, 1]), new Uint8Array(1)), { sampleRate: 8000, channels: 2 }).layout.frames).toBe(1);
+    });
+
+    it('should validate the layout', () => {
+      const valid = { sampleRate: 44100, channels: 2 };
+      expect(() => validateRawPcmOptions(valid)).not.toThrow();
+      expect(() => validateRawPcmOptions(null)).toThrow(ValidationError);
+      expect(() => validateRawPcmOptions({ channels: 2 })).toThrow('pcm.sampleRate');
+      expect(() => validateRawPcmOptions({ ...valid, channels: 1.5 })).toThrow('pcm.channels');
+      expect(() => validateRawPcmOptions({ ...valid, sampleFormat: 'alaw' })).toThrow('pcm.sampleFormat');
+      expect(() => validateRawPcmOptions({ ...valid, sampleFormat: 'float', bitDepth: 16 })).toThrow('pcm.bitDepth must be 32, 64');
+      expect(() => validateRawPcmOptions({ ...valid, littleEndian: 'yes' })).toThrow('pcm.littleEndian');
+      expect(() => validateRawPcmOptions({ ...valid, offset: -1 })).toThrow('pcm.offset');
+    });
+  });
+
+  describe('loading', () => {
+    beforeEach(() => {
+      vi.spyOn(AudioContextManager, 'createBuffer').mockImplementation((channels, length, sampleRate) => new SampleBuffer(channels, length, sampleRate));
+    });
+
+    it('should build an AudioBuffer from the decoded channels', () => {
+      const audioBuffer = decodePcmAudio(wavFile([fmtChunk({ channels: 2, sampleRate: 16000 }), chunk('data', int16le([16384, -16384]))]));
+
+      expect(audioBuffer).toMatchObject({ numberOfChannels: 2, length: 1, sampleRate: 16000 });
+      expectSamples(audioBuffer.getChannelData(1), [-0.5]);
+    });
+
+    it('should fall back to the built-in decoder when the browser cannot decode', async () => {
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockRejectedValue(new DOMException('Unable to decode audio data', 'EncodingError'));
+      const file = new File([wavFile([fmtChunk({ tag: 3, bits: 64, sampleRate: 96000 }),
+        chunk('data', samples([0.5, -0.5], 8, (view, offset, value) => view.setFloat64(offset, value, true)))])], 'master.wav', { type: 'audio/wav' });
+
+      const { info, waveform, globalMaxAmp } = await loadSource(file);
+
+      expect(info).toMatchObject({ format: 'WAV', sampleRate: 96000, channels: 1, duration: 2 / 96000 });
+      expectSamples(waveform, [0.5, -0.5]);
+      expect(globalMaxAmp).toBe(0.5);
+    });
+
+    it('should fail with the reason instead of loading silence', async () => {
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockRejectedValue(new DOMException('Unable to decode audio data', 'EncodingError'));
+      const muLaw = new Blob([wavFile([fmtChunk({ tag: 7, bits: 8 }), chunk('data', new Uint8Array(4))])]);
+
+      const error = await loadSource(muLaw, { name: 'phone.wav' }).catch(error => error);
+
+      expect(error).toBeInstanceOf(AudioLoadError);
+      expect(error.code).toBe(LoadErrorCodes.DECODE_FAILED);
+      expect(error.cause.message).toMatch(/µ-law compression/);
+    });
+
+    it('should not fall back to a silent buffer for formats it does not know', async () => {
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockRejectedValue(new DOMException('Unable to decode audio data', 'EncodingError'));
+      vi.spyOn(AudioContextManager, 'getContext').mockReturnValue({
+        decodeAudioData: () => Promise.reject(new DOMException('Unable to decode audio data', 'EncodingError'))
+      });
+      // The element can play it, but the bytes still do not decode
+      vi.stubGlobal('Audio', class {
+        load() { setTimeout(() => this.oncanplaythrough(), 0); }
+        pause() {}
+      });
+
+      const error = await loadSource(new Blob([ascii('not really audio')]), { name: 'odd.wma' }).catch(error => error);
+      vi.unstubAllGlobals();
+
+      expect(error).toBeInstanceOf(AudioLoadError);
+      expect(error.cause.message).toMatch(/this browser cannot decode the format, and it is not uncompressed WAV or AIFF/);
+    });
+
+    describe('from a URL', () => {
+      const rejectDecoding = () => vi.spyOn(AudioContextManager, 'decodeAudioData')
+        .mockRejectedValue(new DOMException('Unable to decode audio data', 'EncodingError'));
+
+      // Serves the bytes and reports the hidden <audio> element ready once the loader made it
+      const loadUrl = (url, arrayBuffer) => {
+        vi.spyOn(AudioContextManager, 'resume').mockResolvedValue();
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, headers: { get: () => null }, arrayBuffer: async () => arrayBuffer }));
+        const createElement = Document.prototype.createElement;
+        vi.spyOn(document, 'createElement').mockImplementation(function (tag, ...rest) {
+          const element = createElement.call(document, tag, ...rest);
+          if (tag === 'audio') setTimeout(() => element.oncanplaythrough(), 0);
+          return element;
+        });
+        return loadAudioFromUrl(url, new PlayerScope()).finally(() => vi.unstubAllGlobals());
+      };
+
+      it('should fall back to the built-in decoder when the browser cannot decode', async () => {
+        rejectDecoding();
+        const wav = wavFile([fmtChunk({ tag: 3, bits: 64, sampleRate: 96000 }),
+          chunk('data', samples([0.5, -0.5], 8, (view, offset, value) => view.setFloat64(offset, value, true)))]);
+
+        const { audioBuffer, waveform, globalMaxAmp } = await loadUrl('https://example.com/master.wav', wav);
+
+        expect(audioBuffer).toMatchObject({ sampleRate: 96000, length: 2 });
+        expectSamples(waveform, [0.5, -0.5]);
+        expect(globalMaxAmp).toBe(0.5);
+      });
+
+      it('should fail with a decode error instead of a silent placeholder', async () => {
+        rejectDecoding();
+
+        const error = await loadUrl('https://example.com/odd.wma', ascii('not really audio').buffer).catch(error => error);
+
+        expect(error).toBeInstanceOf(AudioLoadError);
+        expect(error.code).toBe(LoadErrorCodes.DECODE_FAILED);
+        expect(error.message).toMatch(/odd\.wma.*this browser cannot decode the format/);
+      });
+    });
+
+    it('should load raw PCM given its layout', async () => {
+      const withTemporaryContext = vi.spyOn(AudioContextManager, 'withTemporaryContext');
+
+      const { info, waveform } = await loadSource(int16le([16384, 0, -16384]).buffer, { name: 'capture', pcm: { sampleRate: 8000, channels: 1 } });
+
+      expect(withTemporaryContext).not.toHaveBeenCalled();
+      expect(info).toMatchObject({ format: 'Raw PCM', sampleRate: 8000, channels: 1, name: 'capture' });
+      expectSamples(waveform, [0.5, 0, -0.5]);
+      await expect(loadSource(int16le([1]).buffer, { pcm: { sampleRate: 8000 } })).rejects.toThrow(ValidationError);
+    });
+  });
+});
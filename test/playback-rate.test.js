@@ -0,0 +1,202 @@
+/**
+ * Tests for playback speed
+ * Testing setPlaybackRate() on buffer and media-element audio, persistence and shortcuts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PlayerScope } from '../js/player-scope.js';
+import { MediaElementFollower } from '../js/media-element-sync.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+describe('Playback rate', () => {
+  let originalAudioContext;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+  });
+
+  afterEach(async () => {
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('AudioPlayback.setPlaybackRate()', () => {
+    let scope;
+    let context;
+
+    beforeEach(async () => {
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      context = AudioContextManager.getContext();
+      // getCurrentTime() treats a start time of 0 as "not started"
+      context.currentTime = 1;
+      await scope.playback.load(new AudioBuffer({ numberOfChannels: 1, length: 44100 * 60, sampleRate: 44100 }));
+    });
+
+    afterEach(() => {
+      scope.playback.dispose();
+    });
+
+    it('should play buffer audio at the stored rate and advance time by it', async () => {
+      scope.playback.setPlaybackRate(2);
+
+      await scope.playback.play(10);
+      context.currentTime += 5;
+
+      expect(context.sources.at(-1).playbackRate.value).toBe(2);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(20);
+    });
+
+    it('should keep the position continuous when the rate changes mid-play', async () => {
+      await scope.playback.play(10);
+      context.currentTime += 4;
+
+      scope.playback.setPlaybackRate(0.5);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(14);
+
+      context.currentTime += 4;
+      expect(context.sources.at(-1).playbackRate.value).toBe(0.5);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(16);
+    });
+
+    it('should set rate and pitch preservation on media elements, including later ones', () => {
+      const first = document.createElement('audio');
+      scope.playback.setMediaElement(first);
+
+      scope.playback.setPlaybackRate(1.5, false);
+      expect(first.playbackRate).toBe(1.5);
+      expect(first.preservesPitch).toBe(false);
+
+      const second = document.createElement('audio');
+      scope.playback.setMediaElement(second);
+      expect(second.playbackRate).toBe(1.5);
+      expect(second.preservesPitch).toBe(false);
+    });
+
+    it('should leave an external element at its own speed until told otherwise', () => {
+      scope.playback.setPlaybackRate(1.5);
+      const element = document.createElement('video');
+
+      scope.playback.setMediaElement(element, { external: true });
+      expect(element.playbackRate).toBe(1);
+
+      scope.playback.setPlaybackRate(0.75);
+      expect(element.playbackRate).toBe(0.75);
+    });
+  });
+
+  describe('MediaElementFollower', () => {
+    it('should follow speed changes made on the element by the page', () => {
+      const scope = new PlayerScope();
+      const media = document.createElement('audio');
+      scope.playback.setMediaElement(media, { external: true });
+      const follower = new MediaElementFollower(scope, media);
+      follower.start();
+      const onRateChange = vi.fn();
+      scope.events.on('ratechange', onRateChange);
+
+      media.playbackRate = 1.25;
+      media.preservesPitch = false;
+      media.dispatchEvent(new Event('ratechange'));
+      scope.playback.setPlaybackRate(0.75);
+      media.dispatchEvent(new Event('ratechange'));
+
+      expect(scope.stateManager.get('audio.playbackRate')).toBe(0.75);
+      expect(onRateChange).toHaveBeenCalledTimes(1);
+      expect(onRateChange).toHaveBeenCalledWith({ playbackRate: 1.25, preservePitch: false });
+      follower.stop();
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should validate the rate and pitch option', async () => {
+      const player = await createPlayer();
+
+      expect(() => player.setPlaybackRate(0.25)).toThrow(ValidationError);
+      expect(() => player.setPlaybackRate(3)).toThrow(ValidationError);
+      expect(() => player.setPlaybackRate('fast')).toThrow(ValidationError);
+      expect(() => player.setPlaybackRate(1.5, { preservePitch: 'yes' })).toThrow(ValidationError);
+      expect(player.getPlaybackRate()).toBe(1);
+    });
+
+    it('should emit ratechange and keep the playhead on time', async () => {
+      const player = await createPlayer();
+      await player.load({ peaks: [0.5, 0.2], duration: 60 });
+      const onRateChange = vi.fn();
+      player.on('ratechange', onRateChange);
+
+      expect(player.setPlaybackRate(1.5, { preservePitch: false })).toBe(1.5);
+
+      expect(onRateChange).toHaveBeenCalledWith(expect.objectContaining({ playbackRate: 1.5, preservePitch: false }));
+
+      const context = AudioContextManager.getContext();
+      context.currentTime = 1;
+      await player.play();
+      context.currentTime += 4;
+      expect(player.scope.playback.getCurrentTime()).toBeCloseTo(6);
+    });
+
+    it('should remember the rate and pitch setting for the next player', async () => {
+      const first = await createPlayer();
+      first.setPlaybackRate(0.75, { preservePitch: false });
+
+      expect(SettingsManager.get('playbackRate')).toBe(0.75);
+      expect(SettingsManager.get('preservePitch')).toBe(false);
+
+      const second = await createPlayer();
+      expect(second.getPlaybackRate()).toBe(0.75);
+      expect(second.scope.stateManager.get('audio.preservePitch')).toBe(false);
+    });
+
+    it('should ignore an out-of-range saved rate', async () => {
+      SettingsManager.update('playbackRate', 16);
+
+      const player = await createPlayer();
+
+      expect(player.getPlaybackRate()).toBe(1);
+    });
+
+    it('should step the speed with < and > within the allowed range', async () => {
+      const player = await createPlayer();
+      const press = (key) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+      press('>');
+      press('>');
+      expect(player.getPlaybackRate()).toBe(1.5);
+
+      press('>');
+      press('>');
+      press('>');
+      expect(player.getPlaybackRate()).toBe(2);
+
+      for (let i = 0; i < 8; i++) press('<');
+      expect(player.getPlaybackRate()).toBe(0.5);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for SpiralWaveformPlayer.destroy()
+ * Testing that a destroyed player leaves no listeners, frames or DOM behind
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getAudioState } from '../js/audio-state.js';
+import { ErrorUI } from '../js/error-ui.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record every listener added or removed on any EventTarget
+ * (happy-dom's window has its own add/removeEventListener, so it is patched too)
+ * @returns {{ live: Array<{target: EventTarget, type: string, handler: Function}>, restore: Function }}
+ */
+function trackListeners() {
+  const live = [];
+  const patched = [EventTarget.prototype, window].map(owner => {
+    const { addEventListener, removeEventListener } = owner;
+    const hadOwn = Object.prototype.hasOwnProperty.call(owner, 'addEventListener');
+
+    owner.addEventListener = function (type, handler, options) {
+      live.push({ target: this, type, handler });
+      return addEventListener.call(this, type, handler, options);
+    };
+    owner.removeEventListener = function (type, handler, options) {
+      const index = live.findIndex(entry => entry.target === this && entry.type === type && entry.handler === handler);
+      if (index !== -1) live.splice(index, 1);
+      return removeEventListener.call(this, type, handler, options);
+    };
+
+    return { owner, addEventListener, removeEventListener, hadOwn };
+  });
+
+  return {
+    live,
+    restore() {
+      patched.reverse().forEach(({ owner, addEventListener, removeEventListener, hadOwn }) => {
+        if (hadOwn || owner === EventTarget.prototype) {
+          owner.addEventListener = addEventListener;
+          owner.removeEventListener = removeEventListener;
+        } else {
+          delete owner.addEventListener;
+          delete owner.removeEventListener;
+        }
+      });
+    }
+  };
+}
+
+describe('SpiralWaveformPlayer.destroy()', () => {
+  let originalAudioContext;
+  let container;
+  let tracker;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    tracker = trackListeners();
+  });
+
+  afterEach(() => {
+    tracker.restore();
+    SpiralWaveformPlayer.getInstances().forEach(player => player.destroy());
+    window.AudioContext = originalAudioContext;
+    document.body.innerHTML = '';
+  });
+
+  it('should remove every window, document, container and canvas listener', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'full' });
+    await player.ready;
+    const canvas = player.canvas;
+    const pageTargets = [window, document, container, canvas];
+
+    const before = tracker.live.filter(entry => pageTargets.includes(entry.target));
+    expect(before.map(entry => entry.type)).toEqual(expect.arrayContaining([
+      'resize', 'keydown', 'pointerdown', 'focusin',
+      'mousedown', 'mousemove', 'mouseup', 'mouseleave',
+      'touchstart', 'touchmove', 'touchend', 'touchcancel'
+    ]));
+
+    player.destroy();
+
+    expect(tracker.live.filter(entry => pageTargets.includes(entry.target))).toEqual([]);
+  });
+
+  it('should detach listeners from host elements and leave them in place', async () => {
+    const urlInput = document.createElement('input');
+    const urlButton = document.createElement('button');
+    document.body.append(urlInput, urlButton);
+
+    const player = new SpiralWaveformPlayer({ container, controls: 'none', elements: { urlInput, urlButton } });
+    await player.ready;
+
+    player.destroy();
+
+    expect(tracker.live.filter(entry => entry.target === urlInput || entry.target === urlButton)).toEqual([]);
+    expect(urlInput.isConnected).toBe(true);
+    expect(urlButton.isConnected).toBe(true);
+  });
+
+  it('should stop the animation loop', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'none' });
+    await player.ready;
+    const cancelAnimationFrame = vi.spyOn(window, 'cancelAnimationFrame');
+
+    player.destroy();
+    const requestAnimationFrame = vi.spyOn(window, 'requestAnimationFrame');
+    await wait(50);
+
+    expect(cancelAnimationFrame).toHaveBeenCalled();
+    expect(requestAnimationFrame).not.toHaveBeenCalled();
+  });
+
+  it('should ignore keyboard shortcuts once destroyed', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'none' });
+    await player.ready;
+    const togglePlayPause = vi.spyOn(player, 'togglePlayPause');
+
+    player.destroy();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+
+    expect(togglePlayPause).not.toHaveBeenCalled();
+  });
+
+  it('should release the audio buffers and remove the DOM it created', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'full' });
+    await player.ready;
+    await player.load({ peaks: [0.5, 0.25], duration: 2 });
+
+    player.destroy();
+
+    const state = getAudioState(player.scope.stateManager);
+    expect(state.audioBuffer).toBeNull();
+    expect(state.waveform).toBeNull();
+    expect(container.children).toHaveLength(0);
+    expect(player.canvas).toBeNull();
+  });
+
+  it('should remove the ErrorUI overlays with the last player only', async () => {
+    ErrorUI.initialize();
+    const first = new SpiralWaveformPlayer({ container, controls: 'none' });
+    const second = new SpiralWaveformPlayer({ container, controls: 'none' });
+    await Promise.all([first.ready, second.ready]);
+
+    first.destroy();
+    expect(document.getElementById('error-overlay')).not.toBeNull();
+
+    second.destroy();
+    expect(document.getElementById('error-overlay')).toBeNull();
+    expect(document.getElementById('loading-overlay')).toBeNull();
+    expect(document.getElementById('error-ui-styles')).toBeNull();
+  });
+
+  it('should be safe to call twice and keep cleanup() as an alias', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'none' });
+    await player.ready;
+
+    player.cleanup();
+
+    expect(player.destroyed).toBe(true);
+    expect(() => player.destroy()).not.toThrow();
+    expect(SpiralWaveformPlayer.getInstances()).not.toContain(player);
+  });
+
+  it('should build nothing when destroyed before initialization finishes', async () => {
+    const player = new SpiralWaveformPlayer({ container, controls: 'full' });
+
+    player.destroy();
+    await player.ready;
+
+    expect(container.children).toHaveLength(0);
+    expect(tracker.live.filter(entry => entry.target === window || entry.target === document)).toEqual([]);
+  });
+});
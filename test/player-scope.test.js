@@ -0,0 +1,171 @@
+/**
+ * Tests for player-scope.js
+ * Testing that several players on one page keep their state, playback and events apart
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PlayerScope, defaultScope, createPlayerScope } from '../js/player-scope.js';
+import { stateManager } from '../js/state-manager.js';
+import { renderState } from '../js/render-state.js';
+import { playbackEvents, PlayerEvents } from '../js/event-emitter.js';
+import { audioPlayback } from '../js/audio-playback.js';
+import { getAudioState, setAudioBuffer, setPlayhead } from '../js/audio-state.js';
+import { togglePlayPause, setVolume, seekToPosition } from '../js/audio-controls.js';
+import { startDragging, isDragging } from '../js/interaction-state-adapter.js';
+
+function createMockMediaElement(duration = 10) {
+  return {
+    duration,
+    currentTime: 0,
+    paused: true,
+    volume: 1,
+    src: 'test.mp3',
+    play: vi.fn(function() {
+      this.paused = false;
+      return Promise.resolve();
+    }),
+    pause: vi.fn(function() {
+      this.paused = true;
+    }),
+    load: vi.fn()
+  };
+}
+
+function loadUrlAudio(scope, element) {
+  scope.playback.setMediaElement(element);
+  const buffer = new AudioBuffer({ numberOfChannels: 1, length: 44100 * element.duration, sampleRate: 44100 });
+  setAudioBuffer(buffer, new Float32Array(100).fill(0.5), 0.5, scope.stateManager, element);
+}
+
+describe('player-scope.js - Per-player Scope', () => {
+  let scopeA;
+  let scopeB;
+
+  beforeEach(() => {
+    scopeA = createPlayerScope();
+    scopeB = createPlayerScope();
+  });
+
+  describe('createPlayerScope()', () => {
+    it('should create fresh state, render state, layers, events and playback', () => {
+      expect(scopeA).toBeInstanceOf(PlayerScope);
+      expect(scopeA.stateManager).not.toBe(scopeB.stateManager);
+      expect(scopeA.renderState).not.toBe(scopeB.renderState);
+      expect(scopeA.layerManager).not.toBe(scopeB.layerManager);
+      expect(scopeA.events).not.toBe(scopeB.events);
+      expect(scopeA.playback).not.toBe(scopeB.playback);
+    });
+
+    it('should not touch the shared singletons', () => {
+      expect(scopeA.stateManager).not.toBe(stateManager);
+      expect(scopeA.events).not.toBe(playbackEvents);
+    });
+  });
+
+  describe('defaultScope', () => {
+    it('should wrap the module singletons', () => {
+      expect(defaultScope.stateManager).toBe(stateManager);
+      expect(defaultScope.renderState).toBe(renderState);
+      expect(defaultScope.events).toBe(playbackEvents);
+      expect(defaultScope.playback).toBe(audioPlayback);
+    });
+  });
+
+  describe('Isolation', () => {
+    it('should keep audio state separate', () => {
+      loadUrlAudio(scopeA, createMockMediaElement(10));
+      setPlayhead(4, scopeA.stateManager);
+
+      expect(getAudioState(scopeA.stateManager).currentPlayhead).toBe(4);
+      expect(getAudioState(scopeA.stateManager).duration).toBe(10);
+      expect(getAudioState(scopeB.stateManager).audioBuffer).toBeNull();
+      expect(getAudioState(scopeB.stateManager).currentPlayhead).toBe(0);
+    });
+
+    it('should keep drag state separate', () => {
+      startDragging(0, 0.25, false, scopeA.stateManager);
+
+      expect(isDragging(scopeA.stateManager)).toBe(true);
+      expect(isDragging(scopeB.stateManager)).toBe(false);
+    });
+
+    it('should keep render dirty flags separate', () => {
+      scopeA.renderState.markAllClean();
+      scopeB.renderState.markAllClean();
+
+      scopeA.renderState.markDirty('playhead');
+
+      expect(scopeA.renderState.needsRedraw()).toBe(true);
+      expect(scopeB.renderState.needsRedraw()).toBe(false);
+    });
+
+    it('should play only the scope that was toggled', async () => {
+      const elementA = createMockMediaElement();
+      const elementB = createMockMediaElement();
+      loadUrlAudio(scopeA, elementA);
+      loadUrlAudio(scopeB, elementB);
+
+      const onPlayA = vi.fn();
+      const onPlayB = vi.fn();
+      scopeA.events.on(PlayerEvents.PLAY, onPlayA);
+      scopeB.events.on(PlayerEvents.PLAY, onPlayB);
+
+      const result = await togglePlayPause(scopeA);
+
+      expect(result).toBe(true);
+      expect(elementA.play).toHaveBeenCalled();
+      expect(elementB.play).not.toHaveBeenCalled();
+      expect(getAudioState(scopeA.stateManager).isPlaying).toBe(true);
+      expect(getAudioState(scopeB.stateManager).isPlaying).toBe(false);
+      expect(onPlayA).toHaveBeenCalledTimes(1);
+      expect(onPlayB).not.toHaveBeenCalled();
+    });
+
+    it('should seek only the given scope', () => {
+      const elementA = createMockMediaElement(10);
+      const elementB = createMockMediaElement(10);
+      loadUrlAudio(scopeA, elementA);
+      loadUrlAudio(scopeB, elementB);
+
+      expect(seekToPosition(0.5, scopeA)).toBe(true);
+
+      expect(elementA.currentTime).toBe(5);
+      expect(elementB.currentTime).toBe(0);
+      expect(getAudioState(scopeB.stateManager).currentPlayhead).toBe(0);
+    });
+
+    it('should apply volume per scope and emit on that scope only', () => {
+      const elementA = createMockMediaElement();
+      const elementB = createMockMediaElement();
+      loadUrlAudio(scopeA, elementA);
+      loadUrlAudio(scopeB, elementB);
+
+      const onVolumeA = vi.fn();
+      const onVolumeShared = vi.fn();
+      scopeA.events.on(PlayerEvents.VOLUME_CHANGE, onVolumeA);
+      const unsubscribe = playbackEvents.on(PlayerEvents.VOLUME_CHANGE, onVolumeShared);
+
+      setVolume(0.3, scopeA);
+      unsubscribe();
+
+      expect(elementA.volume).toBe(0.3);
+      expect(elementB.volume).toBe(1);
+      expect(getAudioState(scopeA.stateManager).volume).toBe(0.3);
+      expect(onVolumeA).toHaveBeenCalledWith({ volume: 0.3 });
+      expect(onVolumeShared).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('AudioPlayback media element', () => {
+    it('should release the element on dispose', () => {
+      const element = createMockMediaElement();
+      scopeA.playback.setMediaElement(element);
+
+      scopeA.playback.dispose();
+
+      expect(element.pause).toHaveBeenCalled();
+      expect(element.src).toBe('');
+      expect(scopeA.playback.getMediaElement()).toBeNull();
+    });
+  });
+});
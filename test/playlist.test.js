@@ -0,0 +1,463 @@
+/**
+ * Tests for playlist.js
+ * Testing queue order, repeat/shuffle, persistence, preloading and player auto-advance
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Playlist, RepeatModes, decodePlaylistItem, createPlaylistItem } from '../js/playlist.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer, setPlayhead, setPlayingState } from '../js/audio-state.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { LoadErrorCodes } from '../js/source-loader.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+import { createAnimationLoop } from '../js/animation.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Track URLs whose file name gives the decoded duration, e.g. /tracks/12.mp3
+const trackUrl = (seconds) => `https://example.com/tracks/${seconds}.mp3`;
+
+// Download that only ends when its signal aborts
+const hangUntilAborted = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const respondWithTrack = (url) => {
+  const seconds = Number(url.match(/(\d+)\.mp3$/)?.[1]);
+  if (!seconds) return Promise.resolve({ ok: false, status: 404 });
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: new Headers({ 'content-type': 'audio/mpeg' }),
+    arrayBuffer: async () => new Uint8Array([seconds]).buffer
+  });
+};
+
+describe('playlist.js - Queue, repeat and shuffle', () => {
+  describe('Playlist', () => {
+    let playlist;
+
+    beforeEach(() => {
+      playlist = new Playlist();
+    });
+
+    it('should add URLs and files, resolving relative URLs against the page', () => {
+      const file = new File(['x'], 'local.wav', { type: 'audio/wav' });
+
+      const items = playlist.add(['tracks/a.mp3', trackUrl(5), file]);
+
+      expect(items.map(item => item.kind)).toEqual(['url', 'url', 'file']);
+      expect(items[0].url).toBe(new URL('tracks/a.mp3', window.location.href).href);
+      expect(items[0].name).toBe('a.mp3');
+      expect(items[2]).toMatchObject({ name: 'local.wav', file });
+      expect(new Set(items.map(item => item.id)).size).toBe(3);
+    });
+
+    it('should reject anything else without adding part of the batch', () => {
+      expect(() => playlist.add([trackUrl(1), 42])).toThrow(ValidationError);
+      expect(() => playlist.add(['ftp://example.com/a.mp3'])).toThrow(ValidationError);
+      expect(() => playlist.add(trackUrl(1))).toThrow(ValidationError);
+      expect(() => createPlaylistItem('', 1)).toThrow(ValidationError);
+      expect(playlist.length).toBe(0);
+    });
+
+    it('should step forward and back, stopping at the ends with repeat off', () => {
+      playlist.add([trackUrl(1), trackUrl(2), trackUrl(3)]);
+
+      expect(playlist.getNextIndex()).toBe(0);
+      playlist.setCurrent(2);
+      expect(playlist.getNextIndex()).toBe(-1);
+      expect(playlist.getPreviousIndex()).toBe(1);
+      playlist.setCurrent(0);
+      expect(playlist.getPreviousIndex()).toBe(-1);
+    });
+
+    it('should wrap with repeat all and replay the ended item with repeat one', () => {
+      playlist.add([trackUrl(1), trackUrl(2), trackUrl(3)]);
+      playlist.setCurrent(2);
+
+      playlist.setRepeat(RepeatModes.ALL);
+      expect(playlist.getNextIndex()).toBe(0);
+      playlist.setCurrent(0);
+      expect(playlist.getPreviousIndex()).toBe(2);
+
+      playlist.setRepeat(RepeatModes.ONE);
+      expect(playlist.getNextIndex({ auto: true })).toBe(0);
+      // Skipping by hand still moves on
+      expect(playlist.getNextIndex()).toBe(1);
+
+      expect(() => playlist.setRepeat('forever')).toThrow(ValidationError);
+    });
+
+    it('should shuffle every item once, starting from the current one', () => {
+      playlist.add([1, 2, 3, 4, 5, 6].map(trackUrl));
+      playlist.setCurrent(3);
+
+      playlist.setShuffle(true);
+      const visited = [3];
+      for (let index = playlist.getNextIndex(); index !== -1; index = playlist.getNextIndex()) {
+        visited.push(index);
+        playlist.setCurrent(index);
+      }
+
+      expect(visited.slice().sort()).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(() => playlist.setShuffle('yes')).toThrow(ValidationError);
+    });
+
+    it('should keep the current item when an earlier one is removed', () => {
+      playlist.add([trackUrl(1), trackUrl(2), trackUrl(3)]);
+      playlist.setCurrent(2);
+
+      expect(playlist.remove(0).url).toBe(trackUrl(1));
+      expect(playlist.currentIndex).toBe(1);
+      expect(playlist.current.url).toBe(trackUrl(3));
+
+      playlist.remove(1);
+      expect(playlist.currentIndex).toBe(-1);
+      expect(playlist.remove(7)).toBeNull();
+    });
+
+    it('should carry on from the place of a removed current item', () => {
+      playlist.add([1, 2, 3, 4].map(trackUrl));
+      playlist.setCurrent(1);
+
+      playlist.remove(1);
+      expect(playlist.currentIndex).toBe(-1);
+      expect(playlist.hasPosition).toBe(true);
+      expect(playlist.getNextIndex({ auto: true })).toBe(1);
+      expect(playlist.getPreviousIndex()).toBe(0);
+
+      // Removing an earlier item keeps the place
+      playlist.remove(0);
+      expect(playlist.getNextIndex()).toBe(0);
+      expect(playlist.getPreviousIndex()).toBe(-1);
+
+      playlist.setRepeat(RepeatModes.ALL);
+      expect(playlist.getPreviousIndex()).toBe(1);
+
+      playlist.setCurrent(-1);
+      expect(playlist.hasPosition).toBe(false);
+    });
+
+    it('should persist URL items only and restore them', () => {
+      playlist.add([trackUrl(1), new File(['x'], 'local.wav'), trackUrl(2)]);
+      playlist.setCurrent(2);
+      playlist.setRepeat(RepeatModes.ALL);
+
+      const saved = JSON.parse(JSON.stringify(playlist));
+      expect(saved).toEqual({
+        items: [{ url: trackUrl(1), name: '1.mp3' }, { url: trackUrl(2), name: '2.mp3' }],
+        currentIndex: 1,
+        repeat: 'all',
+        shuffle: false
+      });
+
+      const restored = new Playlist();
+      restored.restore(saved);
+      expect(restored.getSnapshot()).toMatchObject({ currentIndex: 1, repeat: 'all', shuffle: false });
+      expect(restored.getSnapshot().items.map(item => item.url)).toEqual([trackUrl(1), trackUrl(2)]);
+    });
+
+    it('should leave the playlist untouched when a saved one is malformed', () => {
+      playlist.add([trackUrl(1)]);
+
+      expect(() => playlist.restore({ items: [{ url: 'javascript:alert(1)' }] })).toThrow(ValidationError);
+      expect(() => playlist.restore({ items: [{ url: trackUrl(2) }], repeat: 'sometimes' })).toThrow(ValidationError);
+      expect(() => playlist.restore('tracks')).toThrow(ValidationError);
+
+      expect(playlist.getSnapshot().items.map(item => item.url)).toEqual([trackUrl(1)]);
+      expect(playlist.repeat).toBe('off');
+    });
+  });
+
+  describe('decodePlaylistItem()', () => {
+    let originalAudioContext;
+    let originalFetch;
+
+    beforeEach(() => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn(respondWithTrack);
+    });
+
+    afterEach(() => {
+      window.AudioContext = originalAudioContext;
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should download and decode a URL item', async () => {
+      const [item] = new Playlist().add([trackUrl(4)]);
+
+      const result = await decodePlaylistItem(item);
+
+      expect(fetch).toHaveBeenCalledWith(trackUrl(4), { signal: undefined });
+      expect(result.info).toMatchObject({ duration: 4, name: '4.mp3' });
+    });
+
+    it('should fail with FETCH_FAILED when the download does', async () => {
+      const [item] = new Playlist().add(['https://example.com/missing.mp3']);
+
+      await expect(decodePlaylistItem(item)).rejects.toMatchObject({ code: LoadErrorCodes.FETCH_FAILED });
+    });
+
+    it('should fail with FETCH_FAILED when the body cannot be read', async () => {
+      const failure = new TypeError('Network connection lost');
+      fetch.mockResolvedValue({ ok: true, status: 200, headers: new Headers(), arrayBuffer: () => Promise.reject(failure) });
+      const [item] = new Playlist().add([trackUrl(4)]);
+
+      await expect(decodePlaylistItem(item)).rejects.toMatchObject({ code: LoadErrorCodes.FETCH_FAILED, cause: failure });
+    });
+
+    it('should stop the download when its signal aborts', async () => {
+      fetch.mockImplementation(hangUntilAborted);
+      const [item] = new Playlist().add([trackUrl(4)]);
+      const controller = new AbortController();
+
+      const decoding = decodePlaylistItem(item, { signal: controller.signal });
+      controller.abort();
+
+      await expect(decoding).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('createAnimationLoop() onTrackEnd', () => {
+    it('should report the end of the track once', () => {
+      const scope = new PlayerScope();
+      const onTrackEnd = vi.fn();
+      const visualState = { animationProgress: 1, isDragging: false, wasPlaying: false };
+      const animate = createAnimationLoop(() => {}, visualState, scope, { onTrackEnd });
+      const buffer = new AudioBuffer({ numberOfChannels: 1, length: 8000 * 10, sampleRate: 8000 });
+      setAudioBuffer(buffer, new Float32Array(10), 1, scope.stateManager);
+
+      setPlayingState(true, scope.stateManager);
+      animate(1000);
+      setPlayingState(false, scope.stateManager);
+      setPlayhead(10, scope.stateManager);
+      animate(2000);
+      animate(3000);
+
+      expect(onTrackEnd).toHaveBeenCalledTimes(1);
+      animate.stop();
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+    let originalAudioContext;
+    let originalFetch;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: { playlist: true }, mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      player.ctx.roundRect ??= () => {};
+      return player;
+    };
+
+    // What the animation loop sees when the track plays out
+    const endTrack = (player) => {
+      setPlayingState(false, player.scope.stateManager);
+      setPlayhead(player.getDuration(), player.scope.stateManager);
+      player.visualState.wasPlaying = true;
+      player._animationLoop(performance.now() + 1000);
+    };
+
+    beforeEach(() => {
+      originalAudioContext = window.AudioContext;
+      window.AudioContext = FakeAudioContext;
+      originalFetch = globalThis.fetch;
+      globalThis.fetch = vi.fn(respondWithTrack);
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(async () => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+      await AudioContextManager.dispose();
+      window.AudioContext = originalAudioContext;
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should play an enqueued item and emit playlistchange', async () => {
+      const player = await createPlayer();
+      const onChange = vi.fn();
+      player.on('playlistchange', onChange);
+
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+      AudioContextManager.getContext().currentTime = 1;
+      expect(await player.playItem(0)).toBe(true);
+
+      expect(player.getDuration()).toBe(10);
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getPlaylist().currentIndex).toBe(0);
+      expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+        playlist: expect.objectContaining({ currentIndex: 0, repeat: 'off', shuffle: false })
+      }));
+      await expect(player.playItem(5)).rejects.toThrow(ValidationError);
+    });
+
+    it('should decode the next item in the background and use it on next()', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+
+      await player.playItem(0);
+      await flush();
+      expect(fetch).toHaveBeenCalledWith(trackUrl(20), { signal: expect.any(AbortSignal) });
+      const fetches = fetch.mock.calls.length;
+
+      expect(await player.next()).toBe(true);
+
+      expect(fetch).toHaveBeenCalledTimes(fetches);
+      expect(player.getDuration()).toBe(20);
+      expect(await player.next()).toBe(false);
+    });
+
+    it('should cancel the background download when another item comes next', async () => {
+      const player = await createPlayer();
+      fetch.mockImplementation((url, options) => (url === trackUrl(20) ? hangUntilAborted(url, options) : respondWithTrack(url)));
+      player.enqueue([trackUrl(10), trackUrl(20), trackUrl(30)]);
+      await player.playItem(0);
+      const [, { signal }] = fetch.mock.calls.find(([url]) => url === trackUrl(20));
+      expect(signal.aborted).toBe(false);
+
+      player.dequeue(1);
+
+      expect(signal.aborted).toBe(true);
+      expect(fetch).toHaveBeenCalledWith(trackUrl(30), { signal: expect.any(AbortSignal) });
+      expect(await player.next()).toBe(true);
+      expect(player.getDuration()).toBe(30);
+    });
+
+    it('should cancel an item still downloading and leave the playlist as it was', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20), trackUrl(30)]);
+      await player.playItem(0);
+      const aborted = vi.fn();
+      player.on('loadabort', aborted);
+      fetch.mockImplementation(hangUntilAborted);
+
+      const playing = player.playItem(2);
+      await flush();
+      const [, { signal }] = fetch.mock.calls.find(([url]) => url === trackUrl(30));
+      expect(player.cancelLoad()).toBe(true);
+
+      expect(await playing).toBe(false);
+      expect(signal.aborted).toBe(true);
+      expect(aborted).toHaveBeenCalledTimes(1);
+      expect(aborted.mock.calls[0][0].source).toMatchObject({ url: trackUrl(10) });
+      expect(player.getPlaylist().currentIndex).toBe(0);
+      expect(player.getDuration()).toBe(10);
+    });
+
+    it('should keep the current item when another one fails to load', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), 'https://example.com/missing.mp3']);
+      await player.playItem(0);
+
+      expect(await player.playItem(1)).toBe(false);
+
+      expect(player.getPlaylist().currentIndex).toBe(0);
+      expect(player.getDuration()).toBe(10);
+    });
+
+    it('should advance when a track ends and stop after the last one', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+      await player.playItem(0);
+
+      endTrack(player);
+      await vi.waitFor(() => expect(player.getDuration()).toBe(20));
+      expect(player.getPlaylist().currentIndex).toBe(1);
+
+      endTrack(player);
+      await flush();
+      expect(player.getPlaylist().currentIndex).toBe(1);
+      expect(player.isPlaying()).toBe(false);
+    });
+
+    it('should replay the item with repeat one and wrap with repeat all', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+      await player.playItem(1);
+
+      player.setRepeat(RepeatModes.ONE);
+      endTrack(player);
+      await vi.waitFor(() => expect(player.isPlaying()).toBe(true));
+      expect(player.getDuration()).toBe(20);
+
+      player.setRepeat(RepeatModes.ALL);
+      endTrack(player);
+      await vi.waitFor(() => expect(player.getDuration()).toBe(10));
+      expect(player.getPlaylist().currentIndex).toBe(0);
+    });
+
+    it('should advance to the following item when the playing one was removed', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20), trackUrl(30)]);
+      await player.playItem(1);
+
+      player.dequeue(1);
+      endTrack(player);
+      await vi.waitFor(() => expect(player.getDuration()).toBe(30));
+      expect(player.getPlaylist().currentIndex).toBe(1);
+    });
+
+    it('should not advance after a track loaded outside the playlist', async () => {
+      const player = await createPlayer();
+      player.enqueue([trackUrl(10), trackUrl(20)]);
+      await player.playItem(0);
+
+      await player.load({ peaks: [0.5], duration: 30 });
+      endTrack(player);
+      await flush();
+
+      expect(player.getPlaylist().currentIndex).toBe(-1);
+      expect(player.getDuration()).toBe(30);
+    });
+
+    it('should save the queue and restore it in the next player', async () => {
+      const first = await createPlayer();
+      first.enqueue([trackUrl(10), new File(['x'], 'local.wav'), trackUrl(20)]);
+      first.setRepeat(RepeatModes.ALL);
+      first.setShuffle(true);
+
+      const second = await createPlayer();
+
+      expect(SettingsManager.get('playlist').items).toHaveLength(2);
+      expect(second.getPlaylist()).toMatchObject({ repeat: 'all', shuffle: true });
+      expect(second.getPlaylist().items.map(item => item.url)).toEqual([trackUrl(10), trackUrl(20)]);
+    });
+
+    it('should list the queue below the canvas and act on its buttons', async () => {
+      const player = await createPlayer();
+      const root = container.querySelector('.playlist');
+      expect(root.hidden).toBe(true);
+      expect(player.canvas.nextElementSibling).toBe(root);
+
+      player.enqueue([trackUrl(10), trackUrl(20), trackUrl(30)]);
+      expect(root.hidden).toBe(false);
+      expect([...root.querySelectorAll('.playlist-item-name')].map(button => button.textContent))
+        .toEqual(['10.mp3', '20.mp3', '30.mp3']);
+
+      root.querySelectorAll('.playlist-item-name')[1].click();
+      await vi.waitFor(() => expect(player.getDuration()).toBe(20));
+      expect(root.querySelector('.current').textContent).toContain('20.mp3');
+
+      root.querySelectorAll('.playlist-item-remove')[0].click();
+      root.querySelector('[data-action="repeat"]').click();
+      root.querySelector('[data-action="shuffle"]').click();
+      expect(player.getPlaylist()).toMatchObject({ currentIndex: 0, repeat: 'all', shuffle: true });
+      expect(root.querySelectorAll('.playlist-item')).toHaveLength(2);
+
+      player.destroy();
+      expect(container.querySelector('.playlist')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Tests for resume positions
+ * Testing the track keys and fingerprints, the expiry and size limit of the
+ * saved positions, and the player's save, offer, auto-resume and prompt bar
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  ResumeModes,
+  validateResumeMode,
+  getContentFingerprint,
+  getResumeKey,
+  isResumable,
+  isResumePosition,
+  readResumePosition,
+  storeResumePosition
+} from '../js/resume-position.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// AudioBuffer (the setup file's stand-in) with one recognizable sample
+class MarkedBuffer extends AudioBuffer {
+  constructor(mark, seconds = 120, sampleRate = 8000) {
+    super({ numberOfChannels: 1, length: seconds * sampleRate, sampleRate });
+    this.samples = new Float32Array(this.length);
+    this.samples[0] = mark;
+  }
+
+  getChannelData() {
+    return this.samples;
+  }
+}
+
+const createPosition = (changes = {}) => ({
+  time: 60,
+  duration: 120,
+  playbackRate: 1,
+  loopRegion: null,
+  volume: 1,
+  savedAt: 1000,
+  ...changes
+});
+
+describe('Resume positions', () => {
+  describe('track keys', () => {
+    it('should key URL tracks by URL and local audio by its content', () => {
+      const buffer = new MarkedBuffer(0.5);
+      expect(getResumeKey({ kind: 'url', name: 'a.mp3', url: 'https://example.com/a.mp3' }, buffer)).toBe('url:https://example.com/a.mp3');
+      expect(getResumeKey({ kind: 'file', name: 'a.wav' }, buffer)).toBe(getContentFingerprint(buffer));
+      // A renamed copy of the same recording resumes too
+      expect(getResumeKey({ kind: 'file', name: 'copy.wav' }, new MarkedBuffer(0.5))).toBe(getResumeKey({ kind: 'file', name: 'a.wav' }, buffer));
+      expect(getResumeKey({ kind: 'peaks', name: 'a' }, buffer)).toBeNull();
+      expect(getResumeKey(null, null)).toBeNull();
+    });
+
+    it('should tell different recordings apart', () => {
+      const key = getContentFingerprint(new MarkedBuffer(0.5));
+      expect(key).toMatch(/^pcm:1:8000:960000:[0-9a-f]{8}$/);
+      expect(getContentFingerprint(new MarkedBuffer(0.25))).not.toBe(key);
+      expect(getContentFingerprint(new MarkedBuffer(0.5, 100))).not.toBe(key);
+    });
+
+    it('should validate the resume mode', () => {
+      Object.values(ResumeModes).forEach(mode => expect(() => validateResumeMode(mode)).not.toThrow());
+      expect(() => validateResumeMode('always')).toThrow(ValidationError);
+    });
+  });
+
+  describe('saved positions', () => {
+    it('should only keep positions away from either end', () => {
+      expect(isResumable(CONFIG.RESUME_MIN_POSITION - 1, 120)).toBe(false);
+      expect(isResumable(60, 120)).toBe(true);
+      expect(isResumable(120 - CONFIG.RESUME_END_MARGIN + 1, 120)).toBe(false);
+    });
+
+    it('should recognize positions read back from storage', () => {
+      expect(isResumePosition(createPosition({ loopRegion: { start: 10, end: 20 } }))).toBe(true);
+      expect(isResumePosition(createPosition({ playbackRate: 8 }))).toBe(false);
+      expect(isResumePosition(createPosition({ volume: -1 }))).toBe(false);
+      expect(isResumePosition(createPosition({ loopRegion: { start: 'a' } }))).toBe(false);
+      expect(isResumePosition('60')).toBe(false);
+    });
+
+    it('should read a copy of a position that still fits the track', () => {
+      const saved = { a: createPosition({ loopRegion: { start: 10, end: 20 } }) };
+      const position = readResumePosition(saved, 'a', 120.2, 2000);
+      expect(position).toEqual(saved.a);
+      position.loopRegion.start = 0;
+      expect(saved.a.loopRegion.start).toBe(10);
+
+      expect(readResumePosition(saved, 'b', 120, 2000)).toBeNull();
+      expect(readResumePosition(null, 'a', 120, 2000)).toBeNull();
+      // The track changed length, or the position would now be too close to the end
+      expect(readResumePosition(saved, 'a', 130, 2000)).toBeNull();
+      expect(readResumePosition({ a: createPosition({ time: 110, duration: 120 }) }, 'a', 120, 2000)).toBeNull();
+    });
+
+    it('should expire old positions', () => {
+      const saved = { a: createPosition() };
+      const expiry = 1000 + CONFIG.RESUME_EXPIRY_DAYS * DAY;
+      expect(readResumePosition(saved, 'a', 120, expiry)).not.toBeNull();
+      expect(readResumePosition(saved, 'a', 120, expiry + 1)).toBeNull();
+
+      const stored = storeResumePosition(saved, 'b', createPosition({ savedAt: expiry + 1 }), expiry + 1);
+      expect(Object.keys(stored)).toEqual(['b']);
+    });
+
+    it('should keep the most recently saved positions up to the limit', () => {
+      let saved = null;
+      for (let i = 0; i < CONFIG.RESUME_SAVED_TRACKS + 2; i++) {
+        saved = storeResumePosition(saved, `track-${i}`, createPosition(), 2000);
+      }
+      // Saving again moves a track to the end
+      saved = storeResumePosition(saved, 'track-2', createPosition({ time: 70 }), 2000);
+
+      const keys = Object.keys(saved);
+      expect(keys).toHaveLength(CONFIG.RESUME_SAVED_TRACKS);
+      expect(keys[0]).toBe('track-3');
+      expect(keys.at(-1)).toBe('track-2');
+      expect(saved['track-2'].time).toBe(70);
+
+      saved = storeResumePosition(saved, 'track-2', null, 2000);
+      expect(saved).not.toHaveProperty('track-2');
+      expect(storeResumePosition({ bad: { time: 'x' } }, 'a', null, 2000)).toEqual({});
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    // Leave the first track at 50s, 1.5× speed, looping 40-60s at 0.5 volume
+    const leaveTrack = async (player, buffer) => {
+      await player.load(buffer, { name: 'talk.wav' });
+      player.setVolume(0.5);
+      player.setPlaybackRate(1.5);
+      player.setLoopRegion(40, 60);
+      player.seekTo(50);
+    };
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should save the position and offer it when the track loads again', async () => {
+      const player = await createPlayer();
+      const talk = new MarkedBuffer(0.5);
+      await leaveTrack(player, talk);
+
+      const key = getContentFingerprint(talk);
+      expect(SettingsManager.get('positions')[key]).toMatchObject({
+        time: 50, duration: 120, playbackRate: 1.5, loopRegion: { start: 40, end: 60 }, volume: 0.5
+      });
+
+      await player.load(new MarkedBuffer(0.25), { name: 'other.wav' });
+      player.setVolume(1);
+      player.setPlaybackRate(1);
+      const onAvailable = vi.fn();
+      player.on('resumeavailable', onAvailable);
+
+      await player.load(new MarkedBuffer(0.5), { name: 'renamed.wav' });
+
+      expect(onAvailable).toHaveBeenCalledTimes(1);
+      expect(onAvailable.mock.calls[0][0]).toMatchObject({ type: 'resumeavailable', position: { time: 50, playbackRate: 1.5 } });
+      expect(player.getCurrentTime()).toBe(0);
+      expect(player.getSavedPosition()).toMatchObject({ time: 50 });
+
+      expect(player.resumePosition()).toMatchObject({ time: 50 });
+      expect(player.getCurrentTime()).toBe(50);
+      expect(player.getPlaybackRate()).toBe(1.5);
+      expect(player.getLoopRegion()).toEqual({ start: 40, end: 60 });
+      expect(SettingsManager.get('volume')).toBe(0.5);
+    });
+
+    it('should keep the saved position until the offer is answered', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      const player = await createPlayer();
+      const key = getContentFingerprint(new MarkedBuffer(0.5));
+      SettingsManager.update('positions', { [key]: createPosition({ savedAt: Date.now() }) });
+
+      await player.load(new MarkedBuffer(0.5), { name: 'talk.wav' });
+      // Pausing at the top while the offer is open does not overwrite it
+      player.pause();
+      expect(SettingsManager.get('positions')[key].time).toBe(60);
+
+      vi.advanceTimersByTime(CONFIG.RESUME_PROMPT_DURATION);
+      expect(player.dismissResume()).toBe(false);
+      // The next save replaces it: near the start, the position is forgotten
+      player.seekTo(5);
+      expect(SettingsManager.get('positions')).not.toHaveProperty(key);
+      expect(player.resumePosition()).toBeNull();
+    });
+
+    it('should answer the offer by seeking elsewhere', async () => {
+      const player = await createPlayer();
+      const key = getContentFingerprint(new MarkedBuffer(0.5));
+      SettingsManager.update('positions', { [key]: createPosition({ savedAt: Date.now() }) });
+
+      await player.load(new MarkedBuffer(0.5), { name: 'talk.wav' });
+      player.seekTo(90);
+
+      expect(player.getSavedPosition()).toMatchObject({ time: 90 });
+    });
+
+    it('should jump straight back with resume: auto and ignore positions with resume: off', async () => {
+      const key = getContentFingerprint(new MarkedBuffer(0.5));
+      SettingsManager.update('positions', { [key]: createPosition({ playbackRate: 1.25, savedAt: Date.now() }) });
+
+      const auto = await createPlayer({ resume: 'auto' });
+      const onAvailable = vi.fn();
+      auto.on('resumeavailable', onAvailable);
+      await auto.load(new MarkedBuffer(0.5), { name: 'talk.wav' });
+      expect(auto.getCurrentTime()).toBe(60);
+      expect(auto.getPlaybackRate()).toBe(1.25);
+      expect(onAvailable).not.toHaveBeenCalled();
+
+      const off = await createPlayer({ resume: 'off' });
+      await off.load(new MarkedBuffer(0.5), { name: 'talk.wav' });
+      expect(off.getCurrentTime()).toBe(0);
+      expect(off.getSavedPosition()).toBeNull();
+      off.seekTo(80);
+      expect(SettingsManager.get('positions')[key].time).toBe(60);
+
+      expect(() => new SpiralWaveformPlayer({ container, resume: 'sometimes' })).toThrow(ValidationError);
+    });
+
+    it('should save the position when the player is destroyed', async () => {
+      const player = await createPlayer();
+      const talk = new MarkedBuffer(0.5);
+      await player.load(talk, { name: 'talk.wav' });
+      player.seekTo(45);
+      SettingsManager.update('positions', null);
+
+      player.destroy();
+
+      expect(SettingsManager.get('positions')[getContentFingerprint(talk)].time).toBe(45);
+    });
+
+    it('should offer the position in the prompt bar', async () => {
+      const player = await createPlayer({ controls: { resumePrompt: true } });
+      const { root, message } = player.resumePromptUI;
+      expect(root.hidden).toBe(true);
+
+      // An hour-long recording left at 42:10
+      const key = getContentFingerprint(new MarkedBuffer(0.5, 3600, 100));
+      SettingsManager.update('positions', { [key]: createPosition({ time: 42 * 60 + 10, duration: 3600, savedAt: Date.now() }) });
+      await player.load(new MarkedBuffer(0.5, 3600, 100), { name: 'talk.wav' });
+      expect(root.hidden).toBe(false);
+      expect(message.textContent).toBe('Resume from 42:10?');
+
+      const play = vi.spyOn(player, 'play').mockResolvedValue();
+      root.querySelector('[data-action="resume"]').click();
+      expect(root.hidden).toBe(true);
+      expect(player.getCurrentTime()).toBe(42 * 60 + 10);
+      expect(play).toHaveBeenCalled();
+    });
+  });
+});
@@ -7,9 +7,10 @@
  * - Web Audio API mocks
  * - Canvas API mocks
  * - Performance API mocks
+ * - Fake Web Audio graph for tests that drive a whole player
  */
 
-import { vi } from 'vitest';
+import { vi, beforeEach } from 'vitest';
 
 // Mock Web Audio API
 const createMockAudioContext = () => ({
@@ -20,9 +21,21 @@ const createMockAudioContext = () => ({
       value: 1,
       setValueAtTime: vi.fn(),
       linearRampToValueAtTime: vi.fn(),
-      exponentialRampToValueAtTime: vi.fn()
+      exponentialRampToValueAtTime: vi.fn(),
+      cancelScheduledValues: vi.fn()
     }
   })),
+  createChannelSplitter: vi.fn(() => ({ connect: vi.fn(), disconnect: vi.fn() })),
+  createChannelMerger: vi.fn(() => ({ connect: vi.fn(), disconnect: vi.fn() })),
+  createBiquadFilter: vi.fn(() => ({
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    type: 'lowpass',
+    frequency: { value: 350 },
+    gain: { value: 0 },
+    Q: { value: 1 },
+    getFrequencyResponse: vi.fn()
+  })),
   createBufferSource: vi.fn(() => ({
     buffer: null,
     connect: vi.fn(),
@@ -94,6 +107,166 @@ class MockAudioNode {
 }
 global.AudioNode = MockAudioNode;
 
+// Fake Web Audio graph for tests that drive a whole player
+// Plain methods (not vi.fn) so mockReset between tests leaves them working
+
+// Automation param that records every scheduled change
+// and applies it at once: the last scheduled value wins
+export class FakeAudioParam {
+  constructor(value) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.value = value;
+    this.events.push(['set', value, time]);
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.value = value;
+    this.events.push(['linear', value, time]);
+  }
+
+  setValueCurveAtTime(curve, time, duration) {
+    this.value = curve[curve.length - 1];
+    this.events.push(['curve', curve, time, duration]);
+  }
+
+  cancelScheduledValues(time) {
+    this.events.push(['cancel', time]);
+  }
+}
+
+// Audio node that records what it is connected to
+// `connections` lists destinations, `routes` adds the output/input indices
+export class FakeAudioNode {
+  constructor(kind) {
+    this.kind = kind;
+    this.connections = [];
+    this.routes = [];
+  }
+
+  get connected() {
+    return this.connections.length > 0;
+  }
+
+  connect(destination, output = 0, input = 0) {
+    this.connections.push(destination);
+    this.routes.push({ destination, output, input });
+    return destination;
+  }
+
+  disconnect() {
+    this.connections = [];
+    this.routes = [];
+  }
+}
+
+// Buffer source that remembers how it was started and stopped
+export class FakeAudioBufferSource extends FakeAudioNode {
+  constructor() {
+    super('source');
+    this.buffer = null;
+    this.onended = null;
+    this.loop = false;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this.playbackRate = new FakeAudioParam(1);
+    this.output = null;
+    this.startedAt = null;
+    this.offset = null;
+    this.stopped = false;
+    this.stoppedAt = null;
+  }
+
+  connect(destination, output, input) {
+    this.output = destination;
+    return super.connect(destination, output, input);
+  }
+
+  start(when, offset) {
+    this.startedAt = when;
+    this.offset = offset;
+  }
+
+  stop(when = 0) {
+    this.stopped = true;
+    this.stoppedAt = when;
+  }
+
+  addEventListener() {}
+}
+
+// AudioContext with a recording graph; subclass it to change decoding
+// or the sample rate
+export class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.sampleRate = 44100;
+    this.currentTime = 0;
+    this.destination = new FakeAudioNode('destination');
+    this.gains = [];
+    this.sources = [];
+    this.mediaSources = [];
+  }
+
+  createGain() {
+    const gain = Object.assign(new FakeAudioNode('gain'), { gain: new FakeAudioParam(1) });
+    this.gains.push(gain);
+    return gain;
+  }
+
+  createChannelSplitter() {
+    return new FakeAudioNode('splitter');
+  }
+
+  createChannelMerger() {
+    return new FakeAudioNode('merger');
+  }
+
+  // Flat response scaled by the gain (enough to check how bands add up)
+  createBiquadFilter() {
+    return Object.assign(new FakeAudioNode('biquad'), {
+      type: 'lowpass',
+      frequency: new FakeAudioParam(350),
+      gain: new FakeAudioParam(0),
+      Q: new FakeAudioParam(1),
+      getFrequencyResponse(frequencies, magnitude) {
+        magnitude.fill(10 ** (this.gain.value / 20));
+      }
+    });
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new AudioBuffer({ numberOfChannels, length, sampleRate });
+  }
+
+  createBufferSource() {
+    const source = new FakeAudioBufferSource();
+    this.sources.push(source);
+    return source;
+  }
+
+  // The first byte of the "encoded" audio is its duration in seconds
+  async decodeAudioData(bytes) {
+    const seconds = new Uint8Array(bytes)[0];
+    return new AudioBuffer({ numberOfChannels: 1, length: seconds * 8000, sampleRate: 8000 });
+  }
+
+  createMediaElementSource(element) {
+    const source = Object.assign(new FakeAudioNode('media'), { mediaElement: element });
+    this.mediaSources.push(source);
+    return source;
+  }
+
+  async resume() {}
+
+  async close() {
+    this.state = 'closed';
+  }
+}
+
 // Mock OffscreenCanvas (for layer-manager tests)
 global.OffscreenCanvas = class OffscreenCanvas {
   constructor(width, height) {
@@ -146,6 +319,9 @@ global.OffscreenCanvas = class OffscreenCanvas {
   }
 };
 
+// waveform-draw.js polyfills roundRect on the 2D context prototype at import time
+globalThis.CanvasRenderingContext2D ??= class CanvasRenderingContext2D {};
+
 // Mock Canvas API
 HTMLCanvasElement.prototype.getContext = vi.fn(function(type, options) {
   return {
@@ -186,6 +362,9 @@ HTMLCanvasElement.prototype.getContext = vi.fn(function(type, options) {
     createRadialGradient: vi.fn(() => ({
       addColorStop: vi.fn()
     })),
+    createConicGradient: vi.fn(() => ({
+      addColorStop: vi.fn()
+    })),
     globalAlpha: 1,
     globalCompositeOperation: 'source-over',
     fillStyle: '#000',
@@ -228,16 +407,29 @@ global.performance.memory = {
   jsHeapSizeLimit: 2000000000
 };
 
-// Mock localStorage
+// Mock localStorage, backed by a store that is emptied before each test
+// The spies are recreated each time so mockReset and per-test overrides don't leak
+const localStorageStore = new Map();
 const localStorageMock = {
-  getItem: vi.fn(),
-  setItem: vi.fn(),
-  removeItem: vi.fn(),
-  clear: vi.fn(),
-  length: 0,
-  key: vi.fn()
+  get length() {
+    return localStorageStore.size;
+  }
 };
 
+function resetLocalStorage() {
+  localStorageStore.clear();
+  Object.assign(localStorageMock, {
+    getItem: vi.fn(key => localStorageStore.get(String(key)) ?? null),
+    setItem: vi.fn((key, value) => { localStorageStore.set(String(key), String(value)); }),
+    removeItem: vi.fn(key => { localStorageStore.delete(String(key)); }),
+    clear: vi.fn(() => localStorageStore.clear()),
+    key: vi.fn(index => [...localStorageStore.keys()][index] ?? null)
+  });
+}
+
+resetLocalStorage();
+beforeEach(resetLocalStorage);
+
 global.localStorage = localStorageMock;
 
 // Mock console methods for cleaner test output
@@ -0,0 +1,380 @@
+/**
+ * Tests for the J/K/L shuttle and single steps
+ * Testing the shuttle speed ramp, the step units and grid, reverse playback of
+ * decoded audio (reversed copy, position, loop region, stopping at the start),
+ * and the player's keyboard transport
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SHUTTLE_SPEEDS,
+  StepUnits,
+  StepDefaults,
+  validateShuttleSpeed,
+  getNextShuttleSpeed,
+  updateStepSettings,
+  getStepDuration,
+  getStepTarget,
+  createReversedBuffer
+} from '../js/shuttle.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer, setPlayingState, getAudioState } from '../js/audio-state.js';
+import { updatePlayheadFromAudio, setShuttle } from '../js/audio-controls.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { PlayerEvents } from '../js/event-emitter.js';
+import { SettingsManager } from '../js/settings-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+// AudioBuffer (the setup file's stand-in) that keeps its samples
+class SampleBuffer extends AudioBuffer {
+  constructor(options) {
+    super(options);
+    this.channels = Array.from({ length: this.numberOfChannels }, () => new Float32Array(this.length));
+  }
+
+  getChannelData(channel) {
+    return this.channels[channel];
+  }
+}
+
+// Keeps the samples of the buffers it creates and counts them
+class SampleAudioContext extends FakeAudioContext {
+  sampleRate = 8000;
+  buffersCreated = 0;
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    this.buffersCreated++;
+    return new SampleBuffer({ numberOfChannels, length, sampleRate });
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Shuttle and step', () => {
+  let originalAudioContext;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = SampleAudioContext;
+  });
+
+  afterEach(async () => {
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('speeds and steps', () => {
+    it('should ramp each direction through the shuttle speeds', () => {
+      expect(SHUTTLE_SPEEDS).toEqual([1, 2, 4]);
+      expect(getNextShuttleSpeed(null, 1)).toBe(1);
+      expect(getNextShuttleSpeed(1, 1)).toBe(2);
+      expect(getNextShuttleSpeed(2, 1)).toBe(4);
+      expect(getNextShuttleSpeed(4, 1)).toBe(4);
+      // A playback rate in between goes up to the next speed
+      expect(getNextShuttleSpeed(1.5, 1)).toBe(2);
+      // Reversing or leaving slow motion starts again at 1×
+      expect(getNextShuttleSpeed(4, -1)).toBe(-1);
+      expect(getNextShuttleSpeed(-1, -1)).toBe(-2);
+      expect(getNextShuttleSpeed(-CONFIG.SHUTTLE_SLOW_SPEED, -1)).toBe(-1);
+    });
+
+    it('should validate shuttle speeds', () => {
+      expect(() => validateShuttleSpeed(-4)).not.toThrow();
+      expect(() => validateShuttleSpeed(CONFIG.SHUTTLE_SLOW_SPEED)).not.toThrow();
+      expect(() => validateShuttleSpeed(0)).toThrow(ValidationError);
+      expect(() => validateShuttleSpeed(8)).toThrow(ValidationError);
+      expect(() => validateShuttleSpeed('2')).toThrow(ValidationError);
+    });
+
+    it('should step by milliseconds, frames or beats', () => {
+      expect(getStepDuration(StepDefaults)).toBe(CONFIG.STEP_MILLISECONDS / 1000);
+      expect(getStepDuration(updateStepSettings(StepDefaults, { unit: StepUnits.FRAME, fps: 25 }))).toBe(0.04);
+      expect(getStepDuration(updateStepSettings(StepDefaults, { unit: StepUnits.BEAT, bpm: 120 }))).toBe(0.5);
+
+      expect(() => updateStepSettings(StepDefaults, { unit: StepUnits.BEAT })).toThrow(ValidationError);
+      expect(() => updateStepSettings(StepDefaults, { unit: 'bar' })).toThrow(ValidationError);
+      expect(() => updateStepSettings(StepDefaults, { fps: 0 })).toThrow(ValidationError);
+      expect(() => updateStepSettings(StepDefaults, { bpm: 1000 })).toThrow(ValidationError);
+    });
+
+    it('should land on the step grid', () => {
+      const frames = { unit: StepUnits.FRAME, fps: 30, bpm: null };
+      expect(getStepTarget(2 / 30, 1, frames)).toBeCloseTo(3 / 30, 9);
+      // Off the grid, a step goes to the next frame boundary in that direction
+      expect(getStepTarget(2.5 / 30, 1, frames)).toBeCloseTo(3 / 30, 9);
+      expect(getStepTarget(2.5 / 30, -1, frames)).toBeCloseTo(2 / 30, 9);
+      expect(getStepTarget(1, -3, frames)).toBeCloseTo(27 / 30, 9);
+    });
+
+    it('should reverse every channel of a buffer', () => {
+      const buffer = new SampleBuffer({ numberOfChannels: 2, length: 4, sampleRate: 8000 });
+      buffer.channels[0].set([1, 2, 3, 4]);
+      buffer.channels[1].set([5, 6, 7, 8]);
+
+      const reversed = createReversedBuffer(new SampleAudioContext(), buffer);
+
+      expect(Array.from(reversed.getChannelData(0))).toEqual([4, 3, 2, 1]);
+      expect(Array.from(reversed.getChannelData(1))).toEqual([8, 7, 6, 5]);
+    });
+  });
+
+  describe('reverse playback', () => {
+    let scope;
+    let context;
+    let audioBuffer;
+
+    beforeEach(async () => {
+      scope = new PlayerScope();
+      await scope.playback.initialize();
+      context = AudioContextManager.getContext();
+      context.currentTime = 1;
+      audioBuffer = new SampleBuffer({ numberOfChannels: 1, length: 20 * 8000, sampleRate: 8000 });
+      setAudioBuffer(audioBuffer, new Float32Array(16), 1, scope.stateManager, null);
+      await scope.playback.load(audioBuffer);
+    });
+
+    afterEach(() => {
+      scope.playback.dispose();
+    });
+
+    it('should play a reversed copy from the mirrored offset', async () => {
+      scope.playback.setShuttle(-2);
+      await scope.playback.play(12);
+
+      const source = context.sources.at(-1);
+      expect(source.buffer).not.toBe(audioBuffer);
+      expect(source.offset).toBe(8);
+      expect(source.playbackRate.value).toBe(2);
+
+      context.currentTime = 3;
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(8);
+
+      // The reversed copy is made once per track
+      await scope.playback.play(10);
+      expect(context.sources.at(-1).buffer).toBe(source.buffer);
+      expect(context.buffersCreated).toBe(1);
+    });
+
+    it('should switch copies when the direction flips and keep the position', async () => {
+      await scope.playback.play(5);
+      context.currentTime = 2;
+
+      scope.playback.setShuttle(-1);
+      await flush();
+      const reversed = context.sources.at(-1);
+      expect(reversed.buffer).not.toBe(audioBuffer);
+      expect(reversed.offset).toBe(14);
+
+      // Same direction: the source is re-based in place
+      scope.playback.setShuttle(-4);
+      expect(context.sources.at(-1)).toBe(reversed);
+      expect(reversed.playbackRate.value).toBe(4);
+      context.currentTime = 3;
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(2);
+    });
+
+    it('should loop the A–B region backwards', async () => {
+      scope.playback.setLoopRegion({ start: 4, end: 8 });
+      scope.playback.setShuttle(-1);
+      // At or before A, backwards playback starts from B
+      await scope.playback.play(2);
+
+      const source = context.sources.at(-1);
+      expect(source.offset).toBe(12);
+      expect([source.loop, source.loopStart, source.loopEnd]).toEqual([true, 12, 16]);
+
+      context.currentTime = 1 + 5;
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(7);
+    });
+
+    it('should go back to the playback rate when paused, announcing the end of the shuttle', async () => {
+      const changes = [];
+      scope.events.on(PlayerEvents.SHUTTLE_CHANGE, detail => changes.push(detail.shuttle));
+      scope.playback.setPlaybackRate(1.5);
+      setShuttle(-2, scope);
+      // The rate is stored, the shuttle keeps its speed
+      scope.playback.setPlaybackRate(0.75);
+      await scope.playback.play(10);
+      expect(context.sources.at(-1).playbackRate.value).toBe(2);
+
+      context.currentTime = 2;
+      scope.playback.pause();
+
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(8);
+      expect(scope.playback.getShuttle()).toBeNull();
+      expect(getAudioState(scope.stateManager).playbackRate).toBe(0.75);
+      expect(changes).toEqual([-2, null]);
+    });
+
+    it('should not queue the next track while playing backwards', async () => {
+      scope.playback.setShuttle(-1);
+      await scope.playback.play(10);
+
+      expect(scope.playback.queueNext({ audioBuffer: new SampleBuffer({ numberOfChannels: 1, length: 8000, sampleRate: 8000 }) })).toBe(false);
+    });
+
+    it('should stop at the start of the track', async () => {
+      const events = [];
+      scope.events.on(PlayerEvents.PAUSE, () => events.push('pause'));
+      scope.events.on(PlayerEvents.ENDED, () => events.push('ended'));
+      setShuttle(-4, scope);
+      setPlayingState(true, scope.stateManager);
+      await scope.playback.play(2);
+
+      context.currentTime = 1.5;
+      updatePlayheadFromAudio(scope);
+
+      expect(getAudioState(scope.stateManager)).toMatchObject({ isPlaying: false, shuttle: null, currentPlayhead: 0 });
+      expect(events).toEqual(['pause']);
+    });
+
+    it('should refuse to play streamed audio backwards', () => {
+      scope.playback.setMediaElement({ paused: true, currentTime: 0, duration: 30, playbackRate: 1, pause() {}, load() {} });
+
+      expect(scope.playback.setShuttle(-1)).toBe(false);
+      expect(() => setShuttle(-1, scope)).toThrow(ValidationError);
+      expect(scope.playback.setShuttle(2)).toBe(true);
+      expect(scope.playback.getMediaElement().playbackRate).toBe(2);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options = {}) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, ...options });
+      players.push(player);
+      await player.ready;
+      // The canvas mock has no roundRect (used for the time label once the playhead moves)
+      if (player.ctx) player.ctx.roundRect ??= () => {};
+      // A source started at context time 0 reads as stopped
+      AudioContextManager.getContext().currentTime = 1;
+      await player.load(new SampleBuffer({ numberOfChannels: 1, length: 60 * 8000, sampleRate: 8000 }), { name: 'take.wav' });
+      return player;
+    };
+
+    const press = (key, type = 'keydown') => document.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true }));
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should ramp the shuttle with L and J and stop with K', async () => {
+      const player = await createPlayer();
+      const speeds = [];
+      player.on('shuttlechange', ({ shuttle }) => speeds.push(shuttle));
+      // Away from the start, where playing backwards would stop straight away
+      player.seekTo(10);
+
+      press('l');
+      await flush();
+      expect(player.isPlaying()).toBe(true);
+      press('l');
+      await flush();
+      press('l');
+      await flush();
+      expect(player.getShuttle()).toBe(4);
+
+      press('j');
+      await flush();
+      expect(player.getShuttle()).toBe(-1);
+
+      press('k');
+      await flush();
+      press('k', 'keyup');
+      await flush();
+      expect(player.isPlaying()).toBe(false);
+      expect(player.getShuttle()).toBeNull();
+      expect(speeds).toEqual([1, 2, 4, -1, null]);
+    });
+
+    it('should shuttle backwards from the end of the track', async () => {
+      const player = await createPlayer();
+      const ended = vi.fn();
+      player.on('ended', ended);
+      player.seekTo(59.95);
+
+      press('j');
+      await flush();
+      updatePlayheadFromAudio(player.scope);
+
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getShuttle()).toBe(-1);
+      expect(player.getCurrentTime()).toBeCloseTo(59.95, 2);
+      expect(ended).not.toHaveBeenCalled();
+
+      // Heading backwards from there, it plays on
+      AudioContextManager.getContext().currentTime += 5;
+      updatePlayheadFromAudio(player.scope);
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getCurrentTime()).toBeCloseTo(54.95, 1);
+    });
+
+    it('should play slow motion while K and L are held', async () => {
+      const player = await createPlayer();
+
+      press('k');
+      press('l');
+      await flush();
+      expect(player.getShuttle()).toBe(CONFIG.SHUTTLE_SLOW_SPEED);
+      expect(player.isPlaying()).toBe(true);
+
+      press('l', 'keyup');
+      await flush();
+      expect(player.isPlaying()).toBe(false);
+      // Letting go of K afterwards does not start playback
+      press('k', 'keyup');
+      await flush();
+      expect(player.isPlaying()).toBe(false);
+
+      // A lone tap of K while paused plays at the playback rate
+      press('k');
+      press('k', 'keyup');
+      await flush();
+      expect(player.isPlaying()).toBe(true);
+      expect(player.getShuttle()).toBeNull();
+    });
+
+    it('should step by frames with , and . and remember the unit', async () => {
+      const player = await createPlayer({ step: { unit: 'frame', fps: 25 } });
+      player.seekTo(10);
+
+      press('.');
+      await flush();
+      expect(player.getCurrentTime()).toBeCloseTo(10.04, 6);
+      press(',');
+      press(',');
+      await flush();
+      expect(player.getCurrentTime()).toBeCloseTo(9.96, 6);
+
+      expect(player.setStep({ unit: 'beat', bpm: 90 })).toEqual({ unit: 'beat', fps: 25, bpm: 90 });
+      expect(await player.stepBackward(2)).toBeCloseTo(8.666667, 5);
+      expect(SettingsManager.get('step')).toEqual({ unit: 'beat', fps: 25, bpm: 90 });
+      expect(() => player.setStep({ unit: 'beat', bpm: null })).toThrow(ValidationError);
+      expect(() => new SpiralWaveformPlayer({ container, step: { unit: 'frame', fps: -1 } })).toThrow(ValidationError);
+    });
+
+    it('should pause before stepping', async () => {
+      const player = await createPlayer();
+      await player.shuttle(2);
+      expect(player.isPlaying()).toBe(true);
+
+      const time = await player.stepForward();
+
+      expect(player.isPlaying()).toBe(false);
+      expect(player.getCurrentTime()).toBeCloseTo(time, 6);
+      await expect(player.shuttle(0)).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for source-loader.js
+ * Testing programmatic loading of File/Blob/ArrayBuffer/AudioBuffer/peaks
+ * and SpiralWaveformPlayer.load()
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  loadSource,
+  describeSource,
+  getSourceKind,
+  AudioLoadError,
+  LoadErrorCodes,
+  PEAKS_SAMPLE_RATE
+} from '../js/source-loader.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { getAudioState } from '../js/audio-state.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+const DECODED = { numberOfChannels: 2, length: 88200, sampleRate: 44100 };
+
+// Records the size of what it decodes and can be told to fail
+class DecodingAudioContext extends FakeAudioContext {
+  static decodeShouldFail = false;
+  static decodedBytes = [];
+
+  async decodeAudioData(arrayBuffer) {
+    DecodingAudioContext.decodedBytes.push(arrayBuffer.byteLength);
+    if (DecodingAudioContext.decodeShouldFail) {
+      throw new Error('Unable to decode audio data');
+    }
+    return new AudioBuffer(DECODED);
+  }
+}
+
+// HTMLAudioElement fallback that fails straight away (happy-dom never fires media events)
+class FailingAudio {
+  load() {
+    this.onerror?.(new Event('error'));
+  }
+  pause() {}
+}
+
+describe('source-loader.js - Programmatic Loading', () => {
+  let originalAudioContext;
+  let originalAudio;
+
+  beforeEach(() => {
+    originalAudioContext = window.AudioContext;
+    originalAudio = window.Audio;
+    window.AudioContext = DecodingAudioContext;
+    window.Audio = FailingAudio;
+    DecodingAudioContext.decodeShouldFail = false;
+    DecodingAudioContext.decodedBytes = [];
+  });
+
+  afterEach(() => {
+    window.AudioContext = originalAudioContext;
+    window.Audio = originalAudio;
+  });
+
+  describe('getSourceKind() / describeSource()', () => {
+    it('should recognise every supported kind', () => {
+      expect(getSourceKind(new File(['x'], 'a.mp3'))).toBe('file');
+      expect(getSourceKind(new Blob(['x']))).toBe('blob');
+      expect(getSourceKind(new ArrayBuffer(4))).toBe('arraybuffer');
+      expect(getSourceKind(new Uint8Array(4))).toBe('arraybuffer');
+      expect(getSourceKind(new AudioBuffer(DECODED))).toBe('audiobuffer');
+      expect(getSourceKind({ peaks: [0.5], duration: 1 })).toBe('peaks');
+      expect(getSourceKind('song.mp3')).toBeNull();
+    });
+
+    it('should prefer the name option', () => {
+      expect(describeSource(new ArrayBuffer(8), { name: 'Render', mimeType: 'audio/wav' })).toEqual({
+        kind: 'arraybuffer',
+        name: 'Render',
+        size: 8,
+        mimeType: 'audio/wav'
+      });
+      expect(describeSource(new File(['abc'], 'a.mp3', { type: 'audio/mpeg' })).name).toBe('a.mp3');
+    });
+  });
+
+  describe('loadSource()', () => {
+    it('should decode a File and report its format', async () => {
+      const file = new File([new Uint8Array(16)], 'song.mp3', { type: 'audio/mpeg' });
+
+      const result = await loadSource(file);
+
+      expect(result.info).toEqual({ duration: 2, channels: 2, sampleRate: 44100, format: 'MP3', name: 'song.mp3' });
+      expect(result.waveform).toHaveLength(DECODED.length);
+    });
+
+    it('should decode an ArrayBuffer without detaching it', async () => {
+      const bytes = new ArrayBuffer(32);
+
+      const result = await loadSource(bytes, { mimeType: 'audio/wav', name: 'render.wav' });
+
+      expect(result.info.format).toBe('WAV');
+      expect(DecodingAudioContext.decodedBytes).toEqual([32]);
+      expect(bytes.byteLength).toBe(32);
+    });
+
+    it('should use an AudioBuffer as-is', async () => {
+      const buffer = new AudioBuffer({ numberOfChannels: 1, length: 22050, sampleRate: 22050 });
+
+      const result = await loadSource(buffer);
+
+      expect(result.audioBuffer).toBe(buffer);
+      expect(result.info).toMatchObject({ duration: 1, channels: 1, sampleRate: 22050, format: 'PCM' });
+    });
+
+    it('should build a silent timeline from peaks', async () => {
+      const result = await loadSource({ peaks: [0.2, -0.8, 0.4, 0.1], duration: 2 });
+
+      // Sparse peaks run at the lowest rate an AudioBuffer takes
+      expect(result.info).toMatchObject({ duration: 2, channels: 1, sampleRate: CONFIG.PCM_MIN_SAMPLE_RATE, format: 'Peaks' });
+      expect(result.waveform).toHaveLength(2 * CONFIG.PCM_MIN_SAMPLE_RATE);
+      expect(result.audioBuffer.length).toBe(result.waveform.length);
+      expect(result.waveform[0]).toBeCloseTo(0.2);
+      expect(result.waveform[CONFIG.PCM_MIN_SAMPLE_RATE / 2]).toBeCloseTo(0.8);
+      expect(result.waveform[result.waveform.length - 1]).toBeCloseTo(0.1);
+      expect(result.globalMaxAmp).toBeCloseTo(0.8);
+    });
+
+    it('should keep the peaks\' own resolution up to PEAKS_SAMPLE_RATE', async () => {
+      const peaks = Float32Array.from({ length: 4000 }, (_, i) => (i % 10) / 10);
+      const exact = await loadSource({ peaks, duration: 1 });
+
+      expect(exact.info.sampleRate).toBe(4000);
+      expect(Array.from(exact.waveform)).toEqual(Array.from(peaks));
+
+      const dense = await loadSource({ peaks: new Float32Array(4 * PEAKS_SAMPLE_RATE), duration: 2 });
+      expect(dense.info.sampleRate).toBe(PEAKS_SAMPLE_RATE);
+      expect(dense.waveform).toHaveLength(2 * PEAKS_SAMPLE_RATE);
+    });
+
+    it('should reject unsupported sources', async () => {
+      await expect(loadSource('song.mp3')).rejects.toMatchObject({
+        name: 'AudioLoadError',
+        code: LoadErrorCodes.UNSUPPORTED_SOURCE
+      });
+    });
+
+    it('should reject empty sources', async () => {
+      await expect(loadSource(new ArrayBuffer(0))).rejects.toMatchObject({ code: LoadErrorCodes.EMPTY_SOURCE });
+      await expect(loadSource(new Blob([]))).rejects.toMatchObject({ code: LoadErrorCodes.EMPTY_SOURCE });
+    });
+
+    it('should reject undecodable audio', async () => {
+      DecodingAudioContext.decodeShouldFail = true;
+
+      const error = await loadSource(new Blob(['not audio'], { type: 'audio/mpeg' })).catch(e => e);
+
+      expect(error).toBeInstanceOf(AudioLoadError);
+      expect(error.code).toBe(LoadErrorCodes.DECODE_FAILED);
+      expect(error.cause).toBeInstanceOf(Error);
+    });
+
+    it('should reject unusable peaks', async () => {
+      await expect(loadSource({ peaks: [], duration: 1 })).rejects.toMatchObject({ code: LoadErrorCodes.INVALID_PEAKS });
+      await expect(loadSource({ peaks: [0.5], duration: 0 })).rejects.toMatchObject({ code: LoadErrorCodes.INVALID_PEAKS });
+      await expect(loadSource({ peaks: [0.5, 'loud'], duration: 1 })).rejects.toMatchObject({ code: LoadErrorCodes.INVALID_PEAKS });
+    });
+
+    it('should reject non-object options', async () => {
+      await expect(loadSource(new ArrayBuffer(4), 'audio/wav')).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('SpiralWaveformPlayer.load()', () => {
+    let container;
+    let player;
+
+    beforeEach(async () => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      player = new SpiralWaveformPlayer({ container, controls: 'none' });
+      await player.ready;
+    });
+
+    afterEach(() => {
+      player.cleanup();
+      document.body.innerHTML = '';
+    });
+
+    it('should resolve with track info and update the player state', async () => {
+      const onLoadStart = vi.fn();
+      const onLoaded = vi.fn();
+      player.on('loadstart', onLoadStart);
+      player.on('loaded', onLoaded);
+
+      const info = await player.load(new AudioBuffer({ numberOfChannels: 2, length: 44100 * 3, sampleRate: 44100 }), { name: 'Generated' });
+
+      expect(info).toEqual({ duration: 3, channels: 2, sampleRate: 44100, format: 'PCM', name: 'Generated' });
+      expect(player.getDuration()).toBe(3);
+      expect(getAudioState(player.scope.stateManager).audioBuffer).not.toBeNull();
+      expect(onLoadStart.mock.calls[0][0].source).toEqual({ kind: 'audiobuffer', name: 'Generated' });
+      expect(onLoaded).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject with a typed error and emit error', async () => {
+      const onError = vi.fn();
+      player.on('error', onError);
+
+      await expect(player.load(42)).rejects.toBeInstanceOf(AudioLoadError);
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].error.code).toBe(LoadErrorCodes.UNSUPPORTED_SOURCE);
+    });
+
+    it('should keep the previous track when a load fails', async () => {
+      await player.load({ peaks: [0.5, 0.25], duration: 4 });
+
+      await expect(player.load(new ArrayBuffer(0))).rejects.toMatchObject({ code: LoadErrorCodes.EMPTY_SOURCE });
+
+      expect(player.getDuration()).toBe(4);
+    });
+  });
+});
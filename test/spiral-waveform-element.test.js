@@ -0,0 +1,302 @@
+/**
+ * Tests for spiral-waveform-element.js
+ * Testing the <spiral-waveform> custom element against a stub player
+ * (the real player needs a 2D canvas context, which happy-dom lacks)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../js/spiral-waveform-player.js', async () => {
+  const { EventEmitter, PlayerEvents } = await import('../js/event-emitter.js');
+
+  class StubPlayer {
+    static created = [];
+
+    constructor(options) {
+      this.options = options;
+      this.loop = !!options.loop;
+      this.calls = [];
+      this.currentTime = 0;
+      this.duration = 0;
+      this.playing = false;
+      this.cleanedUp = false;
+      // Set to make loadFromUrl() fail the way the player does: an 'error' event, no rejection
+      this.loadError = null;
+      this.events = new EventEmitter(Object.values(PlayerEvents));
+      this.ready = Promise.resolve();
+      options.container.appendChild(document.createElement('canvas'));
+      StubPlayer.created.push(this);
+    }
+
+    on(type, listener) {
+      return this.events.on(type, listener);
+    }
+
+    emit(type, detail = {}) {
+      this.events.emit(type, { type, currentTime: this.currentTime, duration: this.duration, ...detail });
+    }
+
+    async loadFromUrl(url) {
+      this.calls.push(['loadFromUrl', url]);
+      if (this.loadError) {
+        this.emit(PlayerEvents.ERROR, { error: this.loadError });
+        return;
+      }
+      this.duration = 120;
+      this.emit(PlayerEvents.LOADED);
+    }
+
+    seekTo(seconds) {
+      this.calls.push(['seekTo', seconds]);
+      this.currentTime = seconds;
+    }
+
+    async play() {
+      this.calls.push(['play']);
+      this.playing = true;
+    }
+
+    async pause() {
+      this.calls.push(['pause']);
+      this.playing = false;
+    }
+
+    isPlaying() {
+      return this.playing;
+    }
+
+    getCurrentTime() {
+      return this.currentTime;
+    }
+
+    getDuration() {
+      return this.duration;
+    }
+
+    destroy() {
+      this.cleanedUp = true;
+      this.events.removeAllListeners();
+    }
+  }
+
+  return {
+    SpiralWaveformPlayer: StubPlayer,
+    PlayerControls: Object.freeze({ NONE: 'none', MINIMAL: 'minimal', FULL: 'full' })
+  };
+});
+
+const { SpiralWaveformElement, SPIRAL_WAVEFORM_TAG } = await import('../js/spiral-waveform-element.js');
+const { SpiralWaveformPlayer } = await import('../js/spiral-waveform-player.js');
+
+const DEFAULT_STYLESHEET_URL = SpiralWaveformElement.stylesheetUrl;
+// happy-dom fetches linked stylesheets - keep tests off the network
+SpiralWaveformElement.stylesheetUrl = 'data:text/css,';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function createElement(attributes = {}) {
+  const element = document.createElement(SPIRAL_WAVEFORM_TAG);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  document.body.appendChild(element);
+  return element;
+}
+
+describe('spiral-waveform-element.js - <spiral-waveform>', () => {
+  beforeEach(() => {
+    SpiralWaveformPlayer.created.length = 0;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('Registration and rendering', () => {
+    it('should register the custom element', () => {
+      expect(customElements.get(SPIRAL_WAVEFORM_TAG)).toBe(SpiralWaveformElement);
+    });
+
+    it('should default to the bundled stylesheet', () => {
+      expect(DEFAULT_STYLESHEET_URL).toMatch(/css\/styles\.css$/);
+    });
+
+    it('should render the player inside shadow DOM with the stylesheet', () => {
+      const element = createElement();
+
+      const link = element.shadowRoot.querySelector('link[rel="stylesheet"]');
+      expect(link.getAttribute('href')).toBe('data:text/css,');
+      expect(element.shadowRoot.querySelector('.container canvas')).not.toBeNull();
+      expect(element.querySelector('canvas')).toBeNull();
+    });
+
+    it('should pass controls and loop to the player', () => {
+      createElement({ controls: 'minimal', loop: '' });
+
+      const [player] = SpiralWaveformPlayer.created;
+      expect(player.options.controls).toBe('minimal');
+      expect(player.options.loop).toBe(true);
+    });
+
+    it('should fall back to controls="none" for unknown values', () => {
+      const element = createElement({ controls: 'fancy' });
+
+      expect(element.controls).toBe('none');
+      expect(SpiralWaveformPlayer.created[0].options.controls).toBe('none');
+    });
+  });
+
+  describe('Attributes', () => {
+    it('should load src once the player is ready', async () => {
+      createElement({ src: 'https://example.com/a.mp3' });
+      await flush();
+
+      expect(SpiralWaveformPlayer.created[0].calls).toContainEqual(['loadFromUrl', 'https://example.com/a.mp3']);
+    });
+
+    it('should load a new track when src changes', async () => {
+      const element = createElement({ src: 'a.mp3' });
+      await flush();
+
+      element.src = 'b.mp3';
+      await flush();
+
+      const loads = SpiralWaveformPlayer.created[0].calls.filter(([name]) => name === 'loadFromUrl');
+      expect(loads).toEqual([['loadFromUrl', 'a.mp3'], ['loadFromUrl', 'b.mp3']]);
+    });
+
+    it('should reload the same src after it failed, but not after it loaded', async () => {
+      const element = createElement({ src: 'a.mp3' });
+      const player = SpiralWaveformPlayer.created[0];
+      player.loadError = new Error('HTTP 503');
+      await flush();
+
+      player.loadError = null;
+      element.src = 'a.mp3';
+      await flush();
+      element.src = 'a.mp3';
+      await flush();
+
+      const loads = player.calls.filter(([name]) => name === 'loadFromUrl');
+      expect(loads).toEqual([['loadFromUrl', 'a.mp3'], ['loadFromUrl', 'a.mp3']]);
+      expect(element.duration).toBe(120);
+    });
+
+    it('should seek to start and autoplay after loading', async () => {
+      const element = createElement({ src: 'a.mp3', start: '12.5', autoplay: '' });
+      await flush();
+
+      expect(SpiralWaveformPlayer.created[0].calls).toEqual([
+        ['loadFromUrl', 'a.mp3'],
+        ['seekTo', 12.5],
+        ['play']
+      ]);
+      expect(element.paused).toBe(false);
+    });
+
+    it('should update loop on the live player', () => {
+      const element = createElement();
+
+      element.loop = true;
+
+      expect(SpiralWaveformPlayer.created[0].loop).toBe(true);
+    });
+
+    it('should rebuild the player when controls change', () => {
+      const element = createElement({ controls: 'none' });
+
+      element.controls = 'full';
+
+      expect(SpiralWaveformPlayer.created).toHaveLength(2);
+      expect(SpiralWaveformPlayer.created[0].cleanedUp).toBe(true);
+      expect(SpiralWaveformPlayer.created[1].options.controls).toBe('full');
+      expect(element.shadowRoot.querySelectorAll('canvas')).toHaveLength(1);
+    });
+
+    it('should normalize theme and start', () => {
+      const element = createElement({ theme: 'sepia', start: '-3' });
+
+      expect(element.theme).toBe('auto');
+      expect(element.start).toBe(0);
+
+      element.theme = 'light';
+      expect(element.getAttribute('theme')).toBe('light');
+    });
+  });
+
+  describe('Events and reflected state', () => {
+    it('should re-dispatch player events as CustomEvents', () => {
+      const element = createElement();
+      const listener = vi.fn();
+      element.addEventListener('timeupdate', listener);
+
+      const player = SpiralWaveformPlayer.created[0];
+      player.currentTime = 3;
+      player.duration = 10;
+      player.emit('timeupdate');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      const event = listener.mock.calls[0][0];
+      expect(event).toBeInstanceOf(CustomEvent);
+      expect(event.detail).toMatchObject({ type: 'timeupdate', currentTime: 3, duration: 10 });
+    });
+
+    it('should reflect currenttime and duration', () => {
+      const element = createElement();
+      const player = SpiralWaveformPlayer.created[0];
+      player.currentTime = 1.23456;
+      player.duration = 60;
+
+      player.emit('seeked');
+
+      expect(element.getAttribute('currenttime')).toBe('1.235');
+      expect(element.getAttribute('duration')).toBe('60');
+      expect(element.currentTime).toBe(1.23456);
+      expect(element.duration).toBe(60);
+    });
+
+    it('should seek when currentTime is set', () => {
+      const element = createElement();
+
+      element.currentTime = 42;
+
+      expect(SpiralWaveformPlayer.created[0].calls).toContainEqual(['seekTo', 42]);
+    });
+  });
+
+  describe('Teardown', () => {
+    it('should clean up the player and its DOM when removed', async () => {
+      const element = createElement();
+      const player = SpiralWaveformPlayer.created[0];
+      const listener = vi.fn();
+      element.addEventListener('play', listener);
+
+      element.remove();
+      await Promise.resolve();
+      player.emit('play');
+
+      expect(player.cleanedUp).toBe(true);
+      expect(element.player).toBeNull();
+      expect(element.shadowRoot.querySelector('.container').children).toHaveLength(0);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should keep its player when moved in the document', async () => {
+      const element = createElement();
+      const player = SpiralWaveformPlayer.created[0];
+      const listener = vi.fn();
+      element.addEventListener('play', listener);
+      const section = document.createElement('section');
+      document.body.appendChild(section);
+
+      // A move as browsers perform it: disconnected, then connected again in the same task
+      element.remove();
+      section.appendChild(element);
+      await Promise.resolve();
+      player.emit('play');
+
+      expect(SpiralWaveformPlayer.created).toHaveLength(1);
+      expect(player.cleanedUp).toBe(false);
+      expect(element.player).toBe(player);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * Tests for tag-reader.js
+ * Testing ID3v2/ID3v1, Vorbis comment (Ogg and FLAC), MP4 and RIFF tags,
+ * artwork, ReplayGain and chapters, reading only the tagged parts of a Blob,
+ * and how the player shows and announces them
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readTags, getCoverArt, PictureTypes } from '../js/tag-reader.js';
+import { chaptersToMarkers } from '../js/markers.js';
+import { screenReaderAnnouncer } from '../js/accessibility.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { loadSource } from '../js/source-loader.js';
+import { readAudioTags } from '../js/audio-loader.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+// ---- Writing test files ----
+
+// Strings are Latin-1, numbers are bytes
+const bytes = (...parts) => Uint8Array.from(parts.flatMap(part => {
+  if (typeof part === 'string') return Array.from(part, char => char.charCodeAt(0));
+  return typeof part === 'number' ? [part] : Array.from(part);
+}));
+const utf8 = (text) => new TextEncoder().encode(text);
+const utf16 = (text) => bytes(0xff, 0xfe, ...Array.from(text).flatMap(char => [char.charCodeAt(0) & 0xff, char.charCodeAt(0) >> 8]));
+const u16be = (value) => bytes(value >> 8, value & 0xff);
+const u32be = (value) => bytes(value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+const u32le = (value) => bytes(value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24);
+const syncsafe = (value) => bytes((value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f);
+
+const JPEG = bytes(0xff, 0xd8, 0xff, 0xe0, 1, 2, 3);
+const PNG = bytes(0x89, 'PNG', 13, 10, 26, 10, 4, 5);
+const MP3_FRAME = bytes(0xff, 0xfb, 0x90, 0x64, ...new Array(60).fill(0));
+
+const id3v2 = (major, frames, flags = 0) => {
+  const body = bytes(...frames);
+  return bytes('ID3', major, 0, flags, syncsafe(body.length), body);
+};
+const frame3 = (id, ...data) => {
+  const body = bytes(...data);
+  return bytes(id, u32be(body.length), 0, 0, body);
+};
+const frame4 = (id, ...data) => {
+  const body = bytes(...data);
+  return bytes(id, syncsafe(body.length), 0, 0, body);
+};
+const frame2 = (id, ...data) => {
+  const body = bytes(...data);
+  return bytes(id, body.length >> 16, (body.length >> 8) & 0xff, body.length & 0xff, body);
+};
+
+const id3v1 = ({ title = '', artist = '', album = '', year = '', comment = '', track = 0 }) => {
+  const field = (text, length) => bytes(text.padEnd(length, '\0'));
+  return bytes('TAG', field(title, 30), field(artist, 30), field(album, 30), field(year, 4), field(comment, 28), 0, track, 0xff);
+};
+
+const vorbisComment = (comments) => bytes(
+  u32le(6), 'vendor', u32le(comments.length),
+  ...comments.flatMap(comment => [u32le(utf8(comment).length), utf8(comment)])
+);
+const flacPicture = (type, mimeType, description, image) => bytes(
+  u32be(type), u32be(mimeType.length), mimeType, u32be(utf8(description).length), utf8(description),
+  u32be(1), u32be(1), u32be(24), u32be(0), u32be(image.length), image
+);
+const toBase64 = (data) => btoa(String.fromCharCode(...data));
+
+// Ogg pages carrying the packets, at most `segmentsPerPage` lacing values a page (so packets span pages)
+const oggPages = (packets, { serial = 1, segmentsPerPage = 255 } = {}) => {
+  const segments = packets.flatMap(packet => {
+    const lacing = new Array(Math.floor(packet.length / 255)).fill(255).concat(packet.length % 255);
+    let offset = 0;
+    return lacing.map(size => packet.subarray(offset, (offset += size)));
+  });
+  const pages = [];
+  for (let i = 0; i < segments.length; i += segmentsPerPage) {
+    const page = segments.slice(i, i + segmentsPerPage);
+    pages.push(bytes('OggS', 0, i === 0 ? 2 : 0, new Array(8).fill(0), u32le(serial), u32le(pages.length), u32le(0),
+      page.length, page.map(segment => segment.length), ...page));
+  }
+  return bytes(...pages);
+};
+
+const atom = (type, ...children) => {
+  const body = bytes(...children);
+  return bytes(u32be(8 + body.length), type, body);
+};
+const dataAtom = (type, value) => atom('data', u32be(type), u32be(0), value);
+
+const riffChunk = (id, ...data) => {
+  const body = bytes(...data);
+  return bytes(id, u32le(body.length), body, body.length % 2 ? [0] : []);
+};
+const wav = (...chunks) => {
+  const body = bytes('WAVE', ...chunks);
+  return bytes('RIFF', u32le(body.length), body);
+};
+const FMT_8K = riffChunk('fmt ', 1, 0, 1, 0, u32le(8000), u32le(16000), 2, 0, 16, 0);
+
+// ---- Files ----
+
+const taggedMp3 = () => bytes(id3v2(3, [
+  frame3('TIT2', 0, 'Night Drive'),
+  frame3('TPE1', 1, utf16('Café Noir')),
+  frame3('TALB', 0, 'Routes'),
+  frame3('TRCK', 0, '3/12'),
+  frame3('TYER', 0, '1999'),
+  frame3('COMM', 0, 'eng', 'iTunNORM', 0, ' 00000A12'),
+  frame3('COMM', 1, 'eng', utf16(''), 0, 0, utf16('Recorded live')),
+  frame3('TXXX', 0, 'REPLAYGAIN_TRACK_GAIN', 0, '-6.20 dB'),
+  frame3('TXXX', 0, 'replaygain_track_peak', 0, '0.988'),
+  frame3('APIC', 0, 'image/png', 0, PictureTypes.BACK_COVER, 'Back', 0, PNG),
+  frame3('APIC', 0, 'image/jpg', 0, PictureTypes.FRONT_COVER, 0, JPEG),
+  frame3('CHAP', 'ch1', 0, u32be(90000), u32be(200000), u32be(0xffffffff), u32be(0xffffffff), frame3('TIT2', 0, 'Verse')),
+  frame3('CHAP', 'ch0', 0, u32be(0), u32be(90000), u32be(0xffffffff), u32be(0xffffffff), frame3('TIT2', 0, 'Intro'))
+]), MP3_FRAME);
+
+const taggedWav = (samples = 64) => wav(
+  FMT_8K,
+  riffChunk('data', new Array(samples).fill(0)),
+  riffChunk('cue ', u32le(2),
+    u32le(1), u32le(0), 'data', u32le(0), u32le(0), u32le(0),
+    u32le(2), u32le(0), 'data', u32le(0), u32le(0), u32le(4000)),
+  riffChunk('LIST', 'adtl', riffChunk('labl', u32le(2), 'Chorus', 0), riffChunk('labl', u32le(1), 'Start', 0)),
+  // INFO after the samples, in Latin-1
+  riffChunk('LIST', 'INFO', riffChunk('INAM', 'Take 5', 0), riffChunk('IART', 'Ren', 0xe9, 0), riffChunk('ICRD', '2020-01-01', 0))
+);
+
+// Decoded buffer with some signal (file loads reject silence)
+class SignalBuffer extends AudioBuffer {
+  getChannelData() {
+    return new Float32Array(this.length).fill(0.5);
+  }
+}
+
+describe('Tag reader', () => {
+  describe('ID3', () => {
+    it('should read ID3v2.3 text, comments, artwork, ReplayGain and chapters', async () => {
+      const tags = await readTags(taggedMp3());
+
+      expect(tags).toMatchObject({
+        title: 'Night Drive',
+        artist: 'Café Noir',
+        album: 'Routes',
+        trackNumber: 3,
+        trackTotal: 12,
+        year: 1999,
+        comment: 'Recorded live',
+        replayGain: { trackGain: -6.2, trackPeak: 0.988, albumGain: null, albumPeak: null },
+        chapters: [
+          { start: 0, end: 90, title: 'Intro' },
+          { start: 90, end: 200, title: 'Verse' }
+        ],
+        formats: ['ID3v2.3']
+      });
+      expect(tags.artwork.map(({ mimeType, description, pictureType }) => [mimeType, description, pictureType]))
+        .toEqual([['image/png', 'Back', PictureTypes.BACK_COVER], ['image/jpeg', '', PictureTypes.FRONT_COVER]]);
+      expect(Array.from(getCoverArt(tags).data)).toEqual(Array.from(JPEG));
+    });
+
+    it('should read the same from a Blob as from bytes in memory', async () => {
+      const file = taggedMp3();
+      const fromBlob = await readTags(new Blob([file]));
+      expect(fromBlob).toEqual(await readTags(file.buffer));
+      expect(fromBlob.title).toBe('Night Drive');
+    });
+
+    it('should read ID3v2.4 with an extended header, unsynchronised frames and an ID3v1 tag', async () => {
+      const unsynchronised = bytes(0, 'Fade', 0xff, 0x00, 'Out');
+      const file = bytes(
+        id3v2(4, [
+          syncsafe(6), 1, 0, // Extended header
+          bytes('TIT2', syncsafe(unsynchronised.length), 0, 0x02, unsynchronised),
+          frame4('TPE1', 3, utf8('Sigur Rós'), 0, utf8('Another')),
+          frame4('TDRC', 3, '2021-03-04')
+        ], 0x40),
+        MP3_FRAME,
+        id3v1({ title: 'Ignored', album: 'From v1', track: 7 })
+      );
+
+      const tags = await readTags(file);
+
+      expect(tags).toMatchObject({
+        title: 'Fade\xffOut',
+        artist: 'Sigur Rós',
+        year: 2021,
+        album: 'From v1',
+        trackNumber: 7,
+        formats: ['ID3v2.4', 'ID3v1.1']
+      });
+    });
+
+    it('should read ID3v2.2 and ID3v1 on their own', async () => {
+      const v22 = await readTags(bytes(id3v2(2, [frame2('TT2', 0, 'Old'), frame2('PIC', 0, 'PNG', 3, 0, PNG)]), MP3_FRAME));
+      expect(v22).toMatchObject({ title: 'Old', formats: ['ID3v2.2'] });
+      expect(v22.artwork[0]).toMatchObject({ mimeType: 'image/png', pictureType: PictureTypes.FRONT_COVER });
+
+      const v1 = await readTags(bytes(MP3_FRAME, id3v1({ title: 'Plain', artist: 'Someone', year: '1988', comment: 'Hi' })));
+      expect(v1).toMatchObject({ title: 'Plain', artist: 'Someone', year: 1988, comment: 'Hi', trackNumber: null, formats: ['ID3v1'] });
+    });
+  });
+
+  describe('Vorbis comments', () => {
+    it('should read FLAC comment and picture blocks', async () => {
+      const comment = vorbisComment(['TITLE=Moonlight', 'artist=Anna', 'TRACKNUMBER=2', 'TRACKTOTAL=9', 'DATE=2004',
+        'REPLAYGAIN_ALBUM_GAIN=+1.50 dB', 'REPLAYGAIN_ALBUM_PEAK=0.5']);
+      const picture = flacPicture(PictureTypes.FRONT_COVER, 'image/jpeg', 'Cover', JPEG);
+      const flac = bytes(
+        'fLaC',
+        0, 0, 0, 34, new Array(34).fill(0),
+        4, 0, comment.length >> 8, comment.length & 0xff, comment,
+        0x80 | 6, 0, picture.length >> 8, picture.length & 0xff, picture,
+        0xff, 0xf8
+      );
+      const tags = await readTags(new Blob([flac]));
+
+      expect(tags).toMatchObject({
+        title: 'Moonlight',
+        artist: 'Anna',
+        trackNumber: 2,
+        trackTotal: 9,
+        year: 2004,
+        replayGain: { trackGain: null, albumGain: 1.5, albumPeak: 0.5 },
+        formats: ['Vorbis comment', 'FLAC picture']
+      });
+      expect(tags.artwork[0]).toMatchObject({ mimeType: 'image/jpeg', description: 'Cover', pictureType: PictureTypes.FRONT_COVER });
+    });
+
+    it('should read Opus tags spanning pages, with R128 gains, pictures and chapters', async () => {
+      const tags = bytes('OpusTags', vorbisComment([
+        'TITLE=Podcast #12',
+        'R128_TRACK_GAIN=-2560',
+        `METADATA_BLOCK_PICTURE=${toBase64(flacPicture(PictureTypes.FRONT_COVER, 'image/png', '', PNG))}`,
+        'CHAPTER002=00:01:30.500',
+        'CHAPTER002NAME=News',
+        'CHAPTER001=00:00:00.000',
+        'CHAPTER001NAME=Welcome',
+        `DESCRIPTION=${'x'.repeat(600)}`
+      ]));
+      const file = bytes(
+        oggPages([bytes('OpusHead', 1, 2, new Array(10).fill(0))], { serial: 7 }),
+        // Another logical stream's page in between is skipped
+        oggPages([bytes('OpusTags', vorbisComment(['TITLE=Wrong stream']))], { serial: 8 }),
+        oggPages([tags], { serial: 7, segmentsPerPage: 1 })
+      );
+
+      const result = await readTags(new Blob([file]));
+
+      expect(result).toMatchObject({
+        title: 'Podcast #12',
+        comment: 'x'.repeat(600),
+        replayGain: { trackGain: -5 },
+        chapters: [{ start: 0, end: 90.5, title: 'Welcome' }, { start: 90.5, end: null, title: 'News' }],
+        formats: ['Vorbis comment']
+      });
+      expect(result.artwork[0].mimeType).toBe('image/png');
+    });
+
+    it('should read Ogg Vorbis comments', async () => {
+      const file = oggPages([
+        bytes('\x01vorbis', new Array(23).fill(0)),
+        bytes('\x03vorbis', vorbisComment(['ALBUM=Loops', 'COMMENT=First take']), 1)
+      ]);
+      expect(await readTags(file)).toMatchObject({ album: 'Loops', comment: 'First take' });
+    });
+  });
+
+  describe('MP4', () => {
+    it('should read ilst items and Nero chapters after the media data', async () => {
+      const file = bytes(
+        atom('ftyp', 'M4A ', u32be(0), 'isom'),
+        atom('mdat', new Array(256).fill(0)),
+        atom('moov',
+          atom('mvhd', new Array(100).fill(0)),
+          atom('udta',
+            atom('meta', u32be(0),
+              atom('hdlr', new Array(25).fill(0)),
+              atom('ilst',
+                atom('©nam', dataAtom(1, utf8('Blue Hour'))),
+                atom('©ART', dataAtom(1, utf8('Mira'))),
+                atom('©day', dataAtom(1, utf8('2015-06-01T07:00:00Z'))),
+                atom('trkn', dataAtom(0, bytes(0, 0, u16be(4), u16be(10), 0, 0))),
+                atom('covr', dataAtom(14, PNG), dataAtom(13, JPEG)),
+                atom('----', atom('mean', u32be(0), 'com.apple.iTunes'), atom('name', u32be(0), 'replaygain_track_gain'), dataAtom(1, utf8('-3.1 dB')))
+              )
+            ),
+            atom('chpl', 1, 0, 0, 0, u32be(0), 2,
+              u32be(0), u32be(0), 5, 'Intro',
+              u32be(0), u32be(300000000), 4, 'Main')
+          )
+        )
+      );
+
+      const tags = await readTags(new Blob([file]));
+
+      expect(tags).toMatchObject({
+        title: 'Blue Hour',
+        artist: 'Mira',
+        year: 2015,
+        trackNumber: 4,
+        trackTotal: 10,
+        replayGain: { trackGain: -3.1 },
+        chapters: [{ start: 0, end: 30, title: 'Intro' }, { start: 30, end: null, title: 'Main' }],
+        formats: ['MP4', 'Nero chapters']
+      });
+      expect(tags.artwork.map(picture => picture.mimeType)).toEqual(['image/png', 'image/jpeg']);
+    });
+  });
+
+  describe('WAV', () => {
+    it('should read INFO after the samples, and labelled cue points as chapters', async () => {
+      const tags = await readTags(new Blob([taggedWav()]));
+
+      expect(tags).toMatchObject({
+        title: 'Take 5',
+        artist: 'René',
+        year: 2020,
+        chapters: [{ start: 0, end: 0.5, title: 'Start' }, { start: 0.5, end: null, title: 'Chorus' }],
+        formats: ['RIFF INFO', 'RIFF cue']
+      });
+    });
+
+    it('should read an id3 chunk', async () => {
+      const file = wav(FMT_8K, riffChunk('data', 0, 0), riffChunk('id3 ', id3v2(3, [frame3('TIT2', 0, 'Tagged WAV')])));
+      expect(await readTags(file)).toMatchObject({ title: 'Tagged WAV', formats: ['ID3v2.3'] });
+    });
+
+    it('should only read the chunk headers and tags of a Blob', async () => {
+      const blob = new Blob([taggedWav(1024 * 1024)]);
+      const slice = vi.spyOn(blob, 'slice');
+
+      await readTags(blob);
+
+      const bytesRead = slice.mock.calls.reduce((sum, [start, end]) => sum + (Math.min(end, blob.size) - start), 0);
+      expect(bytesRead).toBeLessThan(1024);
+    });
+  });
+
+  describe('untagged and broken files', () => {
+    it('should find nothing in untagged audio', async () => {
+      expect(await readTags(MP3_FRAME)).toBeNull();
+      expect(await readTags(wav(FMT_8K, riffChunk('data', 0, 0)))).toBeNull();
+      expect(await readTags(new ArrayBuffer(0))).toBeNull();
+      expect(getCoverArt(null)).toBeNull();
+    });
+
+    it('should keep what it can read around a broken block', async () => {
+      const comment = vorbisComment(['TITLE=Survivor']);
+      const file = bytes(
+        'fLaC',
+        4, 0, 0, comment.length, comment,
+        0x80 | 6, 0, 0, 8, u32be(3), u32be(500)
+      );
+
+      const tags = await readTags(file);
+
+      expect(tags.title).toBe('Survivor');
+      expect(tags.artwork).toEqual([]);
+    });
+
+    it('should leave a file it cannot read untagged', async () => {
+      const blob = new Blob([taggedMp3()]);
+      vi.spyOn(blob, 'slice').mockImplementation(() => { throw new Error('unreadable'); });
+      expect(await readAudioTags(blob)).toBeNull();
+    });
+  });
+
+  describe('chapters as markers', () => {
+    it('should drop chapters past the end and keep titles within the name limit', () => {
+      const markers = chaptersToMarkers([
+        { start: 0, end: 10, title: 'Intro' },
+        { start: 10, end: null, title: 'x'.repeat(150) },
+        { start: 12, end: null, title: null },
+        { start: 90, end: null, title: 'Too late' }
+      ], 60);
+
+      expect(markers).toEqual([{ time: 0, name: 'Intro' }, { time: 10, name: 'x'.repeat(100) }, { time: 12 }]);
+      expect(chaptersToMarkers(null, 60)).toEqual([]);
+    });
+  });
+
+  describe('loading', () => {
+    beforeEach(() => {
+      localStorage.clear();
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockResolvedValue(new SignalBuffer({ numberOfChannels: 1, length: 8000, sampleRate: 8000 }));
+    });
+
+    it('should add the tags to the track info', async () => {
+      const { info } = await loadSource(taggedMp3(), { name: 'drive.mp3' });
+      expect(info.tags).toMatchObject({ title: 'Night Drive', artist: 'Café Noir' });
+
+      const untagged = await loadSource(MP3_FRAME, { name: 'plain.mp3' });
+      expect(untagged.info).not.toHaveProperty('tags');
+    });
+
+    describe('SpiralWaveformPlayer', () => {
+      let container;
+      let player;
+
+      beforeEach(async () => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        player = new SpiralWaveformPlayer({ container, controls: { trackInfo: true, markers: true }, resume: 'off' });
+        await player.ready;
+      });
+
+      afterEach(() => {
+        player.destroy();
+        document.body.innerHTML = '';
+      });
+
+      it('should expose, show and announce the tags', async () => {
+        const loaded = vi.fn();
+        player.on('loaded', loaded);
+        const announce = vi.spyOn(screenReaderAnnouncer, 'announce');
+
+        await player.load(new File([taggedMp3()], 'drive.mp3', { type: 'audio/mpeg' }));
+
+        expect(player.getTags()).toMatchObject({ title: 'Night Drive', artist: 'Café Noir', year: 1999 });
+        expect(loaded.mock.calls[0][0].tags).toMatchObject({ title: 'Night Drive' });
+        expect(announce).toHaveBeenCalledWith('Night Drive by Café Noir loaded, duration 0:01');
+
+        const metadata = player.getMetadata();
+        expect(metadata).toMatchObject({ title: 'Night Drive', artist: 'Café Noir', album: 'Routes' });
+        expect(metadata.artwork).toEqual([{ src: expect.stringMatching(/^blob:/), type: 'image/jpeg' }]);
+
+        const { values, artwork } = player.trackInfoUI;
+        expect(values.title.textContent).toBe('Night Drive');
+        expect(values.trackNumber.textContent).toBe('3 of 12');
+        expect(values.replayGain.textContent).toBe('-6.2 dB track');
+        expect(artwork.hidden).toBe(false);
+        expect(artwork.getAttribute('src')).toBe(metadata.artwork[0].src);
+
+        // The chapters past the 1 second track are dropped
+        expect(player.getMarkers().map(marker => marker.name)).toEqual(['Intro']);
+      });
+
+      it('should clear the tags when an untagged track loads', async () => {
+        await player.load(new File([taggedMp3()], 'drive.mp3'));
+        const { src } = player.getMetadata().artwork[0];
+        const revoke = vi.spyOn(URL, 'revokeObjectURL');
+
+        await player.load(new File([MP3_FRAME], 'plain.mp3'));
+
+        expect(revoke).toHaveBeenCalledWith(src);
+        expect(player.getTags()).toBeNull();
+        expect(player.getMetadata()).toEqual({ title: 'plain.mp3' });
+        expect(player.trackInfoUI.values.title.textContent).toBe('—');
+        expect(player.trackInfoUI.artwork.hidden).toBe(true);
+      });
+
+      it('should not let callers change the loaded tags', async () => {
+        await player.load(new File([taggedMp3()], 'drive.mp3'));
+
+        const tags = player.getTags();
+        tags.title = 'Changed';
+        tags.chapters.length = 0;
+
+        expect(player.getTags()).toMatchObject({ title: 'Night Drive', chapters: [{ title: 'Intro' }, { title: 'Verse' }] });
+      });
+    });
+  });
+});
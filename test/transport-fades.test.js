@@ -0,0 +1,236 @@
+/**
+ * Tests for click-free transport fades
+ * Testing the gain ramps on play, pause, stop and seek (a crossfade between the old
+ * and new source), volume ramps on an owned media element, and the player option
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer } from '../js/audio-state.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+import { FakeAudioContext } from './setup.js';
+
+// Plain object standing in for an <audio> element
+const createMediaElement = () => ({
+  paused: true,
+  volume: 1,
+  currentTime: 0,
+  duration: 30,
+  playbackRate: 1,
+  src: '',
+  load() {},
+  async play() { this.paused = false; },
+  pause() { this.paused = true; }
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Transport fades', () => {
+  const FADE = CONFIG.TRANSPORT_FADE_DURATION;
+  let originalAudioContext;
+  let scope;
+  let context;
+
+  beforeEach(async () => {
+    originalAudioContext = window.AudioContext;
+    window.AudioContext = FakeAudioContext;
+    scope = new PlayerScope();
+    await scope.playback.initialize();
+    context = AudioContextManager.getContext();
+    context.currentTime = 1;
+  });
+
+  afterEach(async () => {
+    scope.playback.dispose();
+    await AudioContextManager.dispose();
+    window.AudioContext = originalAudioContext;
+  });
+
+  describe('buffer sources', () => {
+    beforeEach(async () => {
+      const audioBuffer = new AudioBuffer({ numberOfChannels: 1, length: 20 * 8000, sampleRate: 8000 });
+      setAudioBuffer(audioBuffer, new Float32Array(16), 1, scope.stateManager, null);
+      await scope.playback.load(audioBuffer);
+    });
+
+    it('should fade each source in when it starts', async () => {
+      await scope.playback.play(5);
+
+      const source = context.sources.at(-1);
+      expect(source.output.gain.events).toEqual([['set', 0, 1], ['linear', 1, 1 + FADE]]);
+    });
+
+    it('should fade out on pause and stop the source at the end of the fade', async () => {
+      await scope.playback.play(5);
+      const source = context.sources.at(-1);
+      context.currentTime = 3;
+
+      scope.playback.pause();
+
+      expect(source.output.gain.events.slice(-3)).toEqual([['cancel', 3], ['set', 1, 3], ['linear', 0, 3 + FADE]]);
+      expect(source.stoppedAt).toBe(3 + FADE);
+      expect(scope.playback.getCurrentTime()).toBeCloseTo(7);
+      // Still audible until the fade has run
+      expect(source.output.connected).toBe(true);
+      await wait(FADE * 1000 + 20);
+      expect(source.output.connected).toBe(false);
+    });
+
+    it('should crossfade from the old source to the new one on seek', async () => {
+      scope.stateManager.set('audio.isPlaying', true);
+      await scope.playback.play(5);
+      const previous = context.sources.at(-1);
+      context.currentTime = 2;
+
+      scope.playback.seekTo(12);
+      await wait(0);
+
+      const next = context.sources.at(-1);
+      expect(next).not.toBe(previous);
+      expect(previous.stoppedAt).toBe(2 + FADE);
+      expect(previous.output.gain.events.at(-1)).toEqual(['linear', 0, 2 + FADE]);
+      expect(next.output.gain.events).toEqual([['set', 0, 2], ['linear', 1, 2 + FADE]]);
+      expect(next.output).not.toBe(previous.output);
+    });
+
+    it('should stop immediately with fades switched off', async () => {
+      scope.playback.setFadeDuration(0);
+      await scope.playback.play(5);
+      const source = context.sources.at(-1);
+      context.currentTime = 3;
+
+      scope.playback.stop();
+
+      expect(source.output.gain.events).toEqual([]);
+      expect(source.stoppedAt).toBe(3);
+      expect(source.output.connected).toBe(false);
+    });
+  });
+
+  describe('owned media element', () => {
+    let element;
+
+    beforeEach(() => {
+      element = createMediaElement();
+      scope.stateManager.set('audio.volume', 0.8);
+      scope.playback.setMediaElement(element);
+    });
+
+    it('should start silent and ramp up to the player volume', async () => {
+      await scope.playback.play(4);
+
+      expect(element.paused).toBe(false);
+      expect(element.volume).toBeLessThan(0.8);
+      await wait(FADE * 1000 + 20);
+      expect(element.volume).toBeCloseTo(0.8);
+    });
+
+    it('should ramp down before pausing', async () => {
+      await scope.playback.play(4);
+      await wait(FADE * 1000 + 20);
+
+      scope.playback.pause();
+
+      expect(element.paused).toBe(false);
+      await wait(FADE * 1000 + 20);
+      expect(element.paused).toBe(true);
+      expect(element.volume).toBe(0);
+    });
+
+    it('should not pause when playback resumes during the fade-out', async () => {
+      await scope.playback.play(4);
+      await wait(FADE * 1000 + 20);
+
+      scope.playback.pause();
+      await scope.playback.play(6);
+      await wait(FADE * 1000 + 20);
+
+      expect(element.paused).toBe(false);
+      expect(element.volume).toBeCloseTo(0.8);
+    });
+
+    it('should fade out, jump and fade back in on a seek while playing', async () => {
+      await scope.playback.play(4);
+      await wait(FADE * 1000 + 20);
+      // Record the volume the element jumps at
+      let volumeAtJump = null;
+      let time = element.currentTime;
+      Object.defineProperty(element, 'currentTime', {
+        get: () => time,
+        set: (value) => { volumeAtJump = element.volume; time = value; }
+      });
+
+      scope.playback.seekTo(10);
+
+      // No cut to silence: it ramps down where it is, already reporting the new position
+      expect(element.volume).toBeCloseTo(0.8);
+      expect(element.currentTime).toBe(4);
+      expect(scope.playback.getCurrentTime()).toBe(10);
+      await wait(2 * FADE * 1000 + 40);
+      expect(element.currentTime).toBe(10);
+      expect(volumeAtJump).toBe(0);
+      expect(element.volume).toBeCloseTo(0.8);
+    });
+
+    it('should jump to the last of several quick seeks', async () => {
+      await scope.playback.play(4);
+      await wait(FADE * 1000 + 20);
+
+      scope.playback.seekTo(10);
+      scope.playback.seekTo(20);
+      await wait(2 * FADE * 1000 + 40);
+
+      expect(element.currentTime).toBe(20);
+      expect(element.volume).toBeCloseTo(0.8);
+    });
+
+    it('should leave a page-owned element volume alone', async () => {
+      const page = createMediaElement();
+      page.volume = 0.3;
+      scope.playback.setMediaElement(page, { external: true });
+
+      await scope.playback.play(4);
+      scope.playback.seekTo(8);
+      scope.playback.pause();
+
+      expect(page.volume).toBe(0.3);
+      expect(page.paused).toBe(true);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should take the fade length as an option and change it later', async () => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, fadeDuration: 0.05 });
+      players.push(player);
+      await player.ready;
+
+      expect(player.getFadeDuration()).toBe(0.05);
+      expect(player.setFadeDuration(0)).toBe(0);
+      expect(player.scope.playback.getFadeDuration()).toBe(0);
+      expect(() => player.setFadeDuration(-1)).toThrow(ValidationError);
+      expect(() => player.setFadeDuration(CONFIG.TRANSPORT_FADE_MAX_DURATION + 1)).toThrow(ValidationError);
+      expect(player.getFadeDuration()).toBe(0);
+    });
+
+    it('should reject a bad fadeDuration option', () => {
+      expect(() => new SpiralWaveformPlayer({ container, controls: 'none', fadeDuration: '10ms' })).toThrow(ValidationError);
+    });
+  });
+});
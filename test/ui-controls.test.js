@@ -0,0 +1,206 @@
+/**
+ * Tests for ui-controls.js
+ * Testing control presets, host-supplied elements and demo tracks
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PlayerControls,
+  ControlNames,
+  DEFAULT_DEMO_TRACKS,
+  resolveControls,
+  validateDemoTracks,
+  validateControlElements,
+  createUI
+} from '../js/ui-controls.js';
+import { ValidationError } from '../js/validation.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+describe('ui-controls.js - Configurable Chrome', () => {
+  describe('resolveControls()', () => {
+    it('should enable everything for the full preset', () => {
+      const controls = resolveControls(PlayerControls.FULL);
+      Object.values(ControlNames).forEach(name => expect(controls[name]).toBe(true));
+    });
+
+    it('should default to the full preset', () => {
+      expect(resolveControls()).toEqual(resolveControls('full'));
+    });
+
+    it('should enable only the file input for the minimal preset', () => {
+      const controls = resolveControls('minimal');
+      expect(controls.fileInput).toBe(true);
+      expect(controls.urlInput).toBe(false);
+      expect(controls.demoTracks).toBe(false);
+    });
+
+    it('should disable everything for the none preset', () => {
+      expect(Object.values(resolveControls('none')).every(enabled => !enabled)).toBe(true);
+    });
+
+    it('should hide controls left out of an object', () => {
+      const controls = resolveControls({ urlInput: true, urlButton: true });
+      expect(controls.urlInput).toBe(true);
+      expect(controls.urlButton).toBe(true);
+      expect(controls.title).toBe(false);
+      expect(controls.fileInput).toBe(false);
+    });
+
+    it('should reject unknown presets, control names and non-boolean flags', () => {
+      expect(() => resolveControls('compact')).toThrow(ValidationError);
+      expect(() => resolveControls({ volumeSlider: true })).toThrow(ValidationError);
+      expect(() => resolveControls({ fileInput: 'yes' })).toThrow(ValidationError);
+      expect(() => resolveControls(42)).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateDemoTracks()', () => {
+    it('should accept the defaults and an empty list', () => {
+      expect(validateDemoTracks(DEFAULT_DEMO_TRACKS)).toBe(DEFAULT_DEMO_TRACKS);
+      expect(validateDemoTracks([])).toEqual([]);
+    });
+
+    it('should reject malformed entries', () => {
+      expect(() => validateDemoTracks('track.mp3')).toThrow(ValidationError);
+      expect(() => validateDemoTracks([{ label: 'No URL' }])).toThrow(ValidationError);
+      expect(() => validateDemoTracks([{ label: '', url: 'a.mp3' }])).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateControlElements()', () => {
+    it('should accept host elements', () => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      const elements = {
+        urlInput: document.createElement('input'),
+        urlButton: document.createElement('button'),
+        fileInput
+      };
+      expect(validateControlElements(elements)).toBe(elements);
+    });
+
+    it('should reject non-file inputs, non-elements and unknown keys', () => {
+      expect(() => validateControlElements({ fileInput: document.createElement('input') })).toThrow(ValidationError);
+      expect(() => validateControlElements({ urlInput: '#url' })).toThrow(ValidationError);
+      expect(() => validateControlElements({ playButton: document.createElement('button') })).toThrow(ValidationError);
+    });
+  });
+
+  describe('createUI()', () => {
+    it('should create only the requested parts', () => {
+      const container = document.createElement('div');
+      const result = createUI(container, { title: false, instructions: true });
+
+      expect(result.title).toBeNull();
+      expect(container.querySelector('h1')).toBeNull();
+      expect(container.querySelector('p')).toBe(result.instructions);
+    });
+  });
+
+  describe('SpiralWaveformPlayer integration', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options) => {
+      const player = new SpiralWaveformPlayer({ container, ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.cleanup());
+      document.body.innerHTML = '';
+    });
+
+    it('should render only the canvas with controls "none"', async () => {
+      await createPlayer({ controls: 'none' });
+
+      expect([...container.children].map(child => child.tagName)).toEqual(['CANVAS']);
+    });
+
+    it('should render the full chrome by default', async () => {
+      await createPlayer();
+
+      expect(container.querySelector('h1')).not.toBeNull();
+      expect(container.querySelector('.url-input')).not.toBeNull();
+      expect(container.querySelector('.url-button')).not.toBeNull();
+      expect(container.querySelector('.test-file-button').textContent).toBe(DEFAULT_DEMO_TRACKS[0].label);
+      expect(container.querySelector('.file-input')).not.toBeNull();
+    });
+
+    it('should render one button per configured demo track', async () => {
+      await createPlayer({
+        controls: { demoTracks: true },
+        demoTracks: [
+          { label: 'Intro', url: 'audio/intro.mp3' },
+          { label: 'Outro', url: 'audio/outro.mp3' }
+        ]
+      });
+
+      const labels = [...container.querySelectorAll('.test-file-button')].map(button => button.textContent);
+      expect(labels).toEqual(['Intro', 'Outro']);
+    });
+
+    it('should render no demo buttons for an empty track list', async () => {
+      await createPlayer({ controls: 'full', demoTracks: [] });
+
+      expect(container.querySelector('.test-file-button')).toBeNull();
+    });
+
+    it('should load from host URL elements and leave them in place on cleanup', async () => {
+      const urlInput = document.createElement('input');
+      const urlButton = document.createElement('button');
+      document.body.append(urlInput, urlButton);
+
+      const player = await createPlayer({ controls: 'none', elements: { urlInput, urlButton } });
+      const loadFromUrl = vi.spyOn(player, 'loadFromUrl').mockResolvedValue();
+
+      urlInput.value = ' https://example.com/track.mp3 ';
+      urlButton.click();
+
+      expect(loadFromUrl).toHaveBeenCalledWith('https://example.com/track.mp3');
+      expect(container.querySelector('.url-input')).toBeNull();
+
+      player.cleanup();
+      players = [];
+      urlButton.click();
+
+      expect(loadFromUrl).toHaveBeenCalledTimes(1);
+      expect(urlInput.isConnected).toBe(true);
+      expect(urlButton.isConnected).toBe(true);
+    });
+
+    it('should use a host file input instead of creating one', async () => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      document.body.appendChild(fileInput);
+
+      const player = await createPlayer({ controls: 'minimal', elements: { fileInput } });
+
+      expect(player.fileInput).toBe(fileInput);
+      expect(container.querySelector('.file-input')).toBeNull();
+    });
+
+    it('should remove the chrome it created on cleanup', async () => {
+      const player = await createPlayer({ controls: 'full' });
+
+      player.cleanup();
+      players = [];
+
+      expect(container.children).toHaveLength(0);
+    });
+
+    it('should reject invalid options up front', () => {
+      expect(() => new SpiralWaveformPlayer({ container, controls: 'compact' })).toThrow(ValidationError);
+      expect(() => new SpiralWaveformPlayer({ container, demoTracks: [{ url: 'a.mp3' }] })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Tests for cancellable URL loading
+ * Testing the streamed download and its progress, the loading overlay's progress
+ * bar and Cancel button, aborting loadAudioFromUrl, and that only a player's most
+ * recent load commits
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ErrorUI } from '../js/error-ui.js';
+import { PlayerScope } from '../js/player-scope.js';
+import { setAudioBuffer, getAudioState } from '../js/audio-state.js';
+import { AudioContextManager } from '../js/audio-context-manager.js';
+import { fetchAudioData, loadAudioFromUrl } from '../js/audio-loader.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+// fetch() response whose body arrives in the given chunks
+const createResponse = (chunks, headers = {}) => {
+  const queue = chunks.map(bytes => new Uint8Array(bytes));
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: (name) => headers[name] ?? null },
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0 ? { done: false, value: queue.shift() } : { done: true, value: undefined })
+      })
+    }
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// A local WAV (decoding is mocked) and a decoded buffer with some signal (file loads reject silence)
+const wavFile = (name) => new File([Uint8Array.from([82, 73, 70, 70, 36, 0, 0, 0, 87, 65, 86, 69, ...new Array(64).fill(0)])], name, { type: 'audio/wav' });
+class SignalBuffer extends AudioBuffer {
+  getChannelData() {
+    return new Float32Array(this.length).fill(0.5);
+  }
+}
+
+describe('Cancellable URL loading', () => {
+  let originalFetch;
+  let audioElements;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = vi.fn();
+    // Collect the hidden <audio> elements the loader creates (their events are fired by hand)
+    audioElements = [];
+    const createElement = Document.prototype.createElement;
+    vi.spyOn(document, 'createElement').mockImplementation(function (tag, ...rest) {
+      const element = createElement.call(document, tag, ...rest);
+      if (tag === 'audio') audioElements.push(element);
+      return element;
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    global.fetch = originalFetch;
+    ErrorUI.dispose();
+  });
+
+  describe('fetchAudioData', () => {
+    it('should stream the body and report progress', async () => {
+      global.fetch.mockResolvedValue(createResponse([[1, 2], [3, 4, 5]], { 'Content-Length': '5' }));
+      const onProgress = vi.fn();
+      const controller = new AbortController();
+
+      const data = await fetchAudioData('https://example.com/a.wav', { signal: controller.signal, onProgress });
+
+      expect(Array.from(new Uint8Array(data))).toEqual([1, 2, 3, 4, 5]);
+      expect(onProgress.mock.calls).toEqual([[0, 5], [2, 5], [5, 5]]);
+      expect(global.fetch).toHaveBeenCalledWith('https://example.com/a.wav', { signal: controller.signal });
+    });
+
+    it('should leave the total unknown when it cannot be trusted', async () => {
+      global.fetch.mockResolvedValue(createResponse([[1, 2, 3]], { 'Content-Length': '2', 'Content-Encoding': 'gzip' }));
+      const onProgress = vi.fn();
+
+      await fetchAudioData('https://example.com/a.wav', { onProgress });
+
+      expect(onProgress).toHaveBeenLastCalledWith(3, null);
+    });
+
+    it('should read responses without a stream in one go', async () => {
+      global.fetch.mockResolvedValue({ ok: true, headers: { get: () => null }, arrayBuffer: async () => new ArrayBuffer(8) });
+      const onProgress = vi.fn();
+
+      expect((await fetchAudioData('https://example.com/a.wav', { onProgress })).byteLength).toBe(8);
+      expect(onProgress).toHaveBeenCalledWith(8, 8);
+    });
+
+    it('should reject HTTP errors', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+      await expect(fetchAudioData('https://example.com/a.wav')).rejects.toThrow('HTTP 404: Not Found');
+    });
+  });
+
+  describe('loading overlay', () => {
+    it('should fill the progress bar and show the bytes', () => {
+      ErrorUI.showLoading('Loading audio from URL...', { progress: true });
+      const track = document.querySelector('.loading-progress');
+      const text = document.querySelector('.loading-progress-text');
+      expect(track.classList.contains('indeterminate')).toBe(true);
+
+      ErrorUI.setLoadingProgress(1.5 * 1024 * 1024, null);
+      expect(text.textContent).toBe('1.5 MB');
+      expect(track.classList.contains('indeterminate')).toBe(true);
+
+      ErrorUI.setLoadingProgress(1024 * 1024, 4 * 1024 * 1024);
+      expect(track.classList.contains('indeterminate')).toBe(false);
+      expect(track.firstElementChild.style.width).toBe('25%');
+      expect(track.getAttribute('aria-valuenow')).toBe('25');
+      expect(text.textContent).toBe('1.0 of 4.0 MB (25%)');
+    });
+
+    it('should cancel from its button', () => {
+      const onCancel = vi.fn();
+      ErrorUI.showLoading('Loading...', { onCancel });
+
+      document.querySelector('.loading-cancel-btn').click();
+
+      expect(onCancel).toHaveBeenCalledTimes(1);
+      expect(document.getElementById('loading-overlay').classList.contains('hidden')).toBe(true);
+    });
+
+    it('should keep the plain spinner by default', () => {
+      ErrorUI.showLoading('Decoding audio file...');
+      expect(document.querySelector('.loading-progress')).toBeNull();
+      expect(document.querySelector('.loading-cancel-btn')).toBeNull();
+      // No bar to fill
+      expect(() => ErrorUI.setLoadingProgress(1, 2)).not.toThrow();
+    });
+  });
+
+  describe('loadAudioFromUrl', () => {
+    let scope;
+    let previous;
+
+    beforeEach(() => {
+      scope = new PlayerScope();
+      previous = { duration: 10, length: 10, sampleRate: 1, numberOfChannels: 1 };
+      setAudioBuffer(previous, new Float32Array(16), 1, scope.stateManager, null);
+    });
+
+    it('should stop and keep the previous audio when cancelled', async () => {
+      const controller = new AbortController();
+      const loading = loadAudioFromUrl('https://example.com/a.mp3', scope, { signal: controller.signal });
+      await flush();
+      const [element] = audioElements;
+      expect(element.getAttribute('src')).toBe('https://example.com/a.mp3');
+
+      controller.abort();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      expect(element.hasAttribute('src')).toBe(false);
+      expect(getAudioState(scope.stateManager).duration).toBe(10);
+      expect(document.getElementById('loading-overlay').classList.contains('hidden')).toBe(true);
+
+      // The element finishing loading anyway changes nothing
+      expect(element.oncanplaythrough).toBeNull();
+    });
+
+    it('should cancel a download in progress', async () => {
+      const controller = new AbortController();
+      global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      }));
+      const onProgress = vi.fn();
+      const loading = loadAudioFromUrl('https://example.com/a.mp3', scope, { signal: controller.signal, onProgress });
+      await flush();
+      audioElements[0].oncanplaythrough();
+      await flush();
+
+      controller.abort();
+
+      await expect(loading).rejects.toMatchObject({ name: 'AbortError' });
+      expect(getAudioState(scope.stateManager).duration).toBe(10);
+    });
+
+    it('should reject straight away with an aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(loadAudioFromUrl('https://example.com/a.mp3', scope, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(audioElements).toHaveLength(0);
+    });
+
+    it('should dispose of the previous audio once the new source is ready', async () => {
+      global.fetch.mockRejectedValue(new Error('CORS'));
+      const loading = loadAudioFromUrl('https://example.com/a.mp3', scope);
+      await flush();
+      expect(getAudioState(scope.stateManager).duration).toBe(10);
+
+      audioElements[0].oncanplaythrough();
+      const result = await loading;
+
+      expect(result.audioElement === audioElements[0]).toBe(true);
+      expect(result.isUrlLoaded).toBe(true);
+      expect(getAudioState(scope.stateManager).audioBuffer).toBeNull();
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async () => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', mediaSession: false, resume: 'off' });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    const createBuffer = (seconds) => new AudioBuffer({ numberOfChannels: 1, length: seconds * 8000, sampleRate: 8000 });
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should only commit the most recent URL load', async () => {
+      const player = await createPlayer();
+      global.fetch.mockRejectedValue(new Error('CORS'));
+      const aborted = vi.fn();
+      const errors = vi.fn();
+      player.on('loadabort', aborted);
+      player.on('error', errors);
+
+      const first = player.loadFromUrl('https://example.com/first.mp3');
+      await flush();
+      const second = player.loadFromUrl('https://example.com/second.mp3');
+      await flush();
+
+      // The first element is emptied; its late event is ignored
+      expect(audioElements[0].hasAttribute('src')).toBe(false);
+      await first;
+      expect(aborted).toHaveBeenCalledTimes(1);
+      expect(aborted.mock.calls[0][0].cancelled).toMatchObject({ url: 'https://example.com/first.mp3' });
+
+      audioElements[1].oncanplaythrough();
+      await second;
+
+      expect(player.scope.playback.getMediaElement()).toBe(audioElements[1]);
+      expect(player.getDuration()).toBe(30);
+      expect(errors).not.toHaveBeenCalled();
+    });
+
+    it('should cancel a URL load and keep the track', async () => {
+      const player = await createPlayer();
+      await player.load(createBuffer(12), { name: 'kept.wav' });
+      const aborted = vi.fn();
+      player.on('loadabort', aborted);
+
+      const loading = player.loadFromUrl('https://example.com/long.mp3');
+      await flush();
+      expect(player.cancelLoad()).toBe(true);
+      await loading;
+
+      expect(player.cancelLoad()).toBe(false);
+      expect(player.getDuration()).toBe(12);
+      expect(aborted.mock.calls[0][0].source).toMatchObject({ name: 'kept.wav' });
+      expect(document.getElementById('loading-overlay').classList.contains('hidden')).toBe(true);
+    });
+
+    it('should cancel from the overlay button or the caller\'s signal', async () => {
+      const player = await createPlayer();
+      const aborted = vi.fn();
+      player.on('loadabort', aborted);
+
+      const clicked = player.loadFromUrl('https://example.com/a.mp3');
+      await flush();
+      document.querySelector('.loading-cancel-btn').click();
+      await clicked;
+
+      const controller = new AbortController();
+      const signalled = player.loadFromUrl('https://example.com/b.mp3', { signal: controller.signal });
+      await flush();
+      controller.abort();
+      await signalled;
+
+      expect(aborted).toHaveBeenCalledTimes(2);
+      expect(audioElements.every(element => !element.hasAttribute('src'))).toBe(true);
+    });
+
+    it('should report download progress', async () => {
+      const player = await createPlayer();
+      global.fetch.mockResolvedValue(createResponse([[1, 2, 3]], { 'Content-Length': '3' }));
+      const progress = vi.fn();
+      player.on('loadprogress', progress);
+
+      const loading = player.loadFromUrl('https://example.com/a.mp3');
+      await flush();
+      audioElements[0].oncanplaythrough();
+      await loading;
+
+      expect(progress.mock.calls.map(([detail]) => [detail.loaded, detail.total])).toEqual([[0, 3], [3, 3]]);
+    });
+
+    it('should let a newer load() win over one still decoding', async () => {
+      const player = await createPlayer();
+      const aborted = vi.fn();
+      player.on('loadabort', aborted);
+
+      const first = player.load(createBuffer(5), { name: 'first' });
+      const second = player.load(createBuffer(8), { name: 'second' });
+
+      await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(second).resolves.toMatchObject({ name: 'second' });
+      expect(player.getDuration()).toBe(8);
+      expect(aborted).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a file picked in the file input win over a URL still loading', async () => {
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      container.appendChild(fileInput);
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', elements: { fileInput }, mediaSession: false, resume: 'off' });
+      players.push(player);
+      await player.ready;
+      global.fetch.mockRejectedValue(new Error('CORS'));
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockResolvedValue(new SignalBuffer({ numberOfChannels: 1, length: 4 * 8000, sampleRate: 8000 }));
+      const loaded = vi.fn();
+      const aborted = vi.fn();
+      player.on('loaded', loaded);
+      player.on('loadabort', aborted);
+
+      const url = player.loadFromUrl('https://example.com/slow.mp3');
+      await flush();
+      Object.defineProperty(fileInput, 'files', { value: [wavFile('picked.wav')] });
+      fileInput.dispatchEvent(new Event('change'));
+      await vi.waitFor(() => expect(loaded).toHaveBeenCalledTimes(1));
+
+      // The URL's media element becomes ready after the pick
+      audioElements[0].oncanplaythrough?.();
+      await url;
+
+      expect(aborted).toHaveBeenCalledTimes(1);
+      expect(aborted.mock.calls[0][0].cancelled).toMatchObject({ url: 'https://example.com/slow.mp3' });
+      expect(loaded).toHaveBeenCalledTimes(1);
+      expect(player.getDuration()).toBe(4);
+      expect(player.scope.playback.getMediaElement()).toBeNull();
+      expect(player._source).toMatchObject({ kind: 'file', name: 'picked.wav' });
+    });
+
+    it('should let a newer load win over a file still decoding', async () => {
+      const player = await createPlayer();
+      await player.load(createBuffer(12), { name: 'kept.wav' });
+      // Decoding finishes when the test says so
+      let finishDecoding;
+      vi.spyOn(AudioContextManager, 'withTemporaryContext').mockImplementation(() => new Promise(resolve => {
+        finishDecoding = () => resolve(new SignalBuffer({ numberOfChannels: 1, length: 4 * 8000, sampleRate: 8000 }));
+      }));
+      const loaded = vi.fn();
+      const aborted = vi.fn();
+      player.on('loaded', loaded);
+      player.on('loadabort', aborted);
+
+      const file = player.loadFile(wavFile('slow.wav'));
+      await vi.waitFor(() => expect(finishDecoding).toBeTypeOf('function'));
+      await player.load(createBuffer(8), { name: 'newer' });
+      finishDecoding();
+      await file;
+
+      expect(player.getDuration()).toBe(8);
+      expect(loaded).toHaveBeenCalledTimes(1);
+      expect(aborted).toHaveBeenCalledTimes(1);
+      expect(aborted.mock.calls[0][0].cancelled).toMatchObject({ kind: 'file', name: 'slow.wav' });
+
+      // cancelLoad() keeps the track, and the source, from before
+      finishDecoding = null;
+      const cancelled = player.loadFile(wavFile('cancelled.wav'));
+      await vi.waitFor(() => expect(finishDecoding).toBeTypeOf('function'));
+      expect(player.cancelLoad()).toBe(true);
+      finishDecoding();
+      await cancelled;
+      expect(player.getDuration()).toBe(8);
+      expect(player._source).toMatchObject({ name: 'newer' });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for visual-config.js
+ * Testing per-player visual overrides, their validation and live configure()
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  VisualConfigKeys,
+  createVisualConfig,
+  applyVisualConfig,
+  copyVisualConfig
+} from '../js/visual-config.js';
+import { PlayerScope, defaultScope, createPlayerScope } from '../js/player-scope.js';
+import { RenderComponents } from '../js/render-state.js';
+import { ValidationError } from '../js/validation.js';
+import { CONFIG } from '../js/utils.js';
+import { drawRadialWaveform } from '../js/waveform-draw.js';
+import { SpiralWaveformPlayer } from '../js/spiral-waveform-player.js';
+
+/**
+ * 2D context stand-in that records gradient calls and ignores everything else
+ */
+function createRecordingContext() {
+  const calls = { radial: [], conicStops: [], radialStops: [] };
+  const ctx = new Proxy({}, {
+    get(target, name) {
+      if (name === 'calls') return calls;
+      if (name === 'createRadialGradient') {
+        return (...args) => {
+          calls.radial.push(args);
+          return { addColorStop: (stop, color) => calls.radialStops.push([stop, color]) };
+        };
+      }
+      if (name === 'createConicGradient') {
+        return () => ({ addColorStop: (stop, color) => calls.conicStops.push([stop, color]) });
+      }
+      if (name === 'measureText') return () => ({ width: 0 });
+      return target[name] ?? (() => {});
+    },
+    set(target, name, value) {
+      target[name] = value;
+      return true;
+    }
+  });
+  return ctx;
+}
+
+describe('visual-config.js - Per-Player Visual Settings', () => {
+  describe('createVisualConfig()', () => {
+    it('should copy every overridable CONFIG value', () => {
+      const visual = createVisualConfig();
+
+      expect(Object.keys(visual)).toEqual([...VisualConfigKeys]);
+      VisualConfigKeys.forEach(key => expect(visual[key]).toEqual(CONFIG[key]));
+      expect(visual.WAVEFORM_COLORS).not.toBe(CONFIG.WAVEFORM_COLORS);
+    });
+
+    it('should apply overrides and merge partial nested objects', () => {
+      const visual = createVisualConfig({
+        NUM_POINTS: 600,
+        WAVEFORM_COLORS: { INNER: '#ff7043' },
+        WAVEFORM_SHADOW: { MAX_DARKENING: 40 }
+      });
+
+      expect(visual.NUM_POINTS).toBe(600);
+      expect(visual.WAVEFORM_COLORS).toEqual({ INNER: '#ff7043', OUTER: CONFIG.WAVEFORM_COLORS.OUTER });
+      expect(visual.WAVEFORM_SHADOW).toEqual({ ...CONFIG.WAVEFORM_SHADOW, MAX_DARKENING: 40 });
+      expect(CONFIG.NUM_POINTS).not.toBe(600);
+      expect(CONFIG.WAVEFORM_COLORS.INNER).not.toBe('#ff7043');
+    });
+
+    it('should reject unknown keys and invalid values', () => {
+      expect(() => createVisualConfig({ BUTTON_RADIUS_RATIO: 0.1 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ NUM_POINTS: 1 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ NUM_POINTS: 10.5 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ WINDOW_DURATION: 0 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ TRANSITION_DURATION: -5 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ BOOST_MAX_MULTIPLIER: 0.5 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ WAVEFORM_COLORS: { INNER: 42 } })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ WAVEFORM_SHADOW: { MAX_DARKENING: 300 } })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ WAVEFORM_SHADOW: { SOFTNESS: 1 } })).toThrow(ValidationError);
+      expect(() => createVisualConfig('large')).toThrow(ValidationError);
+    });
+
+    it('should name the offending field', () => {
+      const error = (() => {
+        try {
+          createVisualConfig({ WAVEFORM_COLORS: { OUTER: null } });
+        } catch (e) {
+          return e;
+        }
+      })();
+
+      expect(error.field).toBe('visual.WAVEFORM_COLORS.OUTER');
+    });
+
+    it('should reject a ring that does not fit the canvas', () => {
+      expect(() => createVisualConfig({ INNER_RADIUS_RATIO: 0.3, MAX_THICKNESS_RATIO: 0.3 })).toThrow(ValidationError);
+      expect(() => createVisualConfig({ INNER_RADIUS_RATIO: 0.3 })).toThrow(/must not exceed 0.5/);
+    });
+  });
+
+  describe('applyVisualConfig()', () => {
+    it('should report the render components each change affects', () => {
+      const visual = createVisualConfig();
+
+      expect(applyVisualConfig(visual, { WAVEFORM_COLORS: { INNER: 'red' } })).toEqual([RenderComponents.WAVEFORM]);
+      expect(applyVisualConfig(visual, { INNER_RADIUS_RATIO: 0.2 })).toEqual([
+        RenderComponents.WAVEFORM,
+        RenderComponents.PLAYHEAD,
+        RenderComponents.TIME_DISPLAY
+      ]);
+      expect(applyVisualConfig(visual, { TRANSITION_DURATION: 400 })).toEqual([]);
+    });
+
+    it('should change nothing when any override is invalid', () => {
+      const visual = createVisualConfig();
+      const before = copyVisualConfig(visual);
+
+      expect(() => applyVisualConfig(visual, { NUM_POINTS: 800, WINDOW_DURATION: -1 })).toThrow(ValidationError);
+      expect(() => applyVisualConfig(visual, { MAX_THICKNESS_RATIO: 0.4 })).toThrow(ValidationError);
+
+      expect(visual).toEqual(before);
+    });
+  });
+
+  describe('PlayerScope', () => {
+    it('should keep the default scope on the live CONFIG', () => {
+      expect(defaultScope.visual).toBe(CONFIG);
+    });
+
+    it('should give each new scope its own visual config', () => {
+      const a = new PlayerScope();
+      const b = createPlayerScope({ visual: createVisualConfig({ NUM_POINTS: 300 }) });
+
+      expect(a.visual).not.toBe(b.visual);
+      expect(a.visual.NUM_POINTS).toBe(CONFIG.NUM_POINTS);
+      expect(b.visual.NUM_POINTS).toBe(300);
+    });
+  });
+
+  describe('drawRadialWaveform()', () => {
+    const draw = (visual) => {
+      const scope = new PlayerScope({ visual: createVisualConfig(visual) });
+      const canvas = document.createElement('canvas');
+      canvas.width = 400;
+      canvas.height = 400;
+      const ctx = createRecordingContext();
+      const audioBuffer = new AudioBuffer({ numberOfChannels: 1, length: 4410, sampleRate: 44100 });
+      const waveform = audioBuffer.getChannelData(0);
+
+      drawRadialWaveform(ctx, canvas, waveform, 0, false, { audioBuffer, globalMaxAmp: 1, animationProgress: 0 }, scope);
+      return ctx.calls;
+    };
+
+    it('should draw with the scope geometry and colors', () => {
+      const size = 400 / (window.devicePixelRatio || 1);
+      const calls = draw({ INNER_RADIUS_RATIO: 0.2, MAX_THICKNESS_RATIO: 0.1, WAVEFORM_COLORS: { INNER: '#ff7043' } });
+
+      const [, , innerRadius, , , outerRadius] = calls.radial[0];
+      expect(innerRadius).toBeCloseTo(size * 0.2);
+      expect(outerRadius).toBeCloseTo(size * 0.2 + size * 0.1 + 2);
+      expect(calls.radialStops[0]).toEqual([0, '#ff7043']);
+    });
+
+    it('should shade with the scope shadow settings', () => {
+      const light = draw({ WAVEFORM_SHADOW: { MAX_DARKENING: 0 } });
+      const dark = draw({ WAVEFORM_SHADOW: { MAX_DARKENING: 200 } });
+
+      expect(light.conicStops.every(([, color]) => color === 'rgba(255, 255, 255, 1)')).toBe(true);
+      expect(dark.conicStops.some(([, color]) => color !== 'rgba(255, 255, 255, 1)')).toBe(true);
+    });
+  });
+
+  describe('SpiralWaveformPlayer', () => {
+    let container;
+    let players;
+
+    const createPlayer = async (options) => {
+      const player = new SpiralWaveformPlayer({ container, controls: 'none', ...options });
+      players.push(player);
+      await player.ready;
+      return player;
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      players = [];
+    });
+
+    afterEach(() => {
+      players.forEach(player => player.destroy());
+      document.body.innerHTML = '';
+    });
+
+    it('should apply the visual option to that player only', async () => {
+      const custom = await createPlayer({ visual: { NUM_POINTS: 700, WINDOW_DURATION: 10 } });
+      const plain = await createPlayer();
+
+      expect(custom.getVisualConfig()).toMatchObject({ NUM_POINTS: 700, WINDOW_DURATION: 10 });
+      expect(plain.getVisualConfig().NUM_POINTS).toBe(CONFIG.NUM_POINTS);
+    });
+
+    it('should reject invalid visual options up front', () => {
+      expect(() => new SpiralWaveformPlayer({ container, visual: { NUM_POINTS: 0 } })).toThrow(ValidationError);
+    });
+
+    it('should mark the affected components dirty on configure()', async () => {
+      const player = await createPlayer();
+      const { renderState } = player.scope;
+      renderState.markAllClean();
+
+      const result = player.configure({ WAVEFORM_SHADOW: { DEEPEST_ANGLE: 0.9 } });
+
+      expect(result.WAVEFORM_SHADOW.DEEPEST_ANGLE).toBe(0.9);
+      expect(renderState.isDirty(RenderComponents.WAVEFORM)).toBe(true);
+      expect(renderState.isDirty(RenderComponents.PLAYHEAD)).toBe(false);
+    });
+
+    it('should leave the config and dirty flags alone when configure() fails', async () => {
+      const player = await createPlayer();
+      const { renderState } = player.scope;
+      renderState.markAllClean();
+      const markDirty = vi.spyOn(renderState, 'markDirty');
+
+      expect(() => player.configure({ INNER_RADIUS_RATIO: 0.2, NUM_POINTS: 'many' })).toThrow(ValidationError);
+
+      expect(player.getVisualConfig().INNER_RADIUS_RATIO).toBe(CONFIG.INNER_RADIUS_RATIO);
+      expect(markDirty).not.toHaveBeenCalled();
+    });
+
+    it('should return a copy from getVisualConfig()', async () => {
+      const player = await createPlayer();
+
+      player.getVisualConfig().WAVEFORM_COLORS.INNER = 'red';
+
+      expect(player.getVisualConfig().WAVEFORM_COLORS.INNER).toBe(CONFIG.WAVEFORM_COLORS.INNER);
+    });
+  });
+});